@@ -38,6 +38,17 @@ const transporter = {
                 htmlContent: options.html
             };
 
+            // 🆕 Attachments as { filename, content: Buffer }
+            if (options.attachments?.length) {
+                emailData.attachment = options.attachments.map(attachment => ({
+                    name: attachment.filename,
+                    content: Buffer.from(attachment.content).toString('base64')
+                }));
+            }
+            if (options.tags?.length) {
+                emailData.tags = options.tags;
+            }
+
             console.log('📧 [DIGITAL OCEAN] Sending with Brevo data:', {
                 from: emailData.sender,
                 to: emailData.to,
@@ -53,8 +64,8 @@ const transporter = {
             // 🔧 BREVO: Return standardized response
             return {
                 success: true,
-                id: result?.messageId || result?.response?.messageId,
-                messageId: result?.messageId || result?.response?.messageId,
+                id: result?.body?.messageId || result?.messageId || result?.response?.messageId,
+                messageId: result?.body?.messageId || result?.messageId || result?.response?.messageId,
                 data: result,
                 response: result
             };
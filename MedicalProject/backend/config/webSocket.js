@@ -1,7 +1,9 @@
 import { WebSocketServer } from 'ws';
 import jwt from 'jsonwebtoken';
 import User from '../models/userModel.js';
+import mongoose from 'mongoose';
 import DicomStudy from '../models/dicomStudyModel.js';
+import { canViewStudy, STUDY_ACCESS_FIELDS } from '../utils/studyAccess.js';
 import cookie from 'cookie';
 import dotenv from 'dotenv';
 import url from "url";
@@ -78,12 +80,15 @@ class WebSocketService {
           return;
         }
 
-        // Check if user is admin
-        if (user.role !== 'admin') {
+        // Admins get study data; doctors and lab staff only receive notifications addressed to them
+        // (SLA escalations, discussion mentions). The discussion channel is notification-only for everyone.
+        if (!['admin', 'doctor_account', 'lab_staff'].includes(user.role)) {
           console.log(`❌ WebSocket connection rejected: User ${user.email} is not admin`);
           ws.close(4003, 'Admin access required');
           return;
         }
+        const { channel } = url.parse(request.url, true).query;
+        const notificationsOnly = user.role !== 'admin' || channel === 'discussion';
 
         // Generate unique connection ID
         this.connectionCount++;
@@ -96,7 +101,10 @@ class WebSocketService {
           connectionId,
           connectedAt: new Date(),
           lastPing: new Date(),
-          subscribedToStudies: true, // Auto-subscribe to studies
+          subscribedToStudies: !notificationsOnly, // Auto-subscribe admins to studies
+          notificationsOnly,
+          watchedDiscussions: new Set(),
+          discussionChannel: channel === 'discussion',
           subscribedToLiveData: false,
           isAlive: true,
           lastDataSent: null,
@@ -171,7 +179,9 @@ class WebSocketService {
         });
 
         // Send initial data if requested
-        await this.sendInitialStudyData(connectionId);
+        if (!notificationsOnly) {
+          await this.sendInitialStudyData(connectionId);
+        }
 
       } catch (error) {
         console.error('❌ WebSocket connection error:', error);
@@ -192,6 +202,9 @@ class WebSocketService {
     const connection = this.adminConnections.get(connectionId);
     if (!connection) return;
 
+    // Notification-only connections may just keep themselves alive and follow study discussions
+    if (connection.notificationsOnly && !['ping', 'heartbeat', 'watch_study_discussion', 'unwatch_study_discussion'].includes(message.type)) return;
+
     switch (message.type) {
       case 'ping':
       case 'heartbeat': // Add heartbeat handling
@@ -253,6 +266,24 @@ class WebSocketService {
         }
         break;
       
+      // 🆕 Live comments while a study's discussion is open
+      case 'watch_study_discussion': {
+        const studyId = await this.resolveWatchableStudy(connection.user, message.studyId);
+        if (!studyId) {
+          connection.ws.send(JSON.stringify({ type: 'study_discussion_watch_denied', studyId: message.studyId, timestamp: new Date() }));
+          break;
+        }
+        connection.watchedDiscussions.add(studyId);
+        connection.ws.send(JSON.stringify({ type: 'watching_study_discussion', studyId, timestamp: new Date() }));
+        break;
+      }
+
+      case 'unwatch_study_discussion':
+        connection.watchedDiscussions.forEach(studyId => {
+          if (!message.studyId || studyId === message.studyId) connection.watchedDiscussions.delete(studyId);
+        });
+        break;
+
       case 'request_data_refresh':
         await this.sendStudyData(connectionId, true);
         break;
@@ -506,6 +537,128 @@ class WebSocketService {
     console.log(`📢 Simple "New Study Arrived" notification sent to ${sentCount} admin(s)`);
   }
 
+  // 🆕 SLA breach / reassignment alert to admins and the doctors involved
+  notifySlaEscalation(escalation, { notifyAdmins = true, doctorUserIds = [] } = {}) {
+    const notification = {
+      type: 'sla_escalation',
+      timestamp: new Date(),
+      data: escalation
+    };
+    const doctorIds = new Set(doctorUserIds.map(String));
+
+    let sentCount = 0;
+    this.adminConnections.forEach((connection, connectionId) => {
+      if (connection.ws.readyState !== connection.ws.OPEN) return;
+      const isRecipient = connection.notificationsOnly
+        ? doctorIds.has(String(connection.user._id))
+        : notifyAdmins && connection.subscribedToStudies;
+      if (!isRecipient) return;
+
+      try {
+        connection.ws.send(JSON.stringify(notification));
+        sentCount++;
+      } catch (error) {
+        console.error(`Error sending SLA notification to ${connectionId}:`, error);
+      }
+    });
+
+    console.log(`📢 SLA ${escalation.kind} notification sent to ${sentCount} connection(s): study ${escalation.studyId}`);
+  }
+
+  // 🆕 Peer review assignments go to the reviewer; discrepancies to the reporter and, optionally, admins
+  notifyPeerReview(event, { notifyAdmins = false, doctorUserIds = [] } = {}) {
+    const notification = {
+      type: 'peer_review',
+      timestamp: new Date(),
+      data: event
+    };
+    const doctorIds = new Set(doctorUserIds.map(String));
+
+    let sentCount = 0;
+    this.adminConnections.forEach((connection, connectionId) => {
+      if (connection.ws.readyState !== connection.ws.OPEN) return;
+      const isRecipient = connection.notificationsOnly
+        ? doctorIds.has(String(connection.user._id))
+        : notifyAdmins && connection.subscribedToStudies;
+      if (!isRecipient) return;
+
+      try {
+        connection.ws.send(JSON.stringify(notification));
+        sentCount++;
+      } catch (error) {
+        console.error(`Error sending peer review notification to ${connectionId}:`, error);
+      }
+    });
+
+    console.log(`📢 Peer review ${event.kind} notification sent to ${sentCount} connection(s): review ${event.reviewId}`);
+  }
+
+  // 🆕 Unusual access on a share link - admins only
+  notifyShareLinkAlert(alert) {
+    const notification = {
+      type: 'share_link_alert',
+      timestamp: new Date(),
+      data: alert
+    };
+
+    let sentCount = 0;
+    this.adminConnections.forEach((connection, connectionId) => {
+      if (connection.ws.readyState !== connection.ws.OPEN) return;
+      if (connection.notificationsOnly || !connection.subscribedToStudies) return;
+
+      try {
+        connection.ws.send(JSON.stringify(notification));
+        sentCount++;
+      } catch (error) {
+        console.error(`Error sending share link alert to ${connectionId}:`, error);
+      }
+    });
+
+    console.log(`📢 Share link alert (${alert.reason}) sent to ${sentCount} connection(s): link ${alert.shareId}`);
+  }
+
+  // Mongo id of a study the user may see, from any of the ids the worklists use
+  async resolveWatchableStudy(user, studyId) {
+    if (!studyId) return null;
+    try {
+      const conditions = [{ orthancStudyID: studyId }, { studyInstanceUID: studyId }];
+      if (mongoose.Types.ObjectId.isValid(studyId)) conditions.unshift({ _id: studyId });
+      const study = await DicomStudy.findOne({ $or: conditions }).select(STUDY_ACCESS_FIELDS).lean();
+      return study && await canViewStudy(user, study) ? study._id.toString() : null;
+    } catch (error) {
+      console.error('Error resolving discussion watch:', error);
+      return null;
+    }
+  }
+
+  // 🆕 New, edited and deleted comments go to everyone watching the study; mentions to the people named
+  notifyStudyDiscussion(event, { mentionedUserIds = [] } = {}) {
+    const mentionedIds = new Set(mentionedUserIds.map(String));
+    const update = JSON.stringify({ type: 'study_discussion', timestamp: new Date(), data: event });
+    const mention = JSON.stringify({ type: 'discussion_mention', timestamp: new Date(), data: event });
+
+    let sentCount = 0;
+    this.adminConnections.forEach((connection, connectionId) => {
+      if (connection.ws.readyState !== connection.ws.OPEN) return;
+
+      try {
+        if (connection.watchedDiscussions?.has(event.studyId)) {
+          connection.ws.send(update);
+          sentCount++;
+        }
+        // The dashboard socket shows the mention alert; discussion-channel sockets only carry the thread
+        if (mentionedIds.has(String(connection.user._id)) && !connection.discussionChannel) {
+          connection.ws.send(mention);
+          sentCount++;
+        }
+      } catch (error) {
+        console.error(`Error sending discussion update to ${connectionId}:`, error);
+      }
+    });
+
+    console.log(`📢 Discussion ${event.kind} sent to ${sentCount} connection(s): study ${event.studyId}`);
+  }
+
   // Get connection stats
   getStats() {
     return {
@@ -11,6 +11,8 @@ import WasabiService from '../services/wasabi.service.js';
 import multer from 'multer';
 import sharp from 'sharp'; // For image optimization
 import { calculateStudyTAT, getLegacyTATFields,updateStudyTAT } from '../utils/TATutility.js';
+import { NOT_QUARANTINED_FILTER } from '../services/labRouting.service.js';
+import rosterService from '../services/roster.service.js';
 
 
 // import websocketService from '../config/webSocket.js'; // 🆕 ADD: Import WebSocket service
@@ -159,7 +161,7 @@ export const getAllStudiesForAdmin = async (req, res) => {
         const limit = parseInt(req.query.limit) || 20;
         
         // 🔧 STEP 1: Build lean query filters with optimized date handling
-        const queryFilters = {};
+        const queryFilters = { ...NOT_QUARANTINED_FILTER };
         let filterStartDate = null;
         let filterEndDate = null;
          const IST_OFFSET = 5.5 * 60 * 60 * 1000; 
@@ -825,7 +827,7 @@ export const getValues = async (req, res) => {
         delete req.query.category;
         
         // 🔧 STEP 1: Build lean query filters with optimized date handling (same as getAllStudiesForAdmin)
-        const queryFilters = {};
+        const queryFilters = { ...NOT_QUARANTINED_FILTER };
         let filterStartDate = null;
         let filterEndDate = null;
         
@@ -1550,6 +1552,10 @@ export const assignDoctorToStudy = async (req, res) => {
                 throw new Error('Study not found');
             }
 
+            if (study.quarantine?.isQuarantined) {
+                throw new Error('Study is in quarantine - assign it to a lab before assigning a doctor');
+            }
+
             // Fetch doctor and the associated user account
             const doctor = await Doctor.findById(doctorObjectId)
                 .populate({
@@ -1565,6 +1571,10 @@ export const assignDoctorToStudy = async (req, res) => {
                 throw new Error('Doctor not found, user account missing, or inactive');
             }
 
+            if (!(await rosterService.isOnDuty(doctor._id))) {
+                throw new Error(`Dr. ${doctor.userAccount.fullName} is off duty according to the roster`);
+            }
+
             // The ID to be stored in DicomStudy.assignment[N].assignedTo (which refs 'User')
             const userAccountIdForAssignment = doctor.userAccount._id;
 
@@ -3527,6 +3537,7 @@ export const getPendingStudies = async (req, res) => {
         
         // 🔧 STEP 1: Build lean query filters with PENDING status priority
         const queryFilters = {
+            ...NOT_QUARANTINED_FILTER,
             workflowStatus: { 
                 $in: ['new_study_received', 'pending_assignment','assigned_to_doctor', 'doctor_opened_report', 'report_in_progress',
                     'report_downloaded_radiologist', 'report_downloaded'
@@ -4128,6 +4139,7 @@ export const getInProgressStudies = async (req, res) => {
         
         // 🔧 STEP 1: Build lean query filters with optimized date handling
         const queryFilters = {
+            ...NOT_QUARANTINED_FILTER,
             workflowStatus: { 
                 $in: [
                     
@@ -4719,6 +4731,7 @@ export const getCompletedStudies = async (req, res) => {
         
         // 🔧 STEP 1: Build lean query filters with optimized date handling
         const queryFilters = {
+            ...NOT_QUARANTINED_FILTER,
             workflowStatus: 'final_report_downloaded'
         };
         
@@ -3,6 +3,7 @@ import User from '../models/userModel.js';
 import Doctor from '../models/doctorModel.js';
 import Lab from '../models/labModel.js';
 import DicomStudy from '../models/dicomStudyModel.js';
+import { invalidateLabCalendar } from '../utils/TATutility.js';
 import sharp from 'sharp';
 import multer from 'multer';
 
@@ -693,7 +694,9 @@ export const updateLabForAdmin = async (req, res) => {
             contactPhone,
             address,
             isActive,
-            notes
+            notes,
+            reportSettings,
+            workingCalendar
         } = req.body;
         
         const updateData = {};
@@ -706,6 +709,8 @@ export const updateLabForAdmin = async (req, res) => {
         if (address) updateData.address = address;
         if (isActive !== undefined) updateData.isActive = isActive === 'true' || isActive === true;
         if (notes !== undefined) updateData.notes = notes;
+        if (reportSettings) updateData.reportSettings = reportSettings;
+        if (workingCalendar) updateData.workingCalendar = workingCalendar;
         
         const updatedLab = await Lab.findByIdAndUpdate(
             labId,
@@ -719,6 +724,8 @@ export const updateLabForAdmin = async (req, res) => {
                 message: 'Lab not found'
             });
         }
+
+        if (workingCalendar) invalidateLabCalendar(labId);
         
         res.status(200).json({
             success: true,
@@ -0,0 +1,320 @@
+import mongoose from 'mongoose';
+import AssignmentRule from '../models/assignmentRuleModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import Doctor from '../models/doctorModel.js';
+import autoAssignmentService, { ASSIGNABLE_STATUSES } from '../services/autoAssignment.service.js';
+import assignmentSuggestionService from '../services/assignmentSuggestion.service.js';
+import { NOT_QUARANTINED_FILTER } from '../services/labRouting.service.js';
+
+const EDITABLE_FIELDS = [
+    'name', 'priority', 'isActive', 'labs', 'modalities', 'studyPriorities', 'bodyParts',
+    'timeWindow', 'daysOfWeek', 'doctors', 'requiredSpecialization', 'strategy', 'notes'
+];
+const RUN_BATCH_LIMIT = 200;
+
+const pickRuleFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    if (data.timeWindow && !data.timeWindow.start && !data.timeWindow.end) {
+        data.timeWindow = {};
+    }
+    return data;
+};
+
+const summarizeResolution = ({ rule, doctor, workload, skipped }) => ({
+    rule: rule ? { _id: rule._id, name: rule.name, priority: rule.priority, strategy: rule.strategy } : null,
+    doctor: doctor ? {
+        _id: doctor._id,
+        fullName: doctor.userAccount.fullName,
+        specialization: doctor.specialization,
+        openStudies: workload
+    } : null,
+    skippedRules: skipped.map(item => ({ _id: item._id, name: item.name }))
+});
+
+// GET /api/auto-assignment/rules
+export const getAssignmentRules = async (req, res) => {
+    try {
+        const rules = await AssignmentRule.find({})
+            .sort({ priority: 1, createdAt: 1 })
+            .populate('labs', 'name identifier')
+            .populate({ path: 'doctors', select: 'specialization isAvailable userAccount', populate: { path: 'userAccount', select: 'fullName' } })
+            .populate('createdBy', 'fullName')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: rules,
+            count: rules.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching assignment rules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch assignment rules',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/auto-assignment/rules
+export const createAssignmentRule = async (req, res) => {
+    try {
+        const rule = await AssignmentRule.create({
+            ...pickRuleFields(req.body),
+            createdBy: req.user._id
+        });
+        autoAssignmentService.invalidate();
+
+        res.status(201).json({
+            success: true,
+            message: 'Assignment rule created',
+            data: rule
+        });
+    } catch (error) {
+        console.error('❌ Error creating assignment rule:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to create assignment rule'
+        });
+    }
+};
+
+// PUT /api/auto-assignment/rules/:ruleId
+export const updateAssignmentRule = async (req, res) => {
+    try {
+        const { ruleId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+            return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+        }
+
+        const rule = await AssignmentRule.findById(ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Assignment rule not found' });
+        }
+
+        Object.assign(rule, pickRuleFields(req.body));
+        await rule.save();
+        autoAssignmentService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'Assignment rule updated',
+            data: rule
+        });
+    } catch (error) {
+        console.error('❌ Error updating assignment rule:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to update assignment rule'
+        });
+    }
+};
+
+// DELETE /api/auto-assignment/rules/:ruleId
+export const deleteAssignmentRule = async (req, res) => {
+    try {
+        const rule = await AssignmentRule.findByIdAndDelete(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Assignment rule not found' });
+        }
+        autoAssignmentService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'Assignment rule deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting assignment rule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete assignment rule',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/auto-assignment/test
+// Body: { studyId } or { study: { sourceLab, modality, studyPriority, caseType, bodyPartExamined, examDescription } }, at?
+// Dry-runs the rule table without assigning anything
+export const testAssignmentRules = async (req, res) => {
+    try {
+        const { studyId, study: sample = {}, at } = req.body || {};
+
+        let study = sample;
+        if (studyId) {
+            if (!mongoose.Types.ObjectId.isValid(studyId)) {
+                return res.status(400).json({ success: false, message: 'Invalid study ID' });
+            }
+            study = await DicomStudy.findById(studyId)
+                .select('sourceLab modality modalitiesInStudy studyPriority caseType bodyPartExamined examDescription')
+                .lean();
+            if (!study) {
+                return res.status(404).json({ success: false, message: 'Study not found' });
+            }
+        }
+
+        const now = at ? new Date(at) : new Date();
+        if (Number.isNaN(now.getTime())) {
+            return res.status(400).json({ success: false, message: 'Invalid test time' });
+        }
+
+        autoAssignmentService.invalidate();
+        const result = await autoAssignmentService.resolveDoctor(study, { now });
+
+        res.status(200).json({
+            success: true,
+            data: summarizeResolution(result)
+        });
+    } catch (error) {
+        console.error('❌ Error testing assignment rules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to test assignment rules',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/auto-assignment/run
+// Applies the rules to studies still waiting for assignment (oldest first)
+export const runAutoAssignment = async (req, res) => {
+    try {
+        const studies = await DicomStudy.find({
+            workflowStatus: { $in: ASSIGNABLE_STATUSES },
+            ...NOT_QUARANTINED_FILTER
+        })
+            .select('sourceLab modality modalitiesInStudy studyPriority caseType bodyPartExamined examDescription workflowStatus quarantine')
+            .sort({ createdAt: 1 })
+            .limit(RUN_BATCH_LIMIT)
+            .lean();
+
+        let assigned = 0;
+        for (const study of studies) {
+            try {
+                if (await autoAssignmentService.autoAssign(study)) assigned++;
+            } catch (error) {
+                console.error(`❌ Auto-assignment failed for study ${study._id}:`, error.message);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `${assigned} of ${studies.length} waiting studies assigned`,
+            data: { checked: studies.length, assigned }
+        });
+    } catch (error) {
+        console.error('❌ Error running auto-assignment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run auto-assignment',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/auto-assignment/doctors
+// Doctors with specialization, availability and open study count
+export const getAssignableDoctors = async (req, res) => {
+    try {
+        const doctors = await Doctor.find({ isActiveProfile: true })
+            .select('userAccount specialization isAvailable')
+            .populate('userAccount', 'fullName email isActive')
+            .lean();
+        const activeDoctors = doctors.filter(doctor => doctor.userAccount?.isActive);
+
+        const workload = await autoAssignmentService.getOpenWorkload(activeDoctors.map(doctor => doctor.userAccount._id));
+
+        res.status(200).json({
+            success: true,
+            data: activeDoctors
+                .map(doctor => ({
+                    _id: doctor._id,
+                    userId: doctor.userAccount._id,
+                    fullName: doctor.userAccount.fullName,
+                    email: doctor.userAccount.email,
+                    specialization: doctor.specialization,
+                    isAvailable: doctor.isAvailable !== false,
+                    openStudies: workload.get(String(doctor.userAccount._id)) || 0
+                }))
+                .sort((a, b) => (a.fullName || '').localeCompare(b.fullName || ''))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching assignable doctors:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch doctors',
+            error: error.message
+        });
+    }
+};
+
+// PUT /api/auto-assignment/doctors/:doctorId/availability
+// Body: { isAvailable }
+export const updateDoctorAvailability = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({ success: false, message: 'Invalid doctor ID' });
+        }
+
+        const doctor = await Doctor.findByIdAndUpdate(
+            doctorId,
+            { $set: { isAvailable: Boolean(req.body?.isAvailable) } },
+            { new: true }
+        ).select('isAvailable');
+        if (!doctor) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: doctor.isAvailable ? 'Doctor is available for auto-assignment' : 'Doctor paused from auto-assignment',
+            data: { _id: doctor._id, isAvailable: doctor.isAvailable }
+        });
+    } catch (error) {
+        console.error('❌ Error updating doctor availability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update doctor availability',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/admin/studies/:studyId/doctor-suggestions
+// Doctors ranked for the study by open workload, historical TAT and modality experience
+export const getDoctorSuggestions = async (req, res) => {
+    try {
+        const { studyId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(studyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study ID' });
+        }
+
+        const study = await DicomStudy.findById(studyId)
+            .select('modality modalitiesInStudy')
+            .lean();
+        if (!study) {
+            return res.status(404).json({ success: false, message: 'Study not found' });
+        }
+
+        const suggestions = await assignmentSuggestionService.suggestDoctors(study);
+
+        res.status(200).json({
+            success: true,
+            data: suggestions,
+            count: suggestions.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching doctor suggestions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch doctor suggestions',
+            error: error.message
+        });
+    }
+};
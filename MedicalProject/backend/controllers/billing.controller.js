@@ -0,0 +1,376 @@
+import mongoose from 'mongoose';
+import Tariff from '../models/tariffModel.js';
+import Invoice from '../models/invoiceModel.js';
+import Lab from '../models/labModel.js';
+import billingService, { getMonthPeriod } from '../services/billing.service.js';
+import productivityService from '../services/productivity.service.js';
+
+const TARIFF_FIELDS = [
+    'isActive', 'currency', 'billingUnit', 'defaultPrice', 'modalityPrices', 'prioritySurcharges',
+    'taxRate', 'paymentTermsDays', 'doctorPayout', 'notes'
+];
+
+const pickTariffFields = (body = {}) => {
+    const data = {};
+    for (const field of TARIFF_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    return data;
+};
+
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 50, 200);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const sendPdf = (res, buffer, fileName) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+};
+
+// GET /api/billing/tariffs
+export const getTariffs = async (req, res) => {
+    try {
+        const tariffs = await Tariff.find({})
+            .populate('lab', 'name identifier')
+            .populate('updatedBy', 'fullName')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: tariffs.sort((a, b) => (a.lab?.name || '').localeCompare(b.lab?.name || '')),
+            count: tariffs.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching tariffs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch tariffs',
+            error: error.message
+        });
+    }
+};
+
+// PUT /api/billing/tariffs/:labId - creates the lab's tariff or replaces its fields
+export const saveTariff = async (req, res) => {
+    try {
+        const { labId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(labId)) {
+            return res.status(400).json({ success: false, message: 'Invalid lab ID' });
+        }
+        if (!await Lab.exists({ _id: labId })) {
+            return res.status(404).json({ success: false, message: 'Lab not found' });
+        }
+        const payout = req.body.doctorPayout;
+        if (payout && (payout.type || 'percent') === 'percent' && Number(payout.amount) > 100) {
+            return res.status(400).json({ success: false, message: 'Percentage payout cannot exceed 100%' });
+        }
+
+        const tariff = await Tariff.findOneAndUpdate(
+            { lab: labId },
+            {
+                $set: { ...pickTariffFields(req.body), updatedBy: req.user._id },
+                $setOnInsert: { lab: labId, createdBy: req.user._id }
+            },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        ).populate('lab', 'name identifier');
+
+        res.status(200).json({
+            success: true,
+            message: 'Tariff saved',
+            data: tariff
+        });
+    } catch (error) {
+        console.error('❌ Error saving tariff:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to save tariff'
+        });
+    }
+};
+
+// DELETE /api/billing/tariffs/:labId
+export const deleteTariff = async (req, res) => {
+    try {
+        const tariff = await Tariff.findOneAndDelete({ lab: req.params.labId });
+        if (!tariff) {
+            return res.status(404).json({ success: false, message: 'Tariff not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Tariff deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting tariff:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete tariff',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/billing/invoices?month=&labId=&status=&page=&limit=
+export const getInvoices = async (req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const filter = {};
+        if (req.query.month) filter.month = req.query.month;
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.labId && mongoose.Types.ObjectId.isValid(req.query.labId)) filter.lab = req.query.labId;
+
+        const [invoices, total, totals] = await Promise.all([
+            Invoice.find(filter)
+                .select('-lineItems')
+                .sort({ month: -1, labName: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Invoice.countDocuments(filter),
+            Invoice.aggregate([
+                { $match: { ...filter, ...(filter.lab && { lab: new mongoose.Types.ObjectId(String(filter.lab)) }) } },
+                { $group: { _id: { status: '$status', currency: '$currency' }, count: { $sum: 1 }, total: { $sum: '$total' } } }
+            ])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: invoices,
+            totals: totals.map(row => ({ status: row._id.status, currency: row._id.currency, count: row.count, total: row.total })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalRecords: total,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching invoices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invoices',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/billing/invoices/:invoiceId
+export const getInvoice = async (req, res) => {
+    try {
+        const { invoiceId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+            return res.status(400).json({ success: false, message: 'Invalid invoice ID' });
+        }
+
+        const invoice = await Invoice.findById(invoiceId)
+            .populate('statusHistory.changedBy', 'fullName')
+            .populate('generatedBy', 'fullName')
+            .lean();
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: invoice
+        });
+    } catch (error) {
+        console.error('❌ Error fetching invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch invoice',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/billing/invoices/generate { month, labId? } - one lab, or every lab with an active tariff
+export const generateInvoices = async (req, res) => {
+    try {
+        const { month, labId } = req.body;
+
+        // Validates the month before touching any lab
+        getMonthPeriod(month);
+
+        if (labId) {
+            if (!mongoose.Types.ObjectId.isValid(labId)) {
+                return res.status(400).json({ success: false, message: 'Invalid lab ID' });
+            }
+            const invoice = await billingService.generateInvoice(labId, month, req.user._id);
+            return res.status(200).json({
+                success: true,
+                message: `Invoice ${invoice.invoiceNumber} generated with ${invoice.studyCount} studies`,
+                data: [{ lab: invoice.lab, invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, total: invoice.total }]
+            });
+        }
+
+        const results = await billingService.generateInvoices(month, req.user._id);
+        const failed = results.filter(result => result.error).length;
+
+        res.status(200).json({
+            success: true,
+            message: `${results.length - failed} invoice(s) generated${failed ? `, ${failed} skipped` : ''}`,
+            data: results
+        });
+    } catch (error) {
+        console.error('❌ Error generating invoices:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to generate invoices',
+            error: error.message
+        });
+    }
+};
+
+// PATCH /api/billing/invoices/:invoiceId/status { status, paymentReference?, note? }
+export const updateInvoiceStatus = async (req, res) => {
+    try {
+        const { invoiceId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+            return res.status(400).json({ success: false, message: 'Invalid invoice ID' });
+        }
+
+        const { status, paymentReference, note } = req.body;
+        const invoice = await billingService.updateStatus(invoiceId, status, {
+            userId: req.user._id,
+            paymentReference,
+            note
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Invoice marked as ${invoice.status}`,
+            data: invoice
+        });
+    } catch (error) {
+        console.error('❌ Error updating invoice status:', error);
+        res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message || 'Failed to update invoice status'
+        });
+    }
+};
+
+// PUT /api/billing/invoices/:invoiceId { notes }
+export const updateInvoice = async (req, res) => {
+    try {
+        const invoice = await Invoice.findByIdAndUpdate(
+            req.params.invoiceId,
+            { notes: req.body.notes },
+            { new: true, runValidators: true }
+        ).select('-lineItems');
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Invoice updated',
+            data: invoice
+        });
+    } catch (error) {
+        console.error('❌ Error updating invoice:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to update invoice'
+        });
+    }
+};
+
+// DELETE /api/billing/invoices/:invoiceId - drafts only
+export const deleteInvoice = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.invoiceId).select('status invoiceNumber');
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+        if (invoice.status !== 'draft') {
+            return res.status(409).json({ success: false, message: `Only draft invoices can be deleted; ${invoice.invoiceNumber} is ${invoice.status}` });
+        }
+
+        await invoice.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Invoice deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete invoice',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/billing/invoices/:invoiceId/pdf
+export const downloadInvoicePdf = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.invoiceId).lean();
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found' });
+        }
+
+        const buffer = await billingService.renderInvoicePdf(invoice);
+        sendPdf(res, buffer, `${invoice.invoiceNumber}.pdf`);
+    } catch (error) {
+        console.error('❌ Error generating invoice PDF:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate invoice PDF',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/billing/payouts?month=YYYY-MM
+export const getPayouts = async (req, res) => {
+    try {
+        const { month } = req.query;
+        getMonthPeriod(month);
+
+        const statements = await billingService.getPayoutStatements(month);
+
+        res.status(200).json({
+            success: true,
+            data: statements,
+            count: statements.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching payouts:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch payouts',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/billing/payouts/:doctorId/pdf?month=YYYY-MM - doctorId is the doctor's user account
+export const downloadPayoutPdf = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        const { month } = req.query;
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({ success: false, message: 'Invalid doctor ID' });
+        }
+        getMonthPeriod(month);
+
+        const { buffer, statement } = await productivityService.renderStatement(month, doctorId);
+        sendPdf(res, buffer, `Payout_${statement.doctorName.replace(/[^a-zA-Z0-9]/g, '_')}_${month}.pdf`);
+    } catch (error) {
+        console.error('❌ Error generating payout statement:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to generate payout statement',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,67 @@
+import dicomwebProxyService from '../services/dicomwebProxy.service.js';
+
+const sendProxyError = (res, error, fallbackMessage) => {
+    // Once streaming has started the status line is gone; just cut the response
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+    res.status(error.statusCode || 502).json({
+        success: false,
+        message: error.statusCode ? error.message : fallbackMessage,
+        error: error.message
+    });
+};
+
+// POST /api/dicomweb/session/:studyInstanceUID - body { priorOf } when opening a prior
+export const createViewerSession = async (req, res) => {
+    try {
+        const { studyInstanceUID } = req.params;
+        const { token, expiresIn } = await dicomwebProxyService.issueSessionToken(req.user, studyInstanceUID, {
+            priorOf: req.body?.priorOf
+        });
+        const roots = dicomwebProxyService.buildRoots(dicomwebProxyService.getPublicBaseUrl(req), token);
+
+        res.status(200).json({
+            success: true,
+            data: { studyInstanceUID, ...roots, expiresIn }
+        });
+    } catch (error) {
+        console.error('❌ Error creating DICOMweb viewer session:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to open viewer session',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/dicomweb/:viewerToken/dicom-web/*path - QIDO-RS and WADO-RS
+export const proxyDicomweb = async (req, res) => {
+    try {
+        const { viewerToken } = req.params;
+        const grant = await dicomwebProxyService.resolveGrant(viewerToken);
+        const upstream = dicomwebProxyService.buildDicomwebRequest(grant, req.params.path, req.query);
+        const publicRoot = dicomwebProxyService.buildRoots(dicomwebProxyService.getPublicBaseUrl(req), viewerToken).dicomWebRoot;
+
+        await dicomwebProxyService.forward(req, res, upstream, publicRoot);
+    } catch (error) {
+        console.error('❌ DICOMweb proxy error:', error.message);
+        sendProxyError(res, error, 'Failed to load images from the archive');
+    }
+};
+
+// GET /api/dicomweb/:viewerToken/wado - WADO-URI
+export const proxyWadoUri = async (req, res) => {
+    try {
+        const { viewerToken } = req.params;
+        const grant = await dicomwebProxyService.resolveGrant(viewerToken);
+        const upstream = await dicomwebProxyService.buildWadoUriRequest(grant, req.query);
+        const publicRoot = dicomwebProxyService.buildRoots(dicomwebProxyService.getPublicBaseUrl(req), viewerToken).dicomWebRoot;
+
+        await dicomwebProxyService.forward(req, res, upstream, publicRoot);
+    } catch (error) {
+        console.error('❌ WADO-URI proxy error:', error.message);
+        sendProxyError(res, error, 'Failed to load images from the archive');
+    }
+};
@@ -1,126 +1,147 @@
-import DicomStudy from '../models/dicomStudyModel.js';
+import studyDiscussionService from '../services/studyDiscussion.service.js';
+
+// Service errors carry a statusCode; anything else goes to the error middleware
+const handleServiceError = (error, res, next) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  return next(error);
+};
+
+// Multipart forms send mentions as a JSON string; JSON bodies send an array
+const parseMentions = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return [value];
+  }
+};
 
 /**
  * Get all discussions for a study
+ * Flat list ordered by time; replies carry the parentId of their thread
  */
 export const getStudyDiscussions = async (req, res, next) => {
   try {
-    const { studyId } = req.params;
-    
-    const study = await DicomStudy.findOne({
-      $or: [
-        { _id: studyId },
-        { orthancStudyID: studyId },
-        { studyInstanceUID: studyId }
-      ]
-    });
-    
-    if (!study) {
-      return res.status(404).json({ message: 'Study not found' });
-    }
-    
-    return res.status(200).json(study.discussions || []);
+    const discussions = await studyDiscussionService.listDiscussions(req.user, req.params.studyId);
+    return res.status(200).json(discussions);
   } catch (error) {
-    next(error);
+    return handleServiceError(error, res, next);
   }
 };
 
 /**
  * Add a new discussion to a study
+ * Optional parentId (reply), mentions (user ids) and file attachments
  */
 export const addStudyDiscussion = async (req, res, next) => {
-  console.log(req.body)
-  console.log(req.params
-  )
   try {
-    const { studyId } = req.params;
-    const { comment, userName, userRole } = req.body;
-    
-    if (!comment) {
-      return res.status(400).json({ message: 'Comment is required' });
-    }
-    
-    // Find the study
-    const study = await DicomStudy.findOne({
-      $or: [
-        { _id: studyId },
-        { orthancStudyID: studyId },
-        { studyInstanceUID: studyId }
-      ]
-    });
-    
-    
-    if (!study) {
-      return res.status(404).json({ message: 'Study not found' });
-    }
-    
-    // Create new discussion comment using authenticated user's information
-    const newDiscussion = {
+    const { comment, parentId, mentions } = req.body;
+
+    const discussion = await studyDiscussionService.addComment(
+      req.user,
+      req.params.studyId,
+      { comment, parentId, mentions: parseMentions(mentions) },
+      req.files || []
+    );
+
+    return res.status(201).json(discussion);
+  } catch (error) {
+    return handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Edit a discussion comment
+ * Authors only; the previous text is kept in the comment's edit history
+ */
+export const editStudyDiscussion = async (req, res, next) => {
+  try {
+    const { studyId, discussionId } = req.params;
+    const { comment, mentions } = req.body;
+
+    const discussion = await studyDiscussionService.editComment(req.user, studyId, discussionId, {
       comment,
-      // Use req.user for authenticated user data or fallback to provided data
-      userName: req.user?.fullName || userName || 'Anonymous',
-      userRole: req.user?.role || userRole || 'User',
-      dateTime: new Date()
-    };
-
-    console.log(newDiscussion)
-    
-    // Initialize discussions array if it doesn't exist
-    study.discussions = study.discussions || [];
-    study.discussions.push(newDiscussion);
-    
-    await study.save();
-   
-    
-    return res.status(201).json(newDiscussion);
+      mentions: parseMentions(mentions)
+    });
+
+    return res.status(200).json(discussion);
   } catch (error) {
-    next(error);
+    return handleServiceError(error, res, next);
   }
 };
 
 /**
  * Delete a discussion from a study
- * Admin only function
+ * Admin only function - replies to the comment are removed with it
  */
 export const deleteStudyDiscussion = async (req, res, next) => {
   try {
     const { studyId, discussionId } = req.params;
-    
-    // Check if user has admin privileges
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized: Only admins can delete discussions' });
-    }
-    
-    const study = await DicomStudy.findOne({
-      $or: [
-        { _id: studyId },
-        { orthancStudyID: studyId },
-        { studyInstanceUID: studyId }
-      ]
-    });
-    
-    if (!study) {
-      return res.status(404).json({ message: 'Study not found' });
-    }
-    
-    // Remove the discussion with the given ID
-    if (!study.discussions) {
-      return res.status(404).json({ message: 'Discussion not found' });
-    }
-    
-    const discussionIndex = study.discussions.findIndex(
-      d => d._id.toString() === discussionId
-    );
-    
-    if (discussionIndex === -1) {
-      return res.status(404).json({ message: 'Discussion not found' });
+    const removedCount = await studyDiscussionService.deleteComment(req.user, studyId, discussionId);
+
+    return res.status(200).json({ message: 'Discussion deleted successfully', removedCount });
+  } catch (error) {
+    return handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Users who can be @mentioned on a study
+ */
+export const getMentionableUsers = async (req, res, next) => {
+  try {
+    const users = await studyDiscussionService.getMentionableUsers(req.user, req.params.studyId);
+    return res.status(200).json(users.map(user => ({ _id: user._id, fullName: user.fullName, role: user.role })));
+  } catch (error) {
+    return handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Download a discussion attachment from Wasabi
+ */
+export const downloadDiscussionAttachment = async (req, res, next) => {
+  try {
+    const { studyId, discussionId, attachmentId } = req.params;
+    const file = await studyDiscussionService.getAttachment(req.user, studyId, discussionId, attachmentId);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.fileName)}"`);
+    return res.send(file.data);
+  } catch (error) {
+    return handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Mark a study's discussion as read by the current user
+ */
+export const markStudyDiscussionRead = async (req, res, next) => {
+  try {
+    await studyDiscussionService.markStudyRead(req.user, req.params.studyId);
+    return res.status(200).json({ message: 'Discussion marked as read' });
+  } catch (error) {
+    return handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Unread comment counts for the studies on the current worklist page
+ */
+export const getUnreadDiscussionCounts = async (req, res, next) => {
+  try {
+    const { studyIds } = req.body;
+    if (!Array.isArray(studyIds)) {
+      return res.status(400).json({ message: 'studyIds must be an array' });
     }
-    
-    study.discussions.splice(discussionIndex, 1);
-    await study.save();
-    
-    return res.status(200).json({ message: 'Discussion deleted successfully' });
+
+    const counts = await studyDiscussionService.getUnreadCounts(req.user, studyIds);
+    return res.status(200).json({ counts });
   } catch (error) {
-    next(error);
+    return handleServiceError(error, res, next);
   }
-};
\ No newline at end of file
+};
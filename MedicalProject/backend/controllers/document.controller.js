@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import mongoose from 'mongoose';
 import { fileURLToPath } from 'url';
 import PizZip from 'pizzip';
 import Docxtemplater from 'docxtemplater';
@@ -11,8 +12,16 @@ import Doctor from '../models/doctorModel.js';
 import { updateWorkflowStatus } from '../utils/workflowStatusManger.js';
 
 import WasabiService from '../services/wasabi.service.js';
+import reportPdfService from '../services/reportPdf.service.js';
+import referringPhysicianService from '../services/referringPhysician.service.js';
+import peerReviewService from '../services/peerReview.service.js';
 
 import Document from '../models/documentModal.js';
+import { NOT_QUARANTINED_FILTER } from '../services/labRouting.service.js';
+import patientMergeService from '../services/patientMerge.service.js';
+import dicomwebProxyService from '../services/dicomwebProxy.service.js';
+import { assertCanViewStudy, canViewStudy, STUDY_ACCESS_FIELDS } from '../utils/studyAccess.js';
+import { buildNextReportVersion, getLatestSignedReportIndex, isSignedReport, markSupersededVersions } from '../utils/reportVersioning.js';
 import { calculateStudyTAT, getLegacyTATFields, updateStudyTAT } from '../utils/TATutility.js';
 import axios from 'axios';
 
@@ -23,6 +32,8 @@ import axios from 'axios';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DOCX_SERVICE_URL = 'http://206.189.139.34:8777/api/document/generate';
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const PRIOR_STUDY_LIMIT = 50;
 
 // 🔧 FIX: Define TEMPLATES_DIR constant
 const TEMPLATES_DIR = path.join(__dirname, '../templates');
@@ -763,6 +774,33 @@ static async getStudyReport(req, res) {
 }
 
 
+// 🆕 Download the version currently in force - the most recent signed report or addendum
+static async getLatestSignedStudyReport(req, res) {
+  try {
+    const study = await DicomStudy.findById(req.params.studyId).select('doctorReports').lean();
+
+    if (!study) {
+      return res.status(404).json({ success: false, message: 'Study not found' });
+    }
+
+    const latestSignedIndex = getLatestSignedReportIndex(study.doctorReports);
+    if (latestSignedIndex === -1) {
+      return res.status(404).json({ success: false, message: 'No signed report found for this study' });
+    }
+
+    req.params.reportIndex = String(latestSignedIndex);
+    return DocumentController.getStudyReport(req, res);
+
+  } catch (error) {
+    console.error('❌ Error retrieving latest signed report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving report',
+      error: error.message
+    });
+  }
+}
+
  
 
   // Delete a specific uploaded report
@@ -788,6 +826,14 @@ static async getStudyReport(req, res) {
       }
 
       const reportReference = study.doctorReports[reportIdx];
+
+      // 🆕 Signed versions are kept for audit - correct them with an addendum instead
+      if (isSignedReport(reportReference)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Signed reports cannot be deleted. Add an addendum to correct them.'
+        });
+      }
       
       // 🔧 NEW: Delete from Wasabi and Document collection
       try {
@@ -894,6 +940,13 @@ static async uploadStudyReport(req, res) {
           doctor = await Doctor.findById(effectiveDoctorId).populate('userAccount', 'fullName');
       }
       
+      // 🆕 A finalized upload on an already signed study is recorded as an addendum
+      const hasSignedReport = getLatestSignedReportIndex(study.doctorReports) !== -1;
+      const versionInfo = buildNextReportVersion(
+          study.doctorReports,
+          reportStatus === 'draft' ? 'draft' : (hasSignedReport ? 'addendum' : 'final')
+      );
+
       // Get the file from multer
       const file = req.file;
       const uploaderName = doctor?.userAccount?.fullName || req.user?.fullName || 'Unknown';
@@ -955,7 +1008,8 @@ static async uploadStudyReport(req, res) {
           // 🔧 NEW: Wasabi storage info (for quick access)
           wasabiKey: wasabiResult.key,
           wasabiBucket: wasabiResult.bucket,
-          storageType: 'wasabi'
+          storageType: 'wasabi',
+          ...versionInfo
       };
       
       // 🔧 FIXED: Initialize doctorReports array if it doesn't exist
@@ -965,6 +1019,7 @@ static async uploadStudyReport(req, res) {
       
       // Add to doctorReports array
       study.doctorReports.push(doctorReportDocument);
+      markSupersededVersions(study.doctorReports, doctorReportDocument);
       
       // 🔧 CRITICAL: Set ReportAvailable to true
       study.ReportAvailable = true;
@@ -991,7 +1046,10 @@ static async uploadStudyReport(req, res) {
       }
       
       // 🆕 NEW: Determine workflow status based on report status
-      const newWorkflowStatus = reportStatus === 'draft' ? 'report_drafted' : 'report_finalized';
+      // A draft addendum keeps a signed study at its current status
+      const newWorkflowStatus = reportStatus === 'draft'
+          ? (hasSignedReport ? study.workflowStatus : 'report_drafted')
+          : 'report_finalized';
       const statusNote = reportStatus === 'draft' 
           ? `Draft report uploaded by ${uploaderName} (Wasabi: ${wasabiResult.key})`
           : `Finalized report uploaded by ${uploaderName} (Wasabi: ${wasabiResult.key})`;
@@ -1020,6 +1078,14 @@ static async uploadStudyReport(req, res) {
       
       console.log('✅ Study updated with doctor report');
       
+      // 🆕 NEW: Send finalized uploads to the linked referring physician
+      if (reportStatus !== 'draft') {
+          referringPhysicianService.deliverFinalizedReport(study._id, req.user)
+              .catch(error => console.warn('⚠️ Automatic report delivery failed:', error.message));
+          // 🆕 NEW: Sample the signed report for peer review
+          peerReviewService.considerStudy(study._id);
+      }
+      
       res.json({
           success: true,
           message: `Report uploaded successfully to Wasabi storage as ${reportStatus || 'finalized'}`,
@@ -1032,7 +1098,10 @@ static async uploadStudyReport(req, res) {
               uploadedBy: doctorReportDocument.uploadedBy,
               uploadedAt: doctorReportDocument.uploadedAt,
               wasabiKey: wasabiResult.key,
-              storageType: 'wasabi'
+              storageType: 'wasabi',
+              version: versionInfo.version,
+              versionType: versionInfo.versionType,
+              addendumNumber: versionInfo.addendumNumber
           },
           workflowStatus: newWorkflowStatus,
           totalReports: study.doctorReports.length,
@@ -1294,6 +1363,8 @@ static async getStudyReports(req, res) {
           });
       }
 
+      const latestSignedIndex = getLatestSignedReportIndex(study.doctorReports);
+
       const reportsMetadata = study.doctorReports?.map((report, index) => ({
           index: index,
           _id: report._id,
@@ -1318,7 +1389,16 @@ static async getStudyReports(req, res) {
           // Status indicators
           isDraft: report.reportStatus === 'draft',
           isFinalized: report.reportStatus === 'finalized',
-          canDownload: true // All Wasabi reports are downloadable
+          canDownload: true, // All Wasabi reports are downloadable
+          // Version chain
+          version: report.version || index + 1,
+          versionType: report.versionType || (report.reportStatus === 'finalized' ? 'final' : 'draft'),
+          addendumNumber: report.addendumNumber,
+          previousVersionId: report.previousVersionId,
+          signedAt: report.signedAt,
+          isLatestSigned: index === latestSignedIndex,
+          isSuperseded: isSignedReport(report) && index !== latestSignedIndex,
+          hasContent: !!report.reportContent || report.contentType === DOCX_CONTENT_TYPE
       })) || [];
 
       // Determine the assigned doctor from the 'assignment' array
@@ -1355,6 +1435,7 @@ static async getStudyReports(req, res) {
               hasFinalizedReports: reportsMetadata.some(r => r.isFinalized),
               latestReportDate: reportsMetadata.length > 0 ? 
                   reportsMetadata[reportsMetadata.length - 1].uploadedAt : null,
+              latestSignedIndex: latestSignedIndex >= 0 ? latestSignedIndex : null,
               assignedDoctor: assignedDoctor, // This now contains the latest assigned doctor's info
               reportInfo: study.reportInfo
           }
@@ -1842,6 +1923,7 @@ static async convertAndUploadReport(req, res) {
     }
 
     await study.save();
+    peerReviewService.considerStudy(study._id);
 
     // Generate download URL (optional)
     const downloadUrl = `/api/documents/study/${studyId}/reports/${study.doctorReports.length - 1}/download`;
@@ -2174,7 +2256,28 @@ static async convertHTMLToDOCX(htmlContent, reportData) {
 }
 
 static async generateReportWithDocxService(req, res) {
-    console.log('🔄 Received request to generate report via C# DOCX Service...');
+    return DocumentController.createReportVersion(req, res, 'final');
+}
+
+static async generateReportWithDocxServiceDraft(req, res) {
+    return DocumentController.createReportVersion(req, res, 'draft');
+}
+
+// 🆕 Addendum to an already signed report - the signed versions stay untouched
+static async generateAddendumWithDocxService(req, res) {
+    return DocumentController.createReportVersion(req, res, 'addendum');
+}
+
+// 🆕 Final report rendered in-process as PDF, no C# service involved
+static async generatePdfReport(req, res) {
+    return DocumentController.createReportVersion(req, res, 'final', { forcePdf: true });
+}
+
+// Renders with the C# DOCX service, or in-process as PDF when the lab is set to
+// the 'pdf' renderer, the request asks for PDF, or the DOCX service is down.
+// kind: 'draft' | 'final' | 'addendum'
+static async createReportVersion(req, res, kind, { forcePdf = false } = {}) {
+    console.log(`🔄 Received request to generate ${kind} report...`);
     console.log('Request body:', req.body); // Debug: Log the entire request body
 
     try {
@@ -2190,152 +2293,73 @@ static async generateReportWithDocxService(req, res) {
             return res.status(404).json({ success: false, message: 'Study not found' });
         }
 
-        // --- Step 1: Call the C# DOCX Generation Service ---
-        console.log(`📞 Calling C# service with template: ${templateName}`);
-        
-        const docxResponse = await axios.post(DOCX_SERVICE_URL, {
-            templateName: templateName,
-            placeholders: placeholders
-        }, {
-            responseType: 'arraybuffer' 
-        });
-
-        const docxBuffer = Buffer.from(docxResponse.data);
-        console.log(`✅ Received generated DOCX from C# service, size: ${docxBuffer.length} bytes`);
-
-        // --- Step 2: Upload the generated DOCX to Wasabi ---
-        const fileName = `${study.patientInfo?.patientName}.docx`;
-        const wasabiResult = await WasabiService.uploadDocument(docxBuffer, fileName, 'final-reports', { studyId });
-        
-        if (!wasabiResult.success) {
-            throw new Error(`Wasabi upload failed: ${wasabiResult.error}`);
-        }
-        console.log('✅ Report uploaded to Wasabi successfully.');
+        // Check the version fits before anything is generated or uploaded
+        const versionInfo = buildNextReportVersion(study.doctorReports, kind);
+        const isSigned = kind !== 'draft';
 
         // --- MERGED LOGIC: Get Doctor Info and Uploader Name ---
-        let doctor = study.assignment?.assignedTo;
+        // assignment is a history array; the latest entry is the current assignee
+        let doctor = study.assignment?.at(-1)?.assignedTo;
         const uploaderName = doctor?.fullName || req.user?.fullName || 'Online System';
 
-        // --- MERGED LOGIC: Create the main Document record ---
-        const documentRecord = new Document({
-            studyId: study._id,
-            patientId: study.patient?._id,
-            fileName: fileName,
-            fileSize: docxBuffer.length,
-            contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            wasabiKey: wasabiResult.key,
-            wasabiBucket: wasabiResult.bucket,
-            documentType: 'clinical', // Matching your old 'clinical' type
-            uploadedBy: req.user._id
-        });
-        await documentRecord.save();
-
-        // --- MERGED LOGIC: Create the detailed doctorReports sub-document ---
-        const doctorReportDocument = {
-            _id: documentRecord._id,
-            filename: fileName,
-            contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            size: docxBuffer.length,
-            reportType: doctor ? 'doctor-report' : 'radiologist-report',
-            uploadedAt: new Date(),
-            uploadedBy: uploaderName,
-            reportStatus: 'finalized',
-            doctorId: doctor?._id,
-            wasabiKey: wasabiResult.key,
-            wasabiBucket: wasabiResult.bucket,
-            storageType: 'wasabi',
-            templateUsed: templateName // Use the templateName from the request
-        };
+        const lab = study.sourceLab ? await Lab.findById(study.sourceLab).lean() : null;
+        const usePdfRenderer = forcePdf || req.body.format === 'pdf' || lab?.reportSettings?.renderer === 'pdf';
 
-        // --- MERGED LOGIC: Update the Study with the new report ---
-        if (!study.doctorReports) {
-            study.doctorReports = [];
-        }
-        study.doctorReports.push(doctorReportDocument);
-        study.ReportAvailable = true;
-
-        // Update other study fields as per your old logic
-        study.reportInfo = study.reportInfo || {};
-        study.reportInfo.finalizedAt = new Date();
-        study.reportInfo.reporterName = uploaderName;
-        study.workflowStatus = 'report_finalized'; // Or call your updateWorkflowStatus function
-        
-        await study.save();
-        console.log('✅ Database updated successfully with detailed report info.');
-        
-        const downloadUrl = wasabiResult.url; // Assuming wasabi service returns the final URL
-
-        res.status(201).json({
-            success: true,
-            message: 'Report generated and uploaded successfully',
-            data: {
-                documentId: documentRecord._id,
-                filename: fileName,
-                downloadUrl: downloadUrl
+        // --- Step 1: Render the report ---
+        let rendered = null;
+        if (!usePdfRenderer) {
+            try {
+                console.log(`📞 Calling C# service with template: ${templateName}`);
+                const docxResponse = await axios.post(DOCX_SERVICE_URL, {
+                    templateName: templateName,
+                    placeholders: placeholders
+                }, {
+                    responseType: 'arraybuffer' 
+                });
+                rendered = { buffer: Buffer.from(docxResponse.data), contentType: DOCX_CONTENT_TYPE, extension: 'docx' };
+                console.log(`✅ Received generated DOCX from C# service, size: ${rendered.buffer.length} bytes`);
+            } catch (serviceError) {
+                console.warn('⚠️ DOCX service unavailable, rendering PDF in-process instead:', serviceError.message);
             }
-        });
-
-    } catch (error) {
-        console.error('❌ Error in new DOCX service workflow:', error.message);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to generate report',
-            error: error.message
-        });
-    }
-}
-
-static async generateReportWithDocxServiceDraft(req, res) {
-    console.log('🔄 Received request to generate report via C# DOCX Service...');
-        console.log('Request body:', req.body); // Debug: Log the entire request body
-
-
-    try {
-        const { studyId } = req.params;
-        const { templateName, placeholders } = req.body;
-
-        if (!templateName || !placeholders) {
-            return res.status(400).json({ success: false, message: 'templateName and placeholders are required.' });
-        }
-        
-        const study = await DicomStudy.findById(studyId).populate('patient').populate('assignment.assignedTo');
-        if (!study) {
-            return res.status(404).json({ success: false, message: 'Study not found' });
         }
 
-        // --- Step 1: Call the C# DOCX Generation Service ---
-        console.log(`📞 Calling C# service with template: ${templateName}`);
-        
-        const docxResponse = await axios.post(DOCX_SERVICE_URL, {
-            templateName: templateName,
-            placeholders: placeholders
-        }, {
-            responseType: 'arraybuffer' 
-        });
-
-        const docxBuffer = Buffer.from(docxResponse.data);
-        console.log(`✅ Received generated DOCX from C# service, size: ${docxBuffer.length} bytes`);
+        if (!rendered) {
+            // The signature belongs to whoever signs: the logged-in doctor, else the assigned one
+            const signerUserId = req.user?.role === 'doctor_account' ? req.user._id : doctor?._id;
+            const signer = signerUserId
+                ? await Doctor.findOne({ userAccount: signerUserId }).select('signature specialization licenseNumber').lean()
+                : null;
+            const signerName = req.user?.role === 'doctor_account' ? req.user.fullName : uploaderName;
+
+            const pdfBuffer = await reportPdfService.renderReport({
+                placeholders,
+                lab,
+                doctor: isSigned ? signer : null,
+                doctorName: signerName,
+                title: kind === 'addendum' ? `ADDENDUM ${versionInfo.addendumNumber}` : 'RADIOLOGY REPORT'
+            });
+            rendered = { buffer: pdfBuffer, contentType: 'application/pdf', extension: 'pdf' };
+            console.log(`✅ Rendered PDF in-process, size: ${pdfBuffer.length} bytes`);
+        }
 
-        // --- Step 2: Upload the generated DOCX to Wasabi ---
-        const fileName = `${study.patientInfo?.patientName}.docx`;
-        const wasabiResult = await WasabiService.uploadDocument(docxBuffer, fileName, 'final-reports', { studyId });
+        // --- Step 2: Upload the generated report to Wasabi ---
+        const fileName = kind === 'addendum'
+            ? `${study.patientInfo?.patientName}_addendum_${versionInfo.addendumNumber}.${rendered.extension}`
+            : `${study.patientInfo?.patientName}.${rendered.extension}`;
+        const wasabiResult = await WasabiService.uploadDocument(rendered.buffer, fileName, 'final-reports', { studyId });
         
         if (!wasabiResult.success) {
             throw new Error(`Wasabi upload failed: ${wasabiResult.error}`);
         }
         console.log('✅ Report uploaded to Wasabi successfully.');
 
-        // --- MERGED LOGIC: Get Doctor Info and Uploader Name ---
-        let doctor = study.assignment?.assignedTo;
-        const uploaderName = doctor?.fullName || req.user?.fullName || 'Online System';
-
         // --- MERGED LOGIC: Create the main Document record ---
         const documentRecord = new Document({
             studyId: study._id,
             patientId: study.patient?._id,
             fileName: fileName,
-            fileSize: docxBuffer.length,
-            contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            fileSize: rendered.buffer.length,
+            contentType: rendered.contentType,
             wasabiKey: wasabiResult.key,
             wasabiBucket: wasabiResult.bucket,
             documentType: 'clinical', // Matching your old 'clinical' type
@@ -2347,17 +2371,19 @@ static async generateReportWithDocxServiceDraft(req, res) {
         const doctorReportDocument = {
             _id: documentRecord._id,
             filename: fileName,
-            contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            size: docxBuffer.length,
+            contentType: rendered.contentType,
+            size: rendered.buffer.length,
             reportType: doctor ? 'doctor-report' : 'radiologist-report',
             uploadedAt: new Date(),
             uploadedBy: uploaderName,
-            reportStatus: 'draft',
+            reportStatus: isSigned ? 'finalized' : 'draft',
             doctorId: doctor?._id,
             wasabiKey: wasabiResult.key,
             wasabiBucket: wasabiResult.bucket,
             storageType: 'wasabi',
-            templateUsed: templateName // Use the templateName from the request
+            templateUsed: rendered.extension === 'pdf' ? 'in-process-pdf' : templateName, // Use the templateName from the request
+            reportContent: placeholders['--Content--'] || '',
+            ...versionInfo
         };
 
         // --- MERGED LOGIC: Update the Study with the new report ---
@@ -2365,34 +2391,53 @@ static async generateReportWithDocxServiceDraft(req, res) {
             study.doctorReports = [];
         }
         study.doctorReports.push(doctorReportDocument);
+        markSupersededVersions(study.doctorReports, doctorReportDocument);
         study.ReportAvailable = true;
 
         // Update other study fields as per your old logic
         study.reportInfo = study.reportInfo || {};
-        study.reportInfo.finalizedAt = new Date();
         study.reportInfo.reporterName = uploaderName;
-        study.workflowStatus = 'report_drafted'; // Or call your updateWorkflowStatus function
+        if (isSigned) {
+            study.reportInfo.finalizedAt = new Date();
+            study.workflowStatus = 'report_finalized'; // Or call your updateWorkflowStatus function
+        } else if (getLatestSignedReportIndex(study.doctorReports) === -1) {
+            // A draft addendum must not pull a signed study back to drafted
+            study.workflowStatus = 'report_drafted';
+        }
         
         await study.save();
-        console.log('✅ Database updated successfully with detailed report info.');
+        console.log(`✅ Database updated with report version ${versionInfo.version} (${kind}).`);
+
+        // 🆕 Send the signed version to the linked referring physician
+        if (isSigned) {
+            referringPhysicianService.deliverFinalizedReport(study._id, req.user)
+                .catch(error => console.warn('⚠️ Automatic report delivery failed:', error.message));
+            peerReviewService.considerStudy(study._id);
+        }
         
         const downloadUrl = wasabiResult.url; // Assuming wasabi service returns the final URL
 
         res.status(201).json({
             success: true,
-            message: 'Report generated and uploaded successfully',
+            message: kind === 'addendum'
+                ? `Addendum ${versionInfo.addendumNumber} signed and uploaded successfully`
+                : 'Report generated and uploaded successfully',
             data: {
                 documentId: documentRecord._id,
                 filename: fileName,
-                downloadUrl: downloadUrl
+                downloadUrl: downloadUrl,
+                version: versionInfo.version,
+                versionType: kind,
+                addendumNumber: versionInfo.addendumNumber,
+                format: rendered.extension
             }
         });
 
     } catch (error) {
-        console.error('❌ Error in new DOCX service workflow:', error.message);
-        res.status(500).json({
+        console.error('❌ Error in report generation workflow:', error.message);
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Failed to generate report',
+            message: error.statusCode ? error.message : 'Failed to generate report',
             error: error.message
         });
     }
@@ -2749,6 +2794,164 @@ static async getStudyInfoForReporting  (req, res) {
         });
     }
 };
+
+// 🆕 Prior studies of the same patient for the reporting side panel.
+// Matches on the Patient record and, when the MRN is a real one, on any other
+// unmerged Patient records that share the MRN + issuer.
+static async getPriorStudies(req, res) {
+    try {
+        const { studyId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(studyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study ID' });
+        }
+
+        const study = await DicomStudy.findById(studyId)
+            .select(`patient patientId ${STUDY_ACCESS_FIELDS}`)
+            .populate('patient', 'mrn issuerOfPatientID')
+            .lean();
+
+        if (!study) {
+            return res.status(404).json({ success: false, message: 'Study not found' });
+        }
+        await assertCanViewStudy(req.user, study);
+
+        const currentPatientId = study.patient?._id;
+        const patientIds = await patientMergeService.findRelatedPatientIds(study.patient);
+
+        if (patientIds.length === 0) {
+            return res.json({ success: true, data: [], count: 0 });
+        }
+
+        const priors = await DicomStudy.find({
+            ...NOT_QUARANTINED_FILTER,
+            _id: { $ne: study._id },
+            patient: { $in: patientIds }
+        })
+            .select(`
+                studyInstanceUID orthancStudyID accessionNumber studyDate createdAt
+                modalitiesInStudy modality examDescription workflowStatus patient sourceLab
+                doctorReports._id doctorReports.filename doctorReports.contentType doctorReports.reportStatus
+                doctorReports.uploadedAt doctorReports.uploadedBy doctorReports.reportContent
+            `)
+            .populate('sourceLab', 'name')
+            .sort({ studyDate: -1, createdAt: -1 })
+            .limit(PRIOR_STUDY_LIMIT)
+            .lean();
+
+        const data = priors.map(prior => ({
+            _id: prior._id,
+            studyInstanceUID: prior.studyInstanceUID,
+            orthancStudyID: prior.orthancStudyID,
+            accessionNumber: prior.accessionNumber || 'N/A',
+            studyDate: prior.studyDate || prior.createdAt,
+            modality: prior.modalitiesInStudy?.length > 0 ? prior.modalitiesInStudy.join(', ') : (prior.modality || 'N/A'),
+            description: prior.examDescription || 'N/A',
+            workflowStatus: prior.workflowStatus,
+            sourceLab: prior.sourceLab?.name || 'N/A',
+            matchedBy: String(prior.patient) === String(currentPatientId) ? 'patient' : 'mrn',
+            reports: (prior.doctorReports || []).map(report => ({
+                _id: report._id,
+                filename: report.filename,
+                reportStatus: report.reportStatus,
+                uploadedAt: report.uploadedAt,
+                uploadedBy: report.uploadedBy,
+                // Text can be inserted when we kept the editor HTML or can read it out of the DOCX
+                canInsert: report.reportStatus === 'finalized' &&
+                    (!!report.reportContent || report.contentType === DOCX_CONTENT_TYPE)
+            }))
+        }));
+
+        console.log(`📚 Found ${data.length} prior studies for study ${studyId}`);
+
+        res.json({ success: true, data, count: data.length });
+
+    } catch (error) {
+        console.error('❌ Error fetching prior studies:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch prior studies'
+        });
+    }
+}
+
+// 🆕 Text of a report version, as HTML ready for the report editor or a diff.
+// ?priorOf=<current study id> when reading a prior's report from the priors panel.
+static async getReportContent(req, res) {
+    try {
+        const { studyId, reportId } = req.params;
+        const { priorOf } = req.query;
+        if (!mongoose.Types.ObjectId.isValid(studyId) || (priorOf && !mongoose.Types.ObjectId.isValid(priorOf))) {
+            return res.status(400).json({ success: false, message: 'Invalid study ID' });
+        }
+
+        const study = await DicomStudy.findById(studyId)
+            .select(`doctorReports patient quarantine.isQuarantined ${STUDY_ACCESS_FIELDS}`)
+            .lean();
+        if (!study) {
+            return res.status(404).json({ success: false, message: 'Study not found' });
+        }
+
+        const allowed = priorOf
+            ? await dicomwebProxyService.isPriorOfViewableStudy(req.user, study, priorOf)
+            : await canViewStudy(req.user, study);
+        if (!allowed) {
+            return res.status(403).json({ success: false, message: 'You do not have access to this study' });
+        }
+
+        const report = study?.doctorReports?.find(item => String(item._id) === reportId);
+
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report not found' });
+        }
+        if (report.reportContent) {
+            return res.json({ success: true, data: { content: report.reportContent, source: 'editor' } });
+        }
+
+        if (report.contentType !== DOCX_CONTENT_TYPE) {
+            return res.status(422).json({ success: false, message: 'This report has no readable text' });
+        }
+
+        // Older reports only exist as DOCX - pull the paragraphs out of the document body
+        let docxBuffer = report.data ? Buffer.from(report.data, 'base64') : null;
+        if (!docxBuffer) {
+            const documentRecord = await Document.findById(report._id).lean();
+            if (!documentRecord?.wasabiKey) {
+                return res.status(404).json({ success: false, message: 'Report file not found' });
+            }
+            const wasabiResult = await WasabiService.downloadFile(documentRecord.wasabiBucket, documentRecord.wasabiKey);
+            if (!wasabiResult.success) {
+                throw new Error(wasabiResult.error || 'Failed to download report');
+            }
+            docxBuffer = wasabiResult.data;
+        }
+
+        res.json({
+            success: true,
+            data: { content: DocumentController.extractDocxParagraphsAsHtml(docxBuffer), source: 'docx' }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching report content:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch report content'
+        });
+    }
+}
+
+static extractDocxParagraphsAsHtml(buffer) {
+    const documentXml = new PizZip(buffer).file('word/document.xml')?.asText() || '';
+
+    // w:t runs are already XML-escaped, which is also valid HTML
+    return documentXml
+        .split('</w:p>')
+        .map(paragraph => (paragraph.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>/g) || [])
+            .map(run => run.replace(/<[^>]+>/g, ''))
+            .join(''))
+        .filter(text => text.trim())
+        .map(text => `<p>${text}</p>`)
+        .join('');
+}
 }
 
-export default DocumentController;
\ No newline at end of file
+export default DocumentController;
@@ -2,6 +2,9 @@ import DicomStudy from '../models/dicomStudyModel.js';
 import Doctor from '../models/doctorModel.js';
 import Patient from '../models/patientModel.js';
 import { updateWorkflowStatus } from '../utils/workflowStatusManger.js';
+import { getLatestSignedReportIndex } from '../utils/reportVersioning.js';
+import reportDispatchService from '../services/reportDispatch.service.js';
+import rosterService from '../services/roster.service.js';
 import ExcelJS from 'exceljs';
 import fs from 'fs';
 import path from 'path';
@@ -19,6 +22,8 @@ const ORTHANC_USERNAME = process.env.ORTHANC_USERNAME || 'alice';
 const ORTHANC_PASSWORD = process.env.ORTHANC_PASSWORD || 'alicePassword';
 const orthancAuth = 'Basic ' + Buffer.from(ORTHANC_USERNAME + ':' + ORTHANC_PASSWORD).toString('base64');
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 /**
  * Bulk assign studies to a doctor
  * @route POST /api/worklist/assign
@@ -37,13 +42,20 @@ export const assignStudies = async (req, res) => {
     // If doctorId is provided, validate doctor
     let doctor = null;
     if (doctorId) {
-      doctor = await Doctor.findById(doctorId);
+      doctor = await Doctor.findById(doctorId).populate('userAccount', 'fullName');
       if (!doctor) {
         return res.status(404).json({
           success: false,
           message: 'Doctor not found'
         });
       }
+
+      if (!(await rosterService.isOnDuty(doctor._id))) {
+        return res.status(409).json({
+          success: false,
+          message: `Dr. ${doctor.userAccount?.fullName || 'Unknown'} is off duty according to the roster`
+        });
+      }
     }
     
     // Process each study
@@ -60,6 +72,15 @@ export const assignStudies = async (req, res) => {
           });
           continue;
         }
+
+        if (study.quarantine?.isQuarantined) {
+          results.push({
+            studyId,
+            success: false,
+            message: 'Study is in quarantine - assign it to a lab before assigning a doctor'
+          });
+          continue;
+        }
         
         // Update workflow status
         await updateWorkflowStatus({
@@ -428,7 +449,7 @@ seriesImages: study.seriesImages || `${study.seriesCount || 0}/${study.instanceC
  */
 export const dispatchReports = async (req, res) => {
   try {
-    const { studyIds, emailTemplate = 'standard' } = req.body;
+    const { studyIds, emailTemplate = 'standard', additionalRecipients = [] } = req.body;
     
     if (!studyIds || !Array.isArray(studyIds) || studyIds.length === 0) {
       return res.status(400).json({
@@ -436,21 +457,26 @@ export const dispatchReports = async (req, res) => {
         message: 'Please provide at least one study ID'
       });
     }
+
+    const extraEmails = (Array.isArray(additionalRecipients) ? additionalRecipients : [])
+      .map(email => String(email).trim().toLowerCase())
+      .filter(Boolean);
+    const invalidEmail = extraEmails.find(email => !EMAIL_PATTERN.test(email));
+    if (invalidEmail) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid email address: ${invalidEmail}`
+      });
+    }
     
     // Process each study
     const results = [];
     for (const studyId of studyIds) {
       try {
-        // Find the study with patient info
+        // Find the study with its referring physician
         const study = await DicomStudy.findById(studyId)
-          .populate('patient')
-          .populate({
-            path: 'lastAssignedDoctor',
-            populate: {
-              path: 'userAccount',
-              select: 'fullName email'
-            }
-          });
+          .select('physicians referringPhysicianName referringPhysicianRef sourceLab doctorReports workflowStatus')
+          .populate('referringPhysicianRef', 'name email isActive');
           
         if (!study) {
           results.push({
@@ -461,21 +487,39 @@ export const dispatchReports = async (req, res) => {
           continue;
         }
         
-        // Check if report is available
-        if (!study.ReportAvailable) {
+        // Only signed reports go out - the latest signed version is what gets sent
+        if (getLatestSignedReportIndex(study.doctorReports) === -1) {
           results.push({
             studyId,
             success: false,
-            message: 'No report available for dispatch'
+            message: 'No finalized report available for dispatch'
+          });
+          continue;
+        }
+
+        const template = await reportDispatchService.resolveTemplate(emailTemplate, study.sourceLab);
+        if (!template) {
+          results.push({
+            studyId,
+            success: false,
+            message: `Email template "${emailTemplate}" not found`
           });
           continue;
         }
         
-        // Check if we have a recipient email
-        const referredBy = study.patient?.referringPhysician || study.referredBy;
-        const recipientEmail = study.patient?.referringPhysicianEmail;
+        // Referring physician (directory entry first) plus any extra recipients, without duplicates
+        const directoryPhysician = study.referringPhysicianRef?.isActive ? study.referringPhysicianRef : null;
+        const referredBy = directoryPhysician?.name || study.physicians?.referring?.name || study.referringPhysicianName;
+        const referringEmail = (directoryPhysician?.email || study.physicians?.referring?.email || '').trim().toLowerCase();
+        const recipients = [];
+        if (EMAIL_PATTERN.test(referringEmail)) {
+          recipients.push({ email: referringEmail, name: referredBy });
+        }
+        extraEmails
+          .filter(email => !recipients.some(recipient => recipient.email === email))
+          .forEach(email => recipients.push({ email }));
         
-        if (!recipientEmail) {
+        if (recipients.length === 0) {
           results.push({
             studyId,
             success: false,
@@ -484,30 +528,38 @@ export const dispatchReports = async (req, res) => {
           continue;
         }
         
-        // TODO: Send email with report - this would connect to a mail sending service
-        // For now, we'll just simulate a successful send
+        const dispatches = await reportDispatchService.queueStudyDispatch(study, {
+          recipients,
+          templateKey: template.key,
+          userId: req.user._id
+        });
         
         // Mark as dispatched in status history
-        study.statusHistory = study.statusHistory || [];
-        study.statusHistory.push({
-          status: study.workflowStatus,
-          changedAt: new Date(),
-          changedBy: req.user._id,
-          note: `Report dispatched to ${referredBy} (${recipientEmail}) by ${req.user.fullName || req.user.email}`
+        const recipientList = recipients.map(recipient => recipient.email).join(', ');
+        await DicomStudy.updateOne({ _id: study._id }, {
+          $set: {
+            reportDispatched: true,
+            reportDispatchedAt: new Date()
+          },
+          $push: {
+            statusHistory: {
+              status: study.workflowStatus,
+              changedAt: new Date(),
+              changedBy: req.user._id,
+              note: `Report queued for email to ${recipientList} by ${req.user.fullName || req.user.email}`
+            }
+          }
         });
         
-        // Save dispatch information
-        study.reportDispatched = true;
-        study.reportDispatchedAt = new Date();
-        study.reportDispatchedBy = req.user._id;
-        study.reportDispatchedTo = recipientEmail;
-        
-        await study.save();
-        
         results.push({
           studyId,
           success: true,
-          message: `Report dispatched to ${recipientEmail}`
+          message: `Report queued for ${recipientList}`,
+          dispatches: dispatches.map(dispatch => ({
+            _id: dispatch._id,
+            recipientEmail: dispatch.recipientEmail,
+            status: dispatch.status
+          }))
         });
       } catch (error) {
         console.error(`Error dispatching report for study ${studyId}:`, error);
@@ -524,7 +576,7 @@ export const dispatchReports = async (req, res) => {
     
     res.json({
       success: true,
-      message: `${successCount} reports dispatched successfully, ${failCount} failed`,
+      message: `${successCount} reports queued for delivery, ${failCount} failed`,
       results
     });
     
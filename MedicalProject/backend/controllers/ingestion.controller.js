@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import IngestionJob from '../models/ingestionJobModel.js';
+import Lab from '../models/labModel.js';
+import ingestionQueue from '../services/ingestion.queue.service.js';
+
+const FAILED_STATUSES = ['retrying', 'dead_letter'];
+
+function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// GET /api/ingestion/jobs
+// Lists ingestion jobs, failed ones (retrying + dead-lettered) by default
+export const getIngestionJobs = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const status = req.query.status || 'failed';
+        const search = escapeRegex(String(req.query.search || '').trim());
+
+        const query = {};
+        if (status === 'failed') {
+            query.status = { $in: FAILED_STATUSES };
+        } else if (status !== 'all') {
+            query.status = status;
+        }
+
+        if (search) {
+            query.$or = [
+                { orthancStudyId: { $regex: search, $options: 'i' } },
+                { requestId: { $regex: search, $options: 'i' } },
+                { lastError: { $regex: search, $options: 'i' } },
+                { 'mainDicomTags.StudyInstanceUID': { $regex: search, $options: 'i' } },
+                { 'mainDicomTags.AccessionNumber': { $regex: search, $options: 'i' } },
+                { 'patientMainDicomTags.PatientName': { $regex: search, $options: 'i' } },
+                { 'patientMainDicomTags.PatientID': { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [jobs, totalRecords, statusCounts] = await Promise.all([
+            IngestionJob.find(query)
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-originalBody -result')
+                .populate('overrideLab', 'name identifier')
+                .lean(),
+            IngestionJob.countDocuments(query),
+            IngestionJob.aggregate([
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const stats = statusCounts.reduce((acc, { _id, count }) => {
+            acc[_id] = count;
+            return acc;
+        }, {});
+
+        res.status(200).json({
+            success: true,
+            data: jobs,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            },
+            stats
+        });
+    } catch (error) {
+        console.error('❌ Error fetching ingestion jobs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch ingestion jobs',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/ingestion/jobs/:requestId
+export const getIngestionJob = async (req, res) => {
+    try {
+        const job = await IngestionJob.findOne({ requestId: req.params.requestId })
+            .populate('overrideLab', 'name identifier')
+            .populate('lastReplayedBy', 'fullName email')
+            .populate('discardedBy', 'fullName email')
+            .lean();
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ingestion job not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('❌ Error fetching ingestion job:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch ingestion job',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/ingestion/jobs/:requestId/retry
+// Body: { labId? } - when labId is given the study is filed under that lab
+// instead of running lab detection again; an empty labId clears the override
+export const retryIngestionJob = async (req, res) => {
+    try {
+        const { labId } = req.body || {};
+
+        if (labId) {
+            if (!mongoose.Types.ObjectId.isValid(labId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid lab ID'
+                });
+            }
+            const lab = await Lab.findById(labId).select('_id isActive').lean();
+            if (!lab || !lab.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Lab not found or inactive'
+                });
+            }
+        }
+
+        const job = await ingestionQueue.replay(req.params.requestId, {
+            userId: req.user._id,
+            // undefined keeps any previous override, '' clears it
+            overrideLabId: labId === undefined ? undefined : (labId || null)
+        });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ingestion job not found'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: labId ? 'Ingestion job re-queued with lab override' : 'Ingestion job re-queued',
+            data: {
+                requestId: job.requestId,
+                status: job.status,
+                replayCount: job.replayCount,
+                overrideLab: job.overrideLab
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error retrying ingestion job:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to retry ingestion job',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/ingestion/jobs/:requestId/discard
+export const discardIngestionJob = async (req, res) => {
+    try {
+        const job = await ingestionQueue.discard(req.params.requestId, {
+            userId: req.user._id,
+            reason: req.body?.reason || ''
+        });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ingestion job not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Ingestion job discarded',
+            data: {
+                requestId: job.requestId,
+                status: job.status,
+                discardedAt: job.discardedAt
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error discarding ingestion job:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to discard ingestion job',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/ingestion/queue-stats
+export const getIngestionQueueStats = async (req, res) => {
+    try {
+        const counts = await ingestionQueue.getCounts();
+        res.status(200).json({
+            success: true,
+            data: counts
+        });
+    } catch (error) {
+        console.error('❌ Error fetching ingestion queue stats:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch ingestion queue stats',
+            error: error.message
+        });
+    }
+};
@@ -3,6 +3,7 @@ import DicomStudy from '../models/dicomStudyModel.js';
 import Lab from '../models/labModel.js';
 import mongoose from 'mongoose';
 import NodeCache from 'node-cache';
+import { NOT_QUARANTINED_FILTER } from '../services/labRouting.service.js';
 
 
 // 🔧 PERFORMANCE: Add caching for frequent queries
@@ -328,7 +329,7 @@ export const getAllStudiesForLab = async (req, res) => {
         } = req.query;
 
         // Build filters
-        const queryFilters = {};
+        const queryFilters = { ...NOT_QUARANTINED_FILTER };
         
         // 🔧 LAB SPECIFIC: Lab filtering with optimized lookup
         if (req.user.role === 'lab_staff' && req.user.lab) {
@@ -1071,6 +1072,7 @@ export const getPendingStudies = async (req, res) => {
         
         // 🔧 STEP 1: Build lean query filters with PENDING status priority
         const queryFilters = {
+            ...NOT_QUARANTINED_FILTER,
             workflowStatus: { 
                 $in: ['new_study_received', 'pending_assignment'] 
             }
@@ -1476,6 +1478,7 @@ export const getProcessingStudies = async (req, res) => {
         
         // 🔧 STEP 1: Build lean query filters with PROCESSING status priority
         const queryFilters = {
+            ...NOT_QUARANTINED_FILTER,
             workflowStatus: { 
                 $in: [
                     'assigned_to_doctor', 'doctor_opened_report', 'report_in_progress',
@@ -1883,6 +1886,7 @@ export const getCompletedStudies = async (req, res) => {
         
         // 🔧 STEP 1: Build lean query filters with COMPLETED status priority
         const queryFilters = {
+            ...NOT_QUARANTINED_FILTER,
             workflowStatus: 'final_report_downloaded'
         };
         
@@ -2542,7 +2546,7 @@ export const getValues = async (req, res) => {
         const startTime = Date.now();
         
         // --- The logic for building queryFilters remains the same ---
-        const queryFilters = {};
+        const queryFilters = { ...NOT_QUARANTINED_FILTER };
         
         if (req.user.role === 'lab_staff' && req.user.lab) {
             queryFilters.sourceLab = new mongoose.Types.ObjectId(req.user.lab._id);
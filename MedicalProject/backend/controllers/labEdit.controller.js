@@ -5,6 +5,7 @@ import Doctor from '../models/doctorModel.js';
 import Lab from '../models/labModel.js';
 import Document from '../models/documentModal.js'; // 🔧 NEW: Document model
 import WasabiService from '../services/wasabi.service.js'; // 🔧 NEW: Wasabi integration
+import referringPhysicianService from '../services/referringPhysician.service.js';
 import cache from '../utils/cache.js';
 import websocketService from '../config/webSocket.js'; // 🔧 NEW: WebSocket service
 import mongoose from 'mongoose';
@@ -1454,6 +1455,14 @@ if (updateData.clinicalInfo) {
               // Also update the simple name field for backward compatibility
               studyUpdateData.referringPhysicianName = referringPhysicianData.name;
               
+              // 🆕 NEW: Re-link the referring physician directory entry
+              try {
+                  const linkedPhysician = await referringPhysicianService.resolve(referringPhysicianData.name, referringPhysicianData);
+                  studyUpdateData.referringPhysicianRef = linkedPhysician?._id || null;
+              } catch (linkError) {
+                  console.warn(`⚠️ Could not link referring physician: ${linkError.message}`);
+              }
+              
               console.log(`📋 Updating referring physician in studies:`, studyUpdateData.referringPhysician);
           }
 
@@ -0,0 +1,311 @@
+import mongoose from 'mongoose';
+import LabRoutingRule from '../models/labRoutingRuleModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import Lab from '../models/labModel.js';
+import websocketService from '../config/webSocket.js';
+import labRoutingService, { QUARANTINE_LAB } from '../services/labRouting.service.js';
+
+function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const EDITABLE_FIELDS = ['name', 'priority', 'isActive', 'matchType', 'tag', 'pattern', 'targetLab', 'notes'];
+
+const pickRuleFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    if (data.targetLab === '') {
+        data.targetLab = null;
+    }
+    return data;
+};
+
+// GET /api/lab-routing/rules
+export const getRoutingRules = async (req, res) => {
+    try {
+        const rules = await LabRoutingRule.find({})
+            .sort({ priority: 1, createdAt: 1 })
+            .populate('targetLab', 'name identifier isActive')
+            .populate('createdBy', 'fullName')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: rules,
+            count: rules.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching routing rules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch routing rules',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/lab-routing/rules
+export const createRoutingRule = async (req, res) => {
+    try {
+        const rule = await LabRoutingRule.create({
+            ...pickRuleFields(req.body),
+            createdBy: req.user._id
+        });
+        labRoutingService.invalidate();
+
+        res.status(201).json({
+            success: true,
+            message: 'Routing rule created',
+            data: rule
+        });
+    } catch (error) {
+        console.error('❌ Error creating routing rule:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to create routing rule'
+        });
+    }
+};
+
+// PUT /api/lab-routing/rules/:ruleId
+export const updateRoutingRule = async (req, res) => {
+    try {
+        const { ruleId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+            return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+        }
+
+        const rule = await LabRoutingRule.findById(ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Routing rule not found' });
+        }
+
+        Object.assign(rule, pickRuleFields(req.body));
+        await rule.save();
+        labRoutingService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'Routing rule updated',
+            data: rule
+        });
+    } catch (error) {
+        console.error('❌ Error updating routing rule:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to update routing rule'
+        });
+    }
+};
+
+// DELETE /api/lab-routing/rules/:ruleId
+export const deleteRoutingRule = async (req, res) => {
+    try {
+        const { ruleId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+            return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+        }
+
+        const rule = await LabRoutingRule.findByIdAndDelete(ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Routing rule not found' });
+        }
+        labRoutingService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'Routing rule deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting routing rule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete routing rule',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/lab-routing/test
+// Body: { tags: { InstitutionName: '...', '0013,0010': '...' }, callingAETitle? }
+// Dry-runs the rule table without creating anything
+export const testRoutingRules = async (req, res) => {
+    try {
+        const { tags = {}, callingAETitle = '' } = req.body || {};
+        labRoutingService.invalidate();
+        const result = await labRoutingService.resolveLab(tags, { callingAETitle }, { dryRun: true });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                method: result.method,
+                quarantined: result.quarantined,
+                rule: result.rule ? { _id: result.rule._id, name: result.rule.name, priority: result.rule.priority } : null,
+                lab: result.lab ? { _id: result.lab._id, name: result.lab.name, identifier: result.lab.identifier } : null
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error testing routing rules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to test routing rules',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/lab-routing/quarantine
+// Query: page, limit, search
+export const getQuarantinedStudies = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const { search } = req.query;
+
+        const filter = { 'quarantine.isQuarantined': true };
+        if (search) {
+            const regex = new RegExp(escapeRegex(search.trim()), 'i');
+            filter.$or = [
+                { 'patientInfo.patientName': regex },
+                { patientId: regex },
+                { accessionNumber: regex },
+                { institutionName: regex },
+                { 'labRouting.callingAETitle': regex },
+                { 'labRouting.stationName': regex }
+            ];
+        }
+
+        const [studies, totalRecords] = await Promise.all([
+            DicomStudy.find(filter)
+                .select('patientInfo patientId accessionNumber studyDate modalitiesInStudy examDescription institutionName seriesImages orthancStudyID labRouting quarantine createdAt')
+                .sort({ 'quarantine.quarantinedAt': -1, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            DicomStudy.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: studies,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching quarantined studies:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch quarantined studies',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/lab-routing/quarantine/:studyId/assign
+// Body: { labId, notes?, createRule?: { name?, priority?, matchType, tag?, pattern? } }
+// Releases a quarantined study to a real lab, optionally saving the decision as a routing rule
+export const assignQuarantinedStudy = async (req, res) => {
+    try {
+        const { studyId } = req.params;
+        const { labId, notes = '', createRule } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(studyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study ID' });
+        }
+        if (!labId || !mongoose.Types.ObjectId.isValid(labId)) {
+            return res.status(400).json({ success: false, message: 'A valid lab is required' });
+        }
+
+        const [study, lab] = await Promise.all([
+            DicomStudy.findById(studyId),
+            Lab.findById(labId)
+        ]);
+
+        if (!study) {
+            return res.status(404).json({ success: false, message: 'Study not found' });
+        }
+        if (!study.quarantine?.isQuarantined) {
+            return res.status(409).json({ success: false, message: 'Study is not in quarantine' });
+        }
+        if (!lab || !lab.isActive || lab.identifier === QUARANTINE_LAB.identifier) {
+            return res.status(400).json({ success: false, message: 'Lab not found or inactive' });
+        }
+
+        // Validate the rule up front so a bad rule leaves the study untouched
+        let rule = null;
+        if (createRule) {
+            rule = new LabRoutingRule({
+                ...pickRuleFields(createRule),
+                name: createRule.name || `${lab.name} (from quarantine)`,
+                targetLab: lab._id,
+                isActive: true,
+                createdBy: req.user._id,
+                notes: `Created while releasing study ${study.accessionNumber || study._id}`
+            });
+            try {
+                await rule.validate();
+            } catch (validationError) {
+                return res.status(400).json({ success: false, message: validationError.message });
+            }
+            await rule.save();
+            labRoutingService.invalidate();
+        }
+
+        const now = new Date();
+        study.sourceLab = lab._id;
+        study.quarantine = {
+            ...study.quarantine?.toObject?.(),
+            isQuarantined: false,
+            releasedAt: now,
+            releasedBy: req.user._id,
+            releaseNotes: notes
+        };
+        study.labRouting = {
+            ...study.labRouting?.toObject?.(),
+            method: 'manual',
+            rule: rule?._id || null,
+            ruleName: rule?.name || '',
+            routedAt: now
+        };
+        study.statusHistory.push({
+            status: study.workflowStatus,
+            changedAt: now,
+            changedBy: req.user._id,
+            note: `Released from quarantine to ${lab.name} by ${req.user.fullName}${rule ? ` (rule "${rule.name}" created)` : ''}${notes ? `: ${notes}` : ''}`
+        });
+        await study.save();
+
+        console.log(`[LabRouting] ✅ Study ${study._id} released from quarantine to ${lab.name}`);
+
+        try {
+            await websocketService.notifySimpleNewStudy();
+        } catch (wsError) {
+            console.warn('⚠️ Notification failed:', wsError.message);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Study assigned to ${lab.name}`,
+            data: {
+                studyId: study._id,
+                lab: { _id: lab._id, name: lab.name, identifier: lab.identifier },
+                rule
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error assigning quarantined study:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to assign quarantined study',
+            error: error.message
+        });
+    }
+};
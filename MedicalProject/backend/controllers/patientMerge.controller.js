@@ -0,0 +1,264 @@
+import mongoose from 'mongoose';
+import Patient from '../models/patientModel.js';
+import PatientMerge from '../models/patientMergeModel.js';
+import PatientDuplicateCandidate from '../models/patientDuplicateCandidateModel.js';
+import patientMergeService from '../services/patientMerge.service.js';
+
+const PATIENT_SUMMARY_FIELDS = 'patientID mrn issuerOfPatientID patientNameRaw dateOfBirth gender studyCount lastStudyDate mergedInto createdAt';
+
+function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 20, 100);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// GET /api/patient-merge/candidates
+// Query: status (open|merged|dismissed|all), page, limit
+export const getDuplicateCandidates = async (req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const status = req.query.status || 'open';
+        const filter = status === 'all' ? {} : { status };
+
+        const [candidates, totalRecords, statusCounts] = await Promise.all([
+            PatientDuplicateCandidate.find(filter)
+                .sort({ score: -1, detectedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('patients', PATIENT_SUMMARY_FIELDS)
+                .populate('resolvedBy', 'fullName')
+                .lean(),
+            PatientDuplicateCandidate.countDocuments(filter),
+            PatientDuplicateCandidate.aggregate([
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: candidates,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            },
+            stats: statusCounts.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {})
+        });
+    } catch (error) {
+        console.error('❌ Error fetching duplicate candidates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch duplicate candidates',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/patient-merge/candidates/detect
+// Runs the detection job immediately instead of waiting for the schedule
+export const runDuplicateDetection = async (req, res) => {
+    try {
+        const summary = await patientMergeService.detectDuplicates();
+
+        res.status(200).json({
+            success: true,
+            message: `Detection finished: ${summary.pairsFound} possible duplicates (${summary.newCandidates} new)`,
+            data: summary
+        });
+    } catch (error) {
+        console.error('❌ Error running duplicate detection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run duplicate detection',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/patient-merge/candidates/:candidateId/dismiss
+export const dismissDuplicateCandidate = async (req, res) => {
+    try {
+        const { candidateId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(candidateId)) {
+            return res.status(400).json({ success: false, message: 'Invalid candidate ID' });
+        }
+
+        const candidate = await PatientDuplicateCandidate.findOneAndUpdate(
+            { _id: candidateId, status: 'open' },
+            { $set: { status: 'dismissed', resolvedAt: new Date(), resolvedBy: req.user._id } },
+            { new: true }
+        );
+
+        if (!candidate) {
+            return res.status(404).json({ success: false, message: 'Open duplicate candidate not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Marked as not a duplicate',
+            data: candidate
+        });
+    } catch (error) {
+        console.error('❌ Error dismissing duplicate candidate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to dismiss duplicate candidate',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/patient-merge/patients?search=
+// Patient lookup for merges the detection job did not catch
+export const searchPatientsForMerge = async (req, res) => {
+    try {
+        const search = (req.query.search || '').trim();
+        if (search.length < 2) {
+            return res.status(200).json({ success: true, data: [] });
+        }
+
+        const regex = new RegExp(escapeRegex(search), 'i');
+        const patients = await Patient.find({
+            mergedInto: { $exists: false },
+            $or: [{ patientID: regex }, { mrn: regex }, { patientNameRaw: regex }]
+        })
+            .select(PATIENT_SUMMARY_FIELDS)
+            .sort({ lastStudyDate: -1 })
+            .limit(20)
+            .lean();
+
+        res.status(200).json({ success: true, data: patients });
+    } catch (error) {
+        console.error('❌ Error searching patients for merge:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search patients',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/patient-merge/merge
+// Body: { survivorId, mergedIds: [], reason?, candidateId? }
+export const mergePatients = async (req, res) => {
+    try {
+        const { survivorId, mergedIds, reason = '', candidateId = null } = req.body || {};
+
+        const allIds = [survivorId, ...(Array.isArray(mergedIds) ? mergedIds : [])];
+        if (!survivorId || !Array.isArray(mergedIds) || !allIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ success: false, message: 'survivorId and mergedIds must be valid patient IDs' });
+        }
+        if (candidateId && !mongoose.Types.ObjectId.isValid(candidateId)) {
+            return res.status(400).json({ success: false, message: 'Invalid candidate ID' });
+        }
+
+        const merge = await patientMergeService.mergePatients({
+            survivorId,
+            mergedIds,
+            userId: req.user._id,
+            reason,
+            candidateId
+        });
+
+        if (!merge) {
+            return res.status(404).json({ success: false, message: 'One or more patients not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Merged ${merge.mergedPatients.length} patient record(s) into ${merge.survivorPatientID}`,
+            data: {
+                mergeId: merge._id,
+                studiesMoved: merge.movedStudies.length,
+                documentsMoved: merge.movedDocuments.length,
+                undoDeadline: merge.undoDeadline
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error merging patients:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to merge patients',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/patient-merge/merges
+export const getMergeHistory = async (req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [merges, totalRecords] = await Promise.all([
+            PatientMerge.find({})
+                .select('-mergedPatients.snapshot')
+                .sort({ mergedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('survivor', 'patientID patientNameRaw')
+                .populate('mergedBy', 'fullName')
+                .populate('undoneBy', 'fullName')
+                .lean(),
+            PatientMerge.countDocuments({})
+        ]);
+
+        const now = new Date();
+        res.status(200).json({
+            success: true,
+            data: merges.map(merge => ({
+                ...merge,
+                studiesMoved: merge.movedStudies?.length || 0,
+                documentsMoved: merge.movedDocuments?.length || 0,
+                movedStudies: undefined,
+                movedDocuments: undefined,
+                canUndo: merge.status === 'completed' && (!merge.undoDeadline || merge.undoDeadline > now)
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching merge history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch merge history',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/patient-merge/merges/:mergeId/undo
+export const undoPatientMerge = async (req, res) => {
+    try {
+        const { mergeId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(mergeId)) {
+            return res.status(400).json({ success: false, message: 'Invalid merge ID' });
+        }
+
+        const merge = await patientMergeService.undoMerge(mergeId, { userId: req.user._id });
+        if (!merge) {
+            return res.status(404).json({ success: false, message: 'Merge not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Merge undone - ${merge.movedStudies.length} studies restored`,
+            data: { mergeId: merge._id, status: merge.status }
+        });
+    } catch (error) {
+        console.error('❌ Error undoing patient merge:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to undo merge',
+            error: error.message
+        });
+    }
+};
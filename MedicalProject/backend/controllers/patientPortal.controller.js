@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import patientPortalService from '../services/patientPortal.service.js';
+
+// POST /api/patient-portal/auth/send-otp
+export const sendLoginOtp = async (req, res) => {
+    try {
+        const { phone } = req.body;
+        if (!phone) {
+            return res.status(400).json({ success: false, message: 'Mobile number is required' });
+        }
+
+        await patientPortalService.requestOtp(phone);
+
+        // Don't reveal whether the number is registered
+        res.status(200).json({
+            success: true,
+            message: 'If this number is registered with us, a login code has been sent by SMS or to the email address on file',
+            data: { expiresIn: '10 minutes' }
+        });
+    } catch (error) {
+        console.error('❌ Error sending patient portal OTP:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to send login code. Please try again later.',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/patient-portal/auth/verify-otp
+export const verifyLoginOtp = async (req, res) => {
+    try {
+        const { phone, otp } = req.body;
+        const { token, profile } = await patientPortalService.verifyOtp(phone, otp);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged in successfully',
+            data: { token, profile }
+        });
+    } catch (error) {
+        console.error('❌ Error verifying patient portal OTP:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to verify login code',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/patient-portal/me
+export const getProfile = async (req, res) => {
+    try {
+        const profile = await patientPortalService.getProfile(req.patientAccount);
+        res.status(200).json({ success: true, data: profile });
+    } catch (error) {
+        console.error('❌ Error fetching patient portal profile:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch profile',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/patient-portal/consent
+export const acceptConsent = async (req, res) => {
+    try {
+        const profile = await patientPortalService.acceptConsent(req.patientAccount, req.body.version, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+        res.status(200).json({
+            success: true,
+            message: 'Thank you - your consent has been recorded',
+            data: profile
+        });
+    } catch (error) {
+        console.error('❌ Error recording patient portal consent:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to record consent',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/patient-portal/studies
+export const getStudies = async (req, res) => {
+    try {
+        const studies = await patientPortalService.getStudies(req.patientAccount);
+        res.status(200).json({ success: true, data: studies });
+    } catch (error) {
+        console.error('❌ Error fetching patient portal studies:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch your studies',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/patient-portal/studies/:studyId/reports/:reportId/download
+export const downloadReport = async (req, res) => {
+    try {
+        const { studyId, reportId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(studyId) || !mongoose.Types.ObjectId.isValid(reportId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study or report ID' });
+        }
+
+        const file = await patientPortalService.downloadReport(req.patientAccount, studyId, reportId);
+
+        res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Length', file.data.length);
+        res.send(file.data);
+    } catch (error) {
+        console.error('❌ Error downloading patient portal report:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to download report',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/patient-portal/studies/:studyId/reports/:reportId/acknowledge
+export const acknowledgeReport = async (req, res) => {
+    try {
+        const { studyId, reportId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(studyId) || !mongoose.Types.ObjectId.isValid(reportId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study or report ID' });
+        }
+
+        const entry = await patientPortalService.acknowledgeReport(req.patientAccount, studyId, reportId);
+        res.status(200).json({
+            success: true,
+            message: 'Report receipt acknowledged',
+            data: { acknowledgedAt: entry.acknowledgedAt }
+        });
+    } catch (error) {
+        console.error('❌ Error acknowledging patient portal report:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to acknowledge report',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/patient-portal/studies/:studyId/viewer-link
+export const createViewerLink = async (req, res) => {
+    try {
+        const { studyId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(studyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study ID' });
+        }
+
+        const link = await patientPortalService.createViewerLink(req.patientAccount, studyId);
+        res.status(201).json({ success: true, data: link });
+    } catch (error) {
+        console.error('❌ Error creating patient portal viewer link:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to open images',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/patient-portal/admin/studies/:studyId/access
+export const getStudyAccess = async (req, res) => {
+    try {
+        const { studyId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(studyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study ID' });
+        }
+
+        const accounts = await patientPortalService.getStudyAccess(studyId);
+        res.status(200).json({ success: true, data: accounts });
+    } catch (error) {
+        console.error('❌ Error fetching patient portal access:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch patient portal access',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,289 @@
+import mongoose from 'mongoose';
+import PeerReview from '../models/peerReviewModel.js';
+import peerReviewService from '../services/peerReview.service.js';
+import { startOfZonedDay, DEFAULT_TIMEZONE } from '../utils/businessCalendar.js';
+
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 20, 100);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const populateReview = (query) => query
+    .populate('reviewer', 'fullName email')
+    .populate('originalReporter', 'fullName email')
+    .populate('sourceLab', 'name identifier')
+    .populate('discrepancy.resolvedBy', 'fullName');
+
+// GET /api/peer-review/settings
+export const getSettings = async (req, res) => {
+    try {
+        const settings = await peerReviewService.getSettings();
+        res.status(200).json({ success: true, data: settings });
+    } catch (error) {
+        console.error('❌ Error fetching peer review settings:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch peer review settings',
+            error: error.message
+        });
+    }
+};
+
+// PUT /api/peer-review/settings
+export const updateSettings = async (req, res) => {
+    try {
+        const settings = await peerReviewService.updateSettings(req.body, req.user);
+        res.status(200).json({
+            success: true,
+            message: 'Peer review settings saved',
+            data: settings
+        });
+    } catch (error) {
+        console.error('❌ Error saving peer review settings:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to save peer review settings'
+        });
+    }
+};
+
+// GET /api/peer-review?status=&discrepancy=&reviewerId=&reporterId=&score=&page=&limit=
+export const getReviews = async (req, res) => {
+    try {
+        const { status, discrepancy, reviewerId, reporterId, score } = req.query;
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (discrepancy === 'unresolved') {
+            filter['discrepancy.status'] = { $in: ['open', 'acknowledged'] };
+        } else if (discrepancy) {
+            filter['discrepancy.status'] = discrepancy;
+        }
+        if (reviewerId && mongoose.Types.ObjectId.isValid(reviewerId)) filter.reviewer = reviewerId;
+        if (reporterId && mongoose.Types.ObjectId.isValid(reporterId)) filter.originalReporter = reporterId;
+        if (score) filter.score = Number(score);
+
+        const [reviews, totalRecords] = await Promise.all([
+            populateReview(PeerReview.find(filter))
+                .sort({ assignedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            PeerReview.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: reviews,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching peer reviews:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch peer reviews',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/peer-review/dashboard?from=&to=
+export const getDashboard = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const start = from ? startOfZonedDay(from, DEFAULT_TIMEZONE) : startOfZonedDay(new Date(), DEFAULT_TIMEZONE, -89);
+        const end = to ? startOfZonedDay(to, DEFAULT_TIMEZONE, 1) : startOfZonedDay(new Date(), DEFAULT_TIMEZONE, 1);
+        if (isNaN(start) || isNaN(end) || end <= start) {
+            return res.status(400).json({ success: false, message: 'Invalid date range' });
+        }
+
+        const dashboard = await peerReviewService.getDashboard({ start, end });
+        res.status(200).json({
+            success: true,
+            data: dashboard,
+            range: { from: start, to: end }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching QA dashboard:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch QA dashboard',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/peer-review/studies/:studyId
+export const requestReview = async (req, res) => {
+    try {
+        const { studyId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(studyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study ID' });
+        }
+
+        const review = await peerReviewService.requestReview(studyId, { reviewerId: req.body.reviewerId, user: req.user });
+        res.status(201).json({
+            success: true,
+            message: 'Study sent for peer review',
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Error requesting peer review:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to request peer review',
+            error: error.message
+        });
+    }
+};
+
+// PATCH /api/peer-review/:reviewId/reassign
+export const reassignReview = async (req, res) => {
+    try {
+        const review = await peerReviewService.reassignReview(req.params.reviewId, req.body.reviewerId, req.user);
+        res.status(200).json({
+            success: true,
+            message: 'Peer review reassigned',
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Error reassigning peer review:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to reassign peer review',
+            error: error.message
+        });
+    }
+};
+
+// PATCH /api/peer-review/:reviewId/cancel
+export const cancelReview = async (req, res) => {
+    try {
+        const review = await peerReviewService.cancelReview(req.params.reviewId, req.user, req.body.note);
+        res.status(200).json({
+            success: true,
+            message: 'Peer review cancelled',
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Error cancelling peer review:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to cancel peer review',
+            error: error.message
+        });
+    }
+};
+
+// PATCH /api/peer-review/:reviewId/resolve
+export const resolveDiscrepancy = async (req, res) => {
+    try {
+        const { resolutionNote } = req.body;
+        if (!resolutionNote?.trim()) {
+            return res.status(400).json({ success: false, message: 'Resolution note is required' });
+        }
+
+        const review = await peerReviewService.resolveDiscrepancy(req.params.reviewId, req.user, resolutionNote.trim());
+        res.status(200).json({
+            success: true,
+            message: 'Discrepancy resolved',
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Error resolving discrepancy:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to resolve discrepancy',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/peer-review/mine?role=reviewer|reporter&status=
+// status filters the review status for reviewers and the discrepancy status for reporters
+export const getMyReviews = async (req, res) => {
+    try {
+        const { role = 'reviewer', status } = req.query;
+        const { page, limit, skip } = parsePagination(req.query);
+
+        // Reporters only see completed reviews of their own reports, never pending ones
+        const filter = role === 'reporter'
+            ? { originalReporter: req.user._id, status: 'completed' }
+            : { reviewer: req.user._id };
+        if (status && role !== 'reporter') filter.status = status;
+        if (status && role === 'reporter') filter['discrepancy.status'] = status;
+
+        // Reviews stay anonymous to the doctor whose report was reviewed
+        const [reviews, totalRecords] = await Promise.all([
+            populateReview(PeerReview.find(filter).select(role === 'reporter' ? '-reviewer -history' : ''))
+                .sort(role === 'reporter' ? { completedAt: -1 } : { status: -1, dueAt: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            PeerReview.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: reviews,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching my peer reviews:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch peer reviews',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/peer-review/:reviewId/submit
+export const submitReview = async (req, res) => {
+    try {
+        const review = await peerReviewService.submitReview(req.params.reviewId, req.user, req.body);
+        res.status(200).json({
+            success: true,
+            message: review.score > 1 ? 'Review submitted - the reporting doctor has been notified' : 'Review submitted',
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Error submitting peer review:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to submit peer review',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/peer-review/:reviewId/acknowledge
+export const acknowledgeDiscrepancy = async (req, res) => {
+    try {
+        const review = await peerReviewService.acknowledgeDiscrepancy(req.params.reviewId, req.user, req.body.response?.trim());
+        res.status(200).json({
+            success: true,
+            message: 'Discrepancy acknowledged',
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Error acknowledging discrepancy:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to acknowledge discrepancy',
+            error: error.message
+        });
+    }
+};
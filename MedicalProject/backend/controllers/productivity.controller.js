@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import RvuWeight from '../models/rvuWeightModel.js';
+import productivityService from '../services/productivity.service.js';
+import { getMonthPeriod } from '../services/billing.service.js';
+
+const EDITABLE_FIELDS = ['modality', 'examPattern', 'rvu', 'isActive', 'notes'];
+
+const pickWeightFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    return data;
+};
+
+// Doctors only ever see their own figures; admins pass the doctor's user id in the URL
+const resolveDoctorId = (req) => (req.user.role === 'doctor_account' ? req.user._id : req.params.doctorId);
+
+const duplicateWeightMessage = (error) =>
+    error.code === 11000 ? 'A weight for this modality and exam pattern already exists' : error.message;
+
+// GET /api/productivity?from=&to=&labId=
+export const getProductivityReport = async (req, res) => {
+    try {
+        const { from, to, labId } = req.query;
+        if (labId && !mongoose.Types.ObjectId.isValid(labId)) {
+            return res.status(400).json({ success: false, message: 'Invalid lab ID' });
+        }
+
+        const { start, end } = productivityService.parseRange(from, to);
+        const doctors = await productivityService.getProductivity({ start, end, labId });
+
+        res.status(200).json({
+            success: true,
+            data: doctors,
+            range: { from: start, to: end },
+            count: doctors.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching productivity report:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch productivity report',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/productivity/doctors/:doctorId?from=&to= and GET /api/productivity/me?from=&to=
+export const getDoctorProductivity = async (req, res) => {
+    try {
+        const doctorId = resolveDoctorId(req);
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({ success: false, message: 'Invalid doctor ID' });
+        }
+
+        const { start, end } = productivityService.parseRange(req.query.from, req.query.to);
+        const [productivity] = await productivityService.getProductivity({ start, end, doctorId, includeDaily: true });
+
+        res.status(200).json({
+            success: true,
+            data: productivity,
+            range: { from: start, to: end }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching doctor productivity:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch doctor productivity',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/productivity/doctors/:doctorId/statement?month= and GET /api/productivity/me/statement?month=
+export const downloadStatement = async (req, res) => {
+    try {
+        const doctorId = resolveDoctorId(req);
+        const { month } = req.query;
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({ success: false, message: 'Invalid doctor ID' });
+        }
+        getMonthPeriod(month);
+
+        const { buffer, statement } = await productivityService.renderStatement(month, doctorId);
+        const fileName = `Statement_${statement.doctorName.replace(/[^a-zA-Z0-9]/g, '_')}_${month}.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.setHeader('Content-Length', buffer.length);
+        res.send(buffer);
+    } catch (error) {
+        console.error('❌ Error generating monthly statement:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to generate monthly statement',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/productivity/rvu-weights
+export const getRvuWeights = async (req, res) => {
+    try {
+        const weights = await RvuWeight.find({})
+            .sort({ modality: 1, examPattern: 1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: weights,
+            count: weights.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching RVU weights:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch RVU weights',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/productivity/rvu-weights
+export const createRvuWeight = async (req, res) => {
+    try {
+        const weight = await RvuWeight.create({
+            ...pickWeightFields(req.body),
+            createdBy: req.user._id
+        });
+        productivityService.invalidate();
+
+        res.status(201).json({
+            success: true,
+            message: 'RVU weight created',
+            data: weight
+        });
+    } catch (error) {
+        console.error('❌ Error creating RVU weight:', error);
+        res.status(400).json({
+            success: false,
+            message: duplicateWeightMessage(error) || 'Failed to create RVU weight'
+        });
+    }
+};
+
+// PUT /api/productivity/rvu-weights/:weightId
+export const updateRvuWeight = async (req, res) => {
+    try {
+        const { weightId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(weightId)) {
+            return res.status(400).json({ success: false, message: 'Invalid weight ID' });
+        }
+
+        const weight = await RvuWeight.findByIdAndUpdate(weightId, pickWeightFields(req.body), {
+            new: true,
+            runValidators: true
+        });
+        if (!weight) {
+            return res.status(404).json({ success: false, message: 'RVU weight not found' });
+        }
+        productivityService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'RVU weight updated',
+            data: weight
+        });
+    } catch (error) {
+        console.error('❌ Error updating RVU weight:', error);
+        res.status(400).json({
+            success: false,
+            message: duplicateWeightMessage(error) || 'Failed to update RVU weight'
+        });
+    }
+};
+
+// DELETE /api/productivity/rvu-weights/:weightId
+export const deleteRvuWeight = async (req, res) => {
+    try {
+        const weight = await RvuWeight.findByIdAndDelete(req.params.weightId);
+        if (!weight) {
+            return res.status(404).json({ success: false, message: 'RVU weight not found' });
+        }
+        productivityService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'RVU weight deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting RVU weight:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete RVU weight',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import DicomStudy from '../models/dicomStudyModel.js';
+import ReferringPhysician from '../models/referringPhysicianModel.js';
+import referringPhysicianService from '../services/referringPhysician.service.js';
+
+const EDITABLE_FIELDS = [
+    'name', 'aliases', 'institution', 'email', 'mobile', 'whatsappNumber',
+    'preferredChannel', 'autoDeliver', 'emailTemplate', 'isActive', 'notes'
+];
+
+const pickPhysicianFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    if (typeof data.aliases === 'string') {
+        data.aliases = data.aliases.split(/[\n;]/).map(alias => alias.trim()).filter(Boolean);
+    }
+    return data;
+};
+
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 50, 200);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const saveErrorResponse = (res, error, fallback) => {
+    res.status(error.code === 11000 ? 409 : 400).json({
+        success: false,
+        message: error.code === 11000
+            ? 'A referring physician with this name already exists'
+            : (error.message || fallback)
+    });
+};
+
+// GET /api/referring-physicians
+// Query: search, source ('manual' | 'auto'), status ('active' | 'inactive'), page, limit
+export const getReferringPhysicians = async (req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const { search, source, status } = req.query;
+
+        const filter = {};
+        if (['manual', 'auto'].includes(source)) filter.source = source;
+        if (status === 'active') filter.isActive = true;
+        if (status === 'inactive') filter.isActive = false;
+        if (search?.trim()) {
+            const regex = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ name: regex }, { aliases: regex }, { institution: regex }, { email: regex }];
+        }
+
+        const [physicians, totalRecords] = await Promise.all([
+            ReferringPhysician.find(filter)
+                .sort({ name: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            ReferringPhysician.countDocuments(filter)
+        ]);
+
+        // Study counts for this page only
+        const counts = await DicomStudy.aggregate([
+            { $match: { referringPhysicianRef: { $in: physicians.map(physician => physician._id) } } },
+            { $group: { _id: '$referringPhysicianRef', count: { $sum: 1 }, lastStudyAt: { $max: '$createdAt' } } }
+        ]);
+        const countMap = new Map(counts.map(item => [String(item._id), item]));
+
+        res.status(200).json({
+            success: true,
+            data: physicians.map(physician => ({
+                ...physician,
+                studyCount: countMap.get(String(physician._id))?.count || 0,
+                lastStudyAt: countMap.get(String(physician._id))?.lastStudyAt || null
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching referring physicians:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch referring physicians',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/referring-physicians
+export const createReferringPhysician = async (req, res) => {
+    try {
+        const physician = await ReferringPhysician.create({
+            ...pickPhysicianFields(req.body),
+            source: 'manual',
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Referring physician created',
+            data: physician
+        });
+    } catch (error) {
+        console.error('❌ Error creating referring physician:', error);
+        saveErrorResponse(res, error, 'Failed to create referring physician');
+    }
+};
+
+// PUT /api/referring-physicians/:physicianId
+export const updateReferringPhysician = async (req, res) => {
+    try {
+        const { physicianId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(physicianId)) {
+            return res.status(400).json({ success: false, message: 'Invalid physician ID' });
+        }
+
+        const physician = await ReferringPhysician.findById(physicianId);
+        if (!physician) {
+            return res.status(404).json({ success: false, message: 'Referring physician not found' });
+        }
+
+        // Once an admin has edited it the entry is no longer a placeholder
+        Object.assign(physician, pickPhysicianFields(req.body), { source: 'manual', updatedBy: req.user._id });
+        await physician.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Referring physician updated',
+            data: physician
+        });
+    } catch (error) {
+        console.error('❌ Error updating referring physician:', error);
+        saveErrorResponse(res, error, 'Failed to update referring physician');
+    }
+};
+
+// DELETE /api/referring-physicians/:physicianId
+// Linked studies keep their referring name and are simply unlinked
+export const deleteReferringPhysician = async (req, res) => {
+    try {
+        const physician = await ReferringPhysician.findByIdAndDelete(req.params.physicianId);
+        if (!physician) {
+            return res.status(404).json({ success: false, message: 'Referring physician not found' });
+        }
+
+        const result = await DicomStudy.updateMany(
+            { referringPhysicianRef: physician._id },
+            { $unset: { referringPhysicianRef: 1 } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `Referring physician deleted, ${result.modifiedCount} studies unlinked`
+        });
+    } catch (error) {
+        console.error('❌ Error deleting referring physician:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete referring physician',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/referring-physicians/:physicianId/merge
+// Body: { sourceId } - moves the source's studies and spellings onto this entry
+export const mergeReferringPhysicians = async (req, res) => {
+    try {
+        const { physicianId } = req.params;
+        const { sourceId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(physicianId) || !mongoose.Types.ObjectId.isValid(sourceId)) {
+            return res.status(400).json({ success: false, message: 'Invalid physician ID' });
+        }
+        if (physicianId === sourceId) {
+            return res.status(400).json({ success: false, message: 'Cannot merge a physician into itself' });
+        }
+
+        const [target, source] = await Promise.all([
+            ReferringPhysician.findById(physicianId),
+            ReferringPhysician.findById(sourceId)
+        ]);
+        if (!target || !source) {
+            return res.status(404).json({ success: false, message: 'Referring physician not found' });
+        }
+
+        target.aliases = [...(target.aliases || []), source.name, ...(source.aliases || [])];
+        ['institution', 'email', 'mobile', 'whatsappNumber'].forEach(field => {
+            if (!target[field] && source[field]) target[field] = source[field];
+        });
+        target.updatedBy = req.user._id;
+        await target.save();
+
+        const result = await DicomStudy.updateMany(
+            { referringPhysicianRef: source._id },
+            { $set: { referringPhysicianRef: target._id } }
+        );
+        await source.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: `Merged ${source.name} into ${target.name}, ${result.modifiedCount} studies moved`,
+            data: target
+        });
+    } catch (error) {
+        console.error('❌ Error merging referring physicians:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to merge referring physicians',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/referring-physicians/link-studies
+// Links existing studies whose referring name has no directory entry yet
+export const linkUnlinkedStudies = async (req, res) => {
+    try {
+        const linked = await referringPhysicianService.linkUnlinkedStudies();
+
+        res.status(200).json({
+            success: true,
+            message: `${linked} studies linked to referring physicians`,
+            linked
+        });
+    } catch (error) {
+        console.error('❌ Error linking studies to referring physicians:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to link studies',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import DicomStudy from '../models/dicomStudyModel.js';
+import ReportEmailTemplate from '../models/reportEmailTemplateModel.js';
+import reportDispatchService, { DEFAULT_TEMPLATE } from '../services/reportDispatch.service.js';
+
+const EDITABLE_FIELDS = ['key', 'name', 'lab', 'subject', 'htmlBody', 'deliveryMode', 'isActive'];
+const DISPATCH_STATUSES = ['queued', 'sent', 'delivered', 'bounced', 'failed'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Constant-time comparison; hashing first gives equal-length buffers and hides the length
+const tokensMatch = (received, expected) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(received).digest(),
+    crypto.createHash('sha256').update(expected).digest()
+);
+
+const pickTemplateFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    if (data.lab === '') {
+        data.lab = null;
+    }
+    return data;
+};
+
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 50, 200);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// GET /api/report-email/templates
+export const getEmailTemplates = async (req, res) => {
+    try {
+        const templates = await ReportEmailTemplate.find({})
+            .sort({ key: 1, lab: 1 })
+            .populate('lab', 'name identifier')
+            .populate('updatedBy', 'fullName')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: templates,
+            defaultTemplate: DEFAULT_TEMPLATE,
+            count: templates.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching email templates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch email templates',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/report-email/templates
+export const createEmailTemplate = async (req, res) => {
+    try {
+        const template = await ReportEmailTemplate.create({
+            ...pickTemplateFields(req.body),
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Email template created',
+            data: template
+        });
+    } catch (error) {
+        console.error('❌ Error creating email template:', error);
+        res.status(error.code === 11000 ? 409 : 400).json({
+            success: false,
+            message: error.code === 11000
+                ? 'A template with this key already exists for this lab'
+                : (error.message || 'Failed to create email template')
+        });
+    }
+};
+
+// PUT /api/report-email/templates/:templateId
+export const updateEmailTemplate = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            return res.status(400).json({ success: false, message: 'Invalid template ID' });
+        }
+
+        const template = await ReportEmailTemplate.findById(templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Email template not found' });
+        }
+
+        Object.assign(template, pickTemplateFields(req.body), { updatedBy: req.user._id });
+        await template.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Email template updated',
+            data: template
+        });
+    } catch (error) {
+        console.error('❌ Error updating email template:', error);
+        res.status(error.code === 11000 ? 409 : 400).json({
+            success: false,
+            message: error.code === 11000
+                ? 'A template with this key already exists for this lab'
+                : (error.message || 'Failed to update email template')
+        });
+    }
+};
+
+// DELETE /api/report-email/templates/:templateId
+export const deleteEmailTemplate = async (req, res) => {
+    try {
+        const template = await ReportEmailTemplate.findByIdAndDelete(req.params.templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Email template not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email template deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting email template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete email template',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/report-email/dispatches
+// Query: status, search (recipient / patient / accession), page, limit
+export const getReportDispatches = async (req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const { status, search } = req.query;
+
+        const dispatchMatch = {};
+        if (DISPATCH_STATUSES.includes(status)) {
+            dispatchMatch['reportDispatches.status'] = status;
+        }
+        if (search?.trim()) {
+            const regex = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            dispatchMatch.$or = [
+                { 'reportDispatches.recipientEmail': regex },
+                { 'patientInfo.patientName': regex },
+                { accessionNumber: regex }
+            ];
+        }
+
+        const [result] = await DicomStudy.aggregate([
+            { $match: { 'reportDispatches.0': { $exists: true } } },
+            { $project: { patientInfo: 1, accessionNumber: 1, sourceLab: 1, reportDispatches: 1 } },
+            { $unwind: '$reportDispatches' },
+            { $match: dispatchMatch },
+            { $sort: { 'reportDispatches.queuedAt': -1 } },
+            {
+                $facet: {
+                    data: [{ $skip: skip }, { $limit: limit }],
+                    total: [{ $count: 'count' }],
+                    statusCounts: [{ $group: { _id: '$reportDispatches.status', count: { $sum: 1 } } }]
+                }
+            }
+        ]).allowDiskUse(true);
+
+        const totalRecords = result.total[0]?.count || 0;
+
+        res.status(200).json({
+            success: true,
+            data: result.data.map(row => ({
+                ...row.reportDispatches,
+                studyId: row._id,
+                patientName: row.patientInfo?.patientName || 'N/A',
+                patientId: row.patientInfo?.patientID || 'N/A',
+                accessionNumber: row.accessionNumber || 'N/A'
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            },
+            stats: result.statusCounts.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {})
+        });
+    } catch (error) {
+        console.error('❌ Error fetching report dispatches:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch report dispatches',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/report-email/dispatches/:studyId/:dispatchId/retry
+// Body: { recipientEmail? } to correct a bounced address
+export const retryReportDispatch = async (req, res) => {
+    try {
+        const { studyId, dispatchId } = req.params;
+        const { recipientEmail } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(studyId) || !mongoose.Types.ObjectId.isValid(dispatchId)) {
+            return res.status(400).json({ success: false, message: 'Invalid study or dispatch ID' });
+        }
+        if (recipientEmail && !EMAIL_PATTERN.test(recipientEmail.trim())) {
+            return res.status(400).json({ success: false, message: 'Invalid email address' });
+        }
+
+        const requeued = await reportDispatchService.requeueDispatch(studyId, dispatchId, { recipientEmail });
+        if (!requeued) {
+            return res.status(404).json({ success: false, message: 'No failed or bounced dispatch found to retry' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Dispatch queued again'
+        });
+    } catch (error) {
+        console.error('❌ Error retrying report dispatch:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry report dispatch',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/report-email/webhooks/brevo?token=...
+// Brevo transactional webhook (delivered / bounces / blocked / invalid)
+export const handleBrevoWebhook = async (req, res) => {
+    try {
+        const expectedToken = process.env.BREVO_WEBHOOK_TOKEN;
+        if (!expectedToken || typeof req.query.token !== 'string' || !tokensMatch(req.query.token, expectedToken)) {
+            return res.status(401).json({ success: false, message: 'Invalid webhook token' });
+        }
+
+        const events = Array.isArray(req.body) ? req.body : [req.body];
+        let updated = 0;
+        for (const event of events) {
+            if (await reportDispatchService.handleProviderEvent(event)) updated++;
+        }
+
+        res.status(200).json({ success: true, updated });
+    } catch (error) {
+        console.error('❌ Error handling Brevo webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process webhook',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import RosterEntry from '../models/rosterEntryModel.js';
+import Doctor from '../models/doctorModel.js';
+import rosterService from '../services/roster.service.js';
+
+const EDITABLE_FIELDS = ['type', 'start', 'end', 'repeatWeekly', 'repeatUntil', 'notes'];
+const MAX_RANGE_DAYS = 62;
+const ICAL_HISTORY_DAYS = 90;
+
+const pickEntryFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    if (data.repeatUntil === '') {
+        data.repeatUntil = null;
+    }
+    return data;
+};
+
+// Doctors manage only their own roster; admins manage everyone's.
+// Returns the caller's Doctor._id for doctor accounts, null for admins.
+async function getOwnDoctorId(req) {
+    if (req.user.role !== 'doctor_account') return null;
+    const doctor = await Doctor.findOne({ userAccount: req.user._id }).select('_id').lean();
+    if (!doctor) {
+        const error = new Error('Doctor profile not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    return doctor._id;
+}
+
+const canEdit = (ownDoctorId, doctorId) => !ownDoctorId || String(ownDoctorId) === String(doctorId);
+
+// GET /api/roster?from=&to=&doctorId=
+// Roster occurrences in the range plus each doctor's current duty status
+export const getRoster = async (req, res) => {
+    try {
+        const ownDoctorId = await getOwnDoctorId(req);
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+            return res.status(400).json({ success: false, message: 'Invalid date range' });
+        }
+        if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ success: false, message: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+        }
+
+        const doctorFilter = { isActiveProfile: true };
+        if (ownDoctorId) {
+            doctorFilter._id = ownDoctorId;
+        } else if (req.query.doctorId && mongoose.Types.ObjectId.isValid(req.query.doctorId)) {
+            doctorFilter._id = req.query.doctorId;
+        }
+
+        const doctors = (await Doctor.find(doctorFilter)
+            .select('userAccount specialization')
+            .populate('userAccount', 'fullName isActive')
+            .lean())
+            .filter(doctor => doctor.userAccount?.isActive)
+            .sort((a, b) => (a.userAccount.fullName || '').localeCompare(b.userAccount.fullName || ''));
+
+        const doctorIds = doctors.map(doctor => doctor._id);
+        const [entries, duty] = await Promise.all([
+            rosterService.getEntries(doctorIds, from, to),
+            rosterService.getDutyStatus(doctorIds)
+        ]);
+
+        const occurrences = entries.flatMap(entry => rosterService.expand(entry, from, to).map(occurrence => ({
+            ...occurrence,
+            entryId: entry._id,
+            doctor: entry.doctor,
+            type: entry.type,
+            repeatWeekly: entry.repeatWeekly,
+            repeatUntil: entry.repeatUntil,
+            notes: entry.notes,
+            entryStart: entry.start,
+            entryEnd: entry.end
+        })));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from,
+                to,
+                doctors: doctors.map(doctor => ({
+                    _id: doctor._id,
+                    fullName: doctor.userAccount.fullName,
+                    specialization: doctor.specialization,
+                    duty: duty.get(String(doctor._id))
+                })),
+                occurrences
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching roster:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch roster',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/roster/entries
+export const createRosterEntry = async (req, res) => {
+    try {
+        const ownDoctorId = await getOwnDoctorId(req);
+        const doctorId = ownDoctorId || req.body.doctor;
+
+        if (!mongoose.Types.ObjectId.isValid(doctorId) || !(await Doctor.exists({ _id: doctorId }))) {
+            return res.status(400).json({ success: false, message: 'A valid doctor is required' });
+        }
+
+        const entry = await RosterEntry.create({
+            ...pickEntryFields(req.body),
+            doctor: doctorId,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Roster entry created',
+            data: entry
+        });
+    } catch (error) {
+        console.error('❌ Error creating roster entry:', error);
+        res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message || 'Failed to create roster entry'
+        });
+    }
+};
+
+// PUT /api/roster/entries/:entryId
+export const updateRosterEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(entryId)) {
+            return res.status(400).json({ success: false, message: 'Invalid entry ID' });
+        }
+
+        const ownDoctorId = await getOwnDoctorId(req);
+        const entry = await RosterEntry.findById(entryId);
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'Roster entry not found' });
+        }
+        if (!canEdit(ownDoctorId, entry.doctor)) {
+            return res.status(403).json({ success: false, message: 'You can only edit your own roster' });
+        }
+
+        Object.assign(entry, pickEntryFields(req.body));
+        await entry.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Roster entry updated',
+            data: entry
+        });
+    } catch (error) {
+        console.error('❌ Error updating roster entry:', error);
+        res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message || 'Failed to update roster entry'
+        });
+    }
+};
+
+// DELETE /api/roster/entries/:entryId
+export const deleteRosterEntry = async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(entryId)) {
+            return res.status(400).json({ success: false, message: 'Invalid entry ID' });
+        }
+
+        const ownDoctorId = await getOwnDoctorId(req);
+        const entry = await RosterEntry.findById(entryId);
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'Roster entry not found' });
+        }
+        if (!canEdit(ownDoctorId, entry.doctor)) {
+            return res.status(403).json({ success: false, message: 'You can only edit your own roster' });
+        }
+
+        await entry.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Roster entry deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting roster entry:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to delete roster entry',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/roster/doctors/:doctorId/ical
+// iCalendar export of a doctor's roster (entries ending in the last 90 days onwards)
+export const exportDoctorICal = async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({ success: false, message: 'Invalid doctor ID' });
+        }
+
+        const ownDoctorId = await getOwnDoctorId(req);
+        if (!canEdit(ownDoctorId, doctorId)) {
+            return res.status(403).json({ success: false, message: 'You can only export your own roster' });
+        }
+
+        const doctor = await Doctor.findById(doctorId).populate('userAccount', 'fullName').lean();
+        if (!doctor) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+
+        const since = new Date(Date.now() - ICAL_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const entries = await RosterEntry.find({
+            doctor: doctorId,
+            $or: [
+                { end: { $gte: since } },
+                { repeatWeekly: true, repeatUntil: { $not: { $lt: since } } }
+            ]
+        })
+            .sort({ start: 1 })
+            .lean();
+
+        const doctorName = doctor.userAccount?.fullName || 'Doctor';
+        const filename = `roster_${doctorName.replace(/[^a-z0-9]+/gi, '_')}.ics`;
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(rosterService.buildICalendar(doctorName, entries));
+    } catch (error) {
+        console.error('❌ Error exporting roster calendar:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to export roster',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+import ReportSubscription from '../models/reportSubscriptionModel.js';
+import ReportSubscriptionRun from '../models/reportSubscriptionRunModel.js';
+import scheduledReportService from '../services/scheduledReport.service.js';
+
+const EDITABLE_FIELDS = [
+    'name', 'isActive', 'lab', 'doctor', 'reportTypes', 'tatMode', 'frequency',
+    'sendTime', 'weekday', 'dayOfMonth', 'timezone', 'recipients'
+];
+const SCHEDULE_FIELDS = ['frequency', 'sendTime', 'weekday', 'dayOfMonth', 'timezone', 'isActive'];
+
+const pickSubscriptionFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    // Empty selects mean "all"
+    if (data.lab === '') data.lab = null;
+    if (data.doctor === '') data.doctor = null;
+    return data;
+};
+
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 50, 200);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// Lab staff only see and manage subscriptions for their own lab
+const getOwnLabId = (req) => (req.user.role === 'lab_staff' ? req.user.lab?._id || req.user.lab || null : null);
+
+// Route guard: a lab staff account without a lab would otherwise match the all-lab subscriptions
+export const requireOwnLab = (req, res, next) => {
+    if (req.user.role === 'lab_staff' && !getOwnLabId(req)) {
+        return res.status(403).json({ success: false, message: 'Your account is not linked to a lab' });
+    }
+    next();
+};
+
+async function findOwnSubscription(req) {
+    const { subscriptionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(subscriptionId)) return null;
+
+    const filter = { _id: subscriptionId };
+    if (req.user.role === 'lab_staff') filter.lab = getOwnLabId(req);
+    return ReportSubscription.findOne(filter);
+}
+
+// GET /api/scheduled-reports/subscriptions
+export const getSubscriptions = async (req, res) => {
+    try {
+        const filter = req.user.role === 'lab_staff' ? { lab: getOwnLabId(req) } : {};
+        const subscriptions = await ReportSubscription.find(filter)
+            .sort({ createdAt: -1 })
+            .populate('lab', 'name')
+            .populate({ path: 'doctor', select: 'userAccount', populate: { path: 'userAccount', select: 'fullName' } })
+            .populate('createdBy', 'fullName')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: subscriptions,
+            count: subscriptions.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching report subscriptions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch report subscriptions',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/scheduled-reports/subscriptions
+export const createSubscription = async (req, res) => {
+    try {
+        const data = pickSubscriptionFields(req.body);
+        if (req.user.role === 'lab_staff') data.lab = getOwnLabId(req);
+
+        const subscription = new ReportSubscription({ ...data, createdBy: req.user._id });
+        subscription.nextRunAt = scheduledReportService.getNextRunAt(subscription);
+        await subscription.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Report subscription created',
+            data: subscription
+        });
+    } catch (error) {
+        console.error('❌ Error creating report subscription:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to create report subscription'
+        });
+    }
+};
+
+// PUT /api/scheduled-reports/subscriptions/:subscriptionId
+// Also used to pause/resume via { isActive }
+export const updateSubscription = async (req, res) => {
+    try {
+        const subscription = await findOwnSubscription(req);
+        if (!subscription) {
+            return res.status(404).json({ success: false, message: 'Report subscription not found' });
+        }
+
+        const data = pickSubscriptionFields(req.body);
+        if (req.user.role === 'lab_staff') delete data.lab;
+        Object.assign(subscription, data);
+
+        // A resumed or rescheduled subscription starts from the next slot, not the missed ones
+        if (SCHEDULE_FIELDS.some(field => data[field] !== undefined)) {
+            subscription.nextRunAt = scheduledReportService.getNextRunAt(subscription);
+        }
+        await subscription.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Report subscription updated',
+            data: subscription
+        });
+    } catch (error) {
+        console.error('❌ Error updating report subscription:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to update report subscription'
+        });
+    }
+};
+
+// DELETE /api/scheduled-reports/subscriptions/:subscriptionId
+// Run history is kept
+export const deleteSubscription = async (req, res) => {
+    try {
+        const subscription = await findOwnSubscription(req);
+        if (!subscription) {
+            return res.status(404).json({ success: false, message: 'Report subscription not found' });
+        }
+        await subscription.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Report subscription deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting report subscription:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete report subscription',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/scheduled-reports/subscriptions/:subscriptionId/preview
+// Downloads the workbook a run right now would send
+export const previewSubscription = async (req, res) => {
+    try {
+        const subscription = await findOwnSubscription(req);
+        if (!subscription) {
+            return res.status(404).json({ success: false, message: 'Report subscription not found' });
+        }
+
+        const { buffer, fileName } = await scheduledReportService.preview(subscription._id);
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('❌ Error previewing report subscription:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate report preview',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/scheduled-reports/subscriptions/:subscriptionId/send
+// Sends the current period immediately without moving the schedule
+export const sendSubscriptionNow = async (req, res) => {
+    try {
+        const subscription = await findOwnSubscription(req);
+        if (!subscription) {
+            return res.status(404).json({ success: false, message: 'Report subscription not found' });
+        }
+
+        const run = await scheduledReportService.runSubscription(subscription._id, {
+            trigger: 'manual',
+            userId: req.user._id
+        });
+
+        res.status(run.status === 'failed' ? 502 : 200).json({
+            success: run.status !== 'failed',
+            message: run.status === 'failed'
+                ? `Report could not be sent${run.error ? `: ${run.error}` : ''}`
+                : `Report sent to ${run.recipients.filter(recipient => recipient.status === 'sent').length} recipient(s)`,
+            data: run
+        });
+    } catch (error) {
+        console.error('❌ Error sending report subscription:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send report',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/scheduled-reports/runs?subscriptionId=&page=&limit=
+export const getSubscriptionRuns = async (req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const filter = {};
+        if (req.user.role === 'lab_staff') filter.lab = getOwnLabId(req);
+        if (req.query.subscriptionId && mongoose.Types.ObjectId.isValid(req.query.subscriptionId)) {
+            filter.subscription = req.query.subscriptionId;
+        }
+
+        const [runs, totalRecords] = await Promise.all([
+            ReportSubscriptionRun.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('triggeredBy', 'fullName')
+                .lean(),
+            ReportSubscriptionRun.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: runs,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching report runs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch report history',
+            error: error.message
+        });
+    }
+};
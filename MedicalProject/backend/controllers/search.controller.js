@@ -3,6 +3,7 @@ import Patient from '../models/patientModel.js';
 import Lab from '../models/labModel.js';
 import Doctor from '../models/doctorModel.js';  // ✅ ADD: Import Doctor model
 import mongoose from 'mongoose';
+import { NOT_QUARANTINED_FILTER } from '../services/labRouting.service.js';
 
 // Helper function for DICOM date/time formatting
 const formatDicomDateTime = (studyDate, studyTime) => {
@@ -57,7 +58,7 @@ export const searchStudies = async (req, res) => {
         } = req.query;
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
-        const matchConditions = {};
+        const matchConditions = { ...NOT_QUARANTINED_FILTER };
 
         // ✅ Doctor filter logic (unchanged)
         if (req.user.role === 'doctor_account') {
@@ -721,7 +722,7 @@ export const getSearchValues = async (req, res) => {
             quickDatePreset = 'all'
         } = req.query;
 
-        const matchConditions = {};
+        const matchConditions = { ...NOT_QUARANTINED_FILTER };
 
         // Doctor filter logic (unchanged)
         if (req.user.role === 'doctor_account') {
@@ -1,8 +1,272 @@
 // 🆕 NEW: sharing.controller.js
 import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
 import DicomStudy from '../models/dicomStudyModel.js';
 import ShareToken from '../models/shareTokenSchema.js';
+import Document from '../models/documentModal.js';
 import QRCode from 'qrcode';
+import transporter from '../config/resend.js';
+import smsService from '../services/sms.service.js';
+import shareLinkService from '../services/shareLink.service.js';
+import dicomwebProxyService from '../services/dicomwebProxy.service.js';
+import WasabiService from '../services/wasabi.service.js';
+import { getPresignedUrl } from '../config/cloudflare-r2.js';
+import { getLatestSignedReportIndex } from '../utils/reportVersioning.js';
+
+const EXPIRY_PRESETS = {
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+const MAX_CUSTOM_EXPIRY_DAYS = 90;
+const PIN_PATTERN = /^\d{4,8}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{8,15}$/;
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// Session issued after a successful open; report and ZIP downloads require it
+const ACCESS_KEY_TTL_SECONDS = 2 * 60 * 60;
+const ZIP_URL_EXPIRY_SECONDS = 15 * 60;
+
+const maskEmail = (email = '') => email.replace(/^(.)(.*)(@.*)$/, (match, first, middle, domain) => `${first}${'*'.repeat(middle.length)}${domain}`);
+const maskPhone = (phone = '') => phone.replace(/.(?=.{3})/g, '*');
+
+const getMaskedRecipient = (shareToken) => (shareToken.protection?.otpChannel === 'sms'
+  ? maskPhone(shareToken.protection.recipientPhone)
+  : maskEmail(shareToken.protection?.recipientEmail));
+
+// Active, unexpired link; hidden hash fields are only loaded when asked for
+const findActiveShare = (token, hiddenFields = '') => ShareToken.findOne({
+  token,
+  expiresAt: { $gt: new Date() },
+  isActive: true
+}).select(hiddenFields);
+
+const hasReachedAccessLimit = (shareToken) =>
+  Boolean(shareToken.maxAccessCount) && shareToken.accessCount >= shareToken.maxAccessCount;
+
+// Counts an open with one conditional update, so parallel requests cannot
+// get past maxAccessCount. Returns false once the limit is used up.
+const claimAccess = async (shareToken) => {
+  const filter = { _id: shareToken._id };
+  if (shareToken.maxAccessCount) {
+    filter.accessCount = { $lt: shareToken.maxAccessCount };
+  }
+
+  const updated = await ShareToken.findOneAndUpdate(filter, { $inc: { accessCount: 1 } }, { new: true })
+    .select('accessCount')
+    .lean();
+  if (!updated) return false;
+
+  // Keep the in-memory count for the response without letting save() overwrite the increment
+  shareToken.accessCount = updated.accessCount;
+  shareToken.unmarkModified('accessCount');
+  return true;
+};
+
+// Counts a PIN/code attempt before it is checked, with one conditional update,
+// so parallel guesses cannot get past MAX_FAILED_ATTEMPTS. The attempt that
+// reaches the limit locks the link in the same update. Returns false while locked.
+const claimAttempt = async (shareToken) => {
+  const now = new Date();
+  const attempts = { $add: [{ $ifNull: ['$protection.failedAttempts', 0] }, 1] };
+  const reachesLimit = { $gte: [attempts, MAX_FAILED_ATTEMPTS] };
+
+  const updated = await ShareToken.findOneAndUpdate(
+    { _id: shareToken._id, 'protection.lockedUntil': { $not: { $gt: now } } },
+    [{
+      $set: {
+        'protection.failedAttempts': { $cond: [reachesLimit, 0, attempts] },
+        'protection.lockedUntil': { $cond: [reachesLimit, new Date(now.getTime() + LOCKOUT_MS), '$protection.lockedUntil'] }
+      }
+    }],
+    { new: true }
+  )
+    .select('protection.failedAttempts protection.lockedUntil')
+    .lean();
+  if (!updated) return false;
+
+  // Same as claimAccess - save() must not write the stale values back
+  shareToken.protection.failedAttempts = updated.protection.failedAttempts;
+  shareToken.protection.lockedUntil = updated.protection.lockedUntil;
+  shareToken.unmarkModified('protection.failedAttempts');
+  shareToken.unmarkModified('protection.lockedUntil');
+  return true;
+};
+
+const sendLocked = (res, lockedUntil) => res.status(423).json({
+  success: false,
+  message: 'Too many incorrect codes. Try again later.',
+  lockedUntil
+});
+
+const sendAccessLimitReached = (res) => res.status(410).json({
+  success: false,
+  message: 'This share link has reached its maximum number of opens'
+});
+
+const recordAccess = (shareToken, req, action = 'open') => {
+  if (action === 'open') {
+    shareToken.lastAccessedAt = new Date();
+  }
+  shareToken.accessHistory.push({
+    accessedAt: new Date(),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    action
+  });
+  // 🆕 Flag leaked-looking links (many IPs / hits / wrong codes) to admins
+  shareLinkService.flagUnusualAccess(shareToken).forEach(alert => shareLinkService.notify(shareToken, alert));
+};
+
+const issueAccessKey = (shareToken) => {
+  const secondsLeft = Math.floor((new Date(shareToken.expiresAt) - Date.now()) / 1000);
+  return jwt.sign(
+    { shareToken: shareToken.token, purpose: 'share-access' },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.min(ACCESS_KEY_TTL_SECONDS, secondsLeft)) }
+  );
+};
+
+const isValidAccessKey = (key, token) => {
+  if (!key) return false;
+  try {
+    const decoded = jwt.verify(key, process.env.JWT_SECRET);
+    return decoded.purpose === 'share-access' && decoded.shareToken === token;
+  } catch {
+    return false;
+  }
+};
+
+const resolveExpiry = (expiresIn, customExpiresAt) => {
+  if (EXPIRY_PRESETS[expiresIn]) {
+    return new Date(Date.now() + EXPIRY_PRESETS[expiresIn]);
+  }
+  if (expiresIn === 'custom') {
+    const expiresAt = new Date(customExpiresAt);
+    if (isNaN(expiresAt) || expiresAt <= new Date()) {
+      throw new Error('Custom expiry must be a date in the future');
+    }
+    if (expiresAt - Date.now() > MAX_CUSTOM_EXPIRY_DAYS * EXPIRY_PRESETS['1d']) {
+      throw new Error(`Links cannot stay valid for more than ${MAX_CUSTOM_EXPIRY_DAYS} days`);
+    }
+    return expiresAt;
+  }
+  throw new Error(`expiresIn must be one of ${[...Object.keys(EXPIRY_PRESETS), 'custom'].join(', ')}`);
+};
+
+// Validates the protection options and hashes the PIN
+const buildProtection = async (protection = {}) => {
+  const method = protection.method || 'none';
+
+  if (method === 'none') return { method };
+
+  if (method === 'pin') {
+    if (!PIN_PATTERN.test(String(protection.pin || ''))) {
+      throw new Error('PIN must be 4 to 8 digits');
+    }
+    return { method, pinHash: await bcrypt.hash(String(protection.pin), 10) };
+  }
+
+  if (method === 'otp') {
+    const otpChannel = protection.otpChannel || 'email';
+    if (otpChannel === 'email' && !EMAIL_PATTERN.test(protection.recipientEmail || '')) {
+      throw new Error('A valid recipient email is required for email codes');
+    }
+    if (otpChannel === 'sms') {
+      if (!PHONE_PATTERN.test((protection.recipientPhone || '').replace(/[\s-]/g, ''))) {
+        throw new Error('A valid recipient phone number is required for SMS codes');
+      }
+      if (!smsService.isConfigured()) {
+        throw new Error('SMS delivery is not configured on this server - use an email code instead');
+      }
+    }
+    return {
+      method,
+      otpChannel,
+      recipientEmail: otpChannel === 'email' ? protection.recipientEmail : undefined,
+      recipientPhone: otpChannel === 'sms' ? protection.recipientPhone.replace(/[\s-]/g, '') : undefined
+    };
+  }
+
+  throw new Error('Protection method must be none, pin or otp');
+};
+
+// Viewers load images through the token-scoped DICOMweb proxy, never from Orthanc directly
+const buildViewerUrl = (shareToken, req) => {
+  const ohifLocalURL = 'http://64.227.187.164:4000';
+  const viewerToken = dicomwebProxyService.issueShareToken(shareToken);
+  const { dicomWebRoot, wadoUriRoot } = dicomwebProxyService.buildRoots(dicomwebProxyService.getPublicBaseUrl(req), viewerToken);
+
+  switch (shareToken.viewerType) {
+    // Stone talks to Orthanc's own REST API, which can't be scoped to one study - use OHIF instead
+    case 'stone-viewer':
+    case 'ohif-local': {
+      const ohifUrl = new URL(`${ohifLocalURL}/viewer`);
+      ohifUrl.searchParams.set('StudyInstanceUIDs', shareToken.studyInstanceUID);
+
+      const dataSourceConfig = {
+        namespace: '@ohif/extension-default.dataSourcesModule.dicomweb',
+        sourceName: 'dicomweb',
+        configuration: {
+          friendlyName: 'Shared Study Viewer',
+          name: 'orthanc',
+          wadoUriRoot,
+          qidoRoot: dicomWebRoot,
+          wadoRoot: dicomWebRoot,
+          qidoSupportsIncludeField: true,
+          supportsReject: false,
+          imageRendering: 'wadors',
+          thumbnailRendering: 'wadors',
+          enableStudyLazyLoad: true,
+          supportsFuzzyMatching: false,
+          supportsWildcard: true
+        }
+      };
+
+      ohifUrl.searchParams.set('dataSources', JSON.stringify([dataSourceConfig]));
+      return ohifUrl.toString();
+    }
+
+    case 'ohif-cloud':
+      return `https://viewer.ohif.org/viewer?StudyInstanceUIDs=${shareToken.studyInstanceUID}&url=${encodeURIComponent(dicomWebRoot)}`;
+
+    default:
+      throw new Error('Unknown viewer type');
+  }
+};
+
+// Response for a granted open; only includes what the link's permissions allow
+const buildAccessResponse = async (shareToken, accessKey, req) => {
+  const permissions = shareToken.permissions || { viewImages: true };
+  const study = (permissions.viewReport || permissions.downloadZip)
+    ? await DicomStudy.findById(shareToken.studyId).select('doctorReports preProcessedDownload.zipStatus').lean()
+    : null;
+
+  return {
+    success: true,
+    viewerUrl: permissions.viewImages ? buildViewerUrl(shareToken, req) : null,
+    studyInfo: {
+      patientName: shareToken.patientName,
+      studyDescription: shareToken.studyDescription,
+      modality: shareToken.modality,
+      studyDate: shareToken.studyDate,
+      studyInstanceUID: shareToken.studyInstanceUID
+    },
+    viewerType: shareToken.viewerType,
+    permissions,
+    reportAvailable: Boolean(permissions.viewReport && study && getLatestSignedReportIndex(study.doctorReports) !== -1),
+    zipAvailable: Boolean(permissions.downloadZip && study?.preProcessedDownload?.zipStatus === 'completed'),
+    accessKey,
+    accessCount: shareToken.accessCount,
+    maxAccessCount: shareToken.maxAccessCount,
+    expiresAt: shareToken.expiresAt
+  };
+};
 
 // Generate shareable link
 export const generateShareableLink = async (req, res) => {
@@ -16,7 +280,11 @@ export const generateShareableLink = async (req, res) => {
       studyDescription, 
       modality, 
       studyDate,
-      expiresIn = '7d'
+      expiresIn = '7d',
+      expiresAt: customExpiresAt,
+      permissions = {},
+      protection,
+      maxAccessCount
     } = req.body;
 
     // Validate required fields
@@ -30,14 +298,37 @@ export const generateShareableLink = async (req, res) => {
     // Generate unique token
     const token = crypto.randomBytes(32).toString('hex');
     
-    // Calculate expiration date
-    const expiresAt = new Date();
-    if (expiresIn === '7d') {
-      expiresAt.setDate(expiresAt.getDate() + 7);
-    } else if (expiresIn === '1d') {
-      expiresAt.setDate(expiresAt.getDate() + 1);
-    } else if (expiresIn === '1h') {
-      expiresAt.setHours(expiresAt.getHours() + 1);
+    // 🆕 Expiry, permissions, protection and open limit are validated up front
+    let expiresAt;
+    let linkProtection;
+    try {
+      expiresAt = resolveExpiry(expiresIn, customExpiresAt);
+      linkProtection = await buildProtection(protection);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    const linkPermissions = {
+      viewImages: permissions.viewImages !== false,
+      viewReport: Boolean(permissions.viewReport),
+      downloadZip: Boolean(permissions.downloadZip)
+    };
+    if (!Object.values(linkPermissions).some(Boolean)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grant at least one permission: view images, view report or download ZIP'
+      });
+    }
+
+    const accessLimit = maxAccessCount ? parseInt(maxAccessCount) : null;
+    if (maxAccessCount && !(accessLimit >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum opens must be a positive number'
+      });
     }
 
     // Save share token to database
@@ -52,6 +343,9 @@ export const generateShareableLink = async (req, res) => {
       modality,
       studyDate,
       expiresAt,
+      permissions: linkPermissions,
+      protection: linkProtection,
+      maxAccessCount: accessLimit,
       createdBy: req.user?._id || null,
       accessCount: 0,
       metadata: {
@@ -75,6 +369,9 @@ export const generateShareableLink = async (req, res) => {
       token,
       expiresAt,
       viewerType,
+      permissions: linkPermissions,
+      protection: linkProtection.method,
+      maxAccessCount: accessLimit,
       message: 'Shareable link generated successfully'
     });
 
@@ -128,16 +425,14 @@ export const generateQRCode = async (req, res) => {
 };
 
 // Access shared study (for when someone clicks the shared link)
+// Protected links answer 403 with requiresVerification until a PIN/OTP is verified.
+// A valid ?key= from an earlier open re-opens the link without counting again.
 export const accessSharedStudy = async (req, res) => {
   try {
     const { token } = req.params;
 
     // Find share token
-    const shareToken = await ShareToken.findOne({ 
-      token,
-      expiresAt: { $gt: new Date() },
-      isActive: true
-    });
+    const shareToken = await findActiveShare(token);
 
     if (!shareToken) {
       return res.status(404).json({
@@ -146,83 +441,284 @@ export const accessSharedStudy = async (req, res) => {
       });
     }
 
-    // Increment access count
-    shareToken.accessCount += 1;
-    shareToken.lastAccessedAt = new Date();
-    shareToken.accessHistory.push({
-      accessedAt: new Date(),
-      userAgent: req.get('User-Agent'),
-      ip: req.ip
+    if (isValidAccessKey(req.query.key, token)) {
+      return res.json(await buildAccessResponse(shareToken, req.query.key, req));
+    }
+
+    if (hasReachedAccessLimit(shareToken)) {
+      return sendAccessLimitReached(res);
+    }
+
+    if (shareToken.protection?.method && shareToken.protection.method !== 'none') {
+      return res.status(403).json({
+        success: false,
+        requiresVerification: true,
+        method: shareToken.protection.method,
+        otpChannel: shareToken.protection.otpChannel,
+        maskedRecipient: shareToken.protection.method === 'otp' ? getMaskedRecipient(shareToken) : undefined,
+        message: shareToken.protection.method === 'pin' ? 'Enter the PIN for this link' : 'Request a one-time code to open this link'
+      });
+    }
+
+    if (!(await claimAccess(shareToken))) {
+      return sendAccessLimitReached(res);
+    }
+    recordAccess(shareToken, req);
+    await shareToken.save();
+
+    console.log(`🔗 Accessing shared study: ${shareToken.studyInstanceUID} via ${shareToken.viewerType}`);
+
+    res.json(await buildAccessResponse(shareToken, issueAccessKey(shareToken), req));
+
+  } catch (error) {
+    console.error('❌ Error accessing shared study:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to access shared study',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// 🆕 Send a one-time code to the link's recipient
+export const sendShareOtp = async (req, res) => {
+  try {
+    const shareToken = await findActiveShare(req.params.token);
+
+    if (!shareToken || shareToken.protection?.method !== 'otp') {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found or does not use one-time codes'
+      });
+    }
+    if (shareToken.protection.lockedUntil > new Date()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Too many incorrect codes. Try again later.',
+        lockedUntil: shareToken.protection.lockedUntil
+      });
+    }
+    if (shareToken.protection.otpSentAt && Date.now() - shareToken.protection.otpSentAt < OTP_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'A code was sent less than a minute ago. Please wait before requesting another.'
+      });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const message = `Your access code for the shared ${shareToken.modality || 'imaging'} study is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes.`;
+
+    // Stored before sending, so a code that arrives quickly can already be checked
+    shareToken.protection.otpHash = await bcrypt.hash(code, 10);
+    shareToken.protection.otpExpiresAt = new Date(Date.now() + OTP_TTL_MS);
+    shareToken.protection.otpSentAt = new Date();
+    await shareToken.save();
+
+    try {
+      if (shareToken.protection.otpChannel === 'sms') {
+        await smsService.send(shareToken.protection.recipientPhone, message);
+      } else {
+        await transporter.sendMail({
+          to: shareToken.protection.recipientEmail,
+          subject: 'Your access code for a shared study',
+          html: `
+            <div style="font-family: Arial, sans-serif; color: #1f2937;">
+              <p>Use this code to open the study shared with you:</p>
+              <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+              <p style="color: #6b7280;">The code expires in ${OTP_TTL_MS / 60000} minutes. If you did not request it, ignore this email.</p>
+            </div>`,
+          tags: ['share-otp']
+        });
+      }
+    } catch (sendError) {
+      // Nothing was delivered - drop the code and let the recipient retry straight away
+      shareToken.protection.otpHash = undefined;
+      shareToken.protection.otpExpiresAt = undefined;
+      shareToken.protection.otpSentAt = undefined;
+      await shareToken.save();
+      throw sendError;
+    }
+
+    res.json({
+      success: true,
+      message: `Code sent to ${getMaskedRecipient(shareToken)}`,
+      maskedRecipient: getMaskedRecipient(shareToken),
+      expiresAt: shareToken.protection.otpExpiresAt
+    });
+
+  } catch (error) {
+    console.error('❌ Error sending share OTP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send access code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// 🆕 Check a PIN or one-time code and open the link
+export const verifyShareAccess = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const code = String(req.body.code || '').trim();
+    const shareToken = await findActiveShare(token, '+protection.pinHash +protection.otpHash');
+
+    if (!shareToken || !['pin', 'otp'].includes(shareToken.protection?.method)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found or expired'
+      });
+    }
+    if (shareToken.protection.lockedUntil > new Date()) {
+      return sendLocked(res, shareToken.protection.lockedUntil);
+    }
+    if (hasReachedAccessLimit(shareToken)) {
+      return sendAccessLimitReached(res);
+    }
+
+    const { method, pinHash, otpHash, otpExpiresAt } = shareToken.protection;
+    if (method === 'otp' && (!otpHash || otpExpiresAt <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'The code has expired. Request a new one.'
+      });
+    }
+
+    if (!(await claimAttempt(shareToken))) {
+      return sendLocked(res);
+    }
+
+    const isMatch = Boolean(code) && await bcrypt.compare(code, method === 'pin' ? pinHash : otpHash);
+    if (!isMatch) {
+      recordAccess(shareToken, req, 'failed_verification');
+      if (shareToken.protection.lockedUntil > new Date()) {
+        console.warn(`🔒 Share link ${token.substring(0, 8)}... locked after ${MAX_FAILED_ATTEMPTS} failed attempts`);
+      }
+      await shareToken.save();
+
+      return res.status(400).json({
+        success: false,
+        message: method === 'pin' ? 'Incorrect PIN' : 'Incorrect code'
+      });
+    }
+
+    if (!(await claimAccess(shareToken))) {
+      return sendAccessLimitReached(res);
+    }
+
+    // One-time codes cannot be reused
+    shareToken.protection.failedAttempts = 0;
+    shareToken.protection.lockedUntil = undefined;
+    if (method === 'otp') {
+      shareToken.protection.otpHash = undefined;
+      shareToken.protection.otpExpiresAt = undefined;
+    }
+    recordAccess(shareToken, req);
+    await shareToken.save();
+
+    console.log(`🔓 Verified shared study access: ${shareToken.studyInstanceUID} (${method})`);
+
+    res.json(await buildAccessResponse(shareToken, issueAccessKey(shareToken), req));
+
+  } catch (error) {
+    console.error('❌ Error verifying share access:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify access',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
+
+// Loads an active link for a download, checking the access key and permission
+const authorizeShareDownload = async (req, res, permission) => {
+  const shareToken = await findActiveShare(req.params.token);
+
+  if (!shareToken) {
+    res.status(404).json({ success: false, message: 'Share link not found or expired' });
+    return null;
+  }
+  if (!isValidAccessKey(req.query.key, req.params.token)) {
+    res.status(403).json({ success: false, message: 'Open the share link again to continue' });
+    return null;
+  }
+  if (!shareToken.permissions?.[permission]) {
+    res.status(403).json({ success: false, message: 'This link does not allow that action' });
+    return null;
+  }
+  return shareToken;
+};
+
+// 🆕 Latest signed report of a shared study
+export const downloadSharedReport = async (req, res) => {
+  try {
+    const shareToken = await authorizeShareDownload(req, res, 'viewReport');
+    if (!shareToken) return;
+
+    const study = await DicomStudy.findById(shareToken.studyId).select('doctorReports').lean();
+    const reportIndex = getLatestSignedReportIndex(study?.doctorReports);
+    if (reportIndex === -1) {
+      return res.status(404).json({ success: false, message: 'No signed report is available for this study yet' });
+    }
+
+    const documentRecord = await Document.findById(study.doctorReports[reportIndex]._id);
+    if (!documentRecord?.wasabiKey) {
+      return res.status(404).json({ success: false, message: 'Report file not found' });
+    }
+
+    const wasabiResult = await WasabiService.downloadFile(documentRecord.wasabiBucket, documentRecord.wasabiKey);
+    if (!wasabiResult.success) {
+      throw new Error(wasabiResult.error || 'Failed to retrieve report from storage');
+    }
+
+    recordAccess(shareToken, req, 'report');
     await shareToken.save();
 
-    // Generate viewer URL based on viewer type
-    let viewerUrl;
-    const orthancBaseURL = 'http://64.227.187.164:8042';
-    const ohifLocalURL = 'http://64.227.187.164:4000';
-
-    switch (shareToken.viewerType) {
-      case 'ohif-local':
-        const ohifUrl = new URL(`${ohifLocalURL}/viewer`);
-        ohifUrl.searchParams.set('StudyInstanceUIDs', shareToken.studyInstanceUID);
-        
-        const dataSourceConfig = {
-          namespace: '@ohif/extension-default.dataSourcesModule.dicomweb',
-          sourceName: 'dicomweb',
-          configuration: {
-            friendlyName: 'Shared Study Viewer',
-            name: 'orthanc',
-            wadoUriRoot: `${orthancBaseURL}/wado`,
-            qidoRoot: `${orthancBaseURL}/dicom-web`,
-            wadoRoot: `${orthancBaseURL}/dicom-web`,
-            qidoSupportsIncludeField: true,
-            supportsReject: false,
-            imageRendering: 'wadors',
-            thumbnailRendering: 'wadors',
-            enableStudyLazyLoad: true,
-            supportsFuzzyMatching: false,
-            supportsWildcard: true
-          }
-        };
-        
-        ohifUrl.searchParams.set('dataSources', JSON.stringify([dataSourceConfig]));
-        viewerUrl = ohifUrl.toString();
-        break;
-
-      case 'ohif-cloud':
-        viewerUrl = `https://viewer.ohif.org/viewer?StudyInstanceUIDs=${shareToken.studyInstanceUID}&url=${encodeURIComponent(orthancBaseURL + '/dicom-web')}`;
-        break;
-
-      case 'stone-viewer':
-        viewerUrl = `${orthancBaseURL}/stone-webviewer/index.html?study=${shareToken.studyInstanceUID}`;
-        break;
-
-      default:
-        throw new Error('Unknown viewer type');
+    res.setHeader('Content-Disposition', `attachment; filename="${documentRecord.fileName}"`);
+    res.setHeader('Content-Type', documentRecord.contentType);
+    res.setHeader('Content-Length', wasabiResult.data.length);
+    res.send(wasabiResult.data);
+
+  } catch (error) {
+    console.error('❌ Error downloading shared report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// 🆕 Short-lived download URL for the study's pre-built ZIP
+export const downloadSharedZip = async (req, res) => {
+  try {
+    const shareToken = await authorizeShareDownload(req, res, 'downloadZip');
+    if (!shareToken) return;
+
+    const study = await DicomStudy.findById(shareToken.studyId).select('preProcessedDownload').lean();
+    const zipInfo = study?.preProcessedDownload;
+    if (zipInfo?.zipStatus !== 'completed' || !zipInfo.zipKey) {
+      return res.status(404).json({ success: false, message: 'The image download is not ready yet' });
     }
 
-    console.log(`🔗 Accessing shared study: ${shareToken.studyInstanceUID} via ${shareToken.viewerType}`);
+    const downloadUrl = await getPresignedUrl(zipInfo.zipKey, ZIP_URL_EXPIRY_SECONDS);
+
+    recordAccess(shareToken, req, 'download');
+    await shareToken.save();
 
     res.json({
       success: true,
-      viewerUrl,
-      studyInfo: {
-        patientName: shareToken.patientName,
-        studyDescription: shareToken.studyDescription,
-        modality: shareToken.modality,
-        studyDate: shareToken.studyDate,
-        studyInstanceUID: shareToken.studyInstanceUID
-      },
-      viewerType: shareToken.viewerType,
-      accessCount: shareToken.accessCount
+      downloadUrl,
+      fileName: zipInfo.zipFileName,
+      fileSizeMB: zipInfo.zipSizeMB || 0
     });
 
   } catch (error) {
-    console.error('❌ Error accessing shared study:', error);
+    console.error('❌ Error downloading shared ZIP:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to access shared study',
+      message: 'Failed to prepare download',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import shareLinkService from '../services/shareLink.service.js';
+
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 20, 100);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// GET /api/sharing/links?status=active|revoked|all&labId=&createdBy=&search=&flagged=&page=&limit=
+export const getShareLinks = async (req, res) => {
+    try {
+        const { status = 'active', labId, createdBy, search, flagged } = req.query;
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const { links, totalRecords } = await shareLinkService.listLinks(
+            { status, labId, createdBy, search, flagged },
+            { skip, limit }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: links,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching share links:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch share links',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/sharing/links/summary
+export const getShareLinkSummary = async (req, res) => {
+    try {
+        const summary = await shareLinkService.getSummary();
+        res.status(200).json({ success: true, data: summary });
+    } catch (error) {
+        console.error('❌ Error fetching share link summary:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch share link summary',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/sharing/links/creators
+export const getShareLinkCreators = async (req, res) => {
+    try {
+        const creators = await shareLinkService.getCreators();
+        res.status(200).json({ success: true, data: creators });
+    } catch (error) {
+        console.error('❌ Error fetching share link creators:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch share link creators',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/sharing/links/:shareId
+export const getShareLinkDetail = async (req, res) => {
+    try {
+        const { shareId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(shareId)) {
+            return res.status(400).json({ success: false, message: 'Invalid share link ID' });
+        }
+
+        const detail = await shareLinkService.getLinkDetail(shareId);
+        res.status(200).json({ success: true, data: detail });
+    } catch (error) {
+        console.error('❌ Error fetching share link detail:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to fetch share link',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sharing/links/revoke  { shareIds: [] }
+export const bulkRevokeShareLinks = async (req, res) => {
+    try {
+        const result = await shareLinkService.revokeLinks(req.body.shareIds || [], req.user);
+        res.status(200).json({
+            success: true,
+            message: `${result.revoked} share link(s) revoked`,
+            data: result
+        });
+    } catch (error) {
+        console.error('❌ Error revoking share links:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to revoke share links',
+            error: error.message
+        });
+    }
+};
+
+// PATCH /api/sharing/links/:shareId/alerts/dismiss
+export const dismissShareLinkAlerts = async (req, res) => {
+    try {
+        const { shareId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(shareId)) {
+            return res.status(400).json({ success: false, message: 'Invalid share link ID' });
+        }
+
+        const alerts = await shareLinkService.dismissAlerts(shareId, req.user);
+        res.status(200).json({
+            success: true,
+            message: 'Alerts dismissed',
+            data: alerts
+        });
+    } catch (error) {
+        console.error('❌ Error dismissing share link alerts:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to dismiss alerts',
+            error: error.message
+        });
+    }
+};
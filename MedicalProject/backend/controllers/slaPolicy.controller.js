@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import SlaPolicy from '../models/slaPolicyModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import slaEscalationService from '../services/slaEscalation.service.js';
+import { ASSIGNABLE_STATUSES, OPEN_WORKFLOW_STATUSES } from '../services/autoAssignment.service.js';
+
+const EDITABLE_FIELDS = [
+    'name', 'priority', 'isActive', 'labs', 'studyPriorities', 'targetMinutes', 'measureFrom',
+    'notifyDoctor', 'notifyAdmins', 'notifyEmails', 'reassign', 'notes'
+];
+
+const pickPolicyFields = (body = {}) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    }
+    return data;
+};
+
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(parseInt(query.limit) || 50, 200);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// GET /api/sla/policies
+export const getSlaPolicies = async (req, res) => {
+    try {
+        const policies = await SlaPolicy.find({})
+            .sort({ priority: 1, createdAt: 1 })
+            .populate('labs', 'name identifier')
+            .populate('createdBy', 'fullName')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: policies,
+            count: policies.length
+        });
+    } catch (error) {
+        console.error('❌ Error fetching SLA policies:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SLA policies',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sla/policies
+export const createSlaPolicy = async (req, res) => {
+    try {
+        const policy = await SlaPolicy.create({
+            ...pickPolicyFields(req.body),
+            createdBy: req.user._id
+        });
+        slaEscalationService.invalidate();
+
+        res.status(201).json({
+            success: true,
+            message: 'SLA policy created',
+            data: policy
+        });
+    } catch (error) {
+        console.error('❌ Error creating SLA policy:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to create SLA policy'
+        });
+    }
+};
+
+// PUT /api/sla/policies/:policyId
+export const updateSlaPolicy = async (req, res) => {
+    try {
+        const { policyId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(policyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid policy ID' });
+        }
+
+        const policy = await SlaPolicy.findById(policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        Object.assign(policy, pickPolicyFields(req.body));
+        await policy.save();
+        slaEscalationService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'SLA policy updated',
+            data: policy
+        });
+    } catch (error) {
+        console.error('❌ Error updating SLA policy:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Failed to update SLA policy'
+        });
+    }
+};
+
+// DELETE /api/sla/policies/:policyId
+export const deleteSlaPolicy = async (req, res) => {
+    try {
+        const policy = await SlaPolicy.findByIdAndDelete(req.params.policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+        slaEscalationService.invalidate();
+
+        res.status(200).json({
+            success: true,
+            message: 'SLA policy deleted'
+        });
+    } catch (error) {
+        console.error('❌ Error deleting SLA policy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete SLA policy',
+            error: error.message
+        });
+    }
+};
+
+// GET /api/sla/breaches?page=&limit=
+// Breached studies that are still waiting for a signed report, oldest breach first
+export const getSlaBreaches = async (req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const filter = {
+            'sla.breachedAt': { $ne: null },
+            workflowStatus: { $in: [...ASSIGNABLE_STATUSES, ...OPEN_WORKFLOW_STATUSES] }
+        };
+
+        const [studies, totalRecords] = await Promise.all([
+            DicomStudy.find(filter)
+                .select('studyInstanceUID accessionNumber patientInfo modality sourceLab studyPriority caseType workflowStatus createdAt sla lastAssignedDoctor')
+                .populate('sourceLab', 'name')
+                .populate('sla.policy', 'name targetMinutes')
+                .populate({ path: 'lastAssignedDoctor.doctorId', select: 'userAccount', populate: { path: 'userAccount', select: 'fullName' } })
+                .sort({ 'sla.breachedAt': 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            DicomStudy.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: studies,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalRecords / limit),
+                totalRecords,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching SLA breaches:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SLA breaches',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/sla/check
+// Runs one scheduler pass immediately
+export const runSlaCheck = async (req, res) => {
+    try {
+        slaEscalationService.invalidate();
+        const result = await slaEscalationService.checkBreaches();
+
+        res.status(200).json({
+            success: true,
+            message: `${result.breached} new breach(es), ${result.reassigned} reassignment(s)`,
+            data: result
+        });
+    } catch (error) {
+        console.error('❌ Error running SLA check:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run SLA check',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,61 @@
+// middleware/patientAuth.middleware.js
+import jwt from 'jsonwebtoken';
+import PatientPortalAccount from '../models/patientPortalAccountModel.js';
+
+// Patient portal sessions are separate from staff logins: the token carries
+// portalAccountId instead of a User id, so protect() never accepts it.
+export const protectPatient = async (req, res, next) => {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized, no token provided'
+        });
+    }
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== 'patient-portal') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token'
+            });
+        }
+
+        req.patientAccount = await PatientPortalAccount.findById(decoded.portalAccountId);
+
+        if (!req.patientAccount || !req.patientAccount.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, account not found'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Patient token verification error:', error.message);
+
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired',
+                code: 'TOKEN_EXPIRED'
+            });
+        } else if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token'
+            });
+        } else {
+            return res.status(500).json({
+                success: false,
+                message: 'Server error during authentication'
+            });
+        }
+    }
+};
@@ -0,0 +1,114 @@
+// models/AssignmentRule.model.js
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Admin-managed rule that picks a radiologist for an incoming study.
+// Rules are evaluated in ascending priority order; the first rule whose
+// conditions match and that has an available doctor wins. Empty condition
+// lists match anything.
+const AssignmentRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true
+    },
+    priority: {
+        type: Number,
+        default: 100,
+        index: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+
+    // --- Conditions ---
+    labs: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab'
+    }],
+    // Matched against modalitiesInStudy / modality, e.g. ['CT', 'MR']
+    modalities: [{
+        type: String,
+        trim: true,
+        uppercase: true
+    }],
+    // DicomStudy.studyPriority values, e.g. 'Emergency Case'
+    studyPriorities: [{
+        type: String,
+        trim: true
+    }],
+    // Case-insensitive substring of bodyPartExamined, e.g. 'CHEST'
+    bodyParts: [{
+        type: String,
+        trim: true
+    }],
+    // Local time window "HH:mm"-"HH:mm"; may wrap past midnight (22:00-06:00)
+    timeWindow: {
+        start: { type: String, match: [TIME_PATTERN, 'Start time must be HH:mm'] },
+        end: { type: String, match: [TIME_PATTERN, 'End time must be HH:mm'] }
+    },
+    // 0 = Sunday ... 6 = Saturday
+    daysOfWeek: [{
+        type: Number,
+        min: 0,
+        max: 6
+    }],
+
+    // --- Action ---
+    // Candidate radiologists; when empty every active doctor is a candidate
+    doctors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor'
+    }],
+    // Case-insensitive substring of Doctor.specialization, e.g. 'neuro'
+    requiredSpecialization: {
+        type: String,
+        trim: true
+    },
+    strategy: {
+        type: String,
+        enum: [
+            'least_loaded',     // fewest open studies
+            'round_robin',      // next doctor after the last one this rule picked
+            'first_available'   // first available doctor in list order
+        ],
+        default: 'least_loaded'
+    },
+    lastAssignedDoctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor'
+    },
+
+    hitCount: {
+        type: Number,
+        default: 0
+    },
+    lastMatchedAt: { type: Date },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    notes: {
+        type: String,
+        trim: true
+    }
+}, { timestamps: true });
+
+AssignmentRuleSchema.index({ isActive: 1, priority: 1 });
+
+AssignmentRuleSchema.pre('validate', function(next) {
+    const { start, end } = this.timeWindow || {};
+    if (Boolean(start) !== Boolean(end)) {
+        return next(new Error('A time window needs both a start and an end time'));
+    }
+    if (!this.doctors?.length && !this.requiredSpecialization) {
+        return next(new Error('Pick at least one doctor or a required specialization'));
+    }
+    next();
+});
+
+const AssignmentRule = mongoose.model('AssignmentRule', AssignmentRuleSchema);
+export default AssignmentRule;
@@ -206,6 +206,29 @@ const DicomStudySchema = new mongoose.Schema({
         reportContent: String
     },
     
+    // 🆕 Report email dispatch - one entry per recipient per dispatch
+    reportDispatched: { type: Boolean, default: false },
+    reportDispatchedAt: Date,
+    reportDispatches: [{
+        recipientEmail: { type: String, trim: true, lowercase: true },
+        recipientName: { type: String, trim: true },
+        template: String,
+        reportId: mongoose.Schema.Types.ObjectId, // doctorReports version that was sent
+        deliveryMode: { type: String, enum: ['attachment', 'link'] },
+        status: {
+            type: String,
+            enum: ['queued', 'sent', 'delivered', 'bounced', 'failed'],
+            default: 'queued'
+        },
+        messageId: { type: String, index: { sparse: true } }, // Provider message id, matched by delivery webhooks
+        error: String,
+        attempts: { type: Number, default: 0 },
+        queuedAt: { type: Date, default: Date.now },
+        sentAt: Date,
+        statusUpdatedAt: Date,
+        dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }],
+    
     // 🔧 OPTIMIZED: TAT tracking
     timingInfo: {
         uploadToAssignmentMinutes: { type: Number, index: { sparse: true, background: true } }, // 🔥 Performance metrics
@@ -220,6 +243,38 @@ const DicomStudySchema = new mongoose.Schema({
         ref: 'Lab',
         index: { background: true } // 🔥 Lab filtering very common
     },
+    // How sourceLab was resolved at ingestion (see services/labRouting.service.js)
+    labRouting: {
+        method: {
+            type: String,
+            enum: ['routing_rule', 'legacy_private_tag', 'admin_override', 'quarantine', 'manual']
+        },
+        rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LabRoutingRule'
+        },
+        ruleName: { type: String, trim: true },
+        callingAETitle: { type: String, trim: true },
+        stationName: { type: String, trim: true },
+        routedAt: { type: Date }
+    },
+    // Studies no routing rule could place wait here until an admin assigns a lab.
+    // Worklists exclude them (see NOT_QUARANTINED_FILTER in services/labRouting.service.js)
+    quarantine: {
+        isQuarantined: {
+            type: Boolean,
+            default: false,
+            index: { background: true }
+        },
+        reason: { type: String, trim: true },
+        quarantinedAt: { type: Date },
+        releasedAt: { type: Date },
+        releasedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        releaseNotes: { type: String, trim: true }
+    },
     ReportAvailable: {
         type: Boolean,
         default: false,
@@ -286,7 +341,21 @@ const DicomStudySchema = new mongoose.Schema({
         doctorId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Doctor'
-        }
+        },
+        // Editor HTML of reports written in the online reporting system,
+        // used to paste a prior report into the current one
+        reportContent: String,
+
+        // 🆕 Versioning: draft -> final -> addendum N. Signed versions are never modified.
+        version: Number,
+        versionType: {
+            type: String,
+            enum: ['draft', 'final', 'addendum']
+        },
+        addendumNumber: Number,
+        previousVersionId: mongoose.Schema.Types.ObjectId,
+        signedAt: Date,
+        supersededBy: mongoose.Schema.Types.ObjectId
     }],
     
     // 🆕 Series and Instance tracking
@@ -372,8 +441,30 @@ const DicomStudySchema = new mongoose.Schema({
             default: Date.now,
             index: { background: true } // For sorting discussions chronologically
         },
-
-
+        // 🆕 Threading - replies point at the top-level comment they answer
+        parentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        mentions: [{
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            userName: { type: String, trim: true }
+        }],
+        // 🆕 Files live in Wasabi; only the pointer is kept on the study
+        attachments: [{
+            fileName: { type: String, required: true },
+            contentType: { type: String },
+            size: { type: Number },
+            wasabiKey: { type: String, required: true },
+            wasabiBucket: { type: String, required: true },
+            uploadedAt: { type: Date, default: Date.now }
+        }],
+        editedAt: { type: Date },
+        // Previous text of the comment, oldest first
+        editHistory: [{
+            comment: { type: String },
+            editedAt: { type: Date }
+        }]
     }],
     
     // Referring physician information
@@ -387,6 +478,21 @@ const DicomStudySchema = new mongoose.Schema({
         trim: true,
         index: { sparse: true, background: true } // 🔥 Physician search
     },
+    // 🆕 Directory entry the referring name resolved to (finalized reports are delivered to it)
+    referringPhysicianRef: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReferringPhysician',
+        index: { sparse: true, background: true }
+    },
+
+    // 🆕 SLA tracking - set by the escalation scheduler
+    sla: {
+        policy: { type: mongoose.Schema.Types.ObjectId, ref: 'SlaPolicy' },
+        dueAt: Date,
+        breachedAt: { type: Date, index: { sparse: true, background: true } },
+        escalationLevel: { type: Number, default: 0 }, // 0 = none, 1 = notified, 2 = reassigned
+        reassignedAt: Date
+    },
 
     physicians: {
         referring: {
@@ -460,6 +566,22 @@ const DicomStudySchema = new mongoose.Schema({
             assignedDate: { type: Date },
             reportDate: { type: Date },
             calculationTime: { type: Date }
+        },
+
+        // 🆕 Same phases counted only within the lab's working calendar
+        business: {
+            uploadToAssignmentTAT: { type: Number, default: null },
+            assignmentToReportTAT: { type: Number, default: null },
+            studyToReportTAT: { type: Number, default: null },
+            uploadToReportTAT: { type: Number, default: null },
+            totalTATMinutes: { type: Number, default: null },
+            uploadToAssignmentTATFormatted: { type: String, default: 'N/A' },
+            assignmentToReportTATFormatted: { type: String, default: 'N/A' },
+            studyToReportTATFormatted: { type: String, default: 'N/A' },
+            uploadToReportTATFormatted: { type: String, default: 'N/A' },
+            totalTATFormatted: { type: String, default: 'N/A' },
+            timezone: { type: String },
+            calendarVersion: { type: String }
         }
     },
 
@@ -764,13 +886,14 @@ DicomStudySchema.methods.toSummary = function() {
 DicomStudySchema.pre('save', async function(next) {
     // Import TAT calculator (use dynamic import to avoid circular dependency)
     try {
-        const { calculateStudyTAT } = await import('../utils/TATutility.js');
+        const { calculateStudyTAT, getLabCalendar } = await import('../utils/TATutility.js');
         
         // 🔧 CALCULATE: TAT whenever study is saved
         if (this.isModified(['createdAt', 'assignment', 'reportInfo', 'workflowStatus']) || this.isNew) {
             console.log(`[Schema Middleware] 🔄 Auto-calculating TAT for study: ${this.studyInstanceUID}`);
             
-            const tat = calculateStudyTAT(this.toObject());
+            const calendar = await getLabCalendar(this.sourceLab);
+            const tat = calculateStudyTAT(this.toObject(), { calendar });
             
             // Update calculatedTAT field
             this.calculatedTAT = tat;
@@ -0,0 +1,29 @@
+// models/DiscussionRead.model.js
+import mongoose from 'mongoose';
+
+// When a user last opened a study's discussion. Comments by others posted
+// after lastReadAt count as unread on that user's worklist badge.
+const DiscussionReadSchema = new mongoose.Schema({
+    study: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DicomStudy',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastReadAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+DiscussionReadSchema.index({ user: 1, study: 1 }, { unique: true });
+
+const DiscussionRead = mongoose.model('DiscussionRead', DiscussionReadSchema);
+export default DiscussionRead;
@@ -147,6 +147,12 @@ const DoctorSchema = new mongoose.Schema({
     isActiveProfile: {
         type: Boolean,
         default: true,
+    },
+
+    // Whether auto-assignment may hand this doctor new studies
+    isAvailable: {
+        type: Boolean,
+        default: true,
     }
 }, { timestamps: true });
 
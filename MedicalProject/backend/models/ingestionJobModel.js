@@ -0,0 +1,84 @@
+// models/IngestionJob.model.js
+import mongoose from 'mongoose';
+
+// Durable record of every Orthanc stable-study ingestion job.
+// Bull keeps the live job in Redis; this collection survives Redis flushes and
+// backs /orthanc/job-status, the dead-letter list and replays.
+const IngestionJobSchema = new mongoose.Schema({
+    requestId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    bullJobId: {
+        type: String,
+        index: { sparse: true }
+    },
+    orthancStudyId: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'active', 'retrying', 'completed', 'dead_letter', 'discarded'],
+        default: 'waiting',
+        index: true
+    },
+    progress: { type: Number, default: 0 },
+
+    // --- Retry bookkeeping ---
+    attemptsMade: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextRetryAt: { type: Date },
+    lastError: { type: String },
+    errorHistory: [{
+        attempt: Number,
+        message: String,
+        failedAt: { type: Date, default: Date.now }
+    }],
+
+    // --- Raw Orthanc tags, captured as soon as the study is fetched ---
+    mainDicomTags: { type: mongoose.Schema.Types.Mixed },
+    patientMainDicomTags: { type: mongoose.Schema.Types.Mixed },
+
+    // --- Admin overrides applied on retry ---
+    overrideLab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab'
+    },
+
+    // --- Replay bookkeeping ---
+    replayCount: { type: Number, default: 0 },
+    lastReplayedAt: { type: Date },
+    lastReplayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // --- Outcome ---
+    result: { type: mongoose.Schema.Types.Mixed },
+    studyDatabaseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DicomStudy'
+    },
+    submittedAt: { type: Date, default: Date.now },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    deadLetteredAt: { type: Date, index: { sparse: true } },
+    discardedAt: { type: Date },
+    discardedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    discardReason: { type: String, trim: true },
+
+    originalBody: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+IngestionJobSchema.index({ status: 1, updatedAt: -1 });
+
+const IngestionJob = mongoose.model('IngestionJob', IngestionJobSchema);
+export default IngestionJob;
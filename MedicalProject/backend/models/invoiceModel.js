@@ -0,0 +1,97 @@
+// models/Invoice.model.js
+import mongoose from 'mongoose';
+
+// One invoice per lab per calendar month, built from the studies whose report
+// was finalized in that month. Line items and totals are a snapshot: later
+// tariff changes only apply when a draft is regenerated. Sent and paid
+// invoices are never rebuilt.
+const InvoiceLineItemSchema = new mongoose.Schema({
+    study: { type: mongoose.Schema.Types.ObjectId, ref: 'DicomStudy' },
+    accessionNumber: String,
+    patientId: String,
+    patientName: String,
+    modality: String,
+    studyPriority: String,
+    description: String,
+    finalizedAt: Date,
+
+    quantity: { type: Number, default: 1 }, // 1 per study, or the series count
+    unitPrice: { type: Number, default: 0 },
+    surcharge: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+
+    // Reporting radiologist (latest assignment) and their share of this line
+    doctor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    doctorName: String,
+    payoutAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+const InvoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    lab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab',
+        required: true,
+        index: true
+    },
+    labName: String,
+
+    // 'YYYY-MM' in the lab's timezone, with the UTC bounds it covers
+    month: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be YYYY-MM']
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    status: {
+        type: String,
+        enum: ['draft', 'sent', 'paid'],
+        default: 'draft',
+        index: true
+    },
+    statusHistory: [{
+        _id: false,
+        status: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedAt: { type: Date, default: Date.now },
+        note: String
+    }],
+
+    currency: { type: String, default: 'INR' },
+    billingUnit: { type: String, enum: ['study', 'series'], default: 'study' },
+    lineItems: [InvoiceLineItemSchema],
+    studyCount: { type: Number, default: 0 },
+    subtotal: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    payoutTotal: { type: Number, default: 0 },
+
+    issuedAt: Date,
+    dueDate: Date,
+    paidAt: Date,
+    paymentReference: { type: String, trim: true },
+    notes: { type: String, trim: true },
+
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    generatedAt: Date
+}, {
+    timestamps: true
+});
+
+InvoiceSchema.index({ lab: 1, month: 1 }, { unique: true });
+InvoiceSchema.index({ month: 1, status: 1 });
+InvoiceSchema.index({ 'lineItems.doctor': 1, month: 1 });
+
+const Invoice = mongoose.model('Invoice', InvoiceSchema);
+
+export default Invoice;
@@ -1,5 +1,9 @@
 // models/Lab.model.js
 import mongoose from 'mongoose';
+import { isValidTimezone } from '../utils/businessCalendar.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/; // 24:00 = until midnight
 
 const LabSchema = new mongoose.Schema({
     name: { // e.g., "City General Hospital Radiology", "Downtown Imaging Center Orthanc"
@@ -43,6 +47,37 @@ const LabSchema = new mongoose.Schema({
         zipCode: String,
         country: String,
     },
+    // 🆕 How reports for this lab's studies are rendered
+    reportSettings: {
+        renderer: { // 'docx_service' = external C# DOCX service, 'pdf' = in-process PDF
+            type: String,
+            enum: ['docx_service', 'pdf'],
+            default: 'docx_service'
+        },
+        letterheadTitle: { type: String, trim: true }, // Falls back to the lab name
+        letterheadSubtitle: { type: String, trim: true }, // Falls back to the address
+        footerText: { type: String, trim: true }
+    },
+    // 🆕 Contractual working time used for business-hours TAT
+    workingCalendar: {
+        timezone: {
+            type: String,
+            trim: true,
+            default: 'Asia/Kolkata',
+            validate: [isValidTimezone, 'Unknown timezone']
+        },
+        workingHours: [{ // No entries = round-the-clock
+            _id: false,
+            day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+            start: { type: String, required: true, match: [TIME_PATTERN, 'Start time must be HH:mm'] },
+            end: { type: String, required: true, match: [END_TIME_PATTERN, 'End time must be HH:mm'] }
+        }],
+        holidays: [{
+            _id: false,
+            date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be YYYY-MM-DD'] },
+            name: { type: String, trim: true }
+        }]
+    },
     isActive: { // To enable/disable integration with this lab
         type: Boolean,
         default: true,
@@ -0,0 +1,95 @@
+// models/LabRoutingRule.model.js
+import mongoose from 'mongoose';
+
+// Keeps tag_regex patterns small enough to run on every incoming study
+const MAX_PATTERN_LENGTH = 200;
+
+// Admin-managed rule mapping an incoming study to a Lab.
+// Rules are evaluated in ascending priority order; the first match wins.
+const LabRoutingRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true
+    },
+    priority: {
+        type: Number,
+        default: 100,
+        index: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    matchType: {
+        type: String,
+        required: [true, 'Match type is required'],
+        enum: [
+            'calling_ae_title',   // Orthanc RemoteAET of the sending modality/PACS
+            'institution_name',   // (0008,0080)
+            'station_name',       // (0008,1010)
+            'private_tag',        // exact value of a private tag, e.g. 0013,0010
+            'tag_regex',          // regex against any tag (by name or gggg,eeee)
+            'lab_identifier_tag'  // the tag value itself is a Lab.identifier
+        ]
+    },
+    // Tag to read for private_tag / tag_regex / lab_identifier_tag,
+    // either a DICOM keyword (StationName) or "gggg,eeee"
+    tag: {
+        type: String,
+        trim: true
+    },
+    // Exact (case-insensitive) value, or a regex source for tag_regex.
+    // Not used by lab_identifier_tag.
+    pattern: {
+        type: String,
+        trim: true,
+        maxlength: [MAX_PATTERN_LENGTH, `Match patterns are limited to ${MAX_PATTERN_LENGTH} characters`]
+    },
+    targetLab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab'
+    },
+    hitCount: {
+        type: Number,
+        default: 0
+    },
+    lastMatchedAt: { type: Date },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    notes: {
+        type: String,
+        trim: true
+    }
+}, { timestamps: true });
+
+LabRoutingRuleSchema.index({ isActive: 1, priority: 1 });
+
+LabRoutingRuleSchema.pre('validate', function(next) {
+    const needsTag = ['private_tag', 'tag_regex', 'lab_identifier_tag'].includes(this.matchType);
+    if (needsTag && !this.tag) {
+        return next(new Error(`A tag is required for ${this.matchType} rules`));
+    }
+    if (this.matchType !== 'lab_identifier_tag') {
+        if (!this.pattern) {
+            return next(new Error('A match pattern is required'));
+        }
+        if (!this.targetLab) {
+            return next(new Error('A target lab is required'));
+        }
+    }
+    if (this.matchType === 'tag_regex') {
+        try {
+            new RegExp(this.pattern, 'i');
+        } catch (error) {
+            return next(new Error(`Invalid regular expression: ${error.message}`));
+        }
+    }
+    next();
+});
+
+const LabRoutingRule = mongoose.model('LabRoutingRule', LabRoutingRuleSchema);
+export default LabRoutingRule;
@@ -0,0 +1,48 @@
+// models/PatientDuplicateCandidate.model.js
+import mongoose from 'mongoose';
+
+// A pair of Patient records the duplicate-detection job thinks are the same person.
+// Patients are stored sorted so a pair is only ever recorded once (see pairKey).
+const PatientDuplicateCandidateSchema = new mongoose.Schema({
+    pairKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    patients: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    }],
+    score: {
+        type: Number,
+        min: 0,
+        max: 1,
+        index: true
+    },
+    matchReasons: [{
+        type: String,
+        enum: ['mrn_issuer', 'name_dob_sex', 'name_dob']
+    }],
+    status: {
+        type: String,
+        enum: ['open', 'merged', 'dismissed'],
+        default: 'open',
+        index: true
+    },
+    detectedAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    merge: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PatientMerge'
+    }
+}, { timestamps: true });
+
+PatientDuplicateCandidateSchema.index({ status: 1, score: -1 });
+
+const PatientDuplicateCandidate = mongoose.model('PatientDuplicateCandidate', PatientDuplicateCandidateSchema);
+export default PatientDuplicateCandidate;
@@ -0,0 +1,81 @@
+// models/PatientMerge.model.js
+import mongoose from 'mongoose';
+
+// Audit trail for a patient merge. Holds everything needed to put the
+// studies and documents back where they were while the undo window is open.
+const PatientMergeSchema = new mongoose.Schema({
+    survivor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true,
+        index: true
+    },
+    survivorPatientID: { type: String, trim: true },
+
+    mergedPatients: [{
+        patient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        patientID: String,
+        patientNameRaw: String,
+        snapshot: mongoose.Schema.Types.Mixed // Patient document as it was before the merge
+    }],
+
+    movedStudies: [{
+        study: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'DicomStudy'
+        },
+        fromPatient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        fromPatientId: String,
+        fromPatientInfoPatientID: String
+    }],
+
+    movedDocuments: [{
+        document: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Document'
+        },
+        fromPatientId: String
+    }],
+
+    survivorBefore: {
+        studyCount: Number,
+        lastStudyDate: Date,
+        activeDicomStudyRef: mongoose.Schema.Types.ObjectId
+    },
+
+    status: {
+        type: String,
+        enum: ['completed', 'undone'],
+        default: 'completed',
+        index: true
+    },
+    reason: { type: String, trim: true },
+    candidate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PatientDuplicateCandidate'
+    },
+
+    mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    mergedAt: { type: Date, default: Date.now },
+    undoDeadline: { type: Date },
+    undoneAt: { type: Date },
+    undoneBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+PatientMergeSchema.index({ mergedAt: -1 });
+PatientMergeSchema.index({ 'mergedPatients.patient': 1 });
+
+const PatientMerge = mongoose.model('PatientMerge', PatientMergeSchema);
+export default PatientMerge;
@@ -1,5 +1,6 @@
 // models/Patient.model.js
 import mongoose from 'mongoose';
+import { normalizePhone } from '../utils/phone.js';
 
 const PatientSchema = new mongoose.Schema({
     // --- Identifiers ---
@@ -94,12 +95,22 @@ const PatientSchema = new mongoose.Schema({
     // 🔧 PERFORMANCE: Denormalized frequently accessed data
     studyCount: { type: Number, default: 0 },
     lastStudyDate: { type: Date, index: true },
+
+    // Set when this record was merged into another patient (see models/patientMergeModel.js)
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        index: { sparse: true }
+    },
+    mergedAt: { type: Date },
     
     // 🔧 OPTIMIZED: Lean document structure
     contactInformation: {
         phone: { type: String, default: '' },
         email: { type: String, default: '', index: 'text' }
     },
+    // Last 10 digits of contactInformation.phone - patient portal logins match on this
+    phoneNormalized: { type: String, index: { sparse: true } },
     
     // 🔧 PERFORMANCE: Separate large fields to subdocuments
     clinicalInfo: {
@@ -146,8 +157,33 @@ PatientSchema.pre('save', function(next) {
     if (this.isModified('firstName') || this.isModified('lastName')) {
         this.patientNameRaw = `${this.firstName || ''} ${this.lastName || ''}`.trim();
     }
+
+    this.phoneNormalized = normalizePhone(this.contactInformation?.phone) || undefined;
     
     next();
 });
 
+// Keep phoneNormalized in step when contact details are changed by query
+PatientSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+    const update = this.getUpdate() || {};
+    const fields = { ...update, ...update.$set };
+
+    let phone;
+    if (fields['contactInformation.phone'] !== undefined) {
+        phone = fields['contactInformation.phone'];
+    } else if (fields.contactInformation !== undefined) {
+        phone = fields.contactInformation?.phone;
+    } else {
+        return next();
+    }
+
+    const phoneNormalized = normalizePhone(phone);
+    if (phoneNormalized) {
+        this.set('phoneNormalized', phoneNormalized);
+    } else {
+        this.setUpdate({ ...this.getUpdate(), $unset: { ...this.getUpdate().$unset, phoneNormalized: '' } });
+    }
+    next();
+});
+
 export default mongoose.model('Patient', PatientSchema);
\ No newline at end of file
@@ -0,0 +1,64 @@
+// models/PatientPortalAccount.model.js
+import mongoose from 'mongoose';
+
+/**
+ * One portal login per mobile number. A number can belong to several Patient
+ * records (one per lab), so the portal shows the studies of all of them.
+ * Login uses the same OTP rules as the password reset flow: a bcrypt-hashed
+ * 6-digit code valid for 10 minutes, locked for 30 minutes after 5 misses.
+ */
+const ReportAccessSchema = new mongoose.Schema({
+    study: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DicomStudy',
+        required: true
+    },
+    reportId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    firstDownloadedAt: { type: Date },
+    lastDownloadedAt: { type: Date },
+    downloadCount: { type: Number, default: 0 },
+    // Patient confirmed they received and read the report
+    acknowledgedAt: { type: Date }
+}, { _id: false });
+
+const PatientPortalAccountSchema = new mongoose.Schema({
+    // Digits only, last 10 digits of the number (country code dropped)
+    phone: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    patients: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    }],
+
+    // --- Login OTP ---
+    otpHash: { type: String, select: false },
+    otpExpiresAt: { type: Date, select: false },
+    otpSentAt: { type: Date },
+    otpAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+
+    // --- Consent to the portal terms; re-asked when the version changes ---
+    consent: {
+        version: { type: String },
+        acceptedAt: { type: Date },
+        ip: { type: String },
+        userAgent: { type: String }
+    },
+
+    reportAccess: [ReportAccessSchema],
+
+    lastLoginAt: { type: Date },
+    loginCount: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+PatientPortalAccountSchema.index({ 'reportAccess.study': 1 });
+
+export default mongoose.model('PatientPortalAccount', PatientPortalAccountSchema);
@@ -0,0 +1,126 @@
+// models/PeerReview.model.js
+import mongoose from 'mongoose';
+
+export const RADPEER_SCORES = [1, 2, 3, 4];
+export const DISCREPANCY_STATUSES = ['none', 'open', 'acknowledged', 'resolved'];
+
+// Second read of a finalized report. A sampled study is assigned to another
+// radiologist who scores agreement RADPEER-style:
+//   1 - concur with interpretation
+//   2 - discrepancy, diagnosis not ordinarily expected to be made
+//   3 - discrepancy, diagnosis should be made most of the time
+//   4 - discrepancy, diagnosis should be made almost every time
+// Any score above 1 opens a discrepancy that the original reporter
+// acknowledges and an admin resolves.
+const PeerReviewSchema = new mongoose.Schema({
+    study: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DicomStudy',
+        required: true,
+        index: true
+    },
+    // Signed doctorReports entry that was reviewed
+    reportId: mongoose.Schema.Types.ObjectId,
+    reportVersion: Number,
+
+    // Denormalized for lists and dashboards
+    patientName: String,
+    patientId: String,
+    accessionNumber: String,
+    modality: String,
+    examDescription: String,
+    sourceLab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab'
+    },
+    reportFinalizedAt: Date,
+
+    // Both are User ids, like DicomStudy.assignment.assignedTo
+    originalReporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    selectionReason: {
+        type: String,
+        enum: ['random_sample', 'new_doctor', 'manual'],
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'cancelled'],
+        default: 'pending',
+        index: true
+    },
+    assignedAt: Date,
+    dueAt: Date,
+
+    // --- Review ---
+    score: {
+        type: Number,
+        enum: RADPEER_SCORES
+    },
+    clinicallySignificant: {
+        type: Boolean,
+        default: false
+    },
+    comments: {
+        type: String,
+        trim: true,
+        maxlength: [5000, 'Comments cannot exceed 5000 characters']
+    },
+    completedAt: Date,
+
+    // --- Discrepancy follow-up ---
+    discrepancy: {
+        status: {
+            type: String,
+            enum: DISCREPANCY_STATUSES,
+            default: 'none',
+            index: true
+        },
+        reporterResponse: { type: String, trim: true },
+        acknowledgedAt: Date,
+        resolutionNote: { type: String, trim: true },
+        resolvedAt: Date,
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+
+    history: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['assigned', 'reassigned', 'completed', 'acknowledged', 'resolved', 'cancelled']
+        },
+        at: { type: Date, default: Date.now },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        note: String
+    }],
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+PeerReviewSchema.index({ reviewer: 1, status: 1, assignedAt: -1 });
+PeerReviewSchema.index({ originalReporter: 1, completedAt: -1 });
+
+const PeerReview = mongoose.model('PeerReview', PeerReviewSchema);
+
+export default PeerReview;
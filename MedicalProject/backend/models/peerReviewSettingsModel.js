@@ -0,0 +1,58 @@
+// models/PeerReviewSettings.model.js
+import mongoose from 'mongoose';
+
+// Single document (key 'default') controlling which finalized reports are
+// sent for peer review. Every report from a doctor whose profile is younger
+// than newDoctorDays is reviewed; other reports are sampled at samplePercent.
+const PeerReviewSettingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    isEnabled: {
+        type: Boolean,
+        default: false
+    },
+    samplePercent: {
+        type: Number,
+        default: 5,
+        min: [0, 'Sample percentage cannot be negative'],
+        max: [100, 'Sample percentage cannot exceed 100']
+    },
+    // 0 turns off full review of new doctors
+    newDoctorDays: {
+        type: Number,
+        default: 90,
+        min: [0, 'New doctor period cannot be negative']
+    },
+    modalities: [{
+        type: String,
+        uppercase: true,
+        trim: true
+    }],
+    // Doctor profiles allowed to review; empty means any active doctor
+    reviewers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor'
+    }],
+    dueDays: {
+        type: Number,
+        default: 7,
+        min: [1, 'Reviews must be due at least one day after assignment']
+    },
+    notifyAdminsOnDiscrepancy: {
+        type: Boolean,
+        default: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const PeerReviewSettings = mongoose.model('PeerReviewSettings', PeerReviewSettingsSchema);
+
+export default PeerReviewSettings;
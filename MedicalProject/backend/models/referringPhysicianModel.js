@@ -0,0 +1,99 @@
+// models/ReferringPhysician.model.js
+import mongoose from 'mongoose';
+import { normalizePhysicianName } from '../utils/physicianName.js';
+
+// Directory entry for a referring doctor. Studies are linked through
+// DicomStudy.referringPhysicianRef, matched on the DICOM ReferringPhysicianName
+// (or any alias) during ingestion, and finalized reports are delivered here.
+const ReferringPhysicianSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Physician name is required'],
+        trim: true
+    },
+    // Other spellings seen in DICOM, e.g. "SMITH^J" for "John Smith"
+    aliases: [{
+        type: String,
+        trim: true
+    }],
+    // Match keys derived from name / aliases, see utils/physicianName.js
+    nameKey: {
+        type: String,
+        unique: true
+    },
+    aliasKeys: {
+        type: [String],
+        index: true
+    },
+    institution: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^$|^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+    },
+    mobile: {
+        type: String,
+        trim: true
+    },
+    whatsappNumber: {
+        type: String,
+        trim: true
+    },
+    // Reports are only delivered by email; the numbers above are contact details
+    preferredChannel: {
+        type: String,
+        enum: ['email', 'none'],
+        default: 'email'
+    },
+    // Send the report automatically once it is finalized
+    autoDeliver: {
+        type: Boolean,
+        default: true
+    },
+    emailTemplate: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'standard'
+    },
+    // 'auto' entries were created from a study's referring name and may still need contact details
+    source: {
+        type: String,
+        enum: ['manual', 'auto'],
+        default: 'manual'
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+ReferringPhysicianSchema.pre('validate', function(next) {
+    this.nameKey = normalizePhysicianName(this.name);
+    if (!this.nameKey) {
+        this.invalidate('name', 'Physician name must contain letters or numbers');
+    }
+    this.aliases = [...new Set((this.aliases || []).filter(Boolean))];
+    this.aliasKeys = this.aliases.map(normalizePhysicianName).filter(key => key && key !== this.nameKey);
+    next();
+});
+
+const ReferringPhysician = mongoose.model('ReferringPhysician', ReferringPhysicianSchema);
+export default ReferringPhysician;
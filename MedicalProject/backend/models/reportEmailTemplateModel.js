@@ -0,0 +1,61 @@
+// models/ReportEmailTemplate.model.js
+import mongoose from 'mongoose';
+
+// Email used when dispatching a finalized report. Looked up by key (the
+// `emailTemplate` sent to dispatchReports): the lab's own template first,
+// then the global one (lab: null), then the built-in default.
+//
+// subject and htmlBody accept {{placeholders}}: patientName, patientId,
+// accessionNumber, studyDate, modality, studyDescription, labName,
+// referringPhysician, doctorName, reportLink
+const ReportEmailTemplateSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Template key is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_-]+$/, 'Template key may only contain letters, numbers, "-" and "_"']
+    },
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true
+    },
+    lab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab',
+        default: null
+    },
+    subject: {
+        type: String,
+        required: [true, 'Subject is required'],
+        trim: true
+    },
+    htmlBody: {
+        type: String,
+        required: [true, 'Email body is required']
+    },
+    // 'attachment' falls back to a link when the report is over the attachment size limit
+    deliveryMode: {
+        type: String,
+        enum: ['attachment', 'link'],
+        default: 'attachment'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+ReportEmailTemplateSchema.index({ key: 1, lab: 1 }, { unique: true });
+
+const ReportEmailTemplate = mongoose.model('ReportEmailTemplate', ReportEmailTemplateSchema);
+export default ReportEmailTemplate;
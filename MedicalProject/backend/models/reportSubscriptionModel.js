@@ -0,0 +1,100 @@
+// models/ReportSubscription.model.js
+import mongoose from 'mongoose';
+import { isValidTimezone } from '../utils/businessCalendar.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring TAT/volume workbook emailed to a list of recipients. Each run
+// covers the previous full period (yesterday, the last 7 days or last month)
+// in the subscription's timezone.
+const ReportSubscriptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Subscription name is required'],
+        trim: true
+    },
+    isActive: { // false = paused
+        type: Boolean,
+        default: true,
+        index: true
+    },
+
+    // --- Scope (both empty = all labs and doctors) ---
+    lab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab',
+        index: true
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor'
+    },
+    reportTypes: {
+        type: [{ type: String, enum: ['tat', 'volume'] }],
+        default: ['tat', 'volume'],
+        validate: [types => types.length > 0, 'Pick at least one report type']
+    },
+    tatMode: {
+        type: String,
+        enum: ['wallclock', 'business'],
+        default: 'wallclock'
+    },
+
+    // --- Schedule ---
+    frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly'],
+        required: [true, 'Frequency is required']
+    },
+    sendTime: {
+        type: String,
+        default: '07:00',
+        match: [TIME_PATTERN, 'Send time must be HH:mm']
+    },
+    weekday: { // weekly: 0 = Sunday
+        type: Number,
+        min: 0,
+        max: 6,
+        default: 1
+    },
+    dayOfMonth: { // monthly: capped at 28 so every month has the day
+        type: Number,
+        min: 1,
+        max: 28,
+        default: 1
+    },
+    timezone: {
+        type: String,
+        trim: true,
+        default: 'Asia/Kolkata',
+        validate: [isValidTimezone, 'Unknown timezone']
+    },
+
+    recipients: {
+        type: [{
+            _id: false,
+            email: { type: String, required: true, trim: true, lowercase: true },
+            name: { type: String, trim: true }
+        }],
+        validate: [recipients => recipients.length > 0, 'Add at least one recipient']
+    },
+
+    nextRunAt: {
+        type: Date,
+        index: true
+    },
+    lastRunAt: { type: Date },
+    lastRunStatus: {
+        type: String,
+        enum: ['sent', 'partial', 'failed']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+ReportSubscriptionSchema.index({ isActive: 1, nextRunAt: 1 });
+
+const ReportSubscription = mongoose.model('ReportSubscription', ReportSubscriptionSchema);
+export default ReportSubscription;
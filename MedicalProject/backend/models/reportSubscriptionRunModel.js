@@ -0,0 +1,50 @@
+// models/ReportSubscriptionRun.model.js
+import mongoose from 'mongoose';
+
+// History of generated subscription reports and who they were emailed to
+const ReportSubscriptionRunSchema = new mongoose.Schema({
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReportSubscription',
+        required: true,
+        index: true
+    },
+    subscriptionName: { type: String, trim: true }, // Kept readable after the subscription is deleted
+    lab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab',
+        index: true
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule'
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'partial', 'failed'],
+        required: true
+    },
+    studyCount: { type: Number, default: 0 },
+    fileName: { type: String },
+    fileSize: { type: Number },
+    recipients: [{
+        _id: false,
+        email: { type: String },
+        status: { type: String, enum: ['sent', 'failed'] },
+        messageId: { type: String },
+        error: { type: String }
+    }],
+    error: { type: String },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+ReportSubscriptionRunSchema.index({ createdAt: -1 });
+
+const ReportSubscriptionRun = mongoose.model('ReportSubscriptionRun', ReportSubscriptionRunSchema);
+export default ReportSubscriptionRun;
@@ -0,0 +1,63 @@
+// models/RosterEntry.model.js
+import mongoose from 'mongoose';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// One shift, on-call window or leave period for a radiologist. Weekly
+// entries repeat every 7 days from `start` until `repeatUntil` (or forever).
+const RosterEntrySchema = new mongoose.Schema({
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Doctor',
+        required: [true, 'Doctor is required'],
+        index: true
+    },
+    type: {
+        type: String,
+        enum: [
+            'shift',    // on duty, receives assignments
+            'on_call',  // on duty out of hours, receives assignments
+            'leave'     // off duty; overrides any shift it overlaps
+        ],
+        required: true
+    },
+    start: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    end: {
+        type: Date,
+        required: [true, 'End time is required']
+    },
+    repeatWeekly: {
+        type: Boolean,
+        default: false
+    },
+    repeatUntil: { type: Date },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+RosterEntrySchema.index({ doctor: 1, start: 1 });
+
+RosterEntrySchema.pre('validate', function(next) {
+    if (this.start && this.end && this.end <= this.start) {
+        return next(new Error('End time must be after start time'));
+    }
+    if (this.repeatWeekly && this.end - this.start > WEEK_MS) {
+        return next(new Error('A weekly entry cannot be longer than a week'));
+    }
+    if (this.repeatUntil && this.repeatUntil < this.start) {
+        return next(new Error('Repeat-until date must be after the start time'));
+    }
+    next();
+});
+
+const RosterEntry = mongoose.model('RosterEntry', RosterEntrySchema);
+export default RosterEntry;
@@ -0,0 +1,45 @@
+// models/RvuWeight.model.js
+import mongoose from 'mongoose';
+
+// Relative work value of a reported study, used to compare radiologist output
+// across modalities. A weight with examPattern only applies to studies whose
+// exam description contains that text (case-insensitive) and wins over the
+// plain modality weight. Studies without a matching weight count as 1 RVU.
+const RvuWeightSchema = new mongoose.Schema({
+    modality: {
+        type: String,
+        required: [true, 'Modality is required'],
+        uppercase: true,
+        trim: true
+    },
+    examPattern: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    rvu: {
+        type: Number,
+        required: [true, 'RVU value is required'],
+        min: [0, 'RVU cannot be negative']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+RvuWeightSchema.index({ modality: 1, examPattern: 1 }, { unique: true });
+
+const RvuWeight = mongoose.model('RvuWeight', RvuWeightSchema);
+
+export default RvuWeight;
@@ -38,6 +38,44 @@ const shareTokenSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // 🆕 What the recipient may do once the link is opened
+  permissions: {
+    viewImages: { type: Boolean, default: true },
+    viewReport: { type: Boolean, default: false },
+    downloadZip: { type: Boolean, default: false }
+  },
+  // 🆕 Optional second factor: a PIN handed over separately, or a one-time
+  // code sent to the recipient's email or phone when they open the link
+  protection: {
+    method: {
+      type: String,
+      enum: ['none', 'pin', 'otp'],
+      default: 'none'
+    },
+    pinHash: { type: String, select: false },
+    otpChannel: {
+      type: String,
+      enum: ['email', 'sms']
+    },
+    recipientEmail: { type: String, trim: true, lowercase: true },
+    recipientPhone: { type: String, trim: true },
+    otpHash: { type: String, select: false },
+    otpExpiresAt: Date,
+    otpSentAt: Date,
+    failedAttempts: { type: Number, default: 0 },
+    lockedUntil: Date
+  },
+  // 🆕 null means unlimited opens until expiry
+  maxAccessCount: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdBy: {
     type: String,
     default: 'system'
@@ -50,13 +88,32 @@ const shareTokenSchema = new mongoose.Schema({
   accessHistory: [{
     accessedAt: Date,
     userAgent: String,
-    ip: String
+    ip: String,
+    action: {
+      type: String,
+      enum: ['open', 'report', 'download', 'failed_verification'],
+      default: 'open'
+    }
   }],
   metadata: {
     userAgent: String,
     ip: String,
     createdAt: Date
-  }
+  },
+  // 🆕 Unusual access raised by services/shareLink.service.js; one entry per reason
+  alerts: [{
+    reason: {
+      type: String,
+      enum: ['many_ips', 'many_hits', 'failed_verifications']
+    },
+    detail: String,
+    raisedAt: Date,
+    dismissedAt: Date,
+    dismissedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -65,6 +122,9 @@ const shareTokenSchema = new mongoose.Schema({
 shareTokenSchema.index({ expiresAt: 1 });
 shareTokenSchema.index({ studyId: 1 });
 shareTokenSchema.index({ studyInstanceUID: 1 });
+shareTokenSchema.index({ isActive: 1, createdAt: -1 });
+shareTokenSchema.index({ createdBy: 1, createdAt: -1 });
+shareTokenSchema.index({ 'alerts.dismissedAt': 1, 'alerts.raisedAt': -1 });
 
 const ShareToken = mongoose.model('ShareToken', shareTokenSchema);
 
@@ -0,0 +1,89 @@
+// models/SlaPolicy.model.js
+import mongoose from 'mongoose';
+
+// Reporting deadline for studies of a lab and/or priority. Policies are
+// evaluated in ascending priority order and the first match applies; empty
+// lab and studyPriorities match anything.
+const SlaPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Policy name is required'],
+        trim: true
+    },
+    priority: {
+        type: Number,
+        default: 100,
+        index: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+
+    // --- Scope ---
+    labs: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab'
+    }],
+    // DicomStudy.studyPriority or caseType values, e.g. 'Emergency Case', 'routine'
+    studyPriorities: [{
+        type: String,
+        trim: true
+    }],
+
+    // --- Deadline ---
+    targetMinutes: {
+        type: Number,
+        required: [true, 'Target time is required'],
+        min: [1, 'Target time must be at least one minute']
+    },
+    measureFrom: {
+        type: String,
+        enum: [
+            'upload',       // study arrival
+            'assignment'    // latest doctor assignment; unassigned studies use arrival
+        ],
+        default: 'upload'
+    },
+
+    // --- Escalation ---
+    notifyDoctor: {
+        type: Boolean,
+        default: true
+    },
+    notifyAdmins: {
+        type: Boolean,
+        default: true
+    },
+    // Extra addresses emailed on breach, e.g. a lab coordinator
+    notifyEmails: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    reassign: {
+        enabled: { type: Boolean, default: false },
+        // Minutes after the breach before the study moves to another radiologist
+        graceMinutes: { type: Number, default: 30, min: 0 }
+    },
+
+    breachCount: {
+        type: Number,
+        default: 0
+    },
+    lastBreachAt: { type: Date },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    notes: {
+        type: String,
+        trim: true
+    }
+}, { timestamps: true });
+
+SlaPolicySchema.index({ isActive: 1, priority: 1 });
+
+const SlaPolicy = mongoose.model('SlaPolicy', SlaPolicySchema);
+export default SlaPolicy;
@@ -0,0 +1,86 @@
+// models/Tariff.model.js
+import mongoose from 'mongoose';
+
+// What a lab is billed per reported study. One tariff per lab; the price comes
+// from the study's modality (falling back to defaultPrice), multiplied by the
+// series count when billing per series, plus any surcharge for the study's
+// priority. doctorPayout is the reporting radiologist's share of each line.
+const TariffSchema = new mongoose.Schema({
+    lab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lab',
+        required: [true, 'Lab is required'],
+        unique: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    currency: {
+        type: String,
+        default: 'INR',
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    billingUnit: {
+        type: String,
+        enum: ['study', 'series'],
+        default: 'study'
+    },
+
+    // --- Prices ---
+    defaultPrice: {
+        type: Number,
+        default: 0,
+        min: [0, 'Price cannot be negative']
+    },
+    modalityPrices: [{
+        _id: false,
+        modality: { type: String, required: true, uppercase: true, trim: true },
+        price: { type: Number, required: true, min: [0, 'Price cannot be negative'] }
+    }],
+    // Keyed by DicomStudy.studyPriority, e.g. 'Emergency Case'
+    prioritySurcharges: [{
+        _id: false,
+        priority: { type: String, required: true, trim: true },
+        type: { type: String, enum: ['flat', 'percent'], default: 'flat' },
+        amount: { type: Number, required: true, min: [0, 'Surcharge cannot be negative'] }
+    }],
+    taxRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100%']
+    },
+    paymentTermsDays: {
+        type: Number,
+        default: 30,
+        min: 0
+    },
+
+    // --- Radiologist payout ---
+    doctorPayout: {
+        type: { type: String, enum: ['percent', 'flat'], default: 'percent' },
+        amount: { type: Number, default: 0, min: [0, 'Payout cannot be negative'] }
+    },
+
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const Tariff = mongoose.model('Tariff', TariffSchema);
+
+export default Tariff;
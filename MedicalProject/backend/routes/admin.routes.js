@@ -46,6 +46,7 @@ import {
 } from '../controllers/search.controller.js';
 
 import { uploadImages, getAvailableLabs, getUploadStatus } from '../controllers/dicomUploader.controller.js';
+import { getDoctorSuggestions } from '../controllers/autoAssignment.controller.js';
 
 
 import { protect, authorize } from '../middleware/authMiddleware.js';
@@ -96,6 +97,7 @@ router.get('/studies', protect, authorize('admin'), getAllStudiesForAdmin);
 router.get('/values', protect, getValues)
 router.get('/doctors', protect, authorize('admin', 'lab_staff'), getAllDoctors); 
 router.post('/studies/:studyId/assign', protect, authorize('admin'), assignDoctorToStudy); 
+router.get('/studies/:studyId/doctor-suggestions', protect, authorize('admin', 'lab_staff'), getDoctorSuggestions);
 router.put('/studies/:studyId/interaction', protect, authorize('doctor_account'), updateStudyInteractionStatus);
 
 
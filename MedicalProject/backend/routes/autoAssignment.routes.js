@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+    getAssignmentRules,
+    createAssignmentRule,
+    updateAssignmentRule,
+    deleteAssignmentRule,
+    testAssignmentRules,
+    runAutoAssignment,
+    getAssignableDoctors,
+    updateDoctorAvailability
+} from '../controllers/autoAssignment.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Auto-assignment rule table - admin only
+router.use(protect, authorize('admin'));
+
+router.get('/rules', getAssignmentRules);
+router.post('/rules', createAssignmentRule);
+router.put('/rules/:ruleId', updateAssignmentRule);
+router.delete('/rules/:ruleId', deleteAssignmentRule);
+router.post('/test', testAssignmentRules);
+router.post('/run', runAutoAssignment);
+
+// Doctor availability for auto-assignment
+router.get('/doctors', getAssignableDoctors);
+router.put('/doctors/:doctorId/availability', updateDoctorAvailability);
+
+export default router;
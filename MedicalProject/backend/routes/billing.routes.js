@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+    getTariffs,
+    saveTariff,
+    deleteTariff,
+    getInvoices,
+    getInvoice,
+    generateInvoices,
+    updateInvoice,
+    updateInvoiceStatus,
+    deleteInvoice,
+    downloadInvoicePdf,
+    getPayouts,
+    downloadPayoutPdf
+} from '../controllers/billing.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Lab tariffs, monthly invoices and radiologist payouts - admin only
+router.use(protect, authorize('admin'));
+
+router.get('/tariffs', getTariffs);
+router.put('/tariffs/:labId', saveTariff);
+router.delete('/tariffs/:labId', deleteTariff);
+
+router.get('/invoices', getInvoices);
+router.post('/invoices/generate', generateInvoices);
+router.get('/invoices/:invoiceId', getInvoice);
+router.put('/invoices/:invoiceId', updateInvoice);
+router.patch('/invoices/:invoiceId/status', updateInvoiceStatus);
+router.delete('/invoices/:invoiceId', deleteInvoice);
+router.get('/invoices/:invoiceId/pdf', downloadInvoicePdf);
+
+router.get('/payouts', getPayouts);
+router.get('/payouts/:doctorId/pdf', downloadPayoutPdf);
+
+export default router;
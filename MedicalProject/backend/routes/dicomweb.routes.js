@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    createViewerSession,
+    proxyDicomweb,
+    proxyWadoUri
+} from '../controllers/dicomweb.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Logged-in users get a viewer token for one study they can already see
+router.post('/session/:studyInstanceUID', protect, createViewerSession);
+
+// Viewer-facing DICOMweb - the token in the path is the only credential, since
+// OHIF cannot attach our Authorization header. Read-only: no STOW or deletes.
+router.get('/:viewerToken/dicom-web/*path', proxyDicomweb);
+router.get('/:viewerToken/wado', proxyWadoUri);
+
+export default router;
@@ -1,16 +1,76 @@
 import express from 'express';
-import { getStudyDiscussions, addStudyDiscussion, deleteStudyDiscussion } from '../controllers/discussion.controller.js';
+import multer from 'multer';
+import {
+  getStudyDiscussions,
+  addStudyDiscussion,
+  editStudyDiscussion,
+  deleteStudyDiscussion,
+  getMentionableUsers,
+  downloadDiscussionAttachment,
+  markStudyDiscussionRead,
+  getUnreadDiscussionCounts
+} from '../controllers/discussion.controller.js';
 import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+// Attachments are kept in memory and streamed to Wasabi
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB per file
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = [
+      'application/pdf',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/msword',
+      'text/plain',
+      'image/jpeg',
+      'image/png',
+      'image/gif',
+      'image/webp'
+    ];
+
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PDF, Word documents, text files, and images are allowed.'));
+    }
+  }
+});
+
+// Upload problems are the client's to fix - answer 400 instead of falling through to a 500
+const uploadAttachments = (req, res, next) => {
+  upload.array('attachments')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    return next();
+  });
+};
+
+// Unread badges for the worklist
+router.post('/discussions/unread-counts', protect, getUnreadDiscussionCounts);
+
 // Get all discussions for a study
 router.get('/studies/:studyId/discussions', protect, getStudyDiscussions);
 
-// Add a new discussion to a study
-router.post('/studies/:studyId/discussions', protect, addStudyDiscussion);
+// Add a new discussion or reply, with optional attachments
+router.post('/studies/:studyId/discussions', protect, uploadAttachments, addStudyDiscussion);
+
+// People who can be @mentioned and read tracking
+router.get('/studies/:studyId/discussions/mentionable', protect, getMentionableUsers);
+router.post('/studies/:studyId/discussions/read', protect, markStudyDiscussionRead);
+
+// Edit your own comment
+router.put('/studies/:studyId/discussions/:discussionId', protect, editStudyDiscussion);
 
 // Delete a discussion from a study (admin only)
 router.delete('/studies/:studyId/discussions/:discussionId', protect, deleteStudyDiscussion);
 
-export default router;
\ No newline at end of file
+// Download an attachment
+router.get('/studies/:studyId/discussions/:discussionId/attachments/:attachmentId', protect, downloadDiscussionAttachment);
+
+export default router;
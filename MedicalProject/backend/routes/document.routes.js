@@ -46,6 +46,10 @@ router.post('/study/:studyId/generate-report', DocumentController.generateReport
 
 router.post('/study/:studyId/generate-draft-report', DocumentController.generateReportWithDocxServiceDraft);
 
+router.post('/study/:studyId/generate-addendum', DocumentController.generateAddendumWithDocxService);
+
+router.post('/study/:studyId/generate-pdf-report', DocumentController.generatePdfReport);
+
 
 
 router.post('/study/:studyId/upload', 
@@ -73,6 +77,12 @@ router.post('/study/:studyId/upload',
   DocumentController.uploadStudyReport
 );
 
+// Download the latest signed version (final or newest addendum)
+router.get('/study/:studyId/reports/latest/download', 
+  authorize('admin', 'lab_staff', 'doctor_account'),
+  DocumentController.getLatestSignedStudyReport
+);
+
 // Download specific report by index
 router.get('/study/:studyId/reports/:reportIndex/download', 
   authorize('admin', 'lab_staff', 'doctor_account'),
@@ -89,4 +99,16 @@ router.get('/study/:studyId/reporting-info',
     DocumentController.getStudyInfoForReporting
 );
 
+// Prior studies of the same patient, with report metadata
+router.get('/study/:studyId/priors',
+  authorize('admin', 'doctor_account'),
+  DocumentController.getPriorStudies
+);
+
+// Report text for insertion into the current report and version diffs
+router.get('/study/:studyId/reports/:reportId/content',
+  authorize('admin', 'doctor_account'),
+  DocumentController.getReportContent
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+    getIngestionJobs,
+    getIngestionJob,
+    retryIngestionJob,
+    discardIngestionJob,
+    getIngestionQueueStats
+} from '../controllers/ingestion.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Failed / dead-lettered ingestion job console - admin only
+router.use(protect, authorize('admin'));
+
+router.get('/jobs', getIngestionJobs);
+router.get('/jobs/:requestId', getIngestionJob);
+router.post('/jobs/:requestId/retry', retryIngestionJob);
+router.post('/jobs/:requestId/discard', discardIngestionJob);
+router.get('/queue-stats', getIngestionQueueStats);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+    getRoutingRules,
+    createRoutingRule,
+    updateRoutingRule,
+    deleteRoutingRule,
+    testRoutingRules,
+    getQuarantinedStudies,
+    assignQuarantinedStudy
+} from '../controllers/labRouting.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Lab routing rule table - admin only
+router.use(protect, authorize('admin'));
+
+router.get('/rules', getRoutingRules);
+router.post('/rules', createRoutingRule);
+router.put('/rules/:ruleId', updateRoutingRule);
+router.delete('/rules/:ruleId', deleteRoutingRule);
+router.post('/test', testRoutingRules);
+
+// Quarantine inbox - studies no rule could route
+router.get('/quarantine', getQuarantinedStudies);
+router.post('/quarantine/:studyId/assign', assignQuarantinedStudy);
+
+export default router;
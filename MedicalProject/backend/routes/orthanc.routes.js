@@ -4,6 +4,11 @@ import mongoose from 'mongoose';
 import Redis from 'ioredis';
 import websocketService from '../config/webSocket.js';
 import CloudflareR2ZipService from '../services/wasabi.zip.service.js';
+import ingestionQueue from '../services/ingestion.queue.service.js';
+import labRoutingService from '../services/labRouting.service.js';
+import referringPhysicianService from '../services/referringPhysician.service.js';
+import autoAssignmentService from '../services/autoAssignment.service.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
 // Import Mongoose Models
 import DicomStudy from '../models/dicomStudyModel.js';
@@ -27,97 +32,6 @@ const redis = new Redis(REDIS_URL, {
   lazyConnect: true,
 });
 
-// --- Simple Job Queue for Stable Studies ---
-class StableStudyQueue {
-  constructor() {
-    this.jobs = new Map();
-    this.processing = new Set();
-    this.nextJobId = 1;
-    this.isProcessing = false;
-    this.concurrency = 8; // Process max 8 stable studies simultaneously
-  }
-
-  async add(jobData) {
-    const jobId = this.nextJobId++;
-    const job = {
-      id: jobId,
-      type: 'process-stable-study',
-      data: jobData,
-      status: 'waiting',
-      createdAt: new Date(),
-      progress: 0,
-      result: null,
-      error: null
-    };
-    
-    this.jobs.set(jobId, job);
-    console.log(`📝 Stable Study Job ${jobId} queued`);
-    
-    if (!this.isProcessing) {
-      this.startProcessing();
-    }
-    
-    return job;
-  }
-
-  async startProcessing() {
-    if (this.isProcessing) return;
-    this.isProcessing = true;
-    
-    console.log('🚀 Stable Study Queue processor started');
-    
-    while (this.getWaitingJobs().length > 0 || this.processing.size > 0) {
-      while (this.processing.size < this.concurrency && this.getWaitingJobs().length > 0) {
-        const waitingJobs = this.getWaitingJobs();
-        if (waitingJobs.length > 0) {
-          const job = waitingJobs[0];
-          this.processJob(job);
-        }
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    
-    this.isProcessing = false;
-    console.log('⏹️ Stable Study Queue processor stopped');
-  }
-
-  async processJob(job) {
-    this.processing.add(job.id);
-    job.status = 'active';
-    
-    console.log(`🚀 Processing Stable Study Job ${job.id}`);
-    
-    try {
-      job.result = await processStableStudy(job);
-      job.status = 'completed';
-      console.log(`✅ Stable Study Job ${job.id} completed successfully`);
-      
-    } catch (error) {
-      job.error = error.message;
-      job.status = 'failed';
-      console.error(`❌ Stable Study Job ${job.id} failed:`, error.message);
-      console.error(`❌ Stack:`, error.stack);
-    } finally {
-      this.processing.delete(job.id);
-    }
-  }
-
-  getWaitingJobs() {
-    return Array.from(this.jobs.values()).filter(job => job.status === 'waiting');
-  }
-
-  getJob(jobId) {
-    return this.jobs.get(jobId);
-  }
-
-  getJobByRequestId(requestId) {
-    return Array.from(this.jobs.values()).find(job => job.data.requestId === requestId);
-  }
-}
-
-const jobQueue = new StableStudyQueue();
-
 // --- Helper Functions ---
 
 function processDicomPersonName(dicomNameField) {
@@ -236,6 +150,7 @@ async function findOrCreatePatientFromTags(tags) {
     const patient = new Patient({
       mrn: patientIdDicom || `UNKNOWN_${Date.now()}`,
       patientID: patientIdDicom || `UNKNOWN_${Date.now()}`, 
+      issuerOfPatientID: tags.IssuerOfPatientID || '',
       patientNameRaw: patientNameRaw || 'Unknown Patient', // ✅ Save exactly as received
       firstName: '', // ✅ Leave empty - no name parsing
       lastName: patientNameRaw || 'Unknown Patient', // ✅ Put full name in lastName for backward compatibility
@@ -256,10 +171,12 @@ async function findOrCreatePatientFromTags(tags) {
   } catch (error) {
     console.error(`❌ Error creating patient:`, error);
     
-    // ✅ FALLBACK: Create minimal patient if save fails
+    // ✅ FALLBACK: Create minimal patient if save fails (usually a PatientID clash).
+    // Keep the DICOM MRN and demographics so duplicate detection can pair it up later.
     const fallbackPatient = new Patient({
-      mrn: `FALLBACK_${Date.now()}`,
+      mrn: patientIdDicom || `FALLBACK_${Date.now()}`,
       patientID: `FALLBACK_${Date.now()}`,
+      issuerOfPatientID: tags.IssuerOfPatientID || '',
       patientNameRaw: patientNameRaw || 'Unknown Patient',
       firstName: '',
       lastName: patientNameRaw || 'Unknown Patient',
@@ -268,7 +185,8 @@ async function findOrCreatePatientFromTags(tags) {
         originalDicomName: patientNameRaw || ''
       },
       gender: patientSex || '',
-      age: patientAge || ''
+      age: patientAge || '',
+      dateOfBirth: patientBirthDate ? formatDicomDateToISO(patientBirthDate) : null
     });
     
     await fallbackPatient.save();
@@ -278,117 +196,27 @@ async function findOrCreatePatientFromTags(tags) {
   }
 }
 
-async function findOrCreateSourceLab(tags) {
-  const DEFAULT_LAB = {
-    name: 'Test',
-    identifier: 'TEST',
-    isActive: true,
-  };
-
+// Lab resolution is driven by the admin-managed routing rules; studies that
+// match nothing land in the quarantine lab instead of spawning new labs
+async function findOrCreateSourceLab(tags, sourceInfo = {}) {
   try {
-    // 🎯 ONLY CHECK THESE SPECIFIC PRIVATE TAGS - NO FALLBACKS
-    const privateTags = ["0013,0010", "0015,0010", "0021,0010", "0043,0010"];
-    
-    console.log(`[StableStudy] 🔍 Checking private tags for lab identifier...`);
-    console.log(`[StableStudy] 📋 Available tags:`, {
-      "0013,0010": tags["0013,0010"] || 'NOT_FOUND',
-      "0015,0010": tags["0015,0010"] || 'NOT_FOUND', 
-      "0021,0010": tags["0021,0010"] || 'NOT_FOUND',
-      "0043,0010": tags["0043,0010"] || 'NOT_FOUND'
-    });
-    
-    for (const tag of privateTags) {
-      const tagValue = tags[tag];
-      
-      // 🔧 FIX: Check for "SRJ" or any valid lab identifier (not default values)
-      if (tagValue && tagValue.trim() !== '' && tagValue !== 'xcenticlab') {
-        const labIdentifier = tagValue.trim();
-        console.log(`[StableStudy] ✅ Found lab identifier in tag [${tag}]: ${labIdentifier}`);
-        
-        try {
-          // Direct lookup by identifier field (case insensitive)
-          const labByIdentifier = await Lab.findOne({ 
-            identifier: { $regex: new RegExp(`^${escapeRegex(labIdentifier)}$`, 'i') },
-            isActive: true 
-          });
-          
-          if (labByIdentifier) {
-            console.log(`[StableStudy] ✅ Found lab: ${labByIdentifier.name} (${labByIdentifier.identifier})`);
-            return labByIdentifier;
-          } else {
-            console.warn(`[StableStudy] ⚠️ No lab found with identifier: ${labIdentifier}`);
-            
-            // 🔧 CREATE LAB: Auto-create lab if identifier is found but lab doesn't exist
-            console.log(`[StableStudy] 🆕 Creating new lab with identifier: ${labIdentifier}`);
-            const newLab = new Lab({
-              name: `${labIdentifier} Laboratory`,
-              identifier: labIdentifier.toUpperCase(),
-              isActive: true,
-              notes: `Auto-created from private DICOM tag [${tag}] with value "${labIdentifier}" on ${new Date().toISOString()}`
-            });
-            await newLab.save();
-            console.log(`[StableStudy] ✅ Created new lab: ${newLab.name} (${newLab.identifier})`);
-            return newLab;
-          }
-          
-        } catch (labLookupError) {
-          console.error(`[StableStudy] ❌ Error looking up lab with identifier ${labIdentifier}:`, labLookupError.message);
-        }
-      } else {
-        console.log(`[StableStudy] 📋 Tag [${tag}] is empty or contains default value: ${tagValue || 'EMPTY'}`);
-      }
-    }
-    
-    // 🚫 NO FALLBACKS - If no private tag found, use unknown lab
-    console.warn(`[StableStudy] ⚠️ No valid lab identifier found in any private tags`);
-    
-    // Find or create the unknown lab
-    let unknownLab = await Lab.findOne({ identifier: DEFAULT_LAB.identifier });
-    
-    if (!unknownLab) {
-      console.log(`[StableStudy] 🆕 Creating unknown lab: ${DEFAULT_LAB.name}`);
-      unknownLab = new Lab({
-        ...DEFAULT_LAB,
-        notes: `Unknown lab created because no valid lab identifier was found in private tags [0013,0010], [0015,0010], [0021,0010], [0043,0010]. Created on ${new Date().toISOString()}`
-      });
-      await unknownLab.save();
-    }
-
-    console.log(`[StableStudy] 🔄 Using unknown lab: ${unknownLab.name}`);
-    return unknownLab;
-
+    return await labRoutingService.resolveLab(tags, sourceInfo);
   } catch (error) {
     console.error('❌ Error in findOrCreateSourceLab:', error);
-    
-    // Emergency fallback - find any active lab
-    let emergencyLab = await Lab.findOne({ isActive: true });
-    if (!emergencyLab) {
-      emergencyLab = new Lab({
-        name: 'Emergency Default Lab',
-        identifier: 'EMERGENCY_DEFAULT',
-        isActive: true,
-        notes: `Emergency lab created due to system error. Created on ${new Date().toISOString()}`
-      });
-      await emergencyLab.save();
-    }
-    
-    console.log(`[StableStudy] 🚨 Using emergency lab: ${emergencyLab.name}`);
-    return emergencyLab;
+    const lab = await labRoutingService.getQuarantineLab();
+    console.log(`[StableStudy] 🚨 Routing failed, using quarantine lab: ${lab.name}`);
+    return { lab, rule: null, method: 'quarantine', quarantined: true };
   }
 }
 
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 // --- Main Processing Function ---
 async function processStableStudy(job) {
-  const { orthancStudyId, requestId } = job.data;
+  const { orthancStudyId, requestId, overrideLabId } = job.data;
   const startTime = Date.now();
   
   try {
     console.log(`[StableStudy] 🚀 Processing stable study: ${orthancStudyId}`);
-    job.progress = 10;
+    await job.progress(10);
     
     // Get study information from Orthanc
     const studyInfoUrl = `${ORTHANC_BASE_URL}/studies/${orthancStudyId}`;
@@ -400,6 +228,7 @@ async function processStableStudy(job) {
     });
     
     const studyInfo = studyResponse.data;
+    await ingestionQueue.recordMainDicomTags(requestId, studyInfo.MainDicomTags, studyInfo.PatientMainDicomTags);
     console.log(`[StableStudy] 📋 Raw study info:`, {
       ID: studyInfo.ID,
       MainDicomTags: studyInfo.MainDicomTags,
@@ -417,7 +246,7 @@ async function processStableStudy(job) {
     console.log(`[StableStudy] 📋 Study: ${studyInstanceUID}`);
     console.log(`[StableStudy] 📊 Direct counts - Series: ${studyInfo.Series?.length || 0}, Instances: ${studyInfo.Instances?.length || 0}`);
     
-    job.progress = 30;
+    await job.progress(30);
     
     // 🔧 ENHANCED: Multiple methods to get instances
     let instancesArray = [];
@@ -528,7 +357,7 @@ async function processStableStudy(job) {
       console.log(`[StableStudy] 📁 No instances found via API methods, using study-level data only`);
     }
     
-    job.progress = 50;
+    await job.progress(50);
     
     // 🔧 Get metadata - try multiple approaches
     if (firstInstanceId) {
@@ -566,6 +395,9 @@ async function processStableStudy(job) {
         tags.PatientSex = rawTags["0010,0040"]?.Value || tags.PatientSex; // ✅ ADD: Patient Sex/Gender
 tags.PatientAge = rawTags["0010,1010"]?.Value || tags.PatientAge; // ✅ ADD: Patient Age
 tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysicianName;
+        tags.StationName = rawTags["0008,1010"]?.Value || tags.StationName;
+        tags.PatientBirthDate = rawTags["0010,0030"]?.Value || tags.PatientBirthDate;
+        tags.IssuerOfPatientID = rawTags["0010,0021"]?.Value || tags.IssuerOfPatientID;
         
         console.log(`[StableStudy] ✅ Got instance metadata:`, {
           PatientName: tags.PatientName,
@@ -602,6 +434,22 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
       }
     }
     
+    // Calling AE title of the sender, used by lab routing rules
+    let callingAETitle = '';
+    if (firstInstanceId) {
+      try {
+        const aetResponse = await axios.get(`${ORTHANC_BASE_URL}/instances/${firstInstanceId}/metadata/RemoteAET`, {
+          headers: { 'Authorization': orthancAuth },
+          timeout: 5000,
+          responseType: 'text'
+        });
+        callingAETitle = String(aetResponse.data || '').trim();
+        console.log(`[StableStudy] 📡 Calling AE title: ${callingAETitle || 'N/A'}`);
+      } catch (aetError) {
+        console.warn(`[StableStudy] ⚠️ Could not get calling AE title:`, aetError.message);
+      }
+    }
+    
     // Fallback: use study-level tags if no instance metadata
     if (Object.keys(tags).length === 0 || !tags.PatientName) {
       console.log(`[StableStudy] 📋 Using study-level metadata as fallback`);
@@ -630,16 +478,34 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
       InstancesFound: instancesArray.length
     });
     
-    job.progress = 60;
+    await job.progress(60);
     
     // Continue with patient and lab creation
     const patientRecord = await findOrCreatePatientFromTags(tags);
-    const labRecord = await findOrCreateSourceLab(tags);
+    const labRouting = overrideLabId
+      ? { lab: await Lab.findById(overrideLabId), rule: null, method: 'admin_override', quarantined: false }
+      : await findOrCreateSourceLab(tags, { callingAETitle });
+    const labRecord = labRouting.lab;
+    
+    if (!labRecord) {
+      throw new Error(`Override lab ${overrideLabId} not found`);
+    }
     
     console.log(`[StableStudy] 👤 Patient: ${patientRecord.patientNameRaw}`);
     console.log(`[StableStudy] 🏥 Lab: ${labRecord.name}`);
     
-    job.progress = 70;
+    // 👨‍⚕️ Link the referring physician directory entry (never blocks ingestion)
+    let referringPhysician = null;
+    try {
+      referringPhysician = await referringPhysicianService.resolve(tags.ReferringPhysicianName, {
+        mobile: tags.ReferringPhysicianTelephoneNumbers,
+        institution: tags.ReferringPhysicianAddress
+      });
+    } catch (error) {
+      console.warn(`[StableStudy] ⚠️ Could not link referring physician: ${error.message}`);
+    }
+    
+    await job.progress(70);
     
     // ✅ FLOOD-PROOF MODALITY DETECTION
     const modalitiesSet = new Set();
@@ -705,7 +571,7 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
     const modalityList = Array.from(modalitiesSet);
     console.log(`[StableStudy] 📋 Modality summary: ${modalityList.join(', ')} (${modalityList.length} total)`);
     
-    job.progress = 80;
+    await job.progress(80);
     
     // Create study record
     let dicomStudyDoc = await DicomStudy.findOne({ studyInstanceUID });
@@ -743,12 +609,13 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
   gender: patientRecord.gender || tags.PatientSex || '',
       
       referringPhysicianName: tags.ReferringPhysicianName || '',
+      referringPhysicianRef: referringPhysician?._id || null,
       physicians: {
         referring: {
           name: tags.ReferringPhysicianName || '',
-          email: '',
-          mobile: tags.ReferringPhysicianTelephoneNumbers || '',
-          institution: tags.ReferringPhysicianAddress || ''
+          email: referringPhysician?.email || '',
+          mobile: tags.ReferringPhysicianTelephoneNumbers || referringPhysician?.mobile || '',
+          institution: tags.ReferringPhysicianAddress || referringPhysician?.institution || ''
         },
         requesting: {
           name: tags.RequestingPhysician || '',
@@ -793,6 +660,18 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
       studyComments: tags.StudyComments || '',
       additionalPatientHistory: tags.AdditionalPatientHistory || '',
       
+      labRouting: {
+        method: labRouting.method,
+        rule: labRouting.rule?._id || null,
+        ruleName: labRouting.rule?.name || '',
+        callingAETitle: callingAETitle,
+        stationName: tags.StationName || '',
+        routedAt: new Date()
+      },
+      quarantine: labRouting.quarantined
+        ? { isQuarantined: true, reason: 'No lab routing rule matched', quarantinedAt: new Date() }
+        : { isQuarantined: false },
+      
       // 🆕 ADD: Store custom Lab ID information
       customLabInfo: {
         dicomLabId: tags["0011,1010"] || null,
@@ -841,13 +720,20 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
         workflowStatus: dicomStudyDoc.workflowStatus // Preserve workflow status too
     };
     
+    // 🔧 Keep a lab an admin picked from the quarantine inbox
+    if (dicomStudyDoc.labRouting?.method === 'manual') {
+        preservedFields.sourceLab = dicomStudyDoc.sourceLab;
+        preservedFields.labRouting = dicomStudyDoc.labRouting;
+        preservedFields.quarantine = dicomStudyDoc.quarantine;
+    }
+    
     // Update with new DICOM data but preserve critical fields
     Object.assign(dicomStudyDoc, studyData, preservedFields);
     
     dicomStudyDoc.statusHistory.push({
         status: preservedFields.workflowStatus || studyData.workflowStatus,
         changedAt: new Date(),
-        note: `OPTIMIZED stable study updated (preserved clinical history): ${actualSeriesCount} series, ${actualInstanceCount} instances. Lab: ${labRecord.name}. API calls: ${studyData.storageInfo.debugInfo.apiCallsUsed}`
+        note: `OPTIMIZED stable study updated (preserved clinical history): ${actualSeriesCount} series, ${actualInstanceCount} instances. Lab: ${labRecord.name} (${labRouting.method}). API calls: ${studyData.storageInfo.debugInfo.apiCallsUsed}`
     });
     
     console.log(`[StableStudy] ✅ Preserved clinical history: ${dicomStudyDoc.clinicalHistory?.clinicalHistory ? 'HAS_DATA' : 'EMPTY'}`);
@@ -858,7 +744,7 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
         statusHistory: [{
             status: studyData.workflowStatus,
             changedAt: new Date(),
-            note: `OPTIMIZED stable study created: ${actualSeriesCount} series, ${actualInstanceCount} instances. Lab: ${labRecord.name}. API calls: ${studyData.storageInfo.debugInfo.apiCallsUsed}`
+            note: `OPTIMIZED stable study created: ${actualSeriesCount} series, ${actualInstanceCount} instances. Lab: ${labRecord.name} (${labRouting.method}). API calls: ${studyData.storageInfo.debugInfo.apiCallsUsed}`
         }]
     });
 }
@@ -866,6 +752,16 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
     await dicomStudyDoc.save();
     console.log(`[StableStudy] ✅ Study saved with ID: ${dicomStudyDoc._id}`);
     
+    // 🤖 Hand the study to a radiologist via the assignment rules (never blocks ingestion)
+    try {
+      const autoAssignment = await autoAssignmentService.autoAssign(dicomStudyDoc);
+      if (autoAssignment) {
+        dicomStudyDoc.workflowStatus = 'assigned_to_doctor';
+      }
+    } catch (error) {
+      console.warn(`[StableStudy] ⚠️ Auto-assignment failed: ${error.message}`);
+    }
+    
     // 🆕 NEW: Queue ZIP creation job if study has instances
     if (actualInstanceCount > 0) {
         console.log(`[StableStudy] 📦 Queuing ZIP creation for study: ${orthancStudyId}`);
@@ -888,7 +784,7 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
         console.log(`[StableStudy] ⚠️ Skipping ZIP creation - no instances found`);
     }
     
-    job.progress = 90;
+    await job.progress(90);
     
     // Send notification
     const studyNotificationData = {
@@ -947,19 +843,13 @@ tags.ReferringPhysicianName = rawTags["0008,0090"]?.Value || tags.ReferringPhysi
     console.error(`[StableStudy] ❌ Failed after ${elapsedTime}ms:`, error.message);
     console.error(`[StableStudy] ❌ Stack:`, error.stack);
     
-    const errorResult = {
-      success: false,
-      error: error.message,
-      elapsedTime: elapsedTime,
-      orthancStudyId: orthancStudyId,
-      failedAt: new Date()
-    };
-    
-    await redis.setex(`job:result:${requestId}`, 3600, JSON.stringify(errorResult));
+    // Failure state (retry / dead-letter) is recorded by the ingestion queue
     throw error;
   }
 }
 
+ingestionQueue.registerProcessor(processStableStudy);
+
 // --- Redis Connection Setup ---
 redis.on('connect', () => {
   console.log('✅ Redis connected successfully');
@@ -1075,7 +965,7 @@ router.post('/stable-study', async (req, res) => {
     console.log('[StableStudy] 📋 Generated request ID:', requestId);
     
     // Add job to process the complete stable study
-    const job = await jobQueue.add({
+    const job = await ingestionQueue.add({
       orthancStudyId: orthancStudyId,
       requestId: requestId,
       submittedAt: new Date(),
@@ -1111,7 +1001,27 @@ router.get('/job-status/:requestId', async (req, res) => {
   const { requestId } = req.params;
   
   try {
-    // Check Redis first
+    // Durable job record (survives restarts)
+    const job = await ingestionQueue.getJobStatus(requestId);
+    
+    if (job) {
+      return res.json({
+        status: job.status,
+        progress: job.progress,
+        requestId: requestId,
+        jobId: job.bullJobId,
+        orthancStudyId: job.orthancStudyId,
+        attemptsMade: job.attemptsMade,
+        maxAttempts: job.maxAttempts,
+        nextRetryAt: job.nextRetryAt,
+        createdAt: job.submittedAt,
+        completedAt: job.completedAt,
+        result: job.result,
+        error: job.lastError
+      });
+    }
+    
+    // Fallback for results cached before the durable queue existed
     const resultData = await redis.get(`job:result:${requestId}`);
     
     if (resultData) {
@@ -1122,25 +1032,11 @@ router.get('/job-status/:requestId', async (req, res) => {
         requestId: requestId
       });
     } else {
-      // Check in-memory queue
-      const job = jobQueue.getJobByRequestId(requestId);
-      
-      if (job) {
-        res.json({
-          status: job.status,
-          progress: job.progress,
-          requestId: requestId,
-          jobId: job.id,
-          createdAt: job.createdAt,
-          error: job.error
-        });
-      } else {
-        res.status(404).json({
-          status: 'not_found',
-          message: 'Job not found or expired',
-          requestId: requestId
-        });
-      }
+      res.status(404).json({
+        status: 'not_found',
+        message: 'Job not found or expired',
+        requestId: requestId
+      });
     }
   } catch (error) {
     console.error('Error checking job status:', error);
@@ -1152,6 +1048,63 @@ router.get('/job-status/:requestId', async (req, res) => {
   }
 });
 
+// Dead-letter list: jobs that exhausted all retry attempts
+router.get('/dead-letter', protect, authorize('admin'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const [deadLetter, counts] = await Promise.all([
+      ingestionQueue.getDeadLetterJobs({ page, limit }),
+      ingestionQueue.getCounts()
+    ]);
+    
+    res.json({
+      success: true,
+      ...deadLetter,
+      queueCounts: counts
+    });
+  } catch (error) {
+    console.error('[DeadLetter] ❌ Error listing dead-lettered jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list dead-lettered jobs',
+      error: error.message
+    });
+  }
+});
+
+// Replay a failed or dead-lettered job with a fresh set of attempts
+router.post('/dead-letter/:requestId/replay', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const job = await ingestionQueue.replay(requestId, { userId: req.user._id });
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingestion job not found'
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: 'Ingestion job re-queued',
+      requestId: job.requestId,
+      orthancStudyId: job.orthancStudyId,
+      replayCount: job.replayCount,
+      checkStatusUrl: `/orthanc/job-status/${job.requestId}`
+    });
+  } catch (error) {
+    console.error('[DeadLetter] ❌ Error replaying job:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to replay ingestion job',
+      error: error.message
+    });
+  }
+});
+
 // 🆕 NEW: Manual ZIP creation endpoint
 router.post('/create-zip/:orthancStudyId', async (req, res) => {
     try {
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+    getDuplicateCandidates,
+    runDuplicateDetection,
+    dismissDuplicateCandidate,
+    searchPatientsForMerge,
+    mergePatients,
+    getMergeHistory,
+    undoPatientMerge
+} from '../controllers/patientMerge.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Patient duplicate review and merge - admin only
+router.use(protect, authorize('admin'));
+
+router.get('/candidates', getDuplicateCandidates);
+router.post('/candidates/detect', runDuplicateDetection);
+router.post('/candidates/:candidateId/dismiss', dismissDuplicateCandidate);
+router.get('/patients', searchPatientsForMerge);
+router.post('/merge', mergePatients);
+router.get('/merges', getMergeHistory);
+router.post('/merges/:mergeId/undo', undoPatientMerge);
+
+export default router;
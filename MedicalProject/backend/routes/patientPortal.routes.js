@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+    sendLoginOtp,
+    verifyLoginOtp,
+    getProfile,
+    acceptConsent,
+    getStudies,
+    downloadReport,
+    acknowledgeReport,
+    createViewerLink,
+    getStudyAccess
+} from '../controllers/patientPortal.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protectPatient } from '../middleware/patientAuthMiddleware.js';
+
+const router = express.Router();
+
+// Mobile number + OTP login - public
+router.post('/auth/send-otp', sendLoginOtp);
+router.post('/auth/verify-otp', verifyLoginOtp);
+
+// Staff view of portal consent and report acknowledgements - admin only
+router.get('/admin/studies/:studyId/access', protect, authorize('admin'), getStudyAccess);
+
+// Logged-in patients
+router.get('/me', protectPatient, getProfile);
+router.post('/consent', protectPatient, acceptConsent);
+router.get('/studies', protectPatient, getStudies);
+router.get('/studies/:studyId/reports/:reportId/download', protectPatient, downloadReport);
+router.post('/studies/:studyId/reports/:reportId/acknowledge', protectPatient, acknowledgeReport);
+router.post('/studies/:studyId/viewer-link', protectPatient, createViewerLink);
+
+export default router;
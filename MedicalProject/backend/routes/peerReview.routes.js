@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+    getSettings,
+    updateSettings,
+    getReviews,
+    getDashboard,
+    requestReview,
+    reassignReview,
+    cancelReview,
+    resolveDiscrepancy,
+    getMyReviews,
+    submitReview,
+    acknowledgeDiscrepancy
+} from '../controllers/peerReview.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Reviewing doctors and original reporters
+router.get('/mine', authorize('doctor_account'), getMyReviews);
+router.post('/:reviewId/submit', authorize('doctor_account'), submitReview);
+router.post('/:reviewId/acknowledge', authorize('doctor_account'), acknowledgeDiscrepancy);
+
+// QA administration - admin only
+router.get('/settings', authorize('admin'), getSettings);
+router.put('/settings', authorize('admin'), updateSettings);
+router.get('/dashboard', authorize('admin'), getDashboard);
+router.get('/', authorize('admin'), getReviews);
+router.post('/studies/:studyId', authorize('admin'), requestReview);
+router.patch('/:reviewId/reassign', authorize('admin'), reassignReview);
+router.patch('/:reviewId/cancel', authorize('admin'), cancelReview);
+router.patch('/:reviewId/resolve', authorize('admin'), resolveDiscrepancy);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+    getProductivityReport,
+    getDoctorProductivity,
+    downloadStatement,
+    getRvuWeights,
+    createRvuWeight,
+    updateRvuWeight,
+    deleteRvuWeight
+} from '../controllers/productivity.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Doctor's own productivity and monthly statement
+router.get('/me', authorize('doctor_account'), getDoctorProductivity);
+router.get('/me/statement', authorize('doctor_account'), downloadStatement);
+
+// Reports across doctors and RVU weights - admin only
+router.get('/', authorize('admin'), getProductivityReport);
+router.get('/doctors/:doctorId', authorize('admin'), getDoctorProductivity);
+router.get('/doctors/:doctorId/statement', authorize('admin'), downloadStatement);
+
+router.get('/rvu-weights', authorize('admin'), getRvuWeights);
+router.post('/rvu-weights', authorize('admin'), createRvuWeight);
+router.put('/rvu-weights/:weightId', authorize('admin'), updateRvuWeight);
+router.delete('/rvu-weights/:weightId', authorize('admin'), deleteRvuWeight);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+    getReferringPhysicians,
+    createReferringPhysician,
+    updateReferringPhysician,
+    deleteReferringPhysician,
+    mergeReferringPhysicians,
+    linkUnlinkedStudies
+} from '../controllers/referringPhysician.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Referring physician directory - admin only
+router.use(protect, authorize('admin'));
+
+router.get('/', getReferringPhysicians);
+router.post('/', createReferringPhysician);
+router.post('/link-studies', linkUnlinkedStudies);
+router.put('/:physicianId', updateReferringPhysician);
+router.delete('/:physicianId', deleteReferringPhysician);
+router.post('/:physicianId/merge', mergeReferringPhysicians);
+
+export default router;
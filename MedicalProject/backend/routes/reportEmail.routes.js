@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+    getEmailTemplates,
+    createEmailTemplate,
+    updateEmailTemplate,
+    deleteEmailTemplate,
+    getReportDispatches,
+    retryReportDispatch,
+    handleBrevoWebhook
+} from '../controllers/reportEmail.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Provider delivery webhook - authenticated by the shared token in the URL
+router.post('/webhooks/brevo', handleBrevoWebhook);
+
+// Template management and delivery log - admin only
+router.use(protect, authorize('admin'));
+
+router.get('/templates', getEmailTemplates);
+router.post('/templates', createEmailTemplate);
+router.put('/templates/:templateId', updateEmailTemplate);
+router.delete('/templates/:templateId', deleteEmailTemplate);
+
+router.get('/dispatches', getReportDispatches);
+router.post('/dispatches/:studyId/:dispatchId/retry', retryReportDispatch);
+
+export default router;
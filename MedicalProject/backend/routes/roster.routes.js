@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+    getRoster,
+    createRosterEntry,
+    updateRosterEntry,
+    deleteRosterEntry,
+    exportDoctorICal
+} from '../controllers/roster.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Admins manage every doctor's roster; doctors manage their own
+router.use(protect, authorize('admin', 'doctor_account'));
+
+router.get('/', getRoster);
+router.post('/entries', createRosterEntry);
+router.put('/entries/:entryId', updateRosterEntry);
+router.delete('/entries/:entryId', deleteRosterEntry);
+router.get('/doctors/:doctorId/ical', exportDoctorICal);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+    getSubscriptions,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    previewSubscription,
+    sendSubscriptionNow,
+    getSubscriptionRuns,
+    requireOwnLab
+} from '../controllers/scheduledReport.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Scheduled TAT/volume reports - lab staff are limited to their own lab
+router.use(protect, authorize('admin', 'lab_staff'), requireOwnLab);
+
+router.get('/subscriptions', getSubscriptions);
+router.post('/subscriptions', createSubscription);
+router.put('/subscriptions/:subscriptionId', updateSubscription);
+router.delete('/subscriptions/:subscriptionId', deleteSubscription);
+router.get('/subscriptions/:subscriptionId/preview', previewSubscription);
+router.post('/subscriptions/:subscriptionId/send', sendSubscriptionNow);
+router.get('/runs', getSubscriptionRuns);
+
+export default router;
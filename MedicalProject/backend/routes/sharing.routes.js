@@ -4,8 +4,20 @@ import mongoose from 'mongoose';
 import { 
   generateShareableLink, 
   generateQRCode, 
-  accessSharedStudy 
+  accessSharedStudy,
+  sendShareOtp,
+  verifyShareAccess,
+  downloadSharedReport,
+  downloadSharedZip
 } from '../controllers/share.controller.js';
+import {
+  getShareLinks,
+  getShareLinkSummary,
+  getShareLinkCreators,
+  getShareLinkDetail,
+  bulkRevokeShareLinks,
+  dismissShareLinkAlerts
+} from '../controllers/shareLink.controller.js';
 // 🔧 FIXED: Import correct auth middleware
 import { protect, authorize } from '../middleware/authMiddleware.js';
 
@@ -31,6 +43,18 @@ router.post('/generate-qr',
 // GET /api/sharing/access/:token
 router.get('/access/:token', accessSharedStudy);
 
+// 🆕 PIN / one-time code verification for protected links (public)
+// POST /api/sharing/access/:token/otp
+router.post('/access/:token/otp', sendShareOtp);
+// POST /api/sharing/access/:token/verify
+router.post('/access/:token/verify', verifyShareAccess);
+
+// 🆕 Report and ZIP downloads - need the access key issued when the link was opened
+// GET /api/sharing/access/:token/report?key=
+router.get('/access/:token/report', downloadSharedReport);
+// GET /api/sharing/access/:token/download?key=
+router.get('/access/:token/download', downloadSharedZip);
+
 // 📊 Get sharing statistics (optional - for analytics)
 // GET /api/sharing/stats/:studyId
 router.get('/stats/:studyId', 
@@ -148,7 +172,7 @@ router.get('/list/:studyId',
         isActive: true,
         expiresAt: { $gt: new Date() }
       })
-      .select('token viewerType createdAt expiresAt accessCount lastAccessedAt createdBy')
+      .select('token viewerType createdAt expiresAt accessCount maxAccessCount lastAccessedAt createdBy permissions protection.method')
       .populate('createdBy', 'username email')
       .sort({ createdAt: -1 });
 
@@ -169,4 +193,18 @@ router.get('/list/:studyId',
   }
 );
 
+// 🆕 Share link management across all studies - admin only
+// GET /api/sharing/links
+router.get('/links', protect, authorize('admin'), getShareLinks);
+// GET /api/sharing/links/summary
+router.get('/links/summary', protect, authorize('admin'), getShareLinkSummary);
+// GET /api/sharing/links/creators
+router.get('/links/creators', protect, authorize('admin'), getShareLinkCreators);
+// POST /api/sharing/links/revoke
+router.post('/links/revoke', protect, authorize('admin'), bulkRevokeShareLinks);
+// GET /api/sharing/links/:shareId
+router.get('/links/:shareId', protect, authorize('admin'), getShareLinkDetail);
+// PATCH /api/sharing/links/:shareId/alerts/dismiss
+router.patch('/links/:shareId/alerts/dismiss', protect, authorize('admin'), dismissShareLinkAlerts);
+
 export default router;
\ No newline at end of file
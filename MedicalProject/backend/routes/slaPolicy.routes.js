@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+    getSlaPolicies,
+    createSlaPolicy,
+    updateSlaPolicy,
+    deleteSlaPolicy,
+    getSlaBreaches,
+    runSlaCheck
+} from '../controllers/slaPolicy.controller.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// SLA policies and breach monitoring - admin only
+router.use(protect, authorize('admin'));
+
+router.get('/policies', getSlaPolicies);
+router.post('/policies', createSlaPolicy);
+router.put('/policies/:policyId', updateSlaPolicy);
+router.delete('/policies/:policyId', deleteSlaPolicy);
+router.get('/breaches', getSlaBreaches);
+router.post('/check', runSlaCheck);
+
+export default router;
@@ -0,0 +1,46 @@
+// filepath: backend/scripts/backfill-patient-phones.js
+// One-off: fills Patient.phoneNormalized for records saved before the field
+// existed, so patient portal logins can find them. Safe to run again.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Patient from '../models/patientModel.js';
+import { normalizePhone } from '../utils/phone.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+async function backfillPatientPhones() {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const cursor = Patient.find({
+        phoneNormalized: { $exists: false },
+        'contactInformation.phone': { $nin: ['', null] }
+    }).select('_id contactInformation.phone').lean().cursor();
+
+    let operations = [];
+    let updated = 0;
+    for await (const patient of cursor) {
+        const phoneNormalized = normalizePhone(patient.contactInformation?.phone);
+        if (!phoneNormalized) continue;
+
+        operations.push({ updateOne: { filter: { _id: patient._id }, update: { $set: { phoneNormalized } } } });
+        if (operations.length === BATCH_SIZE) {
+            updated += (await Patient.bulkWrite(operations)).modifiedCount;
+            operations = [];
+        }
+    }
+    if (operations.length > 0) {
+        updated += (await Patient.bulkWrite(operations)).modifiedCount;
+    }
+
+    console.log(`📱 Normalized phone numbers on ${updated} patient records`);
+}
+
+backfillPatientPhones()
+    .catch(error => {
+        console.error('❌ Phone backfill failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
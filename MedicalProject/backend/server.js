@@ -28,6 +28,24 @@ import sharingRoutes from './routes/sharing.routes.js';
 import zipdownloadRoutes from './routes/zipdownload.route.js';
 import tatRoutes from './routes/TAT.routes.js';
 import htmlTemplateRoutes from './routes/htmlTemplate.routes.js';
+import ingestionRoutes from './routes/ingestion.routes.js';
+import labRoutingRoutes from './routes/labRouting.routes.js';
+import reportEmailRoutes from './routes/reportEmail.routes.js';
+import referringPhysicianRoutes from './routes/referringPhysician.routes.js';
+import autoAssignmentRoutes from './routes/autoAssignment.routes.js';
+import rosterRoutes from './routes/roster.routes.js';
+import slaPolicyRoutes from './routes/slaPolicy.routes.js';
+import scheduledReportRoutes from './routes/scheduledReport.routes.js';
+import billingRoutes from './routes/billing.routes.js';
+import productivityRoutes from './routes/productivity.routes.js';
+import peerReviewRoutes from './routes/peerReview.routes.js';
+import patientMergeRoutes from './routes/patientMerge.routes.js';
+import patientPortalRoutes from './routes/patientPortal.routes.js';
+import dicomwebRoutes from './routes/dicomweb.routes.js';
+import patientMergeService from './services/patientMerge.service.js';
+import reportDispatchService from './services/reportDispatch.service.js';
+import slaEscalationService from './services/slaEscalation.service.js';
+import scheduledReportService from './services/scheduledReport.service.js';
 
 
 
@@ -66,6 +84,10 @@ app.use(compression({
     threshold: 1024 // Only compress if response is larger than 1KB
 }));
 
+// ✅ DICOMweb proxy - viewers run on other origins (OHIF on :4000, viewer.ohif.org)
+// and authenticate with the token in the URL, so it sits ahead of the origin allow-list
+app.use('/api/dicomweb', cors({ origin: '*', methods: ['GET', 'POST', 'OPTIONS'], maxAge: 86400 }), dicomwebRoutes);
+
 // ✅ 3. PRODUCTION CORS - Fixed configuration
 const allowedOrigins = process.env.NODE_ENV === 'production' 
     ? [
@@ -216,6 +238,19 @@ app.use('/api/sharing', sharingRoutes);
 app.use('/api/download', zipdownloadRoutes)
 app.use('/api/tat', tatRoutes)
 app.use('/api/html-templates', htmlTemplateRoutes);
+app.use('/api/ingestion', ingestionRoutes);
+app.use('/api/lab-routing', labRoutingRoutes);
+app.use('/api/report-email', reportEmailRoutes);
+app.use('/api/referring-physicians', referringPhysicianRoutes);
+app.use('/api/auto-assignment', autoAssignmentRoutes);
+app.use('/api/roster', rosterRoutes);
+app.use('/api/sla', slaPolicyRoutes);
+app.use('/api/scheduled-reports', scheduledReportRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/productivity', productivityRoutes);
+app.use('/api/peer-review', peerReviewRoutes);
+app.use('/api/patient-merge', patientMergeRoutes);
+app.use('/api/patient-portal', patientPortalRoutes);
 
 
 // app.use('/api/orthanc-proxy', orthancProaxyRoutes);
@@ -251,6 +286,12 @@ app.use((err, req, res, next) => {
 // ✅ 9. INITIALIZE WEBSOCKETS
 websocketService.initialize(server);
 
+// ✅ 9b. SCHEDULED JOBS
+patientMergeService.startDuplicateDetection();
+reportDispatchService.startWorker();
+slaEscalationService.startScheduler();
+scheduledReportService.startScheduler();
+
 // ✅ 10. GRACEFUL SHUTDOWN
 process.on('SIGTERM', () => {
     console.log('🛑 SIGTERM received, shutting down gracefully...');
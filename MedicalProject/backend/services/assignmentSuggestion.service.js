@@ -0,0 +1,163 @@
+import DicomStudy from '../models/dicomStudyModel.js';
+import Doctor from '../models/doctorModel.js';
+import { OPEN_WORKFLOW_STATUSES, getStudyModalities } from './autoAssignment.service.js';
+import rosterService from './roster.service.js';
+
+const HISTORY_DAYS = 90;
+
+// Rough reading effort per modality, used to weigh open workload
+const READING_MINUTES = {
+    CT: 15, MR: 20, PT: 25, NM: 20, XA: 15,
+    US: 10, MG: 10, RF: 10, CR: 5, DX: 5
+};
+const DEFAULT_READING_MINUTES = 10;
+
+// Score weights, summing to 1
+const WEIGHTS = { workload: 0.5, tat: 0.3, competence: 0.2 };
+
+export function estimateReadingMinutes(study) {
+    const minutes = [...getStudyModalities(study)]
+        .map(modality => READING_MINUTES[modality])
+        .filter(Boolean);
+    return minutes.length ? Math.max(...minutes) : DEFAULT_READING_MINUTES;
+}
+
+// 1 for the best value in the range, 0 for the worst
+const normalize = (value, min, max) => (max === min ? 1 : (max - value) / (max - min));
+
+// Ranks radiologists for a study by open workload, historical TAT and modality experience
+class AssignmentSuggestionService {
+    /**
+     * Open study count and estimated reading minutes per doctor User id.
+     * Returns a Map keyed by String(User._id) of { openStudies, estimatedMinutes }.
+     */
+    async getWorkload(userIds) {
+        const rows = await DicomStudy.aggregate([
+            { $match: { workflowStatus: { $in: OPEN_WORKFLOW_STATUSES }, 'assignment.assignedTo': { $in: userIds } } },
+            { $project: { assignment: 1, modality: 1, modalitiesInStudy: 1 } },
+            { $unwind: '$assignment' },
+            { $match: { 'assignment.assignedTo': { $in: userIds } } },
+            {
+                $group: {
+                    _id: { doctor: '$assignment.assignedTo', study: '$_id' },
+                    modality: { $first: '$modality' },
+                    modalitiesInStudy: { $first: '$modalitiesInStudy' }
+                }
+            }
+        ]);
+
+        const workload = new Map();
+        for (const row of rows) {
+            const key = String(row._id.doctor);
+            const entry = workload.get(key) || { openStudies: 0, estimatedMinutes: 0 };
+            entry.openStudies++;
+            entry.estimatedMinutes += estimateReadingMinutes(row);
+            workload.set(key, entry);
+        }
+        return workload;
+    }
+
+    /**
+     * Finalized studies of the given modalities in the last HISTORY_DAYS,
+     * credited to the last assigned doctor.
+     * Returns a Map keyed by String(User._id) of { reports, avgTATMinutes }.
+     */
+    async getModalityHistory(userIds, modalities) {
+        if (modalities.length === 0) return new Map();
+
+        const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const rows = await DicomStudy.aggregate([
+            {
+                $match: {
+                    'assignment.assignedTo': { $in: userIds },
+                    'reportInfo.finalizedAt': { $gte: since },
+                    $or: [
+                        { modalitiesInStudy: { $in: modalities } },
+                        { modality: { $in: modalities } }
+                    ]
+                }
+            },
+            { $project: { reporter: { $arrayElemAt: ['$assignment.assignedTo', -1] }, tat: '$calculatedTAT.assignmentToReportTAT' } },
+            { $match: { reporter: { $in: userIds } } },
+            { $group: { _id: '$reporter', reports: { $sum: 1 }, avgTATMinutes: { $avg: '$tat' } } }
+        ]);
+
+        return new Map(rows.map(row => [String(row._id), {
+            reports: row.reports,
+            avgTATMinutes: row.avgTATMinutes === null ? null : Math.round(row.avgTATMinutes)
+        }]));
+    }
+
+    /**
+     * Scored doctor list for a study, best first. Each entry carries the raw
+     * figures and a 0-100 score; paused and off-duty doctors are listed last.
+     */
+    async suggestDoctors(study) {
+        const doctors = await Doctor.find({ isActiveProfile: true })
+            .select('userAccount specialization isAvailable')
+            .populate('userAccount', 'fullName email isActive isLoggedIn')
+            .lean();
+        const activeDoctors = doctors.filter(doctor => doctor.userAccount?.isActive);
+        if (activeDoctors.length === 0) return [];
+
+        const userIds = activeDoctors.map(doctor => doctor.userAccount._id);
+        const modalities = [...getStudyModalities(study)];
+        const [workload, history, duty] = await Promise.all([
+            this.getWorkload(userIds),
+            this.getModalityHistory(userIds, modalities),
+            rosterService.getDutyStatus(activeDoctors.map(doctor => doctor._id))
+        ]);
+
+        const rows = activeDoctors.map(doctor => {
+            const key = String(doctor.userAccount._id);
+            const load = workload.get(key) || { openStudies: 0, estimatedMinutes: 0 };
+            const past = history.get(key) || { reports: 0, avgTATMinutes: null };
+            return {
+                _id: doctor._id,
+                userId: doctor.userAccount._id,
+                fullName: doctor.userAccount.fullName,
+                email: doctor.userAccount.email,
+                specialization: doctor.specialization,
+                isLoggedIn: doctor.userAccount.isLoggedIn || false,
+                isAvailable: doctor.isAvailable !== false,
+                duty: duty.get(String(doctor._id)),
+                openStudies: load.openStudies,
+                estimatedMinutes: load.estimatedMinutes,
+                modalityReports: past.reports,
+                avgTATMinutes: past.avgTATMinutes
+            };
+        });
+
+        const minutes = rows.map(row => row.estimatedMinutes);
+        const tats = rows.map(row => row.avgTATMinutes).filter(value => value !== null);
+        const maxReports = Math.max(...rows.map(row => row.modalityReports));
+
+        for (const row of rows) {
+            const workloadScore = normalize(row.estimatedMinutes, Math.min(...minutes), Math.max(...minutes));
+            // No history for this modality counts as average
+            const tatScore = row.avgTATMinutes === null
+                ? 0.5
+                : normalize(row.avgTATMinutes, Math.min(...tats), Math.max(...tats));
+            const competenceScore = maxReports ? row.modalityReports / maxReports : 0;
+
+            row.scores = {
+                workload: Math.round(workloadScore * 100),
+                tat: Math.round(tatScore * 100),
+                competence: Math.round(competenceScore * 100)
+            };
+            row.score = Math.round(100 * (
+                WEIGHTS.workload * workloadScore +
+                WEIGHTS.tat * tatScore +
+                WEIGHTS.competence * competenceScore
+            ));
+        }
+
+        const isAssignable = (row) => row.isAvailable && row.duty.onDuty;
+        return rows.sort((a, b) =>
+            (isAssignable(b) - isAssignable(a)) ||
+            (b.score - a.score) ||
+            (a.fullName || '').localeCompare(b.fullName || ''));
+    }
+}
+
+export default new AssignmentSuggestionService();
@@ -0,0 +1,367 @@
+import AssignmentRule from '../models/assignmentRuleModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import Doctor from '../models/doctorModel.js';
+import cache from '../utils/cache.js';
+import rosterService from './roster.service.js';
+import { calculateStudyTAT, updateStudyTAT } from '../utils/TATutility.js';
+
+const RULE_CACHE_TTL_MS = 60 * 1000;
+const ASSIGNMENT_TIMEZONE = process.env.ASSIGNMENT_TIMEZONE || 'Asia/Kolkata';
+const DUE_IN_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Studies still waiting for a radiologist
+export const ASSIGNABLE_STATUSES = ['new_study_received', 'pending_assignment'];
+
+// Studies a radiologist is holding but has not signed yet
+export const OPEN_WORKFLOW_STATUSES = ['assigned_to_doctor', 'doctor_opened_report', 'report_in_progress', 'report_drafted'];
+
+// Assigned studies the radiologist has not started writing, safe to move to someone else
+export const REASSIGNABLE_STATUSES = ['assigned_to_doctor', 'doctor_opened_report'];
+
+function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Minutes since midnight and weekday in the assignment timezone
+function getLocalTime(date) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: ASSIGNMENT_TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+        day: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+function isWithinWindow(window, minutes) {
+    if (!window?.start || !window?.end) return true;
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end; // wraps past midnight
+}
+
+export function getStudyModalities(study) {
+    const modalities = [...(study.modalitiesInStudy || []), ...String(study.modality || '').split(/[,\\/\s]+/)];
+    return new Set(modalities.map(modality => modality.trim().toUpperCase()).filter(Boolean));
+}
+
+export function getAssignmentPriority(study) {
+    const caseType = String(study.caseType || '').toLowerCase();
+    if (study.studyPriority === 'Emergency Case' || ['emergency', 'stat'].includes(caseType)) return 'URGENT';
+    if (caseType === 'urgent') return 'HIGH';
+    return 'NORMAL';
+}
+
+// Picks radiologists for incoming studies from the admin-managed rule table
+class AutoAssignmentService {
+    constructor() {
+        this.rules = null;
+        this.rulesLoadedAt = 0;
+    }
+
+    invalidate() {
+        this.rules = null;
+        this.rulesLoadedAt = 0;
+    }
+
+    async getActiveRules() {
+        if (this.rules && Date.now() - this.rulesLoadedAt < RULE_CACHE_TTL_MS) {
+            return this.rules;
+        }
+        this.rules = await AssignmentRule.find({ isActive: true })
+            .sort({ priority: 1, createdAt: 1 })
+            .lean();
+        this.rulesLoadedAt = Date.now();
+        return this.rules;
+    }
+
+    matchesRule(rule, study, now = new Date()) {
+        if (rule.labs?.length && !rule.labs.some(lab => String(lab) === String(study.sourceLab?._id || study.sourceLab))) {
+            return false;
+        }
+
+        if (rule.modalities?.length) {
+            const modalities = getStudyModalities(study);
+            if (!rule.modalities.some(modality => modalities.has(modality))) return false;
+        }
+
+        if (rule.studyPriorities?.length) {
+            const priorities = [study.studyPriority, study.caseType].filter(Boolean).map(value => value.toLowerCase());
+            if (!rule.studyPriorities.some(priority => priorities.includes(priority.toLowerCase()))) return false;
+        }
+
+        if (rule.bodyParts?.length) {
+            // Many modalities leave BodyPartExamined empty, so the exam description counts too
+            const haystack = `${study.bodyPartExamined || ''} ${study.examDescription || ''}`.toLowerCase();
+            if (!rule.bodyParts.some(part => haystack.includes(part.toLowerCase()))) return false;
+        }
+
+        if (rule.timeWindow?.start || rule.daysOfWeek?.length) {
+            const local = getLocalTime(now);
+            if (rule.daysOfWeek?.length && !rule.daysOfWeek.includes(local.day)) return false;
+            if (!isWithinWindow(rule.timeWindow, local.minutes)) return false;
+        }
+
+        return true;
+    }
+
+    // Available, on-duty doctors for a rule, in the rule's list order
+    async getCandidates(rule, now = new Date()) {
+        const filter = { isActiveProfile: true, isAvailable: { $ne: false } };
+        if (rule.doctors?.length) {
+            filter._id = { $in: rule.doctors };
+        }
+        if (rule.requiredSpecialization) {
+            filter.specialization = { $regex: escapeRegex(rule.requiredSpecialization), $options: 'i' };
+        }
+
+        const doctors = await Doctor.find(filter)
+            .select('userAccount specialization isAvailable')
+            .populate('userAccount', 'fullName email isActive')
+            .lean();
+
+        const activeDoctors = doctors.filter(doctor => doctor.userAccount?.isActive);
+        const duty = await rosterService.getDutyStatus(activeDoctors.map(doctor => doctor._id), now);
+
+        const order = (rule.doctors || []).map(String);
+        return activeDoctors
+            .filter(doctor => duty.get(String(doctor._id)).onDuty)
+            .sort((a, b) => order.length
+                ? order.indexOf(String(a._id)) - order.indexOf(String(b._id))
+                : (a.userAccount.fullName || '').localeCompare(b.userAccount.fullName || ''));
+    }
+
+    /**
+     * Open (assigned, unsigned) study count per doctor User id.
+     * Returns a Map keyed by String(User._id).
+     */
+    async getOpenWorkload(userIds) {
+        const counts = await DicomStudy.aggregate([
+            { $match: { workflowStatus: { $in: OPEN_WORKFLOW_STATUSES }, 'assignment.assignedTo': { $in: userIds } } },
+            { $unwind: '$assignment' },
+            { $match: { 'assignment.assignedTo': { $in: userIds } } },
+            { $group: { _id: '$assignment.assignedTo', studies: { $addToSet: '$_id' } } },
+            { $project: { count: { $size: '$studies' } } }
+        ]);
+        return new Map(counts.map(item => [String(item._id), item.count]));
+    }
+
+    async pickDoctor(rule, candidates) {
+        if (candidates.length === 0) return { doctor: null, workload: null };
+
+        if (rule.strategy === 'first_available') {
+            return { doctor: candidates[0], workload: null };
+        }
+
+        if (rule.strategy === 'round_robin') {
+            const lastIndex = candidates.findIndex(doctor => String(doctor._id) === String(rule.lastAssignedDoctor));
+            return { doctor: candidates[(lastIndex + 1) % candidates.length], workload: null };
+        }
+
+        const workload = await this.getOpenWorkload(candidates.map(doctor => doctor.userAccount._id));
+        const doctor = candidates.reduce((best, candidate) =>
+            (workload.get(String(candidate.userAccount._id)) || 0) < (workload.get(String(best.userAccount._id)) || 0)
+                ? candidate
+                : best
+        );
+        return { doctor, workload: workload.get(String(doctor.userAccount._id)) || 0 };
+    }
+
+    /**
+     * Finds the rule and doctor for a study without assigning it.
+     * Returns { rule, doctor, workload, skipped } where skipped lists rules that
+     * matched but had no available doctor.
+     */
+    async resolveDoctor(study, { now = new Date() } = {}) {
+        const rules = await this.getActiveRules();
+        const skipped = [];
+
+        for (const rule of rules) {
+            try {
+                if (!this.matchesRule(rule, study, now)) continue;
+
+                const candidates = await this.getCandidates(rule, now);
+                const { doctor, workload } = await this.pickDoctor(rule, candidates);
+                if (doctor) {
+                    return { rule, doctor, workload, skipped };
+                }
+                skipped.push(rule);
+                console.warn(`[AutoAssign] ⚠️ Rule "${rule.name}" matched but no doctor is available`);
+            } catch (error) {
+                console.error(`[AutoAssign] ❌ Error evaluating rule "${rule.name}":`, error.message);
+            }
+        }
+
+        return { rule: null, doctor: null, workload: null, skipped };
+    }
+
+    /**
+     * Assigns the doctor the same way the admin assign action does, recording
+     * the rule in statusHistory. Only studies still waiting for assignment are
+     * touched, so a manual assignment made meanwhile wins. `filter` and `set`
+     * add conditions and fields to the same atomic update.
+     * Returns the updated study, or null when it was no longer assignable.
+     */
+    async assignStudy(studyId, doctor, { rule = null, priority = 'NORMAL', note, filter = {}, set = {} } = {}) {
+        const now = new Date();
+        const userId = doctor.userAccount._id;
+        const doctorName = doctor.userAccount.fullName;
+
+        const study = await DicomStudy.findOneAndUpdate(
+            { _id: studyId, workflowStatus: { $in: ASSIGNABLE_STATUSES }, ...filter },
+            {
+                $push: {
+                    assignment: {
+                        assignedTo: userId,
+                        assignedAt: now,
+                        assignedBy: null,
+                        priority,
+                        dueDate: new Date(now.getTime() + DUE_IN_MS)
+                    },
+                    lastAssignedDoctor: { doctorId: doctor._id, assignedAt: now },
+                    statusHistory: {
+                        status: 'assigned_to_doctor',
+                        changedAt: now,
+                        changedBy: null,
+                        note: note || (rule
+                            ? `Auto-assigned to Dr. ${doctorName} by rule "${rule.name}" (${rule.strategy})`
+                            : `Auto-assigned to Dr. ${doctorName}`)
+                    }
+                },
+                $set: {
+                    workflowStatus: 'assigned_to_doctor',
+                    lastAssignmentAt: now,
+                    ...set
+                }
+            },
+            { new: true, runValidators: false }
+        );
+        if (!study) return null;
+
+        await Doctor.updateOne(
+            { _id: doctor._id },
+            {
+                $push: { assignedStudies: { study: study._id, patient: study.patient, assignedDate: now, status: 'assigned' } },
+                $set: { assigned: true }
+            }
+        );
+
+        if (study.createdAt && !study.timingInfo?.uploadToAssignmentMinutes) {
+            await DicomStudy.updateOne(
+                { _id: study._id },
+                { $set: { 'timingInfo.uploadToAssignmentMinutes': Math.floor((now - study.createdAt) / (1000 * 60)) } }
+            );
+        }
+        await updateStudyTAT(study._id, calculateStudyTAT(study.toObject()));
+
+        if (rule) {
+            AssignmentRule.updateOne(
+                { _id: rule._id },
+                { $inc: { hitCount: 1 }, $set: { lastMatchedAt: now, lastAssignedDoctor: doctor._id } }
+            ).catch(error => console.warn(`[AutoAssign] ⚠️ Could not update rule hit count:`, error.message));
+            // Round robin reads lastAssignedDoctor from the cached rule
+            rule.lastAssignedDoctor = doctor._id;
+        }
+        cache.del(`doctor_workload_${doctor._id}`);
+
+        return study;
+    }
+
+    /**
+     * Moves an assigned study the radiologist has not started writing to
+     * another doctor, replacing every current assignment. Accepts the same
+     * `filter` and `set` options as assignStudy.
+     * Returns the updated study, or null when it was no longer reassignable.
+     */
+    async reassignStudy(studyId, doctor, { priority = 'NORMAL', note, filter = {}, set = {} } = {}) {
+        const now = new Date();
+        const previous = await DicomStudy.findById(studyId).select('lastAssignedDoctor').lean();
+        const previousDoctorIds = (previous?.lastAssignedDoctor || [])
+            .map(entry => entry.doctorId)
+            .filter(doctorId => doctorId && String(doctorId) !== String(doctor._id));
+
+        const study = await DicomStudy.findOneAndUpdate(
+            { _id: studyId, workflowStatus: { $in: REASSIGNABLE_STATUSES }, ...filter },
+            {
+                $set: {
+                    assignment: [{
+                        assignedTo: doctor.userAccount._id,
+                        assignedAt: now,
+                        assignedBy: null,
+                        priority,
+                        dueDate: new Date(now.getTime() + DUE_IN_MS)
+                    }],
+                    lastAssignedDoctor: [{ doctorId: doctor._id, assignedAt: now }],
+                    workflowStatus: 'assigned_to_doctor',
+                    lastAssignmentAt: now,
+                    ...set
+                },
+                $push: {
+                    statusHistory: {
+                        status: 'assigned_to_doctor',
+                        changedAt: now,
+                        changedBy: null,
+                        note: note || `Reassigned to Dr. ${doctor.userAccount.fullName}`
+                    }
+                }
+            },
+            { new: true, runValidators: false }
+        );
+        if (!study) return null;
+
+        if (previousDoctorIds.length) {
+            await Doctor.updateMany(
+                { _id: { $in: previousDoctorIds } },
+                { $pull: { assignedStudies: { study: study._id } } }
+            );
+        }
+        await Doctor.updateOne(
+            { _id: doctor._id },
+            {
+                $push: { assignedStudies: { study: study._id, patient: study.patient, assignedDate: now, status: 'assigned' } },
+                $set: { assigned: true }
+            }
+        );
+        await updateStudyTAT(study._id, calculateStudyTAT(study.toObject()));
+
+        for (const doctorId of [...previousDoctorIds, doctor._id]) {
+            cache.del(`doctor_workload_${doctorId}`);
+        }
+
+        return study;
+    }
+
+    // Main entry point used by ingestion. Returns { rule, doctor } or null when nothing was assigned.
+    async autoAssign(study) {
+        if (!ASSIGNABLE_STATUSES.includes(study.workflowStatus) || study.quarantine?.isQuarantined) {
+            return null;
+        }
+
+        const { rule, doctor } = await this.resolveDoctor(study);
+        if (!doctor) return null;
+
+        const assigned = await this.assignStudy(study._id, doctor, {
+            rule,
+            priority: getAssignmentPriority(study)
+        });
+        if (!assigned) return null;
+
+        console.log(`[AutoAssign] ✅ Study ${study._id} → Dr. ${doctor.userAccount.fullName} (rule "${rule.name}")`);
+        return { rule, doctor };
+    }
+}
+
+export default new AutoAssignmentService();
@@ -0,0 +1,569 @@
+import PDFDocument from 'pdfkit';
+import mongoose from 'mongoose';
+import Tariff from '../models/tariffModel.js';
+import Invoice from '../models/invoiceModel.js';
+import Lab from '../models/labModel.js';
+import User from '../models/userModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import { zonedTimeToUtc, getZonedParts, DEFAULT_TIMEZONE } from '../utils/businessCalendar.js';
+
+const COMPANY_NAME = process.env.BILLING_COMPANY_NAME || 'Star-Radiology';
+const COMPANY_DETAILS = process.env.BILLING_COMPANY_DETAILS || '';
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const STUDY_FIELDS = 'accessionNumber patientInfo modality studyPriority examDescription seriesCount reportInfo.finalizedAt reportInfo.reporterName assignment.assignedTo assignment.assignedAt';
+
+const PAGE_MARGIN = 40;
+
+// Allowed status changes; stepping back one status undoes a mistaken change
+const STATUS_TRANSITIONS = {
+    draft: ['sent'],
+    sent: ['paid', 'draft'],
+    paid: ['sent']
+};
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+export const formatMoney = (amount, currency = 'INR') =>
+    `${currency} ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date, timezone = DEFAULT_TIMEZONE) => {
+    if (!date) return '-';
+    const parts = getZonedParts(new Date(date), timezone);
+    return `${String(parts.day).padStart(2, '0')}/${String(parts.month).padStart(2, '0')}/${parts.year}`;
+};
+
+export const describeMonth = (month) => {
+    const match = MONTH_PATTERN.exec(month || '');
+    return match ? `${MONTH_NAMES[Number(match[2]) - 1]} ${match[1]}` : month;
+};
+
+// Calendar month bounds in the lab's timezone
+export const getMonthPeriod = (month, timezone = DEFAULT_TIMEZONE) => {
+    const match = MONTH_PATTERN.exec(month || '');
+    if (!match) throw httpError('Month must be in YYYY-MM format', 400);
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]);
+    return {
+        start: zonedTimeToUtc(year, monthIndex, 1, 0, timezone),
+        end: zonedTimeToUtc(year, monthIndex + 1, 1, 0, timezone)
+    };
+};
+
+const getLatestAssignment = (study) => (study.assignment || [])
+    .filter(assignment => assignment.assignedTo)
+    .sort((a, b) => new Date(b.assignedAt || 0) - new Date(a.assignedAt || 0))[0];
+
+class BillingService {
+    /**
+     * Prices one study against a tariff.
+     * Returns { quantity, unitPrice, surcharge, amount, payoutAmount }.
+     */
+    priceStudy(study, tariff) {
+        const modalityPrice = tariff.modalityPrices?.find(item => item.modality === (study.modality || '').toUpperCase());
+        const unitPrice = modalityPrice ? modalityPrice.price : (tariff.defaultPrice || 0);
+        const quantity = tariff.billingUnit === 'series' ? Math.max(1, study.seriesCount || 0) : 1;
+        const base = unitPrice * quantity;
+
+        const rule = tariff.prioritySurcharges?.find(item => item.priority === study.studyPriority);
+        const surcharge = !rule ? 0 : (rule.type === 'percent' ? base * rule.amount / 100 : rule.amount);
+        const amount = round2(base + surcharge);
+
+        const payout = tariff.doctorPayout || {};
+        const payoutAmount = payout.type === 'flat' ? (payout.amount || 0) : amount * (payout.amount || 0) / 100;
+
+        return {
+            quantity,
+            unitPrice: round2(unitPrice),
+            surcharge: round2(surcharge),
+            amount,
+            payoutAmount: round2(payoutAmount)
+        };
+    }
+
+    async collectBillableStudies(labId, period) {
+        return DicomStudy.find({
+            sourceLab: labId,
+            'reportInfo.finalizedAt': { $gte: period.start, $lt: period.end }
+        })
+            .select(STUDY_FIELDS)
+            .sort({ 'reportInfo.finalizedAt': 1 })
+            .lean();
+    }
+
+    /**
+     * Builds (or rebuilds) the draft invoice for a lab and month.
+     * Invoices that were already sent or paid are left untouched.
+     */
+    async generateInvoice(labId, month, userId = null) {
+        const [lab, tariff] = await Promise.all([
+            Lab.findById(labId).select('name identifier workingCalendar').lean(),
+            Tariff.findOne({ lab: labId }).lean()
+        ]);
+        if (!lab) throw httpError('Lab not found', 404);
+        if (!tariff || !tariff.isActive) throw httpError(`No active tariff for ${lab.name}`, 400);
+
+        const existing = await Invoice.findOne({ lab: labId, month });
+        if (existing && existing.status !== 'draft') {
+            throw httpError(`Invoice ${existing.invoiceNumber} is already ${existing.status}; move it back to draft to regenerate`, 409);
+        }
+
+        const timezone = lab.workingCalendar?.timezone || DEFAULT_TIMEZONE;
+        const period = getMonthPeriod(month, timezone);
+        const studies = await this.collectBillableStudies(labId, period);
+
+        const doctorIds = [...new Set(studies.map(study => getLatestAssignment(study)?.assignedTo?.toString()).filter(Boolean))];
+        const doctors = await User.find({ _id: { $in: doctorIds } }).select('fullName').lean();
+        const doctorNames = new Map(doctors.map(doctor => [doctor._id.toString(), doctor.fullName]));
+
+        const lineItems = studies.map(study => {
+            const doctorId = getLatestAssignment(study)?.assignedTo;
+            return {
+                study: study._id,
+                accessionNumber: study.accessionNumber,
+                patientId: study.patientInfo?.patientID,
+                patientName: study.patientInfo?.patientName,
+                modality: study.modality,
+                studyPriority: study.studyPriority,
+                description: study.examDescription,
+                finalizedAt: study.reportInfo?.finalizedAt,
+                doctor: doctorId,
+                doctorName: study.reportInfo?.reporterName || doctorNames.get(doctorId?.toString()) || '',
+                ...this.priceStudy(study, tariff)
+            };
+        });
+
+        const subtotal = round2(lineItems.reduce((sum, item) => sum + item.amount, 0));
+        const taxAmount = round2(subtotal * (tariff.taxRate || 0) / 100);
+        const data = {
+            lab: labId,
+            labName: lab.name,
+            month,
+            periodStart: period.start,
+            periodEnd: period.end,
+            currency: tariff.currency,
+            billingUnit: tariff.billingUnit,
+            lineItems,
+            studyCount: lineItems.length,
+            subtotal,
+            taxRate: tariff.taxRate || 0,
+            taxAmount,
+            total: round2(subtotal + taxAmount),
+            payoutTotal: round2(lineItems.reduce((sum, item) => sum + item.payoutAmount, 0)),
+            generatedBy: userId,
+            generatedAt: new Date()
+        };
+
+        if (existing) {
+            existing.set(data);
+            return existing.save();
+        }
+
+        return Invoice.create({
+            ...data,
+            invoiceNumber: `INV-${month.replace('-', '')}-${lab.identifier}`,
+            status: 'draft',
+            statusHistory: [{ status: 'draft', changedBy: userId, note: 'Generated' }]
+        });
+    }
+
+    // Drafts for every lab with an active tariff; failures are reported per lab
+    async generateInvoices(month, userId = null) {
+        const tariffs = await Tariff.find({ isActive: true }).select('lab').lean();
+        const results = [];
+        for (const tariff of tariffs) {
+            try {
+                const invoice = await this.generateInvoice(tariff.lab, month, userId);
+                results.push({ lab: tariff.lab, invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, total: invoice.total });
+            } catch (error) {
+                results.push({ lab: tariff.lab, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    async updateStatus(invoiceId, status, { userId = null, paymentReference, note } = {}) {
+        const invoice = await Invoice.findById(invoiceId);
+        if (!invoice) throw httpError('Invoice not found', 404);
+        if (!STATUS_TRANSITIONS[invoice.status]?.includes(status)) {
+            throw httpError(`Cannot change a ${invoice.status} invoice to ${status}`, 400);
+        }
+
+        const now = new Date();
+        if (status === 'sent' && !invoice.issuedAt) {
+            const tariff = await Tariff.findOne({ lab: invoice.lab }).select('paymentTermsDays').lean();
+            invoice.issuedAt = now;
+            invoice.dueDate = new Date(now.getTime() + (tariff?.paymentTermsDays ?? 30) * 24 * 60 * 60 * 1000);
+        }
+        if (status === 'paid') {
+            invoice.paidAt = now;
+            if (paymentReference !== undefined) invoice.paymentReference = paymentReference;
+        }
+        if (invoice.status === 'paid') {
+            invoice.paidAt = undefined;
+        }
+        if (status === 'draft') {
+            invoice.issuedAt = undefined;
+            invoice.dueDate = undefined;
+        }
+
+        invoice.status = status;
+        invoice.statusHistory.push({ status, changedBy: userId, changedAt: now, note });
+        return invoice.save();
+    }
+
+    /**
+     * Radiologist payouts for a month, summed from the invoice line items so
+     * they always agree with what the labs were billed.
+     * Returns one entry per doctor with per-lab subtotals.
+     */
+    async getPayoutStatements(month, { doctorId = null } = {}) {
+        const match = { month };
+        const lineMatch = { 'lineItems.doctor': { $ne: null } };
+        if (doctorId) {
+            const doctorObjectId = new mongoose.Types.ObjectId(String(doctorId));
+            match['lineItems.doctor'] = doctorObjectId;
+            lineMatch['lineItems.doctor'] = doctorObjectId;
+        }
+
+        const rows = await Invoice.aggregate([
+            { $match: match },
+            { $unwind: '$lineItems' },
+            { $match: lineMatch },
+            {
+                $group: {
+                    _id: { doctor: '$lineItems.doctor', lab: '$lab', currency: '$currency' },
+                    labName: { $first: '$labName' },
+                    doctorName: { $last: '$lineItems.doctorName' },
+                    studies: { $sum: 1 },
+                    billed: { $sum: '$lineItems.amount' },
+                    payout: { $sum: '$lineItems.payoutAmount' },
+                    invoiceStatuses: { $addToSet: '$status' }
+                }
+            },
+            { $sort: { labName: 1 } }
+        ]);
+
+        const doctors = await User.find({ _id: { $in: rows.map(row => row._id.doctor) } }).select('fullName email').lean();
+        const doctorInfo = new Map(doctors.map(doctor => [doctor._id.toString(), doctor]));
+
+        const statements = new Map();
+        for (const row of rows) {
+            const key = `${row._id.doctor}_${row._id.currency}`;
+            if (!statements.has(key)) {
+                const info = doctorInfo.get(row._id.doctor.toString());
+                statements.set(key, {
+                    doctor: row._id.doctor,
+                    doctorName: info?.fullName || row.doctorName || 'Unknown',
+                    email: info?.email,
+                    currency: row._id.currency,
+                    month,
+                    studies: 0,
+                    billed: 0,
+                    payout: 0,
+                    // Payout is final only once every contributing invoice has been paid
+                    allInvoicesPaid: true,
+                    labs: []
+                });
+            }
+            const statement = statements.get(key);
+            statement.studies += row.studies;
+            statement.billed = round2(statement.billed + row.billed);
+            statement.payout = round2(statement.payout + row.payout);
+            statement.allInvoicesPaid = statement.allInvoicesPaid && row.invoiceStatuses.every(status => status === 'paid');
+            statement.labs.push({ lab: row._id.lab, labName: row.labName, studies: row.studies, billed: round2(row.billed), payout: round2(row.payout) });
+        }
+
+        return [...statements.values()].sort((a, b) => b.payout - a.payout);
+    }
+
+    // Line-level detail behind one doctor's statement
+    async getPayoutLines(month, doctorId) {
+        const invoices = await Invoice.find({ month, 'lineItems.doctor': doctorId })
+            .select('invoiceNumber labName currency lineItems')
+            .lean();
+
+        return invoices.flatMap(invoice => invoice.lineItems
+            .filter(item => item.doctor?.toString() === doctorId.toString())
+            .map(item => ({ ...item, invoiceNumber: invoice.invoiceNumber, labName: invoice.labName, currency: invoice.currency })))
+            .sort((a, b) => new Date(a.finalizedAt) - new Date(b.finalizedAt));
+    }
+
+    // ---------------------------------------------------------------- PDFs
+
+    createDocument(title) {
+        const doc = new PDFDocument({
+            size: 'A4',
+            bufferPages: true,
+            margins: { top: PAGE_MARGIN, bottom: PAGE_MARGIN + 20, left: PAGE_MARGIN, right: PAGE_MARGIN },
+            info: { Title: title, Author: COMPANY_NAME }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        const finished = new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+        return { doc, finished };
+    }
+
+    drawParty(doc, label, lines, x, y, width) {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#666666').text(label, x, y, { width });
+        doc.font('Helvetica-Bold').fontSize(10.5).fillColor('#000000').text(lines[0] || '', x, doc.y + 2, { width });
+        doc.font('Helvetica').fontSize(9).fillColor('#333333');
+        lines.slice(1).filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width }));
+        doc.fillColor('#000000');
+        return doc.y;
+    }
+
+    // Draws a table with a repeated header row on every page
+    drawTable(doc, columns, rows) {
+        const left = doc.page.margins.left;
+        const totalWidth = doc.page.width - left - doc.page.margins.right;
+        const widths = columns.map(column => column.width * totalWidth);
+        const rowHeight = 14;
+
+        const drawRow = (cells, { header = false } = {}) => {
+            if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+                drawRow(columns.map(column => column.label), { header: true });
+            }
+            const y = doc.y;
+            if (header) {
+                doc.rect(left, y - 2, totalWidth, rowHeight).fill('#1f3b73');
+                doc.fillColor('#ffffff').font('Helvetica-Bold');
+            } else {
+                doc.fillColor('#000000').font('Helvetica');
+            }
+            let x = left;
+            cells.forEach((cell, index) => {
+                doc.fontSize(8).text(String(cell ?? ''), x + 3, y, {
+                    width: widths[index] - 6,
+                    align: columns[index].align || 'left',
+                    lineBreak: false,
+                    ellipsis: true
+                });
+                x += widths[index];
+            });
+            doc.fillColor('#000000');
+            doc.x = left;
+            doc.y = y + rowHeight;
+        };
+
+        drawRow(columns.map(column => column.label), { header: true });
+        rows.forEach(row => drawRow(row));
+    }
+
+    drawTotals(doc, entries) {
+        const right = doc.page.width - doc.page.margins.right;
+        if (doc.y + entries.length * 16 + 10 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+        doc.moveDown(0.8);
+        entries.forEach(([label, value, bold]) => {
+            const y = doc.y;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9.5);
+            doc.text(label, right - 260, y, { width: 140, align: 'right', lineBreak: false });
+            doc.text(value, right - 115, y, { width: 115, align: 'right', lineBreak: false });
+            doc.y = y + (bold ? 18 : 14);
+        });
+        doc.x = doc.page.margins.left;
+    }
+
+    drawFooters(doc, text) {
+        const range = doc.bufferedPageRange();
+        for (let index = range.start; index < range.start + range.count; index++) {
+            doc.switchToPage(index);
+            const { bottom } = doc.page.margins;
+            doc.page.margins.bottom = 0;
+            const y = doc.page.height - PAGE_MARGIN - 5;
+            const width = doc.page.width - PAGE_MARGIN * 2;
+            doc.font('Helvetica').fontSize(7.5).fillColor('#666666');
+            doc.text(text, PAGE_MARGIN, y, { width: width - 80, lineBreak: false, ellipsis: true });
+            doc.text(`Page ${index - range.start + 1} of ${range.count}`, PAGE_MARGIN, y, { width, align: 'right', lineBreak: false });
+            doc.fillColor('#000000');
+            doc.page.margins.bottom = bottom;
+        }
+    }
+
+    async renderInvoicePdf(invoice) {
+        const lab = await Lab.findById(invoice.lab).select('name address contactEmail contactPhone workingCalendar').lean();
+        const timezone = lab?.workingCalendar?.timezone || DEFAULT_TIMEZONE;
+        const { doc, finished } = this.createDocument(`Invoice ${invoice.invoiceNumber}`);
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+
+        doc.font('Helvetica-Bold').fontSize(20).fillColor('#1f3b73').text('INVOICE', left, PAGE_MARGIN, { width, align: 'right' });
+        doc.font('Helvetica').fontSize(9).fillColor('#333333');
+        [
+            `Invoice No: ${invoice.invoiceNumber}`,
+            `Billing Period: ${describeMonth(invoice.month)}`,
+            `Issued: ${formatDate(invoice.issuedAt || invoice.generatedAt, timezone)}`,
+            `Due: ${formatDate(invoice.dueDate, timezone)}`,
+            `Status: ${invoice.status.toUpperCase()}`
+        ].forEach(line => doc.text(line, left, doc.y, { width, align: 'right' }));
+
+        const partiesTop = PAGE_MARGIN;
+        this.drawParty(doc, 'FROM', [COMPANY_NAME, ...COMPANY_DETAILS.split('|').map(line => line.trim())], left, partiesTop, width / 2);
+        const billToTop = Math.max(doc.y, partiesTop + 80) + 10;
+        const address = [lab?.address?.street, lab?.address?.city, lab?.address?.state, lab?.address?.zipCode].filter(Boolean).join(', ');
+        const partiesBottom = this.drawParty(doc, 'BILL TO', [invoice.labName || lab?.name, address, lab?.contactEmail, lab?.contactPhone], left, billToTop, width / 2);
+
+        doc.y = partiesBottom + 16;
+        doc.font('Helvetica').fontSize(9).text(
+            `${invoice.studyCount} reported ${invoice.studyCount === 1 ? 'study' : 'studies'}, billed per ${invoice.billingUnit}.`,
+            left, doc.y
+        );
+        doc.moveDown(0.6);
+
+        this.drawTable(doc, [
+            { label: '#', width: 0.04, align: 'right' },
+            { label: 'Reported', width: 0.1 },
+            { label: 'Accession', width: 0.13 },
+            { label: 'Patient', width: 0.2 },
+            { label: 'Modality', width: 0.08 },
+            { label: 'Priority', width: 0.13 },
+            { label: 'Qty', width: 0.05, align: 'right' },
+            { label: 'Rate', width: 0.09, align: 'right' },
+            { label: 'Surcharge', width: 0.08, align: 'right' },
+            { label: 'Amount', width: 0.1, align: 'right' }
+        ], invoice.lineItems.map((item, index) => [
+            index + 1,
+            formatDate(item.finalizedAt, timezone),
+            item.accessionNumber || '-',
+            item.patientName || item.patientId || '-',
+            item.modality || '-',
+            item.studyPriority && item.studyPriority !== 'SELECT' ? item.studyPriority : 'Routine',
+            item.quantity,
+            item.unitPrice.toFixed(2),
+            item.surcharge ? item.surcharge.toFixed(2) : '-',
+            item.amount.toFixed(2)
+        ]));
+
+        this.drawTotals(doc, [
+            ['Subtotal', formatMoney(invoice.subtotal, invoice.currency)],
+            [`Tax (${invoice.taxRate}%)`, formatMoney(invoice.taxAmount, invoice.currency)],
+            ['Total', formatMoney(invoice.total, invoice.currency), true]
+        ]);
+
+        if (invoice.status === 'paid') {
+            doc.font('Helvetica-Bold').fontSize(10).fillColor('#15803d')
+                .text(`Paid on ${formatDate(invoice.paidAt, timezone)}${invoice.paymentReference ? ` - Ref ${invoice.paymentReference}` : ''}`, left, doc.y + 6)
+                .fillColor('#000000');
+        }
+        if (invoice.notes) {
+            doc.moveDown(1).font('Helvetica').fontSize(9).text(invoice.notes, left, doc.y, { width });
+        }
+
+        this.drawFooters(doc, `${COMPANY_NAME} - ${invoice.invoiceNumber}`);
+        doc.end();
+        return finished;
+    }
+
+    /**
+     * Payout statement for one doctor. `productivity` (from the productivity
+     * service) adds a reporting summary; with it, a month without invoiced
+     * studies still produces a statement showing a zero payout.
+     */
+    async renderPayoutPdf(month, doctorId, { productivity = null } = {}) {
+        let [statement] = await this.getPayoutStatements(month, { doctorId });
+        if (!statement && !productivity?.finalized) {
+            throw httpError('No billed studies for this doctor in the selected month', 404);
+        }
+        if (!statement) {
+            statement = {
+                doctorName: productivity.doctorName,
+                email: productivity.email,
+                currency: 'INR',
+                studies: 0,
+                billed: 0,
+                payout: 0,
+                allInvoicesPaid: false,
+                labs: []
+            };
+        }
+        const lines = await this.getPayoutLines(month, doctorId);
+
+        const { doc, finished } = this.createDocument(`Payout statement ${statement.doctorName} ${month}`);
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#1f3b73').text('PAYOUT STATEMENT', left, PAGE_MARGIN, { width, align: 'right' });
+        doc.font('Helvetica').fontSize(9).fillColor('#333333')
+            .text(`Period: ${describeMonth(month)}`, { width, align: 'right' })
+            .text(`Status: ${statement.allInvoicesPaid ? 'Final' : 'Provisional - awaiting lab payment'}`, { width, align: 'right' });
+
+        this.drawParty(doc, 'RADIOLOGIST', [statement.doctorName, statement.email], left, PAGE_MARGIN, width / 2);
+        doc.y = Math.max(doc.y, PAGE_MARGIN + 50) + 16;
+
+        if (productivity) {
+            doc.font('Helvetica-Bold').fontSize(10).text('Reporting activity', left, doc.y);
+            doc.moveDown(0.4);
+            this.drawTable(doc, [
+                { label: 'Reports finalized', width: 0.17, align: 'right' },
+                { label: 'RVUs', width: 0.13, align: 'right' },
+                { label: 'Active days', width: 0.14, align: 'right' },
+                { label: 'Reports / active day', width: 0.2, align: 'right' },
+                { label: 'Median reading time', width: 0.2, align: 'right' },
+                { label: 'Revision rate', width: 0.16, align: 'right' }
+            ], [[
+                productivity.finalized,
+                productivity.rvu.toFixed(2),
+                productivity.activeDays,
+                productivity.reportsPerActiveDay.toFixed(1),
+                productivity.readingTime.median === null ? '-' : `${productivity.readingTime.median} min`,
+                `${productivity.revisionRate}%`
+            ]]);
+            doc.moveDown(1);
+        }
+
+        doc.font('Helvetica-Bold').fontSize(10).text('Summary by lab', left, doc.y);
+        doc.moveDown(0.4);
+        this.drawTable(doc, [
+            { label: 'Lab', width: 0.5 },
+            { label: 'Studies', width: 0.14, align: 'right' },
+            { label: 'Billed', width: 0.18, align: 'right' },
+            { label: 'Payout', width: 0.18, align: 'right' }
+        ], statement.labs.map(lab => [lab.labName, lab.studies, lab.billed.toFixed(2), lab.payout.toFixed(2)]));
+
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(10).text('Studies', left, doc.y);
+        doc.moveDown(0.4);
+        this.drawTable(doc, [
+            { label: 'Reported', width: 0.12 },
+            { label: 'Lab', width: 0.2 },
+            { label: 'Accession', width: 0.15 },
+            { label: 'Patient', width: 0.23 },
+            { label: 'Modality', width: 0.1 },
+            { label: 'Billed', width: 0.1, align: 'right' },
+            { label: 'Payout', width: 0.1, align: 'right' }
+        ], lines.map(line => [
+            formatDate(line.finalizedAt),
+            line.labName,
+            line.accessionNumber || '-',
+            line.patientName || line.patientId || '-',
+            line.modality || '-',
+            line.amount.toFixed(2),
+            line.payoutAmount.toFixed(2)
+        ]));
+
+        this.drawTotals(doc, [
+            ['Studies', String(statement.studies)],
+            ['Billed to labs', formatMoney(statement.billed, statement.currency)],
+            ['Payout', formatMoney(statement.payout, statement.currency), true]
+        ]);
+
+        this.drawFooters(doc, `${COMPANY_NAME} - payout statement ${describeMonth(month)}`);
+        doc.end();
+        return { buffer: await finished, statement };
+    }
+}
+
+export default new BillingService();
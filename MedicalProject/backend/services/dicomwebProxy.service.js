@@ -0,0 +1,311 @@
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import DicomStudy from '../models/dicomStudyModel.js';
+import ShareToken from '../models/shareTokenSchema.js';
+import patientMergeService from './patientMerge.service.js';
+import { canViewStudy, STUDY_ACCESS_FIELDS } from '../utils/studyAccess.js';
+
+const ORTHANC_BASE_URL = process.env.ORTHANC_URL || 'http://localhost:8042';
+const ORTHANC_USERNAME = process.env.ORTHANC_USERNAME || 'alice';
+const ORTHANC_PASSWORD = process.env.ORTHANC_PASSWORD || 'alicePassword';
+const orthancAuth = 'Basic ' + Buffer.from(ORTHANC_USERNAME + ':' + ORTHANC_PASSWORD).toString('base64');
+
+const TOKEN_PURPOSE = 'dicomweb';
+const SESSION_TTL_SECONDS = 8 * 60 * 60;
+const MAX_SHARE_TTL_SECONDS = 8 * 60 * 60;
+// Share links are re-checked at most this often, so a revoke lands within a minute
+const SHARE_CHECK_CACHE_MS = 60 * 1000;
+const VERIFIED_INSTANCE_CACHE_LIMIT = 5000;
+const UPSTREAM_TIMEOUT_MS = 120 * 1000;
+
+// QIDO-RS roots that search across studies - always narrowed to the granted study
+const SEARCH_ROOTS = ['studies', 'series', 'instances'];
+// Orthanc headers worth passing back to the viewer
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-disposition', 'etag', 'last-modified'];
+
+const STUDY_UID_TAG = '0020000D';
+const STUDY_UID_KEYS = ['studyinstanceuid', '0020000d'];
+
+// Path pieces Orthanc is ever asked for under a granted study
+const UID_PATTERN = /^[0-9]+(\.[0-9]+)*$/;
+const FRAME_LIST_PATTERN = /^[0-9]+(,[0-9]+)*$/;
+const BULK_TAG_PATTERN = /^([0-9A-Fa-f]{8}|[0-9]+)$/;
+const RENDITIONS = ['metadata', 'rendered', 'thumbnail'];
+const RESOURCE_LEVELS = [
+    ['series', UID_PATTERN],
+    ['instances', UID_PATTERN],
+    ['frames', FRAME_LIST_PATTERN]
+];
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Streams DICOMweb requests from Orthanc for viewers holding a token scoped to one study
+class DicomwebProxyService {
+    constructor() {
+        this.shareChecks = new Map();
+        this.verifiedInstances = new Set();
+    }
+
+    // Public root of the proxy; DICOMWEB_PUBLIC_URL wins over the request's own host
+    getPublicBaseUrl(req) {
+        if (process.env.DICOMWEB_PUBLIC_URL) return process.env.DICOMWEB_PUBLIC_URL.replace(/\/$/, '');
+        const protocol = req.get('x-forwarded-proto') || req.protocol;
+        return `${protocol}://${req.get('host')}/api/dicomweb`;
+    }
+
+    buildRoots(baseUrl, viewerToken) {
+        return {
+            dicomWebRoot: `${baseUrl}/${viewerToken}/dicom-web`,
+            wadoUriRoot: `${baseUrl}/${viewerToken}/wado`
+        };
+    }
+
+    // Viewer token for an opened share link; never outlives the link itself
+    issueShareToken(shareToken) {
+        const secondsLeft = Math.floor((new Date(shareToken.expiresAt).getTime() - Date.now()) / 1000);
+        return jwt.sign(
+            { purpose: TOKEN_PURPOSE, studyInstanceUID: shareToken.studyInstanceUID, shareToken: shareToken.token },
+            process.env.JWT_SECRET,
+            { expiresIn: Math.max(60, Math.min(secondsLeft, MAX_SHARE_TTL_SECONDS)) }
+        );
+    }
+
+    // Viewer token for a logged-in user, after checking they may see the study.
+    // priorOf names the study being reported, whose priors the reader may open
+    // even when they are not assigned to them.
+    async issueSessionToken(user, studyInstanceUID, { priorOf } = {}) {
+        if (!studyInstanceUID) throw httpError('studyInstanceUID is required', 400);
+
+        const study = await DicomStudy.findOne({ studyInstanceUID })
+            .select(`studyInstanceUID patient quarantine.isQuarantined ${STUDY_ACCESS_FIELDS}`)
+            .lean();
+        if (!study) throw httpError('Study not found', 404);
+
+        const allowed = await canViewStudy(user, study)
+            || (priorOf && await this.isPriorOfViewableStudy(user, study, priorOf));
+        if (!allowed) throw httpError('You do not have access to this study', 403);
+
+        const token = jwt.sign(
+            { purpose: TOKEN_PURPOSE, studyInstanceUID, userId: user._id.toString() },
+            process.env.JWT_SECRET,
+            { expiresIn: SESSION_TTL_SECONDS }
+        );
+        return { token, expiresIn: SESSION_TTL_SECONDS };
+    }
+
+    // Same patient matching as the reporting priors panel
+    async isPriorOfViewableStudy(user, prior, currentStudyId) {
+        if (!mongoose.Types.ObjectId.isValid(currentStudyId) || !prior.patient) return false;
+        if (prior.quarantine?.isQuarantined) return false;
+
+        const current = await DicomStudy.findById(currentStudyId)
+            .select(`patient ${STUDY_ACCESS_FIELDS}`)
+            .populate('patient', 'mrn issuerOfPatientID')
+            .lean();
+        if (!current || !(await canViewStudy(user, current))) return false;
+
+        const patientIds = await patientMergeService.findRelatedPatientIds(current.patient);
+        return patientIds.some(id => id.toString() === prior.patient.toString());
+    }
+
+    // Decodes a viewer token; share-backed tokens also need the link to still be live
+    async resolveGrant(viewerToken) {
+        let decoded;
+        try {
+            decoded = jwt.verify(viewerToken, process.env.JWT_SECRET);
+        } catch (error) {
+            throw httpError('Viewer session expired - reopen the study', 403);
+        }
+        if (decoded.purpose !== TOKEN_PURPOSE || !decoded.studyInstanceUID) {
+            throw httpError('Invalid viewer token', 403);
+        }
+
+        if (decoded.shareToken) {
+            await this.assertShareActive(decoded.shareToken);
+        }
+
+        return { studyInstanceUID: decoded.studyInstanceUID };
+    }
+
+    async assertShareActive(token) {
+        const cached = this.shareChecks.get(token);
+        if (cached && cached.checkedAt > Date.now() - SHARE_CHECK_CACHE_MS) {
+            if (!cached.active) throw httpError('This share link is no longer active', 403);
+            return;
+        }
+
+        const shareToken = await ShareToken.findOne({ token })
+            .select('isActive expiresAt permissions')
+            .lean();
+        const active = Boolean(shareToken?.isActive
+            && new Date(shareToken.expiresAt) > new Date()
+            && shareToken.permissions?.viewImages !== false);
+
+        this.shareChecks.set(token, { active, checkedAt: Date.now() });
+        if (this.shareChecks.size > 1000) {
+            this.shareChecks.delete(this.shareChecks.keys().next().value);
+        }
+
+        if (!active) throw httpError('This share link is no longer active', 403);
+    }
+
+    // Maps a path under /dicom-web onto Orthanc, refusing anything outside the granted study
+    buildDicomwebRequest(grant, segments, query) {
+        const [root, studyUID] = segments;
+        const params = { ...query };
+
+        if (segments.length === 1 && SEARCH_ROOTS.includes(root)) {
+            // The study can be matched by keyword or by tag; either must name the granted study
+            Object.keys(params)
+                .filter(key => STUDY_UID_KEYS.includes(key.toLowerCase()))
+                .forEach(key => {
+                    if (params[key] !== grant.studyInstanceUID) {
+                        throw httpError('This viewer session does not cover the requested study', 403);
+                    }
+                    delete params[key];
+                });
+            params.StudyInstanceUID = grant.studyInstanceUID;
+            return { url: `${ORTHANC_BASE_URL}/dicom-web/${root}`, params, isSearch: true };
+        }
+
+        if (root === 'studies' && studyUID) {
+            if (studyUID !== grant.studyInstanceUID) {
+                throw httpError('This viewer session does not cover the requested study', 403);
+            }
+            const path = this.buildStudyPath(segments);
+            return { url: `${ORTHANC_BASE_URL}/dicom-web/${path}`, params, isSearch: false };
+        }
+
+        throw httpError('Unsupported DICOMweb path', 404);
+    }
+
+    // Rebuilds studies/<uid>[/series/<uid>[/instances/<uid>[/frames/<list>]]][/metadata|/rendered|/thumbnail]
+    // from checked pieces, so nothing like ".." can walk Orthanc out of the granted study
+    buildStudyPath(segments) {
+        if (segments.some(segment => !segment || segment === '.' || segment === '..' || /[/\\]/.test(segment))) {
+            throw httpError('Invalid DICOMweb path', 400);
+        }
+
+        const unsupported = () => httpError('Unsupported DICOMweb path', 404);
+        const [, studyUID, ...rest] = segments;
+        if (!UID_PATTERN.test(studyUID)) throw unsupported();
+
+        const path = ['studies', studyUID];
+        // A bare "series" or "instances" is a QIDO-RS search inside the study
+        if (rest.length === 1 && (rest[0] === 'series' || rest[0] === 'instances')) {
+            return [...path, rest[0]].join('/');
+        }
+
+        let remaining = rest;
+        for (const [level, pattern] of RESOURCE_LEVELS) {
+            if (remaining[0] !== level) break;
+            if (remaining.length === 1 && level === 'instances') {
+                return [...path, level].join('/');
+            }
+            if (!pattern.test(remaining[1] || '')) throw unsupported();
+            path.push(level, remaining[1]);
+            remaining = remaining.slice(2);
+        }
+
+        if (remaining.length === 1 && RENDITIONS.includes(remaining[0])) {
+            path.push(remaining[0]);
+        } else if (remaining[0] === 'bulk' && path.includes('instances') && remaining.length > 1
+            && remaining.slice(1).every(tag => BULK_TAG_PATTERN.test(tag))) {
+            // Rewritten BulkDataURIs from instance metadata
+            path.push(...remaining);
+        } else if (remaining.length > 0) {
+            throw unsupported();
+        }
+
+        return path.join('/');
+    }
+
+    // WADO-URI names the object directly, so confirm it belongs to the granted study
+    async buildWadoUriRequest(grant, query) {
+        const { studyUID, objectUID } = query;
+        if (!objectUID) throw httpError('objectUID is required', 400);
+        if (studyUID && studyUID !== grant.studyInstanceUID) {
+            throw httpError('This viewer session does not cover the requested study', 403);
+        }
+
+        const cacheKey = `${grant.studyInstanceUID}|${objectUID}`;
+        if (!this.verifiedInstances.has(cacheKey)) {
+            const response = await axios.get(`${ORTHANC_BASE_URL}/dicom-web/studies/${encodeURIComponent(grant.studyInstanceUID)}/instances`, {
+                params: { SOPInstanceUID: objectUID },
+                headers: { Authorization: orthancAuth, Accept: 'application/dicom+json' },
+                timeout: 30000,
+                validateStatus: () => true
+            });
+            if (response.status !== 200 || !Array.isArray(response.data) || response.data.length === 0) {
+                throw httpError('This viewer session does not cover the requested object', 403);
+            }
+
+            if (this.verifiedInstances.size >= VERIFIED_INSTANCE_CACHE_LIMIT) this.verifiedInstances.clear();
+            this.verifiedInstances.add(cacheKey);
+        }
+
+        return { url: `${ORTHANC_BASE_URL}/wado`, params: { ...query, studyUID: grant.studyInstanceUID }, isSearch: false };
+    }
+
+    // Streams the Orthanc response; JSON bodies are buffered so they can be scoped and rewritten
+    async forward(req, res, upstream, publicRoot) {
+        const response = await axios.get(upstream.url, {
+            params: upstream.params,
+            // Repeated keys such as includefield must stay repeated, not become includefield[]
+            paramsSerializer: { indexes: null },
+            headers: {
+                Authorization: orthancAuth,
+                ...(req.get('accept') ? { Accept: req.get('accept') } : {})
+            },
+            responseType: 'stream',
+            timeout: UPSTREAM_TIMEOUT_MS,
+            validateStatus: () => true
+        });
+
+        res.status(response.status);
+        res.set('Cache-Control', 'private, max-age=3600');
+        FORWARDED_HEADERS.forEach(header => {
+            if (response.headers[header]) res.set(header, response.headers[header]);
+        });
+
+        const contentType = response.headers['content-type'] || '';
+        if (!contentType.includes('json')) {
+            req.on('close', () => response.data.destroy());
+            response.data.pipe(res);
+            return;
+        }
+
+        const chunks = [];
+        for await (const chunk of response.data) chunks.push(chunk);
+        let body = Buffer.concat(chunks).toString('utf8');
+
+        if (upstream.isSearch && response.status === 200) {
+            body = JSON.stringify(this.filterToStudy(JSON.parse(body), upstream.params.StudyInstanceUID));
+        }
+        body = this.rewriteBulkDataUris(body, publicRoot);
+
+        res.removeHeader('content-length');
+        res.send(body);
+    }
+
+    // Belt and braces: drop any search match Orthanc returns for another study
+    filterToStudy(results, studyInstanceUID) {
+        if (!Array.isArray(results)) return results;
+        return results.filter(item => {
+            const value = item?.[STUDY_UID_TAG]?.Value?.[0];
+            return !value || value === studyInstanceUID;
+        });
+    }
+
+    // Metadata points bulk data at Orthanc itself; send the viewer back through the proxy
+    rewriteBulkDataUris(body, publicRoot) {
+        return body.replace(/("BulkDataURI"\s*:\s*")[^"]*?\/dicom-web\//g, `$1${publicRoot}/`);
+    }
+}
+
+export default new DicomwebProxyService();
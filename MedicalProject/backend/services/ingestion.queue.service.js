@@ -0,0 +1,290 @@
+import Queue from 'bull';
+import IngestionJob from '../models/ingestionJobModel.js';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const JOB_NAME = 'process-stable-study';
+const MAX_ATTEMPTS = parseInt(process.env.INGESTION_MAX_ATTEMPTS) || 5;
+const BACKOFF_DELAY_MS = parseInt(process.env.INGESTION_BACKOFF_MS) || 30000;
+const CONCURRENCY = parseInt(process.env.INGESTION_CONCURRENCY) || 8;
+const RETRYABLE_STATUSES = ['retrying', 'dead_letter'];
+
+// Persistent replacement for the old in-memory StableStudyQueue.
+// Jobs live in Redis (Bull) so they survive restarts, and every state change
+// is mirrored into the IngestionJob collection for status lookups and replays.
+class IngestionQueueService {
+    constructor() {
+        this.queue = new Queue('stable-study-ingestion', REDIS_URL, {
+            redis: {
+                tls: {},
+                maxRetriesPerRequest: null,
+                enableReadyCheck: false
+            },
+            defaultJobOptions: {
+                attempts: MAX_ATTEMPTS,
+                backoff: { type: 'exponential', delay: BACKOFF_DELAY_MS },
+                removeOnComplete: 1000,
+                removeOnFail: false
+            }
+        });
+        this.processor = null;
+
+        this.queue.on('active', (job) => this.onActive(job));
+        this.queue.on('completed', (job, result) => this.onCompleted(job, result));
+        this.queue.on('failed', (job, error) => this.onFailed(job, error));
+        this.queue.on('stalled', (job) => {
+            console.warn(`⚠️ Ingestion job ${job.id} stalled - Bull will re-run it`);
+        });
+        this.queue.on('error', (error) => {
+            console.error('❌ Ingestion queue error:', error.message);
+        });
+
+        console.log(`📥 Ingestion queue initialized (attempts: ${MAX_ATTEMPTS}, backoff: ${BACKOFF_DELAY_MS}ms exponential)`);
+    }
+
+    // Register the study processor and recover any jobs Redis no longer knows about
+    registerProcessor(processor) {
+        if (this.processor) return;
+        this.processor = processor;
+
+        this.queue.process(JOB_NAME, CONCURRENCY, (job) => this.processor(job));
+        console.log(`🚀 Ingestion queue processor started (concurrency: ${CONCURRENCY})`);
+
+        this.recoverOrphanedJobs().catch(error => {
+            console.error('❌ Failed to recover orphaned ingestion jobs:', error.message);
+        });
+    }
+
+    async add(jobData) {
+        const record = await IngestionJob.create({
+            requestId: jobData.requestId,
+            orthancStudyId: jobData.orthancStudyId,
+            status: 'waiting',
+            maxAttempts: MAX_ATTEMPTS,
+            submittedAt: jobData.submittedAt || new Date(),
+            originalBody: jobData.originalBody
+        });
+
+        const job = await this.enqueue(record);
+        console.log(`📝 Stable Study Job ${job.id} queued (request: ${record.requestId})`);
+        return job;
+    }
+
+    async enqueue(record) {
+        const job = await this.queue.add(JOB_NAME, {
+            orthancStudyId: record.orthancStudyId,
+            requestId: record.requestId,
+            submittedAt: record.submittedAt,
+            originalBody: record.originalBody,
+            overrideLabId: record.overrideLab ? String(record.overrideLab) : null
+        }, {
+            jobId: record.requestId
+        });
+
+        record.bullJobId = String(job.id);
+        await record.save();
+        return job;
+    }
+
+    // Put a failed job back on the queue with a fresh set of attempts,
+    // optionally forcing the study into a specific lab
+    async replay(requestId, { userId = null, overrideLabId } = {}) {
+        const record = await IngestionJob.findOne({ requestId });
+        if (!record) {
+            return null;
+        }
+        if (!RETRYABLE_STATUSES.includes(record.status)) {
+            const error = new Error(`Job ${requestId} is ${record.status}, only failed jobs can be retried`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        await this.removeBullJob(record);
+
+        if (overrideLabId !== undefined) {
+            record.overrideLab = overrideLabId || undefined;
+        }
+        record.status = 'waiting';
+        record.progress = 0;
+        record.attemptsMade = 0;
+        record.nextRetryAt = undefined;
+        record.deadLetteredAt = undefined;
+        record.replayCount += 1;
+        record.lastReplayedAt = new Date();
+        record.lastReplayedBy = userId;
+
+        await this.enqueue(record);
+        console.log(`🔁 Replayed ingestion job ${requestId} (replay #${record.replayCount}${record.overrideLab ? `, lab override ${record.overrideLab}` : ''})`);
+        return record;
+    }
+
+    // Drop a failed job for good; the record is kept for audit
+    async discard(requestId, { userId = null, reason = '' } = {}) {
+        const record = await IngestionJob.findOne({ requestId });
+        if (!record) {
+            return null;
+        }
+        if (!RETRYABLE_STATUSES.includes(record.status)) {
+            const error = new Error(`Job ${requestId} is ${record.status}, only failed jobs can be discarded`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        await this.removeBullJob(record);
+
+        record.status = 'discarded';
+        record.nextRetryAt = undefined;
+        record.discardedAt = new Date();
+        record.discardedBy = userId;
+        record.discardReason = reason;
+        await record.save();
+
+        console.log(`🗑️ Discarded ingestion job ${requestId}`);
+        return record;
+    }
+
+    async removeBullJob(record) {
+        const job = await this.queue.getJob(record.bullJobId || record.requestId);
+        if (job) {
+            await job.remove();
+        }
+    }
+
+    // Called by the processor once Orthanc has returned the study, so failed
+    // jobs still show what they were trying to ingest
+    async recordMainDicomTags(requestId, mainDicomTags = {}, patientMainDicomTags = {}) {
+        try {
+            await IngestionJob.updateOne(
+                { requestId },
+                { $set: { mainDicomTags, patientMainDicomTags } }
+            );
+        } catch (error) {
+            console.warn(`⚠️ Could not store MainDicomTags for ingestion job ${requestId}:`, error.message);
+        }
+    }
+
+    async getJobStatus(requestId) {
+        const record = await IngestionJob.findOne({ requestId }).lean();
+        if (!record) {
+            return null;
+        }
+
+        // Progress is only tracked live in Redis while a job runs
+        if (record.status === 'active') {
+            const job = await this.queue.getJob(record.bullJobId || requestId);
+            if (job) {
+                record.progress = job.progress();
+            }
+        }
+        return record;
+    }
+
+    async getDeadLetterJobs({ page = 1, limit = 50 } = {}) {
+        const skip = (page - 1) * limit;
+        const [jobs, total] = await Promise.all([
+            IngestionJob.find({ status: 'dead_letter' })
+                .sort({ deadLetteredAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-originalBody')
+                .lean(),
+            IngestionJob.countDocuments({ status: 'dead_letter' })
+        ]);
+        return { jobs, total, page, limit };
+    }
+
+    async getCounts() {
+        return this.queue.getJobCounts();
+    }
+
+    // Re-enqueue jobs whose Mongo record is still pending but whose Redis job is gone
+    async recoverOrphanedJobs() {
+        const pending = await IngestionJob.find({ status: { $in: ['waiting', 'active', 'retrying'] } });
+        let recovered = 0;
+
+        for (const record of pending) {
+            const job = await this.queue.getJob(record.bullJobId || record.requestId);
+            if (!job) {
+                record.status = 'waiting';
+                await this.enqueue(record);
+                recovered++;
+            }
+        }
+
+        if (recovered > 0) {
+            console.log(`♻️ Recovered ${recovered} orphaned ingestion job(s) after restart`);
+        }
+        return recovered;
+    }
+
+    // --- Bull event handlers: mirror state into Mongo ---
+
+    async onActive(job) {
+        try {
+            await IngestionJob.updateOne(
+                { requestId: job.data.requestId },
+                { $set: { status: 'active', startedAt: new Date(), attemptsMade: job.attemptsMade } }
+            );
+        } catch (error) {
+            console.error(`❌ Could not mark ingestion job ${job.id} active:`, error.message);
+        }
+    }
+
+    async onCompleted(job, result) {
+        try {
+            await IngestionJob.updateOne(
+                { requestId: job.data.requestId },
+                {
+                    $set: {
+                        status: 'completed',
+                        progress: 100,
+                        attemptsMade: job.attemptsMade + 1,
+                        result,
+                        studyDatabaseId: result?.studyDatabaseId,
+                        completedAt: new Date(),
+                        lastError: null,
+                        nextRetryAt: null
+                    }
+                }
+            );
+            console.log(`✅ Stable Study Job ${job.id} completed successfully`);
+        } catch (error) {
+            console.error(`❌ Could not mark ingestion job ${job.id} completed:`, error.message);
+        }
+    }
+
+    async onFailed(job, error) {
+        const maxAttempts = job.opts.attempts || MAX_ATTEMPTS;
+        const exhausted = job.attemptsMade >= maxAttempts;
+        const update = {
+            $set: {
+                status: exhausted ? 'dead_letter' : 'retrying',
+                attemptsMade: job.attemptsMade,
+                lastError: error.message
+            },
+            $push: {
+                errorHistory: {
+                    $each: [{ attempt: job.attemptsMade, message: error.message, failedAt: new Date() }],
+                    $slice: -20
+                }
+            }
+        };
+
+        if (exhausted) {
+            update.$set.deadLetteredAt = new Date();
+            update.$set.nextRetryAt = null;
+            console.error(`☠️ Stable Study Job ${job.id} dead-lettered after ${job.attemptsMade} attempts:`, error.message);
+        } else {
+            const delay = BACKOFF_DELAY_MS * Math.pow(2, job.attemptsMade - 1);
+            update.$set.nextRetryAt = new Date(Date.now() + delay);
+            console.warn(`🔄 Stable Study Job ${job.id} failed (attempt ${job.attemptsMade}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+        }
+
+        try {
+            await IngestionJob.updateOne({ requestId: job.data.requestId }, update);
+        } catch (dbError) {
+            console.error(`❌ Could not record failure for ingestion job ${job.id}:`, dbError.message);
+        }
+    }
+}
+
+export default new IngestionQueueService();
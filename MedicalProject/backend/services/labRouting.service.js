@@ -0,0 +1,176 @@
+import LabRoutingRule from '../models/labRoutingRuleModel.js';
+import Lab from '../models/labModel.js';
+
+const RULE_CACHE_TTL_MS = 60 * 1000;
+
+// Private tags the ingestion route historically read a Lab.identifier from.
+// Only consulted while no routing rules have been configured.
+const LEGACY_IDENTIFIER_TAGS = ['0013,0010', '0015,0010', '0021,0010', '0043,0010'];
+const LEGACY_IGNORED_VALUES = ['xcenticlab'];
+
+export const QUARANTINE_LAB = {
+    name: 'Quarantine - Unrouted Studies',
+    identifier: 'QUARANTINE',
+    isActive: true
+};
+
+// Spread into worklist queries so quarantined studies stay out of normal worklists.
+// $ne also matches studies created before the quarantine field existed.
+export const NOT_QUARANTINED_FILTER = { 'quarantine.isQuarantined': { $ne: true } };
+
+function escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// DICOM values may arrive as strings, arrays (multi-valued) or PN objects
+function readTagValue(tags, key) {
+    const value = tags?.[key];
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.filter(v => typeof v === 'string').join('\\').trim();
+    if (typeof value === 'object') return (value.Alphabetic || '').trim();
+    return String(value).trim();
+}
+
+class LabRoutingService {
+    constructor() {
+        this.rules = null;
+        this.rulesLoadedAt = 0;
+    }
+
+    invalidate() {
+        this.rules = null;
+        this.rulesLoadedAt = 0;
+    }
+
+    async getActiveRules() {
+        if (this.rules && Date.now() - this.rulesLoadedAt < RULE_CACHE_TTL_MS) {
+            return this.rules;
+        }
+        const rules = await LabRoutingRule.find({ isActive: true })
+            .sort({ priority: 1, createdAt: 1 })
+            .lean();
+        this.rules = rules.map(rule => (rule.matchType === 'tag_regex'
+            ? { ...rule, regex: this.compilePattern(rule) }
+            : rule));
+        this.rulesLoadedAt = Date.now();
+        return this.rules;
+    }
+
+    // tag_regex patterns are compiled once per cache load; rules saved before
+    // patterns were validated are skipped rather than failing every study
+    compilePattern(rule) {
+        try {
+            return new RegExp(rule.pattern, 'i');
+        } catch (error) {
+            console.warn(`[LabRouting] ⚠️ Rule "${rule.name}" has an invalid pattern and is skipped: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Returns the value the rule should be compared against
+    getRuleInput(rule, tags, sourceInfo = {}) {
+        switch (rule.matchType) {
+            case 'calling_ae_title':
+                return (sourceInfo.callingAETitle || '').trim();
+            case 'institution_name':
+                return readTagValue(tags, 'InstitutionName') || readTagValue(tags, '0008,0080');
+            case 'station_name':
+                return readTagValue(tags, 'StationName') || readTagValue(tags, '0008,1010');
+            default:
+                return readTagValue(tags, rule.tag);
+        }
+    }
+
+    // Resolves a single rule; returns the Lab it routes to, or null
+    async evaluateRule(rule, tags, sourceInfo) {
+        const input = this.getRuleInput(rule, tags, sourceInfo);
+        if (!input) return null;
+
+        if (rule.matchType === 'lab_identifier_tag') {
+            return Lab.findOne({
+                identifier: { $regex: new RegExp(`^${escapeRegex(input)}$`, 'i') },
+                isActive: true
+            });
+        }
+
+        const matched = rule.matchType === 'tag_regex'
+            ? Boolean(rule.regex?.test(input))
+            : input.toLowerCase() === rule.pattern.toLowerCase();
+
+        if (!matched) return null;
+
+        const lab = await Lab.findOne({ _id: rule.targetLab, isActive: true });
+        if (!lab) {
+            console.warn(`[LabRouting] ⚠️ Rule "${rule.name}" matched but target lab ${rule.targetLab} is missing or inactive`);
+        }
+        return lab;
+    }
+
+    async resolveByLegacyTags(tags) {
+        for (const tag of LEGACY_IDENTIFIER_TAGS) {
+            const value = readTagValue(tags, tag);
+            if (!value || LEGACY_IGNORED_VALUES.includes(value)) continue;
+
+            const lab = await Lab.findOne({
+                identifier: { $regex: new RegExp(`^${escapeRegex(value)}$`, 'i') },
+                isActive: true
+            });
+            if (lab) {
+                return { lab, tag, value };
+            }
+            console.warn(`[LabRouting] ⚠️ Legacy tag [${tag}] = "${value}" does not match any lab identifier`);
+        }
+        return null;
+    }
+
+    async getQuarantineLab() {
+        let lab = await Lab.findOne({ identifier: QUARANTINE_LAB.identifier });
+        if (!lab) {
+            lab = await Lab.create({
+                ...QUARANTINE_LAB,
+                notes: `Holding bucket for studies that matched no lab routing rule. Created on ${new Date().toISOString()}`
+            });
+            console.log(`[LabRouting] 🆕 Created quarantine lab`);
+        }
+        return lab;
+    }
+
+    // Main entry point used by ingestion.
+    // Returns { lab, rule, method, quarantined }
+    async resolveLab(tags, sourceInfo = {}, { dryRun = false } = {}) {
+        const rules = await this.getActiveRules();
+
+        for (const rule of rules) {
+            try {
+                const lab = await this.evaluateRule(rule, tags, sourceInfo);
+                if (lab) {
+                    console.log(`[LabRouting] ✅ Rule "${rule.name}" (priority ${rule.priority}) → ${lab.name}`);
+                    if (!dryRun) {
+                        LabRoutingRule.updateOne(
+                            { _id: rule._id },
+                            { $inc: { hitCount: 1 }, $set: { lastMatchedAt: new Date() } }
+                        ).catch(error => console.warn(`[LabRouting] ⚠️ Could not update hit count:`, error.message));
+                    }
+                    return { lab, rule, method: 'routing_rule', quarantined: false };
+                }
+            } catch (error) {
+                console.error(`[LabRouting] ❌ Error evaluating rule "${rule.name}":`, error.message);
+            }
+        }
+
+        // Keep existing deployments working until someone configures rules
+        if (rules.length === 0) {
+            const legacy = await this.resolveByLegacyTags(tags);
+            if (legacy) {
+                console.log(`[LabRouting] ✅ Legacy tag [${legacy.tag}] → ${legacy.lab.name}`);
+                return { lab: legacy.lab, rule: null, method: 'legacy_private_tag', quarantined: false };
+            }
+        }
+
+        console.warn(`[LabRouting] ⚠️ No routing rule matched - study goes to quarantine`);
+        const lab = dryRun ? null : await this.getQuarantineLab();
+        return { lab, rule: null, method: 'quarantine', quarantined: true };
+    }
+}
+
+export default new LabRoutingService();
@@ -0,0 +1,490 @@
+import Queue from 'bull';
+import mongoose from 'mongoose';
+import Patient from '../models/patientModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import Doctor from '../models/doctorModel.js';
+import Document from '../models/documentModal.js';
+import PatientMerge from '../models/patientMergeModel.js';
+import PatientDuplicateCandidate from '../models/patientDuplicateCandidateModel.js';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const JOB_NAME = 'detect-duplicate-patients';
+const DETECTION_CRON = process.env.PATIENT_DEDUP_CRON || '0 2 * * *';
+const UNDO_WINDOW_HOURS = parseInt(process.env.PATIENT_MERGE_UNDO_HOURS) || 72;
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.PATIENT_DEDUP_NAME_THRESHOLD) || 0.85;
+const MAX_BUCKET_SIZE = 200;
+const DOCTOR_STUDY_LISTS = ['assignedStudies', 'completedStudies'];
+
+// IDs minted by ingestion/upload when the real PatientID was missing or clashed
+export const PLACEHOLDER_PATIENT_ID = /^(UNKNOWN|FALLBACK|MRN|PID)_\d+$/i;
+
+// "DOE^JOHN", "John Doe" and "doe, john" all normalise to "DOE JOHN"
+function normalizeName(raw) {
+    return (raw || '')
+        .toUpperCase()
+        .replace(/[\^,.\-_]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function nameSimilarity(a, b) {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+function conflict(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+}
+
+// Finds likely duplicate Patient records on a schedule and performs
+// reversible merges. Every merge is recorded in PatientMerge so it can be
+// undone until undoDeadline.
+class PatientMergeService {
+    constructor() {
+        this.queue = null;
+    }
+
+    // Schedule the nightly detection run (repeatable Bull job, so only one
+    // instance runs it even with several API servers)
+    startDuplicateDetection() {
+        if (this.queue) return;
+
+        this.queue = new Queue('patient-duplicate-detection', REDIS_URL, {
+            redis: {
+                tls: {},
+                maxRetriesPerRequest: null,
+                enableReadyCheck: false
+            },
+            defaultJobOptions: {
+                removeOnComplete: 20,
+                removeOnFail: 50
+            }
+        });
+
+        this.queue.process(JOB_NAME, 1, () => this.detectDuplicates());
+        this.queue.on('failed', (job, error) => {
+            console.error(`❌ Duplicate patient detection failed:`, error.message);
+        });
+        this.queue.on('error', (error) => {
+            console.error('❌ Duplicate detection queue error:', error.message);
+        });
+
+        this.queue.add(JOB_NAME, {}, { repeat: { cron: DETECTION_CRON }, jobId: JOB_NAME })
+            .then(() => console.log(`🧬 Duplicate patient detection scheduled (${DETECTION_CRON})`))
+            .catch(error => console.error('❌ Could not schedule duplicate patient detection:', error.message));
+    }
+
+    // The patient plus any unmerged records that share a real MRN + issuer -
+    // their studies are priors of one another
+    async findRelatedPatientIds(patient) {
+        if (!patient?._id) return [];
+
+        const patientIds = [patient._id];
+        if (patient.mrn && !PLACEHOLDER_PATIENT_ID.test(patient.mrn)) {
+            const sameMrnPatients = await Patient.find({
+                _id: { $ne: patient._id },
+                mrn: patient.mrn,
+                issuerOfPatientID: patient.issuerOfPatientID || { $in: [null, ''] },
+                mergedInto: { $exists: false }
+            }).select('_id').lean();
+            patientIds.push(...sameMrnPatients.map(item => item._id));
+        }
+        return patientIds;
+    }
+
+    async detectDuplicates() {
+        const startTime = Date.now();
+        const pairs = new Map();
+        const notMerged = { mergedInto: { $exists: false } };
+
+        const addPair = (a, b, score, reason) => {
+            const patients = [String(a), String(b)].sort();
+            const pairKey = patients.join(':');
+            const existing = pairs.get(pairKey);
+            if (existing) {
+                existing.score = Math.max(existing.score, score);
+                if (!existing.matchReasons.includes(reason)) existing.matchReasons.push(reason);
+            } else {
+                pairs.set(pairKey, { pairKey, patients, score, matchReasons: [reason] });
+            }
+        };
+
+        // Pass 1: identical MRN + issuer
+        const mrnGroups = await Patient.aggregate([
+            { $match: { ...notMerged, mrn: { $nin: [null, ''] } } },
+            {
+                $group: {
+                    _id: {
+                        mrn: { $toUpper: '$mrn' },
+                        issuer: { $toUpper: { $ifNull: ['$issuerOfPatientID', ''] } }
+                    },
+                    ids: { $push: '$_id' },
+                    count: { $sum: 1 }
+                }
+            },
+            { $match: { count: { $gt: 1 } } }
+        ]).allowDiskUse(true);
+
+        for (const group of mrnGroups) {
+            if (PLACEHOLDER_PATIENT_ID.test(group._id.mrn)) continue;
+            const ids = group.ids.slice(0, MAX_BUCKET_SIZE);
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    addPair(ids[i], ids[j], 1, 'mrn_issuer');
+                }
+            }
+        }
+
+        // Pass 2: same date of birth and a close name; sex must agree when both sides know it
+        const dobGroups = await Patient.aggregate([
+            { $match: { ...notMerged, dateOfBirth: { $nin: [null, ''] } } },
+            {
+                $group: {
+                    _id: '$dateOfBirth',
+                    patients: {
+                        $push: {
+                            _id: '$_id',
+                            name: { $ifNull: ['$patientNameRaw', '$computed.fullName'] },
+                            gender: '$gender'
+                        }
+                    },
+                    count: { $sum: 1 }
+                }
+            },
+            { $match: { count: { $gt: 1 } } }
+        ]).allowDiskUse(true);
+
+        for (const group of dobGroups) {
+            if (group.count > MAX_BUCKET_SIZE) {
+                console.warn(`⚠️ ${group.count} patients share DOB ${group._id} - only the first ${MAX_BUCKET_SIZE} are compared`);
+            }
+            const candidates = group.patients.slice(0, MAX_BUCKET_SIZE);
+            for (let i = 0; i < candidates.length; i++) {
+                for (let j = i + 1; j < candidates.length; j++) {
+                    const a = candidates[i];
+                    const b = candidates[j];
+                    const sexKnown = ['M', 'F'].includes(a.gender) && ['M', 'F'].includes(b.gender);
+                    if (sexKnown && a.gender !== b.gender) continue;
+
+                    const score = nameSimilarity(a.name, b.name);
+                    if (score >= NAME_MATCH_THRESHOLD) {
+                        addPair(a._id, b._id, Number(score.toFixed(3)), sexKnown ? 'name_dob_sex' : 'name_dob');
+                    }
+                }
+            }
+        }
+
+        // Dismissed and merged pairs keep their status; only scores are refreshed
+        const now = new Date();
+        const operations = Array.from(pairs.values()).map(pair => ({
+            updateOne: {
+                filter: { pairKey: pair.pairKey },
+                update: {
+                    $set: { score: pair.score, matchReasons: pair.matchReasons, lastSeenAt: now },
+                    $setOnInsert: { patients: pair.patients, status: 'open', detectedAt: now }
+                },
+                upsert: true
+            }
+        }));
+
+        let newCandidates = 0;
+        if (operations.length > 0) {
+            const result = await PatientDuplicateCandidate.bulkWrite(operations, { ordered: false });
+            newCandidates = result.upsertedCount || 0;
+        }
+
+        const summary = {
+            pairsFound: pairs.size,
+            newCandidates,
+            mrnGroups: mrnGroups.length,
+            dobGroups: dobGroups.length,
+            elapsedMs: Date.now() - startTime
+        };
+        console.log(`🧬 Duplicate patient detection finished:`, summary);
+        return summary;
+    }
+
+    // Queries run one after another - a transaction session cannot take parallel operations
+    async recomputePatientStats(patientId, session = null) {
+        const studyCount = await DicomStudy.countDocuments({ patient: patientId }).session(session);
+        const latest = await DicomStudy.findOne({ patient: patientId })
+            .sort({ studyDate: -1, createdAt: -1 })
+            .select('_id studyDate createdAt')
+            .session(session)
+            .lean();
+
+        await Patient.updateOne(
+            { _id: patientId },
+            {
+                $set: {
+                    studyCount,
+                    lastStudyDate: latest ? (latest.studyDate || latest.createdAt) : null,
+                    activeDicomStudyRef: latest?._id || null
+                }
+            },
+            { session }
+        );
+    }
+
+    // Moves every study and document of mergedIds onto the survivor.
+    // Returns null when any of the patients does not exist.
+    async mergePatients({ survivorId, mergedIds, userId = null, reason = '', candidateId = null }) {
+        const ids = [...new Set(mergedIds.map(String))].filter(id => id !== String(survivorId));
+        if (ids.length === 0) {
+            const error = new Error('Select at least one patient to merge into the survivor');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const [survivor, merged] = await Promise.all([
+            Patient.findById(survivorId).lean(),
+            Patient.find({ _id: { $in: ids } }).lean()
+        ]);
+        if (!survivor || merged.length !== ids.length) {
+            return null;
+        }
+        if (survivor.mergedInto) {
+            throw conflict(`Patient ${survivor.patientID} has already been merged into another record`);
+        }
+        const alreadyMerged = merged.find(patient => patient.mergedInto);
+        if (alreadyMerged) {
+            throw conflict(`Patient ${alreadyMerged.patientID} has already been merged into another record`);
+        }
+
+        const mergedObjectIds = merged.map(patient => patient._id);
+        const mergedPatientIDs = merged.map(patient => patient.patientID);
+        const allIds = [survivor._id, ...mergedObjectIds];
+        const now = new Date();
+        let mergeRecord;
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                // Sequential on purpose: MongoDB does not allow parallel operations in one transaction
+                const studies = await DicomStudy.find({ patient: { $in: mergedObjectIds } })
+                    .select('_id patient patientId patientInfo.patientID')
+                    .session(session)
+                    .lean();
+                // Reports store either Patient.patientID or the Patient _id here
+                const documents = await Document.find({ patientId: { $in: [...mergedPatientIDs, ...mergedObjectIds.map(String)] } })
+                    .select('_id patientId')
+                    .session(session)
+                    .lean();
+
+                [mergeRecord] = await PatientMerge.create([{
+                    survivor: survivor._id,
+                    survivorPatientID: survivor.patientID,
+                    mergedPatients: merged.map(patient => ({
+                        patient: patient._id,
+                        patientID: patient.patientID,
+                        patientNameRaw: patient.patientNameRaw,
+                        snapshot: patient
+                    })),
+                    movedStudies: studies.map(study => ({
+                        study: study._id,
+                        fromPatient: study.patient,
+                        fromPatientId: study.patientId,
+                        fromPatientInfoPatientID: study.patientInfo?.patientID
+                    })),
+                    movedDocuments: documents.map(doc => ({
+                        document: doc._id,
+                        fromPatientId: doc.patientId
+                    })),
+                    survivorBefore: {
+                        studyCount: survivor.studyCount,
+                        lastStudyDate: survivor.lastStudyDate,
+                        activeDicomStudyRef: survivor.activeDicomStudyRef
+                    },
+                    reason,
+                    candidate: candidateId || undefined,
+                    mergedBy: userId,
+                    mergedAt: now,
+                    undoDeadline: new Date(now.getTime() + UNDO_WINDOW_HOURS * 60 * 60 * 1000)
+                }], { session });
+
+                if (studies.length > 0) {
+                    await DicomStudy.updateMany(
+                        { _id: { $in: studies.map(study => study._id) } },
+                        {
+                            $set: {
+                                patient: survivor._id,
+                                patientId: survivor.patientID,
+                                'patientInfo.patientID': survivor.patientID
+                            }
+                        },
+                        { session }
+                    );
+
+                    for (const list of DOCTOR_STUDY_LISTS) {
+                        await Doctor.updateMany(
+                            { [`${list}.patient`]: { $in: mergedObjectIds } },
+                            { $set: { [`${list}.$[entry].patient`]: survivor._id } },
+                            { arrayFilters: [{ 'entry.patient': { $in: mergedObjectIds } }], session }
+                        );
+                    }
+                }
+
+                if (documents.length > 0) {
+                    const mergedIdStrings = mergedObjectIds.map(String);
+                    await Document.bulkWrite(documents.map(doc => ({
+                        updateOne: {
+                            filter: { _id: doc._id },
+                            update: {
+                                $set: {
+                                    patientId: mergedIdStrings.includes(doc.patientId)
+                                        ? String(survivor._id)
+                                        : survivor.patientID
+                                }
+                            }
+                        }
+                    })), { session });
+                }
+
+                await Patient.updateMany(
+                    { _id: { $in: mergedObjectIds } },
+                    { $set: { mergedInto: survivor._id, mergedAt: now, studyCount: 0, activeDicomStudyRef: null } },
+                    { session }
+                );
+                await this.recomputePatientStats(survivor._id, session);
+
+                // Close every open candidate made up only of the patients involved
+                await PatientDuplicateCandidate.updateMany(
+                    { status: 'open', patients: { $not: { $elemMatch: { $nin: allIds } } } },
+                    { $set: { status: 'merged', resolvedAt: now, resolvedBy: userId, merge: mergeRecord._id } },
+                    { session }
+                );
+
+                console.log(`🔗 Merged ${merged.length} patient(s) into ${survivor.patientID}: ${studies.length} studies, ${documents.length} documents moved`);
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        return mergeRecord;
+    }
+
+    // Puts studies and documents back on their original patients.
+    // Studies that arrived on the survivor after the merge stay where they are.
+    async undoMerge(mergeId, { userId = null } = {}) {
+        const record = await PatientMerge.findById(mergeId);
+        if (!record) {
+            return null;
+        }
+        if (record.status === 'undone') {
+            throw conflict('This merge has already been undone');
+        }
+        if (record.undoDeadline && record.undoDeadline < new Date()) {
+            throw conflict(`The undo window for this merge closed on ${record.undoDeadline.toISOString()}`);
+        }
+
+        // Its studies now sit under the later survivor, so undoing this merge would
+        // bring back patients with nothing in them
+        const survivor = await Patient.findById(record.survivor).select('mergedInto').lean();
+        if (survivor?.mergedInto) {
+            throw conflict('The surviving patient was later merged into another patient. Undo that merge first.');
+        }
+
+        const mergedObjectIds = record.mergedPatients.map(entry => entry.patient);
+        const now = new Date();
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                if (record.movedStudies.length > 0) {
+                    const result = await DicomStudy.bulkWrite(record.movedStudies.map(moved => ({
+                        updateOne: {
+                            filter: { _id: moved.study, patient: record.survivor },
+                            update: {
+                                $set: {
+                                    patient: moved.fromPatient,
+                                    patientId: moved.fromPatientId,
+                                    'patientInfo.patientID': moved.fromPatientInfoPatientID
+                                }
+                            }
+                        }
+                    })), { session });
+                    if (result.matchedCount !== record.movedStudies.length) {
+                        throw conflict('Some studies from this merge no longer belong to the surviving patient. The merge cannot be undone.');
+                    }
+
+                    for (const patientId of mergedObjectIds) {
+                        const studyIds = record.movedStudies
+                            .filter(moved => String(moved.fromPatient) === String(patientId))
+                            .map(moved => moved.study);
+                        if (studyIds.length === 0) continue;
+
+                        for (const list of DOCTOR_STUDY_LISTS) {
+                            await Doctor.updateMany(
+                                { [`${list}.study`]: { $in: studyIds } },
+                                { $set: { [`${list}.$[entry].patient`]: patientId } },
+                                { arrayFilters: [{ 'entry.study': { $in: studyIds } }], session }
+                            );
+                        }
+                    }
+                }
+
+                if (record.movedDocuments.length > 0) {
+                    await Document.bulkWrite(record.movedDocuments.map(moved => ({
+                        updateOne: {
+                            filter: {
+                                _id: moved.document,
+                                patientId: { $in: [record.survivorPatientID, String(record.survivor)] }
+                            },
+                            update: { $set: { patientId: moved.fromPatientId } }
+                        }
+                    })), { session });
+                }
+
+                await Patient.updateMany(
+                    { _id: { $in: mergedObjectIds } },
+                    { $unset: { mergedInto: '', mergedAt: '' } },
+                    { session }
+                );
+                for (const patientId of [record.survivor, ...mergedObjectIds]) {
+                    await this.recomputePatientStats(patientId, session);
+                }
+
+                await PatientDuplicateCandidate.updateMany(
+                    { merge: record._id },
+                    { $set: { status: 'open' }, $unset: { resolvedAt: '', resolvedBy: '', merge: '' } },
+                    { session }
+                );
+
+                record.status = 'undone';
+                record.undoneAt = now;
+                record.undoneBy = userId;
+                await record.save({ session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        console.log(`↩️ Undid patient merge ${record._id} (${record.movedStudies.length} studies restored)`);
+        return record;
+    }
+}
+
+export default new PatientMergeService();
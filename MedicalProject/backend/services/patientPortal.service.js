@@ -0,0 +1,384 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import PatientPortalAccount from '../models/patientPortalAccountModel.js';
+import Patient from '../models/patientModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import Document from '../models/documentModal.js';
+import ShareToken from '../models/shareTokenSchema.js';
+import transporter from '../config/resend.js';
+import smsService from './sms.service.js';
+import WasabiService from './wasabi.service.js';
+import { isSignedReport } from '../utils/reportVersioning.js';
+import { normalizePhone } from '../utils/phone.js';
+
+// Same limits as the password reset OTP (controllers/forgotPassword.controller.js)
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5;
+const LOCKOUT_MS = 30 * 60 * 1000;
+const SESSION_TTL = '12h';
+const VIEWER_LINK_TTL_MS = 60 * 60 * 1000;
+const STUDY_FIELDS = 'studyInstanceUID orthancStudyID patientInfo studyDate modality modalitiesInStudy examDescription accessionNumber sourceLab doctorReports workflowStatus';
+
+// Bump the version whenever the text changes; patients accept again on next login
+export const PORTAL_CONSENT = {
+    version: '1.0',
+    text: 'I confirm that I am the patient, or am authorised by the patient, to view these records. '
+        + 'Reports and images shown here are for my personal use and do not replace a consultation with my doctor. '
+        + 'I understand that my logins, downloads and acknowledgements are recorded.'
+};
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+const maskPhone = (phone = '') => phone.replace(/.(?=.{3})/g, '*');
+
+const buildReportView = (report, access) => ({
+    _id: report._id,
+    fileName: report.filename,
+    versionType: report.versionType || 'final',
+    addendumNumber: report.addendumNumber,
+    signedAt: report.signedAt || report.uploadedAt,
+    isSuperseded: Boolean(report.supersededBy),
+    downloadedAt: access?.lastDownloadedAt || null,
+    acknowledgedAt: access?.acknowledgedAt || null
+});
+
+// Mobile number + OTP login, study listing and report delivery for patients
+class PatientPortalService {
+    // Patient records whose phone ends with the same 10 digits, merged records excluded
+    async findPatientsByPhone(phone) {
+        return Patient.find({
+            phoneNormalized: phone,
+            mergedInto: { $exists: false }
+        }).select('_id firstName lastName patientNameRaw computed.fullName contactInformation').lean();
+    }
+
+    /**
+     * Sends a login code by SMS, or to the email on the patient record when SMS
+     * is not configured. Unknown numbers go through the same cooldown, lockout
+     * and responses as known ones - only the code is never delivered - so the
+     * endpoint cannot be used to find out which numbers belong to patients.
+     */
+    async requestOtp(rawPhone) {
+        const phone = normalizePhone(rawPhone);
+        if (!phone) throw httpError('Enter a valid mobile number', 400);
+
+        const account = await PatientPortalAccount.findOneAndUpdate(
+            { phone },
+            { $setOnInsert: { phone } },
+            { upsert: true, new: true }
+        );
+
+        if (account.lockedUntil && account.lockedUntil > Date.now()) {
+            const minutesLeft = Math.ceil((account.lockedUntil - Date.now()) / (60 * 1000));
+            throw httpError(`Too many incorrect codes. Please try again in ${minutesLeft} minutes.`, 429);
+        }
+        if (account.otpSentAt && Date.now() - account.otpSentAt < OTP_RESEND_COOLDOWN_MS) {
+            throw httpError('Please wait a minute before requesting a new code', 429);
+        }
+
+        // Stored before sending, so a code that arrives quickly can already be checked
+        const plainOTP = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        account.otpHash = await bcrypt.hash(plainOTP, 10);
+        account.otpExpiresAt = new Date(Date.now() + OTP_TTL_MS);
+        account.otpSentAt = new Date();
+        account.otpAttempts = 0;
+        await account.save();
+
+        const patients = account.isActive ? await this.findPatientsByPhone(phone) : [];
+        if (!patients.length) {
+            console.log(`📱 Patient portal OTP requested for unregistered or disabled number ${maskPhone(phone)}`);
+            return;
+        }
+
+        const message = `${plainOTP} is your login code for the patient portal. It is valid for 10 minutes. Do not share it with anyone.`;
+
+        if (smsService.isConfigured()) {
+            // The number as the lab recorded it, which carries the right country code
+            await smsService.send(patients[0].contactInformation.phone, message);
+        } else {
+            const email = patients.find(patient => patient.contactInformation?.email)?.contactInformation.email;
+            if (!email) {
+                console.warn(`⚠️ No SMS gateway and no email on file for ${maskPhone(phone)} - portal code not sent`);
+                return;
+            }
+            await transporter.sendMail({
+                to: email,
+                name: patients[0].computed?.fullName || patients[0].patientNameRaw || 'Patient',
+                subject: 'Your patient portal login code',
+                html: `
+                    <div style="font-family: Arial, sans-serif; color: #1f2937;">
+                        <p>Use this code to sign in to the patient portal:</p>
+                        <p style="font-size: 32px; font-weight: bold; letter-spacing: 8px; font-family: 'Courier New', monospace;">${plainOTP}</p>
+                        <p style="color: #6b7280;">The code is valid for 10 minutes. If you did not try to sign in, ignore this email.</p>
+                    </div>`,
+                tags: ['patient-portal-otp']
+            });
+        }
+    }
+
+    // Checks the code and returns a portal session token
+    async verifyOtp(rawPhone, otp) {
+        const phone = normalizePhone(rawPhone);
+        if (!phone || !/^\d{6}$/.test(String(otp || ''))) {
+            throw httpError('Mobile number and 6-digit code are required', 400);
+        }
+
+        // Disabled accounts answer like any other until the code itself checks out
+        const account = await PatientPortalAccount.findOne({ phone }).select('+otpHash +otpExpiresAt');
+        if (!account?.otpHash) {
+            throw httpError('No valid code found. Please request a new one.', 400);
+        }
+        if (account.lockedUntil && account.lockedUntil > Date.now()) {
+            const minutesLeft = Math.ceil((account.lockedUntil - Date.now()) / (60 * 1000));
+            throw httpError(`Too many incorrect codes. Please try again in ${minutesLeft} minutes.`, 429);
+        }
+        if (account.otpExpiresAt < Date.now()) {
+            throw httpError('The code has expired. Please request a new one.', 400);
+        }
+
+        if (!(await this.claimOtpAttempt(account))) {
+            throw httpError('Too many incorrect codes. Please try again later.', 429);
+        }
+
+        const isValidOTP = await bcrypt.compare(String(otp), account.otpHash);
+        if (!isValidOTP) {
+            if (account.lockedUntil > Date.now()) {
+                throw httpError('Too many incorrect codes. Login locked for 30 minutes.', 429);
+            }
+            throw httpError(`Incorrect code. ${MAX_OTP_ATTEMPTS - account.otpAttempts} attempts remaining.`, 400);
+        }
+
+        if (!account.isActive) {
+            throw httpError('No valid code found. Please request a new one.', 400);
+        }
+
+        // Patient records can be added or merged between logins
+        const patients = await this.findPatientsByPhone(phone);
+        account.patients = patients.map(patient => patient._id);
+        account.otpHash = undefined;
+        account.otpExpiresAt = undefined;
+        account.otpAttempts = 0;
+        account.lockedUntil = undefined;
+        account.lastLoginAt = new Date();
+        account.loginCount += 1;
+        await account.save();
+
+        console.log(`✅ Patient portal login for ${maskPhone(phone)} (${patients.length} patient records)`);
+
+        const token = jwt.sign(
+            { portalAccountId: account._id, purpose: 'patient-portal' },
+            process.env.JWT_SECRET,
+            { expiresIn: SESSION_TTL }
+        );
+        return { token, profile: await this.getProfile(account) };
+    }
+
+    // Counts an attempt before the code is checked, with one conditional update, so
+    // parallel guesses cannot get past MAX_OTP_ATTEMPTS. The attempt that reaches the
+    // limit also locks the login and drops the code. Returns false while locked.
+    async claimOtpAttempt(account) {
+        const now = new Date();
+        const attempts = { $add: [{ $ifNull: ['$otpAttempts', 0] }, 1] };
+        const reachesLimit = { $gte: [attempts, MAX_OTP_ATTEMPTS] };
+
+        const updated = await PatientPortalAccount.findOneAndUpdate(
+            { _id: account._id, lockedUntil: { $not: { $gt: now } } },
+            [{
+                $set: {
+                    otpAttempts: { $cond: [reachesLimit, 0, attempts] },
+                    lockedUntil: { $cond: [reachesLimit, new Date(now.getTime() + LOCKOUT_MS), '$lockedUntil'] },
+                    otpHash: { $cond: [reachesLimit, '$$REMOVE', '$otpHash'] },
+                    otpExpiresAt: { $cond: [reachesLimit, '$$REMOVE', '$otpExpiresAt'] }
+                }
+            }],
+            { new: true }
+        )
+            .select('otpAttempts lockedUntil')
+            .lean();
+        if (!updated) return false;
+
+        // save() on a successful login must not write the stale values back
+        account.otpAttempts = updated.otpAttempts;
+        account.lockedUntil = updated.lockedUntil;
+        account.unmarkModified('otpAttempts');
+        account.unmarkModified('lockedUntil');
+        return true;
+    }
+
+    async getProfile(account) {
+        const patients = await Patient.find({ _id: { $in: account.patients } })
+            .select('patientID firstName lastName patientNameRaw computed.fullName dateOfBirth gender')
+            .lean();
+
+        return {
+            phone: maskPhone(account.phone),
+            patients: patients.map(patient => ({
+                _id: patient._id,
+                patientID: patient.patientID,
+                name: patient.computed?.fullName || patient.patientNameRaw || `${patient.firstName || ''} ${patient.lastName || ''}`.trim(),
+                dateOfBirth: patient.dateOfBirth,
+                gender: patient.gender
+            })),
+            consent: {
+                required: account.consent?.version !== PORTAL_CONSENT.version,
+                acceptedVersion: account.consent?.version || null,
+                acceptedAt: account.consent?.acceptedAt || null,
+                current: PORTAL_CONSENT
+            }
+        };
+    }
+
+    async acceptConsent(account, version, { ip, userAgent } = {}) {
+        if (version !== PORTAL_CONSENT.version) {
+            throw httpError('The portal terms have changed. Please review them again.', 409);
+        }
+        account.consent = { version, acceptedAt: new Date(), ip, userAgent };
+        await account.save();
+        return this.getProfile(account);
+    }
+
+    assertConsent(account) {
+        if (account.consent?.version !== PORTAL_CONSENT.version) {
+            throw httpError('Please accept the portal terms to continue', 403);
+        }
+    }
+
+    // Every study of every Patient record linked to the number, newest first
+    async getStudies(account) {
+        this.assertConsent(account);
+
+        const studies = await DicomStudy.find({ patient: { $in: account.patients } })
+            .select(STUDY_FIELDS)
+            .populate('sourceLab', 'name')
+            .sort({ studyDate: -1 })
+            .lean();
+
+        const accessByReport = new Map(account.reportAccess.map(entry => [String(entry.reportId), entry]));
+
+        return studies.map(study => ({
+            _id: study._id,
+            studyDate: study.studyDate,
+            modality: study.modalitiesInStudy?.length ? study.modalitiesInStudy.join('/') : study.modality,
+            description: study.examDescription,
+            accessionNumber: study.accessionNumber,
+            patientName: study.patientInfo?.patientName,
+            labName: study.sourceLab?.name,
+            imagesAvailable: Boolean(study.studyInstanceUID),
+            reports: (study.doctorReports || [])
+                .filter(isSignedReport)
+                .map(report => buildReportView(report, accessByReport.get(String(report._id))))
+                .reverse()
+        }));
+    }
+
+    async getOwnStudy(account, studyId) {
+        this.assertConsent(account);
+
+        const study = await DicomStudy.findOne({ _id: studyId, patient: { $in: account.patients } })
+            .select(STUDY_FIELDS)
+            .lean();
+        if (!study) throw httpError('Study not found', 404);
+        return study;
+    }
+
+    getSignedReport(study, reportId) {
+        const report = (study.doctorReports || []).find(item => String(item._id) === String(reportId));
+        if (!report || !isSignedReport(report)) {
+            throw httpError('Report not found or not finalized yet', 404);
+        }
+        return report;
+    }
+
+    findReportAccess(account, study, report) {
+        let entry = account.reportAccess.find(item => String(item.reportId) === String(report._id));
+        if (!entry) {
+            account.reportAccess.push({ study: study._id, reportId: report._id });
+            entry = account.reportAccess[account.reportAccess.length - 1];
+        }
+        return entry;
+    }
+
+    async downloadReport(account, studyId, reportId) {
+        const study = await this.getOwnStudy(account, studyId);
+        const report = this.getSignedReport(study, reportId);
+
+        const documentRecord = await Document.findById(report._id);
+        if (!documentRecord?.wasabiKey) throw httpError('Report file not found', 404);
+
+        const wasabiResult = await WasabiService.downloadFile(documentRecord.wasabiBucket, documentRecord.wasabiKey);
+        if (!wasabiResult.success) {
+            throw new Error(wasabiResult.error || 'Failed to retrieve report from storage');
+        }
+
+        const entry = this.findReportAccess(account, study, report);
+        entry.firstDownloadedAt = entry.firstDownloadedAt || new Date();
+        entry.lastDownloadedAt = new Date();
+        entry.downloadCount += 1;
+        await account.save();
+
+        return {
+            fileName: documentRecord.fileName,
+            contentType: documentRecord.contentType,
+            data: wasabiResult.data
+        };
+    }
+
+    async acknowledgeReport(account, studyId, reportId) {
+        const study = await this.getOwnStudy(account, studyId);
+        const report = this.getSignedReport(study, reportId);
+
+        const entry = this.findReportAccess(account, study, report);
+        if (!entry.acknowledgedAt) {
+            entry.acknowledgedAt = new Date();
+            await account.save();
+        }
+        return entry;
+    }
+
+    // Short-lived images-only share link (see controllers/share.controller.js)
+    async createViewerLink(account, studyId) {
+        const study = await this.getOwnStudy(account, studyId);
+        if (!study.studyInstanceUID) throw httpError('Images are not available for this study', 404);
+
+        const shareToken = await ShareToken.create({
+            token: crypto.randomBytes(32).toString('hex'),
+            studyId: study._id,
+            studyInstanceUID: study.studyInstanceUID,
+            orthancStudyID: study.orthancStudyID,
+            viewerType: 'ohif-local',
+            patientName: study.patientInfo?.patientName,
+            studyDescription: study.examDescription,
+            modality: study.modality,
+            studyDate: study.studyDate,
+            expiresAt: new Date(Date.now() + VIEWER_LINK_TTL_MS),
+            permissions: { viewImages: true, viewReport: false, downloadZip: false },
+            createdBy: `patient-portal:${account._id}`
+        });
+
+        return { viewerPath: `/share/${shareToken.token}`, expiresAt: shareToken.expiresAt };
+    }
+
+    // Admin view: which portal accounts downloaded or acknowledged a study's reports
+    async getStudyAccess(studyId) {
+        const accounts = await PatientPortalAccount.find({ 'reportAccess.study': studyId })
+            .select('phone consent reportAccess lastLoginAt')
+            .lean();
+
+        return accounts.map(account => ({
+            _id: account._id,
+            phone: maskPhone(account.phone),
+            consentVersion: account.consent?.version || null,
+            consentAcceptedAt: account.consent?.acceptedAt || null,
+            lastLoginAt: account.lastLoginAt,
+            reports: account.reportAccess.filter(entry => String(entry.study) === String(studyId))
+        }));
+    }
+}
+
+export default new PatientPortalService();
@@ -0,0 +1,468 @@
+import mongoose from 'mongoose';
+import PeerReview, { RADPEER_SCORES } from '../models/peerReviewModel.js';
+import PeerReviewSettings from '../models/peerReviewSettingsModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import Doctor from '../models/doctorModel.js';
+import User from '../models/userModel.js';
+import transporter from '../config/resend.js';
+import websocketService from '../config/webSocket.js';
+import { getLatestSignedReportIndex } from '../utils/reportVersioning.js';
+
+const SETTINGS_CACHE_TTL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STUDY_FIELDS = 'patientInfo accessionNumber modality examDescription sourceLab reportInfo.finalizedAt assignment doctorReports';
+const SETTINGS_FIELDS = ['isEnabled', 'samplePercent', 'newDoctorDays', 'modalities', 'reviewers', 'dueDays', 'notifyAdminsOnDiscrepancy'];
+
+export const SCORE_LABELS = {
+    1: 'Concur with interpretation',
+    2: 'Discrepancy - diagnosis not ordinarily expected to be made',
+    3: 'Discrepancy - diagnosis should be made most of the time',
+    4: 'Discrepancy - diagnosis should be made almost every time'
+};
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+const getLatestAssignment = (study) => (study.assignment || [])
+    .filter(assignment => assignment.assignedTo)
+    .sort((a, b) => new Date(b.assignedAt || 0) - new Date(a.assignedAt || 0))[0];
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Samples finalized reports for a second read and runs the discrepancy follow-up
+class PeerReviewService {
+    constructor() {
+        this.settings = null;
+        this.settingsLoadedAt = 0;
+    }
+
+    invalidate() {
+        this.settings = null;
+        this.settingsLoadedAt = 0;
+    }
+
+    // Stored settings, or the schema defaults when none have been saved yet
+    async getSettings() {
+        if (this.settings && Date.now() - this.settingsLoadedAt < SETTINGS_CACHE_TTL_MS) {
+            return this.settings;
+        }
+        const stored = await PeerReviewSettings.findOne({ key: 'default' }).lean();
+        this.settings = stored || new PeerReviewSettings().toObject();
+        this.settingsLoadedAt = Date.now();
+        return this.settings;
+    }
+
+    async updateSettings(body, user) {
+        const data = {};
+        for (const field of SETTINGS_FIELDS) {
+            if (body[field] !== undefined) data[field] = body[field];
+        }
+        const settings = await PeerReviewSettings.findOneAndUpdate(
+            { key: 'default' },
+            { ...data, updatedBy: user._id },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+        this.invalidate();
+        return settings;
+    }
+
+    /**
+     * User id of the doctor who signed the study's latest report: the
+     * report's Doctor profile when recorded, otherwise the latest assignee.
+     */
+    async getReporterUserId(study, report) {
+        if (report?.doctorId) {
+            const doctor = await Doctor.findById(report.doctorId).select('userAccount').lean();
+            if (doctor?.userAccount) return doctor.userAccount;
+        }
+        return getLatestAssignment(study)?.assignedTo || null;
+    }
+
+    async isNewDoctor(reporterUserId, settings) {
+        if (!settings.newDoctorDays) return false;
+        const doctor = await Doctor.findOne({ userAccount: reporterUserId }).select('createdAt').lean();
+        return Boolean(doctor?.createdAt) && Date.now() - new Date(doctor.createdAt) < settings.newDoctorDays * DAY_MS;
+    }
+
+    /**
+     * Called after a report is signed. Decides whether the study goes to peer
+     * review and assigns it. Addenda and already reviewed studies are skipped.
+     * Returns the review or null; never throws so signing is never blocked.
+     */
+    async considerStudy(studyId) {
+        try {
+            const settings = await this.getSettings();
+            if (!settings.isEnabled) return null;
+
+            const study = await DicomStudy.findById(studyId).select(STUDY_FIELDS).lean();
+            const reportIndex = getLatestSignedReportIndex(study?.doctorReports);
+            if (reportIndex === -1) return null;
+
+            const report = study.doctorReports[reportIndex];
+            if (report.versionType === 'addendum') return null;
+            if (settings.modalities?.length && !settings.modalities.includes((study.modality || '').toUpperCase())) return null;
+            if (await PeerReview.exists({ study: study._id, status: { $ne: 'cancelled' } })) return null;
+
+            const reporter = await this.getReporterUserId(study, report);
+            if (!reporter) return null;
+
+            let selectionReason = null;
+            if (await this.isNewDoctor(reporter, settings)) {
+                selectionReason = 'new_doctor';
+            } else if (Math.random() * 100 < settings.samplePercent) {
+                selectionReason = 'random_sample';
+            }
+            if (!selectionReason) return null;
+
+            return await this.createReview(study, { report, reporter, selectionReason, settings });
+        } catch (error) {
+            console.error(`❌ Peer review sampling failed for study ${studyId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Active doctor with the fewest pending reviews, other than the reporter.
+     * Ties are broken randomly so reviews spread across the pool.
+     */
+    async pickReviewer(reporterUserId, settings) {
+        const filter = { isActiveProfile: true, userAccount: { $ne: reporterUserId } };
+        if (settings.reviewers?.length) filter._id = { $in: settings.reviewers };
+
+        const doctors = await Doctor.find(filter)
+            .select('userAccount')
+            .populate('userAccount', 'fullName email isActive')
+            .lean();
+        const candidates = doctors.filter(doctor => doctor.userAccount?.isActive);
+        if (!candidates.length) return null;
+
+        const userIds = candidates.map(doctor => doctor.userAccount._id);
+        const pending = await PeerReview.aggregate([
+            { $match: { status: 'pending', reviewer: { $in: userIds } } },
+            { $group: { _id: '$reviewer', count: { $sum: 1 } } }
+        ]);
+        const workload = new Map(pending.map(item => [String(item._id), item.count]));
+
+        const lowest = Math.min(...userIds.map(id => workload.get(String(id)) || 0));
+        const least = candidates.filter(doctor => (workload.get(String(doctor.userAccount._id)) || 0) === lowest);
+        return least[Math.floor(Math.random() * least.length)].userAccount;
+    }
+
+    async createReview(study, { report, reporter, selectionReason, settings, reviewer = null, user = null }) {
+        const assignee = reviewer || await this.pickReviewer(reporter, settings);
+        if (!assignee) {
+            console.warn(`⚠️ No peer reviewer available for study ${study._id}`);
+            return null;
+        }
+
+        const now = new Date();
+        const review = await PeerReview.create({
+            study: study._id,
+            reportId: report._id,
+            reportVersion: report.version,
+            patientName: study.patientInfo?.patientName,
+            patientId: study.patientInfo?.patientID,
+            accessionNumber: study.accessionNumber,
+            modality: study.modality,
+            examDescription: study.examDescription,
+            sourceLab: study.sourceLab,
+            reportFinalizedAt: study.reportInfo?.finalizedAt,
+            originalReporter: reporter,
+            reviewer: assignee._id,
+            selectionReason,
+            assignedAt: now,
+            dueAt: new Date(now.getTime() + settings.dueDays * DAY_MS),
+            history: [{ action: 'assigned', at: now, by: user?._id, note: selectionReason }],
+            createdBy: user?._id
+        });
+
+        console.log(`🔍 Peer review ${review._id} (${selectionReason}) assigned to ${assignee.fullName || assignee._id}`);
+        await this.notify(review, { kind: 'assigned', userIds: [assignee._id] });
+        return review;
+    }
+
+    // Admin request to review a specific signed study, outside the sampling
+    async requestReview(studyId, { reviewerId = null, user }) {
+        const study = await DicomStudy.findById(studyId).select(STUDY_FIELDS).lean();
+        if (!study) throw httpError('Study not found', 404);
+
+        const reportIndex = getLatestSignedReportIndex(study.doctorReports);
+        if (reportIndex === -1) throw httpError('Study has no signed report to review', 400);
+        if (await PeerReview.exists({ study: study._id, status: 'pending' })) {
+            throw httpError('Study already has a pending peer review', 409);
+        }
+
+        const report = study.doctorReports[reportIndex];
+        const reporter = await this.getReporterUserId(study, report);
+        if (!reporter) throw httpError('Could not determine the reporting doctor', 400);
+
+        const reviewer = reviewerId ? await this.getReviewerUser(reviewerId, reporter) : null;
+        const settings = await this.getSettings();
+        const review = await this.createReview(study, { report, reporter, selectionReason: 'manual', settings, reviewer, user });
+        if (!review) throw httpError('No peer reviewer available', 409);
+        return review;
+    }
+
+    async getReviewerUser(reviewerId, reporterUserId) {
+        if (String(reviewerId) === String(reporterUserId)) {
+            throw httpError('A doctor cannot review their own report', 400);
+        }
+        const reviewer = await User.findOne({ _id: reviewerId, role: 'doctor_account', isActive: true }).select('fullName email').lean();
+        if (!reviewer) throw httpError('Reviewer must be an active doctor', 400);
+        return reviewer;
+    }
+
+    async findReview(reviewId) {
+        if (!mongoose.Types.ObjectId.isValid(reviewId)) throw httpError('Invalid review ID', 400);
+        const review = await PeerReview.findById(reviewId);
+        if (!review) throw httpError('Peer review not found', 404);
+        return review;
+    }
+
+    async submitReview(reviewId, user, { score, clinicallySignificant, comments }) {
+        const review = await this.findReview(reviewId);
+        if (String(review.reviewer) !== String(user._id)) throw httpError('This review is assigned to another doctor', 403);
+        if (review.status !== 'pending') throw httpError(`Review is already ${review.status}`, 409);
+
+        const numericScore = Number(score);
+        if (!RADPEER_SCORES.includes(numericScore)) throw httpError('Score must be between 1 and 4', 400);
+        if (numericScore > 1 && !comments?.trim()) throw httpError('Comments are required when scoring a discrepancy', 400);
+
+        const now = new Date();
+        review.score = numericScore;
+        review.clinicallySignificant = numericScore > 1 && Boolean(clinicallySignificant);
+        review.comments = comments;
+        review.status = 'completed';
+        review.completedAt = now;
+        review.history.push({ action: 'completed', at: now, by: user._id, note: `Score ${numericScore}` });
+        if (numericScore > 1) review.discrepancy.status = 'open';
+        await review.save();
+
+        if (numericScore > 1) {
+            const settings = await this.getSettings();
+            await this.notify(review, {
+                kind: 'discrepancy',
+                userIds: [review.originalReporter],
+                notifyAdmins: settings.notifyAdminsOnDiscrepancy
+            });
+        }
+        return review;
+    }
+
+    async acknowledgeDiscrepancy(reviewId, user, response) {
+        const review = await this.findReview(reviewId);
+        if (String(review.originalReporter) !== String(user._id)) throw httpError('Only the original reporter can respond', 403);
+        if (review.discrepancy.status !== 'open') throw httpError('There is no open discrepancy on this review', 409);
+
+        review.discrepancy.status = 'acknowledged';
+        review.discrepancy.reporterResponse = response;
+        review.discrepancy.acknowledgedAt = new Date();
+        review.history.push({ action: 'acknowledged', by: user._id, note: response });
+        await review.save();
+        return review;
+    }
+
+    async resolveDiscrepancy(reviewId, user, resolutionNote) {
+        const review = await this.findReview(reviewId);
+        if (!['open', 'acknowledged'].includes(review.discrepancy.status)) {
+            throw httpError('There is no unresolved discrepancy on this review', 409);
+        }
+
+        review.discrepancy.status = 'resolved';
+        review.discrepancy.resolutionNote = resolutionNote;
+        review.discrepancy.resolvedAt = new Date();
+        review.discrepancy.resolvedBy = user._id;
+        review.history.push({ action: 'resolved', by: user._id, note: resolutionNote });
+        await review.save();
+        return review;
+    }
+
+    async reassignReview(reviewId, reviewerId, user) {
+        const review = await this.findReview(reviewId);
+        if (review.status !== 'pending') throw httpError('Only pending reviews can be reassigned', 409);
+
+        const reviewer = await this.getReviewerUser(reviewerId, review.originalReporter);
+        review.reviewer = reviewer._id;
+        review.assignedAt = new Date();
+        review.history.push({ action: 'reassigned', by: user._id, note: reviewer.fullName });
+        await review.save();
+
+        await this.notify(review, { kind: 'assigned', userIds: [reviewer._id] });
+        return review;
+    }
+
+    async cancelReview(reviewId, user, note) {
+        const review = await this.findReview(reviewId);
+        if (review.status !== 'pending') throw httpError('Only pending reviews can be cancelled', 409);
+
+        review.status = 'cancelled';
+        review.history.push({ action: 'cancelled', by: user._id, note });
+        await review.save();
+        return review;
+    }
+
+    /**
+     * QA figures per original reporter for reviews completed in [start, end),
+     * plus each reviewer's pending and overdue queue.
+     */
+    async getDashboard({ start, end }) {
+        const [reporters, reviewers] = await Promise.all([
+            PeerReview.aggregate([
+                { $match: { status: 'completed', completedAt: { $gte: start, $lt: end } } },
+                {
+                    $group: {
+                        _id: '$originalReporter',
+                        reviewed: { $sum: 1 },
+                        score1: { $sum: { $cond: [{ $eq: ['$score', 1] }, 1, 0] } },
+                        score2: { $sum: { $cond: [{ $eq: ['$score', 2] }, 1, 0] } },
+                        score3: { $sum: { $cond: [{ $eq: ['$score', 3] }, 1, 0] } },
+                        score4: { $sum: { $cond: [{ $eq: ['$score', 4] }, 1, 0] } },
+                        significant: { $sum: { $cond: ['$clinicallySignificant', 1, 0] } },
+                        unresolved: { $sum: { $cond: [{ $in: ['$discrepancy.status', ['open', 'acknowledged']] }, 1, 0] } },
+                        averageScore: { $avg: '$score' }
+                    }
+                }
+            ]),
+            PeerReview.aggregate([
+                { $match: { status: 'pending' } },
+                {
+                    $group: {
+                        _id: '$reviewer',
+                        pending: { $sum: 1 },
+                        overdue: { $sum: { $cond: [{ $lt: ['$dueAt', new Date()] }, 1, 0] } },
+                        oldestAssignedAt: { $min: '$assignedAt' }
+                    }
+                }
+            ])
+        ]);
+
+        const users = await User.find({ _id: { $in: [...reporters, ...reviewers].map(item => item._id) } })
+            .select('fullName email')
+            .lean();
+        const userInfo = new Map(users.map(user => [String(user._id), user]));
+        const describeUser = (id) => ({
+            doctor: id,
+            doctorName: userInfo.get(String(id))?.fullName || 'Unknown',
+            email: userInfo.get(String(id))?.email
+        });
+
+        const doctors = reporters.map(item => {
+            const discrepancies = item.score2 + item.score3 + item.score4;
+            return {
+                ...describeUser(item._id),
+                reviewed: item.reviewed,
+                scores: { 1: item.score1, 2: item.score2, 3: item.score3, 4: item.score4 },
+                discrepancies,
+                discrepancyRate: round2((discrepancies / item.reviewed) * 100),
+                significant: item.significant,
+                unresolved: item.unresolved,
+                averageScore: round2(item.averageScore)
+            };
+        }).sort((a, b) => b.discrepancyRate - a.discrepancyRate || b.reviewed - a.reviewed);
+
+        const totals = doctors.reduce((sum, doctor) => ({
+            reviewed: sum.reviewed + doctor.reviewed,
+            discrepancies: sum.discrepancies + doctor.discrepancies,
+            significant: sum.significant + doctor.significant,
+            unresolved: sum.unresolved + doctor.unresolved
+        }), { reviewed: 0, discrepancies: 0, significant: 0, unresolved: 0 });
+        totals.discrepancyRate = totals.reviewed ? round2((totals.discrepancies / totals.reviewed) * 100) : 0;
+
+        return {
+            totals,
+            doctors,
+            reviewers: reviewers
+                .map(item => ({ ...describeUser(item._id), pending: item.pending, overdue: item.overdue, oldestAssignedAt: item.oldestAssignedAt }))
+                .sort((a, b) => b.overdue - a.overdue || b.pending - a.pending)
+        };
+    }
+
+    /**
+     * Tells reviewers about new assignments and reporters (and optionally
+     * admins) about discrepancies, over WebSocket and email. Failures are
+     * logged, never thrown.
+     */
+    async notify(review, { kind, userIds = [], notifyAdmins = false }) {
+        const event = {
+            kind,
+            reviewId: review._id,
+            studyId: review.study,
+            patientName: review.patientName,
+            patientId: review.patientId,
+            accessionNumber: review.accessionNumber,
+            modality: review.modality,
+            score: review.score,
+            scoreLabel: review.score ? SCORE_LABELS[review.score] : undefined,
+            clinicallySignificant: review.clinicallySignificant,
+            dueAt: review.dueAt
+        };
+
+        try {
+            websocketService.notifyPeerReview(event, { notifyAdmins, doctorUserIds: userIds });
+        } catch (error) {
+            console.error('❌ Peer review WebSocket notification failed:', error.message);
+        }
+
+        try {
+            const userFilter = [{ _id: { $in: userIds } }];
+            if (notifyAdmins) userFilter.push({ role: 'admin' });
+            const users = await User.find({ $or: userFilter, isActive: true }).select('email fullName').lean();
+
+            const patient = event.patientName || event.patientId || 'study';
+            const subject = kind === 'discrepancy'
+                ? `Peer review discrepancy: ${patient} (score ${event.score})`
+                : `Peer review assigned: ${patient} (${event.modality || 'study'})`;
+            const html = this.renderEmail(event, review.comments);
+
+            for (const user of users.filter(item => item.email)) {
+                try {
+                    await transporter.sendMail({ to: user.email, name: user.fullName, subject, html, tags: ['peer-review'] });
+                } catch (error) {
+                    console.error(`❌ Peer review email to ${user.email} failed:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Peer review email notification failed:', error.message);
+        }
+    }
+
+    renderEmail(event, comments) {
+        const rows = [
+            ['Patient', `${event.patientName || '-'} (${event.patientId || '-'})`],
+            ['Accession', event.accessionNumber || '-'],
+            ['Modality', event.modality || '-'],
+            ...(event.kind === 'discrepancy'
+                ? [
+                    ['Score', `${event.score} - ${event.scoreLabel}`],
+                    ['Clinically significant', event.clinicallySignificant ? 'Yes' : 'No'],
+                    ['Reviewer comments', comments || '-']
+                ]
+                : [['Due', event.dueAt ? new Date(event.dueAt).toLocaleString() : '-']])
+        ];
+
+        return `
+            <div style="font-family: Arial, sans-serif; color: #1f2937;">
+                <h2 style="color: ${event.kind === 'discrepancy' ? '#b45309' : '#1d4ed8'};">
+                    ${event.kind === 'discrepancy' ? 'A peer review found a discrepancy in your report' : 'A report has been assigned to you for peer review'}
+                </h2>
+                <table style="border-collapse: collapse;">
+                    ${rows.map(([label, value]) => `
+                        <tr>
+                            <td style="padding: 4px 12px 4px 0; color: #6b7280; vertical-align: top;">${label}</td>
+                            <td style="padding: 4px 0;">${escapeHtml(value)}</td>
+                        </tr>`).join('')}
+                </table>
+            </div>`;
+    }
+}
+
+export default new PeerReviewService();
@@ -0,0 +1,217 @@
+import mongoose from 'mongoose';
+import RvuWeight from '../models/rvuWeightModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import User from '../models/userModel.js';
+import billingService, { getMonthPeriod } from './billing.service.js';
+import { getZonedParts, startOfZonedDay, DEFAULT_TIMEZONE } from '../utils/businessCalendar.js';
+
+const DEFAULT_RVU = 1;
+const WEIGHT_CACHE_TTL_MS = 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const STUDY_FIELDS = 'modality examDescription sourceLab reportInfo.finalizedAt assignment.assignedTo assignment.assignedAt ' +
+    'statusHistory.status statusHistory.changedAt doctorReports.versionType';
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+const toDateKey = (date, timezone) => {
+    const parts = getZonedParts(new Date(date), timezone);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+};
+
+const describeMinutes = (values) => {
+    const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+    if (!sorted.length) return { count: 0, avg: null, median: null, p90: null };
+    const at = (p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+    return {
+        count: sorted.length,
+        avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        median: at(50),
+        p90: at(90)
+    };
+};
+
+const getLatestAssignment = (study) => (study.assignment || [])
+    .filter(assignment => assignment.assignedTo)
+    .sort((a, b) => new Date(b.assignedAt || 0) - new Date(a.assignedAt || 0))[0];
+
+/**
+ * Minutes from the reporting doctor first opening the study to the report
+ * being finalized. Only history after the latest assignment counts, so a
+ * reassigned study measures the doctor who actually reported it.
+ */
+export const getReadingMinutes = (study) => {
+    const assignedAt = getLatestAssignment(study)?.assignedAt;
+    const history = (study.statusHistory || [])
+        .filter(entry => entry.changedAt && (!assignedAt || new Date(entry.changedAt) >= new Date(assignedAt)));
+
+    const opened = history.find(entry => entry.status === 'doctor_opened_report');
+    if (!opened) return null;
+
+    const openedAt = new Date(opened.changedAt);
+    const finalized = history.find(entry => entry.status === 'report_finalized' && new Date(entry.changedAt) >= openedAt);
+    const finalizedAt = finalized?.changedAt || study.reportInfo?.finalizedAt;
+    if (!finalizedAt) return null;
+
+    const minutes = (new Date(finalizedAt) - openedAt) / 60000;
+    return minutes >= 0 ? Math.round(minutes) : null;
+};
+
+// Per-doctor reporting output: volume, RVUs, reading time and revision rate
+class ProductivityService {
+    constructor() {
+        this.weights = null;
+        this.weightsLoadedAt = 0;
+    }
+
+    invalidate() {
+        this.weights = null;
+        this.weightsLoadedAt = 0;
+    }
+
+    async getActiveWeights() {
+        if (this.weights && Date.now() - this.weightsLoadedAt < WEIGHT_CACHE_TTL_MS) {
+            return this.weights;
+        }
+        this.weights = await RvuWeight.find({ isActive: true }).lean();
+        this.weightsLoadedAt = Date.now();
+        return this.weights;
+    }
+
+    // Longest matching exam pattern wins, then the modality's plain weight
+    rvuFor(study, weights) {
+        const modality = (study.modality || '').toUpperCase();
+        const description = (study.examDescription || '').toLowerCase();
+        const candidates = weights.filter(weight => weight.modality === modality);
+
+        const specific = candidates
+            .filter(weight => weight.examPattern && description.includes(weight.examPattern.toLowerCase()))
+            .sort((a, b) => b.examPattern.length - a.examPattern.length)[0];
+        const general = candidates.find(weight => !weight.examPattern);
+
+        return (specific || general)?.rvu ?? DEFAULT_RVU;
+    }
+
+    /**
+     * Parses ?from=&to= (YYYY-MM-DD, inclusive) into UTC bounds.
+     * Defaults to the last 30 days.
+     */
+    parseRange(from, to, timezone = DEFAULT_TIMEZONE) {
+        const start = from ? startOfZonedDay(from, timezone) : startOfZonedDay(new Date(), timezone, -29);
+        const end = to ? startOfZonedDay(to, timezone, 1) : startOfZonedDay(new Date(), timezone, 1);
+        if (isNaN(start) || isNaN(end) || end <= start) {
+            throw httpError('Invalid date range', 400);
+        }
+        if ((end - start) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+            throw httpError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+        }
+        return { start, end };
+    }
+
+    /**
+     * Productivity per reporting doctor for studies finalized in [start, end).
+     * Options: doctorId (User id) to restrict to one doctor, labId, includeDaily
+     * for the per-day series (every day of the range, zero-filled).
+     */
+    async getProductivity({ start, end, doctorId = null, labId = null, includeDaily = false, timezone = DEFAULT_TIMEZONE }) {
+        const filter = { 'reportInfo.finalizedAt': { $gte: start, $lt: end } };
+        if (labId) filter.sourceLab = new mongoose.Types.ObjectId(String(labId));
+        if (doctorId) filter['assignment.assignedTo'] = new mongoose.Types.ObjectId(String(doctorId));
+
+        const [studies, weights] = await Promise.all([
+            DicomStudy.find(filter).select(STUDY_FIELDS).lean(),
+            this.getActiveWeights()
+        ]);
+
+        const doctors = new Map();
+        for (const study of studies) {
+            const reporter = getLatestAssignment(study)?.assignedTo?.toString();
+            if (!reporter || (doctorId && reporter !== String(doctorId))) continue;
+
+            if (!doctors.has(reporter)) {
+                doctors.set(reporter, { doctor: reporter, finalized: 0, rvu: 0, revised: 0, readingMinutes: [], modalities: new Map(), days: new Map() });
+            }
+            const entry = doctors.get(reporter);
+            const rvu = this.rvuFor(study, weights);
+            const modality = study.modality || 'N/A';
+            const dateKey = toDateKey(study.reportInfo.finalizedAt, timezone);
+
+            entry.finalized += 1;
+            entry.rvu += rvu;
+            entry.readingMinutes.push(getReadingMinutes(study));
+            if ((study.doctorReports || []).some(report => report.versionType === 'addendum')) entry.revised += 1;
+
+            const modalityEntry = entry.modalities.get(modality) || { modality, finalized: 0, rvu: 0 };
+            modalityEntry.finalized += 1;
+            modalityEntry.rvu += rvu;
+            entry.modalities.set(modality, modalityEntry);
+
+            const dayEntry = entry.days.get(dateKey) || { finalized: 0, rvu: 0 };
+            dayEntry.finalized += 1;
+            dayEntry.rvu += rvu;
+            entry.days.set(dateKey, dayEntry);
+        }
+
+        const users = await User.find({ _id: { $in: [...doctors.keys(), ...(doctorId ? [doctorId] : [])] } })
+            .select('fullName email')
+            .lean();
+        const userInfo = new Map(users.map(user => [user._id.toString(), user]));
+
+        // A doctor asked for by id is always returned, even with nothing reported
+        if (doctorId && !doctors.has(String(doctorId))) {
+            doctors.set(String(doctorId), { doctor: String(doctorId), finalized: 0, rvu: 0, revised: 0, readingMinutes: [], modalities: new Map(), days: new Map() });
+        }
+
+        const dayKeys = [];
+        if (includeDaily) {
+            for (let day = 0; ; day++) {
+                const dayStart = startOfZonedDay(start, timezone, day);
+                if (dayStart >= end) break;
+                dayKeys.push(toDateKey(dayStart, timezone));
+            }
+        }
+        const rangeDays = Math.max(1, Math.round((end - start) / (24 * 60 * 60 * 1000)));
+
+        return [...doctors.values()].map(entry => ({
+            doctor: entry.doctor,
+            doctorName: userInfo.get(entry.doctor)?.fullName || 'Unknown',
+            email: userInfo.get(entry.doctor)?.email,
+            finalized: entry.finalized,
+            rvu: round2(entry.rvu),
+            activeDays: entry.days.size,
+            reportsPerDay: round2(entry.finalized / rangeDays),
+            reportsPerActiveDay: entry.days.size ? round2(entry.finalized / entry.days.size) : 0,
+            rvuPerDay: round2(entry.rvu / rangeDays),
+            readingTime: describeMinutes(entry.readingMinutes),
+            revised: entry.revised,
+            revisionRate: entry.finalized ? round2((entry.revised / entry.finalized) * 100) : 0,
+            byModality: [...entry.modalities.values()]
+                .map(item => ({ ...item, rvu: round2(item.rvu) }))
+                .sort((a, b) => b.rvu - a.rvu),
+            ...(includeDaily && {
+                daily: dayKeys.map(date => ({
+                    date,
+                    finalized: entry.days.get(date)?.finalized || 0,
+                    rvu: round2(entry.days.get(date)?.rvu || 0)
+                }))
+            })
+        })).sort((a, b) => b.rvu - a.rvu);
+    }
+
+    /**
+     * Monthly statement PDF: payout from the month's invoices plus the
+     * doctor's productivity for the same month.
+     */
+    async renderStatement(month, doctorId) {
+        const period = getMonthPeriod(month);
+        const [productivity] = await this.getProductivity({ start: period.start, end: period.end, doctorId });
+        return billingService.renderPayoutPdf(month, doctorId, { productivity });
+    }
+}
+
+export default new ProductivityService();
@@ -0,0 +1,140 @@
+import DicomStudy from '../models/dicomStudyModel.js';
+import ReferringPhysician from '../models/referringPhysicianModel.js';
+import reportDispatchService from './reportDispatch.service.js';
+import { formatPersonName, normalizePhysicianName } from '../utils/physicianName.js';
+import { getLatestSignedReportIndex } from '../utils/reportVersioning.js';
+
+// Unknown referring names get a placeholder entry an admin can complete later
+const AUTO_CREATE = process.env.REFERRING_PHYSICIAN_AUTO_CREATE !== 'false';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Links studies to the referring physician directory and delivers
+// finalized reports to the linked physician.
+class ReferringPhysicianService {
+    async findByName(name) {
+        const key = normalizePhysicianName(name);
+        if (!key) return null;
+
+        return ReferringPhysician.findOne({
+            isActive: true,
+            $or: [{ nameKey: key }, { aliasKeys: key }]
+        });
+    }
+
+    /**
+     * Directory entry for a referring name from DICOM or a lab edit.
+     * details: { institution, mobile, email } used only when the entry is created.
+     * Returns null for empty names, or unknown names when auto-create is off.
+     */
+    async resolve(name, details = {}) {
+        const key = normalizePhysicianName(name);
+        if (!key) return null;
+
+        const existing = await this.findByName(name);
+        if (existing || !AUTO_CREATE) return existing;
+
+        try {
+            return await ReferringPhysician.create({
+                name: formatPersonName(name),
+                institution: details.institution || '',
+                mobile: details.mobile || '',
+                email: EMAIL_PATTERN.test(details.email || '') ? details.email : '',
+                source: 'auto'
+            });
+        } catch (error) {
+            // Another ingestion job created it first
+            if (error.code === 11000) {
+                return ReferringPhysician.findOne({ nameKey: key });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Links studies that have a referring name but no directory entry yet.
+     * Returns the number of studies linked.
+     */
+    async linkUnlinkedStudies() {
+        const names = await DicomStudy.distinct('referringPhysicianName', {
+            referringPhysicianRef: null,
+            referringPhysicianName: { $nin: [null, ''] }
+        });
+
+        let linked = 0;
+        for (const name of names) {
+            const physician = await this.resolve(name);
+            if (!physician) continue;
+
+            const result = await DicomStudy.updateMany(
+                { referringPhysicianName: name, referringPhysicianRef: null },
+                { $set: { referringPhysicianRef: physician._id } }
+            );
+            linked += result.modifiedCount;
+        }
+
+        console.log(`👨‍⚕️ Linked ${linked} studies to referring physicians (${names.length} names checked)`);
+        return linked;
+    }
+
+    /**
+     * Queues the latest signed report for the study's linked physician.
+     * Called after a report is finalized or an addendum is signed; each signed
+     * version goes out once per address.
+     * Returns { dispatches, reason }; dispatches is null when nothing was queued.
+     */
+    async deliverFinalizedReport(studyId, user) {
+        const study = await DicomStudy.findById(studyId)
+            .select('referringPhysicianRef sourceLab doctorReports reportDispatches workflowStatus')
+            .populate('referringPhysicianRef');
+
+        const physician = study?.referringPhysicianRef;
+        if (!physician || !physician.isActive || !physician.autoDeliver || physician.preferredChannel === 'none') {
+            return { dispatches: null, reason: 'No referring physician set up for automatic delivery' };
+        }
+        if (!EMAIL_PATTERN.test(physician.email || '')) {
+            return { dispatches: null, reason: `No email on file for ${physician.name}` };
+        }
+
+        const reportIndex = getLatestSignedReportIndex(study.doctorReports);
+        if (reportIndex === -1) {
+            return { dispatches: null, reason: 'No signed report' };
+        }
+
+        const reportId = String(study.doctorReports[reportIndex]._id);
+        const alreadySent = (study.reportDispatches || []).some(dispatch =>
+            String(dispatch.reportId) === reportId &&
+            dispatch.recipientEmail === physician.email &&
+            dispatch.status !== 'failed'
+        );
+        if (alreadySent) {
+            return { dispatches: null, reason: 'Already delivered' };
+        }
+
+        const template = await reportDispatchService.resolveTemplate(physician.emailTemplate, study.sourceLab);
+        const dispatches = await reportDispatchService.queueStudyDispatch(study, {
+            recipients: [{ email: physician.email, name: physician.name }],
+            templateKey: template?.key || 'standard',
+            userId: user?._id
+        });
+
+        await DicomStudy.updateOne({ _id: study._id }, {
+            $set: {
+                reportDispatched: true,
+                reportDispatchedAt: new Date()
+            },
+            $push: {
+                statusHistory: {
+                    status: study.workflowStatus,
+                    changedAt: new Date(),
+                    changedBy: user?._id,
+                    note: `Report automatically queued for referring physician ${physician.name} (${physician.email})`
+                }
+            }
+        });
+
+        console.log(`📧 Report for study ${studyId} auto-queued for ${physician.email}`);
+        return { dispatches, reason: null };
+    }
+}
+
+export default new ReferringPhysicianService();
@@ -0,0 +1,309 @@
+import Queue from 'bull';
+import mongoose from 'mongoose';
+import DicomStudy from '../models/dicomStudyModel.js';
+import Document from '../models/documentModal.js';
+import ReportEmailTemplate from '../models/reportEmailTemplateModel.js';
+import WasabiService from './wasabi.service.js';
+import transporter from '../config/resend.js';
+import { getLatestSignedReportIndex } from '../utils/reportVersioning.js';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const JOB_NAME = 'send-report-email';
+const MAX_ATTEMPTS = parseInt(process.env.REPORT_DISPATCH_MAX_ATTEMPTS) || 4;
+const BACKOFF_DELAY_MS = parseInt(process.env.REPORT_DISPATCH_BACKOFF_MS) || 60000;
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.REPORT_DISPATCH_MAX_ATTACHMENT_MB) || 8) * 1024 * 1024;
+const LINK_EXPIRY_SECONDS = parseInt(process.env.REPORT_DISPATCH_LINK_EXPIRY_SECONDS) || 7 * 24 * 60 * 60; // S3 maximum
+
+export const DEFAULT_TEMPLATE = {
+    key: 'standard',
+    name: 'Standard',
+    subject: 'Report: {{patientName}} - {{modality}} {{studyDate}}',
+    htmlBody: `
+        <p>Dear {{referringPhysician}},</p>
+        <p>The report for <strong>{{patientName}}</strong> (ID {{patientId}}) is ready.</p>
+        <table cellpadding="4">
+            <tr><td>Study</td><td>{{modality}} - {{studyDescription}}</td></tr>
+            <tr><td>Study date</td><td>{{studyDate}}</td></tr>
+            <tr><td>Accession</td><td>{{accessionNumber}}</td></tr>
+            <tr><td>Reported by</td><td>{{doctorName}}</td></tr>
+        </table>
+        <p>{{reportLink}}</p>
+        <p>Regards,<br/>{{labName}}</p>
+    `,
+    deliveryMode: 'attachment'
+};
+
+// Provider webhook events -> our delivery status
+const PROVIDER_EVENT_STATUS = {
+    delivered: 'delivered',
+    hard_bounce: 'bounced',
+    soft_bounce: 'bounced',
+    blocked: 'bounced',
+    invalid_email: 'bounced',
+    error: 'failed'
+};
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Values are escaped; reportLink is already HTML built here
+function renderTemplate(template, values, { html = true } = {}) {
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+        if (!(key in values)) return match;
+        if (key === 'reportLink' || !html) return values[key];
+        return escapeHtml(values[key]);
+    });
+}
+
+// Sends finalized reports by email. Each recipient is one Bull job so a bad
+// address or a provider hiccup only retries that recipient, and every
+// attempt is mirrored into study.reportDispatches.
+class ReportDispatchService {
+    constructor() {
+        this.queue = null;
+    }
+
+    startWorker() {
+        if (this.queue) return;
+
+        this.queue = new Queue('report-dispatch', REDIS_URL, {
+            redis: {
+                tls: {},
+                maxRetriesPerRequest: null,
+                enableReadyCheck: false
+            },
+            defaultJobOptions: {
+                attempts: MAX_ATTEMPTS,
+                backoff: { type: 'exponential', delay: BACKOFF_DELAY_MS },
+                removeOnComplete: 500,
+                removeOnFail: 500
+            }
+        });
+
+        this.queue.process(JOB_NAME, 3, (job) => this.sendDispatch(job));
+        this.queue.on('failed', (job, error) => this.onFailed(job, error));
+        this.queue.on('error', (error) => {
+            console.error('❌ Report dispatch queue error:', error.message);
+        });
+
+        console.log(`📧 Report dispatch queue started (attempts: ${MAX_ATTEMPTS})`);
+    }
+
+    // Template for a key: the lab's own, then the global one, then the built-in default
+    async resolveTemplate(key, labId) {
+        const templateKey = (key || DEFAULT_TEMPLATE.key).toLowerCase();
+        const templates = await ReportEmailTemplate.find({
+            key: templateKey,
+            isActive: true,
+            lab: { $in: labId ? [labId, null] : [null] }
+        }).lean();
+
+        return templates.find(template => labId && String(template.lab) === String(labId))
+            || templates.find(template => !template.lab)
+            || (templateKey === DEFAULT_TEMPLATE.key ? DEFAULT_TEMPLATE : null);
+    }
+
+    /**
+     * Records a queued dispatch per recipient on the study and enqueues the sends.
+     * recipients: [{ email, name }]
+     * Returns the created dispatch entries.
+     */
+    async queueStudyDispatch(study, { recipients, templateKey, userId }) {
+        if (!this.queue) this.startWorker();
+
+        const reportIndex = getLatestSignedReportIndex(study.doctorReports);
+        const reportId = study.doctorReports[reportIndex]?._id;
+        const now = new Date();
+
+        const entries = recipients.map(recipient => ({
+            _id: new mongoose.Types.ObjectId(),
+            recipientEmail: recipient.email,
+            recipientName: recipient.name,
+            template: templateKey,
+            reportId,
+            status: 'queued',
+            queuedAt: now,
+            dispatchedBy: userId
+        }));
+
+        await DicomStudy.updateOne(
+            { _id: study._id },
+            { $push: { reportDispatches: { $each: entries } } }
+        );
+
+        await Promise.all(entries.map(entry => this.queue.add(JOB_NAME, {
+            studyId: String(study._id),
+            dispatchId: String(entry._id)
+        }, { jobId: `report-dispatch-${entry._id}` })));
+
+        return entries;
+    }
+
+    // Sends a failed or bounced dispatch again, e.g. after the address was corrected
+    async requeueDispatch(studyId, dispatchId, { recipientEmail } = {}) {
+        if (!this.queue) this.startWorker();
+
+        const fields = { status: 'queued', error: null, messageId: null, attempts: 0, queuedAt: new Date() };
+        if (recipientEmail) fields.recipientEmail = recipientEmail.trim().toLowerCase();
+
+        const update = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            update[`reportDispatches.$.${field}`] = value;
+        });
+        const result = await DicomStudy.updateOne(
+            { _id: studyId, reportDispatches: { $elemMatch: { _id: dispatchId, status: { $in: ['failed', 'bounced'] } } } },
+            { $set: update }
+        );
+        if (result.matchedCount === 0) return false;
+
+        // A new job id so Bull does not dedupe against the finished job
+        await this.queue.add(JOB_NAME, { studyId: String(studyId), dispatchId: String(dispatchId) }, {
+            jobId: `report-dispatch-${dispatchId}-${Date.now()}`
+        });
+        return true;
+    }
+
+    async updateDispatch(studyId, dispatchId, fields) {
+        const update = { 'reportDispatches.$.statusUpdatedAt': new Date() };
+        Object.entries(fields).forEach(([field, value]) => {
+            update[`reportDispatches.$.${field}`] = value;
+        });
+        await DicomStudy.updateOne(
+            { _id: studyId, 'reportDispatches._id': dispatchId },
+            { $set: update }
+        );
+    }
+
+    async sendDispatch(job) {
+        const { studyId, dispatchId } = job.data;
+
+        const study = await DicomStudy.findById(studyId)
+            .select('patientInfo patientId accessionNumber studyDate modalitiesInStudy modality examDescription referringPhysicianName physicians sourceLab doctorReports reportDispatches reportInfo')
+            .populate('sourceLab', 'name')
+            .lean();
+        const dispatch = study?.reportDispatches?.find(entry => String(entry._id) === dispatchId);
+        if (!dispatch) {
+            console.warn(`⚠️ Report dispatch ${dispatchId} no longer exists - skipping`);
+            return { skipped: true };
+        }
+        if (dispatch.status !== 'queued') {
+            return { skipped: true, status: dispatch.status };
+        }
+
+        await this.updateDispatch(studyId, dispatchId, { attempts: job.attemptsMade + 1 });
+
+        // Always send what downloads serve: the latest signed version
+        const reportIndex = getLatestSignedReportIndex(study.doctorReports);
+        const report = study.doctorReports[reportIndex];
+        if (!report) {
+            await this.updateDispatch(studyId, dispatchId, { status: 'failed', error: 'No signed report to send' });
+            return { failed: true };
+        }
+
+        const template = await this.resolveTemplate(dispatch.template, study.sourceLab?._id);
+        if (!template) {
+            await this.updateDispatch(studyId, dispatchId, { status: 'failed', error: `Email template "${dispatch.template}" not found` });
+            return { failed: true };
+        }
+
+        const documentRecord = await Document.findById(report._id).lean();
+        if (!documentRecord?.wasabiKey) {
+            await this.updateDispatch(studyId, dispatchId, { status: 'failed', error: 'Report file not found in storage' });
+            return { failed: true };
+        }
+
+        let deliveryMode = template.deliveryMode || 'attachment';
+        if (deliveryMode === 'attachment' && (documentRecord.fileSize || report.size || 0) > MAX_ATTACHMENT_BYTES) {
+            deliveryMode = 'link';
+        }
+
+        const attachments = [];
+        let reportLink = '';
+        if (deliveryMode === 'attachment') {
+            const download = await WasabiService.downloadFile(documentRecord.wasabiBucket, documentRecord.wasabiKey);
+            if (!download.success) {
+                throw new Error(download.error || 'Failed to download report from storage');
+            }
+            attachments.push({ filename: documentRecord.fileName || report.filename, content: download.data });
+            reportLink = 'The report is attached to this email.';
+        } else {
+            const presigned = await WasabiService.generatePresignedUrl(documentRecord.wasabiBucket, documentRecord.wasabiKey, LINK_EXPIRY_SECONDS);
+            const expiresOn = presigned.expiresAt.toLocaleDateString('en-GB');
+            reportLink = `<a href="${escapeHtml(presigned.url)}">Download the report</a> (link valid until ${expiresOn})`;
+        }
+
+        const values = {
+            patientName: study.patientInfo?.patientName || 'Patient',
+            patientId: study.patientInfo?.patientID || study.patientId || '',
+            accessionNumber: study.accessionNumber || '',
+            studyDate: study.studyDate ? new Date(study.studyDate).toLocaleDateString('en-GB') : '',
+            modality: study.modalitiesInStudy?.length ? study.modalitiesInStudy.join(', ') : (study.modality || ''),
+            studyDescription: study.examDescription || '',
+            labName: study.sourceLab?.name || '',
+            referringPhysician: dispatch.recipientName || study.physicians?.referring?.name || study.referringPhysicianName || 'Doctor',
+            doctorName: study.reportInfo?.reporterName || report.uploadedBy || '',
+            reportLink
+        };
+
+        const result = await transporter.sendMail({
+            to: dispatch.recipientEmail,
+            name: dispatch.recipientName,
+            subject: renderTemplate(template.subject, values, { html: false }),
+            html: renderTemplate(template.htmlBody, values),
+            attachments,
+            tags: ['report-dispatch']
+        });
+
+        await this.updateDispatch(studyId, dispatchId, {
+            status: 'sent',
+            sentAt: new Date(),
+            messageId: result.messageId,
+            deliveryMode,
+            reportId: report._id,
+            error: null
+        });
+
+        console.log(`📧 Report for study ${studyId} sent to ${dispatch.recipientEmail} (${deliveryMode})`);
+        return { sent: true, messageId: result.messageId };
+    }
+
+    async onFailed(job, error) {
+        const { studyId, dispatchId } = job.data;
+        const finalAttempt = job.attemptsMade >= (job.opts.attempts || MAX_ATTEMPTS);
+        console.error(`❌ Report dispatch ${dispatchId} attempt ${job.attemptsMade} failed:`, error.message);
+
+        try {
+            await this.updateDispatch(studyId, dispatchId, finalAttempt
+                ? { status: 'failed', error: error.message }
+                : { error: error.message });
+        } catch (updateError) {
+            console.error('❌ Could not record report dispatch failure:', updateError.message);
+        }
+    }
+
+    // Delivery events posted by the email provider
+    async handleProviderEvent(event) {
+        const status = PROVIDER_EVENT_STATUS[event?.event];
+        const messageId = event?.['message-id'];
+        if (!status || !messageId) return false;
+
+        const result = await DicomStudy.updateOne(
+            { 'reportDispatches.messageId': messageId },
+            {
+                $set: {
+                    'reportDispatches.$.status': status,
+                    'reportDispatches.$.statusUpdatedAt': event.date ? new Date(event.date) : new Date(),
+                    ...(status === 'delivered' ? {} : { 'reportDispatches.$.error': event.reason || event.event })
+                }
+            }
+        );
+        return result.modifiedCount > 0;
+    }
+}
+
+export default new ReportDispatchService();
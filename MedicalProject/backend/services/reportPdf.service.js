@@ -0,0 +1,295 @@
+import PDFDocument from 'pdfkit';
+
+// In-process PDF renderer for reports written in the online editor.
+// Used when a lab is set to the 'pdf' renderer, or as a fallback while the
+// external DOCX service is unreachable.
+
+const PAGE_MARGIN = 50;
+const HEADER_HEIGHT = 70;
+const FOOTER_HEIGHT = 40;
+const BODY_FONT_SIZE = 10.5;
+const HEADING_FONT_SIZES = { h1: 16, h2: 14, h3: 12.5, h4: 11.5, h5: BODY_FONT_SIZE, h6: BODY_FONT_SIZE };
+const BLOCK_TAGS = new Set(['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'tr', 'table', 'ul', 'ol', 'blockquote']);
+
+// Placeholders the reporting UI sends alongside the editor content
+const PATIENT_FIELDS = [
+    ['Patient Name', '--name--'],
+    ['Patient ID', '--patientid--'],
+    ['Accession No', '--accessionno--'],
+    ['Age / Gender', '--agegender--'],
+    ['Referred By', '--referredby--'],
+    ['Date', '--reporteddate--']
+];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// Editor HTML -> blocks of styled runs. Only the formatting the editor produces
+// is kept: paragraphs, headings, lists, table rows, bold/italic/underline.
+export function parseReportHtml(html) {
+    const blocks = [];
+    const style = { bold: 0, italic: 0, underline: 0 };
+    const lists = [];
+    let current = null;
+
+    const closeBlock = () => {
+        if (current && current.runs.some(run => run.text.trim())) {
+            blocks.push(current);
+        }
+        current = null;
+    };
+    const openBlock = (type, extra = {}) => {
+        closeBlock();
+        current = { type, runs: [], ...extra };
+    };
+
+    const tokenPattern = /<(\/?)([a-zA-Z0-9]+)[^>]*?(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = tokenPattern.exec(html || '')) !== null) {
+        const [, closing, rawTag, selfClosing, text] = match;
+
+        if (text !== undefined) {
+            const value = decodeEntities(text).replace(/\s+/g, ' ');
+            if (!value.trim() && !current) continue;
+            if (!current) openBlock('p');
+            current.runs.push({
+                text: value,
+                bold: style.bold > 0 || /^h\d$/.test(current.type),
+                italic: style.italic > 0,
+                underline: style.underline > 0
+            });
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+        if (tag === 'strong' || tag === 'b') style.bold += closing ? -1 : 1;
+        else if (tag === 'em' || tag === 'i') style.italic += closing ? -1 : 1;
+        else if (tag === 'u') style.underline += closing ? -1 : 1;
+        else if (tag === 'br') {
+            if (current) current.runs.push({ text: '\n' });
+        } else if (tag === 'td' || tag === 'th') {
+            if (!closing && current?.runs.length) current.runs.push({ text: '    ' });
+        } else if (tag === 'ul' || tag === 'ol') {
+            closeBlock();
+            if (closing) lists.pop();
+            else if (!selfClosing) lists.push({ ordered: tag === 'ol', counter: 0 });
+        } else if (BLOCK_TAGS.has(tag)) {
+            if (closing) {
+                closeBlock();
+            } else if (tag === 'li') {
+                const list = lists[lists.length - 1];
+                if (list) list.counter++;
+                openBlock('li', {
+                    marker: list?.ordered ? `${list.counter}.` : '•',
+                    depth: Math.max(lists.length - 1, 0)
+                });
+            } else if (tag !== 'table') {
+                openBlock(tag === 'tr' || tag === 'div' || tag === 'blockquote' ? 'p' : tag);
+            }
+        }
+        style.bold = Math.max(style.bold, 0);
+        style.italic = Math.max(style.italic, 0);
+        style.underline = Math.max(style.underline, 0);
+    }
+    closeBlock();
+
+    return blocks;
+}
+
+function fontFor(run) {
+    if (run.bold && run.italic) return 'Helvetica-BoldOblique';
+    if (run.bold) return 'Helvetica-Bold';
+    if (run.italic) return 'Helvetica-Oblique';
+    return 'Helvetica';
+}
+
+class ReportPdfService {
+    /**
+     * Renders a report to a PDF buffer.
+     * @param {Object} options
+     * @param {Object} options.placeholders - same placeholders sent to the DOCX service; '--Content--' holds the editor HTML
+     * @param {Object} [options.lab] - Lab document, used for the letterhead
+     * @param {Object} [options.doctor] - Doctor document (signature, specialization, licenseNumber)
+     * @param {string} [options.doctorName]
+     * @param {string} [options.title] - heading shown above the report body
+     */
+    async renderReport({ placeholders = {}, lab = null, doctor = null, doctorName = '', title = 'RADIOLOGY REPORT' }) {
+        const doc = new PDFDocument({
+            size: 'A4',
+            bufferPages: true,
+            margins: {
+                top: PAGE_MARGIN + HEADER_HEIGHT,
+                bottom: PAGE_MARGIN + FOOTER_HEIGHT,
+                left: PAGE_MARGIN,
+                right: PAGE_MARGIN
+            },
+            info: {
+                Title: `${title} - ${placeholders['--name--'] || ''}`.trim(),
+                Author: doctorName || lab?.name || ''
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        const finished = new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        this.drawPatientDetails(doc, placeholders);
+        this.drawTitle(doc, title);
+        this.drawBody(doc, parseReportHtml(placeholders['--Content--'] || ''));
+        this.drawSignature(doc, doctor, doctorName);
+        this.drawHeadersAndFooters(doc, lab);
+
+        doc.end();
+        return finished;
+    }
+
+    drawPatientDetails(doc, placeholders) {
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+        const columnWidth = width / 2;
+        const rowHeight = 16;
+        const top = doc.y;
+
+        PATIENT_FIELDS.forEach(([label, key], index) => {
+            const x = left + (index % 2) * columnWidth + 6;
+            const y = top + Math.floor(index / 2) * rowHeight + 6;
+            doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, x, y, { width: 80, lineBreak: false });
+            doc.font('Helvetica').text(placeholders[key] || '-', x + 80, y, { width: columnWidth - 92, lineBreak: false, ellipsis: true });
+        });
+
+        const boxHeight = Math.ceil(PATIENT_FIELDS.length / 2) * rowHeight + 8;
+        doc.rect(left, top, width, boxHeight).lineWidth(0.5).stroke('#999999');
+        doc.x = left;
+        doc.y = top + boxHeight + 14;
+    }
+
+    drawTitle(doc, title) {
+        doc.font('Helvetica-Bold').fontSize(13).fillColor('#000000')
+            .text(title, { align: 'center', underline: true });
+        doc.moveDown(0.8);
+    }
+
+    drawBody(doc, blocks) {
+        const left = doc.page.margins.left;
+
+        blocks.forEach(block => {
+            const fontSize = HEADING_FONT_SIZES[block.type] || BODY_FONT_SIZE;
+            const indent = block.type === 'li' ? 14 + block.depth * 14 : 0;
+
+            doc.fontSize(fontSize);
+            doc.x = left + indent;
+
+            const runs = block.runs.filter(run => run.text);
+            if (block.type === 'li') {
+                runs.unshift({ text: `${block.marker} ` });
+            }
+            runs.forEach((run, index) => {
+                doc.font(fontFor(run)).text(run.text, {
+                    continued: index < runs.length - 1,
+                    underline: !!run.underline,
+                    width: doc.page.width - doc.page.margins.right - left - indent
+                });
+            });
+            doc.x = left;
+            doc.moveDown(block.type === 'li' ? 0.2 : 0.6);
+        });
+    }
+
+    drawSignature(doc, doctor, doctorName) {
+        const signatureHeight = 60;
+        const blockHeight = signatureHeight + 50;
+        if (doc.y + blockHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        doc.moveDown(1);
+        const left = doc.page.margins.left;
+
+        if (doctor?.signature) {
+            try {
+                doc.image(Buffer.from(doctor.signature, 'base64'), left, doc.y, { fit: [150, signatureHeight] });
+                doc.y += signatureHeight + 4;
+            } catch (error) {
+                console.warn('⚠️ Could not draw doctor signature:', error.message);
+            }
+        }
+
+        doc.x = left;
+        if (doctorName) {
+            doc.font('Helvetica-Bold').fontSize(10).text(doctorName);
+        }
+        const credentials = [doctor?.specialization, doctor?.licenseNumber && `Reg. No: ${doctor.licenseNumber}`]
+            .filter(Boolean)
+            .join(' | ');
+        if (credentials) {
+            doc.font('Helvetica').fontSize(9).fillColor('#444444').text(credentials).fillColor('#000000');
+        }
+    }
+
+    // Drawn last so every buffered page gets the letterhead and "Page X of Y"
+    drawHeadersAndFooters(doc, lab) {
+        const settings = lab?.reportSettings || {};
+        const letterheadTitle = settings.letterheadTitle || lab?.name || '';
+        const addressLine = settings.letterheadSubtitle || [
+            lab?.address?.street,
+            lab?.address?.city,
+            lab?.address?.state,
+            lab?.address?.zipCode
+        ].filter(Boolean).join(', ');
+        const contactLine = [lab?.contactPhone, lab?.contactEmail].filter(Boolean).join(' | ');
+        const footerText = settings.footerText || '';
+
+        const range = doc.bufferedPageRange();
+        for (let index = range.start; index < range.start + range.count; index++) {
+            doc.switchToPage(index);
+
+            // Writing inside the margins would otherwise push text onto a new page
+            const { top, bottom } = doc.page.margins;
+            doc.page.margins.top = 0;
+            doc.page.margins.bottom = 0;
+
+            const left = PAGE_MARGIN;
+            const width = doc.page.width - PAGE_MARGIN * 2;
+
+            if (letterheadTitle) {
+                doc.font('Helvetica-Bold').fontSize(15).fillColor('#1f3b73')
+                    .text(letterheadTitle, left, PAGE_MARGIN - 10, { width, align: 'center', lineBreak: false });
+            }
+            doc.font('Helvetica').fontSize(8.5).fillColor('#444444');
+            if (addressLine) {
+                doc.text(addressLine, left, PAGE_MARGIN + 10, { width, align: 'center', lineBreak: false });
+            }
+            if (contactLine) {
+                doc.text(contactLine, left, PAGE_MARGIN + 22, { width, align: 'center', lineBreak: false });
+            }
+            doc.moveTo(left, PAGE_MARGIN + HEADER_HEIGHT - 30).lineTo(left + width, PAGE_MARGIN + HEADER_HEIGHT - 30)
+                .lineWidth(1).stroke('#1f3b73');
+
+            const footerY = doc.page.height - PAGE_MARGIN - 10;
+            doc.moveTo(left, footerY - 6).lineTo(left + width, footerY - 6).lineWidth(0.5).stroke('#999999');
+            doc.font('Helvetica').fontSize(8).fillColor('#666666');
+            if (footerText) {
+                doc.text(footerText, left, footerY, { width: width - 80, lineBreak: false, ellipsis: true });
+            }
+            doc.text(`Page ${index - range.start + 1} of ${range.count}`, left, footerY, { width, align: 'right', lineBreak: false });
+
+            doc.fillColor('#000000');
+            doc.page.margins.top = top;
+            doc.page.margins.bottom = bottom;
+        }
+    }
+}
+
+export default new ReportPdfService();
@@ -0,0 +1,161 @@
+import RosterEntry from '../models/rosterEntryModel.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// When true, doctors without any shift or on-call entry are treated as off duty.
+// Defaults to false so labs that do not keep a roster assign as before.
+const ROSTER_REQUIRED = process.env.ROSTER_REQUIRED === 'true';
+
+const DUTY_ENTRY_TYPES = ['shift', 'on_call'];
+
+const ICAL_SUMMARY = {
+    shift: 'Reporting shift',
+    on_call: 'On call',
+    leave: 'Leave'
+};
+
+const toICalDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeICalText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+
+// RFC 5545 lines are folded at 75 characters
+const foldICalLine = (line) => {
+    const chunks = [];
+    for (let index = 0; index < line.length; index += 74) {
+        chunks.push((index ? ' ' : '') + line.slice(index, index + 74));
+    }
+    return chunks.join('\r\n');
+};
+
+// Shift, on-call and leave calendar for radiologists
+class RosterService {
+    /**
+     * Occurrences of an entry overlapping [from, to) as { start, end } pairs.
+     */
+    expand(entry, from, to) {
+        from = new Date(from).getTime();
+        to = new Date(to).getTime();
+        const start = new Date(entry.start).getTime();
+        const duration = new Date(entry.end).getTime() - start;
+
+        if (!entry.repeatWeekly) {
+            return start < to && start + duration > from ? [{ start: new Date(start), end: new Date(start + duration) }] : [];
+        }
+
+        const until = entry.repeatUntil ? new Date(entry.repeatUntil).getTime() : Infinity;
+        const occurrences = [];
+        // First week whose occurrence can still end after `from`
+        let week = Math.max(0, Math.ceil((from - start - duration) / WEEK_MS));
+        while (true) {
+            const occurrenceStart = start + week * WEEK_MS;
+            if (occurrenceStart >= to || occurrenceStart > until) break;
+            if (occurrenceStart + duration > from) {
+                occurrences.push({ start: new Date(occurrenceStart), end: new Date(occurrenceStart + duration) });
+            }
+            week++;
+        }
+        return occurrences;
+    }
+
+    // Entries for the doctors that may have an occurrence in [from, to)
+    async getEntries(doctorIds, from, to) {
+        const weekBefore = new Date(from.getTime() - WEEK_MS);
+        return RosterEntry.find({
+            doctor: { $in: doctorIds },
+            start: { $lt: to },
+            $or: [
+                { end: { $gt: from } },
+                { repeatWeekly: true, repeatUntil: { $not: { $lt: weekBefore } } }
+            ]
+        })
+            .sort({ start: 1 })
+            .lean();
+    }
+
+    /**
+     * Duty status per doctor at a point in time. Returns a Map keyed by
+     * String(Doctor._id) of { onDuty, status, until } where status is one of
+     * 'on_shift', 'on_call', 'leave', 'off' or 'no_roster'.
+     */
+    async getDutyStatus(doctorIds, at = new Date()) {
+        const time = at.getTime();
+        const [entries, rostered] = await Promise.all([
+            this.getEntries(doctorIds, at, new Date(time + 1)),
+            RosterEntry.distinct('doctor', { doctor: { $in: doctorIds }, type: { $in: DUTY_ENTRY_TYPES } })
+        ]);
+        const rosteredIds = new Set(rostered.map(String));
+
+        const active = new Map();
+        for (const entry of entries) {
+            const [occurrence] = this.expand(entry, time, time + 1);
+            if (!occurrence) continue;
+            const key = String(entry.doctor);
+            if (!active.has(key)) active.set(key, []);
+            active.get(key).push({ type: entry.type, until: occurrence.end });
+        }
+
+        const statuses = new Map();
+        for (const doctorId of doctorIds) {
+            const key = String(doctorId);
+            const current = active.get(key) || [];
+            const leave = current.find(item => item.type === 'leave');
+            const duty = current.find(item => item.type === 'shift') || current.find(item => item.type === 'on_call');
+
+            if (leave) {
+                statuses.set(key, { onDuty: false, status: 'leave', until: leave.until });
+            } else if (duty) {
+                statuses.set(key, { onDuty: true, status: duty.type === 'shift' ? 'on_shift' : 'on_call', until: duty.until });
+            } else if (rosteredIds.has(key)) {
+                statuses.set(key, { onDuty: false, status: 'off', until: null });
+            } else {
+                statuses.set(key, { onDuty: !ROSTER_REQUIRED, status: 'no_roster', until: null });
+            }
+        }
+        return statuses;
+    }
+
+    async isOnDuty(doctorId, at = new Date()) {
+        const statuses = await this.getDutyStatus([doctorId], at);
+        return statuses.get(String(doctorId)).onDuty;
+    }
+
+    // iCalendar (RFC 5545) feed of a doctor's entries
+    buildICalendar(doctorName, entries) {
+        const stamp = toICalDate(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Star-Radiology//Duty Roster//EN',
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${escapeICalText(`Duty roster - ${doctorName}`)}`
+        ];
+
+        for (const entry of entries) {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${entry._id}@roster.star-radiology`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${toICalDate(new Date(entry.start))}`,
+                `DTEND:${toICalDate(new Date(entry.end))}`,
+                `SUMMARY:${ICAL_SUMMARY[entry.type]}`
+            );
+            if (entry.repeatWeekly) {
+                lines.push(entry.repeatUntil
+                    ? `RRULE:FREQ=WEEKLY;UNTIL=${toICalDate(new Date(entry.repeatUntil))}`
+                    : 'RRULE:FREQ=WEEKLY');
+            }
+            if (entry.notes) {
+                lines.push(`DESCRIPTION:${escapeICalText(entry.notes)}`);
+            }
+            lines.push('END:VEVENT');
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldICalLine).join('\r\n') + '\r\n';
+    }
+}
+
+export default new RosterService();
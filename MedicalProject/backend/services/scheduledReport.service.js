@@ -0,0 +1,441 @@
+import Queue from 'bull';
+import ExcelJS from 'exceljs';
+import ReportSubscription from '../models/reportSubscriptionModel.js';
+import ReportSubscriptionRun from '../models/reportSubscriptionRunModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import Doctor from '../models/doctorModel.js';
+import transporter from '../config/resend.js';
+import { selectTAT } from '../utils/TATutility.js';
+import { getZonedParts, zonedTimeToUtc, startOfZonedDay, DEFAULT_TIMEZONE } from '../utils/businessCalendar.js';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const JOB_NAME = 'send-due-subscriptions';
+const CHECK_CRON = process.env.SCHEDULED_REPORT_CRON || '*/5 * * * *';
+const MAX_ROWS = parseInt(process.env.SCHEDULED_REPORT_MAX_ROWS) || 50000;
+
+const PERIOD_LABELS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+const STUDY_FIELDS = 'patientInfo accessionNumber modality modalitiesInStudy examDescription sourceLab workflowStatus ' +
+    'createdAt assignment reportInfo calculatedTAT studyDate';
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const average = (values) => {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length ? Math.round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length) : null;
+};
+
+const formatDate = (date, timezone, includeTime = true) => {
+    if (!date) return '-';
+    return new Date(date).toLocaleString('en-GB', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        ...(includeTime ? { hour: '2-digit', minute: '2-digit', hour12: false } : {})
+    });
+};
+
+// YYYY-MM-DD of an instant in the timezone, used for grouping and file names
+const toDateKey = (date, timezone) => {
+    const parts = getZonedParts(new Date(date), timezone);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+};
+
+const getLatestAssignment = (study) => {
+    const assignments = Array.isArray(study.assignment) ? study.assignment : [];
+    return assignments.reduce((latest, item) =>
+        (!latest || new Date(item.assignedAt) > new Date(latest.assignedAt) ? item : latest), null);
+};
+
+const styleHeader = (worksheet) => {
+    const headerRow = worksheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '366092' } };
+    headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+};
+
+// Generates subscription workbooks and emails them when they fall due
+class ScheduledReportService {
+    constructor() {
+        this.queue = null;
+    }
+
+    startScheduler() {
+        if (this.queue) return;
+
+        this.queue = new Queue('scheduled-reports', REDIS_URL, {
+            redis: {
+                tls: {},
+                maxRetriesPerRequest: null,
+                enableReadyCheck: false
+            },
+            defaultJobOptions: {
+                removeOnComplete: 20,
+                removeOnFail: 50
+            }
+        });
+
+        this.queue.process(JOB_NAME, 1, () => this.sendDueSubscriptions());
+        this.queue.on('failed', (job, error) => {
+            console.error('❌ Scheduled report run failed:', error.message);
+        });
+        this.queue.on('error', (error) => {
+            console.error('❌ Scheduled report queue error:', error.message);
+        });
+
+        this.queue.add(JOB_NAME, {}, { repeat: { cron: CHECK_CRON }, jobId: JOB_NAME })
+            .then(() => console.log(`📊 Scheduled report check scheduled (${CHECK_CRON})`))
+            .catch(error => console.error('❌ Could not schedule report subscriptions:', error.message));
+    }
+
+    // First send time strictly after `after`, in the subscription's timezone
+    getNextRunAt(subscription, after = new Date()) {
+        const timezone = subscription.timezone || DEFAULT_TIMEZONE;
+        const today = getZonedParts(after, timezone);
+        const sendMinutes = toMinutes(subscription.sendTime || '07:00');
+
+        // 62 days always contains a matching weekday and day of month
+        for (let offset = 0; offset <= 62; offset++) {
+            const candidate = zonedTimeToUtc(today.year, today.month, today.day + offset, sendMinutes, timezone);
+            if (candidate <= after) continue;
+
+            const local = getZonedParts(candidate, timezone);
+            if (subscription.frequency === 'weekly' && local.weekday !== subscription.weekday) continue;
+            if (subscription.frequency === 'monthly' && local.day !== subscription.dayOfMonth) continue;
+            return candidate;
+        }
+        return null;
+    }
+
+    // The full period before `runAt`: yesterday, the previous 7 days or the previous calendar month
+    getReportPeriod(subscription, runAt = new Date()) {
+        const timezone = subscription.timezone || DEFAULT_TIMEZONE;
+        const todayStart = startOfZonedDay(runAt, timezone);
+
+        if (subscription.frequency === 'monthly') {
+            const local = getZonedParts(runAt, timezone);
+            return {
+                start: zonedTimeToUtc(local.year, local.month - 1, 1, 0, timezone),
+                end: zonedTimeToUtc(local.year, local.month, 1, 0, timezone)
+            };
+        }
+
+        const days = subscription.frequency === 'weekly' ? 7 : 1;
+        return { start: startOfZonedDay(runAt, timezone, -days), end: todayStart };
+    }
+
+    async collectStudies(subscription, period) {
+        const filter = { createdAt: { $gte: period.start, $lt: period.end } };
+        if (subscription.lab) filter.sourceLab = subscription.lab._id || subscription.lab;
+        if (subscription.doctor) {
+            // Assignments store the doctor's user account, not the Doctor profile id
+            const doctorUserId = subscription.doctor.userAccount?._id
+                || (await Doctor.findById(subscription.doctor._id || subscription.doctor).select('userAccount').lean())?.userAccount;
+            filter['assignment.assignedTo'] = doctorUserId;
+        }
+
+        return DicomStudy.find(filter)
+            .select(STUDY_FIELDS)
+            .populate('sourceLab', 'name workingCalendar')
+            .populate('assignment.assignedTo', 'fullName')
+            .sort({ createdAt: 1 })
+            .limit(MAX_ROWS)
+            .lean();
+    }
+
+    describeScope(subscription) {
+        const parts = [];
+        parts.push(subscription.lab?.name || 'All labs');
+        if (subscription.doctor) {
+            parts.push(`Dr. ${subscription.doctor.userAccount?.fullName || 'Unknown'}`);
+        }
+        return parts.join(' / ');
+    }
+
+    /**
+     * Builds the workbook for one period.
+     * Returns { buffer, fileName, summary }.
+     */
+    async buildWorkbook(subscription, period) {
+        const timezone = subscription.timezone || DEFAULT_TIMEZONE;
+        const tatMode = subscription.tatMode || 'wallclock';
+        const studies = await this.collectStudies(subscription, period);
+
+        const rows = studies.map(study => {
+            const tat = selectTAT(study, tatMode, study.sourceLab?.workingCalendar);
+            const assignment = getLatestAssignment(study);
+            return {
+                study,
+                tat,
+                dateKey: toDateKey(study.createdAt, timezone),
+                modality: study.modalitiesInStudy?.length ? study.modalitiesInStudy.join(', ') : (study.modality || 'N/A'),
+                labName: study.sourceLab?.name || '-',
+                assignedAt: assignment?.assignedAt,
+                doctorName: study.reportInfo?.reporterName || assignment?.assignedTo?.fullName || 'Unassigned',
+                isReported: !!study.reportInfo?.finalizedAt
+            };
+        });
+        const reported = rows.filter(row => row.isReported);
+
+        const summary = {
+            totalStudies: rows.length,
+            reportedStudies: reported.length,
+            pendingStudies: rows.length - reported.length,
+            overdueStudies: rows.filter(row => row.study.calculatedTAT?.isOverdue).length,
+            avgUploadToReport: average(reported.map(row => row.tat.uploadToReportTAT)),
+            avgAssignToReport: average(reported.map(row => row.tat.assignmentToReportTAT)),
+            truncated: studies.length >= MAX_ROWS
+        };
+
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'StarRadiology';
+        const tatUnit = tatMode === 'business' ? 'business min' : 'min';
+        const lastDay = new Date(period.end.getTime() - 1);
+
+        const summarySheet = workbook.addWorksheet('Summary');
+        summarySheet.columns = [
+            { header: 'Item', key: 'item', width: 32 },
+            { header: 'Value', key: 'value', width: 40 }
+        ];
+        [
+            ['Report', subscription.name],
+            ['Scope', this.describeScope(subscription)],
+            ['Period', `${formatDate(period.start, timezone, false)} - ${formatDate(lastDay, timezone, false)} (${timezone})`],
+            ['TAT basis', tatMode === 'business' ? 'Business hours' : 'Clock time'],
+            ['Studies received', summary.totalStudies],
+            ['Reported', summary.reportedStudies],
+            ['Pending', summary.pendingStudies],
+            ['Overdue', summary.overdueStudies],
+            [`Avg upload-to-report (${tatUnit})`, summary.avgUploadToReport ?? 'N/A'],
+            [`Avg assign-to-report (${tatUnit})`, summary.avgAssignToReport ?? 'N/A'],
+            ...(summary.truncated ? [['Note', `Only the first ${MAX_ROWS} studies are included`]] : [])
+        ].forEach(([item, value]) => summarySheet.addRow({ item, value }));
+        styleHeader(summarySheet);
+
+        if (subscription.reportTypes.includes('tat')) {
+            const tatSheet = workbook.addWorksheet('TAT');
+            tatSheet.columns = [
+                { header: 'Patient ID', key: 'patientId', width: 15 },
+                { header: 'Patient Name', key: 'patientName', width: 25 },
+                { header: 'Accession No', key: 'accessionNumber', width: 20 },
+                { header: 'Modality', key: 'modality', width: 12 },
+                { header: 'Institution', key: 'institution', width: 25 },
+                { header: 'Status', key: 'status', width: 20 },
+                { header: 'Upload Date', key: 'uploadDate', width: 18 },
+                { header: 'Assigned Date', key: 'assignedDate', width: 18 },
+                { header: 'Report Date', key: 'reportDate', width: 18 },
+                { header: 'Reported By', key: 'reportedBy', width: 25 },
+                { header: `Upload-to-Assign TAT (${tatUnit})`, key: 'uploadToAssignment', width: 25 },
+                { header: `Upload-to-Report TAT (${tatUnit})`, key: 'uploadToReport', width: 25 },
+                { header: `Assign-to-Report TAT (${tatUnit})`, key: 'assignToReport', width: 25 }
+            ];
+            rows.forEach(row => tatSheet.addRow({
+                patientId: row.study.patientInfo?.patientID || '-',
+                patientName: row.study.patientInfo?.patientName || '-',
+                accessionNumber: row.study.accessionNumber || '-',
+                modality: row.modality,
+                institution: row.labName,
+                status: row.study.workflowStatus,
+                uploadDate: formatDate(row.study.createdAt, timezone),
+                assignedDate: formatDate(row.assignedAt, timezone),
+                reportDate: formatDate(row.study.reportInfo?.finalizedAt, timezone),
+                reportedBy: row.isReported ? row.doctorName : '-',
+                uploadToAssignment: row.tat.uploadToAssignmentTAT ?? 'N/A',
+                uploadToReport: row.tat.uploadToReportTAT ?? 'N/A',
+                assignToReport: row.tat.assignmentToReportTAT ?? 'N/A'
+            }));
+            styleHeader(tatSheet);
+        }
+
+        if (subscription.reportTypes.includes('volume')) {
+            const modalities = [...new Set(rows.map(row => row.modality))].sort();
+
+            const volumeSheet = workbook.addWorksheet('Volume by Day');
+            volumeSheet.columns = [
+                { header: 'Date', key: 'date', width: 14 },
+                { header: 'Received', key: 'received', width: 12 },
+                { header: 'Reported', key: 'reported', width: 12 },
+                ...modalities.map(modality => ({ header: modality, key: `modality_${modality}`, width: 12 }))
+            ];
+            const byDay = new Map();
+            for (let day = period.start.getTime(); day < period.end.getTime(); day = startOfZonedDay(new Date(day), timezone, 1).getTime()) {
+                byDay.set(toDateKey(new Date(day), timezone), { received: 0, reported: 0, modalities: {} });
+            }
+            rows.forEach(row => {
+                const bucket = byDay.get(row.dateKey);
+                if (!bucket) return;
+                bucket.received++;
+                if (row.isReported) bucket.reported++;
+                bucket.modalities[row.modality] = (bucket.modalities[row.modality] || 0) + 1;
+            });
+            byDay.forEach((bucket, date) => volumeSheet.addRow({
+                date,
+                received: bucket.received,
+                reported: bucket.reported,
+                ...Object.fromEntries(modalities.map(modality => [`modality_${modality}`, bucket.modalities[modality] || 0]))
+            }));
+            styleHeader(volumeSheet);
+
+            // Per-lab totals, or per-doctor when the subscription is already narrowed to one lab
+            const groupByLab = !subscription.lab;
+            const breakdownSheet = workbook.addWorksheet(groupByLab ? 'Volume by Lab' : 'Volume by Doctor');
+            breakdownSheet.columns = [
+                { header: groupByLab ? 'Lab' : 'Doctor', key: 'name', width: 30 },
+                { header: 'Received', key: 'received', width: 12 },
+                { header: 'Reported', key: 'reported', width: 12 },
+                { header: `Avg Upload-to-Report (${tatUnit})`, key: 'avgTAT', width: 28 }
+            ];
+            const groups = new Map();
+            rows.forEach(row => {
+                const key = groupByLab ? row.labName : row.doctorName;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            });
+            [...groups.entries()]
+                .sort((a, b) => b[1].length - a[1].length)
+                .forEach(([name, groupRows]) => {
+                    const groupReported = groupRows.filter(row => row.isReported);
+                    breakdownSheet.addRow({
+                        name,
+                        received: groupRows.length,
+                        reported: groupReported.length,
+                        avgTAT: average(groupReported.map(row => row.tat.uploadToReportTAT)) ?? 'N/A'
+                    });
+                });
+            styleHeader(breakdownSheet);
+        }
+
+        const scopeSlug = this.describeScope(subscription).replace(/[^a-zA-Z0-9]+/g, '_');
+        const fileName = `${PERIOD_LABELS[subscription.frequency]}_Report_${scopeSlug}_${toDateKey(period.start, timezone)}_to_${toDateKey(lastDay, timezone)}.xlsx`;
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        return { buffer, fileName, summary };
+    }
+
+    renderEmail(subscription, period, summary) {
+        const timezone = subscription.timezone || DEFAULT_TIMEZONE;
+        const lastDay = new Date(period.end.getTime() - 1);
+        const rows = [
+            ['Scope', this.describeScope(subscription)],
+            ['Period', `${formatDate(period.start, timezone, false)} - ${formatDate(lastDay, timezone, false)}`],
+            ['Studies received', summary.totalStudies],
+            ['Reported', summary.reportedStudies],
+            ['Pending', summary.pendingStudies],
+            ['Avg upload-to-report', summary.avgUploadToReport !== null ? `${summary.avgUploadToReport} min` : 'N/A']
+        ];
+
+        return `
+            <p>Your ${escapeHtml(PERIOD_LABELS[subscription.frequency].toLowerCase())} report <strong>${escapeHtml(subscription.name)}</strong> is attached.</p>
+            <table cellpadding="4">
+                ${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}
+            </table>
+            <p>Regards,<br/>StarRadiology</p>
+        `;
+    }
+
+    /**
+     * Generates and emails one subscription and records the run.
+     * `runAt` picks the period (the scheduled time for cron runs, now for manual sends).
+     */
+    async runSubscription(subscriptionId, { runAt = new Date(), trigger = 'schedule', userId } = {}) {
+        const subscription = await ReportSubscription.findById(subscriptionId)
+            .populate('lab', 'name')
+            .populate({ path: 'doctor', select: 'userAccount', populate: { path: 'userAccount', select: 'fullName' } })
+            .lean();
+        if (!subscription) throw new Error('Subscription not found');
+
+        const period = this.getReportPeriod(subscription, runAt);
+        const run = {
+            subscription: subscription._id,
+            subscriptionName: subscription.name,
+            lab: subscription.lab?._id,
+            periodStart: period.start,
+            periodEnd: period.end,
+            trigger,
+            triggeredBy: userId,
+            recipients: []
+        };
+
+        try {
+            const { buffer, fileName, summary } = await this.buildWorkbook(subscription, period);
+            const html = this.renderEmail(subscription, period, summary);
+            Object.assign(run, { studyCount: summary.totalStudies, fileName, fileSize: buffer.length });
+
+            for (const recipient of subscription.recipients) {
+                try {
+                    const result = await transporter.sendMail({
+                        to: recipient.email,
+                        name: recipient.name,
+                        subject: `${subscription.name} - ${fileName.replace(/_/g, ' ').replace(/\.xlsx$/, '')}`,
+                        html,
+                        attachments: [{ filename: fileName, content: buffer }],
+                        tags: ['scheduled-report']
+                    });
+                    run.recipients.push({ email: recipient.email, status: 'sent', messageId: result.messageId });
+                } catch (error) {
+                    run.recipients.push({ email: recipient.email, status: 'failed', error: error.message });
+                }
+            }
+
+            const sentCount = run.recipients.filter(recipient => recipient.status === 'sent').length;
+            run.status = sentCount === run.recipients.length ? 'sent' : (sentCount > 0 ? 'partial' : 'failed');
+        } catch (error) {
+            console.error(`❌ Scheduled report "${subscription.name}" failed:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+        }
+
+        const saved = await ReportSubscriptionRun.create(run);
+        await ReportSubscription.updateOne(
+            { _id: subscription._id },
+            { $set: { lastRunAt: new Date(), lastRunStatus: run.status } }
+        );
+
+        console.log(`📊 Scheduled report "${subscription.name}" ${run.status} (${run.studyCount || 0} studies, ${run.recipients.length} recipient(s))`);
+        return saved;
+    }
+
+    // Cron entry point. Each due subscription is claimed by moving nextRunAt forward first,
+    // so overlapping workers never send the same period twice.
+    async sendDueSubscriptions(now = new Date()) {
+        const due = await ReportSubscription.find({ isActive: true, nextRunAt: { $lte: now } })
+            .select('frequency sendTime weekday dayOfMonth timezone nextRunAt')
+            .lean();
+
+        let sent = 0;
+        for (const subscription of due) {
+            const claimed = await ReportSubscription.updateOne(
+                { _id: subscription._id, nextRunAt: subscription.nextRunAt },
+                { $set: { nextRunAt: this.getNextRunAt(subscription, now) } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            // Late runs (e.g. after downtime) still report the period they were scheduled for
+            await this.runSubscription(subscription._id, { runAt: subscription.nextRunAt });
+            sent++;
+        }
+        return { due: due.length, sent };
+    }
+
+    // Workbook for the period a run right now would cover, without emailing it
+    async preview(subscriptionId, runAt = new Date()) {
+        const subscription = await ReportSubscription.findById(subscriptionId)
+            .populate('lab', 'name')
+            .populate({ path: 'doctor', select: 'userAccount', populate: { path: 'userAccount', select: 'fullName' } })
+            .lean();
+        if (!subscription) return null;
+
+        return this.buildWorkbook(subscription, this.getReportPeriod(subscription, runAt));
+    }
+}
+
+export default new ScheduledReportService();
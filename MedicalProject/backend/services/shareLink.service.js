@@ -0,0 +1,354 @@
+import mongoose from 'mongoose';
+import ShareToken from '../models/shareTokenSchema.js';
+import User from '../models/userModel.js';
+import Lab from '../models/labModel.js';
+import websocketService from '../config/webSocket.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BULK_REVOKE = 500;
+const DETAIL_HISTORY_LIMIT = 200;
+
+// A link crossing any of these is flagged once per reason until an admin dismisses it
+export const ALERT_THRESHOLDS = {
+    distinctIps: 5, // different IPs over the link's lifetime
+    hitsPerDay: 20, // opens and downloads in the last 24 hours
+    failedVerificationsPerDay: 5 // wrong PINs / codes in the last 24 hours
+};
+
+const PATIENT_PORTAL_CREATOR = /^patient-portal:/;
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(String(value));
+
+const summarizeHistory = (accessHistory = [], since = new Date(Date.now() - DAY_MS)) => {
+    const recent = accessHistory.filter(entry => entry.accessedAt >= since);
+    return {
+        distinctIps: new Set(accessHistory.map(entry => entry.ip).filter(Boolean)).size,
+        hitsLastDay: recent.filter(entry => entry.action !== 'failed_verification').length,
+        failedLastDay: recent.filter(entry => entry.action === 'failed_verification').length
+    };
+};
+
+// Admin oversight of share links across all studies
+class ShareLinkService {
+    /**
+     * Adds an alert for every threshold the link has just crossed and returns
+     * the new ones. Called on each recorded access, before the token is saved.
+     */
+    flagUnusualAccess(shareToken) {
+        const { distinctIps, hitsLastDay, failedLastDay } = summarizeHistory(shareToken.accessHistory);
+        const raised = new Set((shareToken.alerts || []).map(alert => alert.reason));
+
+        const candidates = [
+            distinctIps >= ALERT_THRESHOLDS.distinctIps
+                && { reason: 'many_ips', detail: `Opened from ${distinctIps} different IP addresses` },
+            hitsLastDay >= ALERT_THRESHOLDS.hitsPerDay
+                && { reason: 'many_hits', detail: `${hitsLastDay} accesses in the last 24 hours` },
+            failedLastDay >= ALERT_THRESHOLDS.failedVerificationsPerDay
+                && { reason: 'failed_verifications', detail: `${failedLastDay} incorrect PINs or codes in the last 24 hours` }
+        ].filter(candidate => candidate && !raised.has(candidate.reason));
+
+        candidates.forEach(candidate => shareToken.alerts.push({ ...candidate, raisedAt: new Date() }));
+        return candidates;
+    }
+
+    notify(shareToken, alert) {
+        console.warn(`🚨 Unusual share link access (${alert.reason}): ${alert.detail} - study ${shareToken.studyInstanceUID}`);
+        try {
+            websocketService.notifyShareLinkAlert({
+                shareId: shareToken._id,
+                reason: alert.reason,
+                detail: alert.detail,
+                patientName: shareToken.patientName,
+                modality: shareToken.modality,
+                studyId: shareToken.studyId
+            });
+        } catch (error) {
+            console.error('❌ Share link alert notification failed:', error.message);
+        }
+    }
+
+    buildMatch({ status = 'active', createdBy, search, flagged } = {}) {
+        const match = {};
+        if (status === 'active') {
+            match.isActive = true;
+            match.expiresAt = { $gt: new Date() };
+        } else if (status === 'revoked') {
+            match.isActive = false;
+        }
+        if (createdBy === 'patient-portal') {
+            match.createdBy = { $regex: PATIENT_PORTAL_CREATOR };
+        } else if (createdBy) {
+            match.createdBy = String(createdBy);
+        }
+        if (search?.trim()) {
+            const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            match.$or = [
+                { patientName: { $regex: pattern, $options: 'i' } },
+                { studyInstanceUID: search.trim() },
+                { token: { $regex: `^${pattern}` } }
+            ];
+        }
+        if (flagged === 'true' || flagged === true) {
+            match.alerts = { $elemMatch: { dismissedAt: null } };
+        }
+        return match;
+    }
+
+    // summarizeHistory() as aggregation fields, so list rows leave accessHistory behind
+    buildHistorySummary(since = new Date(Date.now() - DAY_MS)) {
+        const history = { $ifNull: ['$accessHistory', []] };
+        const countRecent = (failed) => ({
+            $size: {
+                $filter: {
+                    input: history,
+                    as: 'entry',
+                    cond: {
+                        $and: [
+                            { $gte: ['$$entry.accessedAt', since] },
+                            { [failed ? '$eq' : '$ne']: ['$$entry.action', 'failed_verification'] }
+                        ]
+                    }
+                }
+            }
+        });
+
+        return {
+            distinctIps: { $size: { $setDifference: [{ $setUnion: [{ $ifNull: ['$accessHistory.ip', []] }] }, [null, '']] } },
+            hitsLastDay: countRecent(false),
+            failedLastDay: countRecent(true)
+        };
+    }
+
+    // Creator names for ids stored as strings on ShareToken.createdBy
+    async resolveCreators(createdByValues) {
+        const ids = [...new Set(createdByValues)].filter(value => mongoose.Types.ObjectId.isValid(value));
+        const users = ids.length
+            ? await User.find({ _id: { $in: ids } }).select('fullName email role').lean()
+            : [];
+        const byId = new Map(users.map(user => [String(user._id), user]));
+
+        return (value) => {
+            if (byId.has(String(value))) return byId.get(String(value));
+            if (PATIENT_PORTAL_CREATOR.test(value || '')) return { fullName: 'Patient portal', role: 'patient' };
+            return { fullName: value || 'system', role: null };
+        };
+    }
+
+    /**
+     * Links newest first. The lab comes from the shared study, so the lab
+     * filter also works for links created before this dashboard existed.
+     */
+    async listLinks(filters, { skip, limit }) {
+        const studyLookup = [
+            {
+                $lookup: {
+                    from: 'dicomstudies',
+                    let: { studyId: '$studyId' },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ['$_id', '$$studyId'] } } },
+                        { $project: { sourceLab: 1, accessionNumber: 1, 'patientInfo.patientID': 1 } }
+                    ],
+                    as: 'study'
+                }
+            },
+            { $unwind: { path: '$study', preserveNullAndEmptyArrays: true } }
+        ];
+        const filterByLab = filters.labId && mongoose.Types.ObjectId.isValid(filters.labId);
+
+        // Only the lab filter needs every link's study; otherwise just the page's
+        const pipeline = [
+            { $match: this.buildMatch(filters) },
+            { $sort: { createdAt: -1 } },
+            ...(filterByLab ? [...studyLookup, { $match: { 'study.sourceLab': toObjectId(filters.labId) } }] : []),
+            {
+                $facet: {
+                    rows: [
+                        { $skip: skip },
+                        { $limit: limit },
+                        ...(filterByLab ? [] : studyLookup),
+                        { $addFields: this.buildHistorySummary() },
+                        { $project: { 'protection.pinHash': 0, 'protection.otpHash': 0, metadata: 0, accessHistory: 0 } }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ];
+
+        const [result] = await ShareToken.aggregate(pipeline);
+        const rows = result.rows;
+
+        const [creatorOf, labs] = await Promise.all([
+            this.resolveCreators(rows.map(row => row.createdBy)),
+            Lab.find({ _id: { $in: rows.map(row => row.study?.sourceLab).filter(Boolean) } }).select('name identifier').lean()
+        ]);
+        const labById = new Map(labs.map(lab => [String(lab._id), lab]));
+
+        const links = rows.map(row => ({
+            _id: row._id,
+            tokenPreview: `${row.token.substring(0, 8)}...`,
+            studyId: row.studyId,
+            studyInstanceUID: row.studyInstanceUID,
+            patientName: row.patientName,
+            patientId: row.study?.patientInfo?.patientID,
+            accessionNumber: row.study?.accessionNumber,
+            modality: row.modality,
+            lab: row.study?.sourceLab ? labById.get(String(row.study.sourceLab)) || null : null,
+            viewerType: row.viewerType,
+            permissions: row.permissions,
+            protectionMethod: row.protection?.method || 'none',
+            createdBy: creatorOf(row.createdBy),
+            createdAt: row.createdAt,
+            expiresAt: row.expiresAt,
+            isActive: row.isActive,
+            isExpired: new Date(row.expiresAt) <= new Date(),
+            revokedAt: row.revokedAt,
+            accessCount: row.accessCount,
+            maxAccessCount: row.maxAccessCount,
+            lastAccessedAt: row.lastAccessedAt,
+            distinctIps: row.distinctIps,
+            hitsLastDay: row.hitsLastDay,
+            failedLastDay: row.failedLastDay,
+            openAlerts: (row.alerts || []).filter(alert => !alert.dismissedAt)
+        }));
+
+        return { links, totalRecords: result.total[0]?.count || 0 };
+    }
+
+    async getSummary() {
+        const now = new Date();
+        const since = new Date(now.getTime() - DAY_MS);
+        const activeMatch = { isActive: true, expiresAt: { $gt: now } };
+
+        const [totals] = await ShareToken.aggregate([
+            { $match: activeMatch },
+            {
+                $group: {
+                    _id: null,
+                    activeLinks: { $sum: 1 },
+                    protectedLinks: { $sum: { $cond: [{ $in: [{ $ifNull: ['$protection.method', 'none'] }, ['pin', 'otp']] }, 1, 0] } },
+                    expiringSoon: { $sum: { $cond: [{ $lte: ['$expiresAt', new Date(now.getTime() + DAY_MS)] }, 1, 0] } },
+                    totalAccesses: { $sum: '$accessCount' },
+                    accessesLastDay: {
+                        $sum: {
+                            $size: {
+                                $filter: {
+                                    input: { $ifNull: ['$accessHistory', []] },
+                                    as: 'entry',
+                                    cond: {
+                                        $and: [
+                                            { $gte: ['$$entry.accessedAt', since] },
+                                            { $ne: ['$$entry.action', 'failed_verification'] }
+                                        ]
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        ]);
+
+        const flaggedLinks = await ShareToken.countDocuments({ ...activeMatch, alerts: { $elemMatch: { dismissedAt: null } } });
+
+        return {
+            activeLinks: totals?.activeLinks || 0,
+            protectedLinks: totals?.protectedLinks || 0,
+            expiringSoon: totals?.expiringSoon || 0,
+            totalAccesses: totals?.totalAccesses || 0,
+            accessesLastDay: totals?.accessesLastDay || 0,
+            flaggedLinks,
+            thresholds: ALERT_THRESHOLDS
+        };
+    }
+
+    // Everyone who has created a link, for the creator filter
+    async getCreators() {
+        const values = await ShareToken.distinct('createdBy');
+        const creatorOf = await this.resolveCreators(values);
+
+        const creators = values
+            .filter(value => !PATIENT_PORTAL_CREATOR.test(value || ''))
+            .map(value => ({ value, ...creatorOf(value) }));
+        if (values.some(value => PATIENT_PORTAL_CREATOR.test(value || ''))) {
+            creators.push({ value: 'patient-portal', fullName: 'Patient portal', role: 'patient' });
+        }
+        return creators.sort((a, b) => (a.fullName || '').localeCompare(b.fullName || ''));
+    }
+
+    // Full access log with a per-IP breakdown, newest entries first
+    async getLinkDetail(shareId) {
+        const shareToken = await ShareToken.findById(shareId).lean();
+        if (!shareToken) throw httpError('Share link not found', 404);
+
+        const byIp = new Map();
+        shareToken.accessHistory.forEach(entry => {
+            const key = entry.ip || 'unknown';
+            const item = byIp.get(key) || { ip: key, hits: 0, failed: 0, lastSeen: null, userAgents: new Set() };
+            if (entry.action === 'failed_verification') item.failed += 1;
+            else item.hits += 1;
+            if (!item.lastSeen || entry.accessedAt > item.lastSeen) item.lastSeen = entry.accessedAt;
+            if (entry.userAgent) item.userAgents.add(entry.userAgent);
+            byIp.set(key, item);
+        });
+
+        const creatorOf = await this.resolveCreators([shareToken.createdBy, shareToken.revokedBy].filter(Boolean).map(String));
+
+        return {
+            _id: shareToken._id,
+            tokenPreview: `${shareToken.token.substring(0, 8)}...`,
+            patientName: shareToken.patientName,
+            modality: shareToken.modality,
+            studyInstanceUID: shareToken.studyInstanceUID,
+            createdBy: creatorOf(shareToken.createdBy),
+            createdAt: shareToken.createdAt,
+            expiresAt: shareToken.expiresAt,
+            isActive: shareToken.isActive,
+            revokedAt: shareToken.revokedAt,
+            revokedBy: shareToken.revokedBy ? creatorOf(String(shareToken.revokedBy)) : null,
+            accessCount: shareToken.accessCount,
+            alerts: shareToken.alerts || [],
+            ips: [...byIp.values()]
+                .map(item => ({ ...item, userAgents: [...item.userAgents] }))
+                .sort((a, b) => b.hits + b.failed - (a.hits + a.failed)),
+            accessHistory: [...shareToken.accessHistory]
+                .sort((a, b) => new Date(b.accessedAt) - new Date(a.accessedAt))
+                .slice(0, DETAIL_HISTORY_LIMIT)
+        };
+    }
+
+    async revokeLinks(shareIds = [], user) {
+        const ids = [...new Set(shareIds.map(String))].filter(id => mongoose.Types.ObjectId.isValid(id));
+        if (!ids.length) throw httpError('Select at least one share link to revoke', 400);
+        if (ids.length > MAX_BULK_REVOKE) throw httpError(`At most ${MAX_BULK_REVOKE} links can be revoked at once`, 400);
+
+        const result = await ShareToken.updateMany(
+            { _id: { $in: ids }, isActive: true },
+            { isActive: false, revokedAt: new Date(), revokedBy: user._id }
+        );
+
+        console.log(`🚫 ${result.modifiedCount} share link(s) revoked by user ${user._id}`);
+        return { requested: ids.length, revoked: result.modifiedCount };
+    }
+
+    async dismissAlerts(shareId, user) {
+        const shareToken = await ShareToken.findById(shareId);
+        if (!shareToken) throw httpError('Share link not found', 404);
+
+        shareToken.alerts.forEach(alert => {
+            if (!alert.dismissedAt) {
+                alert.dismissedAt = new Date();
+                alert.dismissedBy = user._id;
+            }
+        });
+        await shareToken.save();
+        return shareToken.alerts;
+    }
+}
+
+export default new ShareLinkService();
@@ -0,0 +1,342 @@
+import Queue from 'bull';
+import SlaPolicy from '../models/slaPolicyModel.js';
+import DicomStudy from '../models/dicomStudyModel.js';
+import User from '../models/userModel.js';
+import transporter from '../config/resend.js';
+import websocketService from '../config/webSocket.js';
+import autoAssignmentService, {
+    ASSIGNABLE_STATUSES,
+    OPEN_WORKFLOW_STATUSES,
+    REASSIGNABLE_STATUSES,
+    getAssignmentPriority
+} from './autoAssignment.service.js';
+import assignmentSuggestionService from './assignmentSuggestion.service.js';
+import { NOT_QUARANTINED_FILTER } from './labRouting.service.js';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const JOB_NAME = 'check-sla-breaches';
+const CHECK_CRON = process.env.SLA_CHECK_CRON || '* * * * *';
+const RULE_CACHE_TTL_MS = 60 * 1000;
+// Older open studies are left to the plain 24h overdue flag
+const LOOKBACK_DAYS = 14;
+const BATCH_LIMIT = 1000;
+
+const UNREPORTED_STATUSES = [...ASSIGNABLE_STATUSES, ...OPEN_WORKFLOW_STATUSES];
+const STUDY_FIELDS = 'studyInstanceUID accessionNumber patientInfo modality modalitiesInStudy sourceLab studyPriority caseType ' +
+    'workflowStatus createdAt assignment lastAssignedDoctor sla';
+
+export function formatSlaMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+function getLatestAssignment(study) {
+    const assignments = Array.isArray(study.assignment) ? study.assignment : [];
+    return assignments.reduce((latest, item) =>
+        (!latest || new Date(item.assignedAt) > new Date(latest.assignedAt) ? item : latest), null);
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+// Flags studies that miss their SLA, alerts the people involved and optionally reassigns them
+class SlaEscalationService {
+    constructor() {
+        this.queue = null;
+        this.policies = null;
+        this.policiesLoadedAt = 0;
+    }
+
+    invalidate() {
+        this.policies = null;
+        this.policiesLoadedAt = 0;
+    }
+
+    async getActivePolicies() {
+        if (this.policies && Date.now() - this.policiesLoadedAt < RULE_CACHE_TTL_MS) {
+            return this.policies;
+        }
+        this.policies = await SlaPolicy.find({ isActive: true })
+            .sort({ priority: 1, createdAt: 1 })
+            .lean();
+        this.policiesLoadedAt = Date.now();
+        return this.policies;
+    }
+
+    startScheduler() {
+        if (this.queue) return;
+
+        this.queue = new Queue('sla-escalation', REDIS_URL, {
+            redis: {
+                tls: {},
+                maxRetriesPerRequest: null,
+                enableReadyCheck: false
+            },
+            defaultJobOptions: {
+                removeOnComplete: 20,
+                removeOnFail: 50
+            }
+        });
+
+        this.queue.process(JOB_NAME, 1, () => this.checkBreaches());
+        this.queue.on('failed', (job, error) => {
+            console.error(`❌ SLA check failed:`, error.message);
+        });
+        this.queue.on('error', (error) => {
+            console.error('❌ SLA escalation queue error:', error.message);
+        });
+
+        this.queue.add(JOB_NAME, {}, { repeat: { cron: CHECK_CRON }, jobId: JOB_NAME })
+            .then(() => console.log(`⏱️ SLA breach check scheduled (${CHECK_CRON})`))
+            .catch(error => console.error('❌ Could not schedule SLA breach check:', error.message));
+    }
+
+    matchesPolicy(policy, study) {
+        if (policy.labs?.length && !policy.labs.some(lab => String(lab) === String(study.sourceLab?._id || study.sourceLab))) {
+            return false;
+        }
+        if (policy.studyPriorities?.length) {
+            const priorities = [study.studyPriority, study.caseType].filter(Boolean).map(value => value.toLowerCase());
+            if (!policy.studyPriorities.some(priority => priorities.includes(priority.toLowerCase()))) return false;
+        }
+        return true;
+    }
+
+    findPolicy(policies, study) {
+        return policies.find(policy => this.matchesPolicy(policy, study)) || null;
+    }
+
+    getDueAt(policy, study) {
+        const assignedAt = policy.measureFrom === 'assignment' ? getLatestAssignment(study)?.assignedAt : null;
+        const start = new Date(assignedAt || study.createdAt);
+        return new Date(start.getTime() + policy.targetMinutes * 60 * 1000);
+    }
+
+    /**
+     * One scheduler pass: flags new breaches, then reassigns breached studies
+     * whose grace period has run out. Returns { breached, reassigned }.
+     */
+    async checkBreaches(now = new Date()) {
+        const policies = await this.getActivePolicies();
+        if (policies.length === 0) return { breached: 0, reassigned: 0 };
+
+        const studies = await DicomStudy.find({
+            workflowStatus: { $in: UNREPORTED_STATUSES },
+            'sla.breachedAt': null,
+            createdAt: { $gte: new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000) },
+            ...NOT_QUARANTINED_FILTER
+        })
+            .select(STUDY_FIELDS)
+            .sort({ createdAt: 1 })
+            .limit(BATCH_LIMIT)
+            .lean();
+
+        let breached = 0;
+        for (const study of studies) {
+            const policy = this.findPolicy(policies, study);
+            if (!policy) continue;
+
+            const dueAt = this.getDueAt(policy, study);
+            if (now < dueAt) continue;
+
+            try {
+                if (await this.flagBreach(study, policy, dueAt, now)) breached++;
+            } catch (error) {
+                console.error(`❌ Could not flag SLA breach for study ${study._id}:`, error.message);
+            }
+        }
+
+        let reassigned = 0;
+        const reassigningPolicies = new Map(policies
+            .filter(policy => policy.reassign?.enabled)
+            .map(policy => [String(policy._id), policy]));
+
+        if (reassigningPolicies.size) {
+            const escalated = await DicomStudy.find({
+                'sla.escalationLevel': 1,
+                'sla.policy': { $in: [...reassigningPolicies.keys()] },
+                workflowStatus: { $in: [...ASSIGNABLE_STATUSES, ...REASSIGNABLE_STATUSES] },
+                ...NOT_QUARANTINED_FILTER
+            })
+                .select(STUDY_FIELDS)
+                .limit(BATCH_LIMIT)
+                .lean();
+
+            for (const study of escalated) {
+                const policy = reassigningPolicies.get(String(study.sla.policy));
+                const graceEndsAt = new Date(study.sla.breachedAt).getTime() + (policy.reassign.graceMinutes || 0) * 60 * 1000;
+                if (now.getTime() < graceEndsAt) continue;
+
+                try {
+                    if (await this.reassignBreachedStudy(study, policy, now)) reassigned++;
+                } catch (error) {
+                    console.error(`❌ SLA reassignment failed for study ${study._id}:`, error.message);
+                }
+            }
+        }
+
+        if (breached || reassigned) {
+            console.log(`⏱️ SLA check: ${breached} new breach(es), ${reassigned} reassignment(s)`);
+        }
+        return { breached, reassigned };
+    }
+
+    async flagBreach(study, policy, dueAt, now) {
+        const updated = await DicomStudy.findOneAndUpdate(
+            { _id: study._id, 'sla.breachedAt': null },
+            {
+                $set: {
+                    'sla.policy': policy._id,
+                    'sla.dueAt': dueAt,
+                    'sla.breachedAt': now,
+                    'sla.escalationLevel': 1,
+                    'calculatedTAT.isOverdue': true
+                },
+                $push: {
+                    statusHistory: {
+                        status: study.workflowStatus,
+                        changedAt: now,
+                        changedBy: null,
+                        note: `SLA breached: policy "${policy.name}" (${formatSlaMinutes(policy.targetMinutes)} from ${policy.measureFrom}) was due ${dueAt.toISOString()}`
+                    }
+                }
+            },
+            { new: true, runValidators: false }
+        ).select(STUDY_FIELDS).lean();
+        if (!updated) return false;
+
+        await SlaPolicy.updateOne({ _id: policy._id }, { $inc: { breachCount: 1 }, $set: { lastBreachAt: now } });
+
+        console.warn(`[SLA] ⚠️ Study ${study._id} breached "${policy.name}"`);
+        await this.notify(updated, policy, {
+            kind: 'breach',
+            doctorUserIds: (updated.assignment || []).map(item => item.assignedTo).filter(Boolean)
+        });
+        return true;
+    }
+
+    // Moves a breached study to the best-ranked available radiologist other than the current one
+    async reassignBreachedStudy(study, policy, now) {
+        const currentDoctorIds = new Set((study.lastAssignedDoctor || []).map(entry => String(entry.doctorId)));
+        const suggestions = await assignmentSuggestionService.suggestDoctors(study);
+        const next = suggestions.find(suggestion =>
+            suggestion.isAvailable && suggestion.duty.onDuty && !currentDoctorIds.has(String(suggestion._id)));
+
+        if (!next) {
+            console.warn(`[SLA] ⚠️ No other radiologist available to take over study ${study._id}`);
+            return false;
+        }
+
+        const doctor = { _id: next._id, userAccount: { _id: next.userId, fullName: next.fullName } };
+        const options = {
+            priority: getAssignmentPriority(study),
+            note: `SLA escalation: reassigned to Dr. ${next.fullName} ${policy.reassign.graceMinutes || 0} min after breaching "${policy.name}"`,
+            filter: { 'sla.escalationLevel': 1 },
+            set: { 'sla.escalationLevel': 2, 'sla.reassignedAt': now }
+        };
+
+        const updated = ASSIGNABLE_STATUSES.includes(study.workflowStatus)
+            ? await autoAssignmentService.assignStudy(study._id, doctor, options)
+            : await autoAssignmentService.reassignStudy(study._id, doctor, options);
+        if (!updated) return false;
+
+        console.log(`[SLA] 🔁 Study ${study._id} reassigned to Dr. ${next.fullName}`);
+        await this.notify(updated.toObject(), policy, {
+            kind: 'reassigned',
+            reassignedTo: next.fullName,
+            doctorUserIds: [
+                ...(study.assignment || []).map(item => item.assignedTo).filter(Boolean),
+                next.userId
+            ]
+        });
+        return true;
+    }
+
+    /**
+     * Alerts admins, the doctors involved and the policy's extra addresses over
+     * the WebSocket channel and email. Failures are logged, never thrown.
+     */
+    async notify(study, policy, { kind, doctorUserIds = [], reassignedTo = null }) {
+        const escalation = {
+            kind,
+            studyId: study._id,
+            studyInstanceUID: study.studyInstanceUID,
+            accessionNumber: study.accessionNumber,
+            patientName: study.patientInfo?.patientName,
+            patientId: study.patientInfo?.patientID,
+            modality: study.modality,
+            workflowStatus: study.workflowStatus,
+            policy: policy.name,
+            target: formatSlaMinutes(policy.targetMinutes),
+            dueAt: study.sla?.dueAt,
+            breachedAt: study.sla?.breachedAt,
+            reassignedTo
+        };
+        const doctorIds = policy.notifyDoctor ? doctorUserIds : [];
+
+        try {
+            websocketService.notifySlaEscalation(escalation, { notifyAdmins: policy.notifyAdmins, doctorUserIds: doctorIds });
+        } catch (error) {
+            console.error('❌ SLA WebSocket notification failed:', error.message);
+        }
+
+        try {
+            const userFilter = [];
+            if (policy.notifyAdmins) userFilter.push({ role: 'admin' });
+            if (doctorIds.length) userFilter.push({ _id: { $in: doctorIds } });
+
+            const users = userFilter.length
+                ? await User.find({ $or: userFilter, isActive: true }).select('email fullName').lean()
+                : [];
+            const recipients = new Map(users.filter(user => user.email).map(user => [user.email.toLowerCase(), user.fullName]));
+            for (const email of policy.notifyEmails || []) {
+                if (!recipients.has(email)) recipients.set(email, null);
+            }
+
+            const subject = kind === 'reassigned'
+                ? `SLA escalation: ${escalation.patientName || 'study'} reassigned to Dr. ${reassignedTo}`
+                : `SLA breached: ${escalation.patientName || 'study'} (${policy.name})`;
+            const html = this.renderEmail(escalation);
+
+            for (const [email, name] of recipients) {
+                try {
+                    await transporter.sendMail({ to: email, name: name || undefined, subject, html, tags: ['sla-escalation'] });
+                } catch (error) {
+                    console.error(`❌ SLA email to ${email} failed:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ SLA email notification failed:', error.message);
+        }
+    }
+
+    renderEmail(escalation) {
+        const rows = [
+            ['Patient', `${escalation.patientName || '-'} (${escalation.patientId || '-'})`],
+            ['Accession', escalation.accessionNumber || '-'],
+            ['Modality', escalation.modality || '-'],
+            ['Status', escalation.workflowStatus],
+            ['SLA policy', `${escalation.policy} - ${escalation.target}`],
+            ['Due', escalation.dueAt ? new Date(escalation.dueAt).toLocaleString() : '-'],
+            ...(escalation.reassignedTo ? [['Reassigned to', `Dr. ${escalation.reassignedTo}`]] : [])
+        ];
+
+        return `
+            <div style="font-family: Arial, sans-serif; color: #1f2937;">
+                <h2 style="color: #b91c1c;">${escalation.kind === 'reassigned' ? 'Study reassigned after SLA breach' : 'Reporting SLA breached'}</h2>
+                <table style="border-collapse: collapse;">
+                    ${rows.map(([label, value]) => `
+                        <tr>
+                            <td style="padding: 4px 12px 4px 0; color: #6b7280;">${label}</td>
+                            <td style="padding: 4px 0;">${escapeHtml(value)}</td>
+                        </tr>`).join('')}
+                </table>
+            </div>`;
+    }
+}
+
+export default new SlaEscalationService();
@@ -0,0 +1,28 @@
+import axios from 'axios';
+
+// Generic HTTP SMS gateway: POSTs { to, message } as JSON with a bearer key.
+// Leave SMS_GATEWAY_URL unset to disable SMS; callers check isConfigured().
+const SMS_GATEWAY_URL = process.env.SMS_GATEWAY_URL;
+const SMS_GATEWAY_API_KEY = process.env.SMS_GATEWAY_API_KEY;
+const SMS_SENDER_ID = process.env.SMS_SENDER_ID || 'STARRAD';
+const REQUEST_TIMEOUT_MS = 10000;
+
+class SmsService {
+    isConfigured() {
+        return Boolean(SMS_GATEWAY_URL);
+    }
+
+    async send(to, message) {
+        if (!this.isConfigured()) {
+            throw new Error('SMS delivery is not configured');
+        }
+
+        await axios.post(SMS_GATEWAY_URL, { to, message, sender: SMS_SENDER_ID }, {
+            headers: SMS_GATEWAY_API_KEY ? { Authorization: `Bearer ${SMS_GATEWAY_API_KEY}` } : {},
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        console.log(`📱 SMS sent to ${to.replace(/.(?=.{3})/g, '*')}`);
+    }
+}
+
+export default new SmsService();
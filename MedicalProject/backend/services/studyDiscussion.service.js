@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import DicomStudy from '../models/dicomStudyModel.js';
+import DiscussionRead from '../models/discussionReadModel.js';
+import Doctor from '../models/doctorModel.js';
+import User from '../models/userModel.js';
+import transporter from '../config/resend.js';
+import websocketService from '../config/webSocket.js';
+import WasabiService from './wasabi.service.js';
+import { assertCanViewStudy, buildStudyAccessFilter, STUDY_ACCESS_FIELDS } from '../utils/studyAccess.js';
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_MENTIONS = 20;
+const MAX_UNREAD_LOOKUP = 200;
+const STUDY_FIELDS = `discussions patientId patientInfo.patientName modality accessionNumber ${STUDY_ACCESS_FIELDS}`;
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+// Worklists pass the Mongo id, the Orthanc id or the StudyInstanceUID
+const buildStudyLookup = (studyId) => {
+    const conditions = [{ orthancStudyID: studyId }, { studyInstanceUID: studyId }];
+    if (mongoose.Types.ObjectId.isValid(studyId)) conditions.unshift({ _id: studyId });
+    return { $or: conditions };
+};
+
+// Storage keys stay on the server; clients download through the API
+const serializeDiscussion = (discussion) => ({
+    _id: discussion._id,
+    comment: discussion.comment,
+    userName: discussion.userName,
+    userRole: discussion.userRole,
+    userId: discussion.userId,
+    dateTime: discussion.dateTime,
+    parentId: discussion.parentId || null,
+    mentions: discussion.mentions || [],
+    attachments: (discussion.attachments || []).map(attachment => ({
+        _id: attachment._id,
+        fileName: attachment.fileName,
+        contentType: attachment.contentType,
+        size: attachment.size
+    })),
+    editedAt: discussion.editedAt || null,
+    editHistory: discussion.editHistory || []
+});
+
+// Threaded comments, @mentions, attachments and read tracking for study discussions
+class StudyDiscussionService {
+    async loadStudy(user, studyId) {
+        const study = await DicomStudy.findOne(buildStudyLookup(studyId)).select(STUDY_FIELDS).lean();
+        if (!study) throw httpError('Study not found', 404);
+        await assertCanViewStudy(user, study);
+        return study;
+    }
+
+    async listDiscussions(user, studyId) {
+        const study = await this.loadStudy(user, studyId);
+        return (study.discussions || [])
+            .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+            .map(serializeDiscussion);
+    }
+
+    // Admins, the study's lab staff and the doctors it is assigned to
+    async getMentionableUsers(user, studyId) {
+        const study = await this.loadStudy(user, studyId);
+        return this.findMentionableUsers(study);
+    }
+
+    async findMentionableUsers(study) {
+        const assignedUserIds = (study.assignment || []).map(entry => entry.assignedTo).filter(Boolean);
+        const legacyDoctorIds = [
+            ...assignedUserIds,
+            ...(study.lastAssignedDoctor || []).map(entry => entry.doctorId).filter(Boolean)
+        ];
+        const doctors = await Doctor.find({ _id: { $in: legacyDoctorIds } }).select('userAccount').lean();
+
+        const filters = [
+            { role: 'admin' },
+            { role: 'doctor_account', _id: { $in: [...assignedUserIds, ...doctors.map(doctor => doctor.userAccount)] } }
+        ];
+        if (study.sourceLab) filters.push({ role: 'lab_staff', lab: study.sourceLab });
+
+        return User.find({ $or: filters, isActive: true })
+            .select('fullName role email')
+            .sort({ fullName: 1 })
+            .lean();
+    }
+
+    // Keeps only mentions of users who can actually see the study
+    async resolveMentions(study, mentionIds) {
+        const requested = [...new Set((Array.isArray(mentionIds) ? mentionIds : [mentionIds]).filter(Boolean).map(String))];
+        if (requested.length === 0) return [];
+        if (requested.length > MAX_MENTIONS) throw httpError(`A comment can mention at most ${MAX_MENTIONS} people`, 400);
+
+        const mentionable = await this.findMentionableUsers(study);
+        return mentionable
+            .filter(candidate => requested.includes(candidate._id.toString()))
+            .map(candidate => ({ userId: candidate._id, userName: candidate.fullName, email: candidate.email }));
+    }
+
+    validateComment(comment, hasAttachments) {
+        const text = String(comment || '').trim();
+        if (!text && !hasAttachments) throw httpError('Comment is required', 400);
+        if (text.length > MAX_COMMENT_LENGTH) throw httpError(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`, 400);
+        return text;
+    }
+
+    async uploadAttachments(user, study, files = []) {
+        const attachments = [];
+        for (const file of files) {
+            const result = await WasabiService.uploadDocument(file.buffer, file.originalname, 'discussion', {
+                patientId: study.patientId,
+                studyId: study._id.toString(),
+                uploadedBy: user.fullName || user.email
+            });
+            attachments.push({
+                _id: new mongoose.Types.ObjectId(),
+                fileName: file.originalname,
+                contentType: file.mimetype,
+                size: file.size,
+                wasabiKey: result.key,
+                wasabiBucket: result.bucket,
+                uploadedAt: new Date()
+            });
+        }
+        return attachments;
+    }
+
+    async addComment(user, studyId, { comment, parentId, mentions }, files = []) {
+        const study = await this.loadStudy(user, studyId);
+        const text = this.validateComment(comment, files.length > 0);
+
+        // Replies to a reply join the same thread, so threads stay one level deep
+        let threadId = null;
+        if (parentId) {
+            const parent = (study.discussions || []).find(item => item._id.toString() === String(parentId));
+            if (!parent) throw httpError('The comment you are replying to no longer exists', 404);
+            threadId = parent.parentId || parent._id;
+        }
+
+        const mentioned = await this.resolveMentions(study, mentions);
+        const attachments = await this.uploadAttachments(user, study, files);
+
+        const discussion = {
+            _id: new mongoose.Types.ObjectId(),
+            comment: text || '(attachment)',
+            userName: user.fullName || user.email,
+            userRole: user.role,
+            userId: user._id,
+            dateTime: new Date(),
+            parentId: threadId,
+            mentions: mentioned.map(({ userId, userName }) => ({ userId, userName })),
+            attachments
+        };
+
+        await DicomStudy.updateOne({ _id: study._id }, { $push: { discussions: discussion } });
+        await this.markRead(user, study._id);
+
+        const serialized = serializeDiscussion(discussion);
+        this.notify(study, user, { kind: 'created', discussion: serialized }, mentioned);
+        return serialized;
+    }
+
+    // Authors edit their own comments; the previous text is kept in editHistory
+    async editComment(user, studyId, discussionId, { comment, mentions }) {
+        const study = await this.loadStudy(user, studyId);
+        const existing = (study.discussions || []).find(item => item._id.toString() === String(discussionId));
+        if (!existing) throw httpError('Comment not found', 404);
+        if (!existing.userId || existing.userId.toString() !== user._id.toString()) {
+            throw httpError('You can only edit your own comments', 403);
+        }
+
+        const text = this.validateComment(comment, (existing.attachments || []).length > 0);
+        if (text === existing.comment) return serializeDiscussion(existing);
+
+        const mentioned = await this.resolveMentions(study, mentions);
+        const editedAt = new Date();
+        const previous = { comment: existing.comment, editedAt: existing.editedAt || existing.dateTime };
+
+        await DicomStudy.updateOne(
+            { _id: study._id, 'discussions._id': existing._id },
+            {
+                $set: {
+                    'discussions.$.comment': text,
+                    'discussions.$.editedAt': editedAt,
+                    'discussions.$.mentions': mentioned.map(({ userId, userName }) => ({ userId, userName }))
+                },
+                $push: { 'discussions.$.editHistory': previous }
+            }
+        );
+
+        const serialized = serializeDiscussion({
+            ...existing,
+            comment: text,
+            editedAt,
+            mentions: mentioned.map(({ userId, userName }) => ({ userId, userName })),
+            editHistory: [...(existing.editHistory || []), previous]
+        });
+
+        // Only people added by this edit hear about it
+        const alreadyMentioned = new Set((existing.mentions || []).map(item => item.userId?.toString()));
+        this.notify(study, user, { kind: 'edited', discussion: serialized },
+            mentioned.filter(item => !alreadyMentioned.has(item.userId.toString())));
+        return serialized;
+    }
+
+    // Admin only; removing a top-level comment removes its replies too
+    async deleteComment(user, studyId, discussionId) {
+        if (user.role !== 'admin') throw httpError('Unauthorized: Only admins can delete discussions', 403);
+
+        const study = await this.loadStudy(user, studyId);
+        const removed = (study.discussions || []).filter(item => item._id.toString() === String(discussionId)
+            || item.parentId?.toString() === String(discussionId));
+        if (removed.length === 0) throw httpError('Discussion not found', 404);
+
+        await DicomStudy.updateOne(
+            { _id: study._id },
+            { $pull: { discussions: { _id: { $in: removed.map(item => item._id) } } } }
+        );
+
+        for (const attachment of removed.flatMap(item => item.attachments || [])) {
+            try {
+                await WasabiService.deleteFile(attachment.wasabiBucket, attachment.wasabiKey);
+            } catch (error) {
+                console.error(`❌ Failed to delete discussion attachment ${attachment.wasabiKey}:`, error.message);
+            }
+        }
+
+        this.notify(study, user, { kind: 'deleted', discussionIds: removed.map(item => item._id) }, []);
+        return removed.length;
+    }
+
+    async getAttachment(user, studyId, discussionId, attachmentId) {
+        const study = await this.loadStudy(user, studyId);
+        const discussion = (study.discussions || []).find(item => item._id.toString() === String(discussionId));
+        const attachment = discussion?.attachments?.find(item => item._id.toString() === String(attachmentId));
+        if (!attachment) throw httpError('Attachment not found', 404);
+
+        const file = await WasabiService.downloadFile(attachment.wasabiBucket, attachment.wasabiKey);
+        return {
+            data: file.data,
+            fileName: attachment.fileName,
+            contentType: attachment.contentType || file.contentType || 'application/octet-stream'
+        };
+    }
+
+    async markRead(user, studyObjectId) {
+        await DiscussionRead.updateOne(
+            { user: user._id, study: studyObjectId },
+            { $set: { lastReadAt: new Date() } },
+            { upsert: true }
+        );
+    }
+
+    async markStudyRead(user, studyId) {
+        const study = await this.loadStudy(user, studyId);
+        await this.markRead(user, study._id);
+    }
+
+    // Comments by others since the user last opened each study's discussion
+    async getUnreadCounts(user, studyIds = []) {
+        const ids = [...new Set(studyIds.map(String))]
+            .filter(id => mongoose.Types.ObjectId.isValid(id))
+            .slice(0, MAX_UNREAD_LOOKUP);
+        if (ids.length === 0) return {};
+
+        // Only studies the user could open, so counts say nothing about the rest
+        const accessFilter = await buildStudyAccessFilter(user);
+        if (!accessFilter) return {};
+        const query = { ...accessFilter, _id: { $in: ids }, 'discussions.0': { $exists: true } };
+
+        const [studies, reads] = await Promise.all([
+            DicomStudy.find(query).select('discussions.dateTime discussions.userId').lean(),
+            DiscussionRead.find({ user: user._id, study: { $in: ids } }).select('study lastReadAt').lean()
+        ]);
+        const lastRead = new Map(reads.map(read => [read.study.toString(), new Date(read.lastReadAt)]));
+        const userId = user._id.toString();
+
+        return studies.reduce((counts, study) => {
+            const since = lastRead.get(study._id.toString());
+            const unread = study.discussions.filter(item => item.userId?.toString() !== userId
+                && (!since || new Date(item.dateTime) > since)).length;
+            if (unread > 0) counts[study._id.toString()] = unread;
+            return counts;
+        }, {});
+    }
+
+    // Live push to everyone with the discussion open, plus mention alerts by WebSocket and email
+    notify(study, author, event, mentionedUsers) {
+        const mentioned = mentionedUsers.filter(item => item.userId.toString() !== author._id.toString());
+        const payload = {
+            ...event,
+            studyId: study._id.toString(),
+            patientName: study.patientInfo?.patientName,
+            patientId: study.patientId,
+            modality: study.modality,
+            authorId: author._id.toString(),
+            authorName: author.fullName || author.email
+        };
+
+        try {
+            websocketService.notifyStudyDiscussion(payload, {
+                mentionedUserIds: mentioned.map(item => item.userId.toString())
+            });
+        } catch (error) {
+            console.error('❌ Discussion WebSocket notification failed:', error.message);
+        }
+
+        if (mentioned.length > 0) {
+            this.emailMentions(payload, mentioned).catch(error => {
+                console.error('❌ Discussion mention email failed:', error.message);
+            });
+        }
+    }
+
+    async emailMentions(payload, mentioned) {
+        const patient = payload.patientName || payload.patientId || 'a study';
+        const subject = `${payload.authorName} mentioned you in a discussion on ${patient}`;
+        const html = `
+            <div style="font-family: Arial, sans-serif; color: #1f2937;">
+                <h2 style="color: #1d4ed8;">You were mentioned in a study discussion</h2>
+                <p>${escapeHtml(payload.authorName)} wrote on ${escapeHtml(patient)} (${escapeHtml(payload.modality || 'study')}):</p>
+                <blockquote style="border-left: 3px solid #d1d5db; margin: 0; padding: 4px 12px; color: #374151;">
+                    ${escapeHtml(payload.discussion.comment)}
+                </blockquote>
+            </div>`;
+
+        for (const recipient of mentioned.filter(item => item.email)) {
+            try {
+                await transporter.sendMail({ to: recipient.email, name: recipient.userName, subject, html, tags: ['study-discussion'] });
+            } catch (error) {
+                console.error(`❌ Discussion mention email to ${recipient.email} failed:`, error.message);
+            }
+        }
+    }
+}
+
+export default new StudyDiscussionService();
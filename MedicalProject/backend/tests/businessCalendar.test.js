@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateBusinessMinutes, getCalendarVersion } from '../utils/businessCalendar.js';
+import { calculateBusinessTAT, selectTAT } from '../utils/TATutility.js';
+
+const DAY = 24 * 60;
+const WEEKDAYS_9_TO_5 = [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' }));
+const newYork = (holidays = [], workingHours = []) => ({
+    timezone: 'America/New_York',
+    workingHours,
+    holidays: holidays.map(date => ({ date }))
+});
+
+test('counts ten years without walking every day', () => {
+    const began = Date.now();
+    assert.equal(
+        calculateBusinessMinutes('2015-01-01T00:00:00Z', '2025-01-01T00:00:00Z', { timezone: 'UTC' }),
+        3653 * DAY
+    );
+    // 2015-01-05 is a Monday; 522 weeks later is 2025-01-06
+    assert.equal(
+        calculateBusinessMinutes('2015-01-05T05:00:00Z', '2025-01-06T05:00:00Z', newYork([], WEEKDAYS_9_TO_5)),
+        522 * 5 * 8 * 60
+    );
+    assert.ok(Date.now() - began < 250, `took ${Date.now() - began}ms`);
+});
+
+test('loses the skipped hour across a DST change and skips holidays', () => {
+    // 2024-03-04 to 2024-03-25 local midnight; clocks go forward on 2024-03-10
+    const start = '2024-03-04T05:00:00Z';
+    const end = '2024-03-25T04:00:00Z';
+
+    assert.equal(calculateBusinessMinutes(start, end, newYork()), 21 * DAY - 60);
+    assert.equal(calculateBusinessMinutes(start, end, newYork(['2024-03-20'])), 20 * DAY - 60);
+    assert.equal(calculateBusinessMinutes(start, end, newYork(['2024-03-20'], WEEKDAYS_9_TO_5)), 14 * 8 * 60);
+});
+
+test('skipping whole weeks matches walking the range in short pieces', () => {
+    const calendar = newYork(['2023-07-04', '2023-11-23', '2023-12-25', '2024-07-04'], [
+        ...WEEKDAYS_9_TO_5,
+        { day: 6, start: '22:00', end: '24:00' }
+    ]);
+    const start = new Date('2023-01-03T14:37:00Z').getTime();
+    const end = new Date('2024-12-30T02:11:00Z').getTime();
+    const step = 2.5 * DAY * 60 * 1000;
+
+    let pieces = 0;
+    for (let from = start; from < end; from += step) {
+        pieces += calculateBusinessMinutes(from, Math.min(from + step, end), calendar);
+    }
+    assert.equal(calculateBusinessMinutes(start, end, calendar), pieces);
+});
+
+test('reuses stored business TAT only while the calendar is unchanged', () => {
+    const keyDates = {
+        uploadDate: new Date('2024-03-04T14:00:00Z'),
+        assignedDate: new Date('2024-03-05T14:00:00Z'),
+        reportDate: new Date('2024-03-06T14:00:00Z')
+    };
+    const calendar = newYork([], WEEKDAYS_9_TO_5);
+    const stored = calculateBusinessTAT(keyDates, calendar);
+    const study = { calculatedTAT: { keyDates, business: stored } };
+
+    assert.equal(selectTAT(study, 'business', newYork([], WEEKDAYS_9_TO_5)), stored);
+
+    const edited = newYork(['2024-03-05'], WEEKDAYS_9_TO_5);
+    assert.notEqual(getCalendarVersion(edited), stored.calendarVersion);
+    assert.equal(selectTAT(study, 'business', edited).uploadToReportTAT, stored.uploadToReportTAT - 8 * 60);
+});
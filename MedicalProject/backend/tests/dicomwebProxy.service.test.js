@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dicomwebProxyService from '../services/dicomwebProxy.service.js';
+
+const GRANTED = '1.2.840.113619.2.55.3.1';
+const OTHER = '1.2.840.113619.2.55.3.2';
+const grant = { studyInstanceUID: GRANTED };
+
+const pathOf = (segments) => new URL(dicomwebProxyService.buildDicomwebRequest(grant, segments, {}).url).pathname;
+const statusOf = (segments, query = {}) => {
+    try {
+        dicomwebProxyService.buildDicomwebRequest(grant, segments, query);
+    } catch (error) {
+        return error.statusCode;
+    }
+    return 200;
+};
+
+test('keeps viewer requests inside the granted study', () => {
+    assert.equal(pathOf(['studies', GRANTED, 'series']), `/dicom-web/studies/${GRANTED}/series`);
+    assert.equal(pathOf(['studies', GRANTED, 'metadata']), `/dicom-web/studies/${GRANTED}/metadata`);
+    assert.equal(
+        pathOf(['studies', GRANTED, 'series', '1.2.3', 'instances', '1.2.3.4', 'frames', '1,2']),
+        `/dicom-web/studies/${GRANTED}/series/1.2.3/instances/1.2.3.4/frames/1,2`
+    );
+    assert.equal(
+        pathOf(['studies', GRANTED, 'series', '1.2.3', 'instances', '1.2.3.4', 'bulk', '7fe00010']),
+        `/dicom-web/studies/${GRANTED}/series/1.2.3/instances/1.2.3.4/bulk/7fe00010`
+    );
+});
+
+test('refuses other studies', () => {
+    assert.equal(statusOf(['studies', OTHER, 'metadata']), 403);
+    assert.equal(statusOf(['series'], { StudyInstanceUID: OTHER }), 403);
+    assert.equal(statusOf(['studies'], { '0020000D': OTHER }), 403);
+});
+
+test('refuses path traversal out of the granted study', () => {
+    // Express hands %2E%2E over already decoded
+    assert.equal(statusOf(['studies', GRANTED, '..', '..', 'studies', OTHER, 'metadata']), 400);
+    assert.equal(statusOf(['studies', GRANTED, 'series', '.', 'metadata']), 400);
+    assert.equal(statusOf(['studies', GRANTED, 'series', `1.2/../../../studies/${OTHER}`]), 400);
+    assert.equal(statusOf(['studies', GRANTED, '', 'metadata']), 400);
+});
+
+test('refuses paths outside the whitelist', () => {
+    assert.equal(statusOf(['studies', GRANTED, 'series', '1.2.3', 'delete']), 404);
+    assert.equal(statusOf(['studies', GRANTED, 'instances', '1.2.3.4']), 404);
+    assert.equal(statusOf(['studies', GRANTED, 'series', 'abc']), 404);
+    assert.equal(statusOf(['patients']), 404);
+});
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { calculateBusinessMinutes, getCalendarVersion, DEFAULT_TIMEZONE } from './businessCalendar.js';
 
 /**
  * 🔧 CENTRALIZED TAT CALCULATOR UTILITY
@@ -105,6 +106,70 @@ const formatTAT = (minutes) => {
     }
 };
 
+// 🔧 HELPER: Lab working calendars, cached briefly since every TAT update needs one
+const LAB_CALENDAR_TTL_MS = 5 * 60 * 1000;
+const labCalendarCache = new Map();
+
+export const getLabCalendar = async (labId) => {
+    if (!labId) return {};
+
+    const key = String(labId._id || labId);
+    const cached = labCalendarCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.calendar;
+
+    const lab = await mongoose.model('Lab').findById(key).select('workingCalendar').lean();
+    const calendar = lab?.workingCalendar || {};
+    labCalendarCache.set(key, { calendar, expiresAt: Date.now() + LAB_CALENDAR_TTL_MS });
+    return calendar;
+};
+
+export const invalidateLabCalendar = (labId) => {
+    if (labId) {
+        labCalendarCache.delete(String(labId));
+    } else {
+        labCalendarCache.clear();
+    }
+};
+
+// 🔧 BUSINESS: Same phases as calculateStudyTAT, counted only within the lab's working calendar
+export const calculateBusinessTAT = (keyDates = {}, calendar = {}, currentTime = new Date()) => {
+    const { studyDate, uploadDate, assignedDate, reportDate } = keyDates;
+    const minutes = (start, end) => (start && end ? calculateBusinessMinutes(start, end, calendar) : null);
+
+    const business = {
+        uploadToAssignmentTAT: minutes(uploadDate, assignedDate),
+        assignmentToReportTAT: minutes(assignedDate, reportDate),
+        studyToReportTAT: minutes(studyDate, reportDate),
+        uploadToReportTAT: minutes(uploadDate, reportDate),
+        totalTATMinutes: minutes(uploadDate, reportDate || currentTime),
+        timezone: calendar.timezone || DEFAULT_TIMEZONE,
+        calendarVersion: getCalendarVersion(calendar)
+    };
+
+    business.uploadToAssignmentTATFormatted = business.uploadToAssignmentTAT ? formatTAT(business.uploadToAssignmentTAT) : 'N/A';
+    business.assignmentToReportTATFormatted = business.assignmentToReportTAT ? formatTAT(business.assignmentToReportTAT) : 'N/A';
+    business.studyToReportTATFormatted = business.studyToReportTAT ? formatTAT(business.studyToReportTAT) : 'N/A';
+    business.uploadToReportTATFormatted = business.uploadToReportTAT ? formatTAT(business.uploadToReportTAT) : 'N/A';
+    business.totalTATFormatted = business.totalTATMinutes ? formatTAT(business.totalTATMinutes) : 'N/A';
+
+    return business;
+};
+
+// 🔧 MODE: TAT basis requested by reports - 'wallclock' (default) or 'business'
+export const getTATMode = (value) => (value === 'business' ? 'business' : 'wallclock');
+
+// The stored business TAT is reused only for reported studies whose copy was
+// computed with the lab's current calendar; anything else is worked out again
+export const selectTAT = (study, tatMode, calendar) => {
+    const tat = study.calculatedTAT || calculateStudyTAT(study);
+    if (tatMode !== 'business') return tat;
+
+    if (tat.keyDates?.reportDate && tat.business?.calendarVersion === getCalendarVersion(calendar || {})) {
+        return tat.business;
+    }
+    return calculateBusinessTAT(tat.keyDates?.uploadDate ? tat.keyDates : calculateStudyTAT(study).keyDates, calendar || {});
+};
+
 // 🔧 HELPER: Get empty TAT structure
 const getEmptyTAT = () => ({
     // Raw values in minutes
@@ -143,7 +208,8 @@ export const calculateStudyTAT = (study, options = {}) => {
     const { 
         includeFormatting = true, 
         includeMetadata = true,
-        currentTime = new Date()
+        currentTime = new Date(),
+        calendar = study?.sourceLab?.workingCalendar // Pass the lab calendar to also get business TAT
     } = options;
     
     if (!study) {
@@ -230,12 +296,17 @@ export const calculateStudyTAT = (study, options = {}) => {
                    assignedDate ? 'assigned' : 
                    uploadDate ? 'uploaded' : 'not_started';
 
-    // 🔧 DETERMINE: Overdue status (more than 24 hours in current phase)
+    // 🔧 DETERMINE: Overdue status (more than 24 hours in current phase, or an SLA breach)
     result.isOverdue = false;
-    if (!reportDate && result.totalTATMinutes > 1440) { // 24 hours
+    if (!reportDate && (result.totalTATMinutes > 1440 || study.sla?.breachedAt)) { // 24 hours
         result.isOverdue = true;
     }
 
+    // 🔧 BUSINESS: Working-hours TAT alongside the wall-clock values
+    if (calendar) {
+        result.business = calculateBusinessTAT({ studyDate, uploadDate, assignedDate, reportDate }, calendar, currentTime);
+    }
+
     // 🔧 FORMAT: TAT values for display
     if (includeFormatting) {
         result.studyToUploadTATFormatted = result.studyToUploadTAT ? formatTAT(result.studyToUploadTAT) : 'N/A';
@@ -308,6 +379,16 @@ export const updateStudyTAT = async (studyId, tatData, session = null) => {
         console.log(`[TAT Update] 🔄 Updating TAT for study: ${studyId}`);
         
         const DicomStudy = mongoose.model('DicomStudy');
+
+        // 🆕 Fill in business TAT when the caller calculated without the lab calendar
+        if (!tatData.business && tatData.keyDates) {
+            const study = await DicomStudy.findById(studyId).select('sourceLab').session(session).lean();
+            const calendar = await getLabCalendar(study?.sourceLab);
+            tatData = {
+                ...tatData,
+                business: calculateBusinessTAT(tatData.keyDates, calendar, tatData.keyDates.calculationTime || new Date())
+            };
+        }
         
         const updateData = {
             $set: {
@@ -419,7 +500,12 @@ export const resetStudyTAT = async (studyId, resetReason = 'manual_reset', sessi
 
 export default {
     calculateStudyTAT,
+    calculateBusinessTAT,
+    selectTAT,
+    getTATMode,
     calculateBatchTAT,
+    getLabCalendar,
+    invalidateLabCalendar,
     updateStudyTAT,
     autoUpdateStudyTAT,
     resetStudyTAT,
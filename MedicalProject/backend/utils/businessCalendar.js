@@ -0,0 +1,224 @@
+/**
+ * 🗓️ BUSINESS CALENDAR UTILITY
+ * Counts minutes that fall inside a lab's working hours, skipping holidays.
+ * Calendars are evaluated in the lab's own timezone, so DST and non-IST labs are handled.
+ *
+ * Calendar shape (Lab.workingCalendar):
+ *   { timezone: 'Asia/Kolkata', workingHours: [{ day: 1, start: '09:00', end: '18:00' }], holidays: [{ date: '2025-01-26' }] }
+ * A calendar without working hours is treated as round-the-clock (holidays are still skipped).
+ */
+
+import crypto from 'crypto';
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const WEEK_MS = 7 * DAY_MINUTES * MINUTE_MS;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timezone);
+};
+
+export const isValidTimezone = (timezone) => {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Wall-clock parts of an instant in the given timezone
+export const getZonedParts = (date, timezone = DEFAULT_TIMEZONE) => {
+    const parts = Object.fromEntries(getFormatter(timezone).formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+};
+
+const getOffsetMs = (instant, timezone) => {
+    const parts = getZonedParts(new Date(instant), timezone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - (instant - (instant % 1000));
+};
+
+// UTC instant of a wall-clock time in the given timezone (month is 1-based; day/minutes may overflow)
+export const zonedTimeToUtc = (year, month, day, minutes = 0, timezone = DEFAULT_TIMEZONE) => {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    let instant = wallClock - getOffsetMs(wallClock, timezone);
+    // Second pass settles instants that land on the other side of a DST change
+    instant = wallClock - getOffsetMs(instant, timezone);
+    return new Date(instant);
+};
+
+// Start of the local day containing `date`; 'YYYY-MM-DD' strings are read as that calendar day
+export const startOfZonedDay = (date, timezone = DEFAULT_TIMEZONE, dayOffset = 0) => {
+    const match = typeof date === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    const parts = match
+        ? { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }
+        : getZonedParts(new Date(date), timezone);
+    return zonedTimeToUtc(parts.year, parts.month, parts.day + dayOffset, 0, timezone);
+};
+
+export const endOfZonedDay = (date, timezone = DEFAULT_TIMEZONE) => {
+    return new Date(startOfZonedDay(date, timezone, 1).getTime() - 1);
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Calendar-date arithmetic without touching Intl
+const addDays = ({ year, month, day }, days) => {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const toDateKey = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Working windows per weekday in minutes since local midnight
+const buildWeekSchedule = (workingHours = []) => {
+    if (!workingHours.length) return null;
+
+    const schedule = Array.from({ length: 7 }, () => []);
+    for (const slot of workingHours) {
+        const start = toMinutes(slot.start);
+        const end = toMinutes(slot.end);
+        if (slot.day >= 0 && slot.day <= 6 && end > start) {
+            schedule[slot.day].push([start, end]);
+        }
+    }
+
+    // Merge overlapping windows so shared minutes are not counted twice
+    return schedule.map(windows => windows
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, window) => {
+            const last = merged[merged.length - 1];
+            if (last && window[0] <= last[1]) {
+                last[1] = Math.max(last[1], window[1]);
+            } else {
+                merged.push([...window]);
+            }
+            return merged;
+        }, []));
+};
+
+/**
+ * Minutes between two instants that fall inside the calendar's working time.
+ * Returns null when either date is missing, mirroring calculateMinutes() in TATutility.
+ */
+export const calculateBusinessMinutes = (startDate, endDate, calendar = {}) => {
+    if (!startDate || !endDate) return null;
+
+    const start = new Date(startDate).getTime();
+    const end = new Date(endDate).getTime();
+    if (isNaN(start) || isNaN(end)) return null;
+    if (end <= start) return 0;
+
+    const timezone = calendar.timezone || DEFAULT_TIMEZONE;
+    const schedule = buildWeekSchedule(calendar.workingHours);
+    const holidays = new Set((calendar.holidays || []).map(holiday => holiday.date));
+    const weekMs = (schedule
+        ? schedule.flat().reduce((sum, [from, to]) => sum + Math.min(to, DAY_MINUTES) - from, 0)
+        : 7 * DAY_MINUTES) * MINUTE_MS;
+
+    let totalMs = 0;
+    let cursor = start;
+
+    while (cursor < end) {
+        const local = getZonedParts(new Date(cursor), timezone);
+        const dayStart = zonedTimeToUtc(local.year, local.month, local.day, 0, timezone).getTime();
+
+        // Old or placeholder study dates make for ranges of years, so whole weeks
+        // without a holiday or a UTC offset change count as the weekly total at once
+        if (cursor === dayStart && cursor + WEEK_MS <= end) {
+            const offset = getOffsetMs(cursor, timezone);
+            let date = local;
+            let skipped = false;
+            while (cursor + WEEK_MS <= end
+                && getOffsetMs(cursor + WEEK_MS, timezone) === offset
+                && ![0, 1, 2, 3, 4, 5, 6].some(days => holidays.has(toDateKey(addDays(date, days))))) {
+                totalMs += weekMs;
+                cursor += WEEK_MS;
+                date = addDays(date, 7);
+                skipped = true;
+            }
+            if (skipped) continue;
+        }
+
+        // Partial weeks, DST changes and holidays are walked a day at a time
+        const nextDayStart = zonedTimeToUtc(local.year, local.month, local.day + 1, 0, timezone).getTime();
+
+        if (!holidays.has(toDateKey(local))) {
+            const windows = schedule
+                ? schedule[local.weekday].map(([from, to]) => [
+                    zonedTimeToUtc(local.year, local.month, local.day, from, timezone).getTime(),
+                    to >= DAY_MINUTES ? nextDayStart : zonedTimeToUtc(local.year, local.month, local.day, to, timezone).getTime()
+                ])
+                : [[dayStart, nextDayStart]];
+
+            for (const [windowStart, windowEnd] of windows) {
+                const overlap = Math.min(windowEnd, end) - Math.max(windowStart, cursor);
+                if (overlap > 0) totalMs += overlap;
+            }
+        }
+
+        cursor = nextDayStart;
+    }
+
+    return Math.round(totalMs / MINUTE_MS);
+};
+
+// Fingerprint of everything that changes business minutes; stored with
+// calculated TAT so readers know whether it is still current
+const calendarVersions = new WeakMap();
+
+export const getCalendarVersion = (calendar = {}) => {
+    if (calendarVersions.has(calendar)) return calendarVersions.get(calendar);
+
+    const version = crypto.createHash('sha1').update(JSON.stringify({
+        timezone: calendar.timezone || DEFAULT_TIMEZONE,
+        workingHours: (calendar.workingHours || []).map(({ day, start, end }) => [day, start, end]),
+        holidays: (calendar.holidays || []).map(holiday => holiday.date).sort()
+    })).digest('hex').slice(0, 12);
+
+    calendarVersions.set(calendar, version);
+    return version;
+};
+
+export default {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getZonedParts,
+    zonedTimeToUtc,
+    startOfZonedDay,
+    endOfZonedDay,
+    calculateBusinessMinutes,
+    getCalendarVersion
+};
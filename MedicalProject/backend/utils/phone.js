@@ -0,0 +1,9 @@
+/**
+ * 🔧 PHONE NUMBER UTILITY
+ * Mobile numbers are matched on their last 10 digits, so "+91 98765-43210"
+ * and "09876543210" name the same patient.
+ */
+export const normalizePhone = (rawPhone) => {
+    const digits = String(rawPhone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+};
@@ -0,0 +1,32 @@
+/**
+ * 🔧 PHYSICIAN NAME UTILITY
+ * Referring physician names arrive as DICOM person names ("SMITH^JOHN^^DR")
+ * or as free text typed by lab staff ("Dr. John Smith"). Both are reduced to
+ * the same match key so a directory entry links to either spelling.
+ */
+
+const TITLES = new Set(['DR', 'DOCTOR', 'PROF', 'MR', 'MRS', 'MS', 'MD', 'MBBS']);
+
+// Values modalities send when nobody filled the field in
+const EMPTY_NAMES = new Set(['', 'NA', 'NONE', 'UNKNOWN', 'SELF', 'NIL']);
+
+// "SMITH^JOHN^A^DR" -> "DR JOHN A SMITH"; free text is only tidied up
+export const formatPersonName = (name) => {
+    const value = String(name || '').trim();
+    if (!value.includes('^')) return value.replace(/\s+/g, ' ');
+
+    const [family = '', given = '', middle = '', prefix = '', suffix = ''] = value.split('^').map(part => part.trim());
+    return [prefix, given, middle, family, suffix].filter(Boolean).join(' ');
+};
+
+// Upper-case tokens without titles or punctuation, sorted so word order does not matter
+export const normalizePhysicianName = (name) => {
+    const tokens = String(name || '')
+        .toUpperCase()
+        .split(/[\s^.,]+/)
+        .map(token => token.replace(/[^A-Z0-9]/g, ''))
+        .filter(token => token && !TITLES.has(token));
+
+    const key = tokens.sort().join(' ');
+    return EMPTY_NAMES.has(key) ? '' : key;
+};
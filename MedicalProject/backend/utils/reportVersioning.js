@@ -0,0 +1,63 @@
+/**
+ * 🔧 REPORT VERSIONING UTILITY
+ * Every entry in study.doctorReports is one version of the study's report:
+ * drafts, the signed final and any addenda signed after it. Signed versions
+ * are immutable; a later signed version supersedes the earlier ones.
+ */
+
+export const REPORT_VERSION_TYPES = ['draft', 'final', 'addendum'];
+
+// Entries written before versioning only have reportStatus
+export const isSignedReport = (report) =>
+    report.versionType ? report.versionType !== 'draft' : report.reportStatus === 'finalized';
+
+// Index of the version downloads should serve, or -1 when nothing is signed yet
+export const getLatestSignedReportIndex = (doctorReports = []) => {
+    for (let index = doctorReports.length - 1; index >= 0; index--) {
+        if (isSignedReport(doctorReports[index])) return index;
+    }
+    return -1;
+};
+
+/**
+ * Version fields for the next entry pushed onto study.doctorReports.
+ * kind: 'draft' | 'final' | 'addendum'
+ * Throws with statusCode set when the kind does not fit the report's state.
+ */
+export const buildNextReportVersion = (doctorReports = [], kind) => {
+    const latestSignedIndex = getLatestSignedReportIndex(doctorReports);
+    const latestSigned = latestSignedIndex >= 0 ? doctorReports[latestSignedIndex] : null;
+
+    if (kind === 'final' && latestSigned) {
+        const error = new Error('This study already has a signed report. Create an addendum instead.');
+        error.statusCode = 409;
+        throw error;
+    }
+    if (kind === 'addendum' && !latestSigned) {
+        const error = new Error('An addendum can only be added after the report is finalized.');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const previous = doctorReports[doctorReports.length - 1];
+    const addendaSoFar = doctorReports.filter(report => report.versionType === 'addendum').length;
+
+    return {
+        version: doctorReports.length + 1,
+        versionType: kind,
+        addendumNumber: kind === 'addendum' ? addendaSoFar + 1 : undefined,
+        previousVersionId: previous?._id,
+        signedAt: kind === 'draft' ? undefined : new Date()
+    };
+};
+
+// Points every earlier signed version at the one that replaces it
+export const markSupersededVersions = (doctorReports = [], newReport) => {
+    if (!isSignedReport(newReport)) return;
+
+    doctorReports.forEach(report => {
+        if (String(report._id) !== String(newReport._id) && isSignedReport(report) && !report.supersededBy) {
+            report.supersededBy = newReport._id;
+        }
+    });
+};
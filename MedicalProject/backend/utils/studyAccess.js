@@ -0,0 +1,62 @@
+/**
+ * 🔧 STUDY ACCESS UTILITY
+ * Who may see a single study, with the same scoping as the worklists:
+ * admins see everything, lab staff their own lab's studies and doctors
+ * the studies assigned to them.
+ */
+import Doctor from '../models/doctorModel.js';
+
+// Fields canViewStudy needs - select these when loading the study
+export const STUDY_ACCESS_FIELDS = 'sourceLab assignment lastAssignedDoctor';
+
+export const canViewStudy = async (user, study) => {
+    if (!user || !study) return false;
+    if (user.role === 'admin') return true;
+
+    if (user.role === 'lab_staff') {
+        const labId = user.lab?._id || user.lab;
+        return Boolean(labId && study.sourceLab?.toString() === labId.toString());
+    }
+
+    if (user.role === 'doctor_account') {
+        // assignedTo holds the User id; older assignments used the Doctor id
+        const doctor = await Doctor.findOne({ userAccount: user._id }).select('_id').lean();
+        const ids = [user._id.toString(), doctor?._id.toString()].filter(Boolean);
+        return (study.assignment || []).some(entry => ids.includes(entry.assignedTo?.toString()))
+            || (study.lastAssignedDoctor || []).some(entry => ids.includes(entry.doctorId?.toString()));
+    }
+
+    return false;
+};
+
+// The same rule as canViewStudy as a query filter, for lookups over many studies.
+// Returns null when the user can see no studies at all.
+export const buildStudyAccessFilter = async (user) => {
+    if (user?.role === 'admin') return {};
+
+    if (user?.role === 'lab_staff') {
+        const labId = user.lab?._id || user.lab;
+        return labId ? { sourceLab: labId } : null;
+    }
+
+    if (user?.role === 'doctor_account') {
+        const doctor = await Doctor.findOne({ userAccount: user._id }).select('_id').lean();
+        const ids = [user._id, doctor?._id].filter(Boolean);
+        return {
+            $or: [
+                { 'assignment.assignedTo': { $in: ids } },
+                { 'lastAssignedDoctor.doctorId': { $in: ids } }
+            ]
+        };
+    }
+
+    return null;
+};
+
+export const assertCanViewStudy = async (user, study) => {
+    if (!(await canViewStudy(user, study))) {
+        const error = new Error('You do not have access to this study');
+        error.statusCode = 403;
+        throw error;
+    }
+};
@@ -15,6 +15,7 @@ import NewDoctorPage from './pages/admin/NewDoctorPage';
 import ForgotPasswordPage from './pages/ForgotPassword';
 // import ManageDoctorsPage from './pages/ManageDoctorsPage';
 import TATReportPage from './pages/TATReport';
+import TATAnalytics from './pages/TATAnalytics';
 import AdminRegistrationForm from './components/admin/AdminRegistrationForm';
 import { WebSocketProvider } from './contexts/webSocketContext';
 import ShareStudy from './pages/ShareStudy';
@@ -24,6 +25,24 @@ import DoctorsManagement from './pages/DoctorsManagement'; // 🆕 NEW
 import TemplateManager from './components/layout/TemplateMangement';
 import OnlineReportingSystem from './components/layout/OnlineReportingSystem';
 import DicomUploader from './pages/admin/DicomUploader';
+import IngestionJobs from './pages/admin/IngestionJobs';
+import LabRoutingRules from './pages/admin/LabRoutingRules';
+import QuarantineInbox from './pages/admin/QuarantineInbox';
+import PatientMerge from './pages/admin/PatientMerge';
+import ReportEmailTemplates from './pages/admin/ReportEmailTemplates';
+import ReferringPhysicians from './pages/admin/ReferringPhysicians';
+import AutoAssignmentRules from './pages/admin/AutoAssignmentRules';
+import SlaPolicies from './pages/admin/SlaPolicies';
+import Billing from './pages/admin/Billing';
+import Productivity from './pages/admin/Productivity';
+import MyProductivity from './pages/doctor/MyProductivity';
+import PeerReview from './pages/admin/PeerReview';
+import PeerReviews from './pages/doctor/PeerReviews';
+import ShareLinks from './pages/admin/ShareLinks';
+import DutyRoster from './pages/DutyRoster';
+import ScheduledReports from './pages/ScheduledReports';
+import PatientLogin from './pages/patient/PatientLogin';
+import PatientPortal from './pages/patient/PatientPortal';
 
 
 const ProtectedRoute = ({ children, allowedRoles }) => {
@@ -144,6 +163,111 @@ function App() {
               } 
             />
             
+            <Route 
+              path="/admin/ingestion" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <IngestionJobs />
+                </ProtectedRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/lab-routing" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <LabRoutingRules />
+                </ProtectedRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/quarantine" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <QuarantineInbox />
+                </ProtectedRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/patient-merge" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <PatientMerge />
+                </ProtectedRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/report-email" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <ReportEmailTemplates />
+                </ProtectedRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/referring-physicians" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <ReferringPhysicians />
+                </ProtectedRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/auto-assignment" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AutoAssignmentRules />
+                </ProtectedRoute>
+              } 
+            />
+            
+            <Route 
+              path="/admin/sla" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <SlaPolicies />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/admin/billing" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <Billing />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/admin/productivity" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <Productivity />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/admin/peer-review" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <PeerReview />
+                </ProtectedRoute>
+              } 
+            />
+
+            <Route 
+              path="/admin/share-links" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <ShareLinks />
+                </ProtectedRoute>
+              } 
+            />
+            
             {/* Lab Routes */}
             <Route 
               path="/lab/dashboard" 
@@ -163,6 +287,31 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/doctor/productivity" 
+              element={
+                <ProtectedRoute allowedRoles={['doctor_account']}>
+                  <MyProductivity />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/doctor/peer-review" 
+              element={
+                <ProtectedRoute allowedRoles={['doctor_account']}>
+                  <PeerReviews />
+                </ProtectedRoute>
+              } 
+            />
+
+            <Route 
+              path="/roster" 
+              element={
+                <ProtectedRoute allowedRoles={['admin', 'doctor_account']}>
+                  <DutyRoster />
+                </ProtectedRoute>
+              } 
+            />
 
             <Route 
               path="/change-password" 
@@ -189,8 +338,28 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/reports/analytics" 
+              element={
+                <ProtectedRoute>
+                  <TATAnalytics />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/reports/scheduled" 
+              element={
+                <ProtectedRoute allowedRoles={['admin', 'lab_staff']}>
+                  <ScheduledReports />
+                </ProtectedRoute>
+              } 
+            />
             <Route path="/share/:token" element={<ShareStudy />} />
 
+            {/* 🆕 Patient portal - own OTP login, outside the staff session */}
+            <Route path="/patient/login" element={<PatientLogin />} />
+            <Route path="/patient" element={<PatientPortal />} />
+
             <Route 
               path="/reporting/:studyId" 
               element={
@@ -2,6 +2,12 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { toast } from 'react-hot-toast';
 import api from '../../../services/api';
 
+const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined) return '-';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
 const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) => {
   const [doctors, setDoctors] = useState([]);
   const [allDoctors, setAllDoctors] = useState([]);
@@ -10,6 +16,7 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
   const [assignmentFilter, setAssignmentFilter] = useState('');
   const [selectedDoctorIds, setSelectedDoctorIds] = useState([]);
   const [currentlyAssignedDoctorIds, setCurrentlyAssignedDoctorIds] = useState([]);
+  const [suggestions, setSuggestions] = useState(new Map());
 
   // Reset selection based on the study's doctorAssignments array
   useEffect(() => {
@@ -139,6 +146,13 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
         }
 
         const uniqueDoctorList = Array.from(new Map(fetchedDoctorsList.map(doc => [doc._id || doc.id, doc])).values());
+
+        // ✅ Rank by workload / TAT / modality experience; the plain list still works without it
+        const suggestionMap = await fetchSuggestions();
+        const rankOf = (doc) => suggestionMap.get(doc._id || doc.id)?.rank ?? Number.MAX_SAFE_INTEGER;
+        uniqueDoctorList.sort((a, b) => rankOf(a) - rankOf(b));
+
+        setSuggestions(suggestionMap);
         setAllDoctors(uniqueDoctorList);
         console.log('👥 Total doctors loaded:', uniqueDoctorList.length);
       }
@@ -150,6 +164,19 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
     }
   };
 
+  const fetchSuggestions = async () => {
+    if (!study?._id) return new Map();
+    try {
+      const response = await api.get(`/admin/studies/${study._id}/doctor-suggestions`);
+      if (response.data.success) {
+        return new Map(response.data.data.map((suggestion, rank) => [suggestion._id, { ...suggestion, rank }]));
+      }
+    } catch (error) {
+      console.error('❌ Error fetching doctor suggestions:', error);
+    }
+    return new Map();
+  };
+
   const handleSelectDoctor = (doctorId) => {
     setSelectedDoctorIds(prevSelected =>
       prevSelected.includes(doctorId)
@@ -312,6 +339,7 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
   const doctorsToShow = assignmentFilter || searchTerm ? doctors : allDoctors;
 
   const assignedCount = currentlyAssignedDoctorIds.length;
+  const suggestedDoctorId = [...suggestions.values()].find(suggestion => suggestion.rank === 0 && suggestion.isAvailable && suggestion.duty?.onDuty)?._id;
   const unassignedCount = allDoctors.length - assignedCount;
 
   return (
@@ -399,15 +427,18 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
                 <tr>
                   <th className="text-left p-3 font-medium">Name</th>
                   <th className="text-center p-3 font-medium">Specialization</th>
+                  <th className="text-center p-3 font-medium" title="Open studies / estimated reading time">Workload</th>
+                  <th className="text-center p-3 font-medium" title="Average assignment-to-report time for this modality (90 days)">Avg TAT</th>
+                  <th className="text-center p-3 font-medium" title="Combined workload, TAT and modality experience score">Score</th>
                   <th className="text-center p-3 font-medium">Status</th>
                   {/* <th className="text-center p-3 font-medium">Assignment</th> */}
                 </tr>
               </thead>
               <tbody>
                 {loading ? (
-                  <tr><td colSpan="4" className="text-center py-8"><div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500 mx-auto"></div>Loading...</td></tr>
+                  <tr><td colSpan="7" className="text-center py-8"><div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500 mx-auto"></div>Loading...</td></tr>
                 ) : doctorsToShow.length === 0 ? (
-                  <tr><td colSpan="4" className="text-center py-8 text-gray-500">No doctors found matching filters.</td></tr>
+                  <tr><td colSpan="7" className="text-center py-8 text-gray-500">No doctors found matching filters.</td></tr>
                 ) : (
                   doctorsToShow.map((doctor, index) => {
                     const doctorId = doctor._id || doctor.id;
@@ -416,6 +447,7 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
                     const isOnline = doctor.isLoggedIn;
                     const fullName = doctor.fullName || `${doctor.firstName || ''} ${doctor.lastName || ''}`.trim();
                     const displayName = fullName || doctor.email || 'Unknown Doctor';
+                    const suggestion = suggestions.get(doctorId);
 
                     return (
                       <tr
@@ -441,11 +473,42 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
                                  {displayName}
 
                               </span>
+                              {doctorId === suggestedDoctorId && (
+                                <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">
+                                  ★ Suggested
+                                </span>
+                              )}
+                              {suggestion && !suggestion.isAvailable && (
+                                <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-gray-200 text-gray-600">
+                                  Paused
+                                </span>
+                              )}
+                              {suggestion?.duty && !suggestion.duty.onDuty && (
+                                <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
+                                  {suggestion.duty.status === 'leave' ? 'On leave' : 'Off duty'}
+                                </span>
+                              )}
                               {/* <div className="text-xs text-gray-500"></div> */}
                             </div>
                           </div>
                         </td>
                         <td className="p-3 text-center text-gray-700">{doctor.email}</td>
+                        <td className="p-3 text-center text-gray-700 text-sm">
+                          {suggestion ? `${suggestion.openStudies} / ~${formatMinutes(suggestion.estimatedMinutes)}` : '-'}
+                        </td>
+                        <td className="p-3 text-center text-gray-700 text-sm" title={suggestion ? `${suggestion.modalityReports} report(s) in this modality` : undefined}>
+                          {suggestion ? formatMinutes(suggestion.avgTATMinutes) : '-'}
+                        </td>
+                        <td className="p-3 text-center text-sm">
+                          {suggestion ? (
+                            <span
+                              className="font-medium text-gray-800"
+                              title={`Workload ${suggestion.scores.workload} | TAT ${suggestion.scores.tat} | Experience ${suggestion.scores.competence}`}
+                            >
+                              {suggestion.score}
+                            </span>
+                          ) : '-'}
+                        </td>
                         <td className="p-3 text-center">
                           <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs sm:text-sm font-medium ${isOnline ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
                             <span className={`w-2 h-2 rounded-full mr-1 ${isOnline ? 'bg-green-500' : 'bg-red-500'}`}></span>
@@ -479,6 +542,7 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
                   const isOnline = doctor.isLoggedIn;
                   const fullName = doctor.fullName || `${doctor.firstName || ''} ${doctor.lastName || ''}`.trim();
                   const displayName = fullName || doctor.email || 'Unknown Doctor';
+                  const suggestion = suggestions.get(doctorId);
 
                   return (
                     <div
@@ -502,6 +566,11 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
                             </div>
                             <div className="text-xs text-gray-500 break-all">{doctor.email}</div>
                             <div className="text-xs text-gray-600">{doctor.specialization || 'Radiology'}</div>
+                            {suggestion && (
+                              <div className="text-xs text-gray-600">
+                                {suggestion.openStudies} open (~{formatMinutes(suggestion.estimatedMinutes)}) | TAT {formatMinutes(suggestion.avgTATMinutes)} | Score {suggestion.score}
+                              </div>
+                            )}
                           </div>
                         </div>
                         <div className="flex flex-col items-end gap-1">
@@ -509,6 +578,11 @@ const DoctorAssignmentModal = ({ isOpen, onClose, study, onAssignComplete }) =>
                             <span className={`w-1.5 h-1.5 rounded-full mr-1 ${isOnline ? 'bg-green-500' : 'bg-red-500'}`}></span>
                             {isOnline ? 'Online' : 'Offline'}
                           </span>
+                          {doctorId === suggestedDoctorId && (
+                            <span className="inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">
+                              ★ Suggested
+                            </span>
+                          )}
                           {isCurrentlyAssignedToThisStudy && (
                             <span className="inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-800">
                               ✓ Assigned
@@ -79,7 +79,7 @@ const ReportModal = ({ isOpen, onClose, studyData }) => {
       fetchReports();
     } catch (error) {
       console.error("Error deleting report:", error);
-      toast.error("Failed to delete report");
+      toast.error(error.response?.data?.message || "Failed to delete report");
     }
   };
 
@@ -373,6 +373,16 @@ const ReportModal = ({ isOpen, onClose, studyData }) => {
                   </div>
                 ) : (
                   <>
+                    {reportResponse?.studyInfo?.latestSignedIndex != null && (
+                      <div className="flex justify-end px-3 py-2 border-b bg-white">
+                        <button onClick={() => handleDownloadReport('latest')} className="inline-flex items-center px-2 py-1 text-xs font-medium rounded text-white bg-blue-600 hover:bg-blue-700 transition-colors" title="Download the current signed report, including any addendum">
+                          <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                          </svg>
+                          Download Latest Signed
+                        </button>
+                      </div>
+                    )}
                     <div className="overflow-x-auto flex-grow">
                       <table className="min-w-full">
                         <thead className="bg-gray-50 border-b">
@@ -465,8 +475,14 @@ const ReportModal = ({ isOpen, onClose, studyData }) => {
                                   </td>
                                   <td className="px-2 sm:px-3 py-2 sm:py-3 whitespace-nowrap">
                                     <span className={`inline-flex items-center px-1.5 sm:px-2 py-0.5 sm:py-1 rounded-full text-xs font-medium ${report.reportStatus === 'finalized' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
-                                      {report.reportStatus || 'draft'}
+                                      {report.versionType === 'addendum' ? `addendum ${report.addendumNumber || ''}` : (report.reportStatus || 'draft')}
                                     </span>
+                                    {report.isLatestSigned && (
+                                      <span className="ml-1 inline-flex items-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">current</span>
+                                    )}
+                                    {report.isSuperseded && (
+                                      <span className="ml-1 text-xs text-gray-400" title="Replaced by a later signed version, kept for audit">superseded</span>
+                                    )}
                                   </td>
                                   <td className="px-2 sm:px-3 py-2 sm:py-3 whitespace-nowrap hidden sm:table-cell">
                                     <span className="inline-flex items-center px-1.5 sm:px-2 py-0.5 sm:py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
@@ -482,7 +498,8 @@ const ReportModal = ({ isOpen, onClose, studyData }) => {
                                         Download
                                       </button>
                                       {/* 🔧 CONDITIONAL: Hide delete button for lab_staff */}
-                                      {!isLabStaff && (
+                                      {/* Signed versions are kept for audit and cannot be deleted */}
+                                      {!isLabStaff && report.versionType === 'draft' && (
                                         <button onClick={() => handleDeleteReport(report.index)} className="inline-flex items-center px-1.5 sm:px-2 py-1 border border-transparent text-xs font-medium rounded text-red-700 bg-red-100 hover:bg-red-200 transition-colors" title="Delete Report">
                                           <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
@@ -3,10 +3,34 @@ import { createPortal } from 'react-dom'; // Correct import for createPortal
 import { toast } from 'react-hot-toast';
 import api from '../../services/api';
 
+const EXPIRY_OPTIONS = [
+  { value: '1h', label: '1 hour' },
+  { value: '1d', label: '1 day' },
+  { value: '7d', label: '7 days' },
+  { value: '30d', label: '30 days' },
+  { value: 'custom', label: 'Custom' }
+];
+
+const DEFAULT_OPTIONS = {
+  expiresIn: '7d',
+  customExpiresAt: '',
+  protectionMethod: 'none',
+  pin: '',
+  otpChannel: 'email',
+  recipientEmail: '',
+  recipientPhone: '',
+  viewImages: true,
+  viewReport: false,
+  downloadZip: false,
+  maxAccessCount: ''
+};
+
 const ShareButton = ({ study }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [shareLink, setShareLink] = useState('');
+  const [linkDetails, setLinkDetails] = useState(null);
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
   const modalRef = useRef(null);
 
   // Get the element to mount the portal to.
@@ -47,6 +71,8 @@ const ShareButton = ({ study }) => {
     return () => document.removeEventListener('keydown', handleEscape);
   }, [isOpen]);
 
+  const updateOption = (field, value) => setOptions(prev => ({ ...prev, [field]: value }));
+
   // Generate shareable link for OHIF Local
   const generateShareableLink = async () => {
     try {
@@ -61,18 +87,33 @@ const ShareButton = ({ study }) => {
         studyDescription: study.description,
         modality: study.modality,
         studyDate: study.studyDate,
-        expiresIn: '7d' // Link expiration time
+        expiresIn: options.expiresIn, // Link expiration time
+        expiresAt: options.expiresIn === 'custom' && options.customExpiresAt ? new Date(options.customExpiresAt).toISOString() : undefined,
+        permissions: {
+          viewImages: options.viewImages,
+          viewReport: options.viewReport,
+          downloadZip: options.downloadZip
+        },
+        protection: {
+          method: options.protectionMethod,
+          pin: options.protectionMethod === 'pin' ? options.pin : undefined,
+          otpChannel: options.protectionMethod === 'otp' ? options.otpChannel : undefined,
+          recipientEmail: options.protectionMethod === 'otp' && options.otpChannel === 'email' ? options.recipientEmail : undefined,
+          recipientPhone: options.protectionMethod === 'otp' && options.otpChannel === 'sms' ? options.recipientPhone : undefined
+        },
+        maxAccessCount: options.maxAccessCount || null
       });
 
       if (response.data.success) {
         setShareLink(response.data.shareableLink);
+        setLinkDetails(response.data);
         return response.data.shareableLink;
       } else {
         throw new Error(response.data.message || 'Failed to generate shareable link');
       }
     } catch (error) {
       console.error('Error generating shareable link:', error);
-      toast.error('Failed to generate shareable link');
+      toast.error(error.response?.data?.message || 'Failed to generate shareable link');
       return null;
     } finally {
       setIsGenerating(false);
@@ -103,38 +144,44 @@ const ShareButton = ({ study }) => {
     }
   };
 
+  const expiryText = linkDetails
+    ? `Link expires ${new Date(linkDetails.expiresAt).toLocaleString()}`
+    : 'Choose options and generate a link';
+
   // Handle share action (copy or email)
   const handleShare = async (action) => {
-    let link = shareLink;
-    
-    // Generate link if not already present
-    if (!link) {
-      link = await generateShareableLink();
-      if (!link) return; // Stop if link generation failed
-    }
+    const link = shareLink;
+    if (!link) return;
 
     switch (action) {
       case 'copy':
         await copyToClipboard(link);
         break;
-      case 'email':
+      case 'email': {
+        // The PIN is never included - it should reach the recipient separately
         const subject = encodeURIComponent(`DICOM Study - ${study.patientName}`);
-        const body = encodeURIComponent(`View ${study.patientName}'s ${study.modality} study:\n\n${link}\n\nThis link expires in 7 days.`);
+        const body = encodeURIComponent(`View ${study.patientName}'s ${study.modality} study:\n\n${link}\n\n${expiryText}.`);
         window.open(`mailto:?subject=${subject}&body=${body}`);
         break;
+      }
       default:
         break;
     }
   };
 
-  // Open modal and optionally generate link if it doesn't exist
-  const handleOpenModal = async () => {
+  // Open modal; the link is generated once the options are chosen
+  const handleOpenModal = () => {
     setIsOpen(true);
-    if (!shareLink) {
-      await generateShareableLink();
-    }
   };
 
+  const resetLink = () => {
+    setShareLink('');
+    setLinkDetails(null);
+    setOptions(DEFAULT_OPTIONS);
+  };
+
+  const hasPermission = options.viewImages || options.viewReport || options.downloadZip;
+
   // Define the modal content, which will be rendered via portal
   const modalContent = isOpen ? (
     <div className="fixed inset-0 z-50 overflow-y-auto">
@@ -207,15 +254,149 @@ const ShareButton = ({ study }) => {
                 </div>
               </div>
               
+              {/* Link Options */}
+              {!shareLink && (
+                <div className="space-y-3 mb-3 text-sm">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Expires after</label>
+                    <div className="flex gap-2">
+                      <select
+                        value={options.expiresIn}
+                        onChange={(e) => updateOption('expiresIn', e.target.value)}
+                        className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+                      >
+                        {EXPIRY_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      {options.expiresIn === 'custom' && (
+                        <input
+                          type="datetime-local"
+                          value={options.customExpiresAt}
+                          onChange={(e) => updateOption('customExpiresAt', e.target.value)}
+                          className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+                        />
+                      )}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Recipient can</label>
+                    <div className="flex flex-wrap gap-3 text-xs text-gray-700">
+                      <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={options.viewImages} onChange={(e) => updateOption('viewImages', e.target.checked)} />
+                        View images
+                      </label>
+                      <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={options.viewReport} onChange={(e) => updateOption('viewReport', e.target.checked)} />
+                        View report
+                      </label>
+                      <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={options.downloadZip} onChange={(e) => updateOption('downloadZip', e.target.checked)} />
+                        Download ZIP
+                      </label>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Protection</label>
+                    <select
+                      value={options.protectionMethod}
+                      onChange={(e) => updateOption('protectionMethod', e.target.value)}
+                      className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    >
+                      <option value="none">None - anyone with the link</option>
+                      <option value="pin">Access PIN</option>
+                      <option value="otp">One-time code to recipient</option>
+                    </select>
+                    {options.protectionMethod === 'pin' && (
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        value={options.pin}
+                        onChange={(e) => updateOption('pin', e.target.value.replace(/\D/g, '').slice(0, 8))}
+                        placeholder="4-8 digit PIN"
+                        className="mt-2 w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                      />
+                    )}
+                    {options.protectionMethod === 'otp' && (
+                      <div className="mt-2 flex gap-2">
+                        <select
+                          value={options.otpChannel}
+                          onChange={(e) => updateOption('otpChannel', e.target.value)}
+                          className="border border-gray-300 rounded px-2 py-1 text-sm"
+                        >
+                          <option value="email">Email</option>
+                          <option value="sms">SMS</option>
+                        </select>
+                        {options.otpChannel === 'email' ? (
+                          <input
+                            type="email"
+                            value={options.recipientEmail}
+                            onChange={(e) => updateOption('recipientEmail', e.target.value)}
+                            placeholder="recipient@example.com"
+                            className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+                          />
+                        ) : (
+                          <input
+                            type="tel"
+                            value={options.recipientPhone}
+                            onChange={(e) => updateOption('recipientPhone', e.target.value)}
+                            placeholder="+91 98765 43210"
+                            className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+                          />
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Maximum opens</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={options.maxAccessCount}
+                      onChange={(e) => updateOption('maxAccessCount', e.target.value)}
+                      placeholder="Unlimited"
+                      className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    />
+                  </div>
+
+                  <button
+                    onClick={generateShareableLink}
+                    disabled={isGenerating || !hasPermission}
+                    className="w-full px-3 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded transition-colors disabled:opacity-50"
+                  >
+                    🔗 Generate Link
+                  </button>
+                </div>
+              )}
+
               {/* Share Link Display */}
               {shareLink && (
-                <div className="mb-3 p-2 bg-gray-50 rounded text-xs text-gray-600 break-all">
-                  {shareLink}
-                </div>
+                <>
+                  <div className="mb-2 p-2 bg-gray-50 rounded text-xs text-gray-600 break-all">
+                    {shareLink}
+                  </div>
+                  <div className="mb-3 flex flex-wrap gap-1 text-xs">
+                    {linkDetails.protection !== 'none' && (
+                      <span className="px-2 py-0.5 rounded bg-yellow-100 text-yellow-800">
+                        {linkDetails.protection === 'pin' ? '🔢 PIN protected' : '🔐 One-time code'}
+                      </span>
+                    )}
+                    {linkDetails.permissions.viewImages && <span className="px-2 py-0.5 rounded bg-blue-50 text-blue-700">Images</span>}
+                    {linkDetails.permissions.viewReport && <span className="px-2 py-0.5 rounded bg-green-50 text-green-700">Report</span>}
+                    {linkDetails.permissions.downloadZip && <span className="px-2 py-0.5 rounded bg-purple-50 text-purple-700">ZIP</span>}
+                    {linkDetails.maxAccessCount && (
+                      <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-700">Max {linkDetails.maxAccessCount} opens</span>
+                    )}
+                  </div>
+                </>
               )}
               
               {/* Action Buttons */}
-              <div className="grid grid-cols-2 gap-2">
+              {shareLink && (
+              <div className="grid grid-cols-3 gap-2">
                 <button
                   onClick={() => handleShare('copy')}
                   className="flex items-center justify-center px-3 py-2 text-sm bg-blue-100 hover:bg-blue-200 text-blue-700 rounded transition-colors"
@@ -230,7 +411,14 @@ const ShareButton = ({ study }) => {
                 >
                   ✉️ Email
                 </button>
+                <button
+                  onClick={resetLink}
+                  className="flex items-center justify-center px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 rounded transition-colors"
+                >
+                  ➕ New Link
+                </button>
               </div>
+              )}
             </div>
           </div>
 
@@ -241,7 +429,7 @@ const ShareButton = ({ study }) => {
                 <svg className="h-4 w-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
                 </svg>
-                <span>🔒 Link expires in 7 days</span>
+                <span>🔒 {expiryText}</span>
               </div>
               <button
                 onClick={() => setIsOpen(false)}
@@ -312,6 +312,7 @@ const WorklistTable = React.memo(({
   const [selectedStudies, setSelectedStudies] = useState([]);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [immediateUpdates, setImmediateUpdates] = useState({});
+  const [discussionUnread, setDiscussionUnread] = useState({});
 
   useEffect(() => {
     setActiveTab(activeCategory);
@@ -376,6 +377,24 @@ const WorklistTable = React.memo(({
 
   const filteredStudies = useMemo(() => studies || [], [studies]);
 
+  // Unread discussion badges for the studies on screen
+  const studyIdsKey = useMemo(() => filteredStudies.map(study => study._id).join(','), [filteredStudies]);
+
+  useEffect(() => {
+    if (!studyIdsKey) return undefined;
+    let cancelled = false;
+    api.post('/discussions/unread-counts', { studyIds: studyIdsKey.split(',') })
+      .then(response => {
+        if (!cancelled) setDiscussionUnread(response.data.counts || {});
+      })
+      .catch(error => console.error('Error fetching unread discussion counts:', error));
+    return () => { cancelled = true; };
+  }, [studyIdsKey]);
+
+  const handleDiscussionRead = useCallback((studyId) => {
+    setDiscussionUnread(prev => (prev[studyId] ? { ...prev, [studyId]: 0 } : prev));
+  }, []);
+
   const statusCounts = useMemo(() => ({
     all: values?.today ?? studies.length,
     pending: values?.pending ?? 0,
@@ -641,13 +660,15 @@ const handleExportWorklist = useCallback(async () => {
     selectedStudies,
     userRole,
     canAssignDoctors,
+    discussionUnread,
     callbacks: {
       onSelectStudy: handleSelectStudy,
       onPatientClick: handlePatientClick,
       onPatienIdClick: handlePatienIdClick,
-      onAssignDoctor: handleAssignDoctor
+      onAssignDoctor: handleAssignDoctor,
+      onDiscussionRead: handleDiscussionRead
     }
-  }), [enhancedStudies, visibleColumns, selectedStudies, userRole, canAssignDoctors, handleSelectStudy, handlePatientClick, handlePatienIdClick, handleAssignDoctor]);
+  }), [enhancedStudies, visibleColumns, selectedStudies, userRole, canAssignDoctors, discussionUnread, handleSelectStudy, handlePatientClick, handlePatienIdClick, handleAssignDoctor, handleDiscussionRead]);
 
    
 const cardGrid = useMemo(() => (
@@ -809,7 +830,7 @@ const cardGrid = useMemo(() => (
                           }}
                         >
                           {({ index, style, data }) => {
-                            const { studies, visibleColumns, selectedStudies, callbacks } = data;
+                            const { studies, visibleColumns, selectedStudies, discussionUnread, callbacks } = data;
                             const study = studies[index];
                             const isSelected = selectedStudies.includes(study._id);
                             const isEmergency = study.caseType?.toLowerCase() === 'emergency' || study.priority === 'EMERGENCY';
@@ -829,7 +850,7 @@ const cardGrid = useMemo(() => (
                                   {visibleColumns.randomEmoji && <div className="flex-shrink-0 w-10 px-1 flex items-center justify-center border-r border-gray-300 h-full"><RandomEmojiButton study={study} /></div>}
                                   {visibleColumns.user && <div className="flex-shrink-0 w-10 px-1 flex items-center justify-center border-r border-gray-300 h-full"><button onClick={() => callbacks.onPatientClick(study._id)}><UserButton study={study} /></button></div>}
                                   {visibleColumns.shareBtn && <div className="flex-shrink-0 w-10 px-1 flex items-center justify-center border-r border-gray-300 h-full"><ShareButton study={study} /></div>}
-                                  {visibleColumns.discussion && <div className="flex-shrink-0 w-10 px-1 flex items-center justify-center border-r border-gray-300 h-full"><DiscussionButton study={study} /></div>}
+                                  {visibleColumns.discussion && <div className="flex-shrink-0 w-10 px-1 flex items-center justify-center border-r border-gray-300 h-full"><DiscussionButton study={study} unreadCount={discussionUnread[study._id] || 0} onRead={callbacks.onDiscussionRead} /></div>}
                                   {visibleColumns.patientId && <div className="flex-1 min-w-[100px] px-2 flex items-center border-r border-gray-300 h-full"><button onClick={() => callbacks.onPatienIdClick(study.patientId, study)} className={`hover:underline text-sm font-medium truncate block w-full text-left ${isEmergency ? 'text-red-700 hover:text-red-900' : 'text-blue-600 hover:text-blue-800'}`}>{study.patientId}{isEmergency && (<span className="ml-1 inline-flex items-center px-1 py-0.5 rounded text-xs font-bold bg-red-600 text-white">EMERGENCY</span>)}</button></div>}
                                   {visibleColumns.patientName && <div className="flex-1 lg:min-w-[120px] xl:min-w-[150px] px-2 flex items-center border-r border-gray-300 h-full"><div className={`text-sm font-medium truncate ${isEmergency ? 'text-red-900' : 'text-gray-900'}`} title={study.patientName}>{study.patientName}</div></div>}
                                   {visibleColumns.ageGender && <div className="flex-shrink-0 w-16 px-1 flex items-center justify-center border-r border-gray-300 h-full"><div className={`text-xs ${isEmergency ? 'text-red-700' : 'text-gray-600'}`}>{study.ageGender || study.patientAge || 'N/A'}</div></div>}
@@ -1,6 +1,7 @@
 import { useCallback } from 'react';
 import React from 'react';
 import api from '../../../../services/api'; // <-- Use your api service
+import { getDicomWebRoots, buildOhifDataSource } from '../../../../services/dicomWebSession';
 import { toast } from 'react-hot-toast';
 
 const EyeIconDropdown = React.memo(({ studyInstanceUID, userRole }) => {
@@ -23,58 +24,29 @@ const EyeIconDropdown = React.memo(({ studyInstanceUID, userRole }) => {
   }, [studyInstanceUID, userRole]);
 
   const openOHIFLocal = useCallback(async (studyInstanceUID) => {
+    // Open the tab first so the browser does not block it as a popup
+    const viewerWindow = window.open('', '_blank');
     try {
       // 🟡 Update status to YELLOW (doctor_opened_report) if user is doctor
       await updateStudyInteractionStatus('ohif_opened');
       
       const ohifBaseURL = import.meta.env.VITE_OHIF_LOCAL_URL || 'http://localhost:4000';
-      const orthancBaseURL = import.meta.env.VITE_ORTHANC_URL || 'http://localhost:8042';
-      
-      // 🔐 Orthanc credentials
-      const orthancUsername = 'alice';
-      const orthancPassword = 'alicePassword';
+      const dicomWebRoots = await getDicomWebRoots(studyInstanceUID);
       
       // Construct URL in the format: http://host/viewer/<StudyInstanceUID>
       const ohifUrl = new URL(`${ohifBaseURL}/viewer/${encodeURIComponent(studyInstanceUID)}`);
       
-      const dataSourceConfig = {
-        namespace: '@ohif/extension-default.dataSourcesModule.dicomweb',
-        sourceName: 'dicomweb',
-        configuration: {
-          friendlyName: 'Local Orthanc Server',
-          name: 'orthanc',
-          wadoUriRoot: `${orthancBaseURL}/wado`,
-          qidoRoot: `${orthancBaseURL}/dicom-web`,
-          wadoRoot: `${orthancBaseURL}/dicom-web`,
-          qidoSupportsIncludeField: true,
-          supportsReject: false,
-          imageRendering: 'wadors',
-          thumbnailRendering: 'wadors',
-          enableStudyLazyLoad: true,
-          supportsFuzzyMatching: false,
-          supportsWildcard: true,
-          // 🔐 Authentication headers
-          headers: {
-            'Authorization': `Basic ${btoa(`${orthancUsername}:${orthancPassword}`)}`
-          },
-          // 🔐 Request options for authentication
-          requestOptions: {
-            auth: `${orthancUsername}:${orthancPassword}`,
-            headers: {
-              'Authorization': `Basic ${btoa(`${orthancUsername}:${orthancPassword}`)}`
-            }
-          }
-        }
-      };
+      const dataSourceConfig = buildOhifDataSource(dicomWebRoots, 'Local Orthanc Server');
       
       ohifUrl.searchParams.set('dataSources', JSON.stringify([dataSourceConfig]));
       
       console.log('🏠 Opening local OHIF Viewer:', ohifUrl.toString());
-      window.open(ohifUrl.toString(), '_blank');
+      viewerWindow.location.href = ohifUrl.toString();
       
     } catch (error) {
+      viewerWindow?.close();
       console.error('Error opening OHIF viewer:', error);
-      toast.error('Failed to open OHIF viewer');
+      toast.error(error.response?.data?.message || 'Failed to open OHIF viewer');
     }
   }, [updateStudyInteractionStatus]);
 
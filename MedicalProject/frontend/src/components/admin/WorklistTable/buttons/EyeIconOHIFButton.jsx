@@ -1,7 +1,9 @@
 import React from "react";
 import { useState, useCallback } from "react";
+import toast from "react-hot-toast";
+import { getDicomWebRoots, buildOhifDataSource } from "../../../../services/dicomWebSession";
 
-const EyeIconDropdown = React.memo(({ studyInstanceUID }) => {
+const EyeIconDropdown = React.memo(({ studyInstanceUID, priorOf }) => {
   const [isOpen, setIsOpen] = useState(false);
 
   const viewers = [
@@ -11,79 +13,32 @@ const EyeIconDropdown = React.memo(({ studyInstanceUID }) => {
       action: () => openOHIFLocal(studyInstanceUID),
       color: 'blue',
       icon: '🏠'
-    },
-    {
-      name: 'Stone Web Viewer',
-      description: 'Orthanc built-in viewer',
-      action: () => openStoneViewer(studyInstanceUID),
-      color: 'gray',
-      icon: '🗿'
     }
   ];
 
-  const openOHIFLocal = useCallback((studyInstanceUID) => {
-    const ohifBaseURL = import.meta.env.VITE_OHIF_LOCAL_URL || 'http://localhost:4000';
-    const orthancBaseURL = import.meta.env.VITE_ORTHANC_URL || 'http://localhost:8042';
-    
-    // 🔐 FIXED: Add Orthanc credentials
-    const orthancUsername = 'alice';
-    const orthancPassword = 'alicePassword';
-    
-    const ohifUrl = new URL(`${ohifBaseURL}/viewer`);
-    ohifUrl.searchParams.set('StudyInstanceUIDs', studyInstanceUID);
-    
-    const dataSourceConfig = {
-      namespace: '@ohif/extension-default.dataSourcesModule.dicomweb',
-      sourceName: 'dicomweb',
-      configuration: {
-        friendlyName: 'Local Orthanc Server',
-        name: 'orthanc',
-        wadoUriRoot: `${orthancBaseURL}/wado`,
-        qidoRoot: `${orthancBaseURL}/dicom-web`,
-        wadoRoot: `${orthancBaseURL}/dicom-web`,
-        qidoSupportsIncludeField: true,
-        supportsReject: false,
-        imageRendering: 'wadors',
-        thumbnailRendering: 'wadors',
-        enableStudyLazyLoad: true,
-        supportsFuzzyMatching: false,
-        supportsWildcard: true,
-        // 🔐 NEW: Add authentication headers
-        headers: {
-          'Authorization': `Basic ${btoa(`${orthancUsername}:${orthancPassword}`)}`
-        },
-        // 🔐 NEW: Add request options for authentication
-        requestOptions: {
-          auth: `${orthancUsername}:${orthancPassword}`,
-          headers: {
-            'Authorization': `Basic ${btoa(`${orthancUsername}:${orthancPassword}`)}`
-          }
-        }
-      }
-    };
-    
-    ohifUrl.searchParams.set('dataSources', JSON.stringify([dataSourceConfig]));
-    
-    console.log('🏠 Opening local OHIF Viewer with authentication:', ohifUrl.toString());
-    window.open(ohifUrl.toString(), '_blank');
-    setIsOpen(false);
-  }, []);
-
-  const openStoneViewer = useCallback((studyInstanceUID) => {
-    const orthancBaseURL = import.meta.env.VITE_ORTHANC_URL || 'http://localhost:8042';
-    
-    // 🔐 FIXED: Add credentials to Stone Viewer URL
-    const orthancUsername = 'alice';
-    const orthancPassword = 'alicePassword';
-    
-    // Create URL with embedded credentials for Stone Viewer
-    const orthancUrlWithAuth = orthancBaseURL.replace('http://', `http://${orthancUsername}:${orthancPassword}@`);
-    const stoneUrl = `${orthancUrlWithAuth}/stone-webviewer/index.html?study=${studyInstanceUID}`;
-    
-    console.log('🗿 Opening Stone Web Viewer with authentication');
-    window.open(stoneUrl, '_blank');
+  const openOHIFLocal = useCallback(async (studyInstanceUID) => {
     setIsOpen(false);
-  }, []);
+    // Open the tab first so the browser does not block it as a popup
+    const viewerWindow = window.open('', '_blank');
+    try {
+      const ohifBaseURL = import.meta.env.VITE_OHIF_LOCAL_URL || 'http://localhost:4000';
+      const dicomWebRoots = await getDicomWebRoots(studyInstanceUID, { priorOf });
+      
+      const ohifUrl = new URL(`${ohifBaseURL}/viewer`);
+      ohifUrl.searchParams.set('StudyInstanceUIDs', studyInstanceUID);
+      
+      const dataSourceConfig = buildOhifDataSource(dicomWebRoots, 'Local Orthanc Server');
+      
+      ohifUrl.searchParams.set('dataSources', JSON.stringify([dataSourceConfig]));
+      
+      console.log('🏠 Opening local OHIF Viewer:', ohifUrl.toString());
+      viewerWindow.location.href = ohifUrl.toString();
+    } catch (error) {
+      viewerWindow?.close();
+      console.error('Error opening OHIF viewer:', error);
+      toast.error(error.response?.data?.message || 'Failed to open OHIF viewer');
+    }
+  }, [priorOf]);
 
   return (
     <div className="relative">
@@ -1,40 +1,163 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { createPortal } from 'react-dom'; // Import createPortal
 import { useAuth } from '../../../hooks/useAuth';
 import api from '../../../services/api.jsx'; // Ensure this path is correct
+import sessionManager from '../../../services/sessionManager';
 
-const StudyDiscussion = ({ studyId, discussions = [], isOpen, onClose, onSaveComplete }) => {
+const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:3000';
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_ATTACHMENTS = 5;
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  doctor_account: 'Doctor',
+  lab_staff: 'Lab Staff',
+  technician: 'Technician'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric',
+  hour: '2-digit', minute: '2-digit', hour12: true
+});
+
+const formatSize = (bytes = 0) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highlights "@Full Name" for the people the comment mentions
+const renderCommentText = (comment) => {
+  const names = (comment.mentions || []).map(mention => mention.userName).filter(Boolean);
+  if (names.length === 0) return comment.comment;
+
+  const pattern = new RegExp(`(@(?:${names.map(escapeRegExp).join('|')}))`, 'g');
+  return comment.comment.split(pattern).map((part, index) => (
+    index % 2 === 1
+      ? <span key={index} className="text-blue-700 font-medium bg-blue-50 rounded px-0.5">{part}</span>
+      : part
+  ));
+};
+
+const StudyDiscussion = ({ studyId, isOpen, onClose, onSaveComplete, onRead }) => {
   const [comments, setComments] = useState([]);
   const [newComment, setNewComment] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
-  const { user } = useAuth();
+  const [replyTo, setReplyTo] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [mentionable, setMentionable] = useState([]);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, text }
+  const [expandedHistory, setExpandedHistory] = useState(null);
+  const [isLive, setIsLive] = useState(false);
+  const { currentUser } = useAuth();
+  const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   // Define the DOM node for the portal.
   // It's best practice to have a dedicated div like <div id="modal-root"></div> in your public/index.html.
   // If not found, it falls back to document.body.
   const portalRoot = document.getElementById('modal-root') || document.body;
 
+  const currentUserId = currentUser?._id || currentUser?.id;
+
+  // Held in a ref so a parent re-render does not refetch the discussion
+  const onReadRef = useRef(onRead);
+  useEffect(() => {
+    onReadRef.current = onRead;
+  }, [onRead]);
+
+  const markRead = useCallback(async () => {
+    try {
+      await api.post(`/studies/${studyId}/discussions/read`);
+      if (onReadRef.current) onReadRef.current(studyId);
+    } catch (err) {
+      console.error('Error marking discussion as read:', err);
+    }
+  }, [studyId]);
+
+  // Fetch discussions from the server using the api service
+  const fetchDiscussions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [discussionResponse, mentionableResponse] = await Promise.all([
+        api.get(`/studies/${studyId}/discussions`),
+        api.get(`/studies/${studyId}/discussions/mentionable`)
+      ]);
+      setComments(discussionResponse.data || []);
+      setMentionable(mentionableResponse.data || []);
+      setError(null); // Clear any previous errors on successful fetch
+      markRead();
+    } catch (err) {
+      console.error('Error fetching study discussions:', err);
+      setError(err.response?.data?.message || 'Failed to load discussions. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [studyId, markRead]);
+
   // Load discussions when the component opens
   useEffect(() => {
     if (isOpen) {
       // Prevent body scroll when modal is open
       document.body.style.overflow = 'hidden';
-
-      if (discussions && discussions.length > 0) {
-        setComments(discussions);
-        setLoading(false);
-      } else {
-        fetchDiscussions();
-      }
+      fetchDiscussions();
     }
 
     return () => {
       // Re-enable body scroll when modal closes
       document.body.style.overflow = 'unset';
     };
-  }, [isOpen, discussions, studyId]);
+  }, [isOpen, fetchDiscussions]);
+
+  // Live updates from everyone else viewing this study
+  useEffect(() => {
+    if (!isOpen || !studyId) return undefined;
+
+    const token = sessionManager.getToken();
+    const socket = new WebSocket(`${WS_URL}/ws/discussion?channel=discussion${token ? `&token=${encodeURIComponent(token)}` : ''}`);
+
+    socket.onopen = () => socket.send(JSON.stringify({ type: 'watch_study_discussion', studyId }));
+
+    socket.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        if (message.type === 'watching_study_discussion') {
+          setIsLive(true);
+          return;
+        }
+        if (message.type !== 'study_discussion') return;
+
+        const { kind, discussion, discussionIds, authorId } = message.data;
+        if (kind === 'created') {
+          setComments(prev => (prev.some(item => item._id === discussion._id) ? prev : [...prev, discussion]));
+          if (authorId !== currentUserId) markRead();
+        } else if (kind === 'edited') {
+          setComments(prev => prev.map(item => (item._id === discussion._id ? discussion : item)));
+        } else if (kind === 'deleted') {
+          const removed = new Set(discussionIds.map(String));
+          setComments(prev => prev.filter(item => !removed.has(String(item._id))));
+        }
+      } catch (err) {
+        console.error('Error parsing discussion update:', err);
+      }
+    };
+
+    socket.onclose = () => setIsLive(false);
+
+    const heartbeat = setInterval(() => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'ping' }));
+      }
+    }, 30000);
+
+    return () => {
+      clearInterval(heartbeat);
+      socket.close(1000, 'Discussion closed');
+    };
+  }, [isOpen, studyId, currentUserId, markRead]);
 
   // Handle escape key to close modal
   useEffect(() => {
@@ -53,70 +176,243 @@ const StudyDiscussion = ({ studyId, discussions = [], isOpen, onClose, onSaveCom
     };
   }, [isOpen, onClose]);
 
+  // Top-level comments with their replies, oldest first
+  const threads = useMemo(() => {
+    const sorted = [...comments].sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+    const topLevel = sorted.filter(item => !item.parentId);
+    return topLevel.map(item => ({
+      ...item,
+      replies: sorted.filter(reply => String(reply.parentId) === String(item._id))
+    }));
+  }, [comments]);
 
-  // Fetch discussions from the server using the api service
-  const fetchDiscussions = async () => {
-    setLoading(true);
-    try {
-      // Use the api service with authentication token from interceptors
-      const response = await api.get(`/studies/${studyId}/discussions`);
-      
-      if (response.data) {
-        setComments(response.data);
-      } else {
-        setComments([]);
-      }
-      setError(null); // Clear any previous errors on successful fetch
-    } catch (err) {
-      console.error('Error fetching study discussions:', err);
-      setError('Failed to load discussions. Please try again.');
-    } finally {
-      setLoading(false);
-    }
+  const mentionSuggestions = useMemo(() => {
+    if (mentionQuery === null) return [];
+    const query = mentionQuery.toLowerCase();
+    return mentionable
+      .filter(candidate => candidate.fullName?.toLowerCase().includes(query))
+      .slice(0, 6);
+  }, [mentionQuery, mentionable]);
+
+  // "@" followed by a partial name right before the caret opens the suggestions
+  const handleCommentChange = (event) => {
+    const { value, selectionStart } = event.target;
+    setNewComment(value);
+    const match = value.slice(0, selectionStart).match(/(?:^|\s)@([\w.-]*)$/);
+    setMentionQuery(match ? match[1] : null);
+  };
+
+  const selectMention = (candidate) => {
+    const textarea = textareaRef.current;
+    const caret = textarea ? textarea.selectionStart : newComment.length;
+    const before = newComment.slice(0, caret).replace(/@([\w.-]*)$/, `@${candidate.fullName} `);
+    setNewComment(before + newComment.slice(caret));
+    setMentionQuery(null);
+    textarea?.focus();
+  };
+
+  // Anyone mentionable whose "@Full Name" appears in the text - typed or picked from the list
+  const activeMentionIds = (text) => mentionable
+    .filter(candidate => candidate.fullName && text.includes(`@${candidate.fullName}`))
+    .map(candidate => candidate._id);
+
+  const handleFileChange = (event) => {
+    const selected = Array.from(event.target.files || []);
+    setFiles(prev => [...prev, ...selected].slice(0, MAX_ATTACHMENTS));
+    event.target.value = '';
   };
 
-  // Save a new comment using the api service
+  // Save a new comment or reply using the api service
   const saveComment = async () => {
-    if (!newComment.trim()) return; // Don't save empty comments
-    
+    if (!newComment.trim() && files.length === 0) return; // Don't save empty comments
+
     setSubmitting(true);
     try {
-      const commentData = {
-        comment: newComment.trim(), // Trim whitespace
-        // Prioritize user from context, then local storage, then fallback
-        userName: user?.fullName || localStorage.getItem('userName') || 'Anonymous',
-        userRole: user?.role || localStorage.getItem('userRole') || 'User'
-      };
-      
-      // Use the api service with authentication token from interceptors
-      const response = await api.post(`/studies/${studyId}/discussions`, commentData);
-      
-      // Assuming response.data is the newly created comment object
-      const updatedComments = [...comments, response.data];
+      const formData = new FormData();
+      formData.append('comment', newComment.trim());
+      if (replyTo) formData.append('parentId', replyTo._id);
+      formData.append('mentions', JSON.stringify(activeMentionIds(newComment)));
+      files.forEach(file => formData.append('attachments', file));
+
+      const response = await api.post(`/studies/${studyId}/discussions`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      const updatedComments = comments.some(item => item._id === response.data._id)
+        ? comments
+        : [...comments, response.data];
       setComments(updatedComments);
       setNewComment(''); // Clear the input
+      setFiles([]);
+      setReplyTo(null);
       setError(null); // Clear any previous errors
-      
+
       // Notify the parent component that a comment was added
       if (onSaveComplete) {
         onSaveComplete(updatedComments);
       }
     } catch (err) {
       console.error('Error saving comment:', err);
-      setError('Failed to save comment. Please try again.');
+      setError(err.response?.data?.message || 'Failed to save comment. Please try again.');
     } finally {
       setSubmitting(false);
     }
   };
 
+  const saveEdit = async () => {
+    if (!editing?.text.trim()) return;
+    try {
+      const response = await api.put(`/studies/${studyId}/discussions/${editing.id}`, {
+        comment: editing.text.trim(),
+        mentions: activeMentionIds(editing.text)
+      });
+      setComments(prev => prev.map(item => (item._id === response.data._id ? response.data : item)));
+      setEditing(null);
+      setError(null);
+    } catch (err) {
+      console.error('Error editing comment:', err);
+      setError(err.response?.data?.message || 'Failed to edit comment. Please try again.');
+    }
+  };
+
+  const deleteComment = async (comment) => {
+    const hasReplies = comments.some(item => String(item.parentId) === String(comment._id));
+    if (!window.confirm(hasReplies ? 'Delete this comment and all of its replies?' : 'Delete this comment?')) return;
+    try {
+      await api.delete(`/studies/${studyId}/discussions/${comment._id}`);
+      setComments(prev => prev.filter(item => item._id !== comment._id && String(item.parentId) !== String(comment._id)));
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      setError(err.response?.data?.message || 'Failed to delete comment.');
+    }
+  };
+
+  const downloadAttachment = async (comment, attachment) => {
+    try {
+      const response = await api.get(
+        `/studies/${studyId}/discussions/${comment._id}/attachments/${attachment._id}`,
+        { responseType: 'blob' }
+      );
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: attachment.contentType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', attachment.fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading attachment:', err);
+      setError('Failed to download attachment.');
+    }
+  };
+
+  const startReply = (thread) => {
+    setReplyTo(thread);
+    textareaRef.current?.focus();
+  };
+
+  const renderComment = (comment, thread, isReply = false) => {
+    const isOwn = currentUserId && String(comment.userId) === String(currentUserId);
+    const isEditing = editing?.id === comment._id;
+
+    return (
+      <div key={comment._id} className={isReply ? 'ml-8 mt-2 pl-3 border-l-2 border-gray-200' : ''}>
+        <div className="bg-white rounded border border-gray-200 px-3 py-2">
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+            <span className="font-medium text-gray-900 text-sm">{comment.userName}</span>
+            <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-600">{ROLE_LABELS[comment.userRole] || comment.userRole}</span>
+            <span>{formatDateTime(comment.dateTime)}</span>
+            {comment.editedAt && (
+              <button
+                onClick={() => setExpandedHistory(expandedHistory === comment._id ? null : comment._id)}
+                className="italic hover:underline"
+                title="Show edit history"
+              >
+                (edited)
+              </button>
+            )}
+          </div>
+
+          {isEditing ? (
+            <div className="mt-2">
+              <textarea
+                className="w-full border border-gray-300 rounded-md p-2 text-sm resize-y focus:ring-blue-500 focus:border-blue-500"
+                value={editing.text}
+                maxLength={MAX_COMMENT_LENGTH}
+                onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                rows="3"
+                aria-label="Edit comment"
+              />
+              <div className="flex justify-end gap-2 mt-1">
+                <button onClick={() => setEditing(null)} className="text-xs px-3 py-1 rounded bg-gray-200 hover:bg-gray-300">Cancel</button>
+                <button
+                  onClick={saveEdit}
+                  disabled={!editing.text.trim()}
+                  className="text-xs px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-blue-300"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="mt-1 text-sm text-gray-800 whitespace-pre-wrap break-words">{renderCommentText(comment)}</p>
+          )}
+
+          {comment.attachments?.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-2">
+              {comment.attachments.map(attachment => (
+                <button
+                  key={attachment._id}
+                  onClick={() => downloadAttachment(comment, attachment)}
+                  className="text-xs flex items-center gap-1 px-2 py-1 rounded border border-gray-200 bg-gray-50 hover:bg-gray-100 text-gray-700"
+                  title={`Download ${attachment.fileName}`}
+                >
+                  {attachment.contentType?.startsWith('image/') ? '🖼️' : '📎'} {attachment.fileName}
+                  <span className="text-gray-400">({formatSize(attachment.size)})</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {expandedHistory === comment._id && comment.editHistory?.length > 0 && (
+            <div className="mt-2 border-t border-gray-100 pt-2 space-y-1">
+              {[...comment.editHistory].reverse().map((version, index) => (
+                <div key={index} className="text-xs text-gray-500">
+                  <span className="font-medium">{formatDateTime(version.editedAt)}:</span>{' '}
+                  <span className="line-through whitespace-pre-wrap">{version.comment}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {!isEditing && (
+            <div className="mt-1 flex gap-3 text-xs">
+              <button onClick={() => startReply(thread)} className="text-blue-600 hover:underline">Reply</button>
+              {isOwn && (
+                <button onClick={() => setEditing({ id: comment._id, text: comment.comment })} className="text-gray-600 hover:underline">Edit</button>
+              )}
+              {currentUser?.role === 'admin' && (
+                <button onClick={() => deleteComment(comment)} className="text-red-600 hover:underline">Delete</button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   // The modal content itself. This will be portaled.
   const modalContent = (
     <div className="fixed inset-0 z-50 overflow-y-auto bg-black bg-opacity-50 flex items-center justify-center">
       <div className="relative w-full max-w-2xl bg-white rounded shadow-xl overflow-hidden">
         {/* Header */}
         <div className="bg-gray-700 text-white px-4 py-3 flex justify-between items-center">
-          <h2 className="text-lg font-semibold">Study Discussion</h2>
-          <button 
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            Study Discussion
+            {isLive && <span className="text-xs font-normal bg-green-600 rounded px-1.5 py-0.5" title="New comments appear automatically">● Live</span>}
+          </h2>
+          <button
             onClick={onClose}
             className="text-white hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-400 rounded-full w-8 h-8 flex items-center justify-center"
             aria-label="Close"
@@ -127,84 +423,124 @@ const StudyDiscussion = ({ studyId, discussions = [], isOpen, onClose, onSaveCom
           </button>
         </div>
 
-        {/* Discussions Table */}
-        <div className="max-h-80 overflow-y-auto bg-gray-50 border-b border-gray-200"> {/* Increased max-h, added bg-gray-50 */}
-          <table className="w-full text-sm">
-            <thead className="sticky top-0 bg-gray-600 text-white"> {/* Sticky header */}
-              <tr>
-                <th className="px-4 py-2 text-left w-1/4">DateTime</th> {/* Added widths for better table layout */}
-                <th className="px-4 py-2 text-left w-1/5">From</th>
-                <th className="px-4 py-2 text-left w-1/6">Role</th>
-                <th className="px-4 py-2 text-left w-auto">Comment</th>
-              </tr>
-            </thead>
-            <tbody>
-              {loading ? (
-                <tr>
-                  <td colSpan={4} className="text-center py-6 text-gray-600">Loading discussions...</td>
-                </tr>
-              ) : comments && comments.length > 0 ? (
-                comments.map((comment, index) => (
-                  <tr key={comment._id || index} className="border-b border-gray-100 last:border-b-0 hover:bg-white transition-colors duration-100">
-                    <td className="px-4 py-2 text-gray-800 text-xs">
-                      {new Date(comment.dateTime).toLocaleString('en-US', {
-                        year: 'numeric', month: 'short', day: 'numeric', 
-                        hour: '2-digit', minute: '2-digit', hour12: true
-                      })}
-                    </td>
-                    <td className="px-4 py-2 font-medium text-gray-900">{comment.userName}</td>
-                    <td className="px-4 py-2 text-gray-700">{comment.userRole}</td>
-                    <td className="px-4 py-2 text-gray-800 break-words">{comment.comment}</td> {/* break-words for long comments */}
-                  </tr>
-                ))
-              ) : (
-                <tr>
-                  <td colSpan={4} className="text-center py-6 text-gray-500">
-                    No comments found for this study. Be the first to add one!
-                  </td>
-                </tr>
-              )}
-            </tbody>
-          </table>
+        {/* Threads */}
+        <div className="max-h-96 overflow-y-auto bg-gray-50 border-b border-gray-200 p-3 space-y-3">
+          {loading ? (
+            <div className="text-center py-6 text-gray-600 text-sm">Loading discussions...</div>
+          ) : threads.length > 0 ? (
+            threads.map(thread => (
+              <div key={thread._id}>
+                {renderComment(thread, thread)}
+                {thread.replies.map(reply => renderComment(reply, thread, true))}
+              </div>
+            ))
+          ) : (
+            <div className="text-center py-6 text-gray-500 text-sm">
+              No comments found for this study. Be the first to add one!
+            </div>
+          )}
         </div>
 
         {/* Comment Input */}
         <div className="p-4 bg-white">
-          <label htmlFor="newComment" className="block text-sm font-medium text-gray-700 mb-2">Type Your Comment:</label>
-          <textarea
-            id="newComment"
-            className="w-full border border-gray-300 rounded-md p-3 mb-4 text-sm resize-y focus:ring-blue-500 focus:border-blue-500 min-h-[80px]"
-            value={newComment}
-            onChange={(e) => setNewComment(e.target.value)}
-            placeholder="Enter your comment here..."
-            rows="3" // Initial visible rows
-            aria-label="New comment input"
-            disabled={submitting}
-          />
-          
+          <div className="flex items-center justify-between mb-2">
+            <label htmlFor="newComment" className="block text-sm font-medium text-gray-700">
+              {replyTo ? `Replying to ${replyTo.userName}` : 'Type Your Comment:'}
+            </label>
+            {replyTo && (
+              <button onClick={() => setReplyTo(null)} className="text-xs text-gray-500 hover:text-gray-700">Cancel reply</button>
+            )}
+          </div>
+          <div className="relative">
+            <textarea
+              id="newComment"
+              ref={textareaRef}
+              className="w-full border border-gray-300 rounded-md p-3 mb-2 text-sm resize-y focus:ring-blue-500 focus:border-blue-500 min-h-[80px]"
+              value={newComment}
+              maxLength={MAX_COMMENT_LENGTH}
+              onChange={handleCommentChange}
+              onBlur={() => setTimeout(() => setMentionQuery(null), 150)}
+              placeholder="Enter your comment here... Type @ to mention someone"
+              rows="3" // Initial visible rows
+              aria-label="New comment input"
+              disabled={submitting}
+            />
+            {mentionSuggestions.length > 0 && (
+              <div className="absolute left-2 bottom-full mb-1 w-64 bg-white border border-gray-200 rounded shadow-lg z-10">
+                {mentionSuggestions.map(candidate => (
+                  <button
+                    key={candidate._id}
+                    onMouseDown={(e) => { e.preventDefault(); selectMention(candidate); }}
+                    className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50 flex justify-between"
+                  >
+                    <span>{candidate.fullName}</span>
+                    <span className="text-xs text-gray-400">{ROLE_LABELS[candidate.role] || candidate.role}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {files.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-3">
+              {files.map((file, index) => (
+                <span key={`${file.name}-${index}`} className="text-xs flex items-center gap-1 px-2 py-1 rounded bg-gray-100 text-gray-700">
+                  📎 {file.name} ({formatSize(file.size)})
+                  <button
+                    onClick={() => setFiles(prev => prev.filter((_, i) => i !== index))}
+                    className="ml-1 text-gray-500 hover:text-red-600"
+                    aria-label={`Remove ${file.name}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
           {error && (
             <div className="text-red-600 text-sm mb-3" role="alert">{error}</div>
           )}
 
           {/* Action Buttons */}
-          <div className="flex justify-end space-x-3">
-            <button
-              onClick={saveComment}
-              disabled={submitting || !newComment.trim()}
-              className={`px-5 py-2 rounded-md font-semibold transition-colors duration-200 ${
-                submitting || !newComment.trim()
-                  ? 'bg-blue-300 text-white cursor-not-allowed'
-                  : 'bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2'
-              }`}
-            >
-              {submitting ? 'Saving Comment...' : 'Save Comment'}
-            </button>
-            <button 
-              onClick={onClose}
-              className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
-            >
-              Close
-            </button>
+          <div className="flex justify-between items-center">
+            <div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept="image/*,.pdf,.doc,.docx,.txt"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={submitting || files.length >= MAX_ATTACHMENTS}
+                className="text-sm text-gray-700 px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+                title={`Attach up to ${MAX_ATTACHMENTS} images or documents (10MB each)`}
+              >
+                📎 Attach
+              </button>
+            </div>
+            <div className="flex space-x-3">
+              <button
+                onClick={saveComment}
+                disabled={submitting || (!newComment.trim() && files.length === 0)}
+                className={`px-5 py-2 rounded-md font-semibold transition-colors duration-200 ${
+                  submitting || (!newComment.trim() && files.length === 0)
+                    ? 'bg-blue-300 text-white cursor-not-allowed'
+                    : 'bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2'
+                }`}
+              >
+                {submitting ? 'Saving Comment...' : replyTo ? 'Post Reply' : 'Save Comment'}
+              </button>
+              <button
+                onClick={onClose}
+                className="bg-gray-200 text-gray-800 px-5 py-2 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
+              >
+                Close
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -215,4 +551,4 @@ const StudyDiscussion = ({ studyId, discussions = [], isOpen, onClose, onSaveCom
   return isOpen ? createPortal(modalContent, portalRoot) : null;
 };
 
-export default StudyDiscussion;
\ No newline at end of file
+export default StudyDiscussion;
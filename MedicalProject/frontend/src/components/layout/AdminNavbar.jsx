@@ -51,7 +51,22 @@ const UniversalNavbar = () => {
             { to: '/admin/doctors', label: 'Doctors', icon: 'doctors' },
             { to: '/admin/labs', label: 'Labs', icon: 'labs' },
             { to: '/reports/tat', label: 'TAT Reports', icon: 'reports' },
+            { to: '/reports/analytics', label: 'TAT Analytics', icon: 'reports', exact: false },
+            { to: '/reports/scheduled', label: 'Scheduled Reports', icon: 'reports', exact: false },
             { to: '/admin/templates', label: 'Templates', icon: 'templates', exact: false },
+            { to: '/admin/ingestion', label: 'Ingestion', icon: 'upload', exact: false },
+            { to: '/admin/lab-routing', label: 'Routing', icon: 'labs', exact: false },
+            { to: '/admin/quarantine', label: 'Quarantine', icon: 'labs', exact: false },
+            { to: '/admin/patient-merge', label: 'Patient Merge', icon: 'doctors', exact: false },
+            { to: '/admin/report-email', label: 'Report Email', icon: 'templates', exact: false },
+            { to: '/admin/referring-physicians', label: 'Referrers', icon: 'doctors', exact: false },
+            { to: '/admin/auto-assignment', label: 'Auto Assign', icon: 'doctors', exact: false },
+            { to: '/admin/sla', label: 'SLA', icon: 'reports', exact: false },
+            { to: '/admin/billing', label: 'Billing', icon: 'reports', exact: false },
+            { to: '/admin/productivity', label: 'Productivity', icon: 'reports', exact: false },
+            { to: '/admin/peer-review', label: 'Peer Review', icon: 'doctors', exact: false },
+            { to: '/admin/share-links', label: 'Share Links', icon: 'reports', exact: false },
+            { to: '/roster', label: 'Roster', icon: 'reports', exact: false },
           ]
         };
       case 'doctor_account':
@@ -64,6 +79,9 @@ const UniversalNavbar = () => {
           activeColor: 'text-emerald-600 bg-emerald-50',
           links: [
             { to: '/doctor', label: 'Dashboard', icon: 'dashboard', exact: true },
+            { to: '/roster', label: 'My Roster', icon: 'reports', exact: false },
+            { to: '/doctor/productivity', label: 'My Productivity', icon: 'reports', exact: false },
+            { to: '/doctor/peer-review', label: 'Peer Review', icon: 'doctors', exact: false },
           ]
         };
       case 'lab_staff':
@@ -77,6 +95,7 @@ const UniversalNavbar = () => {
           links: [
             { to: '/lab', label: 'Dashboard', icon: 'dashboard', exact: true },
             { to: '/admin/dicom-uploader', label: 'Upload Images', icon: 'upload', exact: false }, // 🆕 NEW: Lab staff can also upload
+            { to: '/reports/scheduled', label: 'Scheduled Reports', icon: 'reports', exact: false },
           ]
         };
       default:
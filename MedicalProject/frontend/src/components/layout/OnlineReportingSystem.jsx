@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import api from '../../services/api';
 import { toast } from 'react-toastify';
@@ -6,7 +6,10 @@ import TemplateTreeView from './TemplateTreeView';
 import ReportEditor from './ReportEditor';
 import PatientInfoPanel from './PatientInfoPanel';
 import RecentStudies from './RecentStudies';
+import PriorStudiesPanel from './PriorStudiesPanel';
+import ReportVersionsPanel from './ReportVersionsPanel';
 import sessionManager from '../../services/sessionManager';
+import { getDicomWebRoots, buildOhifDataSource } from '../../services/dicomWebSession';
 
 const OnlineReportingSystem = () => {
   const { studyId } = useParams();
@@ -29,6 +32,10 @@ const OnlineReportingSystem = () => {
   // 🆕 NEW: Add state for download options
   const [downloadOptions, setDownloadOptions] = useState(null);
 
+  // 🆕 Report versions (drafts, final, addenda) already stored for this study
+  const [reportVersions, setReportVersions] = useState([]);
+  const hasSignedVersion = reportVersions.some(version => version.versionType !== 'draft');
+
   // 🔍 DEBUG: Log all state changes
   useEffect(() => {
     console.log('📊 [State Update] studyData:', studyData);
@@ -72,12 +79,30 @@ const OnlineReportingSystem = () => {
       setSaving(false);
       setFinalizing(false);
       setExportFormat('docx');
+      setReportVersions([]);
       
       // Load new study data
       initializeReportingSystem();
     }
   }, [studyId]);
 
+  const fetchReportVersions = useCallback(async () => {
+    try {
+      const response = await api.get(`/documents/study/${studyId}/reports`);
+      if (response.data.success) {
+        setReportVersions(response.data.reports || []);
+      }
+    } catch (error) {
+      console.error('❌ [Versions] Error fetching report versions:', error);
+    }
+  }, [studyId]);
+
+  useEffect(() => {
+    if (studyId) {
+      fetchReportVersions();
+    }
+  }, [studyId, fetchReportVersions]);
+
   const initializeReportingSystem = async () => {
   console.log('🚀 [Initialize] Starting reporting system initialization for studyId:', studyId);
   setLoading(true);
@@ -527,60 +552,34 @@ const OnlineReportingSystem = () => {
       return;
     }
 
+    // Open the tab first so the browser does not block it as a popup
+    const viewerWindow = window.open('', '_blank');
     try {
       const ohifBaseURL = import.meta.env.VITE_OHIF_LOCAL_URL || 'http://localhost:4000';
-      const orthancBaseURL = import.meta.env.VITE_ORTHANC_URL || 'http://localhost:8042';
+      const dicomWebRoots = await getDicomWebRoots(ohifId);
       
       console.log('🔧 [OHIF] Configuration:', {
         ohifBaseURL,
-        orthancBaseURL,
+        dicomWebRoot: dicomWebRoots.dicomWebRoot,
         ohifId
       });
       
-      const orthancUsername = 'alice';
-      const orthancPassword = 'alicePassword';
-      
       const ohifUrl = new URL(`${ohifBaseURL}/viewer`);
       ohifUrl.searchParams.set('StudyInstanceUIDs', ohifId);
       
-      const dataSourceConfig = {
-        namespace: '@ohif/extension-default.dataSourcesModule.dicomweb',
-        sourceName: 'dicomweb',
-        configuration: {
-          friendlyName: 'Local Orthanc Server',
-          name: 'orthanc',
-          wadoUriRoot: `${orthancBaseURL}/wado`,
-          qidoRoot: `${orthancBaseURL}/dicom-web`,
-          wadoRoot: `${orthancBaseURL}/dicom-web`,
-          qidoSupportsIncludeField: true,
-          supportsReject: false,
-          imageRendering: 'wadors',
-          thumbnailRendering: 'wadors',
-          enableStudyLazyLoad: true,
-          supportsFuzzyMatching: false,
-          supportsWildcard: true,
-          headers: {
-            'Authorization': `Basic ${btoa(`${orthancUsername}:${orthancPassword}`)}`
-          },
-          requestOptions: {
-            auth: `${orthancUsername}:${orthancPassword}`,
-            headers: {
-              'Authorization': `Basic ${btoa(`${orthancUsername}:${orthancPassword}`)}`
-            }
-          }
-        }
-      };
+      const dataSourceConfig = buildOhifDataSource(dicomWebRoots, 'Local Orthanc Server');
       
       ohifUrl.searchParams.set('dataSources', JSON.stringify([dataSourceConfig]));
       
       console.log('🔍 [OHIF] Final OHIF URL:', ohifUrl.toString());
       console.log('🔍 [OHIF] Data source config:', dataSourceConfig);
       
-      window.open(ohifUrl.toString(), '_blank');
+      viewerWindow.location.href = ohifUrl.toString();
       console.log('✅ [OHIF] OHIF Viewer opened successfully');
       toast.success('OHIF Viewer opened in new tab');
       
     } catch (error) {
+      viewerWindow?.close();
       console.error('❌ [OHIF] Error opening OHIF viewer:', error);
       toast.error('Failed to open OHIF viewer');
     }
@@ -689,6 +688,7 @@ const templateName = `${currentUser.email.split('@')[0]}.docx`;
           duration: 4000,
           icon: '📝'  
         });
+        fetchReportVersions();
         
         // Optionally show download option
         if (response.data.data.downloadUrl) {
@@ -751,7 +751,9 @@ const templateName = `${currentUser.email.split('@')[0]}.docx`;
     }
 
     const confirmed = window.confirm(
-      `Are you sure you want to finalize this report as ${exportFormat.toUpperCase()}? Once finalized, it cannot be edited.`
+      hasSignedVersion
+        ? 'This study already has a signed report. Sign this as an addendum? The earlier versions stay on record unchanged.'
+        : `Are you sure you want to finalize this report as ${exportFormat.toUpperCase()}? Once finalized, it cannot be edited.`
     );
     
     console.log('🔍 [Finalize] User confirmation:', confirmed);
@@ -782,9 +784,12 @@ const templateName = `${currentUser.email.split('@')[0]}.docx`;
         placeholders
       });
 
-      const endpoint = exportFormat === 'pdf' 
-        ? `/documents/study/${studyId}/generate-pdf-report`
-        : `/documents/study/${studyId}/generate-report`;
+      // Once a version is signed, any further signature is an addendum
+      const endpoint = hasSignedVersion
+        ? `/documents/study/${studyId}/generate-addendum`
+        : exportFormat === 'pdf' 
+          ? `/documents/study/${studyId}/generate-pdf-report`
+          : `/documents/study/${studyId}/generate-report`;
 
       console.log('📡 [Finalize] Calling finalization endpoint:', endpoint);
 
@@ -802,7 +807,9 @@ const templateName = `${currentUser.email.split('@')[0]}.docx`;
 
       if (response.data.success) {
         console.log('✅ [Finalize] Report finalized successfully');
-        toast.success(`Report finalized as ${exportFormat.toUpperCase()} successfully!`);
+        toast.success(hasSignedVersion
+          ? response.data.message
+          : `Report finalized as ${exportFormat.toUpperCase()} successfully!`);
         
         if (response.data.data?.downloadUrl) {
           console.log('🔗 [Finalize] Opening download URL:', response.data.data.downloadUrl);
@@ -830,7 +837,7 @@ const templateName = `${currentUser.email.split('@')[0]}.docx`;
         status: error.response?.status,
         data: error.response?.data
       });
-      toast.error(error.message || 'An unexpected error occurred during finalization.');
+      toast.error(error.response?.data?.message || error.message || 'An unexpected error occurred during finalization.');
     } finally {
       console.log('🏁 [Finalize] Finalization process complete');
       setFinalizing(false);
@@ -1076,7 +1083,7 @@ const templateName = `${currentUser.email.split('@')[0]}.docx`;
                   Finalizing...
                 </span>
               ) : (
-                `Finalize as ${exportFormat.toUpperCase()}`
+                hasSignedVersion ? 'Sign Addendum' : `Finalize as ${exportFormat.toUpperCase()}`
               )}
             </button>
 
@@ -1092,6 +1099,15 @@ const templateName = `${currentUser.email.split('@')[0]}.docx`;
           </div>
         </div>
 
+        {/* Versions of this study's report */}
+        <ReportVersionsPanel studyId={studyId} versions={reportVersions} />
+
+        {/* Prior studies of the same patient */}
+        <PriorStudiesPanel
+          studyId={studyId}
+          onInsertReport={(html) => setReportContent(prev => (prev || '') + html)}
+        />
+
         {/* 🔧 MOVED TO BOTTOM: Study Information Panel */}
         <div className="flex-1 bg-white border border-gray-300 rounded-lg shadow-lg p-4 overflow-y-auto">
           {/* Study Information Header */}
@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import EyeIconDropdown from '../admin/WorklistTable/buttons/EyeIconOHIFButton';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'N/A');
+
+const PriorStudiesPanel = ({ studyId, onInsertReport }) => {
+  const [priors, setPriors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [insertingReportId, setInsertingReportId] = useState(null);
+
+  const fetchPriors = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/documents/study/${studyId}/priors`);
+
+      if (response.data.success) {
+        setPriors(response.data.data || []);
+      } else {
+        setPriors([]);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching prior studies:', error);
+      setPriors([]);
+      toast.error('Failed to load prior studies');
+    } finally {
+      setLoading(false);
+    }
+  }, [studyId]);
+
+  useEffect(() => {
+    if (studyId) {
+      fetchPriors();
+    }
+  }, [studyId, fetchPriors]);
+
+  const handleInsertReport = async (prior, report) => {
+    setInsertingReportId(report._id);
+    try {
+      const response = await api.get(`/documents/study/${prior._id}/reports/${report._id}/content`, {
+        params: { priorOf: studyId }
+      });
+
+      if (response.data.success) {
+        const header = `<p><strong>PRIOR ${prior.modality} (${formatDate(prior.studyDate)}):</strong></p>`;
+        onInsertReport(header + response.data.data.content);
+        toast.success('Prior report inserted');
+      }
+    } catch (error) {
+      console.error('❌ Error inserting prior report:', error);
+      toast.error(error.response?.data?.message || 'Failed to insert prior report');
+    } finally {
+      setInsertingReportId(null);
+    }
+  };
+
+  return (
+    <div className="flex-1 bg-white border border-gray-300 rounded-lg shadow-lg p-4 mb-2 overflow-y-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between pb-2 border-b border-gray-200 mb-3">
+        <div className="flex items-center gap-2">
+          <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+          <span className="text-sm font-medium text-gray-900">Prior Studies</span>
+          {!loading && (
+            <span className="text-xs text-gray-500">({priors.length})</span>
+          )}
+        </div>
+        <button
+          onClick={fetchPriors}
+          disabled={loading}
+          className="text-xs text-gray-500 hover:text-gray-800 disabled:opacity-50"
+          title="Refresh prior studies"
+        >
+          ↻
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-4">
+          <div className="animate-spin rounded-full h-4 w-4 border-2 border-gray-400 border-t-transparent"></div>
+        </div>
+      ) : priors.length === 0 ? (
+        <p className="text-xs text-gray-500 text-center py-4">No prior studies for this patient</p>
+      ) : (
+        <div className="space-y-2 text-xs">
+          {priors.map(prior => {
+            const finalizedReports = prior.reports.filter(report => report.reportStatus === 'finalized');
+
+            return (
+              <div key={prior._id} className="border border-gray-200 rounded p-2">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-900">{prior.modality}</span>
+                      <span className="text-gray-500">{formatDate(prior.studyDate)}</span>
+                      {prior.matchedBy === 'mrn' && (
+                        <span className="px-1 rounded bg-yellow-100 text-yellow-800" title="Matched on MRN from another patient record">
+                          MRN
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-gray-600 truncate" title={prior.description}>{prior.description}</div>
+                    <div className="text-gray-400 font-mono truncate">{prior.accessionNumber}</div>
+                  </div>
+                  {prior.studyInstanceUID && (
+                    <EyeIconDropdown studyInstanceUID={prior.studyInstanceUID} priorOf={studyId} />
+                  )}
+                </div>
+
+                {finalizedReports.length > 0 ? (
+                  <div className="mt-2 space-y-1">
+                    {finalizedReports.map(report => (
+                      <div key={report._id} className="flex items-center justify-between gap-2 bg-gray-50 px-2 py-1 rounded">
+                        <span className="truncate text-gray-700" title={report.filename}>
+                          {report.uploadedBy || 'Report'} · {formatDate(report.uploadedAt)}
+                        </span>
+                        <button
+                          onClick={() => handleInsertReport(prior, report)}
+                          disabled={!report.canInsert || insertingReportId === report._id}
+                          className="flex-shrink-0 px-2 py-0.5 text-xs font-medium bg-black text-white rounded hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                          title={report.canInsert ? 'Insert report text into the current report' : 'Report text is not available'}
+                        >
+                          {insertingReportId === report._id ? '...' : 'Insert'}
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="mt-1 text-gray-400">No finalized report</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriorStudiesPanel;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import { diffReportHtml, sanitizeDiffHtml } from '../../utils/htmlDiff';
+
+const versionLabel = (version) => {
+  if (version.versionType === 'addendum') return `Addendum ${version.addendumNumber || ''}`.trim();
+  if (version.versionType === 'final') return 'Final';
+  return 'Draft';
+};
+
+const versionBadgeClass = (version) => {
+  if (version.versionType === 'addendum') return 'bg-purple-100 text-purple-800';
+  if (version.versionType === 'final') return 'bg-green-100 text-green-800';
+  return 'bg-yellow-100 text-yellow-800';
+};
+
+const ReportVersionsPanel = ({ studyId, versions }) => {
+  const [baseId, setBaseId] = useState('');
+  const [compareId, setCompareId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [diffing, setDiffing] = useState(false);
+
+  const comparable = useMemo(() => versions.filter(version => version.hasContent), [versions]);
+
+  // Default to the two most recent versions that have readable text
+  useEffect(() => {
+    if (comparable.length >= 2) {
+      setBaseId(comparable[comparable.length - 2]._id);
+      setCompareId(comparable[comparable.length - 1]._id);
+    }
+  }, [comparable]);
+
+  const handleDownloadVersion = async (version) => {
+    try {
+      const response = await api.get(`/documents/study/${studyId}/reports/${version.index}/download`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', version.filename || `report_v${version.version}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error downloading report version:', error);
+      toast.error('Failed to download report version');
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!baseId || !compareId || baseId === compareId) {
+      toast.error('Select two different versions to compare');
+      return;
+    }
+
+    setDiffing(true);
+    try {
+      const [baseResponse, compareResponse] = await Promise.all([
+        api.get(`/documents/study/${studyId}/reports/${baseId}/content`),
+        api.get(`/documents/study/${studyId}/reports/${compareId}/content`)
+      ]);
+
+      const base = versions.find(version => version._id === baseId);
+      const compare = versions.find(version => version._id === compareId);
+      setDiff({
+        base,
+        compare,
+        ...diffReportHtml(baseResponse.data.data.content, compareResponse.data.data.content)
+      });
+    } catch (error) {
+      console.error('❌ Error comparing report versions:', error);
+      toast.error(error.response?.data?.message || 'Failed to compare report versions');
+    } finally {
+      setDiffing(false);
+    }
+  };
+
+  if (versions.length === 0) return null;
+
+  return (
+    <div className="flex-shrink-0 bg-white border border-gray-300 rounded-lg shadow-lg p-4 mb-2">
+      {/* Header */}
+      <div className="flex items-center gap-2 pb-2 border-b border-gray-200 mb-3">
+        <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+        <span className="text-sm font-medium text-gray-900">Report Versions</span>
+        <span className="text-xs text-gray-500">({versions.length})</span>
+      </div>
+
+      <div className="max-h-32 overflow-y-auto space-y-1 text-xs">
+        {[...versions].reverse().map(version => (
+          <div key={version._id} className="flex items-center justify-between gap-2 px-2 py-1 rounded bg-gray-50">
+            <div className="flex items-center gap-2 min-w-0">
+              <span className="font-mono text-gray-500">v{version.version}</span>
+              <span className={`px-1.5 rounded ${versionBadgeClass(version)}`}>{versionLabel(version)}</span>
+              {version.isLatestSigned && (
+                <span className="px-1.5 rounded bg-blue-100 text-blue-800" title="Served on download">Current</span>
+              )}
+              {version.isSuperseded && (
+                <span className="text-gray-400" title="Kept for audit">superseded</span>
+              )}
+              <span className="truncate text-gray-600" title={version.uploadedBy}>{version.formattedDate}</span>
+            </div>
+            <button
+              onClick={() => handleDownloadVersion(version)}
+              className="flex-shrink-0 text-blue-600 hover:text-blue-800"
+              title="Download this version"
+            >
+              ⬇
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {/* Compare two versions */}
+      {comparable.length >= 2 && (
+        <div className="flex items-center gap-1 mt-2">
+          {[[baseId, setBaseId], [compareId, setCompareId]].map(([value, setValue], position) => (
+            <select
+              key={position}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className="flex-1 min-w-0 px-1 py-1 text-xs border border-gray-200 rounded focus:outline-none focus:ring-1 focus:ring-gray-400"
+            >
+              {comparable.map(version => (
+                <option key={version._id} value={version._id}>
+                  v{version.version} {versionLabel(version)}
+                </option>
+              ))}
+            </select>
+          ))}
+          <button
+            onClick={handleCompare}
+            disabled={diffing}
+            className="px-2 py-1 text-xs font-medium bg-black text-white rounded hover:bg-gray-800 disabled:opacity-50"
+          >
+            {diffing ? '...' : 'Diff'}
+          </button>
+        </div>
+      )}
+
+      {/* Diff Modal */}
+      {diff && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[85vh] flex flex-col">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+              <div className="text-sm font-medium text-gray-900">
+                v{diff.base.version} {versionLabel(diff.base)} → v{diff.compare.version} {versionLabel(diff.compare)}
+                <span className="ml-2 text-xs text-gray-500">
+                  {diff.changes === 0 ? 'No text changes' : `${diff.changes} change${diff.changes === 1 ? '' : 's'}`}
+                </span>
+              </div>
+              <button onClick={() => setDiff(null)} className="text-gray-500 hover:text-gray-800">✕</button>
+            </div>
+            <div
+              className="p-4 overflow-y-auto text-sm leading-relaxed text-gray-800"
+              dangerouslySetInnerHTML={{ __html: sanitizeDiffHtml(diff.html) }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportVersionsPanel;
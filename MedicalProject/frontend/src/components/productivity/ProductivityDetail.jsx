@@ -0,0 +1,106 @@
+import React from 'react';
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 30;
+
+const formatMinutes = (minutes) => {
+    if (minutes === null || minutes === undefined) return '-';
+    if (minutes < 60) return `${Math.round(minutes)}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${Math.round(minutes % 60)}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const StatCard = ({ title, value, hint }) => (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+        <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">{title}</div>
+        <div className="mt-1 text-2xl font-bold text-gray-900">{value}</div>
+        {hint && <div className="mt-1 text-xs text-gray-400">{hint}</div>}
+    </div>
+);
+
+// RVU bars per day with the finalized count in the tooltip
+const DailyChart = ({ daily }) => {
+    if (!daily?.length) return null;
+
+    const maxRvu = Math.max(1, ...daily.map(day => day.rvu));
+    const step = (CHART_WIDTH - CHART_PADDING * 2) / daily.length;
+    const x = (index) => CHART_PADDING + step * index + step / 2;
+    const y = (rvu) => CHART_HEIGHT - CHART_PADDING - (rvu / maxRvu) * (CHART_HEIGHT - CHART_PADDING * 2);
+    const labelEvery = Math.ceil(daily.length / 10);
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-40">
+            {daily.map((day, index) => (
+                <rect
+                    key={day.date}
+                    x={x(index) - step * 0.35}
+                    y={y(day.rvu)}
+                    width={step * 0.7}
+                    height={CHART_HEIGHT - CHART_PADDING - y(day.rvu)}
+                    className="fill-emerald-400"
+                >
+                    <title>{`${day.date}: ${day.finalized} reports, ${day.rvu} RVU`}</title>
+                </rect>
+            ))}
+            <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} className="stroke-gray-300" />
+            <text x={4} y={CHART_PADDING - 8} className="fill-gray-500 text-[10px]">{maxRvu} RVU</text>
+            {daily.map((day, index) => (index % labelEvery === 0 ? (
+                <text key={day.date} x={x(index)} y={CHART_HEIGHT - 10} textAnchor="middle" className="fill-gray-500 text-[10px]">
+                    {day.date.slice(5)}
+                </text>
+            ) : null))}
+        </svg>
+    );
+};
+
+// Summary cards, daily RVU chart and modality breakdown for one doctor
+const ProductivityDetail = ({ productivity }) => {
+    if (!productivity) return null;
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+                <StatCard title="Reports Finalized" value={productivity.finalized} hint={`${productivity.activeDays} active days`} />
+                <StatCard title="RVU" value={productivity.rvu} hint={`${productivity.rvuPerDay} per day`} />
+                <StatCard title="Reports / Day" value={productivity.reportsPerDay} hint={`${productivity.reportsPerActiveDay} per active day`} />
+                <StatCard title="Median Reading Time" value={formatMinutes(productivity.readingTime.median)} hint={`avg ${formatMinutes(productivity.readingTime.avg)}`} />
+                <StatCard title="P90 Reading Time" value={formatMinutes(productivity.readingTime.p90)} hint={`${productivity.readingTime.count} timed reports`} />
+                <StatCard title="Revision Rate" value={`${productivity.revisionRate}%`} hint={`${productivity.revised} with addendum`} />
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">Daily Output</h2>
+                <DailyChart daily={productivity.daily} />
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Modality</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Reports</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">RVU</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {productivity.byModality.length === 0 ? (
+                            <tr>
+                                <td colSpan="3" className="px-4 py-8 text-center text-gray-500">No reports finalized in this period</td>
+                            </tr>
+                        ) : productivity.byModality.map(item => (
+                            <tr key={item.modality}>
+                                <td className="px-4 py-3 text-sm text-gray-900">{item.modality}</td>
+                                <td className="px-4 py-3 text-sm text-right text-gray-700">{item.finalized}</td>
+                                <td className="px-4 py-3 text-sm text-right text-gray-700">{item.rvu}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default ProductivityDetail;
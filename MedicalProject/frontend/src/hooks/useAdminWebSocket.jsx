@@ -1,6 +1,7 @@
 import { useEffect, useRef, useState } from 'react';
 import { toast } from 'react-hot-toast';
 import sessionManager from "../services/sessionManager";
+import { formatSlaEscalation, formatPeerReviewEvent, formatShareLinkAlert, formatDiscussionMention } from './useSlaNotifications';
 
 const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:3000';
 console.log('🔌 WebSocket URL:', WS_URL);
@@ -188,6 +189,38 @@ const useAdminWebSocket = (user) => {
           }
         });
         break;
+
+      // 🆕 SLA breach / reassignment alert
+      case 'sla_escalation':
+        toast.error(formatSlaEscalation(message.data), {
+          duration: 10000,
+          icon: '⏱️'
+        });
+        break;
+
+      // 🆕 Peer review found a discrepancy
+      case 'peer_review':
+        toast(formatPeerReviewEvent(message.data), {
+          duration: 10000,
+          icon: '🔍'
+        });
+        break;
+
+      // 🆕 Share link opened from many places or hit with wrong codes
+      case 'share_link_alert':
+        toast.error(formatShareLinkAlert(message.data), {
+          duration: 15000,
+          icon: '🚨'
+        });
+        break;
+
+      // 🆕 Someone @mentioned this admin in a study discussion
+      case 'discussion_mention':
+        toast(formatDiscussionMention(message.data), {
+          duration: 10000,
+          icon: '💬'
+        });
+        break;
         
       default:
         console.log('Unknown message type:', message.type);
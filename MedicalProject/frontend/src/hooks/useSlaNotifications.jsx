@@ -0,0 +1,82 @@
+import { useEffect, useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import sessionManager from '../services/sessionManager';
+
+const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:3000';
+const RECONNECT_INTERVAL = 10000; // 10 seconds
+const HEARTBEAT_INTERVAL = 30000; // 30 seconds
+
+export const formatSlaEscalation = (escalation) => {
+  const patient = escalation.patientName || escalation.patientId || 'Study';
+  return escalation.kind === 'reassigned'
+    ? `SLA escalation: ${patient} (${escalation.modality || 'study'}) reassigned to Dr. ${escalation.reassignedTo}`
+    : `SLA breached: ${patient} (${escalation.modality || 'study'}) - ${escalation.policy}, target ${escalation.target}`;
+};
+
+export const formatPeerReviewEvent = (event) => {
+  const patient = event.patientName || event.patientId || 'Study';
+  return event.kind === 'discrepancy'
+    ? `Peer review discrepancy: ${patient} (${event.modality || 'study'}) scored ${event.score} - ${event.scoreLabel}`
+    : `Peer review assigned: ${patient} (${event.modality || 'study'})`;
+};
+
+export const formatShareLinkAlert = (alert) =>
+  `Unusual share link access: ${alert.patientName || 'study'} (${alert.modality || 'study'}) - ${alert.detail}`;
+
+export const formatDiscussionMention = (event) =>
+  `${event.authorName} mentioned you on ${event.patientName || event.patientId || 'a study'} (${event.modality || 'study'}): "${event.discussion?.comment?.slice(0, 80) || ''}"`;
+
+// Doctors' and lab staff's notification-only WebSocket connection; admins get these alerts through useAdminWebSocket
+const useSlaNotifications = (user) => {
+  const ws = useRef(null);
+  const reconnectTimeout = useRef(null);
+
+  useEffect(() => {
+    if (!user || !['doctor_account', 'lab_staff'].includes(user.role)) return undefined;
+
+    let closedByUs = false;
+
+    const connect = () => {
+      const token = sessionManager.getToken();
+      ws.current = new WebSocket(`${WS_URL}/ws/doctor${token ? `?token=${encodeURIComponent(token)}` : ''}`);
+
+      ws.current.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          if (message.type === 'sla_escalation') {
+            toast.error(formatSlaEscalation(message.data), { duration: 10000, icon: '⏱️' });
+          } else if (message.type === 'peer_review') {
+            toast(formatPeerReviewEvent(message.data), { duration: 10000, icon: '🔍' });
+          } else if (message.type === 'discussion_mention') {
+            toast(formatDiscussionMention(message.data), { duration: 10000, icon: '💬' });
+          }
+        } catch (error) {
+          console.error('Error parsing notification:', error);
+        }
+      };
+
+      ws.current.onclose = (event) => {
+        // 4002/4003/4007 are authentication rejections - retrying will not help
+        if (!closedByUs && ![4002, 4003, 4007].includes(event.code)) {
+          reconnectTimeout.current = setTimeout(connect, RECONNECT_INTERVAL);
+        }
+      };
+    };
+
+    connect();
+    const heartbeat = setInterval(() => {
+      if (ws.current?.readyState === WebSocket.OPEN) {
+        ws.current.send(JSON.stringify({ type: 'ping' }));
+      }
+    }, HEARTBEAT_INTERVAL);
+
+    return () => {
+      closedByUs = true;
+      clearInterval(heartbeat);
+      clearTimeout(reconnectTimeout.current);
+      ws.current?.close(1000, 'Manual disconnect');
+    };
+  }, [user]);
+};
+
+export default useSlaNotifications;
@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format, addDays, startOfWeek, isSameDay } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import UniversalNavbar from '../components/layout/AdminNavbar';
+
+const ENTRY_TYPES = {
+    shift: { label: 'Shift', className: 'bg-blue-100 text-blue-800 border-blue-200' },
+    on_call: { label: 'On call', className: 'bg-purple-100 text-purple-800 border-purple-200' },
+    leave: { label: 'Leave', className: 'bg-gray-200 text-gray-700 border-gray-300' }
+};
+
+const DUTY_STATUS = {
+    on_shift: { label: 'On shift', className: 'bg-green-100 text-green-700' },
+    on_call: { label: 'On call', className: 'bg-purple-100 text-purple-700' },
+    leave: { label: 'On leave', className: 'bg-gray-200 text-gray-600' },
+    off: { label: 'Off duty', className: 'bg-red-100 text-red-700' },
+    no_roster: { label: 'No roster', className: 'bg-amber-100 text-amber-700' }
+};
+
+const toInputValue = (date) => (date ? format(new Date(date), "yyyy-MM-dd'T'HH:mm") : '');
+
+const EMPTY_ENTRY = {
+    doctor: '',
+    type: 'shift',
+    start: '',
+    end: '',
+    repeatWeekly: false,
+    repeatUntil: '',
+    notes: ''
+};
+
+const DutyRoster = () => {
+    const { currentUser } = useAuth();
+    const isAdmin = currentUser?.role === 'admin';
+
+    const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date(), { weekStartsOn: 1 }));
+    const [doctors, setDoctors] = useState([]);
+    const [occurrences, setOccurrences] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editingEntry, setEditingEntry] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_ENTRY);
+
+    const days = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+
+    const fetchRoster = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/roster', {
+                params: { from: weekStart.toISOString(), to: addDays(weekStart, 7).toISOString() }
+            });
+            if (response.data.success) {
+                setDoctors(response.data.data.doctors);
+                setOccurrences(response.data.data.occurrences);
+            }
+        } catch (error) {
+            console.error('Error fetching roster:', error);
+            toast.error(error.response?.data?.message || 'Failed to fetch roster');
+        } finally {
+            setLoading(false);
+        }
+    }, [weekStart]);
+
+    useEffect(() => {
+        fetchRoster();
+    }, [fetchRoster]);
+
+    const occurrencesFor = (doctorId, day) => {
+        const dayStart = day.getTime();
+        const dayEnd = addDays(day, 1).getTime();
+        return occurrences.filter(occurrence =>
+            occurrence.doctor === doctorId &&
+            new Date(occurrence.start).getTime() < dayEnd &&
+            new Date(occurrence.end).getTime() > dayStart);
+    };
+
+    const openEditor = (occurrence = null, doctorId = '', day = null) => {
+        if (occurrence) {
+            setEditingEntry({ _id: occurrence.entryId });
+            setFormData({
+                doctor: occurrence.doctor,
+                type: occurrence.type,
+                start: toInputValue(occurrence.entryStart),
+                end: toInputValue(occurrence.entryEnd),
+                repeatWeekly: occurrence.repeatWeekly,
+                repeatUntil: occurrence.repeatUntil ? format(new Date(occurrence.repeatUntil), 'yyyy-MM-dd') : '',
+                notes: occurrence.notes || ''
+            });
+            return;
+        }
+
+        const base = day || new Date();
+        setEditingEntry({});
+        setFormData({
+            ...EMPTY_ENTRY,
+            doctor: doctorId || (isAdmin ? '' : doctors[0]?._id || ''),
+            start: toInputValue(new Date(base.getFullYear(), base.getMonth(), base.getDate(), 9)),
+            end: toInputValue(new Date(base.getFullYear(), base.getMonth(), base.getDate(), 17))
+        });
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const payload = {
+            ...formData,
+            start: new Date(formData.start).toISOString(),
+            end: new Date(formData.end).toISOString(),
+            // Repeat until the end of the chosen day
+            repeatUntil: formData.repeatWeekly && formData.repeatUntil
+                ? new Date(`${formData.repeatUntil}T23:59:59`).toISOString()
+                : ''
+        };
+
+        try {
+            const response = editingEntry?._id
+                ? await api.put(`/roster/entries/${editingEntry._id}`, payload)
+                : await api.post('/roster/entries', payload);
+
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setEditingEntry(null);
+                fetchRoster();
+            }
+        } catch (error) {
+            console.error('Error saving roster entry:', error);
+            toast.error(error.response?.data?.message || 'Failed to save roster entry');
+        }
+    };
+
+    const handleDelete = async () => {
+        const message = formData.repeatWeekly
+            ? 'Delete this weekly entry? Every repetition will be removed.'
+            : 'Delete this roster entry?';
+        if (!window.confirm(message)) return;
+
+        try {
+            await api.delete(`/roster/entries/${editingEntry._id}`);
+            toast.success('Roster entry deleted');
+            setEditingEntry(null);
+            fetchRoster();
+        } catch (error) {
+            console.error('Error deleting roster entry:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete roster entry');
+        }
+    };
+
+    const handleExport = async (doctor) => {
+        try {
+            const response = await api.get(`/roster/doctors/${doctor._id}/ical`, { responseType: 'blob' });
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/calendar' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `roster_${doctor.fullName.replace(/[^a-z0-9]+/gi, '_')}.ics`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting roster:', error);
+            toast.error('Failed to export calendar');
+        }
+    };
+
+    const formatOccurrence = (occurrence, day) => {
+        const start = new Date(occurrence.start);
+        const end = new Date(occurrence.end);
+        const from = isSameDay(start, day) ? format(start, 'HH:mm') : '…';
+        const to = isSameDay(end, day) ? format(end, 'HH:mm') : '…';
+        return `${from}-${to}`;
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">{isAdmin ? 'Duty Roster' : 'My Roster'}</h1>
+                            <p className="text-gray-600">
+                                Studies are only assigned to doctors on shift or on call. Leave overrides any shift it overlaps.
+                            </p>
+                        </div>
+                        <div className="mt-4 sm:mt-0 flex items-center space-x-2">
+                            <button
+                                onClick={() => setWeekStart(prev => addDays(prev, -7))}
+                                className="px-3 py-2 border border-gray-300 bg-white rounded-lg text-sm hover:bg-gray-50"
+                            >
+                                Previous
+                            </button>
+                            <button
+                                onClick={() => setWeekStart(startOfWeek(new Date(), { weekStartsOn: 1 }))}
+                                className="px-3 py-2 border border-gray-300 bg-white rounded-lg text-sm hover:bg-gray-50"
+                            >
+                                This Week
+                            </button>
+                            <button
+                                onClick={() => setWeekStart(prev => addDays(prev, 7))}
+                                className="px-3 py-2 border border-gray-300 bg-white rounded-lg text-sm hover:bg-gray-50"
+                            >
+                                Next
+                            </button>
+                            <button
+                                onClick={() => openEditor()}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                                Add Entry
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Calendar */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 table-fixed">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="w-56 px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                                    {days.map(day => (
+                                        <th
+                                            key={day.toISOString()}
+                                            className={`px-2 py-3 text-left text-xs font-medium uppercase tracking-wider ${isSameDay(day, new Date()) ? 'text-blue-600' : 'text-gray-500'}`}
+                                        >
+                                            {format(day, 'EEE d MMM')}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loading ? (
+                                    <tr>
+                                        <td colSpan="8" className="px-4 py-8 text-center text-gray-500">Loading roster...</td>
+                                    </tr>
+                                ) : doctors.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="8" className="px-4 py-8 text-center text-gray-500">No doctors found</td>
+                                    </tr>
+                                ) : doctors.map(doctor => {
+                                    const duty = DUTY_STATUS[doctor.duty?.status] || DUTY_STATUS.no_roster;
+                                    return (
+                                        <tr key={doctor._id}>
+                                            <td className="px-4 py-3 align-top text-sm">
+                                                <div className="font-medium text-gray-900">{doctor.fullName}</div>
+                                                <div className="text-xs text-gray-500">{doctor.specialization}</div>
+                                                <div className="mt-1 flex items-center space-x-2">
+                                                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${duty.className}`}>
+                                                        {duty.label}
+                                                        {doctor.duty?.until && ` until ${format(new Date(doctor.duty.until), 'd MMM HH:mm')}`}
+                                                    </span>
+                                                    <button onClick={() => handleExport(doctor)} className="text-xs text-blue-600 hover:text-blue-800">
+                                                        iCal
+                                                    </button>
+                                                </div>
+                                            </td>
+                                            {days.map(day => (
+                                                <td
+                                                    key={day.toISOString()}
+                                                    onClick={() => openEditor(null, doctor._id, day)}
+                                                    className="px-2 py-2 align-top cursor-pointer hover:bg-gray-50"
+                                                    title="Add entry"
+                                                >
+                                                    <div className="space-y-1">
+                                                        {occurrencesFor(doctor._id, day).map(occurrence => (
+                                                            <button
+                                                                key={`${occurrence.entryId}-${occurrence.start}`}
+                                                                onClick={(e) => {
+                                                                    e.stopPropagation();
+                                                                    openEditor(occurrence);
+                                                                }}
+                                                                className={`block w-full text-left px-1.5 py-1 rounded border text-xs ${ENTRY_TYPES[occurrence.type].className}`}
+                                                                title={occurrence.notes || ENTRY_TYPES[occurrence.type].label}
+                                                            >
+                                                                <div className="font-medium">
+                                                                    {ENTRY_TYPES[occurrence.type].label}
+                                                                    {occurrence.repeatWeekly && ' ↻'}
+                                                                </div>
+                                                                <div>{formatOccurrence(occurrence, day)}</div>
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+
+            {/* Editor Modal */}
+            {editingEntry && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{editingEntry._id ? 'Edit Roster Entry' : 'New Roster Entry'}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            {isAdmin && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Doctor</label>
+                                    <select
+                                        name="doctor"
+                                        value={formData.doctor}
+                                        onChange={handleChange}
+                                        required
+                                        disabled={Boolean(editingEntry._id)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+                                    >
+                                        <option value="">Select doctor</option>
+                                        {doctors.map(doctor => (
+                                            <option key={doctor._id} value={doctor._id}>{doctor.fullName}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                                <select name="type" value={formData.type} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                    {Object.entries(ENTRY_TYPES).map(([value, { label }]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Start</label>
+                                    <input type="datetime-local" name="start" value={formData.start} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">End</label>
+                                    <input type="datetime-local" name="end" value={formData.end} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4 items-end">
+                                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                    <input type="checkbox" name="repeatWeekly" checked={formData.repeatWeekly} onChange={handleChange} />
+                                    <span>Repeat every week</span>
+                                </label>
+                                {formData.repeatWeekly && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Until (optional)</label>
+                                        <input type="date" name="repeatUntil" value={formData.repeatUntil} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                    </div>
+                                )}
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <input name="notes" value={formData.notes} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-between">
+                            <div>
+                                {editingEntry._id && (
+                                    <button type="button" onClick={handleDelete} className="px-4 py-2 text-red-600 hover:text-red-800">Delete</button>
+                                )}
+                            </div>
+                            <div className="space-x-2">
+                                <button type="button" onClick={() => setEditingEntry(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                                <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Save</button>
+                            </div>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DutyRoster;
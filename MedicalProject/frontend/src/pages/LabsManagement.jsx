@@ -4,6 +4,33 @@ import api from '../services/api';
 import toast from 'react-hot-toast';
 import UniversalNavbar from '../components/layout/AdminNavbar';
 
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// One working window per weekday in the form; holidays as "YYYY-MM-DD Name" lines
+const toCalendarForm = (calendar = {}) => ({
+    timezone: calendar.timezone || 'Asia/Kolkata',
+    days: WEEKDAY_LABELS.map((label, day) => {
+        const slot = (calendar.workingHours || []).find(hours => hours.day === day);
+        return { open: !!slot, start: slot?.start || '09:00', end: slot?.end || '18:00' };
+    }),
+    holidaysText: (calendar.holidays || []).map(holiday => `${holiday.date} ${holiday.name || ''}`.trim()).join('\n')
+});
+
+const fromCalendarForm = (form) => ({
+    timezone: form.timezone.trim(),
+    workingHours: form.days
+        .map((slot, day) => slot.open && { day, start: slot.start, end: slot.end })
+        .filter(Boolean),
+    holidays: form.holidaysText
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const [date, ...name] = line.split(/\s+/);
+            return { date, name: name.join(' ') };
+        })
+});
+
 const LabsManagement = () => {
     const [labs, setLabs] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -86,7 +113,14 @@ const LabsManagement = () => {
                         country: response.data.data.address?.country || ''
                     },
                     isActive: response.data.data.isActive,
-                    notes: response.data.data.notes || ''
+                    notes: response.data.data.notes || '',
+                    reportSettings: {
+                        renderer: response.data.data.reportSettings?.renderer || 'docx_service',
+                        letterheadTitle: response.data.data.reportSettings?.letterheadTitle || '',
+                        letterheadSubtitle: response.data.data.reportSettings?.letterheadSubtitle || '',
+                        footerText: response.data.data.reportSettings?.footerText || ''
+                    },
+                    workingCalendar: toCalendarForm(response.data.data.workingCalendar)
                 });
                 setShowEditModal(true);
             }
@@ -101,7 +135,10 @@ const LabsManagement = () => {
         e.preventDefault();
         
         try {
-            const response = await api.put(`/admin/labs/update/${selectedLab._id}`, editFormData);
+            const response = await api.put(`/admin/labs/update/${selectedLab._id}`, {
+                ...editFormData,
+                workingCalendar: fromCalendarForm(editFormData.workingCalendar)
+            });
 
             if (response.data.success) {
                 toast.success('Lab updated successfully');
@@ -669,6 +706,143 @@ const LabsManagement = () => {
                                     </div>
                                 </div>
                                 
+                                {/* Report Rendering */}
+                                <div className="border-t pt-4">
+                                    <h4 className="text-md font-medium text-gray-900 mb-3">Report Rendering</h4>
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700">Renderer</label>
+                                            <select
+                                                value={editFormData.reportSettings?.renderer || 'docx_service'}
+                                                onChange={(e) => setEditFormData({
+                                                    ...editFormData,
+                                                    reportSettings: {...editFormData.reportSettings, renderer: e.target.value}
+                                                })}
+                                                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                            >
+                                                <option value="docx_service">DOCX template service</option>
+                                                <option value="pdf">Built-in PDF</option>
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700">Letterhead Title</label>
+                                            <input
+                                                type="text"
+                                                value={editFormData.reportSettings?.letterheadTitle || ''}
+                                                placeholder={editFormData.name}
+                                                onChange={(e) => setEditFormData({
+                                                    ...editFormData,
+                                                    reportSettings: {...editFormData.reportSettings, letterheadTitle: e.target.value}
+                                                })}
+                                                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700">Letterhead Subtitle</label>
+                                            <input
+                                                type="text"
+                                                value={editFormData.reportSettings?.letterheadSubtitle || ''}
+                                                placeholder="Defaults to the lab address"
+                                                onChange={(e) => setEditFormData({
+                                                    ...editFormData,
+                                                    reportSettings: {...editFormData.reportSettings, letterheadSubtitle: e.target.value}
+                                                })}
+                                                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700">Footer Text</label>
+                                            <input
+                                                type="text"
+                                                value={editFormData.reportSettings?.footerText || ''}
+                                                onChange={(e) => setEditFormData({
+                                                    ...editFormData,
+                                                    reportSettings: {...editFormData.reportSettings, footerText: e.target.value}
+                                                })}
+                                                className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                            />
+                                        </div>
+                                    </div>
+                                    <p className="mt-2 text-xs text-gray-500">
+                                        Built-in PDF renders reports on this server with the letterhead above and the doctor's signature. It is also used automatically when the DOCX service is unavailable.
+                                    </p>
+                                </div>
+
+                                {/* Working Calendar */}
+                                <div className="border-t pt-4">
+                                    <h4 className="text-md font-medium text-gray-900 mb-3">Working Calendar</h4>
+                                    <div className="mb-3">
+                                        <label className="block text-sm font-medium text-gray-700">Timezone</label>
+                                        <input
+                                            type="text"
+                                            value={editFormData.workingCalendar?.timezone || ''}
+                                            placeholder="Asia/Kolkata"
+                                            onChange={(e) => setEditFormData({
+                                                ...editFormData,
+                                                workingCalendar: {...editFormData.workingCalendar, timezone: e.target.value}
+                                            })}
+                                            className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                        />
+                                    </div>
+                                    <div className="space-y-1">
+                                        {editFormData.workingCalendar?.days.map((slot, day) => {
+                                            const updateDay = (changes) => setEditFormData({
+                                                ...editFormData,
+                                                workingCalendar: {
+                                                    ...editFormData.workingCalendar,
+                                                    days: editFormData.workingCalendar.days.map((current, index) => (
+                                                        index === day ? {...current, ...changes} : current
+                                                    ))
+                                                }
+                                            });
+                                            return (
+                                                <div key={WEEKDAY_LABELS[day]} className="flex items-center space-x-2 text-sm">
+                                                    <label className="flex items-center w-32">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={slot.open}
+                                                            onChange={(e) => updateDay({ open: e.target.checked })}
+                                                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                                                        />
+                                                        <span className="ml-2 text-gray-900">{WEEKDAY_LABELS[day]}</span>
+                                                    </label>
+                                                    <input
+                                                        type="time"
+                                                        value={slot.start}
+                                                        disabled={!slot.open}
+                                                        onChange={(e) => updateDay({ start: e.target.value })}
+                                                        className="border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100"
+                                                    />
+                                                    <span className="text-gray-500">to</span>
+                                                    <input
+                                                        type="time"
+                                                        value={slot.end}
+                                                        disabled={!slot.open}
+                                                        onChange={(e) => updateDay({ end: e.target.value })}
+                                                        className="border border-gray-300 rounded-md px-2 py-1 disabled:bg-gray-100"
+                                                    />
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                    <div className="mt-3">
+                                        <label className="block text-sm font-medium text-gray-700">Holidays</label>
+                                        <textarea
+                                            value={editFormData.workingCalendar?.holidaysText || ''}
+                                            placeholder={'2025-01-26 Republic Day\n2025-08-15 Independence Day'}
+                                            onChange={(e) => setEditFormData({
+                                                ...editFormData,
+                                                workingCalendar: {...editFormData.workingCalendar, holidaysText: e.target.value}
+                                            })}
+                                            rows={3}
+                                            className="mt-1 block w-full border border-gray-300 rounded-md px-3 py-2 font-mono text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                                        />
+                                    </div>
+                                    <p className="mt-2 text-xs text-gray-500">
+                                        Business TAT counts only these hours and skips holidays. Leave every day unticked for a round-the-clock lab.
+                                    </p>
+                                </div>
+
                                 <div>
                                     <label className="block text-sm font-medium text-gray-700">Notes</label>
                                     <textarea
@@ -0,0 +1,568 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import UniversalNavbar from '../components/layout/AdminNavbar';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const RUN_STATUS = {
+    sent: 'bg-green-100 text-green-700',
+    partial: 'bg-amber-100 text-amber-700',
+    failed: 'bg-red-100 text-red-700'
+};
+
+const EMPTY_SUBSCRIPTION = {
+    name: '',
+    lab: '',
+    doctor: '',
+    reportTypes: ['tat', 'volume'],
+    tatMode: 'wallclock',
+    frequency: 'daily',
+    sendTime: '07:00',
+    weekday: 1,
+    dayOfMonth: 1,
+    timezone: 'Asia/Kolkata',
+    recipients: '',
+    isActive: true
+};
+
+const formatDateTime = (date) => (date ? format(new Date(date), 'dd MMM yyyy HH:mm') : '-');
+
+const describeSchedule = (subscription) => {
+    if (subscription.frequency === 'weekly') return `Weekly, ${WEEKDAYS[subscription.weekday]} ${subscription.sendTime}`;
+    if (subscription.frequency === 'monthly') return `Monthly, day ${subscription.dayOfMonth} ${subscription.sendTime}`;
+    return `Daily ${subscription.sendTime}`;
+};
+
+const parseRecipients = (value) => value
+    .split(/[\n,;]+/)
+    .map(email => email.trim())
+    .filter(Boolean)
+    .map(email => ({ email }));
+
+const ScheduledReports = () => {
+    const { currentUser } = useAuth();
+    const isAdmin = currentUser?.role === 'admin';
+
+    const [subscriptions, setSubscriptions] = useState([]);
+    const [runs, setRuns] = useState([]);
+    const [runPagination, setRunPagination] = useState({ currentPage: 1, totalPages: 1, totalRecords: 0 });
+    const [runPage, setRunPage] = useState(1);
+    const [runFilter, setRunFilter] = useState('');
+    const [labs, setLabs] = useState([]);
+    const [doctors, setDoctors] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+    const [editingSubscription, setEditingSubscription] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_SUBSCRIPTION);
+
+    const fetchSubscriptions = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/scheduled-reports/subscriptions');
+            if (response.data.success) {
+                setSubscriptions(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching report subscriptions:', error);
+            toast.error(error.response?.data?.message || 'Failed to fetch report subscriptions');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const fetchRuns = useCallback(async () => {
+        try {
+            const response = await api.get('/scheduled-reports/runs', {
+                params: { page: runPage, limit: 25, subscriptionId: runFilter || undefined }
+            });
+            if (response.data.success) {
+                setRuns(response.data.data);
+                setRunPagination(response.data.pagination);
+            }
+        } catch (error) {
+            console.error('Error fetching report history:', error);
+        }
+    }, [runPage, runFilter]);
+
+    useEffect(() => {
+        fetchSubscriptions();
+    }, [fetchSubscriptions]);
+
+    useEffect(() => {
+        fetchRuns();
+    }, [fetchRuns]);
+
+    useEffect(() => {
+        const fetchOptions = async () => {
+            try {
+                const [doctorResponse, labResponse] = await Promise.all([
+                    api.get('/admin/doctors'),
+                    isAdmin ? api.get('/tat/locations') : Promise.resolve(null)
+                ]);
+                if (doctorResponse.data.success) {
+                    setDoctors(doctorResponse.data.doctors);
+                }
+                if (labResponse?.data.success) {
+                    setLabs(labResponse.data.locations);
+                }
+            } catch (error) {
+                console.error('Error fetching labs and doctors:', error);
+            }
+        };
+        fetchOptions();
+    }, [isAdmin]);
+
+    const openEditor = (subscription = null) => {
+        setEditingSubscription(subscription || {});
+        setFormData(subscription ? {
+            name: subscription.name,
+            lab: subscription.lab?._id || '',
+            doctor: subscription.doctor?._id || '',
+            reportTypes: subscription.reportTypes,
+            tatMode: subscription.tatMode,
+            frequency: subscription.frequency,
+            sendTime: subscription.sendTime,
+            weekday: subscription.weekday,
+            dayOfMonth: subscription.dayOfMonth,
+            timezone: subscription.timezone,
+            recipients: subscription.recipients.map(recipient => recipient.email).join(', '),
+            isActive: subscription.isActive
+        } : EMPTY_SUBSCRIPTION);
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value
+        }));
+    };
+
+    const toggleReportType = (reportType) => {
+        setFormData(prev => ({
+            ...prev,
+            reportTypes: prev.reportTypes.includes(reportType)
+                ? prev.reportTypes.filter(item => item !== reportType)
+                : [...prev.reportTypes, reportType]
+        }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const payload = {
+            ...formData,
+            weekday: Number(formData.weekday),
+            recipients: parseRecipients(formData.recipients)
+        };
+        if (!isAdmin) delete payload.lab;
+
+        try {
+            const response = editingSubscription?._id
+                ? await api.put(`/scheduled-reports/subscriptions/${editingSubscription._id}`, payload)
+                : await api.post('/scheduled-reports/subscriptions', payload);
+
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setEditingSubscription(null);
+                fetchSubscriptions();
+            }
+        } catch (error) {
+            console.error('Error saving report subscription:', error);
+            toast.error(error.response?.data?.message || 'Failed to save report subscription');
+        }
+    };
+
+    const handleToggle = async (subscription) => {
+        try {
+            await api.put(`/scheduled-reports/subscriptions/${subscription._id}`, { isActive: !subscription.isActive });
+            toast.success(subscription.isActive ? 'Subscription paused' : 'Subscription resumed');
+            fetchSubscriptions();
+        } catch (error) {
+            console.error('Error toggling report subscription:', error);
+            toast.error(error.response?.data?.message || 'Failed to update report subscription');
+        }
+    };
+
+    const handleDelete = async (subscription) => {
+        if (!window.confirm(`Delete subscription "${subscription.name}"? Its history is kept.`)) return;
+        try {
+            await api.delete(`/scheduled-reports/subscriptions/${subscription._id}`);
+            toast.success('Report subscription deleted');
+            fetchSubscriptions();
+        } catch (error) {
+            console.error('Error deleting report subscription:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete report subscription');
+        }
+    };
+
+    const handlePreview = async (subscription) => {
+        try {
+            setBusyId(subscription._id);
+            const response = await api.get(`/scheduled-reports/subscriptions/${subscription._id}/preview`, {
+                responseType: 'blob'
+            });
+
+            const blob = new Blob([response.data], {
+                type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.style.display = 'none';
+            a.href = url;
+            a.download = `${subscription.name.replace(/[^a-zA-Z0-9]/g, '_')}_preview.xlsx`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (error) {
+            console.error('Error previewing report:', error);
+            toast.error('Failed to generate report preview');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleSendNow = async (subscription) => {
+        if (!window.confirm(`Email "${subscription.name}" to ${subscription.recipients.length} recipient(s) now?`)) return;
+        try {
+            setBusyId(subscription._id);
+            const response = await api.post(`/scheduled-reports/subscriptions/${subscription._id}/send`);
+            toast.success(response.data.message);
+        } catch (error) {
+            console.error('Error sending report:', error);
+            toast.error(error.response?.data?.message || 'Failed to send report');
+        } finally {
+            setBusyId(null);
+            fetchSubscriptions();
+            fetchRuns();
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Scheduled Reports</h1>
+                            <p className="text-gray-600">
+                                TAT and volume workbooks emailed daily, weekly or monthly. Each report covers the previous full period.
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => openEditor()}
+                            className="mt-4 sm:mt-0 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                        >
+                            New Subscription
+                        </button>
+                    </div>
+
+                    {/* Subscriptions */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scope</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Schedule</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipients</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last / Next Run</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loading ? (
+                                    <tr>
+                                        <td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading subscriptions...</td>
+                                    </tr>
+                                ) : subscriptions.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="7" className="px-4 py-8 text-center text-gray-500">No report subscriptions yet</td>
+                                    </tr>
+                                ) : subscriptions.map((subscription) => (
+                                    <tr key={subscription._id} className={subscription.isActive ? '' : 'opacity-60'}>
+                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                            <div className="font-medium">{subscription.name}</div>
+                                            <div className="text-xs text-gray-500">
+                                                {subscription.reportTypes.map(type => (type === 'tat' ? 'TAT' : 'Volume')).join(' + ')}
+                                                {subscription.tatMode === 'business' && ' (business hours)'}
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            <div>{subscription.lab?.name || 'All labs'}</div>
+                                            {subscription.doctor && <div>Dr. {subscription.doctor.userAccount?.fullName}</div>}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            {describeSchedule(subscription)}
+                                            <div className="text-gray-500">{subscription.timezone}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            {subscription.recipients.map(recipient => recipient.email).join(', ')}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            <div>
+                                                {formatDateTime(subscription.lastRunAt)}
+                                                {subscription.lastRunStatus && (
+                                                    <span className={`ml-1 px-1.5 py-0.5 rounded ${RUN_STATUS[subscription.lastRunStatus]}`}>
+                                                        {subscription.lastRunStatus}
+                                                    </span>
+                                                )}
+                                            </div>
+                                            <div className="text-gray-500">Next: {subscription.isActive ? formatDateTime(subscription.nextRunAt) : 'paused'}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm">
+                                            <button
+                                                onClick={() => handleToggle(subscription)}
+                                                className={`px-2 py-1 rounded-full text-xs font-medium ${subscription.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}
+                                            >
+                                                {subscription.isActive ? 'Active' : 'Paused'}
+                                            </button>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                            <button
+                                                onClick={() => handlePreview(subscription)}
+                                                disabled={busyId === subscription._id}
+                                                className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                                            >
+                                                Preview
+                                            </button>
+                                            <button
+                                                onClick={() => handleSendNow(subscription)}
+                                                disabled={busyId === subscription._id}
+                                                className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                                            >
+                                                Send Now
+                                            </button>
+                                            <button onClick={() => openEditor(subscription)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                                            <button onClick={() => handleDelete(subscription)} className="text-red-600 hover:text-red-800">Delete</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* History */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+                            <h2 className="text-lg font-semibold text-gray-900">Sent Reports ({runPagination.totalRecords})</h2>
+                            <select
+                                value={runFilter}
+                                onChange={(e) => {
+                                    setRunFilter(e.target.value);
+                                    setRunPage(1);
+                                }}
+                                className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+                            >
+                                <option value="">All subscriptions</option>
+                                {subscriptions.map(subscription => (
+                                    <option key={subscription._id} value={subscription._id}>{subscription.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sent</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subscription</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Studies</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipients</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {runs.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="6" className="px-4 py-8 text-center text-gray-500">No reports sent yet</td>
+                                    </tr>
+                                ) : runs.map((run) => (
+                                    <tr key={run._id}>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {formatDateTime(run.createdAt)}
+                                            <div className="text-xs text-gray-500">
+                                                {run.trigger === 'manual' ? `Manual${run.triggeredBy ? ` by ${run.triggeredBy.fullName}` : ''}` : 'Scheduled'}
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                            {run.subscriptionName}
+                                            {run.fileName && <div className="text-xs text-gray-500">{run.fileName}</div>}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            {format(new Date(run.periodStart), 'dd MMM yyyy')} - {format(new Date(new Date(run.periodEnd).getTime() - 1), 'dd MMM yyyy')}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">{run.studyCount}</td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            {run.recipients.map(recipient => (
+                                                <div key={recipient.email} className={recipient.status === 'failed' ? 'text-red-600' : ''} title={recipient.error || ''}>
+                                                    {recipient.email}{recipient.status === 'failed' && ' (failed)'}
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs">
+                                            <span className={`px-2 py-1 rounded-full font-medium ${RUN_STATUS[run.status]}`}>{run.status}</span>
+                                            {run.error && <div className="mt-1 text-red-600">{run.error}</div>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {runPagination.totalPages > 1 && (
+                            <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                                <span>Page {runPagination.currentPage} of {runPagination.totalPages}</span>
+                                <div className="space-x-2">
+                                    <button
+                                        onClick={() => setRunPage(page => page - 1)}
+                                        disabled={runPage <= 1}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Previous
+                                    </button>
+                                    <button
+                                        onClick={() => setRunPage(page => page + 1)}
+                                        disabled={runPage >= runPagination.totalPages}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Editor Modal */}
+            {editingSubscription && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">
+                                {editingSubscription._id ? 'Edit Subscription' : 'New Subscription'}
+                            </h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                <input name="name" value={formData.name} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                {isAdmin && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Lab</label>
+                                        <select name="lab" value={formData.lab} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                            <option value="">All labs</option>
+                                            {labs.map(lab => (
+                                                <option key={lab.value} value={lab.value}>{lab.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Doctor</label>
+                                    <select name="doctor" value={formData.doctor} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        <option value="">All doctors</option>
+                                        {doctors.map(doctor => (
+                                            <option key={doctor._id} value={doctor._id}>{doctor.fullName}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Contents</label>
+                                    <div className="flex space-x-4 pt-2">
+                                        <label className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input type="checkbox" checked={formData.reportTypes.includes('tat')} onChange={() => toggleReportType('tat')} />
+                                            <span>TAT</span>
+                                        </label>
+                                        <label className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input type="checkbox" checked={formData.reportTypes.includes('volume')} onChange={() => toggleReportType('volume')} />
+                                            <span>Volume</span>
+                                        </label>
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">TAT Basis</label>
+                                    <select name="tatMode" value={formData.tatMode} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        <option value="wallclock">Clock time</option>
+                                        <option value="business">Business hours</option>
+                                    </select>
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-3 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+                                    <select name="frequency" value={formData.frequency} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        <option value="daily">Daily</option>
+                                        <option value="weekly">Weekly</option>
+                                        <option value="monthly">Monthly</option>
+                                    </select>
+                                </div>
+                                {formData.frequency === 'weekly' && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">On</label>
+                                        <select name="weekday" value={formData.weekday} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                            {WEEKDAYS.map((weekday, index) => (
+                                                <option key={weekday} value={index}>{weekday}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                {formData.frequency === 'monthly' && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Day of Month</label>
+                                        <input type="number" min="1" max="28" name="dayOfMonth" value={formData.dayOfMonth} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                    </div>
+                                )}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Send At</label>
+                                    <input type="time" name="sendTime" value={formData.sendTime} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Timezone</label>
+                                <input name="timezone" value={formData.timezone} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Recipients</label>
+                                <textarea
+                                    name="recipients"
+                                    value={formData.recipients}
+                                    onChange={handleChange}
+                                    rows={2}
+                                    required
+                                    placeholder="owner@lab.com, manager@lab.com"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                />
+                            </div>
+
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+                                <span>Active</span>
+                            </label>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setEditingSubscription(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Save</button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ScheduledReports;
@@ -1,42 +1,66 @@
 // 🔧 FIXED: pages/ShareStudy.jsx - Fix API call
-import React, { useEffect, useState } from 'react';
+// 🆕 Handles PIN / one-time code protected links and per-link permissions
+import React, { useCallback, useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import api from '../services/api';
 
+// The access key lets the recipient re-open the page without counting another open
+const accessKeyStorageKey = (token) => `share-access-${token}`;
+
 const ShareStudy = () => {
   const { token } = useParams();
   const [loading, setLoading] = useState(true);
   const [studyInfo, setStudyInfo] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [verifyError, setVerifyError] = useState('');
+  const [downloading, setDownloading] = useState(null);
   const [error, setError] = useState(null);
 
+  const grantAccess = useCallback((data) => {
+    setStudyInfo(data);
+    setVerification(null);
+    sessionStorage.setItem(accessKeyStorageKey(token), data.accessKey);
+
+    console.log('📋 Study Info:', data);
+    console.log('🔗 Viewer URL:', data.viewerUrl);
+
+    // Images-only links go straight to the viewer, as before
+    const { permissions = {} } = data;
+    if (data.viewerUrl && !permissions.viewReport && !permissions.downloadZip) {
+      // Add a small delay before redirect for better UX
+      setTimeout(() => {
+        window.location.href = data.viewerUrl;
+      }, 2000);
+    }
+  }, [token]);
+
   useEffect(() => {
     const accessSharedStudy = async () => {
       try {
         setLoading(true);
-        
-        // 🔧 FIXED: Call the correct API endpoint
-        const response = await api.get(`/sharing/access/${token}`);
-        
+
+        const key = sessionStorage.getItem(accessKeyStorageKey(token));
+        const response = await api.get(`/sharing/access/${token}`, { params: key ? { key } : {} });
+
         if (response.data.success) {
-          setStudyInfo(response.data);
-          
-          console.log('📋 Study Info:', response.data);
-          console.log('🔗 Viewer URL:', response.data.viewerUrl);
-          
-          // Add a small delay before redirect for better UX
-          setTimeout(() => {
-            window.location.href = response.data.viewerUrl;
-          }, 2000);
-          
+          grantAccess(response.data);
         } else {
           setError(response.data.message);
         }
       } catch (error) {
         console.error('❌ Error accessing shared study:', error);
-        
+
         // Better error handling
-        if (error.response?.status === 404) {
+        const data = error.response?.data;
+        if (error.response?.status === 403 && data?.requiresVerification) {
+          setVerification(data);
+        } else if (error.response?.status === 404) {
           setError('Share link not found or has expired.');
+        } else if (error.response?.status === 410) {
+          setError(data.message);
         } else if (error.response?.status === 400) {
           setError('Invalid share link format.');
         } else {
@@ -53,7 +77,83 @@ const ShareStudy = () => {
       setError('No share token provided.');
       setLoading(false);
     }
-  }, [token]);
+  }, [token, grantAccess]);
+
+  const sendCode = async () => {
+    try {
+      setVerifying(true);
+      setVerifyError('');
+      const response = await api.post(`/sharing/access/${token}/otp`);
+      setCodeSent(response.data.message);
+    } catch (error) {
+      setVerifyError(error.response?.data?.message || 'Failed to send code');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const verifyCode = async (e) => {
+    e.preventDefault();
+    try {
+      setVerifying(true);
+      setVerifyError('');
+      const response = await api.post(`/sharing/access/${token}/verify`, { code });
+      if (response.data.success) {
+        grantAccess(response.data);
+      }
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 404 || status === 410) {
+        setError(error.response.data.message);
+      } else {
+        setVerifyError(error.response?.data?.message || 'Verification failed');
+      }
+      setCode('');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const downloadReport = async () => {
+    try {
+      setDownloading('report');
+      const response = await api.get(`/sharing/access/${token}/report`, {
+        params: { key: studyInfo.accessKey },
+        responseType: 'blob'
+      });
+
+      const disposition = response.headers['content-disposition'] || '';
+      const fileName = disposition.match(/filename="?([^"]+)"?/)?.[1] || 'report';
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error downloading shared report:', error);
+      setVerifyError(error.response?.status === 404 ? 'The report is not available yet.' : 'Failed to download report. Re-open the link and try again.');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const downloadZip = async () => {
+    try {
+      setDownloading('zip');
+      const response = await api.get(`/sharing/access/${token}/download`, {
+        params: { key: studyInfo.accessKey }
+      });
+      window.location.href = response.data.downloadUrl;
+    } catch (error) {
+      console.error('❌ Error downloading shared ZIP:', error);
+      setVerifyError(error.response?.data?.message || 'Failed to prepare download');
+    } finally {
+      setDownloading(null);
+    }
+  };
 
   if (loading) {
     return (
@@ -77,18 +177,19 @@ const ShareStudy = () => {
           <div className="text-red-500 text-6xl mb-4">⚠️</div>
           <h2 className="text-2xl font-bold text-gray-800 mb-4">Share Link Error</h2>
           <p className="text-gray-600 mb-6">{error}</p>
-          
+
           <div className="bg-gray-100 rounded-lg p-4 mb-6">
             <h3 className="font-semibold mb-2">Possible reasons:</h3>
             <ul className="text-left text-sm text-gray-600 space-y-1">
-              <li>• Link has expired (links expire after 7 days)</li>
+              <li>• Link has expired or has been revoked</li>
+              <li>• Link has reached its maximum number of opens</li>
               <li>• Invalid or malformed share token</li>
               <li>• Study has been removed or archived</li>
               <li>• Network connectivity issues</li>
             </ul>
           </div>
-          
-          <button 
+
+          <button
             onClick={() => window.location.reload()}
             className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors"
           >
@@ -99,13 +200,72 @@ const ShareStudy = () => {
     );
   }
 
+  if (verification) {
+    const isPin = verification.method === 'pin';
+    const canEnterCode = isPin || codeSent;
+
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="max-w-sm w-full mx-auto p-6 bg-white rounded-lg shadow border">
+          <div className="text-center mb-4">
+            <div className="text-5xl mb-3">🔒</div>
+            <h2 className="text-xl font-semibold text-gray-800">Protected Study Link</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {isPin
+                ? 'Enter the PIN you received from the sender.'
+                : `A one-time code will be sent by ${verification.otpChannel === 'sms' ? 'SMS' : 'email'} to ${verification.maskedRecipient}.`}
+            </p>
+          </div>
+
+          {!isPin && (
+            <button
+              onClick={sendCode}
+              disabled={verifying}
+              className="w-full mb-3 px-4 py-2 text-sm bg-blue-100 hover:bg-blue-200 text-blue-700 rounded transition-colors disabled:opacity-50"
+            >
+              {codeSent ? '🔁 Resend Code' : '✉️ Send Code'}
+            </button>
+          )}
+          {codeSent && <p className="text-xs text-green-700 mb-3 text-center">{codeSent}</p>}
+
+          {canEnterCode && (
+            <form onSubmit={verifyCode} className="space-y-3">
+              <input
+                type="password"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 8))}
+                placeholder={isPin ? 'PIN' : '6-digit code'}
+                className="w-full px-3 py-2 border border-gray-300 rounded text-center tracking-widest text-lg"
+                autoFocus
+              />
+              <button
+                type="submit"
+                disabled={verifying || code.length < 4}
+                className="w-full bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors disabled:opacity-50"
+              >
+                {verifying ? 'Verifying...' : 'Open Study'}
+              </button>
+            </form>
+          )}
+
+          {verifyError && <p className="text-sm text-red-600 mt-3 text-center">{verifyError}</p>}
+        </div>
+      </div>
+    );
+  }
+
+  const permissions = studyInfo?.permissions || {};
+  const autoRedirect = studyInfo?.viewerUrl && !permissions.viewReport && !permissions.downloadZip;
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50">
       <div className="text-center">
         <div className="text-green-500 text-6xl mb-4">✅</div>
         <h2 className="text-xl font-semibold text-gray-800 mb-2">Study Access Granted</h2>
-        <p className="text-gray-600 mb-4">Redirecting to DICOM viewer...</p>
-        
+        {autoRedirect && <p className="text-gray-600 mb-4">Redirecting to DICOM viewer...</p>}
+
         {studyInfo && (
           <div className="mt-4 p-4 bg-white rounded-lg shadow border text-left max-w-sm mx-auto">
             <h3 className="font-semibold mb-2">📋 Study Information:</h3>
@@ -114,20 +274,56 @@ const ShareStudy = () => {
               <p><strong>Modality:</strong> {studyInfo.studyInfo.modality}</p>
               <p><strong>Date:</strong> {new Date(studyInfo.studyInfo.studyDate).toLocaleDateString()}</p>
               <p><strong>Viewer:</strong> {studyInfo.viewerType}</p>
-              <p><strong>Access Count:</strong> {studyInfo.accessCount}</p>
+              <p>
+                <strong>Access Count:</strong> {studyInfo.accessCount}
+                {studyInfo.maxAccessCount ? ` of ${studyInfo.maxAccessCount}` : ''}
+              </p>
+              <p><strong>Link Expires:</strong> {new Date(studyInfo.expiresAt).toLocaleString()}</p>
             </div>
           </div>
         )}
-        
-        <div className="mt-4">
-          <div className="animate-pulse flex justify-center">
-            <div className="h-2 bg-blue-200 rounded-full w-32"></div>
+
+        {autoRedirect ? (
+          <div className="mt-4">
+            <div className="animate-pulse flex justify-center">
+              <div className="h-2 bg-blue-200 rounded-full w-32"></div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Preparing viewer...</p>
           </div>
-          <p className="text-xs text-gray-500 mt-2">Preparing viewer...</p>
-        </div>
+        ) : (
+          <div className="mt-4 max-w-sm mx-auto space-y-2">
+            {studyInfo?.viewerUrl && (
+              <a
+                href={studyInfo.viewerUrl}
+                className="block w-full bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors"
+              >
+                🖼️ Open Viewer
+              </a>
+            )}
+            {permissions.viewReport && (
+              <button
+                onClick={downloadReport}
+                disabled={!studyInfo.reportAvailable || downloading === 'report'}
+                className="w-full bg-green-100 text-green-700 px-4 py-2 rounded hover:bg-green-200 transition-colors disabled:opacity-50"
+              >
+                {downloading === 'report' ? 'Downloading...' : studyInfo.reportAvailable ? '📄 Download Report' : '📄 Report not available yet'}
+              </button>
+            )}
+            {permissions.downloadZip && (
+              <button
+                onClick={downloadZip}
+                disabled={!studyInfo.zipAvailable || downloading === 'zip'}
+                className="w-full bg-purple-100 text-purple-700 px-4 py-2 rounded hover:bg-purple-200 transition-colors disabled:opacity-50"
+              >
+                {downloading === 'zip' ? 'Preparing...' : studyInfo.zipAvailable ? '📦 Download Images (ZIP)' : '📦 Image download not ready yet'}
+              </button>
+            )}
+            {verifyError && <p className="text-sm text-red-600">{verifyError}</p>}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default ShareStudy;
\ No newline at end of file
+export default ShareStudy;
@@ -0,0 +1,393 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import api from '../services/api';
+import UniversalNavbar from '../components/layout/AdminNavbar';
+
+const PERIODS = [
+    { value: '7d', label: '7 days' },
+    { value: '30d', label: '30 days' },
+    { value: '90d', label: '90 days' },
+    { value: 'custom', label: 'Custom' }
+];
+
+const MODALITIES = ['CT', 'MRI', 'XR', 'US', 'DX', 'CR', 'MG', 'NM', 'PT'];
+const PRIORITIES = [
+    { value: 'SELECT', label: 'Routine' },
+    { value: 'Emergency Case', label: 'Emergency Case' },
+    { value: 'Meet referral doctor', label: 'Meet referral doctor' },
+    { value: 'MLC Case', label: 'MLC Case' },
+    { value: 'Study Exception', label: 'Study Exception' }
+];
+
+const BREAKDOWNS = [
+    { key: 'modality', label: 'Modality' },
+    { key: 'doctor', label: 'Doctor' },
+    { key: 'lab', label: 'Lab' },
+    { key: 'priority', label: 'Priority' }
+];
+
+const PHASE_COLORS = {
+    uploadToAssignment: 'bg-amber-400',
+    assignmentToReport: 'bg-blue-500'
+};
+
+const formatMinutes = (minutes) => {
+    if (minutes === null || minutes === undefined) return '-';
+    if (minutes < 60) return `${Math.round(minutes)}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${Math.round(minutes % 60)}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// For TAT figures a rise is bad; for volume and completion it is good
+const Change = ({ value, lowerIsBetter = false, suffix = '%' }) => {
+    if (value === null || value === undefined) return <span className="text-xs text-gray-400">no comparison</span>;
+    if (value === 0) return <span className="text-xs text-gray-500">no change</span>;
+    const improved = lowerIsBetter ? value < 0 : value > 0;
+    return (
+        <span className={`text-xs font-medium ${improved ? 'text-green-600' : 'text-red-600'}`}>
+            {value > 0 ? '▲' : '▼'} {Math.abs(value)}{suffix}
+        </span>
+    );
+};
+
+const StatCard = ({ title, value, previous, change, lowerIsBetter, suffix }) => (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+        <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">{title}</div>
+        <div className="mt-1 text-2xl font-bold text-gray-900">{value}</div>
+        <div className="mt-1 flex items-center justify-between">
+            <Change value={change} lowerIsBetter={lowerIsBetter} suffix={suffix} />
+            <span className="text-xs text-gray-400">prev {previous}</span>
+        </div>
+    </div>
+);
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 30;
+
+// Minimal SVG chart: volume bars with median and P90 TAT lines on a second scale
+const TrendChart = ({ trend }) => {
+    if (!trend.length) return null;
+
+    const maxVolume = Math.max(1, ...trend.map(day => day.volume));
+    const maxTAT = Math.max(1, ...trend.map(day => day.p90TAT || 0));
+    const step = (CHART_WIDTH - CHART_PADDING * 2) / trend.length;
+    const x = (index) => CHART_PADDING + step * index + step / 2;
+    const yVolume = (volume) => CHART_HEIGHT - CHART_PADDING - (volume / maxVolume) * (CHART_HEIGHT - CHART_PADDING * 2);
+    const yTAT = (minutes) => CHART_HEIGHT - CHART_PADDING - (minutes / maxTAT) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+    const linePoints = (field) => trend
+        .map((day, index) => (day[field] === null ? null : `${x(index)},${yTAT(day[field])}`))
+        .filter(Boolean)
+        .join(' ');
+
+    const labelEvery = Math.ceil(trend.length / 10);
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-48">
+            {trend.map((day, index) => (
+                <rect
+                    key={day.date}
+                    x={x(index) - step * 0.35}
+                    y={yVolume(day.volume)}
+                    width={step * 0.7}
+                    height={CHART_HEIGHT - CHART_PADDING - yVolume(day.volume)}
+                    className="fill-gray-200"
+                >
+                    <title>{`${day.date}: ${day.volume} studies, median ${formatMinutes(day.medianTAT)}, P90 ${formatMinutes(day.p90TAT)}`}</title>
+                </rect>
+            ))}
+            <polyline points={linePoints('medianTAT')} fill="none" className="stroke-blue-600" strokeWidth="2" />
+            <polyline points={linePoints('p90TAT')} fill="none" className="stroke-red-500" strokeWidth="2" strokeDasharray="4 3" />
+            <line x1={CHART_PADDING} y1={CHART_HEIGHT - CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y2={CHART_HEIGHT - CHART_PADDING} className="stroke-gray-300" />
+            <text x={4} y={CHART_PADDING - 8} className="fill-gray-500 text-[10px]">{maxVolume} studies</text>
+            <text x={CHART_WIDTH - 4} y={CHART_PADDING - 8} textAnchor="end" className="fill-gray-500 text-[10px]">{formatMinutes(maxTAT)}</text>
+            {trend.map((day, index) => (index % labelEvery === 0 ? (
+                <text key={day.date} x={x(index)} y={CHART_HEIGHT - 10} textAnchor="middle" className="fill-gray-500 text-[10px]">
+                    {day.date.slice(5)}
+                </text>
+            ) : null))}
+        </svg>
+    );
+};
+
+const TATAnalytics = () => {
+    const [locations, setLocations] = useState([]);
+    const [filters, setFilters] = useState({
+        location: '',
+        period: '30d',
+        fromDate: '',
+        toDate: '',
+        modality: '',
+        priority: '',
+        tatMode: 'wallclock'
+    });
+    const [analytics, setAnalytics] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [breakdown, setBreakdown] = useState('modality');
+
+    useEffect(() => {
+        const fetchLocations = async () => {
+            try {
+                const response = await api.get('/tat/locations');
+                if (response.data.success) {
+                    setLocations(response.data.locations);
+                }
+            } catch (error) {
+                console.error('❌ Error fetching locations:', error);
+                toast.error('Failed to load locations');
+            }
+        };
+        fetchLocations();
+    }, []);
+
+    const fetchAnalytics = useCallback(async () => {
+        if (filters.period === 'custom' && (!filters.fromDate || !filters.toDate)) return;
+
+        try {
+            setLoading(true);
+            const params = {
+                location: filters.location || undefined,
+                modality: filters.modality || undefined,
+                priority: filters.priority || undefined,
+                tatMode: filters.tatMode
+            };
+            if (filters.period === 'custom') {
+                params.fromDate = filters.fromDate;
+                params.toDate = filters.toDate;
+            } else {
+                params.period = filters.period;
+            }
+
+            const response = await api.get('/tat/analytics', { params });
+            if (response.data.success) {
+                setAnalytics(response.data.data);
+            }
+        } catch (error) {
+            console.error('❌ Error fetching TAT analytics:', error);
+            toast.error(error.response?.data?.message || 'Failed to load TAT analytics');
+        } finally {
+            setLoading(false);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        fetchAnalytics();
+    }, [fetchAnalytics]);
+
+    const handleFilterChange = (e) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const summary = analytics?.summary;
+    const previous = analytics?.previous;
+    const comparison = analytics?.comparison;
+    const phases = analytics?.bottlenecks.phases || [];
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto space-y-6">
+                    {/* Header & Filters */}
+                    <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between gap-4">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">TAT Analytics</h1>
+                            <p className="text-gray-600">
+                                Volume and turnaround trends by upload day{analytics ? ` (${analytics.timezone})` : ''}, compared with the previous period of the same length.
+                            </p>
+                        </div>
+                        <div className="flex flex-wrap items-end gap-2 text-sm">
+                            <select name="location" value={filters.location} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg">
+                                <option value="">All labs</option>
+                                {locations.map(location => (
+                                    <option key={location.value} value={location.value}>{location.label}</option>
+                                ))}
+                            </select>
+                            <select name="modality" value={filters.modality} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg">
+                                <option value="">All modalities</option>
+                                {MODALITIES.map(modality => (
+                                    <option key={modality} value={modality}>{modality}</option>
+                                ))}
+                            </select>
+                            <select name="priority" value={filters.priority} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg">
+                                <option value="">All priorities</option>
+                                {PRIORITIES.map(priority => (
+                                    <option key={priority.value} value={priority.value}>{priority.label}</option>
+                                ))}
+                            </select>
+                            <select name="tatMode" value={filters.tatMode} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg">
+                                <option value="wallclock">Clock TAT</option>
+                                <option value="business">Business TAT</option>
+                            </select>
+                            <select name="period" value={filters.period} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg">
+                                {PERIODS.map(period => (
+                                    <option key={period.value} value={period.value}>{period.label}</option>
+                                ))}
+                            </select>
+                            {filters.period === 'custom' && (
+                                <>
+                                    <input type="date" name="fromDate" value={filters.fromDate} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg" />
+                                    <input type="date" name="toDate" value={filters.toDate} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg" />
+                                </>
+                            )}
+                        </div>
+                    </div>
+
+                    {loading && !analytics && (
+                        <div className="bg-white rounded-lg border border-gray-200 p-8 text-center text-gray-500">Loading analytics...</div>
+                    )}
+
+                    {analytics && (
+                        <>
+                            {/* Headline figures */}
+                            <div className={`grid grid-cols-2 lg:grid-cols-5 gap-4 ${loading ? 'opacity-60' : ''}`}>
+                                <StatCard title="Studies" value={summary.volume} previous={previous.volume} change={comparison.volume} />
+                                <StatCard
+                                    title="Completion"
+                                    value={`${summary.completionRate}%`}
+                                    previous={`${previous.completionRate}%`}
+                                    change={comparison.completionRate}
+                                    suffix=" pts"
+                                />
+                                <StatCard title="Median TAT" value={formatMinutes(summary.medianTAT)} previous={formatMinutes(previous.medianTAT)} change={comparison.medianTAT} lowerIsBetter />
+                                <StatCard title="P90 TAT" value={formatMinutes(summary.p90TAT)} previous={formatMinutes(previous.p90TAT)} change={comparison.p90TAT} lowerIsBetter />
+                                <StatCard title="Average TAT" value={formatMinutes(summary.avgTAT)} previous={formatMinutes(previous.avgTAT)} change={comparison.avgTAT} lowerIsBetter />
+                            </div>
+
+                            {/* Trend */}
+                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                                <div className="flex items-center justify-between mb-2">
+                                    <h2 className="text-lg font-semibold text-gray-900">Daily Trend</h2>
+                                    <div className="flex items-center space-x-4 text-xs text-gray-600">
+                                        <span className="flex items-center"><span className="w-3 h-3 bg-gray-200 mr-1"></span>Volume</span>
+                                        <span className="flex items-center"><span className="w-4 h-0.5 bg-blue-600 mr-1"></span>Median TAT</span>
+                                        <span className="flex items-center"><span className="w-4 h-0.5 bg-red-500 mr-1"></span>P90 TAT</span>
+                                    </div>
+                                </div>
+                                <TrendChart trend={analytics.trend} />
+                            </div>
+
+                            {/* Bottlenecks */}
+                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                                <h2 className="text-lg font-semibold text-gray-900 mb-1">Where Time Is Spent</h2>
+                                <p className="text-sm text-gray-600 mb-3">
+                                    Share of the average turnaround spent in each phase.
+                                    {analytics.bottlenecks.primaryPhase && ` The biggest contributor is ${phases.find(phase => phase.key === analytics.bottlenecks.primaryPhase)?.label}.`}
+                                </p>
+                                <div className="flex h-4 rounded overflow-hidden mb-4 bg-gray-100">
+                                    {phases.map(phase => (
+                                        <div
+                                            key={phase.key}
+                                            className={PHASE_COLORS[phase.key]}
+                                            style={{ width: `${phase.share || 0}%` }}
+                                            title={`${phase.label}: ${phase.share ?? 0}%`}
+                                        />
+                                    ))}
+                                </div>
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                    {phases.map(phase => (
+                                        <div key={phase.key} className="border border-gray-200 rounded-lg p-3">
+                                            <div className="flex items-center justify-between">
+                                                <div className="flex items-center font-medium text-gray-900">
+                                                    <span className={`w-3 h-3 rounded-sm mr-2 ${PHASE_COLORS[phase.key]}`}></span>
+                                                    {phase.label}
+                                                </div>
+                                                <span className="text-sm text-gray-500">{phase.share ?? 0}% of TAT</span>
+                                            </div>
+                                            <div className="mt-2 grid grid-cols-3 gap-2 text-sm">
+                                                <div><div className="text-xs text-gray-500">Median</div>{formatMinutes(phase.median)}</div>
+                                                <div><div className="text-xs text-gray-500">P90</div>{formatMinutes(phase.p90)}</div>
+                                                <div>
+                                                    <div className="text-xs text-gray-500">vs previous</div>
+                                                    <Change value={phase.medianChange} lowerIsBetter />
+                                                </div>
+                                            </div>
+                                            {phase.slowest.length > 0 && (
+                                                <div className="mt-3">
+                                                    <div className="text-xs font-medium text-gray-500 mb-1">Slowest (median above overall)</div>
+                                                    <ul className="text-sm space-y-0.5">
+                                                        {phase.slowest.map(group => (
+                                                            <li key={`${group.dimension}-${group.key}`} className="flex justify-between">
+                                                                <span className="text-gray-700">
+                                                                    <span className="text-xs text-gray-400 mr-1">{BREAKDOWNS.find(item => item.key === group.dimension)?.label}</span>
+                                                                    {group.label}
+                                                                </span>
+                                                                <span className="text-gray-900">{formatMinutes(group.median)} <span className="text-xs text-gray-400">({group.count})</span></span>
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                </div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+
+                            {/* Breakdowns */}
+                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                                <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+                                    <h2 className="text-lg font-semibold text-gray-900">Breakdown</h2>
+                                    <div className="flex space-x-1">
+                                        {BREAKDOWNS.map(item => (
+                                            <button
+                                                key={item.key}
+                                                onClick={() => setBreakdown(item.key)}
+                                                className={`px-3 py-1 rounded text-sm ${breakdown === item.key ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                            >
+                                                {item.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{BREAKDOWNS.find(item => item.key === breakdown)?.label}</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Studies</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Completed</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Median TAT</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">P90 TAT</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Upload → Assign</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Assign → Report</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {analytics.breakdowns[breakdown].length === 0 ? (
+                                                <tr>
+                                                    <td colSpan="7" className="px-4 py-8 text-center text-gray-500">No studies in this period</td>
+                                                </tr>
+                                            ) : analytics.breakdowns[breakdown].map(group => (
+                                                <tr key={group.key}>
+                                                    <td className="px-4 py-2 text-gray-900">{group.label}</td>
+                                                    <td className="px-4 py-2 text-right">
+                                                        {group.volume}
+                                                        <div><Change value={group.volumeChange} /></div>
+                                                    </td>
+                                                    <td className="px-4 py-2 text-right">{group.completionRate}%</td>
+                                                    <td className="px-4 py-2 text-right">
+                                                        {formatMinutes(group.medianTAT)}
+                                                        <div><Change value={group.medianTATChange} lowerIsBetter /></div>
+                                                    </td>
+                                                    <td className="px-4 py-2 text-right">{formatMinutes(group.p90TAT)}</td>
+                                                    <td className="px-4 py-2 text-right">{formatMinutes(group.phases.uploadToAssignment.median)}</td>
+                                                    <td className="px-4 py-2 text-right">{formatMinutes(group.phases.assignmentToReport.median)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TATAnalytics;
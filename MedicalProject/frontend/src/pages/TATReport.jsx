@@ -24,6 +24,7 @@ const TATReport = () => {
   const [dateType, setDateType] = useState('uploadDate');
   const [fromDate, setFromDate] = useState('');
   const [toDate, setToDate] = useState('');
+  const [tatMode, setTatMode] = useState('wallclock'); // 'business' = lab working hours only
 
   // Dropdown state
   const [locationSearchTerm, setLocationSearchTerm] = useState('');
@@ -327,7 +328,8 @@ const TATReport = () => {
       const params = {
         dateType,
         fromDate,
-        toDate
+        toDate,
+        tatMode
       };
 
       if (selectedLocation) {
@@ -368,7 +370,7 @@ const TATReport = () => {
     } finally {
       setLoading(false);
     }
-  }, [selectedLocation, dateType, fromDate, toDate, selectedModalities]);
+  }, [selectedLocation, dateType, fromDate, toDate, tatMode, selectedModalities]);
 
   // Export function
   const exportToExcel = useCallback(async () => {
@@ -380,7 +382,8 @@ const TATReport = () => {
         const exportParams = new URLSearchParams({
             dateType,
             fromDate,
-            toDate
+            toDate,
+            tatMode
         });
 
         if (selectedLocation) {
@@ -448,7 +451,7 @@ const TATReport = () => {
     } finally {
         setLoading(false);
     }
-  }, [selectedLocation, selectedDoctor, dateType, fromDate, toDate, selectedModalities, locations, doctors, filteredStudies.length, loading]);
+  }, [selectedLocation, selectedDoctor, dateType, fromDate, toDate, tatMode, selectedModalities, locations, doctors, filteredStudies.length, loading]);
 
   // ✅ FIX: Add debug logging and fix getFilterSummary
   const getFilterSummary = useCallback(() => {
@@ -581,6 +584,19 @@ const TATReport = () => {
             />
           </div>
 
+          {/* 🆕 TAT basis: wall-clock or the lab's working hours */}
+          <div className="col-span-1">
+            <select
+              value={tatMode}
+              onChange={(e) => setTatMode(e.target.value)}
+              title="Business hours counts only the lab's working hours and skips holidays"
+              className="w-full px-1 py-1 border border-gray-300 rounded text-xs focus:ring-1 focus:ring-blue-500"
+            >
+              <option value="wallclock">Clock TAT</option>
+              <option value="business">Business TAT</option>
+            </select>
+          </div>
+
           {/* ✅ SEARCHABLE: Location Dropdown */}
           <div className="col-span-2 relative" ref={locationDropdownRef}>
             <div className="relative">
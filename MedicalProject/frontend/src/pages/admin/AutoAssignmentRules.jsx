@@ -0,0 +1,523 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const STRATEGIES = [
+    { value: 'least_loaded', label: 'Least loaded (fewest open studies)' },
+    { value: 'round_robin', label: 'Round robin' },
+    { value: 'first_available', label: 'First available in list order' }
+];
+
+const STUDY_PRIORITIES = ['Emergency Case', 'MLC Case', 'Meet referral doctor', 'Study Exception', 'stat', 'urgent', 'routine'];
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_RULE = {
+    name: '',
+    priority: 100,
+    isActive: true,
+    labs: [],
+    modalities: '',
+    studyPriorities: [],
+    bodyParts: '',
+    timeStart: '',
+    timeEnd: '',
+    daysOfWeek: [],
+    doctors: [],
+    requiredSpecialization: '',
+    strategy: 'least_loaded',
+    notes: ''
+};
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const toggleValue = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+const describeConditions = (rule) => {
+    const parts = [];
+    if (rule.labs?.length) parts.push(`Labs: ${rule.labs.map(lab => lab.name).join(', ')}`);
+    if (rule.modalities?.length) parts.push(`Modality: ${rule.modalities.join(', ')}`);
+    if (rule.studyPriorities?.length) parts.push(`Priority: ${rule.studyPriorities.join(', ')}`);
+    if (rule.bodyParts?.length) parts.push(`Body part: ${rule.bodyParts.join(', ')}`);
+    if (rule.timeWindow?.start) parts.push(`${rule.timeWindow.start}-${rule.timeWindow.end}`);
+    if (rule.daysOfWeek?.length) parts.push(rule.daysOfWeek.map(day => DAYS[day]).join(' '));
+    return parts.length ? parts : ['Any study'];
+};
+
+const AutoAssignmentRules = () => {
+    const [rules, setRules] = useState([]);
+    const [labs, setLabs] = useState([]);
+    const [doctors, setDoctors] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editingRule, setEditingRule] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_RULE);
+    const [testStudyId, setTestStudyId] = useState('');
+    const [testTime, setTestTime] = useState('');
+    const [testResult, setTestResult] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/auto-assignment/rules');
+            if (response.data.success) {
+                setRules(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching assignment rules:', error);
+            toast.error('Failed to fetch assignment rules');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const fetchDoctors = useCallback(async () => {
+        try {
+            const response = await api.get('/auto-assignment/doctors');
+            if (response.data.success) {
+                setDoctors(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching doctors:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+        fetchDoctors();
+    }, [fetchRules, fetchDoctors]);
+
+    useEffect(() => {
+        const fetchLabs = async () => {
+            try {
+                const response = await api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } });
+                if (response.data.success) {
+                    setLabs(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching labs:', error);
+            }
+        };
+        fetchLabs();
+    }, []);
+
+    const openEditor = (rule = null) => {
+        setEditingRule(rule || {});
+        setFormData(rule ? {
+            name: rule.name,
+            priority: rule.priority,
+            isActive: rule.isActive,
+            labs: (rule.labs || []).map(lab => lab._id),
+            modalities: (rule.modalities || []).join(', '),
+            studyPriorities: rule.studyPriorities || [],
+            bodyParts: (rule.bodyParts || []).join(', '),
+            timeStart: rule.timeWindow?.start || '',
+            timeEnd: rule.timeWindow?.end || '',
+            daysOfWeek: rule.daysOfWeek || [],
+            doctors: (rule.doctors || []).map(doctor => doctor._id),
+            requiredSpecialization: rule.requiredSpecialization || '',
+            strategy: rule.strategy,
+            notes: rule.notes || ''
+        } : EMPTY_RULE);
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value
+        }));
+    };
+
+    const toggleListField = (field, value) => {
+        setFormData(prev => ({ ...prev, [field]: toggleValue(prev[field], value) }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const { timeStart, timeEnd, ...rest } = formData;
+        const payload = {
+            ...rest,
+            modalities: splitList(formData.modalities),
+            bodyParts: splitList(formData.bodyParts),
+            timeWindow: { start: timeStart || undefined, end: timeEnd || undefined }
+        };
+
+        try {
+            const response = editingRule?._id
+                ? await api.put(`/auto-assignment/rules/${editingRule._id}`, payload)
+                : await api.post('/auto-assignment/rules', payload);
+
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setEditingRule(null);
+                fetchRules();
+            }
+        } catch (error) {
+            console.error('Error saving assignment rule:', error);
+            toast.error(error.response?.data?.message || 'Failed to save assignment rule');
+        }
+    };
+
+    const handleToggle = async (rule) => {
+        try {
+            await api.put(`/auto-assignment/rules/${rule._id}`, { isActive: !rule.isActive });
+            fetchRules();
+        } catch (error) {
+            console.error('Error toggling assignment rule:', error);
+            toast.error(error.response?.data?.message || 'Failed to update assignment rule');
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete assignment rule "${rule.name}"?`)) return;
+        try {
+            await api.delete(`/auto-assignment/rules/${rule._id}`);
+            toast.success('Assignment rule deleted');
+            fetchRules();
+        } catch (error) {
+            console.error('Error deleting assignment rule:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete assignment rule');
+        }
+    };
+
+    const handleAvailability = async (doctor) => {
+        try {
+            const response = await api.put(`/auto-assignment/doctors/${doctor._id}/availability`, { isAvailable: !doctor.isAvailable });
+            toast.success(response.data.message);
+            fetchDoctors();
+        } catch (error) {
+            console.error('Error updating doctor availability:', error);
+            toast.error(error.response?.data?.message || 'Failed to update availability');
+        }
+    };
+
+    const handleTest = async () => {
+        if (!testStudyId.trim()) {
+            toast.error('Enter a study ID to test');
+            return;
+        }
+        try {
+            const response = await api.post('/auto-assignment/test', {
+                studyId: testStudyId.trim(),
+                at: testTime ? new Date(testTime).toISOString() : undefined
+            });
+            if (response.data.success) {
+                setTestResult(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error testing assignment rules:', error);
+            toast.error(error.response?.data?.message || 'Failed to test assignment rules');
+        }
+    };
+
+    const handleRun = async () => {
+        if (!window.confirm('Apply the rules to studies still waiting for assignment?')) return;
+        try {
+            setRunning(true);
+            const response = await api.post('/auto-assignment/run');
+            if (response.data.success) {
+                toast.success(response.data.message);
+                fetchRules();
+                fetchDoctors();
+            }
+        } catch (error) {
+            console.error('Error running auto-assignment:', error);
+            toast.error(error.response?.data?.message || 'Failed to run auto-assignment');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Auto-Assignment Rules</h1>
+                            <p className="text-gray-600">
+                                Incoming studies are assigned by the first matching rule (lowest priority first) that has an available doctor.
+                            </p>
+                        </div>
+                        <div className="mt-4 sm:mt-0 flex space-x-2">
+                            <button
+                                onClick={handleRun}
+                                disabled={running}
+                                className="px-4 py-2 border border-gray-300 bg-white text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                {running ? 'Assigning...' : 'Run on Waiting Studies'}
+                            </button>
+                            <button
+                                onClick={() => openEditor()}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                                Add Rule
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Rules Table */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assign To</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hits</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loading ? (
+                                    <tr>
+                                        <td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading assignment rules...</td>
+                                    </tr>
+                                ) : rules.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="7" className="px-4 py-8 text-center text-gray-500">
+                                            No assignment rules yet - studies wait for manual assignment
+                                        </td>
+                                    </tr>
+                                ) : rules.map((rule) => (
+                                    <tr key={rule._id} className={rule.isActive ? '' : 'opacity-60'}>
+                                        <td className="px-4 py-3 text-sm text-gray-900">{rule.priority}</td>
+                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                            <div className="font-medium">{rule.name}</div>
+                                            {rule.notes && <div className="text-xs text-gray-500">{rule.notes}</div>}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            {describeConditions(rule).map(part => <div key={part}>{part}</div>)}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            <div>
+                                                {rule.doctors?.length
+                                                    ? rule.doctors.map(doctor => doctor.userAccount?.fullName).join(', ')
+                                                    : 'Any doctor'}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {rule.requiredSpecialization && `Specialization: ${rule.requiredSpecialization} | `}
+                                                {STRATEGIES.find(strategy => strategy.value === rule.strategy)?.label}
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {rule.hitCount}
+                                            {rule.lastMatchedAt && (
+                                                <div className="text-xs text-gray-500">{new Date(rule.lastMatchedAt).toLocaleString()}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm">
+                                            <button
+                                                onClick={() => handleToggle(rule)}
+                                                className={`px-2 py-1 rounded-full text-xs font-medium ${rule.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}
+                                            >
+                                                {rule.isActive ? 'Active' : 'Inactive'}
+                                            </button>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                            <button onClick={() => openEditor(rule)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                                            <button onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-800">Delete</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {/* Doctor Availability */}
+                        <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900 mb-2">Doctor Availability</h2>
+                            <p className="text-sm text-gray-600 mb-4">Paused doctors are skipped by every rule.</p>
+                            <div className="divide-y divide-gray-100 max-h-80 overflow-y-auto">
+                                {doctors.map((doctor) => (
+                                    <div key={doctor._id} className="py-2 flex items-center justify-between text-sm">
+                                        <div>
+                                            <div className="font-medium text-gray-900">{doctor.fullName}</div>
+                                            <div className="text-xs text-gray-500">{doctor.specialization} | {doctor.openStudies} open</div>
+                                        </div>
+                                        <button
+                                            onClick={() => handleAvailability(doctor)}
+                                            className={`px-2 py-1 rounded-full text-xs font-medium ${doctor.isAvailable ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}
+                                        >
+                                            {doctor.isAvailable ? 'Available' : 'Paused'}
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Rule Tester */}
+                        <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900 mb-2">Test Rules</h2>
+                            <p className="text-sm text-gray-600 mb-4">See which doctor a study would go to, optionally at another time.</p>
+                            <div className="space-y-2">
+                                <input
+                                    type="text"
+                                    placeholder="Study ID"
+                                    value={testStudyId}
+                                    onChange={(e) => setTestStudyId(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+                                />
+                                <input
+                                    type="datetime-local"
+                                    value={testTime}
+                                    onChange={(e) => setTestTime(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                                <button onClick={handleTest} className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900">
+                                    Run Test
+                                </button>
+                            </div>
+                            {testResult && (
+                                <div className="mt-4 text-sm">
+                                    {testResult.doctor ? (
+                                        <div className="p-4 rounded-lg bg-green-50 border border-green-200 text-green-800 space-y-1">
+                                            <div>Doctor: <strong>{testResult.doctor.fullName}</strong> ({testResult.doctor.specialization})</div>
+                                            <div>Rule: {testResult.rule.name} (priority {testResult.rule.priority})</div>
+                                            {testResult.doctor.openStudies !== null && <div>Open studies: {testResult.doctor.openStudies}</div>}
+                                        </div>
+                                    ) : (
+                                        <div className="p-4 rounded-lg bg-amber-50 border border-amber-200 text-amber-800">
+                                            No rule assigned this study - it would wait for manual assignment.
+                                        </div>
+                                    )}
+                                    {testResult.skippedRules.length > 0 && (
+                                        <p className="mt-2 text-xs text-gray-600">
+                                            Matched but no doctor available: {testResult.skippedRules.map(rule => rule.name).join(', ')}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* Editor Modal */}
+            {editingRule && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{editingRule._id ? 'Edit Assignment Rule' : 'New Assignment Rule'}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div className="grid grid-cols-3 gap-4">
+                                <div className="col-span-2">
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                    <input name="name" value={formData.name} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                                    <input type="number" name="priority" value={formData.priority} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+
+                            <h3 className="text-sm font-semibold text-gray-900">When (leave empty to match any study)</h3>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Labs</label>
+                                <div className="flex flex-wrap gap-2 max-h-28 overflow-y-auto">
+                                    {labs.map((lab) => (
+                                        <label key={lab._id} className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input type="checkbox" checked={formData.labs.includes(lab._id)} onChange={() => toggleListField('labs', lab._id)} />
+                                            <span>{lab.name}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Modalities</label>
+                                    <input name="modalities" value={formData.modalities} onChange={handleChange} placeholder="CT, MR" className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Body Parts</label>
+                                    <input name="bodyParts" value={formData.bodyParts} onChange={handleChange} placeholder="HEAD, BRAIN" className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Study Priority</label>
+                                <div className="flex flex-wrap gap-3">
+                                    {STUDY_PRIORITIES.map((priority) => (
+                                        <label key={priority} className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input type="checkbox" checked={formData.studyPriorities.includes(priority)} onChange={() => toggleListField('studyPriorities', priority)} />
+                                            <span>{priority}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Time of Day</label>
+                                    <div className="flex items-center space-x-2">
+                                        <input type="time" name="timeStart" value={formData.timeStart} onChange={handleChange} className="px-3 py-2 border border-gray-300 rounded-lg" />
+                                        <span className="text-gray-500">to</span>
+                                        <input type="time" name="timeEnd" value={formData.timeEnd} onChange={handleChange} className="px-3 py-2 border border-gray-300 rounded-lg" />
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Days</label>
+                                    <div className="flex flex-wrap gap-2">
+                                        {DAYS.map((day, index) => (
+                                            <label key={day} className="flex items-center space-x-1 text-sm text-gray-700">
+                                                <input type="checkbox" checked={formData.daysOfWeek.includes(index)} onChange={() => toggleListField('daysOfWeek', index)} />
+                                                <span>{day}</span>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                            </div>
+
+                            <h3 className="text-sm font-semibold text-gray-900">Assign To</h3>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Doctors (none selected = any doctor with the specialization)</label>
+                                <div className="flex flex-wrap gap-2 max-h-28 overflow-y-auto">
+                                    {doctors.map((doctor) => (
+                                        <label key={doctor._id} className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input type="checkbox" checked={formData.doctors.includes(doctor._id)} onChange={() => toggleListField('doctors', doctor._id)} />
+                                            <span>{doctor.fullName}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Required Specialization</label>
+                                    <input name="requiredSpecialization" value={formData.requiredSpecialization} onChange={handleChange} placeholder="e.g. Neuro" className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Strategy</label>
+                                    <select name="strategy" value={formData.strategy} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        {STRATEGIES.map(({ value, label }) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <input name="notes" value={formData.notes} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+                                <span>Active</span>
+                            </label>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setEditingRule(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Save</button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AutoAssignmentRules;
@@ -0,0 +1,814 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format, subMonths } from 'date-fns';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const MODALITIES = ['CT', 'MRI', 'XR', 'US', 'DX', 'CR', 'MG', 'NM', 'PT'];
+const STUDY_PRIORITIES = ['Emergency Case', 'MLC Case', 'Meet referral doctor', 'Study Exception'];
+
+const TABS = [
+    { key: 'invoices', label: 'Invoices' },
+    { key: 'tariffs', label: 'Tariffs' },
+    { key: 'payouts', label: 'Doctor Payouts' }
+];
+
+const STATUS_STYLES = {
+    draft: 'bg-gray-100 text-gray-700',
+    sent: 'bg-blue-100 text-blue-700',
+    paid: 'bg-green-100 text-green-700'
+};
+
+const EMPTY_TARIFF = {
+    isActive: true,
+    currency: 'INR',
+    billingUnit: 'study',
+    defaultPrice: 0,
+    modalityPrices: {},
+    prioritySurcharges: {},
+    taxRate: 0,
+    paymentTermsDays: 30,
+    payoutType: 'percent',
+    payoutAmount: 0,
+    notes: ''
+};
+
+const formatMoney = (amount, currency = 'INR') =>
+    `${currency} ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+const downloadBlob = async (url, fileName, params) => {
+    const response = await api.get(url, { params, responseType: 'blob' });
+    const blob = new Blob([response.data], { type: 'application/pdf' });
+    const objectUrl = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = objectUrl;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(objectUrl);
+    document.body.removeChild(a);
+};
+
+const Billing = () => {
+    const [activeTab, setActiveTab] = useState('invoices');
+    const [labs, setLabs] = useState([]);
+    const [month, setMonth] = useState(format(subMonths(new Date(), 1), 'yyyy-MM'));
+
+    // Invoices
+    const [invoices, setInvoices] = useState([]);
+    const [invoiceTotals, setInvoiceTotals] = useState([]);
+    const [invoiceFilters, setInvoiceFilters] = useState({ labId: '', status: '' });
+    const [invoicePagination, setInvoicePagination] = useState({ currentPage: 1, totalPages: 1, totalRecords: 0 });
+    const [invoicePage, setInvoicePage] = useState(1);
+    const [loadingInvoices, setLoadingInvoices] = useState(false);
+    const [generating, setGenerating] = useState(false);
+    const [viewingInvoice, setViewingInvoice] = useState(null);
+
+    // Tariffs
+    const [tariffs, setTariffs] = useState([]);
+    const [editingLab, setEditingLab] = useState(null);
+    const [tariffForm, setTariffForm] = useState(EMPTY_TARIFF);
+
+    // Payouts
+    const [payouts, setPayouts] = useState([]);
+    const [loadingPayouts, setLoadingPayouts] = useState(false);
+
+    useEffect(() => {
+        const fetchLabs = async () => {
+            try {
+                const response = await api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } });
+                if (response.data.success) {
+                    setLabs(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching labs:', error);
+            }
+        };
+        fetchLabs();
+    }, []);
+
+    const fetchInvoices = useCallback(async () => {
+        try {
+            setLoadingInvoices(true);
+            const response = await api.get('/billing/invoices', {
+                params: {
+                    month: month || undefined,
+                    labId: invoiceFilters.labId || undefined,
+                    status: invoiceFilters.status || undefined,
+                    page: invoicePage,
+                    limit: 50
+                }
+            });
+            if (response.data.success) {
+                setInvoices(response.data.data);
+                setInvoiceTotals(response.data.totals);
+                setInvoicePagination(response.data.pagination);
+            }
+        } catch (error) {
+            console.error('Error fetching invoices:', error);
+            toast.error('Failed to fetch invoices');
+        } finally {
+            setLoadingInvoices(false);
+        }
+    }, [month, invoiceFilters, invoicePage]);
+
+    const fetchTariffs = useCallback(async () => {
+        try {
+            const response = await api.get('/billing/tariffs');
+            if (response.data.success) {
+                setTariffs(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching tariffs:', error);
+            toast.error('Failed to fetch tariffs');
+        }
+    }, []);
+
+    const fetchPayouts = useCallback(async () => {
+        if (!month) return;
+        try {
+            setLoadingPayouts(true);
+            const response = await api.get('/billing/payouts', { params: { month } });
+            if (response.data.success) {
+                setPayouts(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching payouts:', error);
+            toast.error(error.response?.data?.message || 'Failed to fetch payouts');
+        } finally {
+            setLoadingPayouts(false);
+        }
+    }, [month]);
+
+    useEffect(() => {
+        if (activeTab === 'invoices') fetchInvoices();
+        if (activeTab === 'tariffs') fetchTariffs();
+        if (activeTab === 'payouts') fetchPayouts();
+    }, [activeTab, fetchInvoices, fetchTariffs, fetchPayouts]);
+
+    // ------------------------------------------------------------ Invoices
+
+    const handleGenerate = async () => {
+        if (!month) {
+            toast.error('Select a billing month first');
+            return;
+        }
+        const target = invoiceFilters.labId ? labs.find(lab => lab._id === invoiceFilters.labId)?.name : 'all labs with a tariff';
+        if (!window.confirm(`Generate ${month} invoices for ${target}? Existing drafts are rebuilt; sent and paid invoices are kept.`)) return;
+
+        try {
+            setGenerating(true);
+            const response = await api.post('/billing/invoices/generate', { month, labId: invoiceFilters.labId || undefined });
+            toast.success(response.data.message);
+            response.data.data.filter(result => result.error).forEach(result => toast.error(result.error, { duration: 6000 }));
+            fetchInvoices();
+        } catch (error) {
+            console.error('Error generating invoices:', error);
+            toast.error(error.response?.data?.message || 'Failed to generate invoices');
+        } finally {
+            setGenerating(false);
+        }
+    };
+
+    const handleRegenerate = async (invoice) => {
+        try {
+            const response = await api.post('/billing/invoices/generate', { month: invoice.month, labId: invoice.lab });
+            toast.success(response.data.message);
+            fetchInvoices();
+            if (viewingInvoice?._id === invoice._id) openInvoice(invoice);
+        } catch (error) {
+            console.error('Error regenerating invoice:', error);
+            toast.error(error.response?.data?.message || 'Failed to regenerate invoice');
+        }
+    };
+
+    const handleStatusChange = async (invoice, status) => {
+        let paymentReference;
+        if (status === 'paid') {
+            paymentReference = window.prompt(`Payment reference for ${invoice.invoiceNumber} (optional)`, '');
+            if (paymentReference === null) return;
+        } else if (!window.confirm(`Mark ${invoice.invoiceNumber} as ${status}?`)) {
+            return;
+        }
+
+        try {
+            const response = await api.patch(`/billing/invoices/${invoice._id}/status`, { status, paymentReference });
+            toast.success(response.data.message);
+            fetchInvoices();
+            if (viewingInvoice?._id === invoice._id) setViewingInvoice(null);
+        } catch (error) {
+            console.error('Error updating invoice status:', error);
+            toast.error(error.response?.data?.message || 'Failed to update invoice');
+        }
+    };
+
+    const handleDeleteInvoice = async (invoice) => {
+        if (!window.confirm(`Delete draft invoice ${invoice.invoiceNumber}?`)) return;
+        try {
+            await api.delete(`/billing/invoices/${invoice._id}`);
+            toast.success('Invoice deleted');
+            fetchInvoices();
+        } catch (error) {
+            console.error('Error deleting invoice:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete invoice');
+        }
+    };
+
+    const handleInvoicePdf = async (invoice) => {
+        try {
+            await downloadBlob(`/billing/invoices/${invoice._id}/pdf`, `${invoice.invoiceNumber}.pdf`);
+        } catch (error) {
+            console.error('Error downloading invoice:', error);
+            toast.error('Failed to download invoice PDF');
+        }
+    };
+
+    const openInvoice = async (invoice) => {
+        try {
+            const response = await api.get(`/billing/invoices/${invoice._id}`);
+            if (response.data.success) {
+                setViewingInvoice(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching invoice:', error);
+            toast.error('Failed to load invoice');
+        }
+    };
+
+    const renderStatusActions = (invoice) => (
+        <>
+            {invoice.status === 'draft' && (
+                <>
+                    <button onClick={() => handleRegenerate(invoice)} className="text-gray-600 hover:text-gray-900">Regenerate</button>
+                    <button onClick={() => handleStatusChange(invoice, 'sent')} className="text-blue-600 hover:text-blue-800">Mark Sent</button>
+                    <button onClick={() => handleDeleteInvoice(invoice)} className="text-red-600 hover:text-red-800">Delete</button>
+                </>
+            )}
+            {invoice.status === 'sent' && (
+                <>
+                    <button onClick={() => handleStatusChange(invoice, 'paid')} className="text-green-600 hover:text-green-800">Mark Paid</button>
+                    <button onClick={() => handleStatusChange(invoice, 'draft')} className="text-gray-600 hover:text-gray-900">Back to Draft</button>
+                </>
+            )}
+            {invoice.status === 'paid' && (
+                <button onClick={() => handleStatusChange(invoice, 'sent')} className="text-gray-600 hover:text-gray-900">Mark Unpaid</button>
+            )}
+        </>
+    );
+
+    // ------------------------------------------------------------- Tariffs
+
+    const openTariffEditor = (lab) => {
+        const tariff = tariffs.find(item => item.lab?._id === lab._id);
+        setEditingLab(lab);
+        setTariffForm(tariff ? {
+            isActive: tariff.isActive,
+            currency: tariff.currency,
+            billingUnit: tariff.billingUnit,
+            defaultPrice: tariff.defaultPrice,
+            modalityPrices: Object.fromEntries((tariff.modalityPrices || []).map(item => [item.modality, item.price])),
+            prioritySurcharges: Object.fromEntries((tariff.prioritySurcharges || []).map(item => [item.priority, { type: item.type, amount: item.amount }])),
+            taxRate: tariff.taxRate,
+            paymentTermsDays: tariff.paymentTermsDays,
+            payoutType: tariff.doctorPayout?.type || 'percent',
+            payoutAmount: tariff.doctorPayout?.amount || 0,
+            notes: tariff.notes || ''
+        } : EMPTY_TARIFF);
+    };
+
+    const handleTariffChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setTariffForm(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value
+        }));
+    };
+
+    const setModalityPrice = (modality, value) => {
+        setTariffForm(prev => ({ ...prev, modalityPrices: { ...prev.modalityPrices, [modality]: value } }));
+    };
+
+    const setSurcharge = (priority, changes) => {
+        setTariffForm(prev => ({
+            ...prev,
+            prioritySurcharges: {
+                ...prev.prioritySurcharges,
+                [priority]: { type: 'flat', amount: '', ...prev.prioritySurcharges[priority], ...changes }
+            }
+        }));
+    };
+
+    const handleSaveTariff = async (e) => {
+        e.preventDefault();
+        const { modalityPrices, prioritySurcharges, payoutType, payoutAmount, ...rest } = tariffForm;
+        const payload = {
+            ...rest,
+            // Blank modality prices fall back to the default price
+            modalityPrices: Object.entries(modalityPrices)
+                .filter(([, price]) => price !== '' && price !== null && price !== undefined)
+                .map(([modality, price]) => ({ modality, price: Number(price) })),
+            prioritySurcharges: Object.entries(prioritySurcharges)
+                .filter(([, surcharge]) => surcharge.amount !== '' && Number(surcharge.amount) > 0)
+                .map(([priority, surcharge]) => ({ priority, type: surcharge.type, amount: Number(surcharge.amount) })),
+            doctorPayout: { type: payoutType, amount: payoutAmount }
+        };
+
+        try {
+            const response = await api.put(`/billing/tariffs/${editingLab._id}`, payload);
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setEditingLab(null);
+                fetchTariffs();
+            }
+        } catch (error) {
+            console.error('Error saving tariff:', error);
+            toast.error(error.response?.data?.message || 'Failed to save tariff');
+        }
+    };
+
+    const handleDeleteTariff = async (lab) => {
+        if (!window.confirm(`Remove the tariff for ${lab.name}? Existing invoices are kept.`)) return;
+        try {
+            await api.delete(`/billing/tariffs/${lab._id}`);
+            toast.success('Tariff deleted');
+            fetchTariffs();
+        } catch (error) {
+            console.error('Error deleting tariff:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete tariff');
+        }
+    };
+
+    const describeTariff = (tariff) => {
+        const prices = (tariff.modalityPrices || []).map(item => `${item.modality} ${item.price}`).join(', ');
+        return `${tariff.currency} ${tariff.defaultPrice} default${prices ? `; ${prices}` : ''} per ${tariff.billingUnit}`;
+    };
+
+    // ------------------------------------------------------------- Payouts
+
+    const handlePayoutPdf = async (statement) => {
+        try {
+            await downloadBlob(
+                `/billing/payouts/${statement.doctor}/pdf`,
+                `Payout_${statement.doctorName.replace(/[^a-zA-Z0-9]/g, '_')}_${month}.pdf`,
+                { month }
+            );
+        } catch (error) {
+            console.error('Error downloading payout statement:', error);
+            toast.error('Failed to download payout statement');
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Billing</h1>
+                            <p className="text-gray-600">
+                                Monthly lab invoices built from reports finalized in the month, and the radiologist payouts they fund.
+                            </p>
+                        </div>
+                        <div className="mt-4 sm:mt-0 flex items-center space-x-2">
+                            <label className="text-sm text-gray-600">Month</label>
+                            <input
+                                type="month"
+                                value={month}
+                                onChange={(e) => {
+                                    setMonth(e.target.value);
+                                    setInvoicePage(1);
+                                }}
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                        </div>
+                    </div>
+
+                    {/* Tabs */}
+                    <div className="flex space-x-1 border-b border-gray-200 mb-6">
+                        {TABS.map(tab => (
+                            <button
+                                key={tab.key}
+                                onClick={() => setActiveTab(tab.key)}
+                                className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${activeTab === tab.key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+                            >
+                                {tab.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {activeTab === 'invoices' && (
+                        <>
+                            <div className="flex flex-wrap items-center gap-2 mb-4">
+                                <select
+                                    value={invoiceFilters.labId}
+                                    onChange={(e) => {
+                                        setInvoiceFilters(prev => ({ ...prev, labId: e.target.value }));
+                                        setInvoicePage(1);
+                                    }}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                >
+                                    <option value="">All labs</option>
+                                    {labs.map(lab => (
+                                        <option key={lab._id} value={lab._id}>{lab.name}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={invoiceFilters.status}
+                                    onChange={(e) => {
+                                        setInvoiceFilters(prev => ({ ...prev, status: e.target.value }));
+                                        setInvoicePage(1);
+                                    }}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                >
+                                    <option value="">All statuses</option>
+                                    <option value="draft">Draft</option>
+                                    <option value="sent">Sent</option>
+                                    <option value="paid">Paid</option>
+                                </select>
+                                <div className="flex-1" />
+                                {invoiceTotals.map(row => (
+                                    <span key={`${row.status}-${row.currency}`} className={`px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[row.status]}`}>
+                                        {row.count} {row.status}: {formatMoney(row.total, row.currency)}
+                                    </span>
+                                ))}
+                                <button
+                                    onClick={handleGenerate}
+                                    disabled={generating}
+                                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 text-sm"
+                                >
+                                    {generating ? 'Generating...' : 'Generate Invoices'}
+                                </button>
+                            </div>
+
+                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lab</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Studies</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issued / Due</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {loadingInvoices ? (
+                                            <tr>
+                                                <td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading invoices...</td>
+                                            </tr>
+                                        ) : invoices.length === 0 ? (
+                                            <tr>
+                                                <td colSpan="7" className="px-4 py-8 text-center text-gray-500">No invoices for this month yet</td>
+                                            </tr>
+                                        ) : invoices.map(invoice => (
+                                            <tr key={invoice._id}>
+                                                <td className="px-4 py-3 text-sm">
+                                                    <button onClick={() => openInvoice(invoice)} className="font-medium text-blue-600 hover:text-blue-800">
+                                                        {invoice.invoiceNumber}
+                                                    </button>
+                                                    <div className="text-xs text-gray-500">{invoice.month}</div>
+                                                </td>
+                                                <td className="px-4 py-3 text-sm text-gray-900">{invoice.labName}</td>
+                                                <td className="px-4 py-3 text-sm text-right text-gray-700">{invoice.studyCount}</td>
+                                                <td className="px-4 py-3 text-sm text-right font-medium text-gray-900">{formatMoney(invoice.total, invoice.currency)}</td>
+                                                <td className="px-4 py-3 text-sm">
+                                                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[invoice.status]}`}>{invoice.status}</span>
+                                                    {invoice.status === 'sent' && invoice.dueDate && new Date(invoice.dueDate) < new Date() && (
+                                                        <span className="ml-1 text-xs text-red-600">overdue</span>
+                                                    )}
+                                                </td>
+                                                <td className="px-4 py-3 text-xs text-gray-700">
+                                                    {invoice.status === 'paid' ? `Paid ${formatDate(invoice.paidAt)}` : `${formatDate(invoice.issuedAt)} / ${formatDate(invoice.dueDate)}`}
+                                                </td>
+                                                <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                                    <button onClick={() => handleInvoicePdf(invoice)} className="text-gray-600 hover:text-gray-900">PDF</button>
+                                                    {renderStatusActions(invoice)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {invoicePagination.totalPages > 1 && (
+                                    <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                                        <span>Page {invoicePagination.currentPage} of {invoicePagination.totalPages}</span>
+                                        <div className="space-x-2">
+                                            <button onClick={() => setInvoicePage(page => page - 1)} disabled={invoicePage <= 1} className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50">Previous</button>
+                                            <button onClick={() => setInvoicePage(page => page + 1)} disabled={invoicePage >= invoicePagination.totalPages} className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50">Next</button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        </>
+                    )}
+
+                    {activeTab === 'tariffs' && (
+                        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lab</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Prices</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Surcharges</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tax / Terms</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor Payout</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {labs.map(lab => {
+                                        const tariff = tariffs.find(item => item.lab?._id === lab._id);
+                                        return (
+                                            <tr key={lab._id} className={tariff && !tariff.isActive ? 'opacity-60' : ''}>
+                                                <td className="px-4 py-3 text-sm text-gray-900">
+                                                    {lab.name}
+                                                    {tariff && !tariff.isActive && <div className="text-xs text-gray-500">inactive</div>}
+                                                </td>
+                                                {tariff ? (
+                                                    <>
+                                                        <td className="px-4 py-3 text-xs text-gray-700">{describeTariff(tariff)}</td>
+                                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                                            {(tariff.prioritySurcharges || []).map(item => (
+                                                                <div key={item.priority}>{item.priority}: {item.type === 'percent' ? `+${item.amount}%` : `+${item.amount}`}</div>
+                                                            ))}
+                                                            {!tariff.prioritySurcharges?.length && '-'}
+                                                        </td>
+                                                        <td className="px-4 py-3 text-xs text-gray-700">{tariff.taxRate}% / {tariff.paymentTermsDays} days</td>
+                                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                                            {tariff.doctorPayout?.type === 'flat'
+                                                                ? `${tariff.currency} ${tariff.doctorPayout.amount} per study`
+                                                                : `${tariff.doctorPayout?.amount || 0}% of billed`}
+                                                        </td>
+                                                    </>
+                                                ) : (
+                                                    <td colSpan="4" className="px-4 py-3 text-xs text-gray-400">No tariff - this lab is not invoiced</td>
+                                                )}
+                                                <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                                    <button onClick={() => openTariffEditor(lab)} className="text-blue-600 hover:text-blue-800">{tariff ? 'Edit' : 'Set Tariff'}</button>
+                                                    {tariff && <button onClick={() => handleDeleteTariff(lab)} className="text-red-600 hover:text-red-800">Delete</button>}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {activeTab === 'payouts' && (
+                        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                            <div className="px-4 py-3 border-b border-gray-200 text-sm text-gray-600">
+                                Computed from this month's invoices. Regenerate drafts after tariff changes to update payouts.
+                            </div>
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Labs</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Studies</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Billed</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Payout</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Statement</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {loadingPayouts ? (
+                                        <tr>
+                                            <td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading payouts...</td>
+                                        </tr>
+                                    ) : payouts.length === 0 ? (
+                                        <tr>
+                                            <td colSpan="7" className="px-4 py-8 text-center text-gray-500">No invoiced studies with an assigned doctor this month</td>
+                                        </tr>
+                                    ) : payouts.map(statement => (
+                                        <tr key={`${statement.doctor}-${statement.currency}`}>
+                                            <td className="px-4 py-3 text-sm text-gray-900">
+                                                {statement.doctorName}
+                                                {statement.email && <div className="text-xs text-gray-500">{statement.email}</div>}
+                                            </td>
+                                            <td className="px-4 py-3 text-xs text-gray-700">
+                                                {statement.labs.map(lab => (
+                                                    <div key={lab.lab}>{lab.labName}: {lab.studies} / {formatMoney(lab.payout, statement.currency)}</div>
+                                                ))}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-right text-gray-700">{statement.studies}</td>
+                                            <td className="px-4 py-3 text-sm text-right text-gray-700">{formatMoney(statement.billed, statement.currency)}</td>
+                                            <td className="px-4 py-3 text-sm text-right font-medium text-gray-900">{formatMoney(statement.payout, statement.currency)}</td>
+                                            <td className="px-4 py-3 text-xs">
+                                                <span className={`px-2 py-1 rounded-full font-medium ${statement.allInvoicesPaid ? 'bg-green-100 text-green-700' : 'bg-amber-100 text-amber-700'}`}>
+                                                    {statement.allInvoicesPaid ? 'Final' : 'Provisional'}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-right">
+                                                <button onClick={() => handlePayoutPdf(statement)} className="text-gray-600 hover:text-gray-900">PDF</button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* Invoice Detail Modal */}
+            {viewingInvoice && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+                        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                            <div>
+                                <h2 className="text-lg font-semibold text-gray-900">{viewingInvoice.invoiceNumber}</h2>
+                                <p className="text-sm text-gray-600">
+                                    {viewingInvoice.labName} - {viewingInvoice.month} - generated {formatDate(viewingInvoice.generatedAt)}
+                                    {viewingInvoice.generatedBy && ` by ${viewingInvoice.generatedBy.fullName}`}
+                                </p>
+                            </div>
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[viewingInvoice.status]}`}>{viewingInvoice.status}</span>
+                        </div>
+                        <div className="flex-1 overflow-y-auto">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50 sticky top-0">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reported</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Accession</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Patient</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Modality</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Doctor</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Surcharge</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {viewingInvoice.lineItems.map((item, index) => (
+                                        <tr key={`${item.study}-${index}`}>
+                                            <td className="px-4 py-2 text-gray-700">{formatDate(item.finalizedAt)}</td>
+                                            <td className="px-4 py-2 text-gray-700">{item.accessionNumber || '-'}</td>
+                                            <td className="px-4 py-2 text-gray-900">{item.patientName || item.patientId || '-'}</td>
+                                            <td className="px-4 py-2 text-gray-700">
+                                                {item.modality}
+                                                {item.studyPriority && item.studyPriority !== 'SELECT' && <div className="text-xs text-red-600">{item.studyPriority}</div>}
+                                            </td>
+                                            <td className="px-4 py-2 text-gray-700">{item.doctorName || '-'}</td>
+                                            <td className="px-4 py-2 text-right">{item.quantity}</td>
+                                            <td className="px-4 py-2 text-right">{item.unitPrice.toFixed(2)}</td>
+                                            <td className="px-4 py-2 text-right">{item.surcharge ? item.surcharge.toFixed(2) : '-'}</td>
+                                            <td className="px-4 py-2 text-right font-medium">{item.amount.toFixed(2)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex items-end justify-between">
+                            <div className="text-xs text-gray-500 space-y-0.5">
+                                {viewingInvoice.statusHistory.map((entry, index) => (
+                                    <div key={index}>
+                                        {formatDate(entry.changedAt)}: {entry.status}{entry.changedBy && ` by ${entry.changedBy.fullName}`}{entry.note && ` - ${entry.note}`}
+                                    </div>
+                                ))}
+                                {viewingInvoice.paymentReference && <div>Payment ref: {viewingInvoice.paymentReference}</div>}
+                            </div>
+                            <div className="text-right text-sm space-y-1">
+                                <div>Subtotal: {formatMoney(viewingInvoice.subtotal, viewingInvoice.currency)}</div>
+                                <div>Tax ({viewingInvoice.taxRate}%): {formatMoney(viewingInvoice.taxAmount, viewingInvoice.currency)}</div>
+                                <div className="text-lg font-bold">Total: {formatMoney(viewingInvoice.total, viewingInvoice.currency)}</div>
+                                <div className="text-xs text-gray-500">Doctor payouts: {formatMoney(viewingInvoice.payoutTotal, viewingInvoice.currency)}</div>
+                                <div className="space-x-3 pt-2">
+                                    <button onClick={() => handleInvoicePdf(viewingInvoice)} className="text-gray-600 hover:text-gray-900">PDF</button>
+                                    {renderStatusActions(viewingInvoice)}
+                                    <button onClick={() => setViewingInvoice(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Close</button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Tariff Editor Modal */}
+            {editingLab && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSaveTariff} className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">Tariff - {editingLab.name}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div className="grid grid-cols-3 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                                    <input name="currency" value={tariffForm.currency} onChange={handleTariffChange} maxLength={3} required className="w-full px-3 py-2 border border-gray-300 rounded-lg uppercase" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Bill Per</label>
+                                    <select name="billingUnit" value={tariffForm.billingUnit} onChange={handleTariffChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        <option value="study">Study</option>
+                                        <option value="series">Series</option>
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Default Price</label>
+                                    <input type="number" min="0" step="0.01" name="defaultPrice" value={tariffForm.defaultPrice} onChange={handleTariffChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Price by Modality <span className="font-normal text-gray-500">(blank uses the default)</span></label>
+                                <div className="grid grid-cols-3 gap-2">
+                                    {MODALITIES.map(modality => (
+                                        <label key={modality} className="flex items-center space-x-2 text-sm">
+                                            <span className="w-10 text-gray-700">{modality}</span>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.01"
+                                                value={tariffForm.modalityPrices[modality] ?? ''}
+                                                onChange={(e) => setModalityPrice(modality, e.target.value)}
+                                                className="flex-1 px-2 py-1 border border-gray-300 rounded"
+                                            />
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Priority Surcharges</label>
+                                <div className="space-y-2">
+                                    {STUDY_PRIORITIES.map(priority => (
+                                        <div key={priority} className="flex items-center space-x-2 text-sm">
+                                            <span className="w-44 text-gray-700">{priority}</span>
+                                            <select
+                                                value={tariffForm.prioritySurcharges[priority]?.type || 'flat'}
+                                                onChange={(e) => setSurcharge(priority, { type: e.target.value })}
+                                                className="px-2 py-1 border border-gray-300 rounded"
+                                            >
+                                                <option value="flat">Flat +</option>
+                                                <option value="percent">Percent +</option>
+                                            </select>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.01"
+                                                value={tariffForm.prioritySurcharges[priority]?.amount ?? ''}
+                                                onChange={(e) => setSurcharge(priority, { amount: e.target.value })}
+                                                className="w-28 px-2 py-1 border border-gray-300 rounded"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Tax Rate (%)</label>
+                                    <input type="number" min="0" max="100" step="0.01" name="taxRate" value={tariffForm.taxRate} onChange={handleTariffChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Payment Terms (days)</label>
+                                    <input type="number" min="0" name="paymentTermsDays" value={tariffForm.paymentTermsDays} onChange={handleTariffChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Doctor Payout</label>
+                                    <select name="payoutType" value={tariffForm.payoutType} onChange={handleTariffChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        <option value="percent">Percent of billed amount</option>
+                                        <option value="flat">Flat per study</option>
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">{tariffForm.payoutType === 'percent' ? 'Payout (%)' : 'Payout Amount'}</label>
+                                    <input type="number" min="0" step="0.01" max={tariffForm.payoutType === 'percent' ? 100 : undefined} name="payoutAmount" value={tariffForm.payoutAmount} onChange={handleTariffChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <textarea name="notes" value={tariffForm.notes} onChange={handleTariffChange} rows={2} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" name="isActive" checked={tariffForm.isActive} onChange={handleTariffChange} />
+                                <span>Active - include this lab when generating invoices</span>
+                            </label>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setEditingLab(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Save Tariff</button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Billing;
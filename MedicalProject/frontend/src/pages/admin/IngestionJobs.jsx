@@ -0,0 +1,406 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const STATUS_FILTERS = [
+    { value: 'failed', label: 'Failed (all)' },
+    { value: 'retrying', label: 'Retrying' },
+    { value: 'dead_letter', label: 'Dead-lettered' },
+    { value: 'discarded', label: 'Discarded' },
+    { value: 'completed', label: 'Completed' },
+    { value: 'all', label: 'All' }
+];
+
+const STATUS_STYLES = {
+    waiting: 'bg-gray-100 text-gray-700',
+    active: 'bg-blue-100 text-blue-700',
+    retrying: 'bg-amber-100 text-amber-800',
+    completed: 'bg-green-100 text-green-700',
+    dead_letter: 'bg-red-100 text-red-700',
+    discarded: 'bg-slate-200 text-slate-600'
+};
+
+const isFailed = (status) => status === 'retrying' || status === 'dead_letter';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const IngestionJobs = () => {
+    const [jobs, setJobs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [statusFilter, setStatusFilter] = useState('failed');
+    const [searchTerm, setSearchTerm] = useState('');
+    const [pagination, setPagination] = useState({
+        currentPage: 1,
+        totalPages: 1,
+        totalRecords: 0,
+        limit: 20
+    });
+    const [stats, setStats] = useState({});
+    const [labs, setLabs] = useState([]);
+    const [selectedJob, setSelectedJob] = useState(null);
+    const [overrideLabId, setOverrideLabId] = useState('');
+    const [actionInFlight, setActionInFlight] = useState(false);
+
+    const fetchJobs = useCallback(async (page = 1) => {
+        try {
+            setLoading(true);
+            const response = await api.get('/ingestion/jobs', {
+                params: {
+                    page,
+                    limit: pagination.limit,
+                    status: statusFilter,
+                    search: searchTerm || undefined
+                }
+            });
+
+            if (response.data.success) {
+                setJobs(response.data.data);
+                setPagination(response.data.pagination);
+                setStats(response.data.stats);
+            }
+        } catch (error) {
+            console.error('Error fetching ingestion jobs:', error);
+            toast.error('Failed to fetch ingestion jobs');
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, searchTerm, pagination.limit]);
+
+    useEffect(() => {
+        fetchJobs(1);
+    }, [fetchJobs]);
+
+    useEffect(() => {
+        const fetchLabs = async () => {
+            try {
+                const response = await api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } });
+                if (response.data.success) {
+                    setLabs(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching labs:', error);
+            }
+        };
+        fetchLabs();
+    }, []);
+
+    const openDetails = async (job) => {
+        try {
+            const response = await api.get(`/ingestion/jobs/${job.requestId}`);
+            if (response.data.success) {
+                setSelectedJob(response.data.data);
+                setOverrideLabId(response.data.data.overrideLab?._id || '');
+            }
+        } catch (error) {
+            console.error('Error fetching ingestion job:', error);
+            toast.error('Failed to fetch job details');
+        }
+    };
+
+    const handleRetry = async (job, labId) => {
+        try {
+            setActionInFlight(true);
+            const response = await api.post(`/ingestion/jobs/${job.requestId}/retry`, labId !== undefined ? { labId } : {});
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setSelectedJob(null);
+                fetchJobs(pagination.currentPage);
+            }
+        } catch (error) {
+            console.error('Error retrying ingestion job:', error);
+            toast.error(error.response?.data?.message || 'Failed to retry job');
+        } finally {
+            setActionInFlight(false);
+        }
+    };
+
+    const handleDiscard = async (job) => {
+        const reason = window.prompt(`Discard ingestion of Orthanc study ${job.orthancStudyId}? Optional reason:`);
+        if (reason === null) return;
+
+        try {
+            setActionInFlight(true);
+            const response = await api.post(`/ingestion/jobs/${job.requestId}/discard`, { reason });
+            if (response.data.success) {
+                toast.success('Job discarded');
+                setSelectedJob(null);
+                fetchJobs(pagination.currentPage);
+            }
+        } catch (error) {
+            console.error('Error discarding ingestion job:', error);
+            toast.error(error.response?.data?.message || 'Failed to discard job');
+        } finally {
+            setActionInFlight(false);
+        }
+    };
+
+    const failedCount = (stats.retrying || 0) + (stats.dead_letter || 0);
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Ingestion Jobs</h1>
+                            <p className="text-gray-600">Orthanc studies that failed to import, with retry and discard actions</p>
+                        </div>
+                        <button
+                            onClick={() => fetchJobs(pagination.currentPage)}
+                            className="mt-4 sm:mt-0 inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                        >
+                            Refresh
+                        </button>
+                    </div>
+
+                    {/* Stats Cards */}
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                        <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+                            <p className="text-sm font-medium text-gray-600">Failed</p>
+                            <p className="text-2xl font-semibold text-red-600">{failedCount}</p>
+                        </div>
+                        <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+                            <p className="text-sm font-medium text-gray-600">Dead-lettered</p>
+                            <p className="text-2xl font-semibold text-gray-900">{stats.dead_letter || 0}</p>
+                        </div>
+                        <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+                            <p className="text-sm font-medium text-gray-600">Retrying</p>
+                            <p className="text-2xl font-semibold text-gray-900">{stats.retrying || 0}</p>
+                        </div>
+                        <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+                            <p className="text-sm font-medium text-gray-600">Discarded</p>
+                            <p className="text-2xl font-semibold text-gray-900">{stats.discarded || 0}</p>
+                        </div>
+                    </div>
+
+                    {/* Filters */}
+                    <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mb-6 flex flex-col md:flex-row gap-4">
+                        <input
+                            type="text"
+                            placeholder="Search by Orthanc ID, error, patient, accession..."
+                            value={searchTerm}
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        <select
+                            value={statusFilter}
+                            onChange={(e) => setStatusFilter(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        >
+                            {STATUS_FILTERS.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Table */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Orthanc Study</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Error</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Updated</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {loading ? (
+                                        <tr>
+                                            <td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading ingestion jobs...</td>
+                                        </tr>
+                                    ) : jobs.length === 0 ? (
+                                        <tr>
+                                            <td colSpan="7" className="px-4 py-8 text-center text-gray-500">No ingestion jobs found</td>
+                                        </tr>
+                                    ) : jobs.map((job) => (
+                                        <tr key={job._id} className="hover:bg-gray-50">
+                                            <td className="px-4 py-3 text-sm font-mono text-gray-900">
+                                                <button onClick={() => openDetails(job)} className="text-blue-600 hover:underline">
+                                                    {job.orthancStudyId}
+                                                </button>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-gray-700">
+                                                <div>{job.patientMainDicomTags?.PatientName || '—'}</div>
+                                                <div className="text-xs text-gray-500">{job.patientMainDicomTags?.PatientID || ''}</div>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm">
+                                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[job.status] || STATUS_STYLES.waiting}`}>
+                                                    {job.status.replace('_', ' ')}
+                                                </span>
+                                                {job.overrideLab && (
+                                                    <div className="text-xs text-gray-500 mt-1">Lab: {job.overrideLab.name}</div>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-gray-700">
+                                                {job.attemptsMade}/{job.maxAttempts}
+                                                {job.replayCount > 0 && (
+                                                    <div className="text-xs text-gray-500">{job.replayCount} replay(s)</div>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-red-700 max-w-xs truncate" title={job.lastError}>
+                                                {job.lastError || '—'}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-gray-500">{formatDate(job.updatedAt)}</td>
+                                            <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                                {isFailed(job.status) && (
+                                                    <>
+                                                        <button
+                                                            disabled={actionInFlight}
+                                                            onClick={() => handleRetry(job)}
+                                                            className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                                                        >
+                                                            Retry
+                                                        </button>
+                                                        <button
+                                                            disabled={actionInFlight}
+                                                            onClick={() => handleDiscard(job)}
+                                                            className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50"
+                                                        >
+                                                            Discard
+                                                        </button>
+                                                    </>
+                                                )}
+                                                <button
+                                                    onClick={() => openDetails(job)}
+                                                    className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+                                                >
+                                                    Details
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Pagination */}
+                        {pagination.totalPages > 1 && (
+                            <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+                                <p className="text-sm text-gray-600">
+                                    Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalRecords} jobs)
+                                </p>
+                                <div className="space-x-2">
+                                    <button
+                                        disabled={pagination.currentPage <= 1}
+                                        onClick={() => fetchJobs(pagination.currentPage - 1)}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Previous
+                                    </button>
+                                    <button
+                                        disabled={pagination.currentPage >= pagination.totalPages}
+                                        onClick={() => fetchJobs(pagination.currentPage + 1)}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Details Modal */}
+            {selectedJob && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                            <div>
+                                <h2 className="text-lg font-semibold text-gray-900">Ingestion Job</h2>
+                                <p className="text-sm font-mono text-gray-500">{selectedJob.requestId}</p>
+                            </div>
+                            <button onClick={() => setSelectedJob(null)} className="text-gray-400 hover:text-gray-600">✕</button>
+                        </div>
+
+                        <div className="px-6 py-4 space-y-4 text-sm">
+                            <div className="grid grid-cols-2 gap-4">
+                                <div><span className="text-gray-500">Orthanc Study ID:</span> <span className="font-mono">{selectedJob.orthancStudyId}</span></div>
+                                <div><span className="text-gray-500">Status:</span> {selectedJob.status}</div>
+                                <div><span className="text-gray-500">Attempts:</span> {selectedJob.attemptsMade}/{selectedJob.maxAttempts}</div>
+                                <div><span className="text-gray-500">Submitted:</span> {formatDate(selectedJob.submittedAt)}</div>
+                                <div><span className="text-gray-500">Next retry:</span> {formatDate(selectedJob.nextRetryAt)}</div>
+                                <div><span className="text-gray-500">Dead-lettered:</span> {formatDate(selectedJob.deadLetteredAt)}</div>
+                                {selectedJob.lastReplayedBy && (
+                                    <div><span className="text-gray-500">Last replayed by:</span> {selectedJob.lastReplayedBy.fullName}</div>
+                                )}
+                                {selectedJob.discardedBy && (
+                                    <div><span className="text-gray-500">Discarded by:</span> {selectedJob.discardedBy.fullName} {selectedJob.discardReason && `(${selectedJob.discardReason})`}</div>
+                                )}
+                            </div>
+
+                            <div>
+                                <h3 className="font-medium text-gray-900 mb-2">Error History</h3>
+                                {selectedJob.errorHistory?.length ? (
+                                    <ul className="space-y-1">
+                                        {selectedJob.errorHistory.map((entry, index) => (
+                                            <li key={index} className="text-red-700">
+                                                <span className="text-gray-500">#{entry.attempt} · {formatDate(entry.failedAt)}:</span> {entry.message}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                ) : (
+                                    <p className="text-gray-500">No errors recorded</p>
+                                )}
+                            </div>
+
+                            <div>
+                                <h3 className="font-medium text-gray-900 mb-2">MainDicomTags</h3>
+                                {selectedJob.mainDicomTags || selectedJob.patientMainDicomTags ? (
+                                    <pre className="bg-gray-50 border border-gray-200 rounded p-3 text-xs overflow-x-auto">
+                                        {JSON.stringify({ ...selectedJob.patientMainDicomTags, ...selectedJob.mainDicomTags }, null, 2)}
+                                    </pre>
+                                ) : (
+                                    <p className="text-gray-500">Tags were not captured - the study could not be fetched from Orthanc</p>
+                                )}
+                            </div>
+
+                            {isFailed(selectedJob.status) && (
+                                <div className="border-t border-gray-200 pt-4 space-y-3">
+                                    <h3 className="font-medium text-gray-900">Retry with overridden lab</h3>
+                                    <div className="flex gap-2">
+                                        <select
+                                            value={overrideLabId}
+                                            onChange={(e) => setOverrideLabId(e.target.value)}
+                                            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                                        >
+                                            <option value="">Detect lab from DICOM tags</option>
+                                            {labs.map((lab) => (
+                                                <option key={lab._id} value={lab._id}>{lab.name} ({lab.identifier})</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            disabled={actionInFlight}
+                                            onClick={() => handleRetry(selectedJob, overrideLabId)}
+                                            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                                        >
+                                            Retry
+                                        </button>
+                                        <button
+                                            disabled={actionInFlight}
+                                            onClick={() => handleDiscard(selectedJob)}
+                                            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                                        >
+                                            Discard
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default IngestionJobs;
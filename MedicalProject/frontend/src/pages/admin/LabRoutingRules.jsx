@@ -0,0 +1,364 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const MATCH_TYPES = [
+    { value: 'calling_ae_title', label: 'Calling AE Title', needsTag: false },
+    { value: 'institution_name', label: 'Institution Name', needsTag: false },
+    { value: 'station_name', label: 'Station Name', needsTag: false },
+    { value: 'private_tag', label: 'Private Tag (exact value)', needsTag: true },
+    { value: 'tag_regex', label: 'Regex on any tag', needsTag: true },
+    { value: 'lab_identifier_tag', label: 'Tag value is Lab identifier', needsTag: true }
+];
+
+const EMPTY_RULE = {
+    name: '',
+    priority: 100,
+    isActive: true,
+    matchType: 'institution_name',
+    tag: '',
+    pattern: '',
+    targetLab: '',
+    notes: ''
+};
+
+const matchTypeLabel = (value) => MATCH_TYPES.find(type => type.value === value)?.label || value;
+
+const LabRoutingRules = () => {
+    const [rules, setRules] = useState([]);
+    const [labs, setLabs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editingRule, setEditingRule] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_RULE);
+    const [testInput, setTestInput] = useState('{\n  "InstitutionName": "",\n  "StationName": ""\n}');
+    const [testAET, setTestAET] = useState('');
+    const [testResult, setTestResult] = useState(null);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/lab-routing/rules');
+            if (response.data.success) {
+                setRules(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching routing rules:', error);
+            toast.error('Failed to fetch routing rules');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules]);
+
+    useEffect(() => {
+        const fetchLabs = async () => {
+            try {
+                const response = await api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } });
+                if (response.data.success) {
+                    setLabs(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching labs:', error);
+            }
+        };
+        fetchLabs();
+    }, []);
+
+    const openEditor = (rule = null) => {
+        setEditingRule(rule || {});
+        setFormData(rule ? {
+            name: rule.name,
+            priority: rule.priority,
+            isActive: rule.isActive,
+            matchType: rule.matchType,
+            tag: rule.tag || '',
+            pattern: rule.pattern || '',
+            targetLab: rule.targetLab?._id || '',
+            notes: rule.notes || ''
+        } : EMPTY_RULE);
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value
+        }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            const response = editingRule?._id
+                ? await api.put(`/lab-routing/rules/${editingRule._id}`, formData)
+                : await api.post('/lab-routing/rules', formData);
+
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setEditingRule(null);
+                fetchRules();
+            }
+        } catch (error) {
+            console.error('Error saving routing rule:', error);
+            toast.error(error.response?.data?.message || 'Failed to save routing rule');
+        }
+    };
+
+    const handleToggle = async (rule) => {
+        try {
+            await api.put(`/lab-routing/rules/${rule._id}`, { isActive: !rule.isActive });
+            fetchRules();
+        } catch (error) {
+            console.error('Error toggling routing rule:', error);
+            toast.error(error.response?.data?.message || 'Failed to update routing rule');
+        }
+    };
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete routing rule "${rule.name}"?`)) return;
+        try {
+            await api.delete(`/lab-routing/rules/${rule._id}`);
+            toast.success('Routing rule deleted');
+            fetchRules();
+        } catch (error) {
+            console.error('Error deleting routing rule:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete routing rule');
+        }
+    };
+
+    const handleTest = async () => {
+        let tags;
+        try {
+            tags = JSON.parse(testInput);
+        } catch {
+            toast.error('Test tags must be valid JSON');
+            return;
+        }
+
+        try {
+            const response = await api.post('/lab-routing/test', { tags, callingAETitle: testAET });
+            if (response.data.success) {
+                setTestResult(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error testing routing rules:', error);
+            toast.error('Failed to test routing rules');
+        }
+    };
+
+    const selectedType = MATCH_TYPES.find(type => type.value === formData.matchType);
+    const needsTarget = formData.matchType !== 'lab_identifier_tag';
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Lab Routing Rules</h1>
+                            <p className="text-gray-600">
+                                Rules are evaluated by priority (lowest first). Studies matching no rule go to quarantine.
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => openEditor()}
+                            className="mt-4 sm:mt-0 inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                        >
+                            Add Rule
+                        </button>
+                    </div>
+
+                    {/* Rules Table */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Match</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target Lab</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hits</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loading ? (
+                                    <tr>
+                                        <td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading routing rules...</td>
+                                    </tr>
+                                ) : rules.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="7" className="px-4 py-8 text-center text-gray-500">
+                                            No routing rules yet - the legacy private tag lookup is used until the first rule is added
+                                        </td>
+                                    </tr>
+                                ) : rules.map((rule) => (
+                                    <tr key={rule._id} className={rule.isActive ? '' : 'opacity-60'}>
+                                        <td className="px-4 py-3 text-sm text-gray-900">{rule.priority}</td>
+                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                            <div className="font-medium">{rule.name}</div>
+                                            {rule.notes && <div className="text-xs text-gray-500">{rule.notes}</div>}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            <div>{matchTypeLabel(rule.matchType)}</div>
+                                            <div className="text-xs font-mono text-gray-500">
+                                                {rule.tag && `[${rule.tag}] `}{rule.pattern}
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {rule.matchType === 'lab_identifier_tag'
+                                                ? <span className="text-gray-500">By identifier</span>
+                                                : rule.targetLab ? `${rule.targetLab.name} (${rule.targetLab.identifier})` : <span className="text-red-600">Missing</span>}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {rule.hitCount}
+                                            {rule.lastMatchedAt && (
+                                                <div className="text-xs text-gray-500">{new Date(rule.lastMatchedAt).toLocaleString()}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm">
+                                            <button
+                                                onClick={() => handleToggle(rule)}
+                                                className={`px-2 py-1 rounded-full text-xs font-medium ${rule.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}
+                                            >
+                                                {rule.isActive ? 'Active' : 'Inactive'}
+                                            </button>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                            <button onClick={() => openEditor(rule)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                                            <button onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-800">Delete</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Rule Tester */}
+                    <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+                        <h2 className="text-lg font-semibold text-gray-900 mb-2">Test Rules</h2>
+                        <p className="text-sm text-gray-600 mb-4">Paste DICOM tags as JSON (keywords or gggg,eeee keys) to see where a study would be routed.</p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <textarea
+                                    value={testInput}
+                                    onChange={(e) => setTestInput(e.target.value)}
+                                    rows={6}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                                />
+                                <input
+                                    type="text"
+                                    placeholder="Calling AE title (optional)"
+                                    value={testAET}
+                                    onChange={(e) => setTestAET(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                                <button
+                                    onClick={handleTest}
+                                    className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900"
+                                >
+                                    Run Test
+                                </button>
+                            </div>
+                            <div className="text-sm">
+                                {testResult ? (
+                                    testResult.quarantined ? (
+                                        <div className="p-4 rounded-lg bg-amber-50 border border-amber-200 text-amber-800">
+                                            No rule matched - the study would be quarantined.
+                                        </div>
+                                    ) : (
+                                        <div className="p-4 rounded-lg bg-green-50 border border-green-200 text-green-800 space-y-1">
+                                            <div>Lab: <strong>{testResult.lab?.name}</strong> ({testResult.lab?.identifier})</div>
+                                            <div>Method: {testResult.method}</div>
+                                            {testResult.rule && <div>Rule: {testResult.rule.name} (priority {testResult.rule.priority})</div>}
+                                        </div>
+                                    )
+                                ) : (
+                                    <p className="text-gray-500">Run a test to see the result.</p>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* Editor Modal */}
+            {editingRule && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{editingRule._id ? 'Edit Routing Rule' : 'New Routing Rule'}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                <input name="name" value={formData.name} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                                    <input type="number" name="priority" value={formData.priority} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Match Type</label>
+                                    <select name="matchType" value={formData.matchType} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        {MATCH_TYPES.map(({ value, label }) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+                            {selectedType?.needsTag && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Tag</label>
+                                    <input name="tag" value={formData.tag} onChange={handleChange} placeholder="e.g. 0013,0010 or StationName" required className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono" />
+                                </div>
+                            )}
+                            {needsTarget && (
+                                <>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            {formData.matchType === 'tag_regex' ? 'Regular Expression' : 'Value (case-insensitive)'}
+                                        </label>
+                                        <input name="pattern" value={formData.pattern} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono" />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Target Lab</label>
+                                        <select name="targetLab" value={formData.targetLab} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                            <option value="">Select a lab</option>
+                                            {labs.map((lab) => (
+                                                <option key={lab._id} value={lab._id}>{lab.name} ({lab.identifier})</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <input name="notes" value={formData.notes} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+                                <span>Active</span>
+                            </label>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setEditingRule(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Save</button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LabRoutingRules;
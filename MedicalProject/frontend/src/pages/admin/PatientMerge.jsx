@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const TABS = [
+    { value: 'candidates', label: 'Possible Duplicates' },
+    { value: 'manual', label: 'Manual Merge' },
+    { value: 'history', label: 'Merge History' }
+];
+
+const REASON_LABELS = {
+    mrn_issuer: 'Same MRN + issuer',
+    name_dob_sex: 'Name, DOB and sex',
+    name_dob: 'Name and DOB'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Default survivor: the record with the most studies, oldest first on a tie
+const pickDefaultSurvivor = (patients) => [...patients].sort((a, b) =>
+    (b.studyCount || 0) - (a.studyCount || 0) || new Date(a.createdAt) - new Date(b.createdAt)
+)[0]?._id || '';
+
+const PatientTable = ({ patients, survivorId, onSurvivorChange, onRemove }) => (
+    <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+            <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Keep</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Patient ID</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">MRN / Issuer</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">DOB / Sex</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Studies</th>
+                {onRemove && <th className="px-3 py-2" />}
+            </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+            {patients.map((patient) => (
+                <tr key={patient._id} className={survivorId === patient._id ? 'bg-green-50' : ''}>
+                    <td className="px-3 py-2">
+                        <input
+                            type="radio"
+                            checked={survivorId === patient._id}
+                            onChange={() => onSurvivorChange(patient._id)}
+                        />
+                    </td>
+                    <td className="px-3 py-2 font-mono">{patient.patientID}</td>
+                    <td className="px-3 py-2">{patient.patientNameRaw || '—'}</td>
+                    <td className="px-3 py-2 font-mono text-xs">{patient.mrn || '—'}{patient.issuerOfPatientID ? ` / ${patient.issuerOfPatientID}` : ''}</td>
+                    <td className="px-3 py-2 text-xs">{patient.dateOfBirth || '—'} / {patient.gender || '—'}</td>
+                    <td className="px-3 py-2">{patient.studyCount || 0}</td>
+                    {onRemove && (
+                        <td className="px-3 py-2 text-right">
+                            <button onClick={() => onRemove(patient._id)} className="text-red-600 hover:text-red-800 text-xs">Remove</button>
+                        </td>
+                    )}
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+const PatientMerge = () => {
+    const [activeTab, setActiveTab] = useState('candidates');
+    const [candidates, setCandidates] = useState([]);
+    const [candidateStats, setCandidateStats] = useState({});
+    const [survivorByCandidate, setSurvivorByCandidate] = useState({});
+    const [merges, setMerges] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [detecting, setDetecting] = useState(false);
+    const [actionInFlight, setActionInFlight] = useState(false);
+
+    const [searchTerm, setSearchTerm] = useState('');
+    const [searchResults, setSearchResults] = useState([]);
+    const [manualSelection, setManualSelection] = useState([]);
+    const [manualSurvivor, setManualSurvivor] = useState('');
+
+    const fetchCandidates = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/patient-merge/candidates', { params: { status: 'open', limit: 50 } });
+            if (response.data.success) {
+                setCandidates(response.data.data);
+                setCandidateStats(response.data.stats);
+                setSurvivorByCandidate(Object.fromEntries(
+                    response.data.data.map(candidate => [candidate._id, pickDefaultSurvivor(candidate.patients)])
+                ));
+            }
+        } catch (error) {
+            console.error('Error fetching duplicate candidates:', error);
+            toast.error('Failed to fetch duplicate candidates');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const fetchMerges = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/patient-merge/merges', { params: { limit: 50 } });
+            if (response.data.success) {
+                setMerges(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching merge history:', error);
+            toast.error('Failed to fetch merge history');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (activeTab === 'candidates') fetchCandidates();
+        if (activeTab === 'history') fetchMerges();
+    }, [activeTab, fetchCandidates, fetchMerges]);
+
+    useEffect(() => {
+        if (activeTab !== 'manual' || searchTerm.trim().length < 2) {
+            setSearchResults([]);
+            return;
+        }
+        const timer = setTimeout(async () => {
+            try {
+                const response = await api.get('/patient-merge/patients', { params: { search: searchTerm } });
+                if (response.data.success) {
+                    setSearchResults(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error searching patients:', error);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [activeTab, searchTerm]);
+
+    const runDetection = async () => {
+        try {
+            setDetecting(true);
+            const response = await api.post('/patient-merge/candidates/detect');
+            if (response.data.success) {
+                toast.success(response.data.message);
+                fetchCandidates();
+            }
+        } catch (error) {
+            console.error('Error running duplicate detection:', error);
+            toast.error('Failed to run duplicate detection');
+        } finally {
+            setDetecting(false);
+        }
+    };
+
+    const submitMerge = async (patients, survivorId, candidateId = null) => {
+        const survivor = patients.find(patient => patient._id === survivorId);
+        const mergedIds = patients.filter(patient => patient._id !== survivorId).map(patient => patient._id);
+        if (!survivor || mergedIds.length === 0) {
+            toast.error('Pick a survivor and at least one other patient');
+            return false;
+        }
+
+        const reason = window.prompt(
+            `Merge ${mergedIds.length} record(s) into ${survivor.patientID} (${survivor.patientNameRaw})?\nAll studies will move to this patient. Optional reason:`
+        );
+        if (reason === null) return false;
+
+        try {
+            setActionInFlight(true);
+            const response = await api.post('/patient-merge/merge', { survivorId, mergedIds, reason, candidateId });
+            if (response.data.success) {
+                toast.success(response.data.message);
+                return true;
+            }
+        } catch (error) {
+            console.error('Error merging patients:', error);
+            toast.error(error.response?.data?.message || 'Failed to merge patients');
+        } finally {
+            setActionInFlight(false);
+        }
+        return false;
+    };
+
+    const handleCandidateMerge = async (candidate) => {
+        if (await submitMerge(candidate.patients, survivorByCandidate[candidate._id], candidate._id)) {
+            fetchCandidates();
+        }
+    };
+
+    const handleDismiss = async (candidate) => {
+        try {
+            setActionInFlight(true);
+            await api.post(`/patient-merge/candidates/${candidate._id}/dismiss`);
+            toast.success('Marked as not a duplicate');
+            fetchCandidates();
+        } catch (error) {
+            console.error('Error dismissing candidate:', error);
+            toast.error(error.response?.data?.message || 'Failed to dismiss candidate');
+        } finally {
+            setActionInFlight(false);
+        }
+    };
+
+    const handleManualMerge = async () => {
+        if (await submitMerge(manualSelection, manualSurvivor)) {
+            setManualSelection([]);
+            setManualSurvivor('');
+            setSearchTerm('');
+        }
+    };
+
+    const addToSelection = (patient) => {
+        if (manualSelection.some(selected => selected._id === patient._id)) return;
+        const next = [...manualSelection, patient];
+        setManualSelection(next);
+        if (!manualSurvivor) setManualSurvivor(patient._id);
+    };
+
+    const removeFromSelection = (patientId) => {
+        const next = manualSelection.filter(patient => patient._id !== patientId);
+        setManualSelection(next);
+        if (manualSurvivor === patientId) setManualSurvivor(next[0]?._id || '');
+    };
+
+    const handleUndo = async (merge) => {
+        if (!window.confirm(`Undo the merge into ${merge.survivor?.patientID}? ${merge.studiesMoved} studies will move back.`)) return;
+        try {
+            setActionInFlight(true);
+            const response = await api.post(`/patient-merge/merges/${merge._id}/undo`);
+            if (response.data.success) {
+                toast.success(response.data.message);
+                fetchMerges();
+            }
+        } catch (error) {
+            console.error('Error undoing merge:', error);
+            toast.error(error.response?.data?.message || 'Failed to undo merge');
+        } finally {
+            setActionInFlight(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Patient Reconciliation</h1>
+                            <p className="text-gray-600">Review duplicate patient records and merge them. Merges can be undone for a limited time.</p>
+                        </div>
+                        <button
+                            onClick={runDetection}
+                            disabled={detecting}
+                            className="mt-4 sm:mt-0 inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                        >
+                            {detecting ? 'Scanning...' : 'Run Detection Now'}
+                        </button>
+                    </div>
+
+                    {/* Tabs */}
+                    <div className="flex space-x-2 mb-6 border-b border-gray-200">
+                        {TABS.map((tab) => (
+                            <button
+                                key={tab.value}
+                                onClick={() => setActiveTab(tab.value)}
+                                className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${activeTab === tab.value ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+                            >
+                                {tab.label}
+                                {tab.value === 'candidates' && candidateStats.open ? ` (${candidateStats.open})` : ''}
+                            </button>
+                        ))}
+                    </div>
+
+                    {activeTab === 'candidates' && (
+                        <div className="space-y-4">
+                            {loading ? (
+                                <p className="text-center text-gray-500 py-8">Loading possible duplicates...</p>
+                            ) : candidates.length === 0 ? (
+                                <p className="text-center text-gray-500 py-8">No open duplicate candidates</p>
+                            ) : candidates.map((candidate) => (
+                                <div key={candidate._id} className="bg-white rounded-lg shadow-sm border border-gray-200">
+                                    <div className="px-4 py-3 border-b border-gray-100 flex items-center justify-between">
+                                        <div className="text-sm">
+                                            <span className="font-semibold text-gray-900">{Math.round(candidate.score * 100)}% match</span>
+                                            <span className="ml-3 text-gray-500">
+                                                {candidate.matchReasons.map(reason => REASON_LABELS[reason] || reason).join(' · ')}
+                                            </span>
+                                        </div>
+                                        <div className="space-x-2">
+                                            <button
+                                                onClick={() => handleDismiss(candidate)}
+                                                disabled={actionInFlight}
+                                                className="px-3 py-1 border border-gray-300 rounded text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                                            >
+                                                Not a Duplicate
+                                            </button>
+                                            <button
+                                                onClick={() => handleCandidateMerge(candidate)}
+                                                disabled={actionInFlight}
+                                                className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+                                            >
+                                                Merge
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <div className="overflow-x-auto">
+                                        <PatientTable
+                                            patients={candidate.patients}
+                                            survivorId={survivorByCandidate[candidate._id]}
+                                            onSurvivorChange={(patientId) => setSurvivorByCandidate(prev => ({ ...prev, [candidate._id]: patientId }))}
+                                        />
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {activeTab === 'manual' && (
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                            <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+                                <h2 className="text-lg font-semibold text-gray-900 mb-3">Find Patients</h2>
+                                <input
+                                    type="text"
+                                    placeholder="Search by patient ID, MRN or name..."
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg mb-3"
+                                />
+                                <ul className="divide-y divide-gray-100">
+                                    {searchResults.map((patient) => (
+                                        <li key={patient._id} className="py-2 flex items-center justify-between text-sm">
+                                            <div>
+                                                <div className="font-medium">{patient.patientNameRaw || '—'}</div>
+                                                <div className="text-xs text-gray-500 font-mono">
+                                                    {patient.patientID} · DOB {patient.dateOfBirth || '—'} · {patient.studyCount || 0} studies
+                                                </div>
+                                            </div>
+                                            <button
+                                                onClick={() => addToSelection(patient)}
+                                                disabled={manualSelection.some(selected => selected._id === patient._id)}
+                                                className="px-2 py-1 text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                                            >
+                                                Add
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                            <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+                                <h2 className="text-lg font-semibold text-gray-900 mb-3">Records to Merge</h2>
+                                {manualSelection.length === 0 ? (
+                                    <p className="text-sm text-gray-500">Add two or more patients, then choose which record to keep.</p>
+                                ) : (
+                                    <div className="overflow-x-auto">
+                                        <PatientTable
+                                            patients={manualSelection}
+                                            survivorId={manualSurvivor}
+                                            onSurvivorChange={setManualSurvivor}
+                                            onRemove={removeFromSelection}
+                                        />
+                                    </div>
+                                )}
+                                <div className="mt-4 text-right">
+                                    <button
+                                        onClick={handleManualMerge}
+                                        disabled={actionInFlight || manualSelection.length < 2}
+                                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                                    >
+                                        Merge Selected
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeTab === 'history' && (
+                        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Merged At</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Survivor</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Merged Records</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Moved</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">By</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                                        <th className="px-4 py-3" />
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {loading ? (
+                                        <tr><td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading merge history...</td></tr>
+                                    ) : merges.length === 0 ? (
+                                        <tr><td colSpan="7" className="px-4 py-8 text-center text-gray-500">No merges yet</td></tr>
+                                    ) : merges.map((merge) => (
+                                        <tr key={merge._id}>
+                                            <td className="px-4 py-3">{formatDate(merge.mergedAt)}</td>
+                                            <td className="px-4 py-3">
+                                                <div className="font-mono">{merge.survivor?.patientID || merge.survivorPatientID}</div>
+                                                <div className="text-xs text-gray-500">{merge.survivor?.patientNameRaw}</div>
+                                            </td>
+                                            <td className="px-4 py-3 text-xs">
+                                                {merge.mergedPatients.map(patient => (
+                                                    <div key={patient.patient}>{patient.patientID} · {patient.patientNameRaw}</div>
+                                                ))}
+                                                {merge.reason && <div className="text-gray-500 italic mt-1">{merge.reason}</div>}
+                                            </td>
+                                            <td className="px-4 py-3 text-xs">{merge.studiesMoved} studies, {merge.documentsMoved} docs</td>
+                                            <td className="px-4 py-3">{merge.mergedBy?.fullName || '—'}</td>
+                                            <td className="px-4 py-3 text-xs">
+                                                {merge.status === 'undone' ? (
+                                                    <span className="text-gray-600">Undone {formatDate(merge.undoneAt)} by {merge.undoneBy?.fullName || '—'}</span>
+                                                ) : merge.canUndo ? (
+                                                    <span className="text-green-700">Undo until {formatDate(merge.undoDeadline)}</span>
+                                                ) : (
+                                                    <span className="text-gray-600">Final</span>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-3 text-right">
+                                                {merge.canUndo && (
+                                                    <button
+                                                        onClick={() => handleUndo(merge)}
+                                                        disabled={actionInFlight}
+                                                        className="px-3 py-1 border border-red-300 text-red-700 rounded hover:bg-red-50 disabled:opacity-50"
+                                                    >
+                                                        Undo
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PatientMerge;
@@ -0,0 +1,685 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format, subDays } from 'date-fns';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const MODALITIES = ['CT', 'MRI', 'XR', 'US', 'DX', 'CR', 'MG', 'NM', 'PT'];
+
+const TABS = [
+    { key: 'dashboard', label: 'QA Dashboard' },
+    { key: 'reviews', label: 'Reviews' },
+    { key: 'settings', label: 'Settings' }
+];
+
+const SCORE_STYLES = {
+    1: 'bg-green-100 text-green-700',
+    2: 'bg-yellow-100 text-yellow-700',
+    3: 'bg-orange-100 text-orange-700',
+    4: 'bg-red-100 text-red-700'
+};
+
+const DISCREPANCY_STYLES = {
+    open: 'bg-red-100 text-red-700',
+    acknowledged: 'bg-amber-100 text-amber-700',
+    resolved: 'bg-green-100 text-green-700'
+};
+
+const REASON_LABELS = {
+    random_sample: 'Random sample',
+    new_doctor: 'New doctor',
+    manual: 'Manual'
+};
+
+const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+const PeerReview = () => {
+    const [activeTab, setActiveTab] = useState('dashboard');
+    const [doctors, setDoctors] = useState([]);
+
+    // Dashboard
+    const [range, setRange] = useState({
+        from: format(subDays(new Date(), 89), 'yyyy-MM-dd'),
+        to: format(new Date(), 'yyyy-MM-dd')
+    });
+    const [dashboard, setDashboard] = useState(null);
+    const [loadingDashboard, setLoadingDashboard] = useState(false);
+
+    // Reviews
+    const [reviews, setReviews] = useState([]);
+    const [reviewFilters, setReviewFilters] = useState({ status: '', discrepancy: '', reporterId: '' });
+    const [reviewPage, setReviewPage] = useState(1);
+    const [reviewPagination, setReviewPagination] = useState({ currentPage: 1, totalPages: 1, totalRecords: 0 });
+    const [loadingReviews, setLoadingReviews] = useState(false);
+    const [viewingReview, setViewingReview] = useState(null);
+    const [resolutionNote, setResolutionNote] = useState('');
+    const [reassignTo, setReassignTo] = useState('');
+
+    // Settings
+    const [settings, setSettings] = useState(null);
+    const [savingSettings, setSavingSettings] = useState(false);
+
+    useEffect(() => {
+        const fetchDoctors = async () => {
+            try {
+                const response = await api.get('/auto-assignment/doctors');
+                if (response.data.success) {
+                    setDoctors(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching doctors:', error);
+            }
+        };
+        fetchDoctors();
+    }, []);
+
+    const fetchDashboard = useCallback(async () => {
+        try {
+            setLoadingDashboard(true);
+            const response = await api.get('/peer-review/dashboard', { params: range });
+            if (response.data.success) {
+                setDashboard(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching QA dashboard:', error);
+            toast.error(error.response?.data?.message || 'Failed to fetch QA dashboard');
+        } finally {
+            setLoadingDashboard(false);
+        }
+    }, [range]);
+
+    const fetchReviews = useCallback(async () => {
+        try {
+            setLoadingReviews(true);
+            const response = await api.get('/peer-review', {
+                params: {
+                    status: reviewFilters.status || undefined,
+                    discrepancy: reviewFilters.discrepancy || undefined,
+                    reporterId: reviewFilters.reporterId || undefined,
+                    page: reviewPage,
+                    limit: 20
+                }
+            });
+            if (response.data.success) {
+                setReviews(response.data.data);
+                setReviewPagination(response.data.pagination);
+            }
+        } catch (error) {
+            console.error('Error fetching peer reviews:', error);
+            toast.error('Failed to fetch peer reviews');
+        } finally {
+            setLoadingReviews(false);
+        }
+    }, [reviewFilters, reviewPage]);
+
+    const fetchSettings = useCallback(async () => {
+        try {
+            const response = await api.get('/peer-review/settings');
+            if (response.data.success) {
+                setSettings(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching peer review settings:', error);
+            toast.error('Failed to fetch peer review settings');
+        }
+    }, []);
+
+    useEffect(() => {
+        if (activeTab === 'dashboard') fetchDashboard();
+        if (activeTab === 'reviews') fetchReviews();
+        if (activeTab === 'settings') fetchSettings();
+    }, [activeTab, fetchDashboard, fetchReviews, fetchSettings]);
+
+    const openReview = (review) => {
+        setViewingReview(review);
+        setResolutionNote('');
+        setReassignTo('');
+    };
+
+    const showDoctorReviews = (doctorId, discrepancy = '') => {
+        setReviewFilters({ status: 'completed', discrepancy, reporterId: doctorId });
+        setReviewPage(1);
+        setActiveTab('reviews');
+    };
+
+    const runReviewAction = async (request, successMessage) => {
+        try {
+            await request();
+            toast.success(successMessage);
+            setViewingReview(null);
+            fetchReviews();
+        } catch (error) {
+            console.error('Error updating peer review:', error);
+            toast.error(error.response?.data?.message || 'Failed to update peer review');
+        }
+    };
+
+    const handleResolve = () => {
+        if (!resolutionNote.trim()) {
+            toast.error('Enter a resolution note');
+            return;
+        }
+        runReviewAction(
+            () => api.patch(`/peer-review/${viewingReview._id}/resolve`, { resolutionNote }),
+            'Discrepancy resolved'
+        );
+    };
+
+    const handleReassign = () => {
+        if (!reassignTo) return;
+        runReviewAction(
+            () => api.patch(`/peer-review/${viewingReview._id}/reassign`, { reviewerId: reassignTo }),
+            'Peer review reassigned'
+        );
+    };
+
+    const handleCancel = () => {
+        if (!window.confirm('Cancel this peer review?')) return;
+        runReviewAction(
+            () => api.patch(`/peer-review/${viewingReview._id}/cancel`),
+            'Peer review cancelled'
+        );
+    };
+
+    const handleSaveSettings = async (e) => {
+        e.preventDefault();
+        try {
+            setSavingSettings(true);
+            const response = await api.put('/peer-review/settings', {
+                isEnabled: settings.isEnabled,
+                samplePercent: Number(settings.samplePercent),
+                newDoctorDays: Number(settings.newDoctorDays),
+                dueDays: Number(settings.dueDays),
+                modalities: settings.modalities,
+                reviewers: settings.reviewers,
+                notifyAdminsOnDiscrepancy: settings.notifyAdminsOnDiscrepancy
+            });
+            if (response.data.success) {
+                setSettings(response.data.data);
+                toast.success('Peer review settings saved');
+            }
+        } catch (error) {
+            console.error('Error saving peer review settings:', error);
+            toast.error(error.response?.data?.message || 'Failed to save peer review settings');
+        } finally {
+            setSavingSettings(false);
+        }
+    };
+
+    const toggleSettingsList = (field, value) => {
+        setSettings(prev => {
+            const values = (prev[field] || []).map(String);
+            return {
+                ...prev,
+                [field]: values.includes(String(value)) ? values.filter(item => item !== String(value)) : [...values, String(value)]
+            };
+        });
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="mb-6">
+                        <h1 className="text-2xl font-bold text-gray-900">Peer Review &amp; QA</h1>
+                        <p className="text-gray-600">
+                            Finalized reports sampled for a second read, scored RADPEER-style from 1 (concur) to 4 (major discrepancy).
+                        </p>
+                    </div>
+
+                    {/* Tabs */}
+                    <div className="flex space-x-1 border-b border-gray-200 mb-6">
+                        {TABS.map(tab => (
+                            <button
+                                key={tab.key}
+                                onClick={() => setActiveTab(tab.key)}
+                                className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${activeTab === tab.key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+                            >
+                                {tab.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {activeTab === 'dashboard' && (
+                        <>
+                            <div className="flex flex-wrap items-center gap-2 mb-4">
+                                <input
+                                    type="date"
+                                    value={range.from}
+                                    onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                                <span className="text-sm text-gray-500">to</span>
+                                <input
+                                    type="date"
+                                    value={range.to}
+                                    onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                            </div>
+
+                            {loadingDashboard && !dashboard ? (
+                                <div className="text-center text-gray-500 py-8">Loading QA dashboard...</div>
+                            ) : dashboard && (
+                                <div className="space-y-6">
+                                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                                        {[
+                                            ['Reviewed', dashboard.totals.reviewed],
+                                            ['Discrepancies', dashboard.totals.discrepancies],
+                                            ['Discrepancy Rate', `${dashboard.totals.discrepancyRate}%`],
+                                            ['Clinically Significant', dashboard.totals.significant],
+                                            ['Unresolved', dashboard.totals.unresolved]
+                                        ].map(([title, value]) => (
+                                            <div key={title} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                                                <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">{title}</div>
+                                                <div className="mt-1 text-2xl font-bold text-gray-900">{value}</div>
+                                            </div>
+                                        ))}
+                                    </div>
+
+                                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                                        <div className="px-4 py-3 border-b border-gray-200">
+                                            <h2 className="text-lg font-semibold text-gray-900">By Reporting Doctor</h2>
+                                        </div>
+                                        <table className="min-w-full divide-y divide-gray-200">
+                                            <thead className="bg-gray-50">
+                                                <tr>
+                                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Reviewed</th>
+                                                    {[1, 2, 3, 4].map(score => (
+                                                        <th key={score} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Score {score}</th>
+                                                    ))}
+                                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Discrepancy Rate</th>
+                                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Significant</th>
+                                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unresolved</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="bg-white divide-y divide-gray-200">
+                                                {dashboard.doctors.length === 0 ? (
+                                                    <tr>
+                                                        <td colSpan="9" className="px-4 py-8 text-center text-gray-500">No reviews completed in this period</td>
+                                                    </tr>
+                                                ) : dashboard.doctors.map(doctor => (
+                                                    <tr key={doctor.doctor}>
+                                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                                            <button onClick={() => showDoctorReviews(doctor.doctor)} className="text-blue-600 hover:text-blue-800">
+                                                                {doctor.doctorName}
+                                                            </button>
+                                                        </td>
+                                                        <td className="px-4 py-3 text-sm text-right text-gray-700">{doctor.reviewed}</td>
+                                                        {[1, 2, 3, 4].map(score => (
+                                                            <td key={score} className="px-4 py-3 text-sm text-right text-gray-700">{doctor.scores[score]}</td>
+                                                        ))}
+                                                        <td className={`px-4 py-3 text-sm text-right font-medium ${doctor.discrepancyRate > 5 ? 'text-red-600' : 'text-gray-900'}`}>
+                                                            {doctor.discrepancyRate}%
+                                                        </td>
+                                                        <td className="px-4 py-3 text-sm text-right text-gray-700">{doctor.significant}</td>
+                                                        <td className="px-4 py-3 text-sm text-right">
+                                                            {doctor.unresolved > 0 ? (
+                                                                <button onClick={() => showDoctorReviews(doctor.doctor, 'unresolved')} className="text-red-600 hover:text-red-800">
+                                                                    {doctor.unresolved}
+                                                                </button>
+                                                            ) : <span className="text-gray-400">0</span>}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+
+                                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                                        <div className="px-4 py-3 border-b border-gray-200">
+                                            <h2 className="text-lg font-semibold text-gray-900">Reviewer Queues</h2>
+                                        </div>
+                                        <table className="min-w-full divide-y divide-gray-200">
+                                            <thead className="bg-gray-50">
+                                                <tr>
+                                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reviewer</th>
+                                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Pending</th>
+                                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Overdue</th>
+                                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Oldest Assigned</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody className="bg-white divide-y divide-gray-200">
+                                                {dashboard.reviewers.length === 0 ? (
+                                                    <tr>
+                                                        <td colSpan="4" className="px-4 py-8 text-center text-gray-500">No pending reviews</td>
+                                                    </tr>
+                                                ) : dashboard.reviewers.map(reviewer => (
+                                                    <tr key={reviewer.doctor}>
+                                                        <td className="px-4 py-3 text-sm text-gray-900">{reviewer.doctorName}</td>
+                                                        <td className="px-4 py-3 text-sm text-right text-gray-700">{reviewer.pending}</td>
+                                                        <td className={`px-4 py-3 text-sm text-right ${reviewer.overdue ? 'text-red-600 font-medium' : 'text-gray-700'}`}>{reviewer.overdue}</td>
+                                                        <td className="px-4 py-3 text-sm text-right text-gray-700">{formatDate(reviewer.oldestAssignedAt)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+                        </>
+                    )}
+
+                    {activeTab === 'reviews' && (
+                        <>
+                            <div className="flex flex-wrap items-center gap-2 mb-4">
+                                <select
+                                    value={reviewFilters.status}
+                                    onChange={(e) => {
+                                        setReviewFilters(prev => ({ ...prev, status: e.target.value }));
+                                        setReviewPage(1);
+                                    }}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                >
+                                    <option value="">All statuses</option>
+                                    <option value="pending">Pending</option>
+                                    <option value="completed">Completed</option>
+                                    <option value="cancelled">Cancelled</option>
+                                </select>
+                                <select
+                                    value={reviewFilters.discrepancy}
+                                    onChange={(e) => {
+                                        setReviewFilters(prev => ({ ...prev, discrepancy: e.target.value }));
+                                        setReviewPage(1);
+                                    }}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                >
+                                    <option value="">Any discrepancy state</option>
+                                    <option value="unresolved">Unresolved</option>
+                                    <option value="open">Open</option>
+                                    <option value="acknowledged">Acknowledged</option>
+                                    <option value="resolved">Resolved</option>
+                                    <option value="none">No discrepancy</option>
+                                </select>
+                                <select
+                                    value={reviewFilters.reporterId}
+                                    onChange={(e) => {
+                                        setReviewFilters(prev => ({ ...prev, reporterId: e.target.value }));
+                                        setReviewPage(1);
+                                    }}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                >
+                                    <option value="">All reporting doctors</option>
+                                    {doctors.map(doctor => (
+                                        <option key={doctor._id} value={doctor.userId}>{doctor.fullName}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reporter</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reviewer</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Score</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discrepancy</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {loadingReviews ? (
+                                            <tr>
+                                                <td colSpan="8" className="px-4 py-8 text-center text-gray-500">Loading reviews...</td>
+                                            </tr>
+                                        ) : reviews.length === 0 ? (
+                                            <tr>
+                                                <td colSpan="8" className="px-4 py-8 text-center text-gray-500">No peer reviews found</td>
+                                            </tr>
+                                        ) : reviews.map(review => (
+                                            <tr key={review._id}>
+                                                <td className="px-4 py-3 text-sm text-gray-900">
+                                                    {review.patientName || '-'}
+                                                    <div className="text-xs text-gray-500">{review.modality} {review.accessionNumber && `- ${review.accessionNumber}`}</div>
+                                                </td>
+                                                <td className="px-4 py-3 text-sm text-gray-700">{review.originalReporter?.fullName || '-'}</td>
+                                                <td className="px-4 py-3 text-sm text-gray-700">{review.reviewer?.fullName || '-'}</td>
+                                                <td className="px-4 py-3 text-xs text-gray-600">{REASON_LABELS[review.selectionReason]}</td>
+                                                <td className="px-4 py-3 text-xs text-gray-700">
+                                                    {review.status}
+                                                    {review.status === 'pending' && review.dueAt && (
+                                                        <div className={new Date(review.dueAt) < new Date() ? 'text-red-600' : 'text-gray-500'}>due {formatDate(review.dueAt)}</div>
+                                                    )}
+                                                </td>
+                                                <td className="px-4 py-3 text-xs">
+                                                    {review.score ? (
+                                                        <span className={`px-2 py-1 rounded-full font-medium ${SCORE_STYLES[review.score]}`}>
+                                                            {review.score}{review.clinicallySignificant ? ' (sig.)' : ''}
+                                                        </span>
+                                                    ) : '-'}
+                                                </td>
+                                                <td className="px-4 py-3 text-xs">
+                                                    {review.discrepancy?.status && review.discrepancy.status !== 'none' ? (
+                                                        <span className={`px-2 py-1 rounded-full font-medium ${DISCREPANCY_STYLES[review.discrepancy.status]}`}>
+                                                            {review.discrepancy.status}
+                                                        </span>
+                                                    ) : '-'}
+                                                </td>
+                                                <td className="px-4 py-3 text-sm text-right">
+                                                    <button onClick={() => openReview(review)} className="text-blue-600 hover:text-blue-800">View</button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {reviewPagination.totalPages > 1 && (
+                                    <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                                        <span>Page {reviewPagination.currentPage} of {reviewPagination.totalPages} ({reviewPagination.totalRecords} reviews)</span>
+                                        <div className="space-x-2">
+                                            <button
+                                                onClick={() => setReviewPage(page => page - 1)}
+                                                disabled={reviewPage <= 1}
+                                                className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                            >
+                                                Previous
+                                            </button>
+                                            <button
+                                                onClick={() => setReviewPage(page => page + 1)}
+                                                disabled={reviewPage >= reviewPagination.totalPages}
+                                                className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                            >
+                                                Next
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        </>
+                    )}
+
+                    {activeTab === 'settings' && settings && (
+                        <form onSubmit={handleSaveSettings} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-6 max-w-3xl">
+                            <label className="flex items-center text-sm font-medium text-gray-900">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.isEnabled}
+                                    onChange={(e) => setSettings(prev => ({ ...prev, isEnabled: e.target.checked }))}
+                                    className="mr-2"
+                                />
+                                Sample finalized reports for peer review
+                            </label>
+
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Sample percentage</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="100"
+                                        step="0.1"
+                                        value={settings.samplePercent}
+                                        onChange={(e) => setSettings(prev => ({ ...prev, samplePercent: e.target.value }))}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Review everything from doctors newer than (days)</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        value={settings.newDoctorDays}
+                                        onChange={(e) => setSettings(prev => ({ ...prev, newDoctorDays: e.target.value }))}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">0 turns this off.</p>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Review due within (days)</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={settings.dueDays}
+                                        onChange={(e) => setSettings(prev => ({ ...prev, dueDays: e.target.value }))}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Modalities (none selected = all)</label>
+                                <div className="flex flex-wrap gap-3">
+                                    {MODALITIES.map(modality => (
+                                        <label key={modality} className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={(settings.modalities || []).includes(modality)}
+                                                onChange={() => toggleSettingsList('modalities', modality)}
+                                            />
+                                            <span>{modality}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Reviewers (none selected = any active doctor)</label>
+                                <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                                    {doctors.map(doctor => (
+                                        <label key={doctor._id} className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={(settings.reviewers || []).map(String).includes(String(doctor._id))}
+                                                onChange={() => toggleSettingsList('reviewers', doctor._id)}
+                                            />
+                                            <span>{doctor.fullName}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <label className="flex items-center text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.notifyAdminsOnDiscrepancy}
+                                    onChange={(e) => setSettings(prev => ({ ...prev, notifyAdminsOnDiscrepancy: e.target.checked }))}
+                                    className="mr-2"
+                                />
+                                Notify admins when a review finds a discrepancy
+                            </label>
+
+                            <div className="flex justify-end">
+                                <button
+                                    type="submit"
+                                    disabled={savingSettings}
+                                    className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                                >
+                                    {savingSettings ? 'Saving...' : 'Save Settings'}
+                                </button>
+                            </div>
+                        </form>
+                    )}
+                </div>
+            </div>
+
+            {/* Review Detail Modal */}
+            {viewingReview && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{viewingReview.patientName || 'Peer Review'}</h2>
+                            <p className="text-sm text-gray-600">
+                                {viewingReview.modality} {viewingReview.examDescription} - reported by {viewingReview.originalReporter?.fullName}, reviewed by {viewingReview.reviewer?.fullName}
+                            </p>
+                        </div>
+                        <div className="px-6 py-4 space-y-4 text-sm">
+                            {viewingReview.status === 'completed' && (
+                                <div>
+                                    <div className="font-medium text-gray-900">Score {viewingReview.score}{viewingReview.clinicallySignificant ? ' - clinically significant' : ''}</div>
+                                    <p className="text-gray-700 whitespace-pre-wrap mt-1">{viewingReview.comments || 'No comments'}</p>
+                                </div>
+                            )}
+                            {viewingReview.discrepancy?.reporterResponse && (
+                                <div>
+                                    <div className="font-medium text-gray-900">Reporter response</div>
+                                    <p className="text-gray-700 whitespace-pre-wrap mt-1">{viewingReview.discrepancy.reporterResponse}</p>
+                                </div>
+                            )}
+                            {viewingReview.discrepancy?.status === 'resolved' && (
+                                <div>
+                                    <div className="font-medium text-gray-900">
+                                        Resolved {formatDate(viewingReview.discrepancy.resolvedAt)}
+                                        {viewingReview.discrepancy.resolvedBy && ` by ${viewingReview.discrepancy.resolvedBy.fullName}`}
+                                    </div>
+                                    <p className="text-gray-700 whitespace-pre-wrap mt-1">{viewingReview.discrepancy.resolutionNote}</p>
+                                </div>
+                            )}
+                            {['open', 'acknowledged'].includes(viewingReview.discrepancy?.status) && (
+                                <div>
+                                    <label className="block font-medium text-gray-900 mb-1">Resolution note</label>
+                                    <textarea
+                                        rows="3"
+                                        value={resolutionNote}
+                                        onChange={(e) => setResolutionNote(e.target.value)}
+                                        placeholder="e.g. Addendum issued, discussed at QA meeting"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                    <div className="flex justify-end mt-2">
+                                        <button onClick={handleResolve} className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700">
+                                            Resolve Discrepancy
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                            {viewingReview.status === 'pending' && (
+                                <div className="flex items-center space-x-2">
+                                    <select
+                                        value={reassignTo}
+                                        onChange={(e) => setReassignTo(e.target.value)}
+                                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    >
+                                        <option value="">Reassign to...</option>
+                                        {doctors
+                                            .filter(doctor => String(doctor.userId) !== String(viewingReview.originalReporter?._id))
+                                            .map(doctor => (
+                                                <option key={doctor._id} value={doctor.userId}>{doctor.fullName}</option>
+                                            ))}
+                                    </select>
+                                    <button onClick={handleReassign} disabled={!reassignTo} className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+                                        Reassign
+                                    </button>
+                                    <button onClick={handleCancel} className="px-4 py-2 text-red-600 border border-red-200 rounded-lg text-sm hover:bg-red-50">
+                                        Cancel Review
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end">
+                            <button onClick={() => setViewingReview(null)} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PeerReview;
@@ -0,0 +1,461 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format, subDays, subMonths } from 'date-fns';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+import ProductivityDetail from '../../components/productivity/ProductivityDetail';
+
+const MODALITIES = ['CT', 'MRI', 'XR', 'US', 'DX', 'CR', 'MG', 'NM', 'PT'];
+
+const TABS = [
+    { key: 'doctors', label: 'Doctors' },
+    { key: 'weights', label: 'RVU Weights' }
+];
+
+const EMPTY_WEIGHT = {
+    modality: 'CT',
+    examPattern: '',
+    rvu: 1,
+    isActive: true,
+    notes: ''
+};
+
+const formatMinutes = (minutes) => {
+    if (minutes === null || minutes === undefined) return '-';
+    if (minutes < 60) return `${Math.round(minutes)}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${Math.round(minutes % 60)}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const downloadBlob = async (url, fileName, params) => {
+    const response = await api.get(url, { params, responseType: 'blob' });
+    const blob = new Blob([response.data], { type: 'application/pdf' });
+    const objectUrl = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = objectUrl;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(objectUrl);
+    document.body.removeChild(a);
+};
+
+const Productivity = () => {
+    const [activeTab, setActiveTab] = useState('doctors');
+    const [labs, setLabs] = useState([]);
+    const [filters, setFilters] = useState({
+        from: format(subDays(new Date(), 29), 'yyyy-MM-dd'),
+        to: format(new Date(), 'yyyy-MM-dd'),
+        labId: ''
+    });
+    const [statementMonth, setStatementMonth] = useState(format(subMonths(new Date(), 1), 'yyyy-MM'));
+
+    // Doctors
+    const [doctors, setDoctors] = useState([]);
+    const [loadingDoctors, setLoadingDoctors] = useState(false);
+    const [selectedDoctor, setSelectedDoctor] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [loadingDetail, setLoadingDetail] = useState(false);
+
+    // RVU weights
+    const [weights, setWeights] = useState([]);
+    const [editingWeight, setEditingWeight] = useState(null);
+    const [weightForm, setWeightForm] = useState(EMPTY_WEIGHT);
+
+    useEffect(() => {
+        const fetchLabs = async () => {
+            try {
+                const response = await api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } });
+                if (response.data.success) {
+                    setLabs(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching labs:', error);
+            }
+        };
+        fetchLabs();
+    }, []);
+
+    const fetchDoctors = useCallback(async () => {
+        try {
+            setLoadingDoctors(true);
+            const response = await api.get('/productivity', {
+                params: {
+                    from: filters.from || undefined,
+                    to: filters.to || undefined,
+                    labId: filters.labId || undefined
+                }
+            });
+            if (response.data.success) {
+                setDoctors(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching productivity:', error);
+            toast.error(error.response?.data?.message || 'Failed to fetch productivity');
+        } finally {
+            setLoadingDoctors(false);
+        }
+    }, [filters]);
+
+    const fetchDetail = useCallback(async () => {
+        if (!selectedDoctor) return;
+        try {
+            setLoadingDetail(true);
+            const response = await api.get(`/productivity/doctors/${selectedDoctor.doctor}`, {
+                params: { from: filters.from || undefined, to: filters.to || undefined }
+            });
+            if (response.data.success) {
+                setDetail(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching doctor productivity:', error);
+            toast.error(error.response?.data?.message || 'Failed to fetch doctor productivity');
+        } finally {
+            setLoadingDetail(false);
+        }
+    }, [selectedDoctor, filters.from, filters.to]);
+
+    const fetchWeights = useCallback(async () => {
+        try {
+            const response = await api.get('/productivity/rvu-weights');
+            if (response.data.success) {
+                setWeights(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching RVU weights:', error);
+            toast.error('Failed to fetch RVU weights');
+        }
+    }, []);
+
+    useEffect(() => {
+        if (activeTab === 'doctors') fetchDoctors();
+        if (activeTab === 'weights') fetchWeights();
+    }, [activeTab, fetchDoctors, fetchWeights]);
+
+    useEffect(() => {
+        fetchDetail();
+    }, [fetchDetail]);
+
+    const handleStatementPdf = async (doctor) => {
+        try {
+            await downloadBlob(
+                `/productivity/doctors/${doctor.doctor}/statement`,
+                `Statement_${doctor.doctorName.replace(/[^a-zA-Z0-9]/g, '_')}_${statementMonth}.pdf`,
+                { month: statementMonth }
+            );
+        } catch (error) {
+            console.error('Error downloading statement:', error);
+            toast.error('Failed to download statement');
+        }
+    };
+
+    // ------------------------------------------------------------- RVU weights
+    const openWeightForm = (weight = null) => {
+        setEditingWeight(weight || {});
+        setWeightForm(weight ? {
+            modality: weight.modality,
+            examPattern: weight.examPattern || '',
+            rvu: weight.rvu,
+            isActive: weight.isActive,
+            notes: weight.notes || ''
+        } : EMPTY_WEIGHT);
+    };
+
+    const handleSaveWeight = async (e) => {
+        e.preventDefault();
+        try {
+            const payload = { ...weightForm, rvu: Number(weightForm.rvu) };
+            if (editingWeight._id) {
+                await api.put(`/productivity/rvu-weights/${editingWeight._id}`, payload);
+                toast.success('RVU weight updated');
+            } else {
+                await api.post('/productivity/rvu-weights', payload);
+                toast.success('RVU weight created');
+            }
+            setEditingWeight(null);
+            fetchWeights();
+        } catch (error) {
+            console.error('Error saving RVU weight:', error);
+            toast.error(error.response?.data?.message || 'Failed to save RVU weight');
+        }
+    };
+
+    const handleDeleteWeight = async (weight) => {
+        if (!window.confirm(`Delete the ${weight.modality}${weight.examPattern ? ` "${weight.examPattern}"` : ''} weight?`)) return;
+        try {
+            await api.delete(`/productivity/rvu-weights/${weight._id}`);
+            toast.success('RVU weight deleted');
+            fetchWeights();
+        } catch (error) {
+            console.error('Error deleting RVU weight:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete RVU weight');
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Radiologist Productivity</h1>
+                            <p className="text-gray-600">
+                                Reports finalized, RVU-weighted output, reading time and revision rate per doctor.
+                            </p>
+                        </div>
+                        <div className="mt-4 sm:mt-0 flex items-center space-x-2">
+                            <label className="text-sm text-gray-600">Statement month</label>
+                            <input
+                                type="month"
+                                value={statementMonth}
+                                onChange={(e) => setStatementMonth(e.target.value)}
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                        </div>
+                    </div>
+
+                    {/* Tabs */}
+                    <div className="flex space-x-1 border-b border-gray-200 mb-6">
+                        {TABS.map(tab => (
+                            <button
+                                key={tab.key}
+                                onClick={() => setActiveTab(tab.key)}
+                                className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${activeTab === tab.key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+                            >
+                                {tab.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {activeTab === 'doctors' && (
+                        <>
+                            <div className="flex flex-wrap items-center gap-2 mb-4">
+                                <input
+                                    type="date"
+                                    value={filters.from}
+                                    onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                                <span className="text-sm text-gray-500">to</span>
+                                <input
+                                    type="date"
+                                    value={filters.to}
+                                    onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                                <select
+                                    value={filters.labId}
+                                    onChange={(e) => setFilters(prev => ({ ...prev, labId: e.target.value }))}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                >
+                                    <option value="">All labs</option>
+                                    {labs.map(lab => (
+                                        <option key={lab._id} value={lab._id}>{lab.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Finalized</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">RVU</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Reports / Day</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Median Reading</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Revision Rate</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {loadingDoctors ? (
+                                            <tr>
+                                                <td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading productivity...</td>
+                                            </tr>
+                                        ) : doctors.length === 0 ? (
+                                            <tr>
+                                                <td colSpan="7" className="px-4 py-8 text-center text-gray-500">No reports finalized in this period</td>
+                                            </tr>
+                                        ) : doctors.map(doctor => (
+                                            <tr key={doctor.doctor} className={selectedDoctor?.doctor === doctor.doctor ? 'bg-blue-50' : ''}>
+                                                <td className="px-4 py-3 text-sm text-gray-900">
+                                                    {doctor.doctorName}
+                                                    {doctor.email && <div className="text-xs text-gray-500">{doctor.email}</div>}
+                                                </td>
+                                                <td className="px-4 py-3 text-sm text-right text-gray-700">{doctor.finalized}</td>
+                                                <td className="px-4 py-3 text-sm text-right font-medium text-gray-900">{doctor.rvu}</td>
+                                                <td className="px-4 py-3 text-sm text-right text-gray-700">{doctor.reportsPerDay}</td>
+                                                <td className="px-4 py-3 text-sm text-right text-gray-700">{formatMinutes(doctor.readingTime.median)}</td>
+                                                <td className="px-4 py-3 text-sm text-right text-gray-700">{doctor.revisionRate}%</td>
+                                                <td className="px-4 py-3 text-sm text-right space-x-3">
+                                                    <button onClick={() => setSelectedDoctor(doctor)} className="text-blue-600 hover:text-blue-800">Details</button>
+                                                    <button onClick={() => handleStatementPdf(doctor)} className="text-gray-600 hover:text-gray-900">Statement</button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            {selectedDoctor && (
+                                <div>
+                                    <div className="flex items-center justify-between mb-4">
+                                        <h2 className="text-lg font-semibold text-gray-900">{selectedDoctor.doctorName}</h2>
+                                        <button
+                                            onClick={() => {
+                                                setSelectedDoctor(null);
+                                                setDetail(null);
+                                            }}
+                                            className="text-sm text-gray-600 hover:text-gray-900"
+                                        >
+                                            Close
+                                        </button>
+                                    </div>
+                                    {loadingDetail && !detail ? (
+                                        <div className="text-center text-gray-500 py-8">Loading details...</div>
+                                    ) : (
+                                        <ProductivityDetail productivity={detail} />
+                                    )}
+                                </div>
+                            )}
+                        </>
+                    )}
+
+                    {activeTab === 'weights' && (
+                        <>
+                            <div className="flex items-center justify-between mb-4">
+                                <p className="text-sm text-gray-600">
+                                    Weights with an exam pattern apply to studies whose description contains it and win over the plain modality weight. Unweighted studies count as 1 RVU.
+                                </p>
+                                <button
+                                    onClick={() => openWeightForm()}
+                                    className="ml-4 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 whitespace-nowrap"
+                                >
+                                    Add Weight
+                                </button>
+                            </div>
+                            <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Modality</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Exam Pattern</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">RVU</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {weights.length === 0 ? (
+                                            <tr>
+                                                <td colSpan="6" className="px-4 py-8 text-center text-gray-500">No RVU weights configured - every study counts as 1 RVU</td>
+                                            </tr>
+                                        ) : weights.map(weight => (
+                                            <tr key={weight._id}>
+                                                <td className="px-4 py-3 text-sm text-gray-900">{weight.modality}</td>
+                                                <td className="px-4 py-3 text-sm text-gray-700">{weight.examPattern || <span className="text-gray-400">Any</span>}</td>
+                                                <td className="px-4 py-3 text-sm text-right font-medium text-gray-900">{weight.rvu}</td>
+                                                <td className="px-4 py-3 text-xs">
+                                                    <span className={`px-2 py-1 rounded-full font-medium ${weight.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                                                        {weight.isActive ? 'Active' : 'Inactive'}
+                                                    </span>
+                                                </td>
+                                                <td className="px-4 py-3 text-sm text-gray-600">{weight.notes}</td>
+                                                <td className="px-4 py-3 text-sm text-right space-x-3">
+                                                    <button onClick={() => openWeightForm(weight)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                                                    <button onClick={() => handleDeleteWeight(weight)} className="text-red-600 hover:text-red-800">Delete</button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {/* RVU Weight Modal */}
+            {editingWeight && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSaveWeight} className="bg-white rounded-lg shadow-xl max-w-md w-full">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{editingWeight._id ? 'Edit RVU Weight' : 'Add RVU Weight'}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Modality</label>
+                                <select
+                                    value={weightForm.modality}
+                                    onChange={(e) => setWeightForm(prev => ({ ...prev, modality: e.target.value }))}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                >
+                                    {MODALITIES.map(modality => (
+                                        <option key={modality} value={modality}>{modality}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Exam pattern (optional)</label>
+                                <input
+                                    type="text"
+                                    value={weightForm.examPattern}
+                                    onChange={(e) => setWeightForm(prev => ({ ...prev, examPattern: e.target.value }))}
+                                    placeholder="e.g. brain"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">RVU</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="0.01"
+                                    required
+                                    value={weightForm.rvu}
+                                    onChange={(e) => setWeightForm(prev => ({ ...prev, rvu: e.target.value }))}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <input
+                                    type="text"
+                                    value={weightForm.notes}
+                                    onChange={(e) => setWeightForm(prev => ({ ...prev, notes: e.target.value }))}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                            </div>
+                            <label className="flex items-center text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={weightForm.isActive}
+                                    onChange={(e) => setWeightForm(prev => ({ ...prev, isActive: e.target.checked }))}
+                                    className="mr-2"
+                                />
+                                Active
+                            </label>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setEditingWeight(null)} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                Cancel
+                            </button>
+                            <button type="submit" className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                                Save
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Productivity;
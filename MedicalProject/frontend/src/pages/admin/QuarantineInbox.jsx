@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+// Rule types that can be prefilled from what we know about a quarantined study
+const RULE_SOURCES = [
+    { value: 'calling_ae_title', label: 'Calling AE Title', read: (study) => study.labRouting?.callingAETitle },
+    { value: 'institution_name', label: 'Institution Name', read: (study) => study.institutionName },
+    { value: 'station_name', label: 'Station Name', read: (study) => study.labRouting?.stationName }
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const firstAvailableSource = (study) => RULE_SOURCES.find(source => source.read(study)) || RULE_SOURCES[0];
+
+const QuarantineInbox = () => {
+    const [studies, setStudies] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [pagination, setPagination] = useState({
+        currentPage: 1,
+        totalPages: 1,
+        totalRecords: 0,
+        limit: 20
+    });
+    const [labs, setLabs] = useState([]);
+    const [selectedStudy, setSelectedStudy] = useState(null);
+    const [assignForm, setAssignForm] = useState({ labId: '', notes: '', createRule: false, matchType: '', pattern: '' });
+    const [actionInFlight, setActionInFlight] = useState(false);
+
+    const fetchStudies = useCallback(async (page = 1) => {
+        try {
+            setLoading(true);
+            const response = await api.get('/lab-routing/quarantine', {
+                params: {
+                    page,
+                    limit: pagination.limit,
+                    search: searchTerm || undefined
+                }
+            });
+
+            if (response.data.success) {
+                setStudies(response.data.data);
+                setPagination(response.data.pagination);
+            }
+        } catch (error) {
+            console.error('Error fetching quarantined studies:', error);
+            toast.error('Failed to fetch quarantined studies');
+        } finally {
+            setLoading(false);
+        }
+    }, [searchTerm, pagination.limit]);
+
+    useEffect(() => {
+        fetchStudies(1);
+    }, [fetchStudies]);
+
+    useEffect(() => {
+        const fetchLabs = async () => {
+            try {
+                const response = await api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } });
+                if (response.data.success) {
+                    setLabs(response.data.data.filter(lab => lab.identifier !== 'QUARANTINE'));
+                }
+            } catch (error) {
+                console.error('Error fetching labs:', error);
+            }
+        };
+        fetchLabs();
+    }, []);
+
+    const openAssign = (study) => {
+        const source = firstAvailableSource(study);
+        setSelectedStudy(study);
+        setAssignForm({
+            labId: '',
+            notes: '',
+            createRule: false,
+            matchType: source.value,
+            pattern: source.read(study) || ''
+        });
+    };
+
+    const handleMatchTypeChange = (matchType) => {
+        const source = RULE_SOURCES.find(item => item.value === matchType);
+        setAssignForm(prev => ({ ...prev, matchType, pattern: source?.read(selectedStudy) || '' }));
+    };
+
+    const handleAssign = async (e) => {
+        e.preventDefault();
+        if (!assignForm.labId) {
+            toast.error('Select a lab');
+            return;
+        }
+
+        try {
+            setActionInFlight(true);
+            const response = await api.post(`/lab-routing/quarantine/${selectedStudy._id}/assign`, {
+                labId: assignForm.labId,
+                notes: assignForm.notes,
+                createRule: assignForm.createRule
+                    ? { matchType: assignForm.matchType, pattern: assignForm.pattern }
+                    : undefined
+            });
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setSelectedStudy(null);
+                fetchStudies(pagination.currentPage);
+            }
+        } catch (error) {
+            console.error('Error assigning study:', error);
+            toast.error(error.response?.data?.message || 'Failed to assign study');
+        } finally {
+            setActionInFlight(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Quarantine Inbox</h1>
+                            <p className="text-gray-600">
+                                Studies from unrecognised sources. They stay out of worklists until assigned to a lab.
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => fetchStudies(pagination.currentPage)}
+                            className="mt-4 sm:mt-0 inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                        >
+                            Refresh
+                        </button>
+                    </div>
+
+                    {/* Filters */}
+                    <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200 mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                        <input
+                            type="text"
+                            placeholder="Search patient, accession, institution, AE title..."
+                            value={searchTerm}
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                            className="w-full sm:w-96 px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        <p className="text-sm text-gray-600">
+                            <span className="font-semibold text-amber-700">{pagination.totalRecords}</span> studies waiting
+                        </p>
+                    </div>
+
+                    {/* Studies Table */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Study</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quarantined</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {loading ? (
+                                        <tr>
+                                            <td colSpan="5" className="px-4 py-8 text-center text-gray-500">Loading quarantined studies...</td>
+                                        </tr>
+                                    ) : studies.length === 0 ? (
+                                        <tr>
+                                            <td colSpan="5" className="px-4 py-8 text-center text-gray-500">The quarantine inbox is empty</td>
+                                        </tr>
+                                    ) : studies.map((study) => (
+                                        <tr key={study._id}>
+                                            <td className="px-4 py-3 text-sm text-gray-900">
+                                                <div className="font-medium">{study.patientInfo?.patientName || '—'}</div>
+                                                <div className="text-xs text-gray-500">{study.patientId}</div>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-gray-700">
+                                                <div>{(study.modalitiesInStudy || []).join(', ')} · {study.examDescription}</div>
+                                                <div className="text-xs text-gray-500">
+                                                    Acc: {study.accessionNumber || '—'} · {study.seriesImages}
+                                                </div>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-gray-700">
+                                                <div>{study.institutionName || 'Unknown institution'}</div>
+                                                <div className="text-xs font-mono text-gray-500">
+                                                    AET: {study.labRouting?.callingAETitle || '—'} · Station: {study.labRouting?.stationName || '—'}
+                                                </div>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-gray-700">
+                                                {formatDate(study.quarantine?.quarantinedAt || study.createdAt)}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-right">
+                                                <button
+                                                    onClick={() => openAssign(study)}
+                                                    className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+                                                >
+                                                    Assign Lab
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Pagination */}
+                        {pagination.totalPages > 1 && (
+                            <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+                                <p className="text-sm text-gray-600">
+                                    Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalRecords} studies)
+                                </p>
+                                <div className="space-x-2">
+                                    <button
+                                        disabled={pagination.currentPage <= 1}
+                                        onClick={() => fetchStudies(pagination.currentPage - 1)}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Previous
+                                    </button>
+                                    <button
+                                        disabled={pagination.currentPage >= pagination.totalPages}
+                                        onClick={() => fetchStudies(pagination.currentPage + 1)}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Assign Modal */}
+            {selectedStudy && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleAssign} className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">Assign to Lab</h2>
+                            <p className="text-sm text-gray-600">
+                                {selectedStudy.patientInfo?.patientName} · {selectedStudy.institutionName || 'Unknown institution'}
+                            </p>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Lab</label>
+                                <select
+                                    value={assignForm.labId}
+                                    onChange={(e) => setAssignForm(prev => ({ ...prev, labId: e.target.value }))}
+                                    required
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                >
+                                    <option value="">Select a lab</option>
+                                    {labs.map((lab) => (
+                                        <option key={lab._id} value={lab._id}>{lab.name} ({lab.identifier})</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <input
+                                    value={assignForm.notes}
+                                    onChange={(e) => setAssignForm(prev => ({ ...prev, notes: e.target.value }))}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                />
+                            </div>
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={assignForm.createRule}
+                                    onChange={(e) => setAssignForm(prev => ({ ...prev, createRule: e.target.checked }))}
+                                />
+                                <span>Also route future studies from this source to the same lab</span>
+                            </label>
+                            {assignForm.createRule && (
+                                <div className="grid grid-cols-2 gap-4 p-3 bg-gray-50 rounded-lg">
+                                    <div>
+                                        <label className="block text-xs font-medium text-gray-700 mb-1">Match On</label>
+                                        <select
+                                            value={assignForm.matchType}
+                                            onChange={(e) => handleMatchTypeChange(e.target.value)}
+                                            className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                                        >
+                                            {RULE_SOURCES.map(({ value, label }) => (
+                                                <option key={value} value={value}>{label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-xs font-medium text-gray-700 mb-1">Value</label>
+                                        <input
+                                            value={assignForm.pattern}
+                                            onChange={(e) => setAssignForm(prev => ({ ...prev, pattern: e.target.value }))}
+                                            required
+                                            className="w-full px-2 py-1 border border-gray-300 rounded text-sm font-mono"
+                                        />
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setSelectedStudy(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button type="submit" disabled={actionInFlight} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                                {actionInFlight ? 'Assigning...' : 'Assign'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default QuarantineInbox;
@@ -0,0 +1,403 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const CHANNELS = [
+    { value: 'email', label: 'Email' },
+    { value: 'none', label: 'No automatic delivery' }
+];
+
+const EMPTY_PHYSICIAN = {
+    name: '',
+    aliases: '',
+    institution: '',
+    email: '',
+    mobile: '',
+    whatsappNumber: '',
+    preferredChannel: 'email',
+    autoDeliver: true,
+    emailTemplate: 'standard',
+    isActive: true,
+    notes: ''
+};
+
+const ReferringPhysicians = () => {
+    const [physicians, setPhysicians] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [sourceFilter, setSourceFilter] = useState('');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [pagination, setPagination] = useState({
+        currentPage: 1,
+        totalPages: 1,
+        totalRecords: 0,
+        limit: 50
+    });
+    const [editingPhysician, setEditingPhysician] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_PHYSICIAN);
+    const [mergeSource, setMergeSource] = useState(null);
+    const [mergeTargetId, setMergeTargetId] = useState('');
+    const [linking, setLinking] = useState(false);
+
+    const fetchPhysicians = useCallback(async (page = 1) => {
+        try {
+            setLoading(true);
+            const response = await api.get('/referring-physicians', {
+                params: {
+                    page,
+                    limit: pagination.limit,
+                    search: searchTerm || undefined,
+                    source: sourceFilter || undefined,
+                    status: statusFilter || undefined
+                }
+            });
+            if (response.data.success) {
+                setPhysicians(response.data.data);
+                setPagination(response.data.pagination);
+            }
+        } catch (error) {
+            console.error('Error fetching referring physicians:', error);
+            toast.error('Failed to fetch referring physicians');
+        } finally {
+            setLoading(false);
+        }
+    }, [searchTerm, sourceFilter, statusFilter, pagination.limit]);
+
+    useEffect(() => {
+        fetchPhysicians(1);
+    }, [fetchPhysicians]);
+
+    const openEditor = (physician = null) => {
+        setEditingPhysician(physician || {});
+        setFormData(physician ? {
+            name: physician.name,
+            aliases: (physician.aliases || []).join('\n'),
+            institution: physician.institution || '',
+            email: physician.email || '',
+            mobile: physician.mobile || '',
+            whatsappNumber: physician.whatsappNumber || '',
+            preferredChannel: physician.preferredChannel,
+            autoDeliver: physician.autoDeliver,
+            emailTemplate: physician.emailTemplate || 'standard',
+            isActive: physician.isActive,
+            notes: physician.notes || ''
+        } : EMPTY_PHYSICIAN);
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value
+        }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            const response = editingPhysician?._id
+                ? await api.put(`/referring-physicians/${editingPhysician._id}`, formData)
+                : await api.post('/referring-physicians', formData);
+
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setEditingPhysician(null);
+                fetchPhysicians(pagination.currentPage);
+            }
+        } catch (error) {
+            console.error('Error saving referring physician:', error);
+            toast.error(error.response?.data?.message || 'Failed to save referring physician');
+        }
+    };
+
+    const handleDelete = async (physician) => {
+        if (!window.confirm(`Delete ${physician.name}? Linked studies keep the referring name but are unlinked.`)) return;
+        try {
+            const response = await api.delete(`/referring-physicians/${physician._id}`);
+            toast.success(response.data.message);
+            fetchPhysicians(pagination.currentPage);
+        } catch (error) {
+            console.error('Error deleting referring physician:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete referring physician');
+        }
+    };
+
+    const handleMerge = async () => {
+        if (!mergeTargetId) return;
+        try {
+            const response = await api.post(`/referring-physicians/${mergeTargetId}/merge`, { sourceId: mergeSource._id });
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setMergeSource(null);
+                setMergeTargetId('');
+                fetchPhysicians(pagination.currentPage);
+            }
+        } catch (error) {
+            console.error('Error merging referring physicians:', error);
+            toast.error(error.response?.data?.message || 'Failed to merge referring physicians');
+        }
+    };
+
+    const handleLinkStudies = async () => {
+        try {
+            setLinking(true);
+            const response = await api.post('/referring-physicians/link-studies');
+            if (response.data.success) {
+                toast.success(response.data.message);
+                fetchPhysicians(1);
+            }
+        } catch (error) {
+            console.error('Error linking studies:', error);
+            toast.error(error.response?.data?.message || 'Failed to link studies');
+        } finally {
+            setLinking(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Referring Physicians</h1>
+                            <p className="text-gray-600">
+                                Studies are linked by the DICOM referring physician name. Finalized reports go to the linked physician automatically.
+                            </p>
+                        </div>
+                        <div className="mt-4 sm:mt-0 flex space-x-2">
+                            <button
+                                onClick={handleLinkStudies}
+                                disabled={linking}
+                                className="px-4 py-2 border border-gray-300 bg-white text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                {linking ? 'Linking...' : 'Link Existing Studies'}
+                            </button>
+                            <button
+                                onClick={() => openEditor()}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                                Add Physician
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Filters */}
+                    <div className="flex flex-wrap items-center gap-2 mb-4">
+                        <input
+                            type="text"
+                            placeholder="Search name, alias, institution or email"
+                            value={searchTerm}
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                            className="w-80 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <select value={sourceFilter} onChange={(e) => setSourceFilter(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                            <option value="">All entries</option>
+                            <option value="auto">Created from studies</option>
+                            <option value="manual">Added or edited by admin</option>
+                        </select>
+                        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                            <option value="">Any status</option>
+                            <option value="active">Active</option>
+                            <option value="inactive">Inactive</option>
+                        </select>
+                    </div>
+
+                    {/* Directory Table */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Institution</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Delivery</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Studies</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loading ? (
+                                    <tr>
+                                        <td colSpan="6" className="px-4 py-8 text-center text-gray-500">Loading referring physicians...</td>
+                                    </tr>
+                                ) : physicians.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="6" className="px-4 py-8 text-center text-gray-500">No referring physicians found</td>
+                                    </tr>
+                                ) : physicians.map((physician) => (
+                                    <tr key={physician._id} className={physician.isActive ? '' : 'opacity-60'}>
+                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                            <div className="font-medium flex items-center space-x-2">
+                                                <span>{physician.name}</span>
+                                                {physician.source === 'auto' && (
+                                                    <span className="px-2 py-0.5 rounded-full text-xs bg-amber-100 text-amber-800">From study</span>
+                                                )}
+                                            </div>
+                                            {physician.aliases?.length > 0 && (
+                                                <div className="text-xs text-gray-500">Also: {physician.aliases.join(', ')}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">{physician.institution || '-'}</td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            <div>{physician.email || <span className="text-red-600">No email</span>}</div>
+                                            {physician.mobile && <div className="text-xs text-gray-500">Mobile: {physician.mobile}</div>}
+                                            {physician.whatsappNumber && <div className="text-xs text-gray-500">WhatsApp: {physician.whatsappNumber}</div>}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            <div>{CHANNELS.find(channel => channel.value === physician.preferredChannel)?.label}</div>
+                                            <div className="text-xs text-gray-500">{physician.autoDeliver ? 'On finalization' : 'Manual only'}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {physician.studyCount}
+                                            {physician.lastStudyAt && (
+                                                <div className="text-xs text-gray-500">{new Date(physician.lastStudyAt).toLocaleDateString()}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                            <button onClick={() => openEditor(physician)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                                            <button onClick={() => setMergeSource(physician)} className="text-gray-600 hover:text-gray-800">Merge</button>
+                                            <button onClick={() => handleDelete(physician)} className="text-red-600 hover:text-red-800">Delete</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+
+                        {pagination.totalPages > 1 && (
+                            <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+                                <p className="text-sm text-gray-600">
+                                    Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalRecords} physicians)
+                                </p>
+                                <div className="space-x-2">
+                                    <button
+                                        disabled={pagination.currentPage <= 1}
+                                        onClick={() => fetchPhysicians(pagination.currentPage - 1)}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Previous
+                                    </button>
+                                    <button
+                                        disabled={pagination.currentPage >= pagination.totalPages}
+                                        onClick={() => fetchPhysicians(pagination.currentPage + 1)}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Editor Modal */}
+            {editingPhysician && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{editingPhysician._id ? 'Edit Referring Physician' : 'New Referring Physician'}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                    <input name="name" value={formData.name} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Institution</label>
+                                    <input name="institution" value={formData.institution} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Other spellings (one per line)</label>
+                                <textarea name="aliases" value={formData.aliases} onChange={handleChange} rows={3} placeholder="e.g. SMITH^J" className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm" />
+                                <p className="text-xs text-gray-500 mt-1">Studies whose DICOM referring name matches any spelling are linked here. Titles, case and word order are ignored.</p>
+                            </div>
+                            <div className="grid grid-cols-3 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                                    <input type="email" name="email" value={formData.email} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Mobile</label>
+                                    <input name="mobile" value={formData.mobile} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">WhatsApp</label>
+                                    <input name="whatsappNumber" value={formData.whatsappNumber} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Preferred Channel</label>
+                                    <select name="preferredChannel" value={formData.preferredChannel} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        {CHANNELS.map(({ value, label }) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Email Template Key</label>
+                                    <input name="emailTemplate" value={formData.emailTemplate} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono" />
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <input name="notes" value={formData.notes} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                            <div className="flex items-center space-x-6">
+                                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                    <input type="checkbox" name="autoDeliver" checked={formData.autoDeliver} onChange={handleChange} />
+                                    <span>Send reports automatically on finalization</span>
+                                </label>
+                                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                    <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+                                    <span>Active</span>
+                                </label>
+                            </div>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setEditingPhysician(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Save</button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {/* Merge Modal */}
+            {mergeSource && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">Merge {mergeSource.name}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-2">
+                            <p className="text-sm text-gray-600">
+                                Its studies and spellings move to the physician you pick, and this entry is deleted.
+                            </p>
+                            <select value={mergeTargetId} onChange={(e) => setMergeTargetId(e.target.value)} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                <option value="">Merge into...</option>
+                                {physicians.filter(physician => physician._id !== mergeSource._id).map((physician) => (
+                                    <option key={physician._id} value={physician._id}>
+                                        {physician.name}{physician.institution ? ` (${physician.institution})` : ''}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button onClick={() => { setMergeSource(null); setMergeTargetId(''); }} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button onClick={handleMerge} disabled={!mergeTargetId} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">Merge</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReferringPhysicians;
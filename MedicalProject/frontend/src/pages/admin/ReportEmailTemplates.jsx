@@ -0,0 +1,458 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const PLACEHOLDERS = [
+    'patientName', 'patientId', 'accessionNumber', 'studyDate', 'modality',
+    'studyDescription', 'labName', 'referringPhysician', 'doctorName', 'reportLink'
+];
+
+const DISPATCH_STATUSES = ['queued', 'sent', 'delivered', 'bounced', 'failed'];
+
+const STATUS_STYLES = {
+    queued: 'bg-gray-100 text-gray-700',
+    sent: 'bg-blue-100 text-blue-700',
+    delivered: 'bg-green-100 text-green-700',
+    bounced: 'bg-amber-100 text-amber-800',
+    failed: 'bg-red-100 text-red-700'
+};
+
+const EMPTY_TEMPLATE = {
+    key: 'standard',
+    name: '',
+    lab: '',
+    subject: '',
+    htmlBody: '',
+    deliveryMode: 'attachment',
+    isActive: true
+};
+
+const ReportEmailTemplates = () => {
+    const [activeTab, setActiveTab] = useState('templates');
+    const [templates, setTemplates] = useState([]);
+    const [defaultTemplate, setDefaultTemplate] = useState(null);
+    const [labs, setLabs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editingTemplate, setEditingTemplate] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_TEMPLATE);
+
+    const [dispatches, setDispatches] = useState([]);
+    const [dispatchStats, setDispatchStats] = useState({});
+    const [statusFilter, setStatusFilter] = useState('');
+    const [searchTerm, setSearchTerm] = useState('');
+    const [dispatchLoading, setDispatchLoading] = useState(false);
+    const [pagination, setPagination] = useState({
+        currentPage: 1,
+        totalPages: 1,
+        totalRecords: 0,
+        limit: 50
+    });
+
+    const fetchTemplates = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/report-email/templates');
+            if (response.data.success) {
+                setTemplates(response.data.data);
+                setDefaultTemplate(response.data.defaultTemplate);
+            }
+        } catch (error) {
+            console.error('Error fetching email templates:', error);
+            toast.error('Failed to fetch email templates');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const fetchDispatches = useCallback(async (page = 1) => {
+        try {
+            setDispatchLoading(true);
+            const response = await api.get('/report-email/dispatches', {
+                params: {
+                    page,
+                    limit: pagination.limit,
+                    status: statusFilter || undefined,
+                    search: searchTerm || undefined
+                }
+            });
+            if (response.data.success) {
+                setDispatches(response.data.data);
+                setDispatchStats(response.data.stats);
+                setPagination(response.data.pagination);
+            }
+        } catch (error) {
+            console.error('Error fetching report dispatches:', error);
+            toast.error('Failed to fetch report deliveries');
+        } finally {
+            setDispatchLoading(false);
+        }
+    }, [statusFilter, searchTerm, pagination.limit]);
+
+    useEffect(() => {
+        fetchTemplates();
+    }, [fetchTemplates]);
+
+    useEffect(() => {
+        if (activeTab === 'deliveries') {
+            fetchDispatches(1);
+        }
+    }, [activeTab, fetchDispatches]);
+
+    useEffect(() => {
+        const fetchLabs = async () => {
+            try {
+                const response = await api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } });
+                if (response.data.success) {
+                    setLabs(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching labs:', error);
+            }
+        };
+        fetchLabs();
+    }, []);
+
+    const openEditor = (template = null) => {
+        setEditingTemplate(template || {});
+        setFormData(template ? {
+            key: template.key,
+            name: template.name,
+            lab: template.lab?._id || '',
+            subject: template.subject,
+            htmlBody: template.htmlBody,
+            deliveryMode: template.deliveryMode,
+            isActive: template.isActive
+        } : {
+            ...EMPTY_TEMPLATE,
+            name: defaultTemplate?.name || '',
+            subject: defaultTemplate?.subject || '',
+            htmlBody: defaultTemplate?.htmlBody?.trim() || ''
+        });
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value
+        }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            const response = editingTemplate?._id
+                ? await api.put(`/report-email/templates/${editingTemplate._id}`, formData)
+                : await api.post('/report-email/templates', formData);
+
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setEditingTemplate(null);
+                fetchTemplates();
+            }
+        } catch (error) {
+            console.error('Error saving email template:', error);
+            toast.error(error.response?.data?.message || 'Failed to save email template');
+        }
+    };
+
+    const handleDelete = async (template) => {
+        if (!window.confirm(`Delete email template "${template.name}"?`)) return;
+        try {
+            await api.delete(`/report-email/templates/${template._id}`);
+            toast.success('Email template deleted');
+            fetchTemplates();
+        } catch (error) {
+            console.error('Error deleting email template:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete email template');
+        }
+    };
+
+    const handleRetry = async (dispatch) => {
+        const recipientEmail = window.prompt('Send again to:', dispatch.recipientEmail);
+        if (recipientEmail === null) return;
+        try {
+            const response = await api.post(
+                `/report-email/dispatches/${dispatch.studyId}/${dispatch._id}/retry`,
+                { recipientEmail: recipientEmail.trim() || undefined }
+            );
+            if (response.data.success) {
+                toast.success(response.data.message);
+                fetchDispatches(pagination.currentPage);
+            }
+        } catch (error) {
+            console.error('Error retrying report dispatch:', error);
+            toast.error(error.response?.data?.message || 'Failed to retry delivery');
+        }
+    };
+
+    const renderTemplates = () => (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+            <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                    <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Key</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lab</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Delivery</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                    {loading ? (
+                        <tr>
+                            <td colSpan="6" className="px-4 py-8 text-center text-gray-500">Loading email templates...</td>
+                        </tr>
+                    ) : templates.length === 0 ? (
+                        <tr>
+                            <td colSpan="6" className="px-4 py-8 text-center text-gray-500">
+                                No templates yet - the built-in "standard" email is used for every dispatch
+                            </td>
+                        </tr>
+                    ) : templates.map((template) => (
+                        <tr key={template._id} className={template.isActive ? '' : 'opacity-60'}>
+                            <td className="px-4 py-3 text-sm font-mono text-gray-900">{template.key}</td>
+                            <td className="px-4 py-3 text-sm text-gray-900">
+                                <div className="font-medium">{template.name}</div>
+                                <div className="text-xs text-gray-500 truncate max-w-xs">{template.subject}</div>
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-700">
+                                {template.lab ? template.lab.name : <span className="text-gray-500">All labs</span>}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-700 capitalize">{template.deliveryMode}</td>
+                            <td className="px-4 py-3 text-sm">
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${template.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}>
+                                    {template.isActive ? 'Active' : 'Inactive'}
+                                </span>
+                            </td>
+                            <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                <button onClick={() => openEditor(template)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                                <button onClick={() => handleDelete(template)} className="text-red-600 hover:text-red-800">Delete</button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const renderDeliveries = () => (
+        <>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                <button
+                    onClick={() => setStatusFilter('')}
+                    className={`px-3 py-1 rounded-full text-sm ${statusFilter === '' ? 'bg-gray-800 text-white' : 'bg-white border border-gray-300 text-gray-700'}`}
+                >
+                    All
+                </button>
+                {DISPATCH_STATUSES.map((status) => (
+                    <button
+                        key={status}
+                        onClick={() => setStatusFilter(status)}
+                        className={`px-3 py-1 rounded-full text-sm capitalize ${statusFilter === status ? 'bg-gray-800 text-white' : 'bg-white border border-gray-300 text-gray-700'}`}
+                    >
+                        {status}{dispatchStats[status] ? ` (${dispatchStats[status]})` : ''}
+                    </button>
+                ))}
+                <input
+                    type="text"
+                    placeholder="Search recipient, patient or accession"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    className="ml-auto w-72 px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+                />
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Queued</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Template</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {dispatchLoading ? (
+                            <tr>
+                                <td colSpan="6" className="px-4 py-8 text-center text-gray-500">Loading deliveries...</td>
+                            </tr>
+                        ) : dispatches.length === 0 ? (
+                            <tr>
+                                <td colSpan="6" className="px-4 py-8 text-center text-gray-500">No report deliveries found</td>
+                            </tr>
+                        ) : dispatches.map((dispatch) => (
+                            <tr key={dispatch._id}>
+                                <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                                    {dispatch.queuedAt ? new Date(dispatch.queuedAt).toLocaleString() : '-'}
+                                </td>
+                                <td className="px-4 py-3 text-sm text-gray-900">
+                                    <div className="font-medium">{dispatch.patientName}</div>
+                                    <div className="text-xs text-gray-500">{dispatch.patientId} | Acc: {dispatch.accessionNumber}</div>
+                                </td>
+                                <td className="px-4 py-3 text-sm text-gray-700">
+                                    <div>{dispatch.recipientEmail}</div>
+                                    {dispatch.recipientName && <div className="text-xs text-gray-500">{dispatch.recipientName}</div>}
+                                </td>
+                                <td className="px-4 py-3 text-sm text-gray-700">
+                                    <div className="font-mono">{dispatch.template}</div>
+                                    {dispatch.deliveryMode && <div className="text-xs text-gray-500 capitalize">{dispatch.deliveryMode}</div>}
+                                </td>
+                                <td className="px-4 py-3 text-sm">
+                                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[dispatch.status] || STATUS_STYLES.queued}`}>
+                                        {dispatch.status}
+                                    </span>
+                                    {dispatch.statusUpdatedAt && (
+                                        <div className="text-xs text-gray-500 mt-1">{new Date(dispatch.statusUpdatedAt).toLocaleString()}</div>
+                                    )}
+                                    {dispatch.error && (
+                                        <div className="text-xs text-red-600 mt-1 max-w-xs truncate" title={dispatch.error}>{dispatch.error}</div>
+                                    )}
+                                </td>
+                                <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                                    {['failed', 'bounced'].includes(dispatch.status) && (
+                                        <button onClick={() => handleRetry(dispatch)} className="text-blue-600 hover:text-blue-800">Retry</button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                {pagination.totalPages > 1 && (
+                    <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+                        <p className="text-sm text-gray-600">
+                            Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalRecords} deliveries)
+                        </p>
+                        <div className="space-x-2">
+                            <button
+                                disabled={pagination.currentPage <= 1}
+                                onClick={() => fetchDispatches(pagination.currentPage - 1)}
+                                className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                            >
+                                Previous
+                            </button>
+                            <button
+                                disabled={pagination.currentPage >= pagination.totalPages}
+                                onClick={() => fetchDispatches(pagination.currentPage + 1)}
+                                className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </>
+    );
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">Report Email</h1>
+                            <p className="text-gray-600">
+                                Templates used when reports are dispatched to referring physicians, and the delivery log.
+                            </p>
+                        </div>
+                        {activeTab === 'templates' && (
+                            <button
+                                onClick={() => openEditor()}
+                                className="mt-4 sm:mt-0 inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                                Add Template
+                            </button>
+                        )}
+                    </div>
+
+                    {/* Tabs */}
+                    <div className="flex space-x-4 border-b border-gray-200 mb-6">
+                        {[['templates', 'Templates'], ['deliveries', 'Deliveries']].map(([tab, label]) => (
+                            <button
+                                key={tab}
+                                onClick={() => setActiveTab(tab)}
+                                className={`pb-2 text-sm font-medium border-b-2 ${activeTab === tab ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {activeTab === 'templates' ? renderTemplates() : renderDeliveries()}
+                </div>
+            </div>
+
+            {/* Editor Modal */}
+            {editingTemplate && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{editingTemplate._id ? 'Edit Email Template' : 'New Email Template'}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Key</label>
+                                    <input name="key" value={formData.key} onChange={handleChange} required placeholder="e.g. standard" className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                    <input name="name" value={formData.name} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Lab</label>
+                                    <select name="lab" value={formData.lab} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        <option value="">All labs</option>
+                                        {labs.map((lab) => (
+                                            <option key={lab._id} value={lab._id}>{lab.name} ({lab.identifier})</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Delivery</label>
+                                    <select name="deliveryMode" value={formData.deliveryMode} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        <option value="attachment">Attach report</option>
+                                        <option value="link">Secure download link</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+                                <input name="subject" value={formData.subject} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Body (HTML)</label>
+                                <textarea name="htmlBody" value={formData.htmlBody} onChange={handleChange} required rows={12} className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm" />
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Placeholders: {PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}
+                                </p>
+                            </div>
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+                                <span>Active</span>
+                            </label>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setEditingTemplate(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Save</button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReportEmailTemplates;
@@ -0,0 +1,476 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const ALERT_LABELS = {
+    many_ips: 'Many IPs',
+    many_hits: 'Many hits',
+    failed_verifications: 'Failed codes'
+};
+
+const PROTECTION_LABELS = {
+    none: 'Open',
+    pin: 'PIN',
+    otp: 'One-time code'
+};
+
+const ACTION_LABELS = {
+    open: 'Opened',
+    report: 'Report downloaded',
+    download: 'ZIP downloaded',
+    failed_verification: 'Wrong PIN / code'
+};
+
+const formatDateTime = (date) => (date ? format(new Date(date), 'dd MMM yyyy HH:mm') : '-');
+
+const ShareLinks = () => {
+    const [summary, setSummary] = useState(null);
+    const [links, setLinks] = useState([]);
+    const [labs, setLabs] = useState([]);
+    const [creators, setCreators] = useState([]);
+    const [filters, setFilters] = useState({ status: 'active', labId: '', createdBy: '', search: '', flagged: false });
+    const [searchInput, setSearchInput] = useState('');
+    const [page, setPage] = useState(1);
+    const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 1, totalRecords: 0 });
+    const [loading, setLoading] = useState(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [revoking, setRevoking] = useState(false);
+    const [detail, setDetail] = useState(null);
+
+    useEffect(() => {
+        const fetchOptions = async () => {
+            try {
+                const [labsResponse, creatorsResponse] = await Promise.all([
+                    api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } }),
+                    api.get('/sharing/links/creators')
+                ]);
+                if (labsResponse.data.success) setLabs(labsResponse.data.data);
+                if (creatorsResponse.data.success) setCreators(creatorsResponse.data.data);
+            } catch (error) {
+                console.error('Error fetching filter options:', error);
+            }
+        };
+        fetchOptions();
+    }, []);
+
+    const fetchSummary = useCallback(async () => {
+        try {
+            const response = await api.get('/sharing/links/summary');
+            if (response.data.success) {
+                setSummary(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching share link summary:', error);
+        }
+    }, []);
+
+    const fetchLinks = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/sharing/links', {
+                params: {
+                    status: filters.status,
+                    labId: filters.labId || undefined,
+                    createdBy: filters.createdBy || undefined,
+                    search: filters.search || undefined,
+                    flagged: filters.flagged || undefined,
+                    page,
+                    limit: 25
+                }
+            });
+            if (response.data.success) {
+                setLinks(response.data.data);
+                setPagination(response.data.pagination);
+                setSelectedIds([]);
+            }
+        } catch (error) {
+            console.error('Error fetching share links:', error);
+            toast.error('Failed to fetch share links');
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, page]);
+
+    useEffect(() => {
+        fetchSummary();
+    }, [fetchSummary]);
+
+    useEffect(() => {
+        fetchLinks();
+    }, [fetchLinks]);
+
+    const updateFilter = (field, value) => {
+        setFilters(prev => ({ ...prev, [field]: value }));
+        setPage(1);
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        updateFilter('search', searchInput.trim());
+    };
+
+    const revocableIds = links.filter(link => link.isActive).map(link => link._id);
+    const allSelected = revocableIds.length > 0 && revocableIds.every(id => selectedIds.includes(id));
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+    };
+
+    const toggleAll = () => {
+        setSelectedIds(allSelected ? [] : revocableIds);
+    };
+
+    const revokeLinks = async (shareIds) => {
+        if (!shareIds.length) return;
+        if (!window.confirm(`Revoke ${shareIds.length} share link(s)? Recipients will no longer be able to open them.`)) return;
+
+        try {
+            setRevoking(true);
+            const response = await api.post('/sharing/links/revoke', { shareIds });
+            toast.success(response.data.message);
+            setDetail(null);
+            fetchLinks();
+            fetchSummary();
+        } catch (error) {
+            console.error('Error revoking share links:', error);
+            toast.error(error.response?.data?.message || 'Failed to revoke share links');
+        } finally {
+            setRevoking(false);
+        }
+    };
+
+    const openDetail = async (link) => {
+        try {
+            const response = await api.get(`/sharing/links/${link._id}`);
+            if (response.data.success) {
+                setDetail(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching share link:', error);
+            toast.error('Failed to load share link');
+        }
+    };
+
+    const dismissAlerts = async (shareId) => {
+        try {
+            await api.patch(`/sharing/links/${shareId}/alerts/dismiss`);
+            toast.success('Alerts dismissed');
+            setDetail(prev => (prev && prev._id === shareId ? { ...prev, alerts: prev.alerts.map(alert => ({ ...alert, dismissedAt: alert.dismissedAt || new Date() })) } : prev));
+            fetchLinks();
+            fetchSummary();
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to dismiss alerts');
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="mb-6">
+                        <h1 className="text-2xl font-bold text-gray-900">Share Links</h1>
+                        <p className="text-gray-600">
+                            Every study share link across all labs. Links opened from many places or hit with wrong codes are flagged for review.
+                        </p>
+                    </div>
+
+                    {summary && (
+                        <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-6">
+                            {[
+                                ['Active Links', summary.activeLinks],
+                                ['Protected', summary.protectedLinks],
+                                ['Expiring in 24h', summary.expiringSoon],
+                                ['Total Opens', summary.totalAccesses],
+                                ['Accesses (24h)', summary.accessesLastDay],
+                                ['Flagged', summary.flaggedLinks]
+                            ].map(([title, value]) => (
+                                <div key={title} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                                    <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">{title}</div>
+                                    <div className={`mt-1 text-2xl font-bold ${title === 'Flagged' && value > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                                        {title === 'Flagged' && value > 0 ? (
+                                            <button onClick={() => updateFilter('flagged', true)} className="hover:underline">{value}</button>
+                                        ) : value}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Filters */}
+                    <div className="flex flex-wrap items-center gap-2 mb-4">
+                        <select
+                            value={filters.status}
+                            onChange={(e) => updateFilter('status', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        >
+                            <option value="active">Active</option>
+                            <option value="revoked">Revoked</option>
+                            <option value="all">All</option>
+                        </select>
+                        <select
+                            value={filters.labId}
+                            onChange={(e) => updateFilter('labId', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        >
+                            <option value="">All labs</option>
+                            {labs.map(lab => (
+                                <option key={lab._id} value={lab._id}>{lab.name}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={filters.createdBy}
+                            onChange={(e) => updateFilter('createdBy', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        >
+                            <option value="">All creators</option>
+                            {creators.map(creator => (
+                                <option key={creator.value} value={creator.value}>{creator.fullName}</option>
+                            ))}
+                        </select>
+                        <label className="flex items-center gap-1 text-sm text-gray-700 px-2">
+                            <input
+                                type="checkbox"
+                                checked={filters.flagged}
+                                onChange={(e) => updateFilter('flagged', e.target.checked)}
+                            />
+                            Flagged only
+                        </label>
+                        <form onSubmit={handleSearch} className="flex gap-2">
+                            <input
+                                type="text"
+                                value={searchInput}
+                                onChange={(e) => setSearchInput(e.target.value)}
+                                placeholder="Patient, study UID or token"
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm w-64"
+                            />
+                            <button type="submit" className="px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg">Search</button>
+                        </form>
+                        <div className="flex-1" />
+                        <button
+                            onClick={() => revokeLinks(selectedIds)}
+                            disabled={!selectedIds.length || revoking}
+                            className="px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                        >
+                            Revoke Selected ({selectedIds.length})
+                        </button>
+                    </div>
+
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3">
+                                        <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={!revocableIds.length} />
+                                    </th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient / Study</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lab</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created By</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Access</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Opens</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">IPs</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Alerts</th>
+                                    <th className="px-4 py-3"></th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loading && !links.length ? (
+                                    <tr>
+                                        <td colSpan="10" className="px-4 py-8 text-center text-gray-500">Loading share links...</td>
+                                    </tr>
+                                ) : links.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="10" className="px-4 py-8 text-center text-gray-500">No share links match these filters</td>
+                                    </tr>
+                                ) : links.map(link => (
+                                    <tr key={link._id} className={link.openAlerts.length ? 'bg-red-50' : ''}>
+                                        <td className="px-4 py-3 text-center">
+                                            <input
+                                                type="checkbox"
+                                                checked={selectedIds.includes(link._id)}
+                                                onChange={() => toggleSelected(link._id)}
+                                                disabled={!link.isActive}
+                                            />
+                                        </td>
+                                        <td className="px-4 py-3 text-sm">
+                                            <div className="font-medium text-gray-900">{link.patientName || '-'}</div>
+                                            <div className="text-xs text-gray-500">
+                                                {link.modality} {link.patientId ? `• ${link.patientId}` : ''} {link.accessionNumber ? `• Acc# ${link.accessionNumber}` : ''}
+                                            </div>
+                                            <div className="text-xs text-gray-400 font-mono">{link.tokenPreview}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">{link.lab?.name || '-'}</td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            <div>{link.createdBy?.fullName}</div>
+                                            <div className="text-xs text-gray-500">{formatDateTime(link.createdAt)}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            <div>{PROTECTION_LABELS[link.protectionMethod] || link.protectionMethod}</div>
+                                            <div className="text-gray-500">
+                                                {[
+                                                    link.permissions?.viewImages !== false && 'Images',
+                                                    link.permissions?.viewReport && 'Report',
+                                                    link.permissions?.downloadZip && 'ZIP'
+                                                ].filter(Boolean).join(', ')}
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right text-gray-700">
+                                            {link.accessCount}{link.maxAccessCount ? ` / ${link.maxAccessCount}` : ''}
+                                            <div className="text-xs text-gray-500">{link.hitsLastDay} in 24h</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right text-gray-700">{link.distinctIps}</td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {link.isActive ? formatDateTime(link.expiresAt) : (
+                                                <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600">Revoked {formatDateTime(link.revokedAt)}</span>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs">
+                                            <div className="flex flex-wrap gap-1">
+                                                {link.openAlerts.map(alert => (
+                                                    <span key={alert.reason} title={alert.detail} className="px-2 py-0.5 rounded bg-red-100 text-red-700">
+                                                        {ALERT_LABELS[alert.reason] || alert.reason}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-2">
+                                            <button onClick={() => openDetail(link)} className="text-blue-600 hover:text-blue-800">Details</button>
+                                            {link.isActive && (
+                                                <button onClick={() => revokeLinks([link._id])} className="text-red-600 hover:text-red-800">Revoke</button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {pagination.totalPages > 1 && (
+                            <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                                <span>Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalRecords} links)</span>
+                                <div className="space-x-2">
+                                    <button
+                                        onClick={() => setPage(current => current - 1)}
+                                        disabled={page <= 1}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Previous
+                                    </button>
+                                    <button
+                                        onClick={() => setPage(current => current + 1)}
+                                        disabled={page >= pagination.totalPages}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {detail && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{detail.patientName || 'Share Link'}</h2>
+                            <p className="text-sm text-gray-600">
+                                {detail.modality} • created by {detail.createdBy?.fullName} on {formatDateTime(detail.createdAt)} •{' '}
+                                {detail.isActive ? `expires ${formatDateTime(detail.expiresAt)}` : `revoked ${formatDateTime(detail.revokedAt)}${detail.revokedBy ? ` by ${detail.revokedBy.fullName}` : ''}`}
+                            </p>
+                        </div>
+
+                        <div className="px-6 py-4 space-y-5">
+                            {detail.alerts.length > 0 && (
+                                <div>
+                                    <h3 className="text-sm font-semibold text-gray-900 mb-2">Alerts</h3>
+                                    <ul className="space-y-1 text-sm">
+                                        {detail.alerts.map(alert => (
+                                            <li key={alert.reason} className={alert.dismissedAt ? 'text-gray-400' : 'text-red-700'}>
+                                                {ALERT_LABELS[alert.reason] || alert.reason}: {alert.detail} ({formatDateTime(alert.raisedAt)})
+                                                {alert.dismissedAt && ' - dismissed'}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            <div>
+                                <h3 className="text-sm font-semibold text-gray-900 mb-2">By IP Address</h3>
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="text-xs text-gray-500 uppercase">
+                                            <th className="text-left py-1">IP</th>
+                                            <th className="text-right py-1">Hits</th>
+                                            <th className="text-right py-1">Failed</th>
+                                            <th className="text-left py-1 pl-4">Last Seen</th>
+                                            <th className="text-left py-1 pl-4">Browsers</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-100">
+                                        {detail.ips.length === 0 ? (
+                                            <tr><td colSpan="5" className="py-2 text-gray-500">Not opened yet</td></tr>
+                                        ) : detail.ips.map(item => (
+                                            <tr key={item.ip}>
+                                                <td className="py-1 font-mono text-xs">{item.ip}</td>
+                                                <td className="py-1 text-right">{item.hits}</td>
+                                                <td className={`py-1 text-right ${item.failed ? 'text-red-600' : ''}`}>{item.failed}</td>
+                                                <td className="py-1 pl-4">{formatDateTime(item.lastSeen)}</td>
+                                                <td className="py-1 pl-4 text-xs text-gray-500 truncate max-w-xs" title={item.userAgents.join('\n')}>
+                                                    {item.userAgents.length} distinct
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div>
+                                <h3 className="text-sm font-semibold text-gray-900 mb-2">Recent Access</h3>
+                                <ul className="text-xs text-gray-700 space-y-1 max-h-48 overflow-y-auto">
+                                    {detail.accessHistory.map((entry, index) => (
+                                        <li key={index} className={entry.action === 'failed_verification' ? 'text-red-600' : ''}>
+                                            {formatDateTime(entry.accessedAt)} - {ACTION_LABELS[entry.action] || entry.action} from {entry.ip || 'unknown'}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        </div>
+
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            {detail.alerts.some(alert => !alert.dismissedAt) && (
+                                <button
+                                    onClick={() => dismissAlerts(detail._id)}
+                                    className="px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+                                >
+                                    Dismiss Alerts
+                                </button>
+                            )}
+                            {detail.isActive && (
+                                <button
+                                    onClick={() => revokeLinks([detail._id])}
+                                    disabled={revoking}
+                                    className="px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                                >
+                                    Revoke Link
+                                </button>
+                            )}
+                            <button
+                                onClick={() => setDetail(null)}
+                                className="px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ShareLinks;
@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const STUDY_PRIORITIES = ['Emergency Case', 'MLC Case', 'Meet referral doctor', 'Study Exception', 'stat', 'urgent', 'routine'];
+
+const EMPTY_POLICY = {
+    name: '',
+    priority: 100,
+    isActive: true,
+    labs: [],
+    studyPriorities: [],
+    targetMinutes: 60,
+    measureFrom: 'upload',
+    notifyDoctor: true,
+    notifyAdmins: true,
+    notifyEmails: '',
+    reassignEnabled: false,
+    graceMinutes: 30,
+    notes: ''
+};
+
+const formatMinutes = (minutes) => {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+};
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const SlaPolicies = () => {
+    const [policies, setPolicies] = useState([]);
+    const [labs, setLabs] = useState([]);
+    const [breaches, setBreaches] = useState([]);
+    const [breachPagination, setBreachPagination] = useState({ currentPage: 1, totalPages: 1, totalRecords: 0 });
+    const [breachPage, setBreachPage] = useState(1);
+    const [loading, setLoading] = useState(true);
+    const [editingPolicy, setEditingPolicy] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_POLICY);
+    const [checking, setChecking] = useState(false);
+
+    const fetchPolicies = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/sla/policies');
+            if (response.data.success) {
+                setPolicies(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching SLA policies:', error);
+            toast.error('Failed to fetch SLA policies');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const fetchBreaches = useCallback(async () => {
+        try {
+            const response = await api.get('/sla/breaches', { params: { page: breachPage, limit: 25 } });
+            if (response.data.success) {
+                setBreaches(response.data.data);
+                setBreachPagination(response.data.pagination);
+            }
+        } catch (error) {
+            console.error('Error fetching SLA breaches:', error);
+        }
+    }, [breachPage]);
+
+    useEffect(() => {
+        fetchPolicies();
+    }, [fetchPolicies]);
+
+    useEffect(() => {
+        fetchBreaches();
+    }, [fetchBreaches]);
+
+    useEffect(() => {
+        const fetchLabs = async () => {
+            try {
+                const response = await api.get('/admin/labs/list', { params: { limit: 500, status: 'active' } });
+                if (response.data.success) {
+                    setLabs(response.data.data);
+                }
+            } catch (error) {
+                console.error('Error fetching labs:', error);
+            }
+        };
+        fetchLabs();
+    }, []);
+
+    const openEditor = (policy = null) => {
+        setEditingPolicy(policy || {});
+        setFormData(policy ? {
+            name: policy.name,
+            priority: policy.priority,
+            isActive: policy.isActive,
+            labs: (policy.labs || []).map(lab => lab._id),
+            studyPriorities: policy.studyPriorities || [],
+            targetMinutes: policy.targetMinutes,
+            measureFrom: policy.measureFrom,
+            notifyDoctor: policy.notifyDoctor,
+            notifyAdmins: policy.notifyAdmins,
+            notifyEmails: (policy.notifyEmails || []).join(', '),
+            reassignEnabled: policy.reassign?.enabled || false,
+            graceMinutes: policy.reassign?.graceMinutes ?? 30,
+            notes: policy.notes || ''
+        } : EMPTY_POLICY);
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value
+        }));
+    };
+
+    const toggleListField = (field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            [field]: prev[field].includes(value) ? prev[field].filter(item => item !== value) : [...prev[field], value]
+        }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const { reassignEnabled, graceMinutes, ...rest } = formData;
+        const payload = {
+            ...rest,
+            notifyEmails: splitList(formData.notifyEmails),
+            reassign: { enabled: reassignEnabled, graceMinutes }
+        };
+
+        try {
+            const response = editingPolicy?._id
+                ? await api.put(`/sla/policies/${editingPolicy._id}`, payload)
+                : await api.post('/sla/policies', payload);
+
+            if (response.data.success) {
+                toast.success(response.data.message);
+                setEditingPolicy(null);
+                fetchPolicies();
+            }
+        } catch (error) {
+            console.error('Error saving SLA policy:', error);
+            toast.error(error.response?.data?.message || 'Failed to save SLA policy');
+        }
+    };
+
+    const handleToggle = async (policy) => {
+        try {
+            await api.put(`/sla/policies/${policy._id}`, { isActive: !policy.isActive });
+            fetchPolicies();
+        } catch (error) {
+            console.error('Error toggling SLA policy:', error);
+            toast.error(error.response?.data?.message || 'Failed to update SLA policy');
+        }
+    };
+
+    const handleDelete = async (policy) => {
+        if (!window.confirm(`Delete SLA policy "${policy.name}"?`)) return;
+        try {
+            await api.delete(`/sla/policies/${policy._id}`);
+            toast.success('SLA policy deleted');
+            fetchPolicies();
+        } catch (error) {
+            console.error('Error deleting SLA policy:', error);
+            toast.error(error.response?.data?.message || 'Failed to delete SLA policy');
+        }
+    };
+
+    const handleCheck = async () => {
+        try {
+            setChecking(true);
+            const response = await api.post('/sla/check');
+            if (response.data.success) {
+                toast.success(response.data.message);
+                fetchPolicies();
+                fetchBreaches();
+            }
+        } catch (error) {
+            console.error('Error running SLA check:', error);
+            toast.error(error.response?.data?.message || 'Failed to run SLA check');
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">SLA Policies</h1>
+                            <p className="text-gray-600">
+                                Unreported studies past their deadline are flagged every minute; the first matching policy (lowest priority first) applies.
+                            </p>
+                        </div>
+                        <div className="mt-4 sm:mt-0 flex space-x-2">
+                            <button
+                                onClick={handleCheck}
+                                disabled={checking}
+                                className="px-4 py-2 border border-gray-300 bg-white text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                {checking ? 'Checking...' : 'Check Now'}
+                            </button>
+                            <button
+                                onClick={() => openEditor()}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                                Add Policy
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Policies Table */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden mb-6">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies To</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Escalation</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Breaches</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loading ? (
+                                    <tr>
+                                        <td colSpan="8" className="px-4 py-8 text-center text-gray-500">Loading SLA policies...</td>
+                                    </tr>
+                                ) : policies.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="8" className="px-4 py-8 text-center text-gray-500">No SLA policies yet</td>
+                                    </tr>
+                                ) : policies.map((policy) => (
+                                    <tr key={policy._id} className={policy.isActive ? '' : 'opacity-60'}>
+                                        <td className="px-4 py-3 text-sm text-gray-900">{policy.priority}</td>
+                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                            <div className="font-medium">{policy.name}</div>
+                                            {policy.notes && <div className="text-xs text-gray-500">{policy.notes}</div>}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            <div>{policy.labs?.length ? policy.labs.map(lab => lab.name).join(', ') : 'All labs'}</div>
+                                            <div>{policy.studyPriorities?.length ? policy.studyPriorities.join(', ') : 'Any priority'}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {formatMinutes(policy.targetMinutes)}
+                                            <div className="text-xs text-gray-500">from {policy.measureFrom}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-gray-700">
+                                            <div>
+                                                Notify: {[policy.notifyDoctor && 'doctor', policy.notifyAdmins && 'admins', ...(policy.notifyEmails || [])].filter(Boolean).join(', ') || 'nobody'}
+                                            </div>
+                                            <div>
+                                                {policy.reassign?.enabled
+                                                    ? `Reassign after ${formatMinutes(policy.reassign.graceMinutes)} grace`
+                                                    : 'No reassignment'}
+                                            </div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {policy.breachCount}
+                                            {policy.lastBreachAt && (
+                                                <div className="text-xs text-gray-500">{new Date(policy.lastBreachAt).toLocaleString()}</div>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm">
+                                            <button
+                                                onClick={() => handleToggle(policy)}
+                                                className={`px-2 py-1 rounded-full text-xs font-medium ${policy.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}
+                                            >
+                                                {policy.isActive ? 'Active' : 'Inactive'}
+                                            </button>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right space-x-2 whitespace-nowrap">
+                                            <button onClick={() => openEditor(policy)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                                            <button onClick={() => handleDelete(policy)} className="text-red-600 hover:text-red-800">Delete</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Open Breaches */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <div className="px-4 py-3 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">Open Breaches ({breachPagination.totalRecords})</h2>
+                            <p className="text-sm text-gray-600">Breached studies still waiting for a signed report.</p>
+                        </div>
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lab / Modality</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Policy</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned To</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Escalation</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {breaches.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="6" className="px-4 py-8 text-center text-gray-500">No open breaches</td>
+                                    </tr>
+                                ) : breaches.map((study) => (
+                                    <tr key={study._id}>
+                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                            <div className="font-medium">{study.patientInfo?.patientName || '-'}</div>
+                                            <div className="text-xs text-gray-500">{study.patientInfo?.patientID} | {study.accessionNumber || 'No accession'}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {study.sourceLab?.name || '-'}
+                                            <div className="text-xs text-gray-500">{study.modality}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {study.sla?.policy?.name || '-'}
+                                            {study.sla?.policy && <div className="text-xs text-gray-500">{formatMinutes(study.sla.policy.targetMinutes)}</div>}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-red-700">
+                                            {study.sla?.dueAt ? new Date(study.sla.dueAt).toLocaleString() : '-'}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {(study.lastAssignedDoctor || [])
+                                                .map(entry => entry.doctorId?.userAccount?.fullName)
+                                                .filter(Boolean)
+                                                .join(', ') || 'Unassigned'}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs">
+                                            <span className={`px-2 py-1 rounded-full font-medium ${study.sla?.escalationLevel > 1 ? 'bg-purple-100 text-purple-700' : 'bg-red-100 text-red-700'}`}>
+                                                {study.sla?.escalationLevel > 1 ? 'Reassigned' : 'Notified'}
+                                            </span>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {breachPagination.totalPages > 1 && (
+                            <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                                <span>Page {breachPagination.currentPage} of {breachPagination.totalPages}</span>
+                                <div className="space-x-2">
+                                    <button
+                                        onClick={() => setBreachPage(page => page - 1)}
+                                        disabled={breachPage <= 1}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Previous
+                                    </button>
+                                    <button
+                                        onClick={() => setBreachPage(page => page + 1)}
+                                        disabled={breachPage >= breachPagination.totalPages}
+                                        className="px-3 py-1 border border-gray-300 rounded disabled:opacity-50"
+                                    >
+                                        Next
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {/* Editor Modal */}
+            {editingPolicy && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{editingPolicy._id ? 'Edit SLA Policy' : 'New SLA Policy'}</h2>
+                        </div>
+                        <div className="px-6 py-4 space-y-4">
+                            <div className="grid grid-cols-3 gap-4">
+                                <div className="col-span-2">
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                    <input name="name" value={formData.name} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                                    <input type="number" name="priority" value={formData.priority} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Labs (none selected = all labs)</label>
+                                <div className="flex flex-wrap gap-2 max-h-28 overflow-y-auto">
+                                    {labs.map((lab) => (
+                                        <label key={lab._id} className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input type="checkbox" checked={formData.labs.includes(lab._id)} onChange={() => toggleListField('labs', lab._id)} />
+                                            <span>{lab.name}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Study Priority (none selected = any)</label>
+                                <div className="flex flex-wrap gap-3">
+                                    {STUDY_PRIORITIES.map((priority) => (
+                                        <label key={priority} className="flex items-center space-x-1 text-sm text-gray-700">
+                                            <input type="checkbox" checked={formData.studyPriorities.includes(priority)} onChange={() => toggleListField('studyPriorities', priority)} />
+                                            <span>{priority}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Target (minutes)</label>
+                                    <input type="number" min="1" name="targetMinutes" value={formData.targetMinutes} onChange={handleChange} required className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                    <p className="text-xs text-gray-500 mt-1">{formData.targetMinutes > 0 && formatMinutes(formData.targetMinutes)}</p>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Measured From</label>
+                                    <select name="measureFrom" value={formData.measureFrom} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                        <option value="upload">Study arrival</option>
+                                        <option value="assignment">Doctor assignment</option>
+                                    </select>
+                                </div>
+                            </div>
+
+                            <h3 className="text-sm font-semibold text-gray-900">On Breach</h3>
+                            <div className="flex flex-wrap gap-4">
+                                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                    <input type="checkbox" name="notifyDoctor" checked={formData.notifyDoctor} onChange={handleChange} />
+                                    <span>Notify assigned doctor</span>
+                                </label>
+                                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                    <input type="checkbox" name="notifyAdmins" checked={formData.notifyAdmins} onChange={handleChange} />
+                                    <span>Notify admins</span>
+                                </label>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Also Email</label>
+                                <input name="notifyEmails" value={formData.notifyEmails} onChange={handleChange} placeholder="coordinator@lab.com, ..." className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                            <div className="grid grid-cols-2 gap-4 items-end">
+                                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                    <input type="checkbox" name="reassignEnabled" checked={formData.reassignEnabled} onChange={handleChange} />
+                                    <span>Reassign to the next available radiologist</span>
+                                </label>
+                                {formData.reassignEnabled && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Grace Period (minutes)</label>
+                                        <input type="number" min="0" name="graceMinutes" value={formData.graceMinutes} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                                    </div>
+                                )}
+                            </div>
+                            {formData.reassignEnabled && (
+                                <p className="text-xs text-gray-500">
+                                    Assigned or opened studies are moved; studies already being drafted stay with their doctor.
+                                </p>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <input name="notes" value={formData.notes} onChange={handleChange} className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                            </div>
+                            <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+                                <span>Active</span>
+                            </label>
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-2">
+                            <button type="button" onClick={() => setEditingPolicy(null)} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">Cancel</button>
+                            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Save</button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SlaPolicies;
@@ -4,6 +4,7 @@ import UniversalNavbar from '../../components/layout/AdminNavbar';
 import WorklistSearch from '../../components/admin/WorklistSearch';
 import api from '../../services/api';
 import { useAuth } from '../../hooks/useAuth';
+import useSlaNotifications from '../../hooks/useSlaNotifications';
 
 const DoctorDashboard = React.memo(() => {
   const { currentUser } = useAuth();
@@ -11,6 +12,9 @@ const DoctorDashboard = React.memo(() => {
   // 🔧 MEMOIZE THE USER TO PREVENT UNNECESSARY RE-RENDERS
   const stableUser = useMemo(() => currentUser, [currentUser?.id, currentUser?.role]);
 
+  // ⏱️ SLA breach alerts for studies assigned to this doctor
+  useSlaNotifications(stableUser);
+
   const [allStudies, setAllStudies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeCategory, setActiveCategory] = useState('all');
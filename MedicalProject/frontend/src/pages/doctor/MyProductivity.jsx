@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format, subDays, subMonths } from 'date-fns';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+import ProductivityDetail from '../../components/productivity/ProductivityDetail';
+
+const MyProductivity = () => {
+    const [filters, setFilters] = useState({
+        from: format(subDays(new Date(), 29), 'yyyy-MM-dd'),
+        to: format(new Date(), 'yyyy-MM-dd')
+    });
+    const [statementMonth, setStatementMonth] = useState(format(subMonths(new Date(), 1), 'yyyy-MM'));
+    const [productivity, setProductivity] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [downloading, setDownloading] = useState(false);
+
+    const fetchProductivity = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/productivity/me', {
+                params: { from: filters.from || undefined, to: filters.to || undefined }
+            });
+            if (response.data.success) {
+                setProductivity(response.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching productivity:', error);
+            toast.error(error.response?.data?.message || 'Failed to fetch productivity');
+        } finally {
+            setLoading(false);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        fetchProductivity();
+    }, [fetchProductivity]);
+
+    const handleDownloadStatement = async () => {
+        try {
+            setDownloading(true);
+            const response = await api.get('/productivity/me/statement', {
+                params: { month: statementMonth },
+                responseType: 'blob'
+            });
+            const blob = new Blob([response.data], { type: 'application/pdf' });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.style.display = 'none';
+            a.href = url;
+            a.download = `Statement_${statementMonth}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (error) {
+            console.error('Error downloading statement:', error);
+            toast.error('Failed to download statement');
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-7xl mx-auto">
+                    {/* Header */}
+                    <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between mb-6">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900">My Productivity</h1>
+                            <p className="text-gray-600">Your finalized reports, RVUs, reading time and revision rate.</p>
+                        </div>
+                        <div className="mt-4 lg:mt-0 flex flex-wrap items-center gap-2">
+                            <input
+                                type="date"
+                                value={filters.from}
+                                onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                            <span className="text-sm text-gray-500">to</span>
+                            <input
+                                type="date"
+                                value={filters.to}
+                                onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))}
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                        </div>
+                    </div>
+
+                    {/* Monthly statement */}
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between">
+                        <div>
+                            <h2 className="text-lg font-semibold text-gray-900">Monthly Statement</h2>
+                            <p className="text-sm text-gray-600">Payout and reporting activity for the month as a PDF.</p>
+                        </div>
+                        <div className="mt-3 sm:mt-0 flex items-center space-x-2">
+                            <input
+                                type="month"
+                                value={statementMonth}
+                                onChange={(e) => setStatementMonth(e.target.value)}
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                            <button
+                                onClick={handleDownloadStatement}
+                                disabled={downloading || !statementMonth}
+                                className="px-4 py-2 bg-emerald-600 text-white rounded-lg text-sm hover:bg-emerald-700 disabled:opacity-50"
+                            >
+                                {downloading ? 'Preparing...' : 'Download PDF'}
+                            </button>
+                        </div>
+                    </div>
+
+                    {loading && !productivity ? (
+                        <div className="text-center text-gray-500 py-8">Loading productivity...</div>
+                    ) : (
+                        <ProductivityDetail productivity={productivity} />
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MyProductivity;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import UniversalNavbar from '../../components/layout/AdminNavbar';
+
+const TABS = [
+    { key: 'reviewer', label: 'To Review' },
+    { key: 'reporter', label: 'Feedback on My Reports' }
+];
+
+const SCORES = [
+    { value: 1, label: 'Concur with interpretation' },
+    { value: 2, label: 'Discrepancy - diagnosis not ordinarily expected to be made' },
+    { value: 3, label: 'Discrepancy - diagnosis should be made most of the time' },
+    { value: 4, label: 'Discrepancy - diagnosis should be made almost every time' }
+];
+
+const SCORE_STYLES = {
+    1: 'bg-green-100 text-green-700',
+    2: 'bg-yellow-100 text-yellow-700',
+    3: 'bg-orange-100 text-orange-700',
+    4: 'bg-red-100 text-red-700'
+};
+
+const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+const PeerReviews = () => {
+    const [activeTab, setActiveTab] = useState('reviewer');
+    const [status, setStatus] = useState('pending');
+    const [reviews, setReviews] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [activeReview, setActiveReview] = useState(null);
+    const [form, setForm] = useState({ score: 1, clinicallySignificant: false, comments: '' });
+    const [response, setResponse] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const fetchReviews = useCallback(async () => {
+        try {
+            setLoading(true);
+            const result = await api.get('/peer-review/mine', {
+                params: { role: activeTab, status: status || undefined, limit: 100 }
+            });
+            if (result.data.success) {
+                setReviews(result.data.data);
+            }
+        } catch (error) {
+            console.error('Error fetching peer reviews:', error);
+            toast.error('Failed to fetch peer reviews');
+        } finally {
+            setLoading(false);
+        }
+    }, [activeTab, status]);
+
+    useEffect(() => {
+        fetchReviews();
+    }, [fetchReviews]);
+
+    const switchTab = (tab) => {
+        setActiveTab(tab);
+        setStatus(tab === 'reviewer' ? 'pending' : '');
+    };
+
+    const openReview = (review) => {
+        setActiveReview(review);
+        setForm({ score: 1, clinicallySignificant: false, comments: '' });
+        setResponse('');
+    };
+
+    const handleViewReport = async (review) => {
+        try {
+            const result = await api.get(`/documents/study/${review.study}/reports/latest/download`, { responseType: 'blob' });
+            const url = window.URL.createObjectURL(new Blob([result.data], { type: result.headers['content-type'] }));
+            window.open(url, '_blank');
+            setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+        } catch (error) {
+            console.error('Error opening report:', error);
+            toast.error('Failed to open report');
+        }
+    };
+
+    const handleSubmitReview = async (e) => {
+        e.preventDefault();
+        if (form.score > 1 && !form.comments.trim()) {
+            toast.error('Describe the discrepancy in the comments');
+            return;
+        }
+        try {
+            setSubmitting(true);
+            const result = await api.post(`/peer-review/${activeReview._id}/submit`, form);
+            toast.success(result.data.message);
+            setActiveReview(null);
+            fetchReviews();
+        } catch (error) {
+            console.error('Error submitting peer review:', error);
+            toast.error(error.response?.data?.message || 'Failed to submit peer review');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleAcknowledge = async () => {
+        try {
+            setSubmitting(true);
+            await api.post(`/peer-review/${activeReview._id}/acknowledge`, { response });
+            toast.success('Discrepancy acknowledged');
+            setActiveReview(null);
+            fetchReviews();
+        } catch (error) {
+            console.error('Error acknowledging discrepancy:', error);
+            toast.error(error.response?.data?.message || 'Failed to acknowledge discrepancy');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col">
+            <UniversalNavbar />
+
+            <div className="flex-1 p-6">
+                <div className="max-w-6xl mx-auto">
+                    <div className="mb-6">
+                        <h1 className="text-2xl font-bold text-gray-900">Peer Review</h1>
+                        <p className="text-gray-600">Reports assigned to you for a second read, and reviewers' feedback on your own reports.</p>
+                    </div>
+
+                    {/* Tabs */}
+                    <div className="flex items-center justify-between border-b border-gray-200 mb-6">
+                        <div className="flex space-x-1">
+                            {TABS.map(tab => (
+                                <button
+                                    key={tab.key}
+                                    onClick={() => switchTab(tab.key)}
+                                    className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${activeTab === tab.key ? 'border-emerald-600 text-emerald-600' : 'border-transparent text-gray-600 hover:text-gray-900'}`}
+                                >
+                                    {tab.label}
+                                </button>
+                            ))}
+                        </div>
+                        <select
+                            value={status}
+                            onChange={(e) => setStatus(e.target.value)}
+                            className="mb-2 px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+                        >
+                            {activeTab === 'reviewer' ? (
+                                <>
+                                    <option value="pending">Pending</option>
+                                    <option value="completed">Completed</option>
+                                    <option value="">All</option>
+                                </>
+                            ) : (
+                                <>
+                                    <option value="">All reviews</option>
+                                    <option value="open">Open discrepancies</option>
+                                    <option value="acknowledged">Acknowledged</option>
+                                    <option value="resolved">Resolved</option>
+                                    <option value="none">Concurred</option>
+                                </>
+                            )}
+                        </select>
+                    </div>
+
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Patient</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Exam</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        {activeTab === 'reviewer' ? 'Due' : 'Reviewed'}
+                                    </th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Score</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {loading ? (
+                                    <tr>
+                                        <td colSpan="5" className="px-4 py-8 text-center text-gray-500">Loading reviews...</td>
+                                    </tr>
+                                ) : reviews.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="5" className="px-4 py-8 text-center text-gray-500">
+                                            {activeTab === 'reviewer' ? 'No reviews assigned to you' : 'No reviews of your reports yet'}
+                                        </td>
+                                    </tr>
+                                ) : reviews.map(review => (
+                                    <tr key={review._id}>
+                                        <td className="px-4 py-3 text-sm text-gray-900">
+                                            {review.patientName || '-'}
+                                            <div className="text-xs text-gray-500">{review.patientId}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {review.modality}
+                                            <div className="text-xs text-gray-500">{review.examDescription}</div>
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                            {activeTab === 'reviewer' ? (
+                                                <span className={review.status === 'pending' && new Date(review.dueAt) < new Date() ? 'text-red-600 font-medium' : ''}>
+                                                    {formatDate(review.status === 'pending' ? review.dueAt : review.completedAt)}
+                                                </span>
+                                            ) : formatDate(review.completedAt)}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs">
+                                            {review.score ? (
+                                                <span className={`px-2 py-1 rounded-full font-medium ${SCORE_STYLES[review.score]}`}>{review.score}</span>
+                                            ) : '-'}
+                                            {activeTab === 'reporter' && review.discrepancy?.status === 'open' && (
+                                                <span className="ml-2 text-red-600 font-medium">Response needed</span>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm text-right space-x-3">
+                                            <button onClick={() => handleViewReport(review)} className="text-gray-600 hover:text-gray-900">Report</button>
+                                            <button onClick={() => openReview(review)} className="text-emerald-600 hover:text-emerald-800">
+                                                {activeTab === 'reviewer' && review.status === 'pending' ? 'Review' : 'View'}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+
+            {/* Review Modal */}
+            {activeReview && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+                    <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                        <div className="px-6 py-4 border-b border-gray-200">
+                            <h2 className="text-lg font-semibold text-gray-900">{activeReview.patientName || 'Peer Review'}</h2>
+                            <p className="text-sm text-gray-600">
+                                {activeReview.modality} {activeReview.examDescription} - report signed {formatDate(activeReview.reportFinalizedAt)}
+                                {activeTab === 'reviewer' && activeReview.originalReporter && ` by ${activeReview.originalReporter.fullName}`}
+                            </p>
+                        </div>
+
+                        {activeTab === 'reviewer' && activeReview.status === 'pending' ? (
+                            <form onSubmit={handleSubmitReview} className="px-6 py-4 space-y-4">
+                                <div className="space-y-2">
+                                    {SCORES.map(score => (
+                                        <label key={score.value} className="flex items-start text-sm text-gray-700">
+                                            <input
+                                                type="radio"
+                                                name="score"
+                                                checked={form.score === score.value}
+                                                onChange={() => setForm(prev => ({ ...prev, score: score.value }))}
+                                                className="mt-0.5 mr-2"
+                                            />
+                                            <span><strong>{score.value}</strong> - {score.label}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                                {form.score > 1 && (
+                                    <label className="flex items-center text-sm text-gray-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={form.clinicallySignificant}
+                                            onChange={(e) => setForm(prev => ({ ...prev, clinicallySignificant: e.target.checked }))}
+                                            className="mr-2"
+                                        />
+                                        Likely clinically significant
+                                    </label>
+                                )}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                        Comments {form.score > 1 && <span className="text-red-500">*</span>}
+                                    </label>
+                                    <textarea
+                                        rows="4"
+                                        value={form.comments}
+                                        onChange={(e) => setForm(prev => ({ ...prev, comments: e.target.value }))}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                </div>
+                                <div className="flex justify-end space-x-2">
+                                    <button type="button" onClick={() => setActiveReview(null)} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                        Cancel
+                                    </button>
+                                    <button type="submit" disabled={submitting} className="px-4 py-2 text-sm bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50">
+                                        {submitting ? 'Submitting...' : 'Submit Review'}
+                                    </button>
+                                </div>
+                            </form>
+                        ) : (
+                            <div className="px-6 py-4 space-y-4 text-sm">
+                                {activeReview.score && (
+                                    <div>
+                                        <div className="font-medium text-gray-900">
+                                            Score {activeReview.score} - {SCORES.find(score => score.value === activeReview.score)?.label}
+                                            {activeReview.clinicallySignificant && ' (clinically significant)'}
+                                        </div>
+                                        <p className="text-gray-700 whitespace-pre-wrap mt-1">{activeReview.comments || 'No comments'}</p>
+                                    </div>
+                                )}
+                                {activeReview.discrepancy?.reporterResponse && (
+                                    <div>
+                                        <div className="font-medium text-gray-900">Reporter response</div>
+                                        <p className="text-gray-700 whitespace-pre-wrap mt-1">{activeReview.discrepancy.reporterResponse}</p>
+                                    </div>
+                                )}
+                                {activeReview.discrepancy?.status === 'resolved' && (
+                                    <div>
+                                        <div className="font-medium text-gray-900">Resolution</div>
+                                        <p className="text-gray-700 whitespace-pre-wrap mt-1">{activeReview.discrepancy.resolutionNote}</p>
+                                    </div>
+                                )}
+                                {activeTab === 'reporter' && activeReview.discrepancy?.status === 'open' && (
+                                    <div>
+                                        <label className="block font-medium text-gray-900 mb-1">Your response</label>
+                                        <textarea
+                                            rows="3"
+                                            value={response}
+                                            onChange={(e) => setResponse(e.target.value)}
+                                            placeholder="e.g. Agree, addendum issued"
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                        />
+                                    </div>
+                                )}
+                                <div className="flex justify-end space-x-2">
+                                    <button onClick={() => setActiveReview(null)} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                        Close
+                                    </button>
+                                    {activeTab === 'reporter' && activeReview.discrepancy?.status === 'open' && (
+                                        <button onClick={handleAcknowledge} disabled={submitting} className="px-4 py-2 text-sm bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50">
+                                            Acknowledge
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PeerReviews;
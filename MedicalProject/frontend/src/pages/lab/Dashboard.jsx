@@ -4,6 +4,7 @@ import UniversalNavbar from '../../components/layout/AdminNavbar';
 import WorklistSearch from '../../components/admin/WorklistSearch';
 import api from '../../services/api';
 import { useAuth } from '../../hooks/useAuth';
+import useSlaNotifications from '../../hooks/useSlaNotifications';
 
 const LabDashboard = React.memo(() => {
   const { currentUser } = useAuth();
@@ -11,6 +12,9 @@ const LabDashboard = React.memo(() => {
   // 🔧 MEMOIZE THE USER TO PREVENT UNNECESSARY RE-RENDERS
   const stableUser = useMemo(() => currentUser, [currentUser?.id, currentUser?.role]);
 
+  // 💬 Discussion @mentions addressed to this user
+  useSlaNotifications(stableUser);
+
   const [allStudies, setAllStudies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeCategory, setActiveCategory] = useState('all');
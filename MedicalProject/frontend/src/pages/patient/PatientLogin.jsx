@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import patientPortalApi, { PATIENT_TOKEN_KEY } from '../../services/patientPortalApi';
+
+const RESEND_SECONDS = 60;
+
+const PatientLogin = () => {
+  const [step, setStep] = useState(1); // 1: Mobile number, 2: OTP
+  const [phone, setPhone] = useState('');
+  const [otp, setOtp] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+  const [resendTimer, setResendTimer] = useState(0);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (localStorage.getItem(PATIENT_TOKEN_KEY)) {
+      navigate('/patient', { replace: true });
+    }
+  }, [navigate]);
+
+  useEffect(() => {
+    if (resendTimer <= 0) return undefined;
+    const timeout = setTimeout(() => setResendTimer(resendTimer - 1), 1000);
+    return () => clearTimeout(timeout);
+  }, [resendTimer]);
+
+  const sendOtp = async (e) => {
+    e?.preventDefault();
+    setIsLoading(true);
+    setError('');
+    setInfo('');
+
+    try {
+      const response = await patientPortalApi.post('/auth/send-otp', { phone });
+      setInfo(response.data.message);
+      setStep(2);
+      setResendTimer(RESEND_SECONDS);
+    } catch (err) {
+      console.error('Patient portal send OTP error:', err);
+      setError(err.response?.data?.message || 'Network error. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const verifyOtp = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await patientPortalApi.post('/auth/verify-otp', { phone, otp });
+      localStorage.setItem(PATIENT_TOKEN_KEY, response.data.data.token);
+      navigate('/patient', { replace: true });
+    } catch (err) {
+      console.error('Patient portal verify OTP error:', err);
+      setError(err.response?.data?.message || 'Network error. Please try again.');
+      setOtp('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-sm bg-white rounded-xl shadow-lg p-6">
+        <div className="text-center mb-6">
+          <div className="text-4xl mb-2">🩺</div>
+          <h1 className="text-xl font-semibold text-gray-800">Patient Portal</h1>
+          <p className="text-sm text-gray-500 mt-1">View and download your reports and images</p>
+        </div>
+
+        {step === 1 ? (
+          <form onSubmit={sendOtp} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Mobile number</label>
+              <input
+                type="tel"
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                placeholder="Number registered at your diagnostic centre"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                required
+                autoFocus
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isLoading || phone.replace(/\D/g, '').length < 10}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {isLoading ? 'Sending...' : 'Send Login Code'}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={verifyOtp} className="space-y-4">
+            {info && <p className="text-xs text-green-700 bg-green-50 rounded p-2">{info}</p>}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Login code</label>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={otp}
+                onChange={(e) => setOtp(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                placeholder="6-digit code"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-center tracking-widest text-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                autoFocus
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isLoading || otp.length !== 6}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {isLoading ? 'Verifying...' : 'Log In'}
+            </button>
+            <div className="flex justify-between text-sm">
+              <button type="button" onClick={() => { setStep(1); setOtp(''); setError(''); }} className="text-gray-600 hover:text-gray-800">
+                ← Change number
+              </button>
+              <button
+                type="button"
+                onClick={sendOtp}
+                disabled={isLoading || resendTimer > 0}
+                className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+              >
+                {resendTimer > 0 ? `Resend in ${resendTimer}s` : 'Resend code'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {error && <p className="text-sm text-red-600 mt-4 text-center">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default PatientLogin;
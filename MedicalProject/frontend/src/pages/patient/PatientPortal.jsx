@@ -0,0 +1,247 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import patientPortalApi, { PATIENT_TOKEN_KEY } from '../../services/patientPortalApi';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+const reportLabel = (report) => {
+  if (report.versionType === 'addendum') return `Addendum ${report.addendumNumber || ''}`.trim();
+  return 'Final Report';
+};
+
+const PatientPortal = () => {
+  const [profile, setProfile] = useState(null);
+  const [studies, setStudies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [consentChecked, setConsentChecked] = useState(false);
+  const [busyAction, setBusyAction] = useState(null);
+
+  const navigate = useNavigate();
+
+  const loadStudies = useCallback(async () => {
+    const response = await patientPortalApi.get('/studies');
+    setStudies(response.data.data);
+  }, []);
+
+  useEffect(() => {
+    if (!localStorage.getItem(PATIENT_TOKEN_KEY)) {
+      navigate('/patient/login', { replace: true });
+      return;
+    }
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const response = await patientPortalApi.get('/me');
+        setProfile(response.data.data);
+        if (!response.data.data.consent.required) {
+          await loadStudies();
+        }
+      } catch (error) {
+        console.error('Error loading patient portal:', error);
+        toast.error(error.response?.data?.message || 'Failed to load your records');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [navigate, loadStudies]);
+
+  const logout = () => {
+    localStorage.removeItem(PATIENT_TOKEN_KEY);
+    navigate('/patient/login', { replace: true });
+  };
+
+  const acceptConsent = async () => {
+    try {
+      setBusyAction('consent');
+      const response = await patientPortalApi.post('/consent', { version: profile.consent.current.version });
+      setProfile(response.data.data);
+      await loadStudies();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record consent');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const downloadReport = async (study, report) => {
+    try {
+      setBusyAction(`download-${report._id}`);
+      const response = await patientPortalApi.get(`/studies/${study._id}/reports/${report._id}/download`, {
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', report.fileName || 'report');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      await loadStudies();
+    } catch (error) {
+      console.error('Error downloading report:', error);
+      toast.error('Failed to download report');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const acknowledgeReport = async (study, report) => {
+    try {
+      setBusyAction(`ack-${report._id}`);
+      await patientPortalApi.post(`/studies/${study._id}/reports/${report._id}/acknowledge`);
+      toast.success('Thank you for confirming');
+      await loadStudies();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to acknowledge report');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const openImages = async (study) => {
+    // Open the tab first so the browser does not block it as a popup
+    const viewerWindow = window.open('', '_blank');
+    try {
+      setBusyAction(`images-${study._id}`);
+      const response = await patientPortalApi.post(`/studies/${study._id}/viewer-link`);
+      viewerWindow.location.href = response.data.data.viewerPath;
+    } catch (error) {
+      viewerWindow?.close();
+      toast.error(error.response?.data?.message || 'Failed to open images');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-500 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white border-b">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <div>
+            <h1 className="text-lg font-semibold text-gray-800">🩺 Patient Portal</h1>
+            {profile && (
+              <p className="text-xs text-gray-500">
+                {[...new Set(profile.patients.map(patient => patient.name).filter(Boolean))].join(', ') || 'Patient'} • {profile.phone}
+              </p>
+            )}
+          </div>
+          <button onClick={logout} className="text-sm text-gray-600 hover:text-gray-900 px-3 py-1 border rounded">
+            Log Out
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-6">
+        {profile?.consent.required ? (
+          <div className="bg-white rounded-lg shadow p-6 max-w-xl mx-auto">
+            <h2 className="text-lg font-semibold text-gray-800 mb-3">Before you continue</h2>
+            <p className="text-sm text-gray-700 leading-relaxed mb-4">{profile.consent.current.text}</p>
+            <label className="flex items-start gap-2 text-sm text-gray-700 mb-4">
+              <input type="checkbox" checked={consentChecked} onChange={(e) => setConsentChecked(e.target.checked)} className="mt-1" />
+              I have read and agree to the above (version {profile.consent.current.version})
+            </label>
+            <button
+              onClick={acceptConsent}
+              disabled={!consentChecked || busyAction === 'consent'}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Accept and Continue
+            </button>
+          </div>
+        ) : (
+          <>
+            <h2 className="text-base font-semibold text-gray-800 mb-3">My Studies ({studies.length})</h2>
+            {studies.length === 0 ? (
+              <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+                No studies are linked to this mobile number yet.
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {studies.map(study => (
+                  <div key={study._id} className="bg-white rounded-lg shadow p-4">
+                    <div className="flex flex-wrap items-start justify-between gap-2">
+                      <div>
+                        <p className="font-medium text-gray-800">
+                          {study.modality} {study.description ? `- ${study.description}` : ''}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {formatDate(study.studyDate)}
+                          {study.labName ? ` • ${study.labName}` : ''}
+                          {study.accessionNumber ? ` • Acc# ${study.accessionNumber}` : ''}
+                        </p>
+                      </div>
+                      {study.imagesAvailable && (
+                        <button
+                          onClick={() => openImages(study)}
+                          disabled={busyAction === `images-${study._id}`}
+                          className="text-sm bg-blue-50 text-blue-700 px-3 py-1 rounded hover:bg-blue-100 disabled:opacity-50"
+                        >
+                          🖼️ View Images
+                        </button>
+                      )}
+                    </div>
+
+                    {study.reports.length === 0 ? (
+                      <p className="mt-3 text-sm text-gray-500">Your report is not ready yet.</p>
+                    ) : (
+                      <div className="mt-3 divide-y border rounded">
+                        {study.reports.map(report => (
+                          <div key={report._id} className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-sm">
+                            <div>
+                              <span className={report.isSuperseded ? 'text-gray-400 line-through' : 'text-gray-800'}>
+                                📄 {reportLabel(report)}
+                              </span>
+                              <span className="ml-2 text-xs text-gray-500">{formatDate(report.signedAt)}</span>
+                              {report.acknowledgedAt && (
+                                <span className="ml-2 text-xs text-green-700">✓ Acknowledged {formatDate(report.acknowledgedAt)}</span>
+                              )}
+                            </div>
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => downloadReport(study, report)}
+                                disabled={busyAction === `download-${report._id}`}
+                                className="px-3 py-1 bg-green-50 text-green-700 rounded hover:bg-green-100 disabled:opacity-50"
+                              >
+                                Download
+                              </button>
+                              {!report.acknowledgedAt && (
+                                <button
+                                  onClick={() => acknowledgeReport(study, report)}
+                                  disabled={!report.downloadedAt || busyAction === `ack-${report._id}`}
+                                  title={report.downloadedAt ? 'Confirm you have received this report' : 'Download the report first'}
+                                  className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+                                >
+                                  I have received this
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default PatientPortal;
@@ -0,0 +1,29 @@
+// filepath: src/services/dicomWebSession.jsx
+import api from './api';
+
+// OHIF reads images through the backend DICOMweb proxy, using a short-lived
+// token scoped to one study - the browser never talks to Orthanc directly.
+// priorOf is the study being reported when opening one of its priors.
+export const getDicomWebRoots = async (studyInstanceUID, { priorOf } = {}) => {
+  const response = await api.post(`/dicomweb/session/${encodeURIComponent(studyInstanceUID)}`, priorOf ? { priorOf } : {});
+  return response.data.data;
+};
+
+export const buildOhifDataSource = ({ dicomWebRoot, wadoUriRoot }, friendlyName) => ({
+  namespace: '@ohif/extension-default.dataSourcesModule.dicomweb',
+  sourceName: 'dicomweb',
+  configuration: {
+    friendlyName,
+    name: 'orthanc',
+    wadoUriRoot,
+    qidoRoot: dicomWebRoot,
+    wadoRoot: dicomWebRoot,
+    qidoSupportsIncludeField: true,
+    supportsReject: false,
+    imageRendering: 'wadors',
+    thumbnailRendering: 'wadors',
+    enableStudyLazyLoad: true,
+    supportsFuzzyMatching: false,
+    supportsWildcard: true
+  }
+});
@@ -0,0 +1,37 @@
+// filepath: src/services/patientPortalApi.jsx
+import axios from 'axios';
+
+// Patient portal sessions are kept apart from staff sessions (sessionManager),
+// so a patient login never lands on the staff login page and vice versa.
+export const PATIENT_TOKEN_KEY = 'patientPortalToken';
+
+const patientPortalApi = axios.create({
+  baseURL: '/api/patient-portal',
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+patientPortalApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem(PATIENT_TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+patientPortalApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    // Session expired - back to the patient login
+    if (error.response && error.response.status === 401) {
+      localStorage.removeItem(PATIENT_TOKEN_KEY);
+      if (!window.location.pathname.includes('/patient/login')) {
+        window.location.href = '/patient/login';
+      }
+    }
+    return Promise.reject(error);
+  }
+);
+
+export default patientPortalApi;
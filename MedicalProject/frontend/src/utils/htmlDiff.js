@@ -0,0 +1,90 @@
+// Word-level diff between two report versions, rendered as HTML with <ins>/<del>
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const INS_CLASS = 'bg-green-100 text-green-800 no-underline';
+const DEL_CLASS = 'bg-red-100 text-red-700';
+
+// DOMParser documents are inert - unlike innerHTML on a live element, no
+// <img onerror> or other handler in the report HTML ever runs
+const parseHtml = (html) => new DOMParser().parseFromString(html || '', 'text/html');
+
+// Report HTML -> words, keeping paragraph breaks as their own tokens
+const tokenize = (html) => parseHtml((html || '').replace(/<\/(p|div|li|h[1-6])>|<br\s*\/?>/gi, '\n'))
+  .body.textContent
+  .split(/(\n)|\s+/)
+  .filter(token => token);
+
+export const diffReportHtml = (oldHtml, newHtml) => {
+  const oldTokens = tokenize(oldHtml);
+  const newTokens = tokenize(newHtml);
+  const rows = oldTokens.length + 1;
+  const cols = newTokens.length + 1;
+
+  // Longest common subsequence table, filled from the end
+  const lcs = new Uint32Array(rows * cols);
+  for (let i = oldTokens.length - 1; i >= 0; i--) {
+    for (let j = newTokens.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = oldTokens[i] === newTokens[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, token) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      parts.push({ type, tokens: [token] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldTokens.length && j < newTokens.length) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('same', oldTokens[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      push('removed', oldTokens[i++]);
+    } else {
+      push('added', newTokens[j++]);
+    }
+  }
+  while (i < oldTokens.length) push('removed', oldTokens[i++]);
+  while (j < newTokens.length) push('added', newTokens[j++]);
+
+  const changes = parts.filter(part => part.type !== 'same').length;
+  const html = parts.map(({ type, tokens }) => {
+    const text = tokens
+      .map(token => (token === '\n' ? '<br/>' : escapeHtml(token)))
+      .join(' ')
+      .replace(/ ?<br\/> ?/g, '<br/>');
+    if (type === 'added') return `<ins class="${INS_CLASS}">${text}</ins>`;
+    if (type === 'removed') return `<del class="${DEL_CLASS}">${text}</del>`;
+    return text;
+  }).join(' ');
+
+  return { html, changes };
+};
+
+// Rebuilds diff HTML from text, <br>, <ins> and <del> only, dropping every
+// attribute, before it goes into dangerouslySetInnerHTML
+export const sanitizeDiffHtml = (html) => {
+  const rebuild = (node) => Array.from(node.childNodes).map(child => {
+    if (child.nodeType === Node.TEXT_NODE) return escapeHtml(child.textContent);
+    if (child.nodeType !== Node.ELEMENT_NODE) return '';
+    if (child.nodeName === 'BR') return '<br/>';
+    if (child.nodeName === 'INS') return `<ins class="${INS_CLASS}">${rebuild(child)}</ins>`;
+    if (child.nodeName === 'DEL') return `<del class="${DEL_CLASS}">${rebuild(child)}</del>`;
+    return rebuild(child);
+  }).join('');
+
+  return rebuild(parseHtml(html).body);
+};